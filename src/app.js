@@ -5,11 +5,25 @@ const logger = require('./logger');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./docs/swagger');
 const healthRouter = require('./routes/health');
+const errorsRouter = require('./routes/errors');
+const authRouter = require('./routes/auth');
 const { getDatabase } = require('./db/connection');
 const { migrate } = require('./db/migrate');
 const booksRouter = require('./routes/books');
+const copiesRouter = require('./routes/copies');
+const circulationRouter = require('./routes/circulation');
+const patronsRouter = require('./routes/patrons');
+const loansRouter = require('./routes/loans');
+const calendarRouter = require('./routes/calendar');
+const auditRouter = require('./routes/audit');
+const webhooksRouter = require('./routes/webhooks');
+const eventsRouter = require('./routes/events');
+const { createEventStream } = require('./services/eventStream');
+const requestId = require('./middleware/requestId');
 const rateLimiter = require('./middleware/rateLimiter');
+const authenticate = require('./middleware/authenticate');
 const errorHandler = require('./middleware/errorHandler');
+const { NotFoundError } = require('./errors');
 
 const db = getDatabase();
 migrate(db);
@@ -17,15 +31,25 @@ migrate(db);
 const app = express();
 
 app.locals.db = db;
+app.locals.eventStream = createEventStream(db);
+
+// Nested query strings such as ?published_year[gte]=2000 are parsed into objects
+app.set('query parser', 'extended');
 
 // 1. Security headers — must be first so headers are set on every response
 app.use(helmet());
 
-// 2. Structured request/response logging
+// 2. Structured request/response logging, tagged with the request id
+app.use(requestId);
 app.use(pinoHttp({ logger }));
 
-// 3. Body parsing — catches malformed JSON
-app.use(express.json());
+// 3. Body parsing — catches malformed JSON (merge-patch bodies are JSON too).
+//    Book imports are left unparsed so the import can stream them. Routing
+//    ignores case and a trailing slash, so this match must as well.
+const STREAMED_UPLOADS = /^\/books\/import(?:\/|$)/i;
+app.use(express.json({
+  type: req => !STREAMED_UPLOADS.test(req.path) && Boolean(req.is(['application/json', 'application/merge-patch+json'])),
+}));
 
 // 4. Rate limiting — after body parsing, before routes
 app.use(rateLimiter);
@@ -38,16 +62,33 @@ app.get('/docs/json', (req, res) => {
 // 6. Swagger UI — interactive API documentation
 app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
-// 7. Routes
+// 7. Public routes — health check, the error catalog that problem types
+//    link to, and sign-in (the key management routes under /auth
+//    authenticate themselves)
 app.use('/', healthRouter);
+app.use('/errors', errorsRouter);
+app.use('/auth', authRouter);
+
+// 8. Authentication — every route below needs an API key or access token
+app.use(authenticate);
+
+// 9. Routes
 app.use('/books', booksRouter);
+app.use('/copies', copiesRouter);
+app.use('/circulation', circulationRouter);
+app.use('/patrons', patronsRouter);
+app.use('/loans', loansRouter);
+app.use('/calendar', calendarRouter);
+app.use('/audit', auditRouter);
+app.use('/webhooks', webhooksRouter);
+app.use('/events', eventsRouter);
 
-// 9. 404 catch-all — after all routes, before error handler
+// 10. 404 catch-all — after all routes, before error handler
 app.use((req, res, next) => {
-  res.status(404).json({ error: 'Not found' });
+  throw new NotFoundError();
 });
 
-// 10. Centralized error handler — MUST be the absolute last middleware
+// 11. Centralized error handler — MUST be the absolute last middleware
 app.use(errorHandler);
 
 module.exports = app;
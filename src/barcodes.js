@@ -0,0 +1,88 @@
+// Scanner stations send either an EAN-13 (publisher barcode on the cover) or
+// a 14-digit Codabar library label, optionally wrapped in its A-D start/stop
+// characters. Both end in a mod-10 check digit that catches misreads.
+const EAN13_PATTERN = /^\d{13}$/;
+const CODABAR_PATTERN = /^(?:[A-D](\d{14})[A-D]|(\d{14}))$/i;
+
+function ean13CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+function codabarCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 13; i++) {
+    let digit = Number(digits[i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Recognises a scanned item barcode and checks its check digit.
+ *
+ * Codabar start/stop characters are stripped, so `A31234000056786B` and
+ * `31234000056786` name the same copy.
+ *
+ * @param {string} value - The raw scanned value.
+ * @returns {{ symbology: 'ean13'|'codabar', barcode: string, checkDigitValid: boolean }|null}
+ *   The symbology, the barcode as stored on the copy, and whether the check
+ *   digit matches; or null if the value is in neither format.
+ */
+function parseScannedBarcode(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  if (EAN13_PATTERN.test(value)) {
+    return {
+      symbology: 'ean13',
+      barcode: value,
+      checkDigitValid: ean13CheckDigit(value) === Number(value[12]),
+    };
+  }
+
+  const codabar = CODABAR_PATTERN.exec(value);
+  if (codabar) {
+    const barcode = codabar[1] || codabar[2];
+    return {
+      symbology: 'codabar',
+      barcode,
+      checkDigitValid: codabarCheckDigit(barcode) === Number(barcode[13]),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Checks that a barcode can be read at a scanner station, for use as an
+ * express-validator `custom` check. Copies are labelled with the same
+ * barcodes the stations accept, so every copy can be scanned.
+ *
+ * @param {string} value - The barcode.
+ * @param {string} name - What to call the barcode in the error message.
+ * @returns {true} When the barcode is scannable.
+ * @throws {Error} If it is in neither format or its check digit is wrong.
+ */
+function assertScannable(value, name) {
+  const scan = parseScannedBarcode(value);
+  if (scan === null) {
+    throw new Error(`${name} must be an EAN-13 or 14-digit Codabar barcode`);
+  }
+  if (!scan.checkDigitValid) {
+    throw new Error(`${name} has an invalid check digit`);
+  }
+  return true;
+}
+
+module.exports = { parseScannedBarcode, assertScannable };
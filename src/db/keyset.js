@@ -0,0 +1,58 @@
+/**
+ * Reads one page of rows with keyset (seek) pagination over a two-column
+ * key ordered descending, e.g. `(created_at, id)`.
+ *
+ * Unlike LIMIT/OFFSET, the page boundary is the key of the last row seen, so
+ * rows inserted while a client pages never cause duplicates or skips, and
+ * deep pages cost the same as the first one.
+ *
+ * One extra row is read to tell whether another page exists in the
+ * direction of travel.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} options
+ * @param {string} options.table - The table to read from.
+ * @param {string} options.where - Base WHERE condition (use '1 = 1' for none).
+ * @param {Array} options.params - Values bound to the base condition.
+ * @param {[string, string]} options.keyColumns - The key columns, most significant first.
+ * @param {number} options.limit - Page size.
+ * @param {{ key: Array, direction: 'next'|'prev' }|null} options.cursor - The boundary to seek from, or null for the first page.
+ * @returns {{ rows: Object[], nextKey: Array|null, prevKey: Array|null }} The page in descending order and the keys bounding it.
+ */
+function findKeysetPage(db, { table, where, params, keyColumns, limit, cursor }) {
+  const [primary, tiebreaker] = keyColumns;
+  const backwards = Boolean(cursor) && cursor.direction === 'prev';
+
+  let condition = where;
+  const values = [...params];
+  if (cursor) {
+    condition += ` AND (${table}.${primary}, ${table}.${tiebreaker}) ${backwards ? '>' : '<'} (?, ?)`;
+    values.push(...cursor.key);
+  }
+
+  const order = backwards ? 'ASC' : 'DESC';
+  const rows = db.prepare(
+    `SELECT * FROM ${table} WHERE ${condition} ORDER BY ${table}.${primary} ${order}, ${table}.${tiebreaker} ${order} LIMIT ?`
+  ).all(...values, limit + 1);
+
+  const hasMore = rows.length > limit;
+  if (hasMore) {
+    rows.pop();
+  }
+  if (backwards) {
+    rows.reverse();
+  }
+
+  const keyOf = row => [row[primary], row[tiebreaker]];
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+
+  // Walking forward, there is a previous page whenever we started from a cursor;
+  // walking backward, there is always a next page (the one we came from).
+  const nextKey = last && (backwards || hasMore) ? keyOf(last) : null;
+  const prevKey = first && (backwards ? hasMore : Boolean(cursor)) ? keyOf(first) : null;
+
+  return { rows, nextKey, prevKey };
+}
+
+module.exports = { findKeysetPage };
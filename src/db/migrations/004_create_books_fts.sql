@@ -0,0 +1,34 @@
+-- Full-text index over the searchable book columns. ISBNs are indexed
+-- without hyphens or spaces so a search for the bare digits matches.
+CREATE VIRTUAL TABLE IF NOT EXISTS books_fts USING fts5(
+  book_id UNINDEXED,
+  title,
+  author,
+  isbn,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS books_fts_after_insert
+AFTER INSERT ON books
+BEGIN
+  INSERT INTO books_fts (book_id, title, author, isbn)
+  VALUES (new.id, new.title, new.author, replace(replace(new.isbn, '-', ''), ' ', ''));
+END;
+
+CREATE TRIGGER IF NOT EXISTS books_fts_after_update
+AFTER UPDATE OF title, author, isbn ON books
+BEGIN
+  DELETE FROM books_fts WHERE book_id = old.id;
+  INSERT INTO books_fts (book_id, title, author, isbn)
+  VALUES (new.id, new.title, new.author, replace(replace(new.isbn, '-', ''), ' ', ''));
+END;
+
+CREATE TRIGGER IF NOT EXISTS books_fts_after_delete
+AFTER DELETE ON books
+BEGIN
+  DELETE FROM books_fts WHERE book_id = old.id;
+END;
+
+-- Backfill rows that existed before this migration
+INSERT INTO books_fts (book_id, title, author, isbn)
+SELECT id, title, author, replace(replace(isbn, '-', ''), ' ', '') FROM books;
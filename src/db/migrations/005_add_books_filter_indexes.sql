@@ -0,0 +1,11 @@
+CREATE INDEX IF NOT EXISTS idx_books_status
+  ON books(status);
+
+CREATE INDEX IF NOT EXISTS idx_books_author
+  ON books(author COLLATE NOCASE);
+
+CREATE INDEX IF NOT EXISTS idx_books_published_year
+  ON books(published_year);
+
+CREATE INDEX IF NOT EXISTS idx_books_created_at
+  ON books(created_at);
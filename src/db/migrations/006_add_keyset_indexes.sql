@@ -0,0 +1,7 @@
+-- Composite indexes backing keyset pagination on (created_at, id) and
+-- (book_id, timestamp, id)
+CREATE INDEX IF NOT EXISTS idx_books_created_at_id
+  ON books(created_at, id);
+
+CREATE INDEX IF NOT EXISTS idx_checkout_history_book_id_timestamp_id
+  ON checkout_history(book_id, timestamp, id);
@@ -0,0 +1,22 @@
+CREATE TABLE IF NOT EXISTS patrons (
+  id           TEXT    PRIMARY KEY,
+  name         TEXT    NOT NULL,
+  email        TEXT    NOT NULL UNIQUE COLLATE NOCASE,
+  card_number  TEXT    NOT NULL UNIQUE,
+  status       TEXT    NOT NULL DEFAULT 'active',
+  expires_at   TEXT,
+  created_at   TEXT    NOT NULL DEFAULT (datetime('now')),
+  updated_at   TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+-- The borrower currently holding the book, cleared on return
+ALTER TABLE books ADD COLUMN patron_id TEXT REFERENCES patrons(id);
+
+-- The borrower involved in each checkout/return event
+ALTER TABLE checkout_history ADD COLUMN patron_id TEXT REFERENCES patrons(id);
+
+CREATE INDEX IF NOT EXISTS idx_books_patron_id
+  ON books(patron_id);
+
+CREATE INDEX IF NOT EXISTS idx_checkout_history_patron_id
+  ON checkout_history(patron_id);
@@ -0,0 +1,35 @@
+-- Loan period, in days, for each kind of item
+CREATE TABLE IF NOT EXISTS loan_periods (
+  item_type   TEXT    PRIMARY KEY,
+  loan_days   INTEGER NOT NULL CHECK (loan_days > 0),
+  updated_at  TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+INSERT OR IGNORE INTO loan_periods (item_type, loan_days) VALUES
+  ('book', 21),
+  ('audiobook', 14),
+  ('dvd', 7),
+  ('magazine', 7);
+
+-- Days the library is closed; due dates are pushed past them
+CREATE TABLE IF NOT EXISTS closed_days (
+  date        TEXT    PRIMARY KEY,
+  reason      TEXT,
+  created_at  TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+ALTER TABLE books ADD COLUMN item_type TEXT NOT NULL DEFAULT 'book';
+ALTER TABLE books ADD COLUMN due_at TEXT;
+
+-- Give books already on loan a due date from their item type's loan period
+UPDATE books
+SET due_at = strftime(
+  '%Y-%m-%dT%H:%M:%fZ',
+  checked_out_at,
+  '+' || (SELECT loan_days FROM loan_periods WHERE loan_periods.item_type = books.item_type) || ' days'
+)
+WHERE status = 'checked_out' AND checked_out_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_books_due_at
+  ON books(due_at)
+  WHERE due_at IS NOT NULL;
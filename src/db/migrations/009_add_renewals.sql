@@ -0,0 +1,11 @@
+-- How many times a loan of each item type may be renewed
+ALTER TABLE loan_periods ADD COLUMN max_renewals INTEGER NOT NULL DEFAULT 2 CHECK (max_renewals >= 0);
+
+-- Renewal state of the current loan; max_renewals is copied from the loan
+-- period at checkout so later policy changes do not affect existing loans
+ALTER TABLE books ADD COLUMN renewal_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE books ADD COLUMN max_renewals INTEGER;
+
+UPDATE books
+SET max_renewals = (SELECT max_renewals FROM loan_periods WHERE loan_periods.item_type = books.item_type)
+WHERE status = 'checked_out';
@@ -0,0 +1,27 @@
+-- Reservation queue for books that are out on loan. A hold is 'waiting'
+-- in FIFO order until the book comes back, 'ready' while it sits on the
+-- hold shelf for the patron, and then 'fulfilled', 'cancelled' or 'expired'.
+CREATE TABLE IF NOT EXISTS holds (
+  id                 TEXT  PRIMARY KEY,
+  book_id            TEXT  NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+  patron_id          TEXT  NOT NULL REFERENCES patrons(id) ON DELETE CASCADE,
+  status             TEXT  NOT NULL DEFAULT 'waiting',
+  created_at         TEXT  NOT NULL,
+  ready_at           TEXT,
+  pickup_expires_at  TEXT,
+  closed_at          TEXT
+);
+
+-- Queue order within a book
+CREATE INDEX IF NOT EXISTS idx_holds_book_queue
+  ON holds(book_id, created_at)
+  WHERE status IN ('waiting', 'ready');
+
+-- A patron may only be in a book's queue once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_holds_one_active_per_patron
+  ON holds(book_id, patron_id)
+  WHERE status IN ('waiting', 'ready');
+
+CREATE INDEX IF NOT EXISTS idx_holds_pickup_expires_at
+  ON holds(pickup_expires_at)
+  WHERE status = 'ready';
@@ -0,0 +1,37 @@
+-- Late fine policy per item type, in cents
+ALTER TABLE loan_periods ADD COLUMN fine_per_day_cents INTEGER NOT NULL DEFAULT 25 CHECK (fine_per_day_cents >= 0);
+ALTER TABLE loan_periods ADD COLUMN max_fine_cents INTEGER NOT NULL DEFAULT 1000 CHECK (max_fine_cents >= 0);
+
+UPDATE loan_periods SET fine_per_day_cents = 100, max_fine_cents = 2000 WHERE item_type = 'dvd';
+
+-- Append-only record of everything a patron is charged and pays. Charges
+-- are positive, payments and waivers negative, so the balance is the sum.
+-- book_id is kept as a plain reference because books can be purged while
+-- the ledger must stay intact.
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id            TEXT     PRIMARY KEY,
+  patron_id     TEXT     NOT NULL REFERENCES patrons(id),
+  book_id       TEXT,
+  type          TEXT     NOT NULL CHECK (type IN ('late_fine', 'lost', 'damaged', 'processing', 'payment', 'waiver')),
+  amount_cents  INTEGER  NOT NULL CHECK (
+    (type IN ('payment', 'waiver') AND amount_cents < 0)
+    OR (type NOT IN ('payment', 'waiver') AND amount_cents > 0)
+  ),
+  reason        TEXT,
+  created_at    TEXT     NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_patron_id
+  ON ledger_entries(patron_id, created_at);
+
+CREATE TRIGGER IF NOT EXISTS ledger_entries_no_update
+BEFORE UPDATE ON ledger_entries
+BEGIN
+  SELECT RAISE(ABORT, 'ledger_entries is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS ledger_entries_no_delete
+BEFORE DELETE ON ledger_entries
+BEGIN
+  SELECT RAISE(ABORT, 'ledger_entries is append-only');
+END;
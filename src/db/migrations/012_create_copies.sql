@@ -0,0 +1,95 @@
+-- Physical copies (items) of a catalogued book. A book row is now only the
+-- bibliographic record; each copy has its own barcode, condition, shelf
+-- location and loan, so the library can own several copies of one ISBN.
+CREATE TABLE IF NOT EXISTS copies (
+  id              TEXT    PRIMARY KEY,
+  book_id         TEXT    NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+  barcode         TEXT    NOT NULL UNIQUE,
+  condition       TEXT    NOT NULL DEFAULT 'good' CHECK (condition IN ('new', 'good', 'fair', 'poor')),
+  location        TEXT,
+  status          TEXT    NOT NULL DEFAULT 'available',
+  patron_id       TEXT    REFERENCES patrons(id),
+  checked_out_at  TEXT,
+  due_at          TEXT,
+  renewal_count   INTEGER NOT NULL DEFAULT 0,
+  max_renewals    INTEGER,
+  created_at      TEXT    NOT NULL DEFAULT (datetime('now')),
+  updated_at      TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_copies_book_id
+  ON copies(book_id);
+
+CREATE INDEX IF NOT EXISTS idx_copies_patron_id
+  ON copies(patron_id);
+
+CREATE INDEX IF NOT EXISTS idx_copies_due_at
+  ON copies(due_at)
+  WHERE due_at IS NOT NULL;
+
+-- Every existing book becomes its only copy. The copy reuses the book's id
+-- so existing history and hold-shelf entries can point at it; the barcode
+-- is provisional until the item is relabelled.
+INSERT INTO copies (
+  id, book_id, barcode, status, patron_id, checked_out_at, due_at,
+  renewal_count, max_renewals, created_at, updated_at
+)
+SELECT id, id, printf('LEGACY-%08d', rowid), status, patron_id, checked_out_at, due_at,
+       renewal_count, max_renewals, created_at, updated_at
+FROM books;
+
+-- The copy involved in each circulation event
+ALTER TABLE checkout_history ADD COLUMN copy_id TEXT REFERENCES copies(id);
+UPDATE checkout_history SET copy_id = book_id;
+
+-- The copy waiting on the hold shelf for a ready hold
+ALTER TABLE holds ADD COLUMN copy_id TEXT REFERENCES copies(id);
+UPDATE holds SET copy_id = book_id WHERE status = 'ready';
+
+-- The loan now lives on the copy
+DROP INDEX IF EXISTS idx_books_patron_id;
+DROP INDEX IF EXISTS idx_books_due_at;
+ALTER TABLE books DROP COLUMN patron_id;
+ALTER TABLE books DROP COLUMN checked_out_at;
+ALTER TABLE books DROP COLUMN due_at;
+ALTER TABLE books DROP COLUMN renewal_count;
+ALTER TABLE books DROP COLUMN max_renewals;
+
+-- books.status summarises the copies for listing and filtering: available
+-- if any copy is, else on_hold_shelf, else checked_out. A book without
+-- copies keeps the default 'available'.
+CREATE TRIGGER IF NOT EXISTS copies_status_after_insert
+AFTER INSERT ON copies
+BEGIN
+  UPDATE books SET status = COALESCE((
+    SELECT status FROM copies
+    WHERE book_id = new.book_id AND status IN ('available', 'on_hold_shelf', 'checked_out')
+    ORDER BY CASE status WHEN 'available' THEN 0 WHEN 'on_hold_shelf' THEN 1 ELSE 2 END
+    LIMIT 1
+  ), 'available')
+  WHERE id = new.book_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS copies_status_after_update
+AFTER UPDATE OF status ON copies
+BEGIN
+  UPDATE books SET status = COALESCE((
+    SELECT status FROM copies
+    WHERE book_id = new.book_id AND status IN ('available', 'on_hold_shelf', 'checked_out')
+    ORDER BY CASE status WHEN 'available' THEN 0 WHEN 'on_hold_shelf' THEN 1 ELSE 2 END
+    LIMIT 1
+  ), 'available')
+  WHERE id = new.book_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS copies_status_after_delete
+AFTER DELETE ON copies
+BEGIN
+  UPDATE books SET status = COALESCE((
+    SELECT status FROM copies
+    WHERE book_id = old.book_id AND status IN ('available', 'on_hold_shelf', 'checked_out')
+    ORDER BY CASE status WHEN 'available' THEN 0 WHEN 'on_hold_shelf' THEN 1 ELSE 2 END
+    LIMIT 1
+  ), 'available')
+  WHERE id = old.book_id;
+END;
@@ -0,0 +1,76 @@
+-- Every copy status is one of the states in src/services/copyStatus.js.
+-- SQLite cannot add a CHECK constraint to an existing table, and rebuilding
+-- copies is not possible inside a migration transaction while
+-- checkout_history and holds reference it, so these triggers enforce the
+-- constraint instead.
+CREATE TRIGGER IF NOT EXISTS copies_status_check_insert
+BEFORE INSERT ON copies
+WHEN new.status NOT IN (
+  'available', 'checked_out', 'on_hold_shelf', 'in_transit', 'lost', 'damaged', 'in_repair', 'withdrawn'
+)
+BEGIN
+  SELECT RAISE(ABORT, 'CHECK constraint failed: copies.status');
+END;
+
+CREATE TRIGGER IF NOT EXISTS copies_status_check_update
+BEFORE UPDATE OF status ON copies
+WHEN new.status NOT IN (
+  'available', 'checked_out', 'on_hold_shelf', 'in_transit', 'lost', 'damaged', 'in_repair', 'withdrawn'
+)
+BEGIN
+  SELECT RAISE(ABORT, 'CHECK constraint failed: copies.status');
+END;
+
+-- Each history entry records the status change it made, if any, and why.
+-- Entries written before this migration have no status columns.
+ALTER TABLE checkout_history ADD COLUMN from_status TEXT;
+ALTER TABLE checkout_history ADD COLUMN to_status TEXT;
+ALTER TABLE checkout_history ADD COLUMN reason TEXT;
+
+-- books.status summarises the copies: the status of the copy nearest the
+-- shelf, in the order below. A book without copies keeps 'available'.
+DROP TRIGGER IF EXISTS copies_status_after_insert;
+DROP TRIGGER IF EXISTS copies_status_after_update;
+DROP TRIGGER IF EXISTS copies_status_after_delete;
+
+CREATE TRIGGER copies_status_after_insert
+AFTER INSERT ON copies
+BEGIN
+  UPDATE books SET status = COALESCE((
+    SELECT status FROM copies
+    WHERE book_id = new.book_id
+    ORDER BY CASE status
+      WHEN 'available' THEN 0 WHEN 'on_hold_shelf' THEN 1 WHEN 'checked_out' THEN 2 WHEN 'in_transit' THEN 3
+      WHEN 'in_repair' THEN 4 WHEN 'damaged' THEN 5 WHEN 'lost' THEN 6 ELSE 7 END
+    LIMIT 1
+  ), 'available')
+  WHERE id = new.book_id;
+END;
+
+CREATE TRIGGER copies_status_after_update
+AFTER UPDATE OF status ON copies
+BEGIN
+  UPDATE books SET status = COALESCE((
+    SELECT status FROM copies
+    WHERE book_id = new.book_id
+    ORDER BY CASE status
+      WHEN 'available' THEN 0 WHEN 'on_hold_shelf' THEN 1 WHEN 'checked_out' THEN 2 WHEN 'in_transit' THEN 3
+      WHEN 'in_repair' THEN 4 WHEN 'damaged' THEN 5 WHEN 'lost' THEN 6 ELSE 7 END
+    LIMIT 1
+  ), 'available')
+  WHERE id = new.book_id;
+END;
+
+CREATE TRIGGER copies_status_after_delete
+AFTER DELETE ON copies
+BEGIN
+  UPDATE books SET status = COALESCE((
+    SELECT status FROM copies
+    WHERE book_id = old.book_id
+    ORDER BY CASE status
+      WHEN 'available' THEN 0 WHEN 'on_hold_shelf' THEN 1 WHEN 'checked_out' THEN 2 WHEN 'in_transit' THEN 3
+      WHEN 'in_repair' THEN 4 WHEN 'damaged' THEN 5 WHEN 'lost' THEN 6 ELSE 7 END
+    LIMIT 1
+  ), 'available')
+  WHERE id = old.book_id;
+END;
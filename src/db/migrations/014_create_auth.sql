@@ -0,0 +1,35 @@
+-- Staff accounts that sign in with a username and password. Passwords are
+-- stored as scrypt hashes.
+CREATE TABLE IF NOT EXISTS users (
+  id             TEXT  PRIMARY KEY,
+  username       TEXT  NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash  TEXT  NOT NULL,
+  role           TEXT  NOT NULL CHECK (role IN ('staff', 'admin')),
+  created_at     TEXT  NOT NULL,
+  last_login_at  TEXT
+);
+
+-- Refresh tokens are single use: each refresh marks its token used and
+-- issues a new one. Only the token id is stored.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id          TEXT  PRIMARY KEY,
+  user_id     TEXT  NOT NULL REFERENCES users(id),
+  expires_at  TEXT  NOT NULL,
+  used_at     TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+
+-- API keys for integrations. Only a SHA-256 hash of the key is stored; the
+-- prefix is kept so staff can tell keys apart. Revoked keys are kept for
+-- their last-used history.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id            TEXT  PRIMARY KEY,
+  name          TEXT  NOT NULL,
+  prefix        TEXT  NOT NULL,
+  key_hash      TEXT  NOT NULL UNIQUE,
+  role          TEXT  NOT NULL CHECK (role IN ('staff', 'admin')),
+  created_at    TEXT  NOT NULL,
+  last_used_at  TEXT,
+  revoked_at    TEXT
+);
@@ -0,0 +1,59 @@
+-- Staff roles become admin, librarian and clerk, and patrons can sign in to
+-- see their own loans. SQLite cannot change a CHECK constraint, so users and
+-- api_keys are rebuilt. refresh_tokens references users and is set aside
+-- while users is rebuilt. Existing staff become librarians, who keep what
+-- staff could do.
+CREATE TABLE refresh_tokens_old AS SELECT * FROM refresh_tokens;
+DROP TABLE refresh_tokens;
+
+CREATE TABLE users_new (
+  id             TEXT  PRIMARY KEY,
+  username       TEXT  NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash  TEXT  NOT NULL,
+  role           TEXT  NOT NULL CHECK (role IN ('admin', 'librarian', 'clerk', 'patron')),
+  patron_id      TEXT  REFERENCES patrons(id) ON DELETE CASCADE,
+  created_at     TEXT  NOT NULL,
+  last_login_at  TEXT,
+  CHECK ((role = 'patron') = (patron_id IS NOT NULL))
+);
+
+INSERT INTO users_new (id, username, password_hash, role, created_at, last_login_at)
+SELECT id, username, password_hash, CASE role WHEN 'staff' THEN 'librarian' ELSE role END, created_at, last_login_at
+FROM users;
+
+DROP TABLE users;
+ALTER TABLE users_new RENAME TO users;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_patron_id ON users(patron_id);
+
+CREATE TABLE refresh_tokens (
+  id          TEXT  PRIMARY KEY,
+  user_id     TEXT  NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  expires_at  TEXT  NOT NULL,
+  used_at     TEXT
+);
+
+INSERT INTO refresh_tokens SELECT * FROM refresh_tokens_old;
+DROP TABLE refresh_tokens_old;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+
+-- API keys are for integrations, never patrons
+CREATE TABLE api_keys_new (
+  id            TEXT  PRIMARY KEY,
+  name          TEXT  NOT NULL,
+  prefix        TEXT  NOT NULL,
+  key_hash      TEXT  NOT NULL UNIQUE,
+  role          TEXT  NOT NULL CHECK (role IN ('admin', 'librarian', 'clerk')),
+  created_at    TEXT  NOT NULL,
+  last_used_at  TEXT,
+  revoked_at    TEXT
+);
+
+INSERT INTO api_keys_new
+SELECT id, name, prefix, key_hash, CASE role WHEN 'staff' THEN 'librarian' ELSE role END,
+       created_at, last_used_at, revoked_at
+FROM api_keys;
+
+DROP TABLE api_keys;
+ALTER TABLE api_keys_new RENAME TO api_keys;
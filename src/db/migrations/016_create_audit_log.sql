@@ -0,0 +1,43 @@
+-- Append-only record of who changed what. seq orders the entries; each
+-- entry's hash covers its content and the hash of the entry before it, so
+-- editing or removing an entry breaks the chain from that point on (see
+-- AuditLog.verify). entity_id is a plain reference because the entities can
+-- be purged while the log must stay intact.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id           TEXT     PRIMARY KEY,
+  seq          INTEGER  NOT NULL UNIQUE,
+  actor_type   TEXT     NOT NULL CHECK (actor_type IN ('user', 'api_key', 'system')),
+  actor_id     TEXT,
+  actor_name   TEXT,
+  action       TEXT     NOT NULL,
+  entity_type  TEXT     NOT NULL,
+  entity_id    TEXT     NOT NULL,
+  before       TEXT,
+  after        TEXT,
+  request_id   TEXT,
+  ip           TEXT,
+  created_at   TEXT     NOT NULL,
+  prev_hash    TEXT     NOT NULL,
+  hash         TEXT     NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity
+  ON audit_log(entity_type, entity_id, seq);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id
+  ON audit_log(actor_id, seq);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at
+  ON audit_log(created_at);
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update
+BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete
+BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
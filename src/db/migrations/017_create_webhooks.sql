@@ -0,0 +1,37 @@
+-- Subscriptions to catalogue and circulation events. events is a JSON array
+-- of event types. A subscription whose deliveries keep failing is disabled
+-- (disabled_at) until someone turns it back on.
+CREATE TABLE IF NOT EXISTS webhooks (
+  id                    TEXT     PRIMARY KEY,
+  url                   TEXT     NOT NULL,
+  events                TEXT     NOT NULL,
+  secret                TEXT     NOT NULL,
+  consecutive_failures  INTEGER  NOT NULL DEFAULT 0,
+  disabled_at           TEXT,
+  created_at            TEXT     NOT NULL,
+  updated_at            TEXT     NOT NULL
+);
+
+-- One row per event per subscription. A pending delivery is attempted when
+-- next_attempt_at comes round and retried with backoff until it succeeds or
+-- runs out of attempts.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id               TEXT     PRIMARY KEY,
+  webhook_id       TEXT     NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event_id         TEXT     NOT NULL,
+  event_type       TEXT     NOT NULL,
+  payload          TEXT     NOT NULL,
+  status           TEXT     NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts         INTEGER  NOT NULL DEFAULT 0,
+  next_attempt_at  TEXT,
+  last_attempt_at  TEXT,
+  response_status  INTEGER,
+  last_error       TEXT,
+  created_at       TEXT     NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+  ON webhook_deliveries(status, next_attempt_at);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id
+  ON webhook_deliveries(webhook_id, created_at);
@@ -0,0 +1,41 @@
+-- Domain events, written in the same transaction as the change they
+-- describe. seq is assigned in commit order (SQLite has one writer at a
+-- time), so readers can page through the feed by seq without missing events.
+-- data is the event body as JSON.
+CREATE TABLE IF NOT EXISTS outbox (
+  seq             INTEGER  PRIMARY KEY AUTOINCREMENT,
+  id              TEXT     NOT NULL UNIQUE,
+  type            TEXT     NOT NULL,
+  aggregate_type  TEXT     NOT NULL,
+  aggregate_id    TEXT     NOT NULL,
+  data            TEXT     NOT NULL,
+  created_at      TEXT     NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_type
+  ON outbox(type, seq);
+
+CREATE TRIGGER IF NOT EXISTS outbox_no_update
+BEFORE UPDATE ON outbox
+BEGIN
+  SELECT RAISE(ABORT, 'outbox is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS outbox_no_delete
+BEFORE DELETE ON outbox
+BEGIN
+  SELECT RAISE(ABORT, 'outbox is append-only');
+END;
+
+-- How far each sink has got through the outbox: the seq of the last event
+-- it has handled.
+CREATE TABLE IF NOT EXISTS outbox_cursors (
+  sink        TEXT     PRIMARY KEY,
+  last_seq    INTEGER  NOT NULL,
+  updated_at  TEXT     NOT NULL
+);
+
+-- The webhooks sink looks up deliveries by event so a redispatched event is
+-- not queued twice
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event_id
+  ON webhook_deliveries(event_id, webhook_id);
@@ -0,0 +1,18 @@
+-- Responses to requests sent with an Idempotency-Key header, so a client
+-- retrying the same request gets the first response again instead of a
+-- second book or a 409. Keys are per caller (scope is the API key or user);
+-- fingerprint is a hash of the method, path and body the key was first used
+-- with. Rows are replayed until expires_at and purged after.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  scope          TEXT     NOT NULL,
+  key            TEXT     NOT NULL,
+  fingerprint    TEXT     NOT NULL,
+  status_code    INTEGER  NOT NULL,
+  response_body  TEXT     NOT NULL,
+  created_at     TEXT     NOT NULL,
+  expires_at     TEXT     NOT NULL,
+  PRIMARY KEY (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at
+  ON idempotency_keys(expires_at);
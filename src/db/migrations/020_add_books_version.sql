@@ -0,0 +1,12 @@
+-- A counter bumped by every change to a book row, including the status
+-- summary the copy triggers keep up to date. GET /books/{id} sends it as
+-- the ETag, and If-Match on writes is checked against it.
+ALTER TABLE books ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+-- Writes that set version themselves are left alone
+CREATE TRIGGER IF NOT EXISTS books_version_after_update
+AFTER UPDATE ON books
+WHEN new.version = old.version
+BEGIN
+  UPDATE books SET version = old.version + 1 WHERE id = new.id;
+END;
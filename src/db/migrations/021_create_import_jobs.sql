@@ -0,0 +1,28 @@
+-- Bulk catalog imports (POST /books/import). A job is created when the
+-- upload starts and its counters are updated as each chunk of rows is
+-- committed, so clients can poll its progress. Rows that could not be
+-- imported are kept in import_job_errors with the reasons why.
+CREATE TABLE IF NOT EXISTS import_jobs (
+  id              TEXT     PRIMARY KEY,
+  status          TEXT     NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed', 'failed')),
+  format          TEXT     NOT NULL CHECK (format IN ('csv', 'json', 'ndjson')),
+  on_duplicate    TEXT     NOT NULL CHECK (on_duplicate IN ('skip', 'upsert')),
+  dry_run         INTEGER  NOT NULL DEFAULT 0 CHECK (dry_run IN (0, 1)),
+  mapping         TEXT     NOT NULL DEFAULT '{}',
+  rows_processed  INTEGER  NOT NULL DEFAULT 0,
+  rows_created    INTEGER  NOT NULL DEFAULT 0,
+  rows_updated    INTEGER  NOT NULL DEFAULT 0,
+  rows_skipped    INTEGER  NOT NULL DEFAULT 0,
+  rows_failed     INTEGER  NOT NULL DEFAULT 0,
+  error           TEXT,
+  created_at      TEXT     NOT NULL,
+  updated_at      TEXT     NOT NULL,
+  finished_at     TEXT
+);
+
+CREATE TABLE IF NOT EXISTS import_job_errors (
+  job_id  TEXT     NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+  row     INTEGER  NOT NULL,
+  errors  TEXT     NOT NULL,
+  PRIMARY KEY (job_id, row)
+);
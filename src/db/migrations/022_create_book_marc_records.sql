@@ -0,0 +1,46 @@
+-- MARC import and export. The MARC record a book was imported from is kept
+-- whole, including every field the books table has no column for, so that
+-- exporting the book gives back the record that came in.
+CREATE TABLE IF NOT EXISTS book_marc_records (
+  book_id     TEXT  PRIMARY KEY REFERENCES books(id) ON DELETE CASCADE,
+  record      TEXT  NOT NULL,
+  updated_at  TEXT  NOT NULL
+);
+
+-- Import jobs can read MARC21 and MARCXML. SQLite cannot change a CHECK
+-- constraint, so import_jobs is rebuilt; import_job_errors references it
+-- and is set aside meanwhile.
+CREATE TABLE import_job_errors_old AS SELECT * FROM import_job_errors;
+DROP TABLE import_job_errors;
+
+CREATE TABLE import_jobs_new (
+  id              TEXT     PRIMARY KEY,
+  status          TEXT     NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed', 'failed')),
+  format          TEXT     NOT NULL CHECK (format IN ('csv', 'json', 'ndjson', 'marc21', 'marcxml')),
+  on_duplicate    TEXT     NOT NULL CHECK (on_duplicate IN ('skip', 'upsert')),
+  dry_run         INTEGER  NOT NULL DEFAULT 0 CHECK (dry_run IN (0, 1)),
+  mapping         TEXT     NOT NULL DEFAULT '{}',
+  rows_processed  INTEGER  NOT NULL DEFAULT 0,
+  rows_created    INTEGER  NOT NULL DEFAULT 0,
+  rows_updated    INTEGER  NOT NULL DEFAULT 0,
+  rows_skipped    INTEGER  NOT NULL DEFAULT 0,
+  rows_failed     INTEGER  NOT NULL DEFAULT 0,
+  error           TEXT,
+  created_at      TEXT     NOT NULL,
+  updated_at      TEXT     NOT NULL,
+  finished_at     TEXT
+);
+
+INSERT INTO import_jobs_new SELECT * FROM import_jobs;
+DROP TABLE import_jobs;
+ALTER TABLE import_jobs_new RENAME TO import_jobs;
+
+CREATE TABLE import_job_errors (
+  job_id  TEXT     NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+  row     INTEGER  NOT NULL,
+  errors  TEXT     NOT NULL,
+  PRIMARY KEY (job_id, row)
+);
+
+INSERT INTO import_job_errors SELECT * FROM import_job_errors_old;
+DROP TABLE import_job_errors_old;
@@ -0,0 +1,91 @@
+-- Replaces the triggers migration 013 used to restrict copies.status with a
+-- real CHECK constraint. SQLite cannot add a CHECK constraint to an existing
+-- table, so copies is rebuilt. checkout_history and holds reference copies;
+-- their foreign keys are deferred to the end of the migration's transaction,
+-- by when every copy is back under the same id.
+PRAGMA defer_foreign_keys = ON;
+
+CREATE TABLE copies_old AS SELECT * FROM copies;
+
+DROP TRIGGER IF EXISTS copies_status_check_insert;
+DROP TRIGGER IF EXISTS copies_status_check_update;
+DROP TRIGGER IF EXISTS copies_status_after_insert;
+DROP TRIGGER IF EXISTS copies_status_after_update;
+DROP TRIGGER IF EXISTS copies_status_after_delete;
+DROP TABLE copies;
+
+CREATE TABLE copies (
+  id              TEXT    PRIMARY KEY,
+  book_id         TEXT    NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+  barcode         TEXT    NOT NULL UNIQUE,
+  condition       TEXT    NOT NULL DEFAULT 'good' CHECK (condition IN ('new', 'good', 'fair', 'poor')),
+  location        TEXT,
+  status          TEXT    NOT NULL DEFAULT 'available' CHECK (status IN (
+    'available', 'checked_out', 'on_hold_shelf', 'in_transit', 'lost', 'damaged', 'in_repair', 'withdrawn'
+  )),
+  patron_id       TEXT    REFERENCES patrons(id),
+  checked_out_at  TEXT,
+  due_at          TEXT,
+  renewal_count   INTEGER NOT NULL DEFAULT 0,
+  max_renewals    INTEGER,
+  created_at      TEXT    NOT NULL DEFAULT (datetime('now')),
+  updated_at      TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+INSERT INTO copies SELECT * FROM copies_old;
+DROP TABLE copies_old;
+
+CREATE INDEX IF NOT EXISTS idx_copies_book_id
+  ON copies(book_id);
+
+CREATE INDEX IF NOT EXISTS idx_copies_patron_id
+  ON copies(patron_id);
+
+CREATE INDEX IF NOT EXISTS idx_copies_due_at
+  ON copies(due_at)
+  WHERE due_at IS NOT NULL;
+
+-- The triggers that keep books.status up to date (see migration 013) went
+-- with the old table. They are recreated after the copies are copied back,
+-- so the rebuild leaves every book, and its version, as it was.
+CREATE TRIGGER copies_status_after_insert
+AFTER INSERT ON copies
+BEGIN
+  UPDATE books SET status = COALESCE((
+    SELECT status FROM copies
+    WHERE book_id = new.book_id
+    ORDER BY CASE status
+      WHEN 'available' THEN 0 WHEN 'on_hold_shelf' THEN 1 WHEN 'checked_out' THEN 2 WHEN 'in_transit' THEN 3
+      WHEN 'in_repair' THEN 4 WHEN 'damaged' THEN 5 WHEN 'lost' THEN 6 ELSE 7 END
+    LIMIT 1
+  ), 'available')
+  WHERE id = new.book_id;
+END;
+
+CREATE TRIGGER copies_status_after_update
+AFTER UPDATE OF status ON copies
+BEGIN
+  UPDATE books SET status = COALESCE((
+    SELECT status FROM copies
+    WHERE book_id = new.book_id
+    ORDER BY CASE status
+      WHEN 'available' THEN 0 WHEN 'on_hold_shelf' THEN 1 WHEN 'checked_out' THEN 2 WHEN 'in_transit' THEN 3
+      WHEN 'in_repair' THEN 4 WHEN 'damaged' THEN 5 WHEN 'lost' THEN 6 ELSE 7 END
+    LIMIT 1
+  ), 'available')
+  WHERE id = new.book_id;
+END;
+
+CREATE TRIGGER copies_status_after_delete
+AFTER DELETE ON copies
+BEGIN
+  UPDATE books SET status = COALESCE((
+    SELECT status FROM copies
+    WHERE book_id = old.book_id
+    ORDER BY CASE status
+      WHEN 'available' THEN 0 WHEN 'on_hold_shelf' THEN 1 WHEN 'checked_out' THEN 2 WHEN 'in_transit' THEN 3
+      WHEN 'in_repair' THEN 4 WHEN 'damaged' THEN 5 WHEN 'lost' THEN 6 ELSE 7 END
+    LIMIT 1
+  ), 'available')
+  WHERE id = old.book_id;
+END;
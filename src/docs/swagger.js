@@ -1,4 +1,16 @@
 const swaggerJsdoc = require('swagger-jsdoc');
+const { permissionMatrix } = require('../permissions');
+const { ERROR_CATALOG, errorType } = require('../errors');
+
+const PERMISSIONS_NOTE = 'Each operation names the permission it needs in `x-permission`. The caller\'s role grants these permissions:';
+
+const ERROR_CODES = Object.keys(ERROR_CATALOG);
+
+const PROBLEM_CONTENT = {
+  'application/problem+json': {
+    schema: { $ref: '#/components/schemas/Problem' },
+  },
+};
 
 const options = {
   definition: {
@@ -14,10 +26,154 @@ const options = {
         description: 'API server',
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: `Access token from POST /auth/login.\n\n${PERMISSIONS_NOTE}\n\n${permissionMatrix()}`,
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: `Integration API key from POST /auth/keys. Keys have the admin, librarian or clerk role.\n\n${PERMISSIONS_NOTE}\n\n${permissionMatrix()}`,
+        },
+      },
+      schemas: {
+        ErrorCode: {
+          type: 'string',
+          enum: ERROR_CODES,
+          description: ERROR_CODES
+            .map(code => `- \`${code}\` (${ERROR_CATALOG[code].status}): ${ERROR_CATALOG[code].description}`)
+            .join('\n'),
+        },
+        Problem: {
+          type: 'object',
+          description: 'An RFC 7807 problem details document, sent for every error',
+          required: ['type', 'title', 'status', 'detail', 'instance', 'code'],
+          properties: {
+            type: { type: 'string', format: 'uri-reference', example: errorType('BOOK_NOT_FOUND') },
+            title: { type: 'string', example: ERROR_CATALOG.BOOK_NOT_FOUND.title },
+            status: { type: 'integer', example: 404 },
+            detail: { type: 'string', example: 'Book not found' },
+            instance: { type: 'string', format: 'uri-reference', example: '/books/9b2f6a52-4a2e-4c1e-9a53-2f4f2c1a7e10' },
+            code: { $ref: '#/components/schemas/ErrorCode' },
+            request_id: { type: 'string', description: 'The X-Request-Id of the failed request' },
+            invalid_params: {
+              type: 'array',
+              description: 'VALIDATION_FAILED only',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', example: 'isbn' },
+                  in: { type: 'string', enum: ['body', 'query', 'params', 'headers'] },
+                  reason: { type: 'string', example: 'ISBN must be a valid ISBN-10 or ISBN-13' },
+                },
+              },
+            },
+            reason: {
+              type: 'string',
+              description: 'RENEWAL_DENIED only',
+              enum: ['NOT_CHECKED_OUT', 'PATRON_INELIGIBLE', 'HOLDS_PENDING', 'RENEWAL_LIMIT_REACHED'],
+            },
+          },
+        },
+        ImportJob: {
+          type: 'object',
+          description: 'A bulk import started by POST /books/import. The row counts grow as each chunk of rows is committed.',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            status: { type: 'string', enum: ['processing', 'completed', 'failed'] },
+            format: { type: 'string', enum: ['csv', 'json', 'ndjson', 'marc21', 'marcxml'] },
+            on_duplicate: { type: 'string', enum: ['skip', 'upsert'] },
+            dry_run: { type: 'boolean', description: 'True if no books are changed, only counted' },
+            mapping: { type: 'object', additionalProperties: { type: 'string' }, example: { title: 'Book Title' } },
+            rows_processed: { type: 'integer', example: 1500 },
+            rows_created: { type: 'integer', example: 1320 },
+            rows_updated: { type: 'integer', example: 0 },
+            rows_skipped: { type: 'integer', example: 170 },
+            rows_failed: { type: 'integer', example: 10 },
+            error: { type: 'string', nullable: true, description: 'Why a failed import stopped', example: 'The JSON array is never closed' },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' },
+            finished_at: { type: 'string', format: 'date-time', nullable: true },
+          },
+        },
+        ErrorCatalogEntry: {
+          type: 'object',
+          properties: {
+            code: { $ref: '#/components/schemas/ErrorCode' },
+            type: { type: 'string', format: 'uri-reference', example: errorType('BOOK_NOT_FOUND') },
+            status: { type: 'integer', example: 404 },
+            title: { type: 'string', example: ERROR_CATALOG.BOOK_NOT_FOUND.title },
+            description: { type: 'string', example: ERROR_CATALOG.BOOK_NOT_FOUND.description },
+          },
+        },
+      },
+      parameters: {
+        IfMatch: {
+          in: 'header',
+          name: 'If-Match',
+          required: false,
+          schema: { type: 'string', example: '"3"' },
+          description: 'The book\'s ETag from GET /books/{id}, or `*`. The write is refused with PRECONDITION_FAILED if the book has changed since, so two people cannot overwrite each other\'s edits. For a copy, the ETag is its book\'s. The server can be set to require it (PRECONDITION_REQUIRED).',
+        },
+        IfNoneMatch: {
+          in: 'header',
+          name: 'If-None-Match',
+          required: false,
+          schema: { type: 'string', example: '"3"' },
+          description: 'The ETag of the copy the client already has. The response is 304 with no body while it is still current.',
+        },
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: { type: 'string', minLength: 1, maxLength: 255, example: '7c0e8e1a-4d5b-4a4e-9a0c-0f3f1b2d6e8a' },
+          description: 'A unique value, such as a UUID, that makes the request safe to retry. For 24 hours, repeating the request with the same key returns the stored response instead of doing it again; reusing the key with a different body is rejected with IDEMPOTENCY_KEY_REUSED. Keys are scoped to the caller.',
+        },
+      },
+      headers: {
+        ETag: {
+          description: 'Strong entity tag of the book, for If-None-Match and If-Match',
+          schema: { type: 'string', example: '"3"' },
+        },
+        IdempotentReplayed: {
+          description: 'Present and `true` when the response is a replay of an earlier request with the same Idempotency-Key',
+          schema: { type: 'string', enum: ['true'] },
+        },
+      },
+      responses: {
+        Unauthorized: {
+          description: 'Missing, invalid or expired credentials',
+          content: PROBLEM_CONTENT,
+        },
+        Forbidden: {
+          description: 'The caller\'s role does not grant the permission the operation needs',
+          content: PROBLEM_CONTENT,
+        },
+      },
+    },
+    // Every operation needs one of these unless it says otherwise
+    security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
   },
   apis: ['./src/routes/*.js'],
 };
 
 const swaggerSpec = swaggerJsdoc(options);
 
+// Every error is a problem document, so route docs only describe when each
+// status happens and the body is filled in here
+for (const operations of Object.values(swaggerSpec.paths)) {
+  for (const operation of Object.values(operations)) {
+    for (const [status, response] of Object.entries(operation.responses || {})) {
+      if (Number(status) >= 400 && !response.$ref && !response.content) {
+        response.content = PROBLEM_CONTENT;
+      }
+    }
+  }
+}
+
 module.exports = swaggerSpec;
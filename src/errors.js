@@ -1,21 +1,475 @@
+// Every error the API can respond with, by its stable machine-readable code.
+// The error classes below, the problem+json bodies built by errorHandler,
+// GET /errors and the OpenAPI Problem schema are all generated from this
+// list. A code is never renamed or given a new meaning once released.
+const ERROR_CATALOG = {
+  VALIDATION_FAILED: {
+    status: 400,
+    title: 'Validation failed',
+    description: 'One or more parameters are invalid. `invalid_params` lists each one and why.',
+  },
+  MALFORMED_JSON: {
+    status: 400,
+    title: 'Malformed JSON',
+    description: 'The request body could not be parsed as JSON.',
+  },
+  UNAUTHORIZED: {
+    status: 401,
+    title: 'Unauthorized',
+    description: 'Credentials are missing, invalid, expired or revoked.',
+  },
+  FORBIDDEN: {
+    status: 403,
+    title: 'Forbidden',
+    description: 'The caller\'s role does not grant the permission the operation needs.',
+  },
+  PATRON_INELIGIBLE: {
+    status: 403,
+    title: 'Patron not eligible',
+    description: 'The patron is suspended or expired, or owes more than the fines threshold.',
+  },
+  TRANSITION_FORBIDDEN: {
+    status: 403,
+    title: 'Transition not allowed for this role',
+    description: 'The copy status change is valid, but the caller\'s role may not make it.',
+  },
+  NOT_FOUND: {
+    status: 404,
+    title: 'Not found',
+    description: 'Nothing exists at the requested URL.',
+  },
+  BOOK_NOT_FOUND: {
+    status: 404,
+    title: 'Book not found',
+    description: 'No book has the given id, or it is not in the trash when restoring.',
+  },
+  COPY_NOT_FOUND: {
+    status: 404,
+    title: 'Copy not found',
+    description: 'No copy has the given barcode.',
+  },
+  PATRON_NOT_FOUND: {
+    status: 404,
+    title: 'Patron not found',
+    description: 'No patron has the given id or card number.',
+  },
+  HOLD_NOT_FOUND: {
+    status: 404,
+    title: 'Hold not found',
+    description: 'The book has no hold with the given id.',
+  },
+  CLOSED_DAY_NOT_FOUND: {
+    status: 404,
+    title: 'Closed day not found',
+    description: 'The date is not marked as closed.',
+  },
+  API_KEY_NOT_FOUND: {
+    status: 404,
+    title: 'API key not found',
+    description: 'No API key has the given id.',
+  },
+  WEBHOOK_NOT_FOUND: {
+    status: 404,
+    title: 'Webhook not found',
+    description: 'No webhook subscription has the given id.',
+  },
+  WEBHOOK_DELIVERY_NOT_FOUND: {
+    status: 404,
+    title: 'Delivery not found',
+    description: 'The webhook subscription has no delivery with the given id.',
+  },
+  IMPORT_JOB_NOT_FOUND: {
+    status: 404,
+    title: 'Import job not found',
+    description: 'No import job has the given id.',
+  },
+  BOOK_UNAVAILABLE: {
+    status: 409,
+    title: 'Book unavailable',
+    description: 'The copy or book is not in a state that allows this, for example it is checked out or on the hold shelf.',
+  },
+  RENEWAL_DENIED: {
+    status: 409,
+    title: 'Renewal denied',
+    description: 'The loan cannot be renewed. `reason` is one of NOT_CHECKED_OUT, PATRON_INELIGIBLE, HOLDS_PENDING or RENEWAL_LIMIT_REACHED.',
+  },
+  HOLD_CONFLICT: {
+    status: 409,
+    title: 'Hold not allowed',
+    description: 'The patron already holds or has borrowed the book, or a copy is available to check out instead.',
+  },
+  LEDGER_CONFLICT: {
+    status: 409,
+    title: 'Ledger conflict',
+    description: 'A payment or waiver exceeds the patron\'s outstanding balance.',
+  },
+  INVALID_TRANSITION: {
+    status: 409,
+    title: 'Invalid status transition',
+    description: 'A copy cannot move from its current status to the requested one.',
+  },
+  ISBN_CONFLICT: {
+    status: 409,
+    title: 'ISBN already in use',
+    description: 'Another book already has this ISBN.',
+  },
+  BARCODE_CONFLICT: {
+    status: 409,
+    title: 'Barcode already in use',
+    description: 'Another copy already has this barcode.',
+  },
+  PATRON_CONFLICT: {
+    status: 409,
+    title: 'Patron details already in use',
+    description: 'Another patron already has this email or card number.',
+  },
+  PATRON_HAS_HISTORY: {
+    status: 409,
+    title: 'Patron has history',
+    description: 'The patron has loan or fines history and cannot be deleted.',
+  },
+  USER_CONFLICT: {
+    status: 409,
+    title: 'User already exists',
+    description: 'The username is taken, or the patron already has an account.',
+  },
+  CLOSED_DAY_CONFLICT: {
+    status: 409,
+    title: 'Date already closed',
+    description: 'The date is already marked as closed.',
+  },
+  API_KEY_REVOKED: {
+    status: 409,
+    title: 'API key revoked',
+    description: 'The API key has already been revoked.',
+  },
+  PRECONDITION_FAILED: {
+    status: 412,
+    title: 'Precondition failed',
+    description: 'The book has changed since the ETag sent in If-Match was read. Fetch it again and retry.',
+  },
+  UNSUPPORTED_MEDIA_TYPE: {
+    status: 415,
+    title: 'Unsupported media type',
+    description: 'The request body is not in a format the endpoint accepts; the detail lists the ones it does.',
+  },
+  IDEMPOTENCY_KEY_REUSED: {
+    status: 422,
+    title: 'Idempotency key reused',
+    description: 'The Idempotency-Key was already used with a different method, path or body. Use a new key for a new request.',
+  },
+  UPGRADE_REQUIRED: {
+    status: 426,
+    title: 'Upgrade required',
+    description: 'The endpoint only accepts WebSocket connections.',
+  },
+  PRECONDITION_REQUIRED: {
+    status: 428,
+    title: 'Precondition required',
+    description: 'The server requires an If-Match header with the book\'s ETag on this write.',
+  },
+  RATE_LIMITED: {
+    status: 429,
+    title: 'Too many requests',
+    description: 'The client has sent too many requests; wait for the time in Retry-After.',
+  },
+  INTERNAL_ERROR: {
+    status: 500,
+    title: 'Internal server error',
+    description: 'The server failed unexpectedly. Quote `request_id` when reporting it.',
+  },
+  STREAM_LIMIT_REACHED: {
+    status: 503,
+    title: 'Too many event streams',
+    description: 'The server has as many open event streams as it allows; try again after Retry-After.',
+  },
+};
+
+/**
+ * The problem `type` URI for a code: its entry in GET /errors.
+ *
+ * @param {string} code - A key of ERROR_CATALOG.
+ * @returns {string} The URI, relative to the API root.
+ */
+function errorType(code) {
+  return `/errors/${code}`;
+}
+
 class AppError extends Error {
-  constructor(message, statusCode) {
+  /**
+   * @param {string} message - What went wrong, sent as the problem's `detail`.
+   * @param {string} code - A key of ERROR_CATALOG; sets the HTTP status.
+   */
+  constructor(message, code) {
+    if (!Object.prototype.hasOwnProperty.call(ERROR_CATALOG, code)) {
+      throw new TypeError(`Unknown error code: ${code}`);
+    }
     super(message);
     this.name = this.constructor.name;
-    this.statusCode = statusCode;
+    this.code = code;
+    this.statusCode = ERROR_CATALOG[code].status;
+  }
+}
+
+class ValidationError extends AppError {
+  /**
+   * @param {Array<{ name: string, in: string, reason: string }>} invalidParams - Each invalid parameter, where it was sent and why it is invalid.
+   */
+  constructor(invalidParams, message = 'The request has invalid parameters') {
+    super(message, 'VALIDATION_FAILED');
+    this.invalidParams = invalidParams;
+  }
+}
+
+class MalformedJsonError extends AppError {
+  constructor(message = 'Malformed JSON in request body') {
+    super(message, 'MALFORMED_JSON');
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found') {
+    super(message, 'NOT_FOUND');
   }
 }
 
 class BookNotFoundError extends AppError {
   constructor(message = 'Book not found') {
-    super(message, 404);
+    super(message, 'BOOK_NOT_FOUND');
   }
 }
 
 class BookUnavailableError extends AppError {
   constructor(message) {
-    super(message, 409);
+    super(message, 'BOOK_UNAVAILABLE');
+  }
+}
+
+class CopyNotFoundError extends AppError {
+  constructor(message = 'Copy not found') {
+    super(message, 'COPY_NOT_FOUND');
+  }
+}
+
+class PatronNotFoundError extends AppError {
+  constructor(message = 'Patron not found') {
+    super(message, 'PATRON_NOT_FOUND');
+  }
+}
+
+class PatronIneligibleError extends AppError {
+  constructor(message) {
+    super(message, 'PATRON_INELIGIBLE');
+  }
+}
+
+class RenewalDeniedError extends AppError {
+  constructor(message, reason) {
+    super(message, 'RENEWAL_DENIED');
+    this.reason = reason;
+  }
+}
+
+class HoldNotFoundError extends AppError {
+  constructor(message = 'Hold not found') {
+    super(message, 'HOLD_NOT_FOUND');
+  }
+}
+
+class HoldConflictError extends AppError {
+  constructor(message) {
+    super(message, 'HOLD_CONFLICT');
+  }
+}
+
+class LedgerConflictError extends AppError {
+  constructor(message) {
+    super(message, 'LEDGER_CONFLICT');
+  }
+}
+
+class InvalidTransitionError extends AppError {
+  constructor(message) {
+    super(message, 'INVALID_TRANSITION');
+  }
+}
+
+class TransitionForbiddenError extends AppError {
+  constructor(message) {
+    super(message, 'TRANSITION_FORBIDDEN');
+  }
+}
+
+class IsbnConflictError extends AppError {
+  constructor(message = 'A book with this ISBN already exists') {
+    super(message, 'ISBN_CONFLICT');
+  }
+}
+
+class BarcodeConflictError extends AppError {
+  constructor(message = 'A copy with this barcode already exists') {
+    super(message, 'BARCODE_CONFLICT');
+  }
+}
+
+class PatronConflictError extends AppError {
+  constructor(message) {
+    super(message, 'PATRON_CONFLICT');
+  }
+}
+
+class PatronHasHistoryError extends AppError {
+  constructor(message) {
+    super(message, 'PATRON_HAS_HISTORY');
+  }
+}
+
+class UserConflictError extends AppError {
+  constructor(message) {
+    super(message, 'USER_CONFLICT');
+  }
+}
+
+class ClosedDayNotFoundError extends AppError {
+  constructor(message = 'Closed day not found') {
+    super(message, 'CLOSED_DAY_NOT_FOUND');
+  }
+}
+
+class ClosedDayConflictError extends AppError {
+  constructor(message = 'This date is already marked as closed') {
+    super(message, 'CLOSED_DAY_CONFLICT');
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 'UNAUTHORIZED');
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to do this') {
+    super(message, 'FORBIDDEN');
+  }
+}
+
+class ApiKeyNotFoundError extends AppError {
+  constructor(message = 'API key not found') {
+    super(message, 'API_KEY_NOT_FOUND');
+  }
+}
+
+class ApiKeyRevokedError extends AppError {
+  constructor(message = 'API key has been revoked') {
+    super(message, 'API_KEY_REVOKED');
+  }
+}
+
+class WebhookNotFoundError extends AppError {
+  constructor(message = 'Webhook not found') {
+    super(message, 'WEBHOOK_NOT_FOUND');
+  }
+}
+
+class WebhookDeliveryNotFoundError extends AppError {
+  constructor(message = 'Delivery not found') {
+    super(message, 'WEBHOOK_DELIVERY_NOT_FOUND');
+  }
+}
+
+class ImportJobNotFoundError extends AppError {
+  constructor(message = 'Import job not found') {
+    super(message, 'IMPORT_JOB_NOT_FOUND');
+  }
+}
+
+class PreconditionFailedError extends AppError {
+  constructor(message = 'The book has changed since it was read') {
+    super(message, 'PRECONDITION_FAILED');
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message = 'Unsupported media type') {
+    super(message, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+}
+
+class IdempotencyKeyReusedError extends AppError {
+  constructor(message = 'This Idempotency-Key was already used with a different request') {
+    super(message, 'IDEMPOTENCY_KEY_REUSED');
+  }
+}
+
+class UpgradeRequiredError extends AppError {
+  constructor(message = 'This endpoint only accepts WebSocket connections') {
+    super(message, 'UPGRADE_REQUIRED');
+  }
+}
+
+class PreconditionRequiredError extends AppError {
+  constructor(message = 'This request requires an If-Match header') {
+    super(message, 'PRECONDITION_REQUIRED');
+  }
+}
+
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests, please try again later') {
+    super(message, 'RATE_LIMITED');
+  }
+}
+
+class InternalServerError extends AppError {
+  constructor(message = 'Internal server error') {
+    super(message, 'INTERNAL_ERROR');
+  }
+}
+
+class StreamLimitError extends AppError {
+  constructor(message = 'Too many open event streams; try again later') {
+    super(message, 'STREAM_LIMIT_REACHED');
   }
 }
 
-module.exports = { AppError, BookNotFoundError, BookUnavailableError };
+module.exports = {
+  ERROR_CATALOG,
+  errorType,
+  AppError,
+  ValidationError,
+  MalformedJsonError,
+  NotFoundError,
+  BookNotFoundError,
+  BookUnavailableError,
+  CopyNotFoundError,
+  PatronNotFoundError,
+  PatronIneligibleError,
+  RenewalDeniedError,
+  HoldNotFoundError,
+  HoldConflictError,
+  LedgerConflictError,
+  InvalidTransitionError,
+  TransitionForbiddenError,
+  IsbnConflictError,
+  BarcodeConflictError,
+  PatronConflictError,
+  PatronHasHistoryError,
+  UserConflictError,
+  ClosedDayNotFoundError,
+  ClosedDayConflictError,
+  UnauthorizedError,
+  ForbiddenError,
+  ApiKeyNotFoundError,
+  ApiKeyRevokedError,
+  WebhookNotFoundError,
+  WebhookDeliveryNotFoundError,
+  ImportJobNotFoundError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  IdempotencyKeyReusedError,
+  UpgradeRequiredError,
+  PreconditionRequiredError,
+  RateLimitError,
+  InternalServerError,
+  StreamLimitError,
+};
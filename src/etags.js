@@ -0,0 +1,49 @@
+const { PreconditionFailedError } = require('./errors');
+
+// An entity-tag as RFC 9110 writes it: optionally weak, always quoted
+const ENTITY_TAG_PATTERN = /(W\/)?"[^"]*"/g;
+
+/**
+ * The strong ETag of a book. It is the book's version, which every write to
+ * the book or to the status of one of its copies bumps, so it changes
+ * whenever GET /books/{id} would return something different.
+ *
+ * @param {{ version: number }} book - The book row.
+ * @returns {string} The quoted ETag.
+ */
+function bookEtag(book) {
+  return `"${book.version}"`;
+}
+
+/**
+ * Parses an If-Match header. If-Match uses the strong comparison, so weak
+ * tags are dropped: they can never match.
+ *
+ * @param {string} header - The header value.
+ * @returns {'*'|string[]} `*`, or the strong ETags listed.
+ */
+function parseIfMatch(header) {
+  if (header.trim() === '*') {
+    return '*';
+  }
+  return (header.match(ENTITY_TAG_PATTERN) || []).filter(tag => !tag.startsWith('W/'));
+}
+
+/**
+ * Checks a book against the If-Match the client sent. Call it inside the
+ * transaction that writes the book, so nothing can change it in between.
+ *
+ * @param {{ version: number }} book - The book as it is now.
+ * @param {'*'|string[]|undefined} ifMatch - From parseIfMatch, or undefined when the client sent none.
+ * @throws {PreconditionFailedError} If the book's ETag is not one of those listed.
+ */
+function assertIfMatch(book, ifMatch) {
+  if (ifMatch === undefined || ifMatch === '*') {
+    return;
+  }
+  if (!ifMatch.includes(bookEtag(book))) {
+    throw new PreconditionFailedError();
+  }
+}
+
+module.exports = { bookEtag, parseIfMatch, assertIfMatch };
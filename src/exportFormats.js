@@ -0,0 +1,127 @@
+const logger = require('./logger');
+
+// Media type of each format offered by the export endpoints
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  json: 'application/json',
+};
+
+/**
+ * Escapes a value as a CSV field (RFC 4180). Fields holding a comma, a
+ * quote or a line break are quoted, with quotes doubled; null is empty.
+ *
+ * Text a spreadsheet would run as a formula (starting with `=`, `+`, `-`,
+ * `@`, a tab or a carriage return) is prefixed with `'`, so it is shown as
+ * text instead. Numbers are written as they are.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The field.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds the text for each part of an export: `head` before the first row,
+ * `row` for each row and `tail` after the last. Only `columns` are
+ * written, in that order.
+ */
+function serializer(format, columns, { bom }) {
+  const pick = record => Object.fromEntries(columns.map(column => [column, record[column]]));
+
+  if (format === 'csv') {
+    // CRLF line endings and a byte order mark are what Excel expects
+    return {
+      head: `${bom ? '\uFEFF' : ''}${columns.map(csvField).join(',')}\r\n`,
+      row: record => `${columns.map(column => csvField(record[column])).join(',')}\r\n`,
+      tail: '',
+    };
+  }
+  if (format === 'ndjson') {
+    return { head: '', row: record => `${JSON.stringify(pick(record))}\n`, tail: '' };
+  }
+  return {
+    head: '[',
+    row: (record, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(pick(record))}`,
+    tail: '\n]\n',
+  };
+}
+
+// Waits until the response can take more data, or has been closed
+function writable(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Streams rows to the response as they are read, so memory stays flat
+ * however many rows there are.
+ *
+ * Rows come from a better-sqlite3 iterator, which keeps the connection busy
+ * (no other statement can write) for as long as it is open. The iterator is
+ * therefore only read while the response can take more data: when the
+ * client falls behind it is closed, and once the response drains a new one
+ * is opened after the last row sent.
+ *
+ * If reading fails part way, the error is logged and the response is cut
+ * off, so the client sees an incomplete download rather than a short file.
+ *
+ * @param {import('http').ServerResponse} res - The response, with its headers set.
+ * @param {Object} options
+ * @param {'csv'|'ndjson'|'json'} options.format - A key of EXPORT_FORMATS.
+ * @param {string[]} options.columns - The columns to write, in order.
+ * @param {boolean} [options.bom=false] - Start a CSV export with a UTF-8 byte order mark.
+ * @param {Function} options.open - Called with the `rowid` of the last row sent (0 at first); returns an iterator over the rows after it, in rowid order.
+ * @param {Object} [options.log=logger] - A pino logger.
+ * @returns {Promise<void>} Resolves once the export is written or the client has gone.
+ */
+async function writeExport(res, { format, columns, bom = false, open, log = logger }) {
+  const { head, row, tail } = serializer(format, columns, { bom });
+  let after = 0;
+  let index = 0;
+
+  try {
+    res.write(head);
+
+    for (;;) {
+      let full = false;
+      for (const record of open(after)) {
+        after = record.rowid;
+        full = !res.write(row(record, index));
+        index += 1;
+        if (full) {
+          break;
+        }
+      }
+
+      if (!full) {
+        break;
+      }
+      if (!res.destroyed) {
+        await writable(res);
+      }
+      if (res.destroyed) {
+        return;
+      }
+    }
+
+    res.end(tail);
+  } catch (err) {
+    log.error({ err }, 'Export failed');
+    res.destroy(err);
+  }
+}
+
+module.exports = { EXPORT_FORMATS, csvField, writeExport };
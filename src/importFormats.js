@@ -0,0 +1,430 @@
+const { StringDecoder } = require('string_decoder');
+const { MarcFormatError, parseMarc21, parseMarcXml, bookFieldsFromMarc } = require('./marc');
+
+// Upload formats accepted by POST /books/import, by media type
+const IMPORT_FORMATS = {
+  'text/csv': 'csv',
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson',
+};
+
+// Upload formats accepted by POST /books/import/marc, by media type
+const MARC_IMPORT_FORMATS = {
+  'application/marc': 'marc21',
+  'application/marcxml+xml': 'marcxml',
+};
+
+// ISO 2709 caps a record at 99999 bytes. A MARCXML record has no set limit,
+// so allow one well beyond any real record.
+const MAX_MARC21_LENGTH = 99999;
+const MAX_MARCXML_LENGTH = 1000000;
+
+// A JSON or NDJSON row longer than this is reported as a row error and its
+// text is dropped as it arrives, instead of being buffered without bound.
+const MAX_JSON_ROW_LENGTH = 1000000;
+
+/**
+ * An upload that cannot be read any further, e.g. an unterminated quoted
+ * CSV field. Problems confined to one row are reported against that row
+ * instead.
+ */
+class UploadFormatError extends Error {}
+
+/**
+ * Decodes a stream of Buffer chunks as UTF-8 text, dropping a leading
+ * byte order mark. Multi-byte characters split across chunks are kept whole.
+ */
+async function* decode(chunks) {
+  const decoder = new StringDecoder('utf8');
+  let first = true;
+
+  for await (const chunk of chunks) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (first && text.length > 0) {
+      text = text.replace(/^\uFEFF/, '');
+      first = false;
+    }
+    yield text;
+  }
+  yield decoder.end();
+}
+
+/**
+ * Splits CSV text into records (RFC 4180): fields are separated by commas,
+ * may be quoted to hold commas, line breaks and doubled quotes, and records
+ * end with LF, CRLF or CR. Blank lines are skipped.
+ */
+async function* csvRecords(chunks) {
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let afterQuote = false;
+  let afterCr = false;
+  let line = 1;
+  let quoteLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    const ended = record;
+    record = [];
+    return ended.length === 1 && ended[0] === '' ? null : ended;
+  };
+
+  for await (const text of decode(chunks)) {
+    const records = [];
+
+    for (const char of text) {
+      if (char === '\n' && afterCr) {
+        afterCr = false;
+        continue;
+      }
+      afterCr = false;
+
+      if (quoted && !afterQuote) {
+        if (char === '"') {
+          afterQuote = true;
+        } else {
+          field += char;
+          line += char === '\n' ? 1 : 0;
+        }
+        continue;
+      }
+      if (afterQuote) {
+        afterQuote = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        quoted = false;
+      }
+
+      if (char === ',') {
+        endField();
+      } else if (char === '\n' || char === '\r') {
+        afterCr = char === '\r';
+        line += 1;
+        const ended = endRecord();
+        if (ended) {
+          records.push(ended);
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+        quoteLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    yield* records;
+  }
+
+  if (quoted && !afterQuote) {
+    throw new UploadFormatError(`The quoted field starting on line ${quoteLine} is never closed`);
+  }
+  const ended = endRecord();
+  if (ended) {
+    yield ended;
+  }
+}
+
+/**
+ * Reads CSV rows as objects keyed by the header record. The first row after
+ * the header is row 1.
+ */
+async function* csvRows(chunks) {
+  let header = null;
+  let row = 0;
+
+  for await (const record of csvRecords(chunks)) {
+    if (header === null) {
+      header = record.map(name => name.trim());
+      continue;
+    }
+
+    row += 1;
+    if (record.length !== header.length) {
+      yield { row, error: `Row has ${record.length} fields but the header has ${header.length}` };
+      continue;
+    }
+    yield { row, record: Object.fromEntries(header.map((name, i) => [name, record[i]])) };
+  }
+}
+
+// A row of a JSON upload must be an object; anything else is a row error
+function jsonRow(row, text) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    return { row, error: 'Row is not valid JSON' };
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return { row, error: 'Row is not a JSON object' };
+  }
+  return { row, record: value };
+}
+
+function tooLong(row) {
+  return { row, error: `Row is longer than ${MAX_JSON_ROW_LENGTH} characters` };
+}
+
+/**
+ * Reads newline-delimited JSON: one object per line. Blank lines are
+ * skipped and do not count as rows.
+ */
+async function* ndjsonRows(chunks) {
+  let pending = '';
+  let oversized = false;
+  let row = 0;
+
+  for await (const text of decode(chunks)) {
+    const lines = (pending + text).split('\n');
+    pending = lines.pop();
+
+    for (const [i, line] of lines.entries()) {
+      if (i === 0 && oversized) {
+        // The rest of a line that already ran past the limit
+        oversized = false;
+        row += 1;
+        yield tooLong(row);
+      } else if (line.trim() !== '') {
+        row += 1;
+        yield line.length > MAX_JSON_ROW_LENGTH ? tooLong(row) : jsonRow(row, line);
+      }
+    }
+    if (pending.length > MAX_JSON_ROW_LENGTH) {
+      pending = '';
+      oversized = true;
+    }
+  }
+
+  if (oversized) {
+    yield tooLong(row + 1);
+  } else if (pending.trim() !== '') {
+    yield jsonRow(row + 1, pending);
+  }
+}
+
+// The error for an upload that does not open with `[`, judged by its first
+// few characters: valid JSON of another shape, or not JSON at all
+function notAnArray(head) {
+  return new UploadFormatError(/^(?:[{"\-\d]|true|false|null)/.test(head)
+    ? 'A JSON upload must be an array of objects'
+    : 'The upload is not valid JSON');
+}
+
+/**
+ * Reads a JSON array one element at a time, so the whole array is never
+ * held in memory. Elements are found by tracking nesting and strings, then
+ * parsed on their own; a malformed element is a row error and the next one
+ * is read as usual.
+ */
+async function* jsonArrayRows(chunks) {
+  let started = false;
+  let done = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let element = '';
+  let oversized = false;
+  let expectElement = false;
+  let head = '';
+  let row = 0;
+
+  for await (const text of decode(chunks)) {
+    const rows = [];
+    const endElement = () => {
+      if (oversized || element.trim() !== '' || expectElement) {
+        row += 1;
+        rows.push(oversized ? tooLong(row) : jsonRow(row, element));
+      }
+      element = '';
+      oversized = false;
+    };
+    // Nesting and strings are still tracked once an element is too long,
+    // so the next element is found as usual
+    const append = char => {
+      if (!oversized) {
+        element += char;
+      }
+      if (element.length > MAX_JSON_ROW_LENGTH) {
+        element = '';
+        oversized = true;
+      }
+    };
+
+    for (const char of text) {
+      if (!started || done) {
+        if (/\s/.test(char) && head === '') {
+          continue;
+        }
+        if (done) {
+          throw new UploadFormatError('Unexpected content after the JSON array');
+        }
+        if (char === '[' && head === '') {
+          started = true;
+          continue;
+        }
+        head += char;
+        if (head.length === 5) {
+          throw notAnArray(head);
+        }
+        continue;
+      }
+
+      if (inString) {
+        append(char);
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (depth === 0 && char === ',') {
+        endElement();
+        expectElement = true;
+      } else if (depth === 0 && char === ']') {
+        endElement();
+        done = true;
+      } else {
+        append(char);
+        if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          depth += 1;
+        } else if (char === '}' || char === ']') {
+          depth -= 1;
+        }
+      }
+    }
+
+    yield* rows;
+  }
+
+  if (!started) {
+    throw head === '' ? new UploadFormatError('The upload is empty') : notAnArray(head);
+  }
+  if (!done) {
+    throw new UploadFormatError('The JSON array is never closed');
+  }
+}
+
+// A MARC record's row is its book fields, with the whole record alongside
+function marcRow(row, parse) {
+  try {
+    const marc = parse();
+    return { row, record: bookFieldsFromMarc(marc), marc };
+  } catch (err) {
+    if (err instanceof MarcFormatError) {
+      return { row, error: err.message };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Reads ISO 2709 (MARC21 binary) records, each ending with a record
+ * terminator. Line breaks between records are ignored.
+ */
+async function* marc21Rows(chunks) {
+  let pending = Buffer.alloc(0);
+  let row = 0;
+
+  const take = end => {
+    const bytes = pending.subarray(0, end);
+    pending = pending.subarray(end + 1);
+    const start = bytes.findIndex(byte => byte !== 0x0A && byte !== 0x0D);
+    return start === -1 ? null : bytes.subarray(start);
+  };
+
+  for await (const chunk of chunks) {
+    pending = Buffer.concat([pending, Buffer.from(chunk)]);
+    const rows = [];
+
+    let end;
+    while ((end = pending.indexOf(0x1D)) !== -1) {
+      const bytes = take(end);
+      if (bytes) {
+        row += 1;
+        rows.push(marcRow(row, () => parseMarc21(bytes)));
+      }
+    }
+    if (pending.length > MAX_MARC21_LENGTH) {
+      throw new UploadFormatError(`MARC record ${row + 1} is longer than ${MAX_MARC21_LENGTH} bytes`);
+    }
+
+    yield* rows;
+  }
+
+  const bytes = take(pending.length);
+  if (bytes) {
+    yield marcRow(row + 1, () => parseMarc21(bytes));
+  }
+}
+
+/**
+ * Reads MARCXML: a `collection` of `record` elements, or a single record.
+ * Each record is parsed as soon as its end tag arrives.
+ */
+async function* marcxmlRows(chunks) {
+  const recordStart = /<(?:[\w.-]+:)?record[\s>]/;
+  const recordEnd = /<\/(?:[\w.-]+:)?record\s*>/;
+  let pending = '';
+  let row = 0;
+
+  for await (const text of decode(chunks)) {
+    pending += text;
+    const rows = [];
+
+    let end;
+    while ((end = recordEnd.exec(pending)) !== null) {
+      const xml = pending.slice(0, end.index + end[0].length);
+      pending = pending.slice(xml.length);
+      row += 1;
+      rows.push(marcRow(row, () => parseMarcXml(xml)));
+    }
+    if (pending.length > MAX_MARCXML_LENGTH) {
+      throw new UploadFormatError(`MARCXML record ${row + 1} is longer than ${MAX_MARCXML_LENGTH} characters`);
+    }
+
+    yield* rows;
+  }
+
+  if (recordStart.test(pending)) {
+    throw new UploadFormatError(`MARCXML record ${row + 1} is never closed`);
+  }
+}
+
+/**
+ * Reads the rows of an upload as it streams in. Each row is
+ * `{ row, record }`, or `{ row, error }` when the row itself cannot be read.
+ * A MARC row's record holds the book fields read from it, and `marc` the
+ * whole MARC record.
+ *
+ * @param {AsyncIterable<Buffer|string>} chunks - The upload, e.g. the request.
+ * @param {'csv'|'json'|'ndjson'|'marc21'|'marcxml'} format - One of the values of IMPORT_FORMATS or MARC_IMPORT_FORMATS.
+ * @returns {AsyncGenerator<{ row: number, record?: Object, marc?: Object, error?: string }>} The rows, in order; `row` counts from 1.
+ * @throws {UploadFormatError} If the upload cannot be read any further.
+ */
+function readRows(chunks, format) {
+  if (format === 'csv') {
+    return csvRows(chunks);
+  }
+  if (format === 'ndjson') {
+    return ndjsonRows(chunks);
+  }
+  if (format === 'marc21') {
+    return marc21Rows(chunks);
+  }
+  if (format === 'marcxml') {
+    return marcxmlRows(chunks);
+  }
+  return jsonArrayRows(chunks);
+}
+
+module.exports = { IMPORT_FORMATS, MARC_IMPORT_FORMATS, UploadFormatError, readRows };
@@ -0,0 +1,60 @@
+const logger = require('../logger');
+const { deliverDue } = require('../services/webhooks');
+
+const DEFAULT_INTERVAL_MS = 5 * 1000;
+
+/**
+ * Starts a periodic job that sends queued webhook deliveries and retries
+ * failed ones once their backoff has passed. A run that is still waiting on
+ * receivers when the next one is due is left to finish; the next run is
+ * skipped.
+ *
+ * The timer is unref'd so it never keeps the process alive on its own.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - How often to run; defaults to WEBHOOK_DELIVERY_INTERVAL_MS or 5 seconds.
+ * @param {Object} [options.delivery] - Options passed on to deliverDue.
+ * @returns {{ stop: Function, runOnce: Function }} Handle to stop the job or trigger a run.
+ */
+function startWebhookDeliveryJob(db, {
+  intervalMs = parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS,
+  delivery = {},
+} = {}) {
+  let running = null;
+
+  function runOnce() {
+    if (running) {
+      return running;
+    }
+
+    running = deliverDue(db, delivery)
+      .then(counts => {
+        if (counts.succeeded + counts.failed > 0) {
+          logger.info(counts, 'Sent webhook deliveries');
+        }
+        return counts;
+      })
+      .catch(err => {
+        logger.error({ err }, 'Webhook delivery failed');
+        return { succeeded: 0, failed: 0 };
+      })
+      .finally(() => {
+        running = null;
+      });
+
+    return running;
+  }
+
+  const timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+
+  return {
+    runOnce,
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
+
+module.exports = { startWebhookDeliveryJob };
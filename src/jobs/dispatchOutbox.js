@@ -0,0 +1,101 @@
+const logger = require('../logger');
+const Outbox = require('../models/outbox');
+const { configuredSinks, dispatch } = require('../services/outbox');
+
+const DEFAULT_INTERVAL_MS = 1000;
+
+/**
+ * Starts a job that hands new outbox events to the sinks, periodically and
+ * straight after each event appended to `db` in this process is committed.
+ * A run that is still waiting on a sink when the next one is due is left
+ * to finish; a periodic run is then skipped, while one for a new event
+ * follows it.
+ *
+ * Sinks that keep their place in memory start from the newest event.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - How often to run; defaults to OUTBOX_DISPATCH_INTERVAL_MS or 1 second.
+ * @param {Object[]} [options.sinks] - Where to send events; defaults to the sinks named in OUTBOX_SINKS.
+ * @returns {{ stop: Function, runOnce: Function }} Handle to stop the job or trigger a run.
+ */
+function startOutboxDispatchJob(db, {
+  intervalMs = parseInt(process.env.OUTBOX_DISPATCH_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS,
+  sinks = configuredSinks(),
+} = {}) {
+  let running = null;
+  let rerun = false;
+  let immediate = null;
+
+  for (const sink of sinks) {
+    if (sink.cursor) {
+      sink.cursor(db);
+    }
+  }
+
+  function runOnce() {
+    if (running) {
+      return running;
+    }
+
+    running = dispatch(db, sinks)
+      .then(results => {
+        for (const { sink, dispatched, error } of results) {
+          if (error) {
+            logger.warn({ err: error, sink, dispatched }, 'Outbox sink failed; it will retry');
+          } else if (dispatched > 0) {
+            logger.debug({ sink, dispatched }, 'Dispatched outbox events');
+          }
+        }
+        return results;
+      })
+      .catch(err => {
+        logger.error({ err }, 'Outbox dispatch failed');
+        return [];
+      })
+      .finally(() => {
+        running = null;
+        if (rerun) {
+          rerun = false;
+          runOnce();
+        }
+      });
+
+    return running;
+  }
+
+  // Called inside the appending transaction; better-sqlite3 transactions
+  // are synchronous, so by the time setImmediate fires it has committed
+  // (or rolled back, and the run finds nothing new)
+  function onAppend(appendedTo) {
+    if (appendedTo !== db || immediate) {
+      return;
+    }
+    immediate = setImmediate(() => {
+      immediate = null;
+      if (running) {
+        rerun = true;
+      } else {
+        runOnce();
+      }
+    });
+  }
+  Outbox.appends.on('append', onAppend);
+
+  const timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+
+  return {
+    runOnce,
+    stop() {
+      clearInterval(timer);
+      clearImmediate(immediate);
+      immediate = null;
+      rerun = false;
+      Outbox.appends.off('append', onAppend);
+    },
+  };
+}
+
+module.exports = { startOutboxDispatchJob };
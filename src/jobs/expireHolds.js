@@ -0,0 +1,44 @@
+const logger = require('../logger');
+const { expireHolds } = require('../services/holds');
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Starts a periodic job that expires holds nobody collected within the
+ * pickup window and passes those books on to the next patron in the queue.
+ *
+ * The timer is unref'd so it never keeps the process alive on its own.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - How often to run; defaults to HOLD_EXPIRY_INTERVAL_MS or 15 minutes.
+ * @returns {{ stop: Function, runOnce: Function }} Handle to stop the job or trigger a run.
+ */
+function startHoldExpiryJob(db, {
+  intervalMs = parseInt(process.env.HOLD_EXPIRY_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS,
+} = {}) {
+  function runOnce() {
+    try {
+      const expired = expireHolds(db);
+      if (expired > 0) {
+        logger.info({ expired }, 'Expired uncollected holds');
+      }
+      return expired;
+    } catch (err) {
+      logger.error({ err }, 'Hold expiry failed');
+      return 0;
+    }
+  }
+
+  const timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+
+  return {
+    runOnce,
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
+
+module.exports = { startHoldExpiryJob };
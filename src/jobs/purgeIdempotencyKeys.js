@@ -0,0 +1,45 @@
+const logger = require('../logger');
+const { purgeExpiredKeys } = require('../services/idempotency');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Starts a periodic job that deletes Idempotency-Keys whose responses are
+ * no longer replayed. Expired keys are already ignored, so this only keeps
+ * the table small.
+ *
+ * The timer is unref'd so it never keeps the process alive on its own.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - How often to run; defaults to IDEMPOTENCY_PURGE_INTERVAL_MS or one hour.
+ * @returns {{ stop: Function, runOnce: Function }} Handle to stop the job or trigger a run.
+ */
+function startIdempotencyPurgeJob(db, {
+  intervalMs = parseInt(process.env.IDEMPOTENCY_PURGE_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS,
+} = {}) {
+  function runOnce() {
+    try {
+      const purged = purgeExpiredKeys(db);
+      if (purged > 0) {
+        logger.info({ purged }, 'Purged expired idempotency keys');
+      }
+      return purged;
+    } catch (err) {
+      logger.error({ err }, 'Idempotency key purge failed');
+      return 0;
+    }
+  }
+
+  const timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+
+  return {
+    runOnce,
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
+
+module.exports = { startIdempotencyPurgeJob };
@@ -0,0 +1,46 @@
+const logger = require('../logger');
+const { purgeDeletedBooks, DEFAULT_RETENTION_DAYS } = require('../services/trash');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Starts a periodic job that hard-deletes books whose retention window in
+ * the trash has expired.
+ *
+ * The timer is unref'd so it never keeps the process alive on its own.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - How often to run; defaults to TRASH_PURGE_INTERVAL_MS or one hour.
+ * @param {number} [options.retentionDays] - Retention window; defaults to TRASH_RETENTION_DAYS or 30.
+ * @returns {{ stop: Function, runOnce: Function }} Handle to stop the job or trigger a run.
+ */
+function startPurgeJob(db, {
+  intervalMs = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS,
+  retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS,
+} = {}) {
+  function runOnce() {
+    try {
+      const purged = purgeDeletedBooks(db, { retentionDays });
+      if (purged > 0) {
+        logger.info({ purged, retentionDays }, 'Purged deleted books from trash');
+      }
+      return purged;
+    } catch (err) {
+      logger.error({ err }, 'Trash purge failed');
+      return 0;
+    }
+  }
+
+  const timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+
+  return {
+    runOnce,
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
+
+module.exports = { startPurgeJob };
@@ -0,0 +1,336 @@
+// MARC 21 bibliographic records, read from and written to ISO 2709
+// ("MARC21 binary") and MARCXML. A record is held as
+//
+//   { leader, fields: [{ tag, value } | { tag, ind1, ind2, subfields: [{ code, value }] }] }
+//
+// with its fields in their original order, so writing a record back out
+// gives the same record that was read.
+
+const FIELD_TERMINATOR = '\x1E';
+const SUBFIELD_DELIMITER = '\x1F';
+const RECORD_TERMINATOR = 0x1D;
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+// New record, language material, monograph, Unicode, RDA
+const DEFAULT_LEADER = '00000nam a2200000 i 4500';
+
+/** A record that cannot be read. Reported against its row of an import. */
+class MarcFormatError extends Error {}
+
+const isControlTag = tag => tag < '010';
+
+/**
+ * Reads one ISO 2709 record. The record terminator is optional.
+ *
+ * Only Unicode records (leader/09 `a`) are decoded; a MARC-8 record is
+ * accepted as long as it is plain ASCII, where the two encodings agree.
+ *
+ * @param {Buffer} buffer - The record's bytes.
+ * @returns {Object} The record.
+ * @throws {MarcFormatError} If the record is malformed or MARC-8 encoded.
+ */
+function parseMarc21(buffer) {
+  if (buffer.length < 25) {
+    throw new MarcFormatError('Record is shorter than a MARC leader');
+  }
+
+  const leader = buffer.toString('latin1', 0, 24);
+  const base = Number(leader.slice(12, 17));
+  if (!/^\d{5}$/.test(leader.slice(12, 17)) || base < 25 || base > buffer.length) {
+    throw new MarcFormatError('Record has an invalid base address of data');
+  }
+  if (leader[9] !== 'a' && buffer.some(byte => byte > 0x7F)) {
+    throw new MarcFormatError('Only Unicode (UTF-8) MARC records are supported');
+  }
+
+  const fields = [];
+  for (let at = 24; at + 12 < base; at += 12) {
+    const entry = buffer.toString('latin1', at, at + 12);
+    if (!/^[0-9A-Za-z]{3}\d{9}$/.test(entry)) {
+      throw new MarcFormatError('Record has an invalid directory entry');
+    }
+
+    const tag = entry.slice(0, 3);
+    const start = base + Number(entry.slice(7));
+    const end = start + Number(entry.slice(3, 7));
+    if (end > buffer.length) {
+      throw new MarcFormatError(`Field ${tag} runs past the end of the record`);
+    }
+
+    const data = buffer.toString('utf8', start, end).replace(/\x1E$/, '');
+    if (isControlTag(tag)) {
+      fields.push({ tag, value: data });
+    } else {
+      const [, ...subfields] = data.slice(2).split(SUBFIELD_DELIMITER);
+      fields.push({
+        tag,
+        ind1: data[0] || ' ',
+        ind2: data[1] || ' ',
+        subfields: subfields.map(subfield => ({ code: subfield[0], value: subfield.slice(1) })),
+      });
+    }
+  }
+
+  return { leader, fields };
+}
+
+/**
+ * Writes a record as ISO 2709, UTF-8 encoded. The record length, base
+ * address and character coding in the leader are filled in.
+ *
+ * @param {Object} record - The record.
+ * @returns {Buffer} The record's bytes, ending with the record terminator.
+ */
+function serializeMarc21({ leader, fields }) {
+  const data = fields.map(field => Buffer.from(isControlTag(field.tag)
+    ? `${field.value}${FIELD_TERMINATOR}`
+    : `${field.ind1}${field.ind2}${field.subfields.map(({ code, value }) => `${SUBFIELD_DELIMITER}${code}${value}`).join('')}${FIELD_TERMINATOR}`));
+
+  let offset = 0;
+  const directory = fields.map((field, i) => {
+    const entry = `${field.tag}${String(data[i].length).padStart(4, '0')}${String(offset).padStart(5, '0')}`;
+    offset += data[i].length;
+    return entry;
+  }).join('');
+
+  const base = 24 + directory.length + 1;
+  const length = base + offset + 1;
+  const header = `${String(length).padStart(5, '0')}${leader.slice(5, 9)}a${leader.slice(10, 12)}${String(base).padStart(5, '0')}${leader.slice(17, 24)}`;
+
+  return Buffer.concat([Buffer.from(`${header}${directory}${FIELD_TERMINATOR}`), ...data, Buffer.from([RECORD_TERMINATOR])]);
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+function unescapeXml(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+    }
+    return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+  });
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"]/g, char => `&${Object.keys(XML_ENTITIES).find(name => XML_ENTITIES[name] === char)};`);
+}
+
+function attributes(text) {
+  const found = {};
+  for (const [, name, double, single] of text.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    found[name.replace(/^.*:/, '')] = unescapeXml(double !== undefined ? double : single);
+  }
+  return found;
+}
+
+/**
+ * Reads one MARCXML `record` element. Elements may carry any namespace
+ * prefix.
+ *
+ * @param {string} xml - The record element.
+ * @returns {Object} The record.
+ * @throws {MarcFormatError} If the record has no valid leader, or a field no valid tag.
+ */
+function parseMarcXml(xml) {
+  let leader = null;
+  const fields = [];
+  let field = null;
+  let open = null;
+
+  const tags = /<(\/?)(?:[\w.-]+:)?(leader|controlfield|datafield|subfield)\b([^>]*?)(\/?)>/g;
+  for (const match of xml.matchAll(tags)) {
+    const [text, closing, name, attrs, selfClosing] = match;
+
+    if (closing) {
+      const value = open ? unescapeXml(xml.slice(open.end, match.index)) : '';
+      if (name === 'leader') {
+        leader = value;
+      } else if (name === 'controlfield' && open) {
+        fields.push({ tag: open.attrs.tag, value });
+      } else if (name === 'subfield' && open && field) {
+        field.subfields.push({ code: open.attrs.code, value });
+      } else if (name === 'datafield') {
+        field = null;
+      }
+      open = null;
+      continue;
+    }
+
+    const found = attributes(attrs);
+    if (name === 'datafield') {
+      field = { tag: found.tag, ind1: found.ind1 || ' ', ind2: found.ind2 || ' ', subfields: [] };
+      fields.push(field);
+      if (selfClosing) {
+        field = null;
+      }
+    } else if (!selfClosing) {
+      open = { attrs: found, end: match.index + text.length };
+    } else if (name === 'subfield' && field) {
+      field.subfields.push({ code: found.code, value: '' });
+    }
+  }
+
+  if (leader === null || leader.length !== 24) {
+    throw new MarcFormatError('Record has no 24-character leader');
+  }
+  const bad = fields.find(({ tag }) => !/^[0-9A-Za-z]{3}$/.test(tag || ''));
+  if (bad) {
+    throw new MarcFormatError('Record has a field without a valid tag');
+  }
+
+  return { leader, fields };
+}
+
+/**
+ * Writes a record as a standalone MARCXML document.
+ *
+ * @param {Object} record - The record.
+ * @returns {string} The document.
+ */
+function serializeMarcXml({ leader, fields }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<record xmlns="${MARCXML_NAMESPACE}">`,
+    `  <leader>${escapeXml(leader)}</leader>`,
+  ];
+
+  for (const field of fields) {
+    if (isControlTag(field.tag)) {
+      lines.push(`  <controlfield tag="${escapeXml(field.tag)}">${escapeXml(field.value)}</controlfield>`);
+      continue;
+    }
+    lines.push(`  <datafield tag="${escapeXml(field.tag)}" ind1="${escapeXml(field.ind1)}" ind2="${escapeXml(field.ind2)}">`);
+    for (const { code, value } of field.subfields) {
+      lines.push(`    <subfield code="${escapeXml(code)}">${escapeXml(value)}</subfield>`);
+    }
+    lines.push('  </datafield>');
+  }
+
+  lines.push('</record>', '');
+  return lines.join('\n');
+}
+
+const subfield = (field, code) => field.subfields.find(sub => sub.code === code);
+
+// Drops the ISBD punctuation that ends a MARC subfield, e.g. "Dune /"
+const withoutPunctuation = value => value.replace(/[\s/:;,.=]+$/, '');
+
+// The field each book column is read from: the first 020 with an ISBN, the
+// main entry, the title statement, and the publication statement (264 with
+// second indicator 1, else 260, else any 264)
+const SOURCES = {
+  isbn: fields => fields.find(field => field.tag === '020' && subfield(field, 'a')),
+  author: fields => fields.find(field => field.tag === '100' && subfield(field, 'a')),
+  title: fields => fields.find(field => field.tag === '245' && subfield(field, 'a')),
+  published_year: fields => fields.find(field => field.tag === '264' && field.ind2 === '1' && subfield(field, 'c'))
+    || fields.find(field => field.tag === '260' && subfield(field, 'c'))
+    || fields.find(field => field.tag === '264' && subfield(field, 'c')),
+};
+
+const READERS = {
+  isbn: field => (subfield(field, 'a').value.match(/^[0-9Xx-]+/) || [])[0],
+  author: field => withoutPunctuation(subfield(field, 'a').value),
+  title: field => withoutPunctuation([subfield(field, 'a'), subfield(field, 'b')]
+    .filter(Boolean)
+    .map(sub => sub.value.trim())
+    .join(' ')),
+  published_year: field => {
+    const year = subfield(field, 'c').value.match(/\d{4}/);
+    return year ? Number(year[0]) : undefined;
+  },
+};
+
+/**
+ * Reads the book columns from a record: ISBN from 020, author from 100,
+ * title from 245 and the publication year from 264 or 260. Columns the
+ * record does not give are left out.
+ *
+ * @param {Object} record - The record.
+ * @returns {Object} The book fields.
+ */
+function bookFieldsFromMarc({ fields }) {
+  const book = {};
+
+  for (const [column, source] of Object.entries(SOURCES)) {
+    const field = source(fields);
+    const value = field && READERS[column](field);
+    if (value !== undefined && value !== '') {
+      book[column] = value;
+    }
+  }
+
+  return book;
+}
+
+// New fields for book columns the record does not have
+const NEW_FIELDS = {
+  isbn: isbn => ({ tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: isbn }] }),
+  author: author => ({ tag: '100', ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: author }] }),
+  title: title => ({ tag: '245', ind1: '1', ind2: '0', subfields: [{ code: 'a', value: title }] }),
+  published_year: year => ({ tag: '264', ind1: ' ', ind2: '1', subfields: [{ code: 'c', value: String(year) }] }),
+};
+
+const SUBFIELD_OF = { isbn: 'a', author: 'a', title: 'a', published_year: 'c' };
+
+// Rewrites a subfield for a changed column. A qualifier after the ISBN, as
+// in "0441013597 (pbk.)", and text around the year are kept.
+const replaceWithin = pattern => (old, value) => (pattern.test(old) ? old.replace(pattern, value) : value);
+const WRITERS = {
+  isbn: replaceWithin(/^[0-9Xx-]+/),
+  author: (old, value) => value,
+  title: (old, value) => value,
+  published_year: replaceWithin(/\d{4}/),
+};
+
+/**
+ * Builds the MARC record for a book. Starting from the record the book was
+ * imported from, if any, only the subfields whose book column has since
+ * changed are rewritten, so everything else comes back exactly as it was
+ * imported. Without one, a minimal record is made with the book's id as
+ * its control number (001).
+ *
+ * @param {Object} book - The book row.
+ * @param {Object|null} [record=null] - The record the book was imported from.
+ * @returns {Object} The record.
+ */
+function marcFromBook(book, record = null) {
+  const base = record || { leader: DEFAULT_LEADER, fields: [{ tag: '001', value: book.id }] };
+  const fields = base.fields.map(field => (field.subfields
+    ? { ...field, subfields: field.subfields.map(sub => ({ ...sub })) }
+    : { ...field }));
+  const current = bookFieldsFromMarc({ fields });
+
+  for (const column of Object.keys(SOURCES)) {
+    const value = book[column];
+    if (value === null || value === undefined || value === current[column]) {
+      continue;
+    }
+
+    const field = SOURCES[column](fields);
+    if (field) {
+      const sub = subfield(field, SUBFIELD_OF[column]);
+      sub.value = WRITERS[column](sub.value, String(value));
+      if (column === 'title') {
+        field.subfields = field.subfields.filter(sub => sub.code !== 'b');
+      }
+    } else {
+      const added = NEW_FIELDS[column](value);
+      const after = fields.filter(existing => existing.tag <= added.tag).length;
+      fields.splice(after, 0, added);
+    }
+  }
+
+  return { leader: base.leader, fields };
+}
+
+module.exports = {
+  MARCXML_NAMESPACE,
+  MarcFormatError,
+  parseMarc21,
+  serializeMarc21,
+  parseMarcXml,
+  serializeMarcXml,
+  bookFieldsFromMarc,
+  marcFromBook,
+};
@@ -0,0 +1,25 @@
+const { UnauthorizedError } = require('../errors');
+const { identifyAccessToken, identifyApiKey } = require('../services/auth');
+
+// Identifies the caller from an `X-API-Key` header (integrations) or an
+// `Authorization: Bearer` access token (staff and patrons) and sets req.auth
+// to `{ type, id, name, role, patronId }`. req.audit carries the caller, the
+// request id and the IP address to the models that write the audit log.
+function authenticate(req, res, next) {
+  const db = req.app.locals.db;
+  const apiKey = req.get('X-API-Key');
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (apiKey) {
+    req.auth = identifyApiKey(db, apiKey);
+  } else if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+    req.auth = identifyAccessToken(db, token);
+  } else {
+    throw new UnauthorizedError();
+  }
+
+  req.audit = { actor: req.auth, requestId: req.id, ip: req.ip };
+  next();
+}
+
+module.exports = authenticate;
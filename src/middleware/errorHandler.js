@@ -1,18 +1,53 @@
 const logger = require('../logger');
-const { AppError } = require('../errors');
+const {
+  ERROR_CATALOG,
+  errorType,
+  AppError,
+  UnauthorizedError,
+  MalformedJsonError,
+  InternalServerError,
+} = require('../errors');
 
-function errorHandler(err, req, res, next) {
-  if (err instanceof AppError) {
-    logger.warn({ err, statusCode: err.statusCode }, err.message);
-    return res.status(err.statusCode).json({ error: err.message });
+// Builds the RFC 7807 problem details for an AppError. `type` points at the
+// code's entry in GET /errors; `code` repeats its last segment so clients
+// can switch on it without parsing the URL.
+function problemFor(err, req) {
+  const problem = {
+    type: errorType(err.code),
+    title: ERROR_CATALOG[err.code].title,
+    status: err.statusCode,
+    detail: err.message,
+    instance: req.originalUrl,
+    code: err.code,
+    request_id: req.id,
+  };
+
+  if (err.invalidParams !== undefined) {
+    problem.invalid_params = err.invalidParams;
+  }
+  if (err.reason !== undefined) {
+    problem.reason = err.reason;
   }
 
-  if (err.type === 'entity.parse.failed') {
-    return res.status(400).json({ error: 'Malformed JSON in request body' });
+  return problem;
+}
+
+function errorHandler(err, req, res, next) {
+  let problem = err;
+
+  if (err instanceof AppError) {
+    logger.warn({ err, statusCode: err.statusCode, code: err.code }, err.message);
+    if (err instanceof UnauthorizedError) {
+      res.set('WWW-Authenticate', 'Bearer');
+    }
+  } else if (err.type === 'entity.parse.failed') {
+    problem = new MalformedJsonError();
+  } else {
+    logger.error({ err, stack: err.stack }, 'Unhandled error');
+    problem = new InternalServerError();
   }
 
-  logger.error({ err, stack: err.stack }, 'Unhandled error');
-  return res.status(500).json({ error: 'Internal server error' });
+  return res.status(problem.statusCode).type('application/problem+json').json(problemFor(problem, req));
 }
 
 module.exports = errorHandler;
@@ -0,0 +1,32 @@
+const { ValidationError } = require('../errors');
+const { fingerprint } = require('../services/idempotency');
+
+// Printable ASCII without spaces, as clients usually send a UUID
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Reads the optional Idempotency-Key header into req.idempotency as
+// `{ scope, key, fingerprint }` for runIdempotent. Keys are scoped to the
+// caller, so two clients cannot collide or replay each other's responses.
+// Must come after authenticate and after the body has been validated.
+function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+
+  if (key !== undefined) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new ValidationError([{
+        name: 'idempotency-key',
+        in: 'headers',
+        reason: 'Idempotency-Key must be 1 to 255 printable characters without spaces',
+      }]);
+    }
+
+    req.idempotency = {
+      scope: `${req.auth.type}:${req.auth.id}`,
+      key,
+      fingerprint: fingerprint({ method: req.method, path: req.baseUrl + req.path, body: req.body }),
+    };
+  }
+  next();
+}
+
+module.exports = idempotency;
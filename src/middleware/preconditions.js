@@ -0,0 +1,19 @@
+const { PreconditionRequiredError } = require('../errors');
+const { parseIfMatch } = require('../etags');
+
+// Reads the If-Match header into req.ifMatch for the service to check
+// against the book inside its transaction (see assertIfMatch). With
+// REQUIRE_IF_MATCH=true a write without If-Match is refused with 428, so a
+// client cannot overwrite someone else's edit by leaving the header out.
+function preconditions(req, res, next) {
+  const header = req.get('If-Match');
+
+  if (header !== undefined) {
+    req.ifMatch = parseIfMatch(header);
+  } else if (process.env.REQUIRE_IF_MATCH === 'true') {
+    throw new PreconditionRequiredError();
+  }
+  next();
+}
+
+module.exports = preconditions;
@@ -1,11 +1,13 @@
 const rateLimit = require('express-rate-limit');
+const { RateLimitError } = require('../errors');
 
 const rateLimiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
   max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100,
   standardHeaders: true,
   legacyHeaders: false,
-  message: { error: 'Too many requests, please try again later' },
+  // Passed on so the error handler answers with a RATE_LIMITED problem
+  handler: (req, res, next) => next(new RateLimitError()),
 });
 
 module.exports = rateLimiter;
@@ -0,0 +1,17 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Callers may name their request with X-Request-Id to follow it through the
+// logs and the audit log; anything that does not look like an id is replaced
+// so it cannot be used to forge log lines.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Sets req.id, which pino-http logs with every line, and echoes it back in
+// the X-Request-Id response header.
+function requestId(req, res, next) {
+  const given = req.get('X-Request-Id');
+  req.id = given && REQUEST_ID_PATTERN.test(given) ? given : uuidv4();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = requestId;
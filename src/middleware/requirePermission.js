@@ -0,0 +1,21 @@
+const { ForbiddenError } = require('../errors');
+const { hasPermission } = require('../permissions');
+
+// Lets the request through only if the caller's role grants `permission`.
+// With `owner`, a function returning the patron id the request is about, a
+// caller whose role grants only `<permission>:own` is let through for their
+// own patron record. Must come after authenticate.
+function requirePermission(permission, { owner } = {}) {
+  return function checkPermission(req, res, next) {
+    const { role, patronId } = req.auth;
+    const allowed = hasPermission(role, permission)
+      || (owner !== undefined && patronId !== null && hasPermission(role, `${permission}:own`) && owner(req) === patronId);
+
+    if (!allowed) {
+      throw new ForbiddenError(`This requires the ${permission} permission`);
+    }
+    next();
+  };
+}
+
+module.exports = requirePermission;
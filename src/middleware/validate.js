@@ -1,13 +1,16 @@
 const { validationResult } = require('express-validator');
+const { ValidationError } = require('../errors');
 
+// Rejects the request with a VALIDATION_FAILED problem listing every
+// parameter that failed its express-validator rules.
 function validate(req, res, next) {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    const formatted = errors.array().map(err => ({
-      field: err.path,
-      message: err.msg,
-    }));
-    return res.status(400).json({ errors: formatted });
+    throw new ValidationError(errors.array().map(err => ({
+      name: err.path,
+      in: err.location,
+      reason: err.msg,
+    })));
   }
   next();
 }
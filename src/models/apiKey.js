@@ -0,0 +1,86 @@
+const { v4: uuidv4 } = require('uuid');
+
+// key_hash never leaves the model.
+const COLUMNS = 'id, name, prefix, role, created_at, last_used_at, revoked_at';
+
+const ApiKey = {
+  /**
+   * Stores a new API key.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} fields
+   * @param {string} fields.name - What the key is for, e.g. "Discovery layer".
+   * @param {string} fields.prefix - The first characters of the key, for telling keys apart.
+   * @param {string} fields.keyHash - SHA-256 hash of the key.
+   * @param {string} fields.role - admin, librarian or clerk.
+   * @returns {Object} The stored key, without its hash.
+   */
+  create(db, { name, prefix, keyHash, role }) {
+    const id = uuidv4();
+
+    db.prepare(`
+      INSERT INTO api_keys (id, name, prefix, key_hash, role, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, name, prefix, keyHash, role, new Date().toISOString());
+
+    return ApiKey.findById(db, id);
+  },
+
+  /**
+   * Finds an API key by id.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the key.
+   * @returns {Object|undefined} The key, or undefined if not found.
+   */
+  findById(db, id) {
+    return db.prepare(`SELECT ${COLUMNS} FROM api_keys WHERE id = ?`).get(id);
+  },
+
+  /**
+   * Finds an API key by the hash of the key.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} keyHash - SHA-256 hash of the presented key.
+   * @returns {Object|undefined} The key, or undefined if not found.
+   */
+  findByHash(db, keyHash) {
+    return db.prepare(`SELECT ${COLUMNS} FROM api_keys WHERE key_hash = ?`).get(keyHash);
+  },
+
+  /**
+   * Lists all API keys, revoked ones included, newest first.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @returns {Object[]} The keys.
+   */
+  findAll(db) {
+    return db.prepare(`SELECT ${COLUMNS} FROM api_keys ORDER BY created_at DESC, rowid DESC`).all();
+  },
+
+  /**
+   * Records that a key was just used.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the key.
+   * @param {Date} [now=new Date()] - When the key was used.
+   */
+  touch(db, id, now = new Date()) {
+    db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(now.toISOString(), id);
+  },
+
+  /**
+   * Revokes a key. Revoking a key twice keeps the first revocation time.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the key.
+   * @param {Date} [now=new Date()] - When the key is revoked.
+   * @returns {Object|undefined} The key, or undefined if not found.
+   */
+  revoke(db, id, now = new Date()) {
+    db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(now.toISOString(), id);
+    return ApiKey.findById(db, id);
+  },
+};
+
+module.exports = ApiKey;
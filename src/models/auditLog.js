@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// The prev_hash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Columns covered by an entry's hash, in the order they are hashed
+const HASHED_COLUMNS = [
+  'seq', 'id', 'actor_type', 'actor_id', 'actor_name', 'action', 'entity_type', 'entity_id',
+  'before', 'after', 'request_id', 'ip', 'created_at', 'prev_hash',
+];
+
+// Bumped on every write, so leaving it out keeps the diffs to what changed
+const IGNORED_FIELDS = ['updated_at', 'version'];
+
+function hashEntry(row) {
+  const content = JSON.stringify(HASHED_COLUMNS.map(column => row[column]));
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function parse(row) {
+  return {
+    ...row,
+    before: row.before === null ? null : JSON.parse(row.before),
+    after: row.after === null ? null : JSON.parse(row.after),
+  };
+}
+
+const AuditLog = {
+  GENESIS_HASH,
+
+  /**
+   * Reduces two versions of a row to the fields that differ between them.
+   * A missing version (before a create) is null.
+   *
+   * @param {Object|null} before - The row before the change.
+   * @param {Object|null} after - The row after the change.
+   * @returns {{ before: Object|null, after: Object|null }} The changed fields on each side.
+   */
+  diff(before, after) {
+    if (!before || !after) {
+      return { before, after };
+    }
+
+    // Compared as JSON so list columns, such as a webhook's events, count as changed only when their contents do
+    const changed = Object.keys(after)
+      .filter(field => !IGNORED_FIELDS.includes(field) && JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+    return {
+      before: Object.fromEntries(changed.map(field => [field, before[field]])),
+      after: Object.fromEntries(changed.map(field => [field, after[field]])),
+    };
+  },
+
+  /**
+   * Appends an entry to the audit log, chained to the entry before it.
+   * Entries are never changed or removed.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} fields
+   * @param {string} fields.action - What happened, e.g. `book.updated`.
+   * @param {string} fields.entityType - The kind of record changed, e.g. `book`.
+   * @param {string} fields.entityId - The id of the record changed.
+   * @param {Object|null} [fields.before=null] - The changed fields before the change.
+   * @param {Object|null} [fields.after=null] - The changed fields after the change.
+   * @param {Object} [context] - Who made the change and how. Without it the entry is recorded against the system.
+   * @param {Object} [context.actor] - The caller, as set on `req.auth` by authenticate.
+   * @param {string} [context.requestId] - The id of the request that made the change.
+   * @param {string} [context.ip] - The caller's IP address.
+   * @returns {Object} The new entry.
+   */
+  append(db, { action, entityType, entityId, before = null, after = null }, { actor, requestId, ip } = {}) {
+    const write = db.transaction(() => {
+      const last = db.prepare('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1').get();
+      const row = {
+        id: uuidv4(),
+        seq: last ? last.seq + 1 : 1,
+        actor_type: actor ? actor.type : 'system',
+        actor_id: actor ? actor.id : null,
+        actor_name: actor ? actor.name : null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId,
+        before: before === null ? null : JSON.stringify(before),
+        after: after === null ? null : JSON.stringify(after),
+        request_id: requestId === undefined ? null : String(requestId),
+        ip: ip || null,
+        created_at: new Date().toISOString(),
+        prev_hash: last ? last.hash : GENESIS_HASH,
+      };
+      row.hash = hashEntry(row);
+
+      db.prepare(`
+        INSERT INTO audit_log (${[...HASHED_COLUMNS, 'hash'].join(', ')})
+        VALUES (${[...HASHED_COLUMNS, 'hash'].map(column => `@${column}`).join(', ')})
+      `).run(row);
+
+      return parse(row);
+    });
+
+    return write();
+  },
+
+  /**
+   * Returns audit entries, newest first, with the total count.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} [options]
+   * @param {string} [options.entityType] - Only entries about this kind of record.
+   * @param {string} [options.entityId] - Only entries about this record.
+   * @param {string} [options.actorId] - Only entries made by this user or API key.
+   * @param {string} [options.from] - Only entries made at or after this ISO 8601 time.
+   * @param {string} [options.to] - Only entries made before this ISO 8601 time.
+   * @param {number} [options.limit=20] - Maximum number of entries to return.
+   * @param {number} [options.offset=0] - Number of entries to skip.
+   * @returns {{ entries: Object[], total: number }} Paginated entries and total count.
+   */
+  findAll(db, { entityType, entityId, actorId, from, to, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    const filters = [
+      ['entity_type = ?', entityType],
+      ['entity_id = ?', entityId],
+      ['actor_id = ?', actorId],
+      ['created_at >= ?', from],
+      ['created_at < ?', to],
+    ];
+    for (const [condition, value] of filters) {
+      if (value !== undefined) {
+        conditions.push(condition);
+        params.push(value);
+      }
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const entries = db.prepare(`SELECT * FROM audit_log ${where} ORDER BY seq DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM audit_log ${where}`).get(...params);
+
+    return { entries: entries.map(parse), total };
+  },
+
+  /**
+   * Walks the chain from the first entry and checks that every entry's hash
+   * matches its content and the entry before it.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @returns {{ valid: boolean, checked: number, broken_at: number|null }} Whether the chain is intact, how many entries were checked, and the seq of the first entry that does not match.
+   */
+  verify(db) {
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+    let checked = 0;
+
+    for (const row of db.prepare('SELECT * FROM audit_log ORDER BY seq').iterate()) {
+      if (row.seq !== expectedSeq || row.prev_hash !== prevHash || row.hash !== hashEntry(row)) {
+        return { valid: false, checked, broken_at: row.seq };
+      }
+      prevHash = row.hash;
+      expectedSeq += 1;
+      checked += 1;
+    }
+
+    return { valid: true, checked, broken_at: null };
+  },
+};
+
+module.exports = AuditLog;
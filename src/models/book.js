@@ -1,8 +1,137 @@
 const { v4: uuidv4 } = require('uuid');
+const { findKeysetPage } = require('../db/keyset');
+const AuditLog = require('./auditLog');
+const Outbox = require('./outbox');
 
 const REQUIRED_FIELDS = ['title', 'author', 'isbn', 'published_year'];
 
+const SORTABLE_FIELDS = ['title', 'author', 'isbn', 'published_year', 'status', 'created_at', 'updated_at'];
+
+// Matches the column default in migration 008
+const DEFAULT_ITEM_TYPE = 'book';
+
+// Column weights for bm25(): book_id (unindexed), title, author, isbn
+const SEARCH_WEIGHTS = '0.0, 10.0, 5.0, 2.0';
+
+// Private-use characters snippet() wraps matches in; swapped for <mark>
+// tags only after the stored text has been HTML-escaped.
+const MARK_OPEN = '\uE000';
+const MARK_CLOSE = '\uE001';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Turns a snippet() result into safe HTML: the stored text is escaped and
+ * only the matched terms are wrapped in `<mark>` tags.
+ *
+ * @param {string|null} snippet - Snippet delimited with MARK_OPEN/MARK_CLOSE.
+ * @returns {string|null} The highlighted HTML, or null if there was no snippet.
+ */
+function toHighlight(snippet) {
+  if (snippet === null) {
+    return null;
+  }
+  return snippet
+    .replace(/[&<>"']/g, ch => HTML_ESCAPES[ch])
+    .replaceAll(MARK_OPEN, '<mark>')
+    .replaceAll(MARK_CLOSE, '</mark>');
+}
+
+/**
+ * Turns free-text user input into a safe FTS5 MATCH expression.
+ *
+ * Every word becomes a quoted prefix term (`"tolk"*`) and terms are ANDed,
+ * so FTS5 operators typed by the user are never interpreted. Hyphenated
+ * digit runs (ISBNs) are collapsed to match the normalized isbn column.
+ *
+ * @param {string} q - Raw search input.
+ * @returns {string|null} The MATCH expression, or null if the input has no searchable terms.
+ */
+function toFtsQuery(q) {
+  const terms = [];
+
+  for (const word of String(q).split(/\s+/)) {
+    if (/^[0-9][0-9xX-]*$/.test(word)) {
+      terms.push(word.replace(/-/g, ''));
+      continue;
+    }
+    terms.push(...(word.match(/[\p{L}\p{N}]+/gu) || []));
+  }
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+/**
+ * Builds the WHERE clause shared by the list and search queries.
+ *
+ * Soft-deleted books are always excluded. Column names are fixed here and
+ * only values are bound, so filter input can never reach the SQL text.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Exact status, as summarised from the book's copies.
+ * @param {string} [filters.author] - Author, compared case-insensitively.
+ * @param {string} [filters.isbn] - Exact ISBN.
+ * @param {number} [filters.published_year_gte] - Minimum publication year (inclusive).
+ * @param {number} [filters.published_year_lte] - Maximum publication year (inclusive).
+ * @param {string} [filters.created_after] - ISO-8601 timestamp; only books created later are kept.
+ * @returns {{ where: string, params: Array }} The SQL condition and its bound values.
+ */
+function buildFilterClause(filters = {}) {
+  const clauses = ['books.deleted_at IS NULL'];
+  const params = [];
+
+  if (filters.status !== undefined) {
+    clauses.push('books.status = ?');
+    params.push(filters.status);
+  }
+  if (filters.author !== undefined) {
+    clauses.push('books.author = ? COLLATE NOCASE');
+    params.push(filters.author);
+  }
+  if (filters.isbn !== undefined) {
+    clauses.push('books.isbn = ?');
+    params.push(filters.isbn);
+  }
+  if (filters.published_year_gte !== undefined) {
+    clauses.push('books.published_year >= ?');
+    params.push(filters.published_year_gte);
+  }
+  if (filters.published_year_lte !== undefined) {
+    clauses.push('books.published_year <= ?');
+    params.push(filters.published_year_lte);
+  }
+  if (filters.created_after !== undefined) {
+    clauses.push('books.created_at > datetime(?)');
+    params.push(filters.created_after);
+  }
+
+  return { where: clauses.join(' AND '), params };
+}
+
+/**
+ * Builds an ORDER BY list from `[{ field, direction }]` sort keys.
+ *
+ * @param {Array<{ field: string, direction: 'asc'|'desc' }>} sort - Sort keys in priority order.
+ * @returns {string} The ORDER BY expression (without the keywords).
+ * @throws {Error} If a field is not in SORTABLE_FIELDS.
+ */
+function buildOrderBy(sort) {
+  return sort.map(({ field, direction }) => {
+    if (!SORTABLE_FIELDS.includes(field)) {
+      throw new Error(`Cannot sort by field: ${field}`);
+    }
+    return `books.${field} ${direction === 'desc' ? 'DESC' : 'ASC'}`;
+  }).join(', ');
+}
+
 const Book = {
+  SORTABLE_FIELDS,
+  DEFAULT_ITEM_TYPE,
+
   /**
    * Creates a new book record in the database.
    *
@@ -12,11 +141,13 @@ const Book = {
    * @param {string} fields.author - The book author.
    * @param {string} fields.isbn - The book ISBN (must be unique).
    * @param {number} fields.published_year - The year the book was published.
+   * @param {string} [fields.item_type='book'] - The item type, which sets the loan period.
+   * @param {Object} [audit] - Who is adding the book, for the audit log (see AuditLog.append).
    * @returns {Object} The full book object including server-defaulted fields.
    * @throws {Error} If any required field is missing.
    * @throws {Error} If a book with the same ISBN already exists.
    */
-  create(db, { title, author, isbn, published_year } = {}) {
+  create(db, { title, author, isbn, published_year, item_type = DEFAULT_ITEM_TYPE } = {}, audit = {}) {
     // 1. Validate required fields
     const fields = { title, author, isbn, published_year };
     for (const field of REQUIRED_FIELDS) {
@@ -30,55 +161,210 @@ const Book = {
 
     // 3. Insert with prepared statement
     const stmt = db.prepare(`
-      INSERT INTO books (id, title, author, isbn, published_year)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO books (id, title, author, isbn, published_year, item_type)
+      VALUES (?, ?, ?, ?, ?, ?)
     `);
 
-    // 4. Execute the insert inside try/catch
-    try {
-      stmt.run(id, title, author, isbn, published_year);
-    } catch (err) {
-      if (err.message && err.message.includes('UNIQUE constraint failed: books.isbn')) {
-        throw new Error('A book with this ISBN already exists');
+    // 4. Execute the insert, record it in the audit log and the outbox, together
+    const insert = db.transaction(() => {
+      try {
+        stmt.run(id, title, author, isbn, published_year, item_type);
+      } catch (err) {
+        if (err.message && err.message.includes('UNIQUE constraint failed: books.isbn')) {
+          throw new Error('A book with this ISBN already exists');
+        }
+        throw err;
       }
-      throw err;
-    }
+
+      const book = db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+      AuditLog.append(db, { action: 'book.created', entityType: 'book', entityId: id, after: book }, audit);
+      Outbox.append(db, { type: 'book.created', aggregateType: 'book', aggregateId: id, data: { book } });
+      return book;
+    });
 
     // 5. Return the full row
-    const book = db.prepare('SELECT * FROM books WHERE id = ?').get(id);
-    return book;
+    return insert();
   },
 
   /**
-   * Finds a book by its primary key (id).
+   * Finds a book by its primary key (id). Soft-deleted books are not returned.
    *
    * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
    * @param {string} id - The UUID of the book to find.
    * @returns {Object|null} The book object if found, or null if no match.
    */
   findById(db, id) {
-    const stmt = db.prepare('SELECT * FROM books WHERE id = ?');
+    const stmt = db.prepare('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL');
     const book = stmt.get(id);
     return book || null;
   },
 
   /**
-   * Returns a paginated list of books ordered by created_at DESC, along with the total count.
+   * Finds a book by its ISBN, exactly as stored. Unlike findById this also
+   * returns a book in the trash (check `deleted_at`), because ISBNs stay
+   * taken until the book is purged.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} isbn - The ISBN.
+   * @returns {Object|null} The book row if found, or null if no match.
+   */
+  findByIsbn(db, isbn) {
+    return db.prepare('SELECT * FROM books WHERE isbn = ?').get(isbn) || null;
+  },
+
+  /**
+   * Returns a paginated, optionally filtered and sorted list of books, along
+   * with the total count of matching books. Defaults to created_at DESC.
+   * Soft-deleted books are excluded from both the page and the count.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} [options] - Pagination, filter and sort options.
+   * @param {number} [options.limit=20] - Maximum number of books to return.
+   * @param {number} [options.offset=0] - Number of books to skip.
+   * @param {Object} [options.filters] - Filters; see buildFilterClause for the supported keys.
+   * @param {Array<{ field: string, direction: 'asc'|'desc' }>} [options.sort] - Sort keys in priority order.
+   * @param {boolean} [options.includeTotal=true] - Set to false to skip the COUNT query; total is then undefined.
+   * @returns {{ books: Object[], total: number|undefined }} Paginated books and total count.
+   * @throws {Error} If a sort field is not sortable.
+   */
+  findAll(db, { limit = 20, offset = 0, filters, sort, includeTotal = true } = {}) {
+    const { where, params } = buildFilterClause(filters);
+    const orderBy = sort && sort.length > 0 ? buildOrderBy(sort) : 'books.created_at DESC';
+
+    const books = db.prepare(
+      `SELECT * FROM books WHERE ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`
+    ).all(...params, limit, offset);
+    const total = includeTotal
+      ? db.prepare(`SELECT COUNT(*) AS total FROM books WHERE ${where}`).get(...params).total
+      : undefined;
+    return { books, total };
+  },
+
+  /**
+   * Returns one page of books using keyset pagination on (created_at, id),
+   * newest first. Stable while rows are inserted between requests.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} [options] - Pagination and filter options.
+   * @param {number} [options.limit=20] - Maximum number of books to return.
+   * @param {{ key: Array, direction: 'next'|'prev' }|null} [options.cursor=null] - Decoded cursor, or null for the first page.
+   * @param {Object} [options.filters] - Filters; see buildFilterClause for the supported keys.
+   * @param {boolean} [options.includeTotal=true] - Set to false to skip the COUNT query.
+   * @returns {{ books: Object[], total: number|undefined, nextKey: Array|null, prevKey: Array|null }} The page and its boundary keys.
+   */
+  findAllByCursor(db, { limit = 20, cursor = null, filters, includeTotal = true } = {}) {
+    const { where, params } = buildFilterClause(filters);
+
+    const { rows, nextKey, prevKey } = findKeysetPage(db, {
+      table: 'books',
+      where,
+      params,
+      keyColumns: ['created_at', 'id'],
+      limit,
+      cursor,
+    });
+    const total = includeTotal
+      ? db.prepare(`SELECT COUNT(*) AS total FROM books WHERE ${where}`).get(...params).total
+      : undefined;
+
+    return { books: rows, total, nextKey, prevKey };
+  },
+
+  /**
+   * Iterates the live books matching the filters, in the order they were
+   * added, without loading them all. Each row carries its `rowid` so that a
+   * read that stops part way can carry on after it.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} [options]
+   * @param {Object} [options.filters] - Filters; see buildFilterClause for the supported keys.
+   * @param {number} [options.after=0] - Only books after this rowid.
+   * @returns {Iterator<Object>} A better-sqlite3 iterator. The connection cannot write until it is exhausted or closed.
+   */
+  iterate(db, { filters, after = 0 } = {}) {
+    const { where, params } = buildFilterClause(filters);
+
+    return db.prepare(
+      `SELECT books.rowid, books.* FROM books WHERE ${where} AND books.rowid > ? ORDER BY books.rowid`
+    ).iterate(...params, after);
+  },
+
+  /**
+   * Returns a paginated list of soft-deleted books (the trash), most recently
+   * deleted first, along with the total count.
    *
    * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
    * @param {Object} [options] - Pagination options.
    * @param {number} [options.limit=20] - Maximum number of books to return.
    * @param {number} [options.offset=0] - Number of books to skip.
-   * @returns {{ books: Object[], total: number }} Paginated books and total count.
+   * @returns {{ books: Object[], total: number }} Paginated deleted books and total count.
    */
-  findAll(db, { limit = 20, offset = 0 } = {}) {
-    const books = db.prepare('SELECT * FROM books ORDER BY created_at DESC LIMIT ? OFFSET ?').all(limit, offset);
-    const { total } = db.prepare('SELECT COUNT(*) AS total FROM books').get();
+  findDeleted(db, { limit = 20, offset = 0 } = {}) {
+    const books = db.prepare(
+      'SELECT * FROM books WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC LIMIT ? OFFSET ?'
+    ).all(limit, offset);
+    const { total } = db.prepare('SELECT COUNT(*) AS total FROM books WHERE deleted_at IS NOT NULL').get();
     return { books, total };
   },
 
   /**
-   * Updates an existing book record with the provided fields.
+   * Full-text searches title, author and ISBN, ranked by BM25 relevance.
+   *
+   * Every word in `q` is treated as a prefix and all words must match.
+   * Each returned book carries its `rank` (lower is more relevant) and
+   * `highlights` as HTML: the text is escaped and the matched terms are
+   * wrapped in `<mark>` tags.
+   * Soft-deleted books are excluded. The same filters as findAll may be
+   * applied, and an explicit sort replaces relevance ordering.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} q - The search text.
+   * @param {Object} [options] - Pagination, filter and sort options.
+   * @param {number} [options.limit=20] - Maximum number of books to return.
+   * @param {number} [options.offset=0] - Number of books to skip.
+   * @param {Object} [options.filters] - Filters; see buildFilterClause for the supported keys.
+   * @param {Array<{ field: string, direction: 'asc'|'desc' }>} [options.sort] - Sort keys in priority order.
+   * @returns {{ books: Object[], total: number }} Ranked matches and total match count.
+   */
+  search(db, q, { limit = 20, offset = 0, filters, sort } = {}) {
+    const match = toFtsQuery(q);
+    if (match === null) {
+      return { books: [], total: 0 };
+    }
+
+    const { where, params } = buildFilterClause(filters);
+    const orderBy = sort && sort.length > 0 ? buildOrderBy(sort) : 'rank, books.created_at DESC';
+
+    const rows = db.prepare(`
+      SELECT books.*,
+             bm25(books_fts, ${SEARCH_WEIGHTS}) AS rank,
+             snippet(books_fts, 1, '${MARK_OPEN}', '${MARK_CLOSE}', '…', 16) AS title_highlight,
+             snippet(books_fts, 2, '${MARK_OPEN}', '${MARK_CLOSE}', '…', 16) AS author_highlight
+      FROM books_fts
+      JOIN books ON books.id = books_fts.book_id
+      WHERE books_fts MATCH ? AND ${where}
+      ORDER BY ${orderBy}
+      LIMIT ? OFFSET ?
+    `).all(match, ...params, limit, offset);
+
+    const { total } = db.prepare(`
+      SELECT COUNT(*) AS total
+      FROM books_fts
+      JOIN books ON books.id = books_fts.book_id
+      WHERE books_fts MATCH ? AND ${where}
+    `).get(match, ...params);
+
+    const books = rows.map(({ title_highlight, author_highlight, ...book }) => ({
+      ...book,
+      highlights: { title: toHighlight(title_highlight), author: toHighlight(author_highlight) },
+    }));
+
+    return { books, total };
+  },
+
+  /**
+   * Updates an existing book record with the provided fields. Soft-deleted
+   * books are treated as missing.
    *
    * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
    * @param {string} id - The UUID of the book to update.
@@ -87,13 +373,13 @@ const Book = {
    * @param {string} [fields.author] - The book author.
    * @param {string} [fields.isbn] - The book ISBN (must be unique).
    * @param {number} [fields.published_year] - The year the book was published.
-   * @param {string} [fields.status] - The book status.
-   * @param {string} [fields.checked_out_at] - The checkout timestamp.
-   * @returns {Object|null} The full updated book object, or null if no book was found.
+   * @param {string} [fields.item_type] - The item type.
+   * @param {Object} [audit] - Who is making the change, for the audit log (see AuditLog.append).
+   * @returns {Object|null} The full updated book object, or null if no live book was found.
    * @throws {Error} If a book with the same ISBN already exists.
    */
-  update(db, id, fields) {
-    const ALLOWED_FIELDS = ['title', 'author', 'isbn', 'published_year', 'status', 'checked_out_at'];
+  update(db, id, fields, audit = {}) {
+    const ALLOWED_FIELDS = ['title', 'author', 'isbn', 'published_year', 'item_type'];
 
     // Build dynamic SET clause from only allowed keys present in fields
     const setClauses = [];
@@ -114,23 +400,33 @@ const Book = {
     // Append id for WHERE clause
     values.push(id);
 
-    const sql = `UPDATE books SET ${setClauses.join(', ')} WHERE id = ?`;
+    const sql = `UPDATE books SET ${setClauses.join(', ')} WHERE id = ? AND deleted_at IS NULL`;
 
-    try {
-      const result = db.prepare(sql).run(...values);
+    // Update, record the change in the audit log and the outbox, together
+    const update = db.transaction(() => {
+      const before = db.prepare('SELECT * FROM books WHERE id = ?').get(id);
 
-      if (result.changes === 0) {
-        return null;
-      }
-    } catch (err) {
-      if (err.message && err.message.includes('UNIQUE constraint failed: books.isbn')) {
-        throw new Error('A book with this ISBN already exists');
+      try {
+        const result = db.prepare(sql).run(...values);
+
+        if (result.changes === 0) {
+          return null;
+        }
+      } catch (err) {
+        if (err.message && err.message.includes('UNIQUE constraint failed: books.isbn')) {
+          throw new Error('A book with this ISBN already exists');
+        }
+        throw err;
       }
-      throw err;
-    }
 
-    // Re-select and return the full updated row
-    return db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+      // Re-select and return the full updated row
+      const book = db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+      AuditLog.append(db, { action: 'book.updated', entityType: 'book', entityId: id, ...AuditLog.diff(before, book) }, audit);
+      Outbox.append(db, { type: 'book.updated', aggregateType: 'book', aggregateId: id, data: { book } });
+      return book;
+    });
+
+    return update();
   },
 };
 
@@ -1,4 +1,5 @@
 const { v4: uuidv4 } = require('uuid');
+const { findKeysetPage } = require('../db/keyset');
 
 const CheckoutHistory = {
   /**
@@ -6,23 +7,39 @@ const CheckoutHistory = {
    *
    * Designed to work with both a raw database handle and a transactional
    * wrapper so it can be called inside an existing db.transaction() for
-   * atomicity with book status updates.
+   * atomicity with copy status updates.
    *
    * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance (or transactional wrapper).
    * @param {Object} params - The history entry fields.
    * @param {string} params.bookId - The UUID of the book.
-   * @param {string} params.action - The action performed ("checked_out" or "returned").
-   * @returns {Object} The created history entry { id, book_id, action, timestamp }.
+   * @param {string|null} [params.copyId=null] - The UUID of the copy that circulated.
+   * @param {string} params.action - The action performed ("checked_out", "renewed", "returned" or "status_changed").
+   * @param {string|null} [params.patronId=null] - The UUID of the borrowing patron.
+   * @param {string|null} [params.fromStatus=null] - The copy's status before the action, if it changed.
+   * @param {string|null} [params.toStatus=null] - The copy's status after the action, if it changed.
+   * @param {string|null} [params.reason=null] - Why staff changed the status.
+   * @returns {Object} The created history entry.
    */
-  create(db, { bookId, action }) {
+  create(db, { bookId, copyId = null, action, patronId = null, fromStatus = null, toStatus = null, reason = null }) {
     const id = uuidv4();
     const timestamp = new Date().toISOString();
 
-    db.prepare(
-      'INSERT INTO checkout_history (id, book_id, action, timestamp) VALUES (?, ?, ?, ?)'
-    ).run(id, bookId, action, timestamp);
+    db.prepare(`
+      INSERT INTO checkout_history (id, book_id, action, timestamp, patron_id, copy_id, from_status, to_status, reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, bookId, action, timestamp, patronId, copyId, fromStatus, toStatus, reason);
 
-    return { id, book_id: bookId, action, timestamp };
+    return {
+      id,
+      book_id: bookId,
+      action,
+      timestamp,
+      patron_id: patronId,
+      copy_id: copyId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      reason,
+    };
   },
 
   /**
@@ -36,9 +53,10 @@ const CheckoutHistory = {
    * @param {Object} [options] - Pagination options.
    * @param {number} [options.limit=20] - Maximum number of entries to return.
    * @param {number} [options.offset=0] - Number of entries to skip.
-   * @returns {{ entries: Object[], total: number }} Paginated history entries and total count.
+   * @param {boolean} [options.includeTotal=true] - Set to false to skip the COUNT query; total is then undefined.
+   * @returns {{ entries: Object[], total: number|undefined }} Paginated history entries and total count.
    */
-  findByBookId(db, bookId, { limit, offset } = {}) {
+  findByBookId(db, bookId, { limit, offset, includeTotal = true } = {}) {
     const _limit = limit ?? 20;
     const _offset = offset ?? 0;
 
@@ -46,12 +64,80 @@ const CheckoutHistory = {
       'SELECT * FROM checkout_history WHERE book_id = ? ORDER BY timestamp DESC LIMIT ? OFFSET ?'
     ).all(bookId, _limit, _offset);
 
-    const { total } = db.prepare(
-      'SELECT COUNT(*) AS total FROM checkout_history WHERE book_id = ?'
-    ).get(bookId);
+    const total = includeTotal
+      ? db.prepare('SELECT COUNT(*) AS total FROM checkout_history WHERE book_id = ?').get(bookId).total
+      : undefined;
 
     return { entries, total };
   },
+
+  /**
+   * Iterates history entries in the order they were recorded, without
+   * loading them all. Each row carries its `rowid` so that a read that
+   * stops part way can carry on after it.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} [options]
+   * @param {string} [options.bookId] - Only entries for this book.
+   * @param {string} [options.action] - Only entries with this action.
+   * @param {string} [options.since] - Only entries at or after this ISO-8601 time.
+   * @param {string} [options.until] - Only entries before this ISO-8601 time.
+   * @param {number} [options.after=0] - Only entries after this rowid.
+   * @returns {Iterator<Object>} A better-sqlite3 iterator. The connection cannot write until it is exhausted or closed.
+   */
+  iterate(db, { bookId, action, since, until, after = 0 } = {}) {
+    const clauses = ['rowid > ?'];
+    const params = [after];
+
+    if (bookId !== undefined) {
+      clauses.push('book_id = ?');
+      params.push(bookId);
+    }
+    if (action !== undefined) {
+      clauses.push('action = ?');
+      params.push(action);
+    }
+    if (since !== undefined) {
+      clauses.push('timestamp >= ?');
+      params.push(since);
+    }
+    if (until !== undefined) {
+      clauses.push('timestamp < ?');
+      params.push(until);
+    }
+
+    return db.prepare(
+      `SELECT rowid, * FROM checkout_history WHERE ${clauses.join(' AND ')} ORDER BY rowid`
+    ).iterate(...params);
+  },
+
+  /**
+   * Finds checkout history entries for a given book using keyset pagination
+   * on (timestamp, id), newest first.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} bookId - The UUID of the book.
+   * @param {Object} [options] - Pagination options.
+   * @param {number} [options.limit=20] - Maximum number of entries to return.
+   * @param {{ key: Array, direction: 'next'|'prev' }|null} [options.cursor=null] - Decoded cursor, or null for the first page.
+   * @param {boolean} [options.includeTotal=true] - Set to false to skip the COUNT query.
+   * @returns {{ entries: Object[], total: number|undefined, nextKey: Array|null, prevKey: Array|null }} The page and its boundary keys.
+   */
+  findByBookIdByCursor(db, bookId, { limit = 20, cursor = null, includeTotal = true } = {}) {
+    const { rows, nextKey, prevKey } = findKeysetPage(db, {
+      table: 'checkout_history',
+      where: 'checkout_history.book_id = ?',
+      params: [bookId],
+      keyColumns: ['timestamp', 'id'],
+      limit,
+      cursor,
+    });
+    const total = includeTotal
+      ? db.prepare('SELECT COUNT(*) AS total FROM checkout_history WHERE book_id = ?').get(bookId).total
+      : undefined;
+
+    return { entries: rows, total, nextKey, prevKey };
+  },
 };
 
 module.exports = CheckoutHistory;
@@ -0,0 +1,74 @@
+const ClosedDay = {
+  /**
+   * Marks a calendar date as a day the library is closed.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} fields
+   * @param {string} fields.date - The date as YYYY-MM-DD.
+   * @param {string|null} [fields.reason=null] - Why the library is closed, e.g. "New Year's Day".
+   * @returns {Object} The stored closed day.
+   * @throws {Error} If the date is already marked as closed.
+   */
+  create(db, { date, reason = null }) {
+    try {
+      db.prepare('INSERT INTO closed_days (date, reason) VALUES (?, ?)').run(date, reason);
+    } catch (err) {
+      if (err.message && err.message.includes('UNIQUE constraint failed: closed_days.date')) {
+        throw new Error('This date is already marked as closed');
+      }
+      throw err;
+    }
+
+    return db.prepare('SELECT * FROM closed_days WHERE date = ?').get(date);
+  },
+
+  /**
+   * Lists closed days in date order, optionally within an inclusive range.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} [options]
+   * @param {string} [options.from] - First date (YYYY-MM-DD) to include.
+   * @param {string} [options.to] - Last date (YYYY-MM-DD) to include.
+   * @returns {Object[]} The closed days.
+   */
+  findAll(db, { from, to } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (from !== undefined) {
+      clauses.push('date >= ?');
+      params.push(from);
+    }
+    if (to !== undefined) {
+      clauses.push('date <= ?');
+      params.push(to);
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM closed_days ${where} ORDER BY date`).all(...params);
+  },
+
+  /**
+   * Tells whether the library is closed on a date.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} date - The date as YYYY-MM-DD.
+   * @returns {boolean} True if the date is a closed day.
+   */
+  isClosed(db, date) {
+    return db.prepare('SELECT 1 FROM closed_days WHERE date = ?').get(date) !== undefined;
+  },
+
+  /**
+   * Reopens a date by removing it from the calendar.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} date - The date as YYYY-MM-DD.
+   * @returns {boolean} True if the date was removed, false if it was not closed.
+   */
+  delete(db, date) {
+    return db.prepare('DELETE FROM closed_days WHERE date = ?').run(date).changes > 0;
+  },
+};
+
+module.exports = ClosedDay;
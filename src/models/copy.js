@@ -0,0 +1,200 @@
+const { v4: uuidv4 } = require('uuid');
+
+const CONDITIONS = ['new', 'good', 'fair', 'poor'];
+
+/**
+ * Maps the SQLite UNIQUE violation on copies.barcode to a descriptive error.
+ */
+function translateUniqueError(err) {
+  if (err.message && err.message.includes('UNIQUE constraint failed: copies.barcode')) {
+    return new Error('A copy with this barcode already exists');
+  }
+  return err;
+}
+
+const Copy = {
+  CONDITIONS,
+
+  /**
+   * Adds a physical copy of a book.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} bookId - The UUID of the book.
+   * @param {Object} fields - The copy fields.
+   * @param {string} fields.barcode - The item barcode (unique).
+   * @param {string} [fields.condition='good'] - One of new, good, fair, poor.
+   * @param {string|null} [fields.location=null] - Shelf location.
+   * @returns {Object} The new copy.
+   * @throws {Error} If the barcode is already in use.
+   */
+  create(db, bookId, { barcode, condition = 'good', location = null }) {
+    const id = uuidv4();
+
+    try {
+      db.prepare(
+        'INSERT INTO copies (id, book_id, barcode, condition, location) VALUES (?, ?, ?, ?, ?)'
+      ).run(id, bookId, barcode, condition, location);
+    } catch (err) {
+      throw translateUniqueError(err);
+    }
+
+    return Copy.findById(db, id);
+  },
+
+  /**
+   * Finds a copy by id.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the copy.
+   * @returns {Object|null} The copy, or null if no match.
+   */
+  findById(db, id) {
+    return db.prepare('SELECT * FROM copies WHERE id = ?').get(id) || null;
+  },
+
+  /**
+   * Finds a copy of a live (not soft-deleted) book by barcode.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} barcode - The item barcode.
+   * @returns {Object|null} The copy, or null if no match.
+   */
+  findByBarcode(db, barcode) {
+    return db.prepare(`
+      SELECT copies.*
+      FROM copies
+      JOIN books ON books.id = copies.book_id
+      WHERE copies.barcode = ? AND books.deleted_at IS NULL
+    `).get(barcode) || null;
+  },
+
+  /**
+   * Returns the copies of a book in the order they were added.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} bookId - The UUID of the book.
+   * @returns {Object[]} The copies.
+   */
+  findByBookId(db, bookId) {
+    return db.prepare('SELECT * FROM copies WHERE book_id = ? ORDER BY created_at, rowid').all(bookId);
+  },
+
+  /**
+   * Counts a book's copies and how many of them are on the shelf.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} bookId - The UUID of the book.
+   * @returns {{ available: number, total: number }} The counts.
+   */
+  availability(db, bookId) {
+    const { available, total } = db.prepare(`
+      SELECT COUNT(*) AS total, COALESCE(SUM(status = 'available'), 0) AS available
+      FROM copies
+      WHERE book_id = ?
+    `).get(bookId);
+
+    return { available, total };
+  },
+
+  /**
+   * Updates the barcode, condition or location of a copy.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the copy.
+   * @param {Object} fields - Any of barcode, condition, location.
+   * @returns {Object|null} The updated copy, or null if no copy was found.
+   * @throws {Error} If the barcode is already in use.
+   */
+  update(db, id, fields) {
+    const ALLOWED_FIELDS = ['barcode', 'condition', 'location'];
+
+    const setClauses = [];
+    const values = [];
+
+    for (const field of ALLOWED_FIELDS) {
+      if (Object.prototype.hasOwnProperty.call(fields, field)) {
+        setClauses.push(`${field} = ?`);
+        values.push(fields[field]);
+      }
+    }
+
+    setClauses.push('updated_at = ?');
+    values.push(new Date().toISOString());
+    values.push(id);
+
+    try {
+      const result = db.prepare(`UPDATE copies SET ${setClauses.join(', ')} WHERE id = ?`).run(...values);
+      if (result.changes === 0) {
+        return null;
+      }
+    } catch (err) {
+      throw translateUniqueError(err);
+    }
+
+    return Copy.findById(db, id);
+  },
+
+  /**
+   * Deletes a copy that has never circulated or changed status.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the copy.
+   * @returns {boolean} True if a copy was deleted, false if none was found.
+   * @throws {Error} If the copy has circulation history, which must be kept.
+   */
+  delete(db, id) {
+    const { events } = db.prepare(
+      'SELECT COUNT(*) AS events FROM checkout_history WHERE copy_id = ?'
+    ).get(id);
+    if (events > 0) {
+      throw new Error('Copy has circulation history and cannot be deleted');
+    }
+
+    return db.prepare('DELETE FROM copies WHERE id = ?').run(id).changes > 0;
+  },
+
+  /**
+   * Returns copies of live books that are checked out past their due date,
+   * most overdue first, with the book's title, author and ISBN and the
+   * borrower's name and email.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} [options]
+   * @param {Date} [options.now=new Date()] - Reference time.
+   * @param {number} [options.limit=20] - Maximum number of copies to return.
+   * @param {number} [options.offset=0] - Number of copies to skip.
+   * @returns {{ copies: Object[], total: number }} Overdue copies and total count.
+   */
+  findOverdue(db, { now = new Date(), limit = 20, offset = 0 } = {}) {
+    const from = 'FROM copies JOIN books ON books.id = copies.book_id';
+    const where = "books.deleted_at IS NULL AND copies.status = 'checked_out' AND copies.due_at < ?";
+    const asOf = now.toISOString();
+
+    const copies = db.prepare(`
+      SELECT copies.*, books.title, books.author, books.isbn,
+             patrons.name AS patron_name, patrons.email AS patron_email
+      ${from}
+      LEFT JOIN patrons ON patrons.id = copies.patron_id
+      WHERE ${where}
+      ORDER BY copies.due_at ASC, copies.id ASC
+      LIMIT ? OFFSET ?
+    `).all(asOf, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total ${from} WHERE ${where}`).get(asOf);
+
+    return { copies, total };
+  },
+
+  /**
+   * Adds the computed `overdue` flag to a copy for API responses.
+   *
+   * @param {Object} copy - A copy row.
+   * @param {Date} [now=new Date()] - Reference time.
+   * @returns {Object} A copy of the row with `overdue: boolean`.
+   */
+  withOverdueFlag(copy, now = new Date()) {
+    const overdue = copy.status === 'checked_out' && Boolean(copy.due_at) && new Date(copy.due_at) < now;
+    return { ...copy, overdue };
+  },
+};
+
+module.exports = Copy;
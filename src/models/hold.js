@@ -0,0 +1,150 @@
+const { v4: uuidv4 } = require('uuid');
+
+const ACTIVE_STATUSES = ['waiting', 'ready'];
+
+const Hold = {
+  ACTIVE_STATUSES,
+
+  /**
+   * Adds a patron to the end of a book's hold queue.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} fields
+   * @param {string} fields.bookId - The UUID of the book.
+   * @param {string} fields.patronId - The UUID of the requesting patron.
+   * @returns {Object} The new hold.
+   * @throws {Error} If the patron already has an active hold on the book.
+   */
+  create(db, { bookId, patronId }) {
+    const id = uuidv4();
+
+    try {
+      db.prepare(
+        'INSERT INTO holds (id, book_id, patron_id, created_at) VALUES (?, ?, ?, ?)'
+      ).run(id, bookId, patronId, new Date().toISOString());
+    } catch (err) {
+      if (err.message && err.message.includes('UNIQUE constraint failed: holds.book_id, holds.patron_id')) {
+        throw new Error('Patron already has a hold on this book');
+      }
+      throw err;
+    }
+
+    return Hold.findById(db, id);
+  },
+
+  /**
+   * Finds a hold by id.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the hold.
+   * @returns {Object|null} The hold, or null if no match.
+   */
+  findById(db, id) {
+    return db.prepare('SELECT * FROM holds WHERE id = ?').get(id) || null;
+  },
+
+  /**
+   * Returns a book's active holds in queue order (ready holds, if any,
+   * come first), with each hold's 1-based position and the patron's name
+   * and card number.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} bookId - The UUID of the book.
+   * @returns {Object[]} The queue.
+   */
+  findQueue(db, bookId) {
+    const rows = db.prepare(`
+      SELECT holds.*, patrons.name AS patron_name, patrons.card_number AS card_number
+      FROM holds
+      JOIN patrons ON patrons.id = holds.patron_id
+      WHERE holds.book_id = ? AND holds.status IN ('waiting', 'ready')
+      ORDER BY holds.status = 'ready' DESC, holds.created_at, holds.rowid
+    `).all(bookId);
+
+    return rows.map((hold, index) => ({ ...hold, position: index + 1 }));
+  },
+
+  /**
+   * Returns the ready hold a copy is waiting on the hold shelf for.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} copyId - The UUID of the copy.
+   * @returns {Object|null} The ready hold, or null.
+   */
+  findReadyForCopy(db, copyId) {
+    return db.prepare("SELECT * FROM holds WHERE copy_id = ? AND status = 'ready'").get(copyId) || null;
+  },
+
+  /**
+   * Returns the oldest waiting hold for a book.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} bookId - The UUID of the book.
+   * @returns {Object|null} The head of the queue, or null if nobody is waiting.
+   */
+  findNextWaiting(db, bookId) {
+    return db.prepare(
+      "SELECT * FROM holds WHERE book_id = ? AND status = 'waiting' ORDER BY created_at, rowid LIMIT 1"
+    ).get(bookId) || null;
+  },
+
+  /**
+   * Counts patrons waiting for a book.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} bookId - The UUID of the book.
+   * @returns {number} The number of waiting holds.
+   */
+  countWaiting(db, bookId) {
+    return db.prepare("SELECT COUNT(*) AS n FROM holds WHERE book_id = ? AND status = 'waiting'").get(bookId).n;
+  },
+
+  /**
+   * Moves a hold onto the hold shelf with the copy set aside for it and a
+   * pickup deadline.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the hold.
+   * @param {Object} fields
+   * @param {string} fields.copyId - The UUID of the shelved copy.
+   * @param {string} fields.readyAt - ISO-8601 time the copy was shelved.
+   * @param {string} fields.pickupExpiresAt - ISO-8601 pickup deadline.
+   */
+  markReady(db, id, { copyId, readyAt, pickupExpiresAt }) {
+    db.prepare(
+      "UPDATE holds SET status = 'ready', copy_id = ?, ready_at = ?, pickup_expires_at = ? WHERE id = ?"
+    ).run(copyId, readyAt, pickupExpiresAt, id);
+  },
+
+  /**
+   * Closes a hold as fulfilled, cancelled or expired.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the hold.
+   * @param {'fulfilled'|'cancelled'|'expired'} status - The final status.
+   * @param {string} closedAt - ISO-8601 time the hold was closed.
+   */
+  close(db, id, status, closedAt) {
+    db.prepare('UPDATE holds SET status = ?, closed_at = ? WHERE id = ?').run(status, closedAt, id);
+  },
+
+  /**
+   * Returns ready holds whose pickup deadline has passed.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} options
+   * @param {string} options.now - ISO-8601 reference time.
+   * @param {string} [options.bookId] - Only holds on this book.
+   * @returns {Object[]} The stale holds.
+   */
+  findExpired(db, { now, bookId }) {
+    const bookClause = bookId !== undefined ? 'AND book_id = ?' : '';
+    const params = bookId !== undefined ? [now, bookId] : [now];
+
+    return db.prepare(
+      `SELECT * FROM holds WHERE status = 'ready' AND pickup_expires_at <= ? ${bookClause}`
+    ).all(...params);
+  },
+};
+
+module.exports = Hold;
@@ -0,0 +1,59 @@
+// response_body is stored as JSON text and parsed back on the way out
+const COLUMNS = 'scope, key, fingerprint, status_code, response_body, created_at, expires_at';
+
+function parse(row) {
+  return row && { ...row, response_body: JSON.parse(row.response_body) };
+}
+
+const IdempotencyKey = {
+  /**
+   * Finds a caller's key that has not expired yet.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} scope - Who sent the key, e.g. `api_key:<id>`.
+   * @param {string} key - The Idempotency-Key header.
+   * @param {Date} [now=new Date()] - The current time.
+   * @returns {Object|undefined} The stored response, or undefined if there is none.
+   */
+  find(db, scope, key, now = new Date()) {
+    return parse(db.prepare(`
+      SELECT ${COLUMNS} FROM idempotency_keys
+      WHERE scope = ? AND key = ? AND expires_at > ?
+    `).get(scope, key, now.toISOString()));
+  },
+
+  /**
+   * Stores the response to a key's first request, replacing an expired one
+   * for the same key.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} record
+   * @param {string} record.scope - Who sent the key.
+   * @param {string} record.key - The Idempotency-Key header.
+   * @param {string} record.fingerprint - Hash of the request the key was used with.
+   * @param {number} record.statusCode - The response status.
+   * @param {*} record.body - The response body.
+   * @param {Date} record.now - When the request was handled.
+   * @param {Date} record.expiresAt - When to stop replaying the response.
+   */
+  save(db, { scope, key, fingerprint, statusCode, body, now, expiresAt }) {
+    db.prepare(`
+      INSERT OR REPLACE INTO idempotency_keys
+        (scope, key, fingerprint, status_code, response_body, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(scope, key, fingerprint, statusCode, JSON.stringify(body), now.toISOString(), expiresAt.toISOString());
+  },
+
+  /**
+   * Deletes expired keys.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Date} [now=new Date()] - The current time.
+   * @returns {number} How many keys were deleted.
+   */
+  purgeExpired(db, now = new Date()) {
+    return db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?').run(now.toISOString()).changes;
+  },
+};
+
+module.exports = IdempotencyKey;
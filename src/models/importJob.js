@@ -0,0 +1,110 @@
+const { v4: uuidv4 } = require('uuid');
+
+// mapping and each row's errors are stored as JSON text
+function parse(row) {
+  return row ? { ...row, dry_run: row.dry_run === 1, mapping: JSON.parse(row.mapping) } : null;
+}
+
+const ImportJob = {
+  /**
+   * Starts a job in the `processing` status.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} fields
+   * @param {'csv'|'json'|'ndjson'|'marc21'|'marcxml'} fields.format - The upload format.
+   * @param {'skip'|'upsert'} fields.onDuplicate - What to do with a row whose ISBN is already in the catalog.
+   * @param {boolean} fields.dryRun - True to only report what would happen.
+   * @param {Object} fields.mapping - Source column for each book field that is not read from its own name.
+   * @returns {Object} The new job.
+   */
+  create(db, { format, onDuplicate, dryRun, mapping }) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    db.prepare(`
+      INSERT INTO import_jobs (id, format, on_duplicate, dry_run, mapping, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, format, onDuplicate, dryRun ? 1 : 0, JSON.stringify(mapping), now, now);
+
+    return ImportJob.findById(db, id);
+  },
+
+  /**
+   * Finds a job by id.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the job.
+   * @returns {Object|null} The job, or null if not found.
+   */
+  findById(db, id) {
+    return parse(db.prepare('SELECT * FROM import_jobs WHERE id = ?').get(id));
+  },
+
+  /**
+   * Adds a committed chunk's results to the job's counters and stores the
+   * reasons its failed rows were rejected.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the job.
+   * @param {Object} results
+   * @param {number} results.created - Rows that added a book.
+   * @param {number} results.updated - Rows that changed an existing book.
+   * @param {number} results.skipped - Rows left out because the book already exists.
+   * @param {Array<{ row: number, errors: Object[] }>} results.failures - Rows that could not be imported.
+   */
+  recordProgress(db, id, { created, updated, skipped, failures }) {
+    const processed = created + updated + skipped + failures.length;
+
+    db.prepare(`
+      UPDATE import_jobs
+      SET rows_processed = rows_processed + ?, rows_created = rows_created + ?, rows_updated = rows_updated + ?,
+          rows_skipped = rows_skipped + ?, rows_failed = rows_failed + ?, updated_at = ?
+      WHERE id = ?
+    `).run(processed, created, updated, skipped, failures.length, new Date().toISOString(), id);
+
+    const insert = db.prepare('INSERT INTO import_job_errors (job_id, row, errors) VALUES (?, ?, ?)');
+    for (const { row, errors } of failures) {
+      insert.run(id, row, JSON.stringify(errors));
+    }
+  },
+
+  /**
+   * Ends a job.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the job.
+   * @param {Object} outcome
+   * @param {'completed'|'failed'} outcome.status - How the job ended.
+   * @param {string|null} [outcome.error=null] - Why a failed job stopped.
+   * @returns {Object} The finished job.
+   */
+  finish(db, id, { status, error = null }) {
+    const now = new Date().toISOString();
+
+    db.prepare('UPDATE import_jobs SET status = ?, error = ?, updated_at = ?, finished_at = ? WHERE id = ?')
+      .run(status, error, now, now, id);
+
+    return ImportJob.findById(db, id);
+  },
+
+  /**
+   * Returns a page of a job's failed rows, in row order.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the job.
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Maximum number of rows to return.
+   * @param {number} [options.offset=0] - Number of rows to skip.
+   * @returns {{ errors: Array<{ row: number, errors: Object[] }>, total: number }} The page and how many rows failed.
+   */
+  findErrors(db, id, { limit = 20, offset = 0 } = {}) {
+    const errors = db.prepare(`
+      SELECT row, errors FROM import_job_errors WHERE job_id = ? ORDER BY row LIMIT ? OFFSET ?
+    `).all(id, limit, offset).map(({ row, errors: reasons }) => ({ row, errors: JSON.parse(reasons) }));
+    const { total } = db.prepare('SELECT COUNT(*) AS total FROM import_job_errors WHERE job_id = ?').get(id);
+
+    return { errors, total };
+  },
+};
+
+module.exports = ImportJob;
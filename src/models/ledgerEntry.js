@@ -0,0 +1,70 @@
+const { v4: uuidv4 } = require('uuid');
+
+const CHARGE_TYPES = ['late_fine', 'lost', 'damaged', 'processing'];
+const CREDIT_TYPES = ['payment', 'waiver'];
+
+const LedgerEntry = {
+  CHARGE_TYPES,
+  CREDIT_TYPES,
+
+  /**
+   * Appends an entry to a patron's ledger. Entries are never changed or
+   * removed; corrections are made with further entries.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} fields
+   * @param {string} fields.patronId - The UUID of the patron.
+   * @param {string} fields.type - One of CHARGE_TYPES or CREDIT_TYPES.
+   * @param {number} fields.amountCents - Positive for charges, negative for payments and waivers.
+   * @param {string|null} [fields.bookId=null] - The book the entry relates to.
+   * @param {string|null} [fields.reason=null] - Free-text explanation.
+   * @returns {Object} The new entry.
+   */
+  create(db, { patronId, type, amountCents, bookId = null, reason = null }) {
+    const id = uuidv4();
+
+    db.prepare(`
+      INSERT INTO ledger_entries (id, patron_id, book_id, type, amount_cents, reason, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, patronId, bookId, type, amountCents, reason, new Date().toISOString());
+
+    return db.prepare('SELECT * FROM ledger_entries WHERE id = ?').get(id);
+  },
+
+  /**
+   * Returns a patron's ledger entries, newest first, with the total count.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} patronId - The UUID of the patron.
+   * @param {Object} [options] - Pagination options.
+   * @param {number} [options.limit=20] - Maximum number of entries to return.
+   * @param {number} [options.offset=0] - Number of entries to skip.
+   * @returns {{ entries: Object[], total: number }} Paginated entries and total count.
+   */
+  findByPatronId(db, patronId, { limit = 20, offset = 0 } = {}) {
+    const entries = db.prepare(`
+      SELECT * FROM ledger_entries
+      WHERE patron_id = ?
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ? OFFSET ?
+    `).all(patronId, limit, offset);
+    const { total } = db.prepare('SELECT COUNT(*) AS total FROM ledger_entries WHERE patron_id = ?').get(patronId);
+
+    return { entries, total };
+  },
+
+  /**
+   * Sums a patron's ledger.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} patronId - The UUID of the patron.
+   * @returns {number} The amount owed in cents (negative if in credit).
+   */
+  balance(db, patronId) {
+    return db.prepare(
+      'SELECT COALESCE(SUM(amount_cents), 0) AS balance FROM ledger_entries WHERE patron_id = ?'
+    ).get(patronId).balance;
+  },
+};
+
+module.exports = LedgerEntry;
@@ -0,0 +1,71 @@
+// Optional policy settings and their columns; omitted settings keep their
+// current value (or the column default for a new item type)
+const OPTIONAL_POLICY_COLUMNS = {
+  maxRenewals: 'max_renewals',
+  finePerDayCents: 'fine_per_day_cents',
+  maxFineCents: 'max_fine_cents',
+};
+
+const LoanPeriod = {
+  /**
+   * Returns every configured loan period ordered by item type.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @returns {Object[]} The loan period rows.
+   */
+  findAll(db) {
+    return db.prepare('SELECT * FROM loan_periods ORDER BY item_type').all();
+  },
+
+  /**
+   * Finds the loan period for an item type.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} itemType - The item type, e.g. "book" or "dvd".
+   * @returns {Object|null} The loan period row, or null if the type is not configured.
+   */
+  findByItemType(db, itemType) {
+    return db.prepare('SELECT * FROM loan_periods WHERE item_type = ?').get(itemType) || null;
+  },
+
+  /**
+   * Creates or updates the loan policy for an item type. Books already on
+   * loan keep the due date and renewal limit they were given at checkout;
+   * late fines use the policy in force when the book is returned.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} itemType - The item type.
+   * @param {Object} policy
+   * @param {number} policy.loanDays - Loan length in days (positive).
+   * @param {number} [policy.maxRenewals] - Renewals allowed per loan (default 2 for a new type).
+   * @param {number} [policy.finePerDayCents] - Late fine per started day (default 25).
+   * @param {number} [policy.maxFineCents] - Cap on the late fine for one loan (default 1000).
+   * @returns {{ loanPeriod: Object, created: boolean }} The stored row and whether it is new.
+   */
+  upsert(db, itemType, { loanDays, ...policy }) {
+    const doUpsert = db.transaction(() => {
+      const created = db.prepare(
+        'INSERT INTO loan_periods (item_type, loan_days) VALUES (?, ?) ON CONFLICT (item_type) DO NOTHING'
+      ).run(itemType, loanDays).changes > 0;
+
+      const setClauses = ['loan_days = ?'];
+      const values = [loanDays];
+      for (const [key, column] of Object.entries(OPTIONAL_POLICY_COLUMNS)) {
+        if (policy[key] !== undefined) {
+          setClauses.push(`${column} = ?`);
+          values.push(policy[key]);
+        }
+      }
+      setClauses.push('updated_at = ?');
+      values.push(new Date().toISOString(), itemType);
+
+      db.prepare(`UPDATE loan_periods SET ${setClauses.join(', ')} WHERE item_type = ?`).run(...values);
+
+      return { loanPeriod: LoanPeriod.findByItemType(db, itemType), created };
+    });
+
+    return doUpsert();
+  },
+};
+
+module.exports = LoanPeriod;
@@ -0,0 +1,29 @@
+const MarcRecord = {
+  /**
+   * Finds the MARC record a book was imported from.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} bookId - The UUID of the book.
+   * @returns {Object|null} The record (see src/marc.js), or null if the book was not imported from MARC.
+   */
+  findByBookId(db, bookId) {
+    const row = db.prepare('SELECT record FROM book_marc_records WHERE book_id = ?').get(bookId);
+    return row ? JSON.parse(row.record) : null;
+  },
+
+  /**
+   * Stores the MARC record a book was imported from, replacing any earlier one.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} bookId - The UUID of the book.
+   * @param {Object} record - The record (see src/marc.js).
+   */
+  save(db, bookId, record) {
+    db.prepare(`
+      INSERT INTO book_marc_records (book_id, record, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (book_id) DO UPDATE SET record = excluded.record, updated_at = excluded.updated_at
+    `).run(bookId, JSON.stringify(record), new Date().toISOString());
+  },
+};
+
+module.exports = MarcRecord;
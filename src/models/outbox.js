@@ -0,0 +1,111 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const EVENT_TYPES = [
+  'book.created', 'book.updated', 'book.deleted', 'book.restored', 'book.purged', 'book.checked_out', 'book.renewed', 'book.returned', 'book.status_changed',
+  'hold.placed', 'hold.ready', 'hold.cancelled', 'hold.expired',
+];
+
+const COLUMNS = 'seq, id, type, aggregate_type, aggregate_id, data, created_at';
+
+function parse(row) {
+  return row && { ...row, data: JSON.parse(row.data) };
+}
+
+const Outbox = {
+  EVENT_TYPES,
+
+  /**
+   * Emits `append` with the database every time an event is appended, so a
+   * dispatcher can run as soon as the appending transaction has committed.
+   * Listeners are called inside that transaction and must only schedule
+   * work for later.
+   */
+  appends: new EventEmitter(),
+
+  /**
+   * Records a domain event.
+   *
+   * Call inside the transaction that makes the change, so the event is
+   * recorded only if the change is kept.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} event
+   * @param {string} event.type - One of EVENT_TYPES.
+   * @param {string} event.aggregateType - What kind of record changed, e.g. `book` or `copy`.
+   * @param {string} event.aggregateId - The id of the record that changed.
+   * @param {Object} event.data - The event body.
+   * @returns {Object} The stored event.
+   */
+  append(db, { type, aggregateType, aggregateId, data }) {
+    const id = uuidv4();
+
+    db.prepare(`
+      INSERT INTO outbox (id, type, aggregate_type, aggregate_id, data, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, type, aggregateType, aggregateId, JSON.stringify(data), new Date().toISOString());
+    Outbox.appends.emit('append', db);
+
+    return parse(db.prepare(`SELECT ${COLUMNS} FROM outbox WHERE id = ?`).get(id));
+  },
+
+  /**
+   * Returns the events after a sequence number, oldest first.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} [options]
+   * @param {number} [options.after=0] - Return events with a higher seq than this.
+   * @param {number} [options.limit=100] - Maximum number of events to return.
+   * @param {string} [options.type] - Only events of this type.
+   * @returns {Object[]} The events.
+   */
+  findAfter(db, { after = 0, limit = 100, type } = {}) {
+    const typeClause = type === undefined ? '' : 'AND type = @type';
+
+    return db.prepare(`
+      SELECT ${COLUMNS} FROM outbox
+      WHERE seq > @after ${typeClause}
+      ORDER BY seq
+      LIMIT @limit
+    `).all({ after, limit, type }).map(parse);
+  },
+
+  /**
+   * Returns the seq of the newest event, or 0 if there are none.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @returns {number} The seq.
+   */
+  latestSeq(db) {
+    return db.prepare('SELECT COALESCE(MAX(seq), 0) AS seq FROM outbox').get().seq;
+  },
+
+  /**
+   * Returns how far a sink has got: the seq of the last event it handled,
+   * or 0 if it has handled none.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} sink - The sink's name.
+   * @returns {number} The seq.
+   */
+  cursor(db, sink) {
+    const row = db.prepare('SELECT last_seq FROM outbox_cursors WHERE sink = ?').get(sink);
+    return row ? row.last_seq : 0;
+  },
+
+  /**
+   * Records that a sink has handled every event up to and including `seq`.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} sink - The sink's name.
+   * @param {number} seq - The seq of the last event handled.
+   */
+  advance(db, sink, seq) {
+    db.prepare(`
+      INSERT INTO outbox_cursors (sink, last_seq, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (sink) DO UPDATE SET last_seq = excluded.last_seq, updated_at = excluded.updated_at
+    `).run(sink, seq, new Date().toISOString());
+  },
+};
+
+module.exports = Outbox;
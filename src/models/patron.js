@@ -0,0 +1,201 @@
+const { v4: uuidv4 } = require('uuid');
+
+const REQUIRED_FIELDS = ['name', 'email', 'card_number'];
+const STATUSES = ['active', 'suspended', 'expired'];
+
+/**
+ * Maps SQLite UNIQUE violations on patrons to descriptive errors.
+ */
+function translateUniqueError(err) {
+  if (err.message && err.message.includes('UNIQUE constraint failed: patrons.email')) {
+    return new Error('A patron with this email already exists');
+  }
+  if (err.message && err.message.includes('UNIQUE constraint failed: patrons.card_number')) {
+    return new Error('A patron with this card number already exists');
+  }
+  return err;
+}
+
+const Patron = {
+  STATUSES,
+
+  /**
+   * Creates a new patron (library member) record.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} fields - The patron fields.
+   * @param {string} fields.name - Full name.
+   * @param {string} fields.email - Email address (unique, case-insensitive).
+   * @param {string} fields.card_number - Library card number (unique).
+   * @param {string} [fields.status='active'] - One of active, suspended, expired.
+   * @param {string|null} [fields.expires_at=null] - ISO-8601 membership expiry.
+   * @returns {Object} The full patron object.
+   * @throws {Error} If any required field is missing.
+   * @throws {Error} If the email or card number is already in use.
+   */
+  create(db, { name, email, card_number, status = 'active', expires_at = null } = {}) {
+    const fields = { name, email, card_number };
+    for (const field of REQUIRED_FIELDS) {
+      if (fields[field] === undefined || fields[field] === null || fields[field] === '') {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    const id = uuidv4();
+
+    try {
+      db.prepare(`
+        INSERT INTO patrons (id, name, email, card_number, status, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(id, name, email, card_number, status, expires_at);
+    } catch (err) {
+      throw translateUniqueError(err);
+    }
+
+    return db.prepare('SELECT * FROM patrons WHERE id = ?').get(id);
+  },
+
+  /**
+   * Finds a patron by id.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the patron.
+   * @returns {Object|null} The patron, or null if no match.
+   */
+  findById(db, id) {
+    return db.prepare('SELECT * FROM patrons WHERE id = ?').get(id) || null;
+  },
+
+  /**
+   * Finds a patron by library card number.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} cardNumber - The card number.
+   * @returns {Object|null} The patron, or null if no match.
+   */
+  findByCardNumber(db, cardNumber) {
+    return db.prepare('SELECT * FROM patrons WHERE card_number = ?').get(cardNumber) || null;
+  },
+
+  /**
+   * Returns a paginated list of patrons ordered by name, along with the total count.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} [options] - Pagination and filter options.
+   * @param {number} [options.limit=20] - Maximum number of patrons to return.
+   * @param {number} [options.offset=0] - Number of patrons to skip.
+   * @param {string} [options.status] - Only patrons with this status.
+   * @returns {{ patrons: Object[], total: number }} Paginated patrons and total count.
+   */
+  findAll(db, { limit = 20, offset = 0, status } = {}) {
+    const where = status !== undefined ? 'WHERE status = ?' : '';
+    const params = status !== undefined ? [status] : [];
+
+    const patrons = db.prepare(
+      `SELECT * FROM patrons ${where} ORDER BY name COLLATE NOCASE, id LIMIT ? OFFSET ?`
+    ).all(...params, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM patrons ${where}`).get(...params);
+
+    return { patrons, total };
+  },
+
+  /**
+   * Updates a patron with the provided fields.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the patron.
+   * @param {Object} fields - Any of name, email, card_number, status, expires_at.
+   * @returns {Object|null} The updated patron, or null if no patron was found.
+   * @throws {Error} If the email or card number is already in use.
+   */
+  update(db, id, fields) {
+    const ALLOWED_FIELDS = ['name', 'email', 'card_number', 'status', 'expires_at'];
+
+    const setClauses = [];
+    const values = [];
+
+    for (const field of ALLOWED_FIELDS) {
+      if (Object.prototype.hasOwnProperty.call(fields, field)) {
+        setClauses.push(`${field} = ?`);
+        values.push(fields[field]);
+      }
+    }
+
+    setClauses.push('updated_at = ?');
+    values.push(new Date().toISOString());
+    values.push(id);
+
+    try {
+      const result = db.prepare(`UPDATE patrons SET ${setClauses.join(', ')} WHERE id = ?`).run(...values);
+      if (result.changes === 0) {
+        return null;
+      }
+    } catch (err) {
+      throw translateUniqueError(err);
+    }
+
+    return db.prepare('SELECT * FROM patrons WHERE id = ?').get(id);
+  },
+
+  /**
+   * Deletes a patron that has never borrowed anything or been charged.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the patron.
+   * @returns {boolean} True if a patron was deleted, false if none was found.
+   * @throws {Error} If the patron has loan or ledger history, which must be kept.
+   */
+  delete(db, id) {
+    const { loans } = db.prepare(
+      'SELECT COUNT(*) AS loans FROM checkout_history WHERE patron_id = ?'
+    ).get(id);
+    if (loans > 0) {
+      throw new Error('Patron has loan history and cannot be deleted');
+    }
+    const { entries } = db.prepare(
+      'SELECT COUNT(*) AS entries FROM ledger_entries WHERE patron_id = ?'
+    ).get(id);
+    if (entries > 0) {
+      throw new Error('Patron has fines history and cannot be deleted');
+    }
+
+    return db.prepare('DELETE FROM patrons WHERE id = ?').run(id).changes > 0;
+  },
+
+  /**
+   * Returns the copies currently checked out to a patron, oldest loan first,
+   * with each book's title, author and ISBN.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the patron.
+   * @returns {Object[]} The borrowed copies.
+   */
+  findLoans(db, id) {
+    return db.prepare(`
+      SELECT copies.*, books.title, books.author, books.isbn
+      FROM copies
+      JOIN books ON books.id = copies.book_id
+      WHERE copies.patron_id = ? AND copies.status = 'checked_out'
+      ORDER BY copies.checked_out_at
+    `).all(id);
+  },
+
+  /**
+   * Tells why a patron may not borrow, or null if they may.
+   *
+   * @param {Object} patron - A patron row.
+   * @param {Date} [now=new Date()] - Reference time for the expiry check.
+   * @returns {string|null} The reason the patron is blocked, or null.
+   */
+  ineligibilityReason(patron, now = new Date()) {
+    if (patron.status === 'suspended') {
+      return 'Patron account is suspended';
+    }
+    if (patron.status === 'expired' || (patron.expires_at && new Date(patron.expires_at) <= now)) {
+      return 'Patron account has expired';
+    }
+    return null;
+  },
+};
+
+module.exports = Patron;
@@ -0,0 +1,40 @@
+const { v4: uuidv4 } = require('uuid');
+
+const RefreshToken = {
+  /**
+   * Records a newly issued refresh token.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} fields
+   * @param {string} fields.userId - The UUID of the user the token is for.
+   * @param {string} fields.expiresAt - ISO-8601 expiry.
+   * @returns {Object} The stored token row; its id goes in the token.
+   */
+  create(db, { userId, expiresAt }) {
+    const id = uuidv4();
+
+    db.prepare('INSERT INTO refresh_tokens (id, user_id, expires_at) VALUES (?, ?, ?)')
+      .run(id, userId, expiresAt);
+
+    return db.prepare('SELECT * FROM refresh_tokens WHERE id = ?').get(id);
+  },
+
+  /**
+   * Marks a refresh token used, provided it is unused and unexpired.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The token id.
+   * @param {Date} [now=new Date()] - When the token is used.
+   * @returns {Object|undefined} The token row, or undefined if it was unknown, used or expired.
+   */
+  consume(db, id, now = new Date()) {
+    const at = now.toISOString();
+    const changes = db.prepare(
+      'UPDATE refresh_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL AND expires_at > ?'
+    ).run(at, id, at).changes;
+
+    return changes > 0 ? db.prepare('SELECT * FROM refresh_tokens WHERE id = ?').get(id) : undefined;
+  },
+};
+
+module.exports = RefreshToken;
@@ -0,0 +1,83 @@
+const { v4: uuidv4 } = require('uuid');
+
+const COLUMNS = 'id, username, role, patron_id, created_at, last_login_at';
+
+const User = {
+  /**
+   * Creates an account.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} fields
+   * @param {string} fields.username - Unique, case-insensitive login name.
+   * @param {string} fields.passwordHash - The hashed password.
+   * @param {string} fields.role - One of the roles in src/permissions.js.
+   * @param {string|null} [fields.patronId=null] - The patron a patron account belongs to; required for, and only for, the patron role.
+   * @returns {Object} The new user, without the password hash.
+   * @throws {Error} If the username is already taken, or the patron already has an account.
+   */
+  create(db, { username, passwordHash, role, patronId = null }) {
+    const id = uuidv4();
+
+    try {
+      db.prepare(`
+        INSERT INTO users (id, username, password_hash, role, patron_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(id, username, passwordHash, role, patronId, new Date().toISOString());
+    } catch (err) {
+      if (err.message && err.message.includes('UNIQUE constraint failed: users.username')) {
+        throw new Error('A user with this username already exists');
+      }
+      if (err.message && err.message.includes('UNIQUE constraint failed: users.patron_id')) {
+        throw new Error('This patron already has an account');
+      }
+      throw err;
+    }
+
+    return User.findById(db, id);
+  },
+
+  /**
+   * Finds a user by id.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the user.
+   * @returns {Object|undefined} The user without the password hash, or undefined if not found.
+   */
+  findById(db, id) {
+    return db.prepare(`SELECT ${COLUMNS} FROM users WHERE id = ?`).get(id);
+  },
+
+  /**
+   * Finds a user by username for signing in, including the password hash.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} username - The login name (case-insensitive).
+   * @returns {Object|undefined} The full user row, or undefined if not found.
+   */
+  findByUsernameWithHash(db, username) {
+    return db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+  },
+
+  /**
+   * Counts staff accounts.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @returns {number} The number of users.
+   */
+  count(db) {
+    return db.prepare('SELECT COUNT(*) AS total FROM users').get().total;
+  },
+
+  /**
+   * Records a successful sign-in.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the user.
+   * @param {Date} [now=new Date()] - When the user signed in.
+   */
+  recordLogin(db, id, now = new Date()) {
+    db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?').run(now.toISOString(), id);
+  },
+};
+
+module.exports = User;
@@ -0,0 +1,155 @@
+const { v4: uuidv4 } = require('uuid');
+const { EVENT_TYPES } = require('./outbox');
+
+// secret is never read back out except by WebhookDelivery.findDue, which
+// needs it to sign payloads.
+const COLUMNS = 'id, url, events, consecutive_failures, disabled_at, created_at, updated_at';
+
+function parse(row) {
+  return row && { ...row, events: JSON.parse(row.events) };
+}
+
+const Webhook = {
+  EVENT_TYPES,
+
+  /**
+   * Stores a new subscription.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} fields
+   * @param {string} fields.url - Where to POST events.
+   * @param {string[]} fields.events - The event types to send, from EVENT_TYPES.
+   * @param {string} fields.secret - Key for signing payloads.
+   * @returns {Object} The stored subscription, without its secret.
+   */
+  create(db, { url, events, secret }) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    db.prepare(`
+      INSERT INTO webhooks (id, url, events, secret, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, url, JSON.stringify(events), secret, now, now);
+
+    return Webhook.findById(db, id);
+  },
+
+  /**
+   * Finds a subscription by id.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the subscription.
+   * @returns {Object|undefined} The subscription, or undefined if not found.
+   */
+  findById(db, id) {
+    return parse(db.prepare(`SELECT ${COLUMNS} FROM webhooks WHERE id = ?`).get(id));
+  },
+
+  /**
+   * Lists all subscriptions, disabled ones included, newest first.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @returns {Object[]} The subscriptions.
+   */
+  findAll(db) {
+    return db.prepare(`SELECT ${COLUMNS} FROM webhooks ORDER BY created_at DESC, rowid DESC`).all().map(parse);
+  },
+
+  /**
+   * Lists the enabled subscriptions to an event type.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} eventType - One of EVENT_TYPES.
+   * @returns {Object[]} The subscriptions.
+   */
+  findSubscribers(db, eventType) {
+    return db.prepare(`
+      SELECT ${COLUMNS} FROM webhooks
+      WHERE disabled_at IS NULL AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = ?)
+    `).all(eventType).map(parse);
+  },
+
+  /**
+   * Changes the URL or events of a subscription, or turns it on or off.
+   * Turning it back on clears its failure count.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the subscription.
+   * @param {Object} fields
+   * @param {string} [fields.url] - The new URL.
+   * @param {string[]} [fields.events] - The new event types.
+   * @param {boolean} [fields.enabled] - Whether deliveries should be sent.
+   * @returns {Object|undefined} The updated subscription, or undefined if not found.
+   */
+  update(db, id, { url, events, enabled }) {
+    const now = new Date().toISOString();
+    const setClauses = ['updated_at = @now'];
+
+    if (url !== undefined) {
+      setClauses.push('url = @url');
+    }
+    if (events !== undefined) {
+      setClauses.push('events = @events');
+    }
+    if (enabled === true) {
+      setClauses.push('disabled_at = NULL', 'consecutive_failures = 0');
+    } else if (enabled === false) {
+      setClauses.push('disabled_at = COALESCE(disabled_at, @now)');
+    }
+
+    db.prepare(`UPDATE webhooks SET ${setClauses.join(', ')} WHERE id = @id`)
+      .run({ id, now, url, events: events === undefined ? undefined : JSON.stringify(events) });
+
+    return Webhook.findById(db, id);
+  },
+
+  /**
+   * Deletes a subscription and its delivery log.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the subscription.
+   * @returns {boolean} True if a subscription was deleted.
+   */
+  remove(db, id) {
+    return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+  },
+
+  /**
+   * Clears the failure count after a successful delivery.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the subscription.
+   */
+  recordSuccess(db, id) {
+    db.prepare('UPDATE webhooks SET consecutive_failures = 0 WHERE id = ?').run(id);
+  },
+
+  /**
+   * Counts a failed delivery attempt and disables the subscription once
+   * `disableAfter` attempts in a row have failed.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the subscription.
+   * @param {Object} options
+   * @param {number} options.disableAfter - Failures in a row that disable the subscription.
+   * @param {Date} [options.now=new Date()] - When the attempt failed.
+   * @returns {boolean} True if this failure disabled the subscription.
+   */
+  recordFailure(db, id, { disableAfter, now = new Date() }) {
+    const row = db.prepare(`
+      UPDATE webhooks SET consecutive_failures = consecutive_failures + 1 WHERE id = ?
+      RETURNING consecutive_failures
+    `).get(id);
+
+    if (!row || row.consecutive_failures < disableAfter) {
+      return false;
+    }
+
+    const stamp = now.toISOString();
+    return db.prepare(
+      'UPDATE webhooks SET disabled_at = ?, updated_at = ? WHERE id = ? AND disabled_at IS NULL'
+    ).run(stamp, stamp, id).changes > 0;
+  },
+};
+
+module.exports = Webhook;
@@ -0,0 +1,162 @@
+const { v4: uuidv4 } = require('uuid');
+const Webhook = require('./webhook');
+
+// payload is stored as the exact JSON text that is signed and sent
+const COLUMNS = `id, webhook_id, event_id, event_type, payload, status, attempts, next_attempt_at,
+  last_attempt_at, response_status, last_error, created_at`;
+
+function parse(row) {
+  return row && { ...row, payload: JSON.parse(row.payload) };
+}
+
+function insert(db, { webhookId, eventId, eventType, payload }) {
+  const id = uuidv4();
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, payload, next_attempt_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, webhookId, eventId, eventType, payload, now, now);
+
+  return id;
+}
+
+const WebhookDelivery = {
+  /**
+   * Queues an event for every enabled subscription to its type. The
+   * delivery job sends it.
+   *
+   * Queuing the same event id again only reaches subscriptions that do not
+   * have it yet, so an event handed over twice is not delivered twice.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} eventType - One of Webhook.EVENT_TYPES.
+   * @param {Object} data - The event body.
+   * @param {Object} [options]
+   * @param {string} [options.eventId] - The event's id; a new one by default.
+   * @param {string} [options.createdAt] - When the event happened; now by default.
+   * @returns {number} How many deliveries were queued.
+   */
+  enqueue(db, eventType, data, { eventId = uuidv4(), createdAt = new Date().toISOString() } = {}) {
+    const queued = db.prepare('SELECT webhook_id FROM webhook_deliveries WHERE event_id = ?')
+      .all(eventId).map(row => row.webhook_id);
+    const subscribers = Webhook.findSubscribers(db, eventType).filter(webhook => !queued.includes(webhook.id));
+
+    const payload = JSON.stringify({ id: eventId, type: eventType, created_at: createdAt, data });
+    for (const webhook of subscribers) {
+      insert(db, { webhookId: webhook.id, eventId, eventType, payload });
+    }
+
+    return subscribers.length;
+  },
+
+  /**
+   * Queues a fresh delivery of the same event as an earlier one, with the
+   * same payload.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the earlier delivery.
+   * @returns {Object|undefined} The new delivery, or undefined if the earlier one was not found.
+   */
+  requeue(db, id) {
+    const earlier = db.prepare('SELECT webhook_id, event_id, event_type, payload FROM webhook_deliveries WHERE id = ?')
+      .get(id);
+    if (!earlier) {
+      return undefined;
+    }
+
+    return WebhookDelivery.findById(db, insert(db, {
+      webhookId: earlier.webhook_id,
+      eventId: earlier.event_id,
+      eventType: earlier.event_type,
+      payload: earlier.payload,
+    }));
+  },
+
+  /**
+   * Finds a delivery by id.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the delivery.
+   * @returns {Object|undefined} The delivery, or undefined if not found.
+   */
+  findById(db, id) {
+    return parse(db.prepare(`SELECT ${COLUMNS} FROM webhook_deliveries WHERE id = ?`).get(id));
+  },
+
+  /**
+   * Returns a subscription's deliveries, newest first, with the total count.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} webhookId - The UUID of the subscription.
+   * @param {Object} [options] - Pagination options.
+   * @param {number} [options.limit=20] - Maximum number of deliveries to return.
+   * @param {number} [options.offset=0] - Number of deliveries to skip.
+   * @returns {{ deliveries: Object[], total: number }} Paginated deliveries and total count.
+   */
+  findByWebhookId(db, webhookId, { limit = 20, offset = 0 } = {}) {
+    const deliveries = db.prepare(`
+      SELECT ${COLUMNS} FROM webhook_deliveries
+      WHERE webhook_id = ?
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ? OFFSET ?
+    `).all(webhookId, limit, offset);
+    const { total } = db.prepare('SELECT COUNT(*) AS total FROM webhook_deliveries WHERE webhook_id = ?')
+      .get(webhookId);
+
+    return { deliveries: deliveries.map(parse), total };
+  },
+
+  /**
+   * Lists pending deliveries whose next attempt is due, oldest first, with
+   * the URL and secret of their enabled subscription. The payload is left as
+   * the JSON text to sign.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {Object} [options]
+   * @param {Date} [options.now=new Date()] - The current time.
+   * @param {number} [options.limit=20] - Maximum number of deliveries to return.
+   * @returns {Object[]} The due deliveries.
+   */
+  findDue(db, { now = new Date(), limit = 20 } = {}) {
+    return db.prepare(`
+      SELECT d.id, d.webhook_id, d.payload, d.event_id, d.event_type, d.attempts, w.url, w.secret
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.disabled_at IS NULL
+      ORDER BY d.next_attempt_at, d.rowid
+      LIMIT ?
+    `).all(now.toISOString(), limit);
+  },
+
+  /**
+   * Records the outcome of an attempt. A failed attempt with a retry left
+   * stays pending until `nextAttemptAt`; otherwise the delivery is finished.
+   *
+   * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+   * @param {string} id - The UUID of the delivery.
+   * @param {Object} outcome
+   * @param {'pending'|'succeeded'|'failed'} outcome.status - The delivery's status after the attempt.
+   * @param {Date} outcome.attemptedAt - When the attempt was made.
+   * @param {Date|null} [outcome.nextAttemptAt=null] - When to try again, for a pending delivery.
+   * @param {number|null} [outcome.responseStatus=null] - The receiver's HTTP status, if it answered.
+   * @param {string|null} [outcome.error=null] - Why the attempt failed.
+   */
+  recordAttempt(db, id, { status, attemptedAt, nextAttemptAt = null, responseStatus = null, error = null }) {
+    db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = attempts + 1, last_attempt_at = ?, next_attempt_at = ?,
+          response_status = ?, last_error = ?
+      WHERE id = ?
+    `).run(
+      status,
+      attemptedAt.toISOString(),
+      nextAttemptAt && nextAttemptAt.toISOString(),
+      responseStatus,
+      error,
+      id
+    );
+  },
+};
+
+module.exports = WebhookDelivery;
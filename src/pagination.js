@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { signingSecret } = require('./secrets');
+
+// Set CURSOR_SECRET to keep cursors valid across restarts and between instances.
+const signingKey = signingSecret('CURSOR_SECRET');
+
+function sign(payload) {
+  return crypto.createHmac('sha256', signingKey).update(payload).digest('base64url');
+}
+
+/**
+ * Encodes a keyset position as an opaque, HMAC-signed cursor token.
+ *
+ * @param {string} scope - What the cursor pages through, e.g. "books" or "history:<bookId>".
+ * @param {Array<string|number>} key - The keyset values of the boundary row.
+ * @param {'next'|'prev'} direction - Which side of the boundary row to read.
+ * @returns {string} The cursor token.
+ */
+function encodeCursor(scope, key, direction) {
+  const payload = Buffer.from(JSON.stringify({ s: scope, k: key, d: direction })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verifies and decodes a cursor token produced by encodeCursor.
+ *
+ * @param {string} token - The cursor token.
+ * @param {string} scope - The scope the cursor must have been issued for.
+ * @returns {{ key: Array<string|number>, direction: 'next'|'prev' }|null} The position, or null if the token is malformed, tampered with, or for another scope.
+ */
+function decodeCursor(token, scope) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { s, k, d } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    if (s !== scope || !Array.isArray(k) || (d !== 'next' && d !== 'prev')) {
+      return null;
+    }
+    return { key: k, direction: d };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Builds an RFC 8288 `Link` header value from the current request URL.
+ *
+ * Each relation maps to the query parameters to set on the current URL; a
+ * parameter set to `undefined` is removed. Relations mapped to `null` are
+ * skipped.
+ *
+ * @param {import('express').Request} req - The current request.
+ * @param {Object<string, Object|null>} relations - e.g. `{ next: { cursor: 'abc', page: undefined } }`.
+ * @returns {string} The header value, or an empty string if there are no links.
+ */
+function buildLinkHeader(req, relations) {
+  const links = [];
+
+  for (const [rel, params] of Object.entries(relations)) {
+    if (!params) {
+      continue;
+    }
+
+    const url = new URL(req.originalUrl, 'http://localhost');
+    for (const [name, value] of Object.entries(params)) {
+      if (value === undefined) {
+        url.searchParams.delete(name);
+      } else {
+        url.searchParams.set(name, String(value));
+      }
+    }
+
+    links.push(`<${url.pathname}${url.search}>; rel="${rel}"`);
+  }
+
+  return links.join(', ');
+}
+
+module.exports = { encodeCursor, decodeCursor, buildLinkHeader };
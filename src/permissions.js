@@ -0,0 +1,73 @@
+// Who may do what. Routes ask for a permission with requirePermission; a
+// role grants a fixed set of them. A permission ending in `:own` lets the
+// caller do the same thing, but only to their own patron record.
+const PERMISSIONS = {
+  'books:read': 'Browse and search the catalogue',
+  'books:write': 'Add, edit, delete, restore and import books; view the trash',
+  'copies:read': 'Look up copies',
+  'copies:write': 'Add, edit and delete copies and change their status',
+  'history:read': 'View a book\'s circulation history',
+  'circulation:write': 'Check out, renew and return copies',
+  'holds:read': 'View a book\'s hold queue',
+  'holds:write': 'Place and cancel holds',
+  'patrons:read': 'View patrons',
+  'patrons:write': 'Add, edit and delete patrons',
+  'loans:read': 'View anyone\'s loans and the overdue list',
+  'loans:read:own': 'View your own loans',
+  'fines:read': 'View patron balances and ledgers',
+  'fines:write': 'Charge fees, take payments and waive charges',
+  'policies:read': 'View loan periods and closed days',
+  'policies:write': 'Change loan periods and closed days',
+  'auth:manage': 'Create accounts and manage API keys',
+  'audit:read': 'View the audit log and check it for tampering',
+  'events:read': 'Read the feed of catalogue and circulation events',
+  'events:stream': 'Follow availability and hold events live',
+  'webhooks:manage': 'Subscribe other systems to events and manage their deliveries',
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS).filter(permission => !permission.endsWith(':own')),
+  librarian: [
+    'books:read', 'books:write', 'copies:read', 'copies:write', 'history:read', 'circulation:write',
+    'holds:read', 'holds:write', 'patrons:read', 'patrons:write', 'loans:read', 'fines:read',
+    'fines:write', 'policies:read', 'policies:write', 'events:stream',
+  ],
+  clerk: [
+    'books:read', 'copies:read', 'circulation:write', 'holds:read', 'patrons:read', 'loans:read',
+    'fines:read', 'policies:read', 'events:stream',
+  ],
+  patron: ['books:read', 'copies:read', 'loans:read:own'],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Tells whether a role grants a permission.
+ *
+ * @param {string} role - One of ROLES.
+ * @param {string} permission - One of the keys of PERMISSIONS.
+ * @returns {boolean} True if the role grants the permission.
+ */
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Renders the permission matrix as a Markdown table for the API docs.
+ *
+ * @returns {string} The table.
+ */
+function permissionMatrix() {
+  const rows = Object.entries(PERMISSIONS).map(([permission, description]) => {
+    const cells = ROLES.map(role => (hasPermission(role, permission) ? '✓' : ''));
+    return `| \`${permission}\` | ${description} | ${cells.join(' | ')} |`;
+  });
+
+  return [
+    `| Permission | Allows | ${ROLES.join(' | ')} |`,
+    `|---|---|${ROLES.map(() => '---').join('|')}|`,
+    ...rows,
+  ].join('\n');
+}
+
+module.exports = { PERMISSIONS, ROLE_PERMISSIONS, ROLES, hasPermission, permissionMatrix };
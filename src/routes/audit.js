@@ -0,0 +1,238 @@
+const { Router } = require('express');
+const { query } = require('express-validator');
+const validate = require('../middleware/validate');
+const requirePermission = require('../middleware/requirePermission');
+const AuditLog = require('../models/auditLog');
+
+const router = Router();
+
+const FILTERS = [
+  ['entity_type', 'entityType'],
+  ['entity_id', 'entityId'],
+  ['actor_id', 'actorId'],
+];
+
+// Entries are stamped in UTC, so times are normalised before comparing
+const timeRule = field => query(field)
+  .optional()
+  .isISO8601()
+  .withMessage(`${field} must be an ISO-8601 date or timestamp`)
+  .bail()
+  .customSanitizer(value => new Date(value).toISOString());
+
+/**
+ * @openapi
+ * /audit:
+ *   get:
+ *     tags: [Audit]
+ *     summary: Search the audit log
+ *     x-permission: audit:read
+ *     description: Returns audit log entries, newest first. Each entry records who made a change, through which request and from which address, and the fields it changed. Books are logged when they are added, edited, deleted, restored or purged; copies when they are added, removed, checked out, renewed, returned or change status; webhook subscriptions and API keys when they are created, changed, redelivered or revoked.
+ *     parameters:
+ *       - in: query
+ *         name: entity_type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: book
+ *       - in: query
+ *         name: entity_id
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor_id
+ *         required: false
+ *         description: The id of the user or API key that made the change
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: Only entries made at or after this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: Only entries made before this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Invalid query parameters
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         seq:
+ *           type: integer
+ *           description: Position in the chain, starting at 1
+ *         actor_type:
+ *           type: string
+ *           enum: [user, api_key, system]
+ *         actor_id:
+ *           type: string
+ *           nullable: true
+ *         actor_name:
+ *           type: string
+ *           nullable: true
+ *         action:
+ *           type: string
+ *           enum:
+ *             - book.created
+ *             - book.updated
+ *             - book.deleted
+ *             - book.restored
+ *             - book.purged
+ *             - copy.created
+ *             - copy.deleted
+ *             - copy.checked_out
+ *             - copy.renewed
+ *             - copy.returned
+ *             - copy.status_changed
+ *             - webhook.created
+ *             - webhook.updated
+ *             - webhook.deleted
+ *             - webhook.redelivered
+ *             - api_key.created
+ *             - api_key.revoked
+ *         entity_type:
+ *           type: string
+ *           enum: [book, copy, webhook, api_key]
+ *         entity_id:
+ *           type: string
+ *         before:
+ *           type: object
+ *           nullable: true
+ *           description: The changed fields before the change; null for a new record
+ *         after:
+ *           type: object
+ *           nullable: true
+ *           description: The changed fields after the change; the whole record for a new one
+ *         request_id:
+ *           type: string
+ *           nullable: true
+ *           description: The X-Request-Id of the request that made the change
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         prev_hash:
+ *           type: string
+ *           description: The hash of the entry before this one
+ *         hash:
+ *           type: string
+ *           description: SHA-256 of this entry's content and prev_hash
+ */
+router.get(
+  '/',
+  requirePermission('audit:read'),
+  ...FILTERS.map(([field]) => query(field)
+    .optional()
+    .isString()
+    .withMessage(`${field} must be a single value`)),
+  timeRule('from'),
+  timeRule('to'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  (req, res) => {
+    const page = Number.isInteger(req.query.page) ? req.query.page : (parseInt(req.query.page, 10) || 1);
+    const limit = Number.isInteger(req.query.limit) ? req.query.limit : (parseInt(req.query.limit, 10) || 20);
+    const offset = (page - 1) * limit;
+
+    const filters = {};
+    for (const [field, option] of FILTERS) {
+      filters[option] = req.query[field];
+    }
+
+    const { entries, total } = AuditLog.findAll(req.app.locals.db, {
+      ...filters,
+      from: req.query.from,
+      to: req.query.to,
+      limit,
+      offset,
+    });
+
+    return res.status(200).json({
+      data: entries,
+      pagination: { page, limit, total },
+    });
+  }
+);
+
+/**
+ * @openapi
+ * /audit/verify:
+ *   get:
+ *     tags: [Audit]
+ *     summary: Check the audit log for tampering
+ *     x-permission: audit:read
+ *     description: Recomputes the hash chain from the first entry. An entry that was edited, removed or reordered breaks the chain, and `broken_at` names the first entry that no longer matches.
+ *     responses:
+ *       200:
+ *         description: Result of the check
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 valid:
+ *                   type: boolean
+ *                 checked:
+ *                   type: integer
+ *                   description: Entries found intact before the first mismatch, or all of them
+ *                 broken_at:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: The seq of the first entry that does not match
+ */
+router.get('/verify', requirePermission('audit:read'), (req, res) => {
+  return res.status(200).json(AuditLog.verify(req.app.locals.db));
+});
+
+module.exports = router;
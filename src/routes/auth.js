@@ -0,0 +1,440 @@
+const { Router } = require('express');
+const { body, param } = require('express-validator');
+const validate = require('../middleware/validate');
+const authenticate = require('../middleware/authenticate');
+const requirePermission = require('../middleware/requirePermission');
+const ApiKey = require('../models/apiKey');
+const { ROLES } = require('../permissions');
+const { UserConflictError } = require('../errors');
+const {
+  createUser,
+  login,
+  refresh,
+  createApiKey,
+  revokeApiKey,
+  rotateApiKey,
+} = require('../services/auth');
+
+const router = Router();
+
+// Login and refresh are public; everything else here manages accounts.
+const manageAuth = [authenticate, requirePermission('auth:manage')];
+
+// API keys are for integrations, so they cannot have the patron role
+const KEY_ROLES = ROLES.filter(role => role !== 'patron');
+
+const idRule = param('id').isUUID(4).withMessage('ID must be a valid UUID v4');
+
+/**
+ * @openapi
+ * /auth/login:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Sign in
+ *     description: Exchanges a username and password for a short-lived access token, sent in the `Authorization` header as `Bearer <token>`, and a refresh token for getting a new one.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username, password]
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: jsmith
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Signed in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Wrong username or password
+ * components:
+ *   schemas:
+ *     Tokens:
+ *       type: object
+ *       properties:
+ *         token_type:
+ *           type: string
+ *           enum: [Bearer]
+ *         access_token:
+ *           type: string
+ *         expires_in:
+ *           type: integer
+ *           description: Seconds until the access token expires
+ *         refresh_token:
+ *           type: string
+ *           description: Single-use token for POST /auth/refresh
+ */
+router.post(
+  '/login',
+  body('username').isString().withMessage('Username is required'),
+  body('password').isString().withMessage('Password is required'),
+  validate,
+  (req, res) => {
+    const tokens = login(req.app.locals.db, { username: req.body.username, password: req.body.password });
+    return res.status(200).json(tokens);
+  }
+);
+
+/**
+ * @openapi
+ * /auth/refresh:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Refresh an access token
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. Each refresh token works once.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refresh_token]
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: The refresh token is invalid, expired or already used
+ */
+router.post(
+  '/refresh',
+  body('refresh_token').isString().withMessage('refresh_token is required'),
+  validate,
+  (req, res) => {
+    const tokens = refresh(req.app.locals.db, req.body.refresh_token);
+    return res.status(200).json(tokens);
+  }
+);
+
+/**
+ * @openapi
+ * /auth/users:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Create an account
+ *     x-permission: auth:manage
+ *     description: Creates a sign-in for a member of staff, or for a patron to see their own loans. A patron account needs `patron_id`; staff accounts must not have one. Each patron can have one account.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username, password, role]
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: jsmith
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 12
+ *               role:
+ *                 type: string
+ *                 enum: [admin, librarian, clerk, patron]
+ *               patron_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   format: uuid
+ *                 username:
+ *                   type: string
+ *                 role:
+ *                   type: string
+ *                   enum: [admin, librarian, clerk, patron]
+ *                 patron_id:
+ *                   type: string
+ *                   format: uuid
+ *                   nullable: true
+ *                 created_at:
+ *                   type: string
+ *                   format: date-time
+ *                 last_login_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Patron not found
+ *       409:
+ *         description: The username is taken, or the patron already has an account
+ */
+router.post(
+  '/users',
+  manageAuth,
+  body('username')
+    .isString()
+    .withMessage('Username is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required')
+    .isLength({ max: 100 })
+    .withMessage('Username must not exceed 100 characters'),
+  body('password')
+    .isString()
+    .withMessage('Password is required')
+    .bail()
+    .isLength({ min: 12 })
+    .withMessage('Password must be at least 12 characters'),
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('patron_id')
+    .if(body('role').equals('patron'))
+    .isUUID(4)
+    .withMessage('patron_id must be a valid UUID v4 for a patron account'),
+  body('patron_id')
+    .if(body('role').not().equals('patron'))
+    .isEmpty()
+    .withMessage('patron_id is only allowed for a patron account'),
+  validate,
+  (req, res) => {
+    try {
+      const user = createUser(req.app.locals.db, {
+        username: req.body.username,
+        password: req.body.password,
+        role: req.body.role,
+        patronId: req.body.patron_id || null,
+      });
+      return res.status(201).json(user);
+    } catch (err) {
+      if (err.message === 'A user with this username already exists' || err.message === 'This patron already has an account') {
+        throw new UserConflictError(err.message);
+      }
+      throw err;
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /auth/keys:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List API keys
+ *     x-permission: auth:manage
+ *     description: Lists every API key, revoked ones included, newest first. Keys themselves are never shown again after they are created; the prefix tells them apart.
+ *     responses:
+ *       200:
+ *         description: The keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     tags: [Auth]
+ *     summary: Create an API key
+ *     x-permission: auth:manage
+ *     description: Integrations send the key in the `X-API-Key` header. The response is the only time the key is shown.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: Discovery layer
+ *               role:
+ *                 type: string
+ *                 enum: [admin, librarian, clerk]
+ *                 default: clerk
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NewApiKey'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           example: lib_Xq3vT9aB
+ *         role:
+ *           type: string
+ *           enum: [admin, librarian, clerk]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     NewApiKey:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ApiKey'
+ *         - type: object
+ *           properties:
+ *             key:
+ *               type: string
+ *               description: The API key. Store it now; it cannot be retrieved later.
+ */
+router.get('/keys', manageAuth, (req, res) => {
+  return res.status(200).json({ data: ApiKey.findAll(req.app.locals.db) });
+});
+
+router.post(
+  '/keys',
+  manageAuth,
+  body('name')
+    .isString()
+    .withMessage('Name is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must not exceed 100 characters'),
+  body('role')
+    .optional()
+    .isIn(KEY_ROLES)
+    .withMessage(`Role must be one of: ${KEY_ROLES.join(', ')}`),
+  validate,
+  (req, res) => {
+    const apiKey = createApiKey(
+      req.app.locals.db,
+      { name: req.body.name, role: req.body.role || 'clerk' },
+      { audit: req.audit }
+    );
+    return res.status(201).json(apiKey);
+  }
+);
+
+/**
+ * @openapi
+ * /auth/keys/{id}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Revoke an API key
+ *     x-permission: auth:manage
+ *     description: The key stops working at once. Revoking a revoked key does nothing.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Key revoked
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/keys/:id', manageAuth, idRule, validate, (req, res) => {
+  revokeApiKey(req.app.locals.db, req.params.id, { audit: req.audit });
+  return res.status(204).end();
+});
+
+/**
+ * @openapi
+ * /auth/keys/{id}/rotate:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Rotate an API key
+ *     x-permission: auth:manage
+ *     description: Revokes the key and creates a replacement with the same name and role. The response is the only time the new key is shown.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: Replacement key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NewApiKey'
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: API key not found
+ *       409:
+ *         description: The key has already been revoked
+ */
+router.post('/keys/:id/rotate', manageAuth, idRule, validate, (req, res) => {
+  const apiKey = rotateApiKey(req.app.locals.db, req.params.id, { audit: req.audit });
+  return res.status(201).json(apiKey);
+});
+
+module.exports = router;
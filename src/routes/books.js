@@ -1,20 +1,322 @@
 const { Router } = require('express');
-const { body, query, param } = require('express-validator');
+const { body, query, param, matchedData, validationResult } = require('express-validator');
 const validate = require('../middleware/validate');
+const requirePermission = require('../middleware/requirePermission');
+const idempotency = require('../middleware/idempotency');
+const preconditions = require('../middleware/preconditions');
 const Book = require('../models/book');
+const LoanPeriod = require('../models/loanPeriod');
 const checkoutHistory = require('../models/checkoutHistory');
-const { checkoutBook, returnBook } = require('../services/checkout');
-const { BookNotFoundError, BookUnavailableError } = require('../errors');
+const Copy = require('../models/copy');
+const ImportJob = require('../models/importJob');
+const MarcRecord = require('../models/marcRecord');
+const { addCopy, changeCopyStatus } = require('../services/copies');
+const { checkoutBook, renewBook, returnBook } = require('../services/checkout');
+const { updateBook } = require('../services/books');
+const { IMPORT_FIELDS, runImport } = require('../services/bookImport');
+const { STATES } = require('../services/copyStatus');
+const { deleteBook, restoreBook } = require('../services/trash');
+const { runIdempotent } = require('../services/idempotency');
+const { placeHold, cancelHold, expireHolds } = require('../services/holds');
+const Hold = require('../models/hold');
+const { encodeCursor, decodeCursor, buildLinkHeader } = require('../pagination');
+const { bookEtag } = require('../etags');
+const { parseScannedBarcode, assertScannable } = require('../barcodes');
+const { IMPORT_FORMATS, MARC_IMPORT_FORMATS } = require('../importFormats');
+const { serializeMarc21, serializeMarcXml, marcFromBook } = require('../marc');
+const { EXPORT_FORMATS, writeExport } = require('../exportFormats');
+const {
+  ValidationError,
+  BookNotFoundError,
+  IsbnConflictError,
+  BarcodeConflictError,
+  CopyNotFoundError,
+  ImportJobNotFoundError,
+  UnsupportedMediaTypeError,
+} = require('../errors');
 
 const router = Router();
 
+const WRITABLE_FIELDS = ['title', 'author', 'isbn', 'published_year', 'item_type'];
+const PROTECTED_FIELDS = ['status', 'checked_out_at', 'due_at'];
+
+// PUT replaces the book, so optional fields it leaves out go back to these
+const REPLACE_DEFAULTS = { item_type: Book.DEFAULT_ITEM_TYPE };
+
+/**
+ * Builds the express-validator chains for the writable book fields.
+ *
+ * POST and PUT require every catalog field. PATCH passes `{ optional: true }` so
+ * only the members present in the merge patch are validated; an explicit
+ * `null` still fails because none of these fields may be removed.
+ * `item_type` is always optional and must name a configured loan period.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false] - Skip fields that are absent from the body.
+ * @returns {import('express-validator').ValidationChain[]} The validation chains.
+ */
+function bookFieldRules({ optional = false } = {}) {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('title')
+      .trim()
+      .notEmpty()
+      .withMessage('Title is required')
+      .isLength({ max: 255 })
+      .withMessage('Title must not exceed 255 characters'),
+    field('author')
+      .trim()
+      .notEmpty()
+      .withMessage('Author is required')
+      .isLength({ max: 255 })
+      .withMessage('Author must not exceed 255 characters'),
+    field('isbn')
+      .notEmpty()
+      .withMessage('ISBN is required')
+      .isISBN()
+      .withMessage('ISBN must be a valid ISBN-10 or ISBN-13'),
+    field('published_year')
+      .isInt({ min: 1000, max: new Date().getFullYear() })
+      .withMessage('Published year must be an integer between 1000 and the current year'),
+    body('item_type')
+      .optional()
+      .custom((value, { req }) => typeof value === 'string'
+        && LoanPeriod.findByItemType(req.app.locals.db, value) !== null)
+      .withMessage('Item type must be one of the configured loan period item types'),
+  ];
+}
+
+/**
+ * Parses a `sort` query value such as `-published_year,title` into sort
+ * keys. A leading `-` means descending.
+ *
+ * @param {string} value - Comma-separated field list.
+ * @returns {Array<{ field: string, direction: 'asc'|'desc' }>} Sort keys in priority order.
+ */
+function parseSort(value) {
+  return value
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => (part.startsWith('-')
+      ? { field: part.slice(1), direction: 'desc' }
+      : { field: part, direction: 'asc' }));
+}
+
+const isSingleValue = value => typeof value === 'string';
+
+/**
+ * Validation chains for the filter parameters of GET /books, which
+ * GET /books/export shares. Requires the app's query parser to be
+ * 'extended' so `published_year[gte]` arrives as a nested object.
+ */
+const filterRules = [
+  query('status')
+    .optional()
+    .custom(isSingleValue)
+    .withMessage('Status must be given once')
+    .bail()
+    .isIn(STATES)
+    .withMessage(`Status must be one of: ${STATES.join(', ')}`),
+  query('author')
+    .optional()
+    .custom(isSingleValue)
+    .withMessage('Author must be given once')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Author must not be empty')
+    .isLength({ max: 255 })
+    .withMessage('Author must not exceed 255 characters'),
+  query('isbn')
+    .optional()
+    .custom(isSingleValue)
+    .withMessage('ISBN must be given once')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('ISBN must not be empty'),
+  query('published_year')
+    .optional()
+    .isObject()
+    .withMessage('Published year filters must use published_year[gte] and/or published_year[lte]'),
+  query('published_year.gte')
+    .optional()
+    .isInt()
+    .withMessage('published_year[gte] must be an integer')
+    .toInt(),
+  query('published_year.lte')
+    .optional()
+    .isInt()
+    .withMessage('published_year[lte] must be an integer')
+    .toInt(),
+  query('created_after')
+    .optional()
+    .isISO8601()
+    .withMessage('created_after must be an ISO-8601 date or timestamp'),
+];
+
+/** Validation chains for the filter and sort parameters of GET /books. */
+const listFilterRules = [
+  ...filterRules,
+  query('sort')
+    .optional()
+    .custom(value => {
+      if (!isSingleValue(value) || parseSort(value).length === 0) {
+        throw new Error('Sort must be a comma-separated list of fields');
+      }
+      const fields = parseSort(value).map(key => key.field);
+      const unknown = fields.find(field => !Book.SORTABLE_FIELDS.includes(field));
+      if (unknown !== undefined) {
+        throw new Error(`Cannot sort by "${unknown}". Sortable fields: ${Book.SORTABLE_FIELDS.join(', ')}`);
+      }
+      if (new Set(fields).size !== fields.length) {
+        throw new Error('Sort fields must not repeat');
+      }
+      return true;
+    }),
+];
+
+/**
+ * Collects the validated list filters. Uses matchedData because Express 5
+ * re-parses req.query on every access, so sanitizers cannot write back to it.
+ */
+function listFilters(req) {
+  const data = matchedData(req, { locations: ['query'] });
+  const filters = {};
+
+  for (const field of ['status', 'author', 'isbn', 'created_after']) {
+    if (data[field] !== undefined) {
+      filters[field] = data[field];
+    }
+  }
+  if (data.published_year && data.published_year.gte !== undefined) {
+    filters.published_year_gte = data.published_year.gte;
+  }
+  if (data.published_year && data.published_year.lte !== undefined) {
+    filters.published_year_lte = data.published_year.lte;
+  }
+
+  return filters;
+}
+
+/**
+ * Validation chains for the cursor-pagination parameters shared by the list
+ * and history endpoints.
+ *
+ * @param {Function} scopeOf - Maps the request to the cursor scope, so a
+ *   cursor issued for one list cannot be replayed against another.
+ * @returns {import('express-validator').ValidationChain[]} The validation chains.
+ */
+function cursorRules(scopeOf) {
+  return [
+    query('cursor')
+      .optional()
+      .custom((value, { req }) => decodeCursor(value, scopeOf(req)) !== null)
+      .withMessage('Cursor is invalid or was issued for a different list'),
+    query('pagination')
+      .optional()
+      .isIn(['page', 'cursor'])
+      .withMessage('Pagination must be one of: page, cursor'),
+    query('include_total')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('include_total must be true or false'),
+  ];
+}
+
+const isCursorMode = req => req.query.cursor !== undefined || req.query.pagination === 'cursor';
+
+/**
+ * Sends a keyset page: signs the boundary keys into `next_cursor` /
+ * `prev_cursor` and advertises them in an RFC 8288 `Link` header.
+ */
+function sendCursorPage(req, res, { scope, rows, total, nextKey, prevKey, limit }) {
+  const next_cursor = nextKey ? encodeCursor(scope, nextKey, 'next') : null;
+  const prev_cursor = prevKey ? encodeCursor(scope, prevKey, 'prev') : null;
+
+  const link = buildLinkHeader(req, {
+    next: next_cursor && { cursor: next_cursor, pagination: undefined, page: undefined },
+    prev: prev_cursor && { cursor: prev_cursor, pagination: undefined, page: undefined },
+  });
+  if (link) {
+    res.set('Link', link);
+  }
+
+  const pagination = { limit, next_cursor, prev_cursor };
+  if (total !== undefined) {
+    pagination.total = total;
+  }
+
+  return res.status(200).json({ data: rows, pagination });
+}
+
+/**
+ * Sends a page/limit page with first/prev/next/last `Link` relations.
+ * Without a total, `next` is offered whenever the page is full and `last`
+ * is omitted.
+ */
+function sendOffsetPage(req, res, { rows, total, page, limit }) {
+  const lastPage = total !== undefined ? Math.max(1, Math.ceil(total / limit)) : undefined;
+  const hasNext = lastPage !== undefined ? page < lastPage : rows.length === limit;
+
+  res.set('Link', buildLinkHeader(req, {
+    first: { page: 1 },
+    prev: page > 1 ? { page: page - 1 } : null,
+    next: hasNext ? { page: page + 1 } : null,
+    last: lastPage !== undefined ? { page: lastPage } : null,
+  }));
+
+  const pagination = { page, limit };
+  if (total !== undefined) {
+    pagination.total = total;
+  }
+
+  return res.status(200).json({ data: rows, pagination });
+}
+
+/**
+ * Rejects attempts to set circulation fields directly. `status` is
+ * summarised from the book's copies, which carry `checked_out_at` and
+ * `due_at` for their loans.
+ */
+const protectedFieldRules = PROTECTED_FIELDS.map(field =>
+  body(field)
+    .not()
+    .exists()
+    .withMessage(`${field} can only be changed by checking out or returning the book`)
+);
+
+/**
+ * Shared handler for PUT and PATCH: copies the writable fields present in
+ * the (already validated) body onto the book via updateBook. For PUT,
+ * optional fields missing from the body are reset to REPLACE_DEFAULTS.
+ */
+function updateBookHandler(req, res) {
+  const payload = req.body || {};
+
+  const fields = req.method === 'PUT' ? { ...REPLACE_DEFAULTS } : {};
+  for (const field of WRITABLE_FIELDS) {
+    if (Object.prototype.hasOwnProperty.call(payload, field)) {
+      fields[field] = payload[field];
+    }
+  }
+
+  const book = updateBook(req.app.locals.db, req.params.id, fields, { ifMatch: req.ifMatch, audit: req.audit });
+  return res.status(200).set('ETag', bookEtag(book)).json(book);
+}
+
 /**
  * @openapi
  * /books:
  *   post:
  *     tags: [Books]
  *     summary: Create a new book
- *     description: Creates a new book record in the library. The ISBN must be unique across all books.
+ *     x-permission: books:write
+ *     description: Creates a new book record in the library. The ISBN must be unique across all books. Send an `Idempotency-Key` to make retries safe.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -38,9 +340,18 @@ const router = Router();
  *                 type: integer
  *                 minimum: 1000
  *                 description: The year the book was published
+ *               item_type:
+ *                 type: string
+ *                 default: book
+ *                 description: A configured item type (see GET /loans/periods); sets the loan period
  *     responses:
  *       201:
- *         description: Book created successfully
+ *         description: Book created successfully. A replayed response has the book as first created, with the book's current ETag (none once it is deleted).
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Idempotent-Replayed:
+ *             $ref: '#/components/headers/IdempotentReplayed'
  *         content:
  *           application/json:
  *             schema:
@@ -57,9 +368,15 @@ const router = Router();
  *                   type: string
  *                 published_year:
  *                   type: integer
+ *                 item_type:
+ *                   type: string
+ *                   example: book
  *                 status:
  *                   type: string
  *                   example: available
+ *                 version:
+ *                   type: integer
+ *                   description: Bumped by every change to the book or to the status of one of its copies; sent as the ETag
  *                 created_at:
  *                   type: string
  *                   format: date-time
@@ -68,64 +385,39 @@ const router = Router();
  *                   format: date-time
  *       400:
  *         description: Validation error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 errors:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       msg:
- *                         type: string
- *                       param:
- *                         type: string
  *       409:
  *         description: Duplicate ISBN conflict
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: A book with this ISBN already exists
+ *       422:
+ *         description: The Idempotency-Key was used with a different request
  */
 router.post(
   '/',
-  body('title')
-    .trim()
-    .notEmpty()
-    .withMessage('Title is required')
-    .isLength({ max: 255 })
-    .withMessage('Title must not exceed 255 characters'),
-  body('author')
-    .trim()
-    .notEmpty()
-    .withMessage('Author is required')
-    .isLength({ max: 255 })
-    .withMessage('Author must not exceed 255 characters'),
-  body('isbn')
-    .notEmpty()
-    .withMessage('ISBN is required')
-    .isISBN()
-    .withMessage('ISBN must be a valid ISBN-10 or ISBN-13'),
-  body('published_year')
-    .isInt({ min: 1000, max: new Date().getFullYear() })
-    .withMessage('Published year must be an integer between 1000 and the current year'),
+  requirePermission('books:write'),
+  ...bookFieldRules(),
   validate,
+  idempotency,
   (req, res) => {
-    const { title, author, isbn, published_year } = req.body;
+    const { title, author, isbn, published_year, item_type } = req.body;
     const db = req.app.locals.db;
 
     try {
-      const book = Book.create(db, { title, author, isbn, published_year });
-      return res.status(201).json(book);
+      const { status, body, replayed } = runIdempotent(db, req.idempotency, () => ({
+        status: 201,
+        body: Book.create(db, { title, author, isbn, published_year, item_type }, req.audit),
+      }));
+      // The replayed body is the book as first created, but the ETag must
+      // be the book's current one; a deleted book has none
+      const current = replayed ? Book.findById(db, body.id) : body;
+      if (replayed) {
+        res.set('Idempotent-Replayed', 'true');
+      }
+      if (current) {
+        res.set('ETag', bookEtag(current));
+      }
+      return res.status(status).json(body);
     } catch (err) {
       if (err.message === 'A book with this ISBN already exists') {
-        return res.status(409).json({ error: 'A book with this ISBN already exists' });
+        throw new IsbnConflictError();
       }
       throw err;
     }
@@ -138,9 +430,63 @@ router.post(
  *   get:
  *     tags: [Books]
  *     summary: List all books
- *     description: Returns a paginated list of all books in the library, ordered by creation date descending.
+ *     x-permission: books:read
+ *     description: Returns a paginated list of all books in the library, ordered by creation date descending. When `q` is given the list is a full-text search instead, ranked by relevance (see GET /books/search).
  *     parameters:
  *       - in: query
+ *         name: q
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Full-text search over title, author and ISBN
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [available, checked_out, on_hold_shelf, in_transit, lost, damaged, in_repair, withdrawn]
+ *         description: Only books with this status
+ *       - in: query
+ *         name: author
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Only books by this author (case-insensitive exact match)
+ *       - in: query
+ *         name: isbn
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only the book with this exact ISBN
+ *       - in: query
+ *         name: published_year[gte]
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only books published in or after this year
+ *       - in: query
+ *         name: published_year[lte]
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only books published in or before this year
+ *       - in: query
+ *         name: created_after
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only books added to the catalog after this ISO-8601 date or timestamp
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: -published_year,title
+ *         description: Comma-separated sort fields, highest priority first. Prefix a field with `-` for descending order. Sortable fields are title, author, isbn, published_year, status, created_at and updated_at. Defaults to -created_at, or to relevance when `q` is given.
+ *       - in: query
  *         name: page
  *         required: false
  *         schema:
@@ -157,9 +503,36 @@ router.post(
  *           maximum: 100
  *           default: 20
  *         description: Number of books per page
+ *       - in: query
+ *         name: pagination
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *           default: page
+ *         description: Set to `cursor` to start keyset pagination. Cursor pages are stable while rows are inserted and are not affected by page depth.
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Opaque signed cursor taken from `next_cursor` or `prev_cursor` of a previous response. Implies `pagination=cursor`.
+ *       - in: query
+ *         name: include_total
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'true'
+ *         description: Set to `false` to skip counting matching rows; `total` is then omitted.
  *     responses:
  *       200:
  *         description: Paginated list of books
+ *         headers:
+ *           Link:
+ *             description: RFC 8288 links to neighbouring pages (first, prev, next and last in page mode; prev and next in cursor mode)
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -181,6 +554,8 @@ router.post(
  *                         type: string
  *                       published_year:
  *                         type: integer
+ *                       item_type:
+ *                         type: string
  *                       status:
  *                         type: string
  *                       created_at:
@@ -196,11 +571,26 @@ router.post(
  *                       type: integer
  *                     limit:
  *                       type: integer
+ *                     next_cursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor mode only
+ *                     prev_cursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor mode only
  *                     total:
  *                       type: integer
+ *       400:
+ *         description: Invalid filter or sort parameter
  */
 router.get(
   '/',
+  requirePermission('books:read'),
+  ...listFilterRules,
+  ...cursorRules(() => 'books'),
+  validate,
+  // page and limit fall back to defaults instead of failing validation
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   (req, res) => {
@@ -212,128 +602,50 @@ router.get(
     limit = Number.isInteger(limit) && limit >= 1 && limit <= 100 ? limit : 20;
 
     const offset = (page - 1) * limit;
-    const { books, total } = Book.findAll(req.app.locals.db, { limit, offset });
-
-    return res.status(200).json({
-      data: books,
-      pagination: {
-        page,
-        limit,
-        total,
-      },
-    });
-  }
-);
-
-/**
- * @openapi
- * /books/{id}:
- *   get:
- *     tags: [Books]
- *     summary: Get a book by ID
- *     description: Returns a single book record identified by its UUID.
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *           format: uuid
- *         description: UUID v4 of the book
- *     responses:
- *       200:
- *         description: Book found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: string
- *                   format: uuid
- *                 title:
- *                   type: string
- *                 author:
- *                   type: string
- *                 isbn:
- *                   type: string
- *                 published_year:
- *                   type: integer
- *                 status:
- *                   type: string
- *                 checked_out_at:
- *                   type: string
- *                   format: date-time
- *                   nullable: true
- *                 created_at:
- *                   type: string
- *                   format: date-time
- *                 updated_at:
- *                   type: string
- *                   format: date-time
- *       400:
- *         description: Invalid UUID format
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 errors:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       msg:
- *                         type: string
- *                       param:
- *                         type: string
- *       404:
- *         description: Book not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Book not found
- */
-router.get(
-  '/:id',
-  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
-  validate,
-  async (req, res) => {
-    try {
-      const { id } = req.params;
-      const db = req.app.locals.db;
-      const book = Book.findById(db, id);
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const filters = listFilters(req);
+    const sort = req.query.sort ? parseSort(req.query.sort) : undefined;
+    const includeTotal = req.query.include_total !== 'false';
 
-      if (book === null) {
-        return res.status(404).json({ error: 'Book not found' });
+    if (isCursorMode(req)) {
+      if (q || sort) {
+        throw new ValidationError([
+          { name: 'cursor', in: 'query', reason: 'Cursor pagination cannot be combined with q or sort' },
+        ]);
       }
 
-      return res.status(200).json(book);
-    } catch (err) {
-      return res.status(500).json({ error: 'Internal server error' });
+      const cursor = req.query.cursor ? decodeCursor(req.query.cursor, 'books') : null;
+      const { books, total, nextKey, prevKey } = Book.findAllByCursor(req.app.locals.db, {
+        limit, cursor, filters, includeTotal,
+      });
+
+      return sendCursorPage(req, res, { scope: 'books', rows: books, total, nextKey, prevKey, limit });
     }
+
+    const { books, total } = q
+      ? Book.search(req.app.locals.db, q, { limit, offset, filters, sort })
+      : Book.findAll(req.app.locals.db, { limit, offset, filters, sort, includeTotal });
+
+    return sendOffsetPage(req, res, { rows: books, total, page, limit });
   }
 );
 
 /**
  * @openapi
- * /books/{id}/history:
+ * /books/search:
  *   get:
- *     tags: [History]
- *     summary: Get checkout history for a book
- *     description: Returns a paginated list of checkout and return events for a specific book, ordered by timestamp descending (newest first).
+ *     tags: [Books]
+ *     summary: Search the catalog
+ *     x-permission: books:read
+ *     description: Full-text search over title, author and ISBN backed by SQLite FTS5. Every word is matched as a prefix and all words must match. Results are ranked by BM25 relevance, with title matches weighted above author and ISBN matches. ISBNs match with or without hyphens.
  *     parameters:
- *       - in: path
- *         name: id
+ *       - in: query
+ *         name: q
  *         required: true
  *         schema:
  *           type: string
- *           format: uuid
- *         description: UUID v4 of the book
+ *           maxLength: 200
+ *         description: Search text, e.g. "tolk hobb"
  *       - in: query
  *         name: page
  *         required: false
@@ -350,10 +662,10 @@ router.get(
  *           minimum: 1
  *           maximum: 100
  *           default: 20
- *         description: Number of history entries per page
+ *         description: Number of results per page
  *     responses:
  *       200:
- *         description: Paginated checkout history
+ *         description: Ranked search results
  *         content:
  *           application/json:
  *             schema:
@@ -367,15 +679,24 @@ router.get(
  *                       id:
  *                         type: string
  *                         format: uuid
- *                       book_id:
+ *                       title:
  *                         type: string
- *                         format: uuid
- *                       action:
+ *                       author:
  *                         type: string
- *                         enum: [checked_out, returned]
- *                       timestamp:
+ *                       isbn:
  *                         type: string
- *                         format: date-time
+ *                       rank:
+ *                         type: number
+ *                         description: BM25 score; lower is more relevant
+ *                       highlights:
+ *                         type: object
+ *                         description: HTML with the stored text escaped and matched terms in <mark> tags
+ *                         properties:
+ *                           title:
+ *                             type: string
+ *                             example: The <mark>Hobbit</mark>
+ *                           author:
+ *                             type: string
  *                 pagination:
  *                   type: object
  *                   properties:
@@ -386,67 +707,1813 @@ router.get(
  *                     total:
  *                       type: integer
  *       400:
- *         description: Invalid UUID format
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 errors:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       msg:
- *                         type: string
- *                       param:
- *                         type: string
- *       404:
+ *         description: Missing or invalid query parameters
+ */
+router.get(
+  '/search',
+  requirePermission('books:read'),
+  query('q')
+    .isString()
+    .withMessage('Search query is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Search query is required')
+    .isLength({ max: 200 })
+    .withMessage('Search query must not exceed 200 characters'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  (req, res) => {
+    const page = Number.isInteger(req.query.page) ? req.query.page : (parseInt(req.query.page, 10) || 1);
+    const limit = Number.isInteger(req.query.limit) ? req.query.limit : (parseInt(req.query.limit, 10) || 20);
+    const offset = (page - 1) * limit;
+
+    const { books, total } = Book.search(req.app.locals.db, req.query.q, { limit, offset });
+
+    return res.status(200).json({
+      data: books,
+      pagination: { page, limit, total },
+    });
+  }
+);
+
+/**
+ * @openapi
+ * /books/trash:
+ *   get:
+ *     tags: [Books]
+ *     summary: List deleted books
+ *     x-permission: books:write
+ *     description: Returns a paginated list of soft-deleted books, most recently deleted first. Deleted books are purged permanently once their retention window expires.
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of books per page
+ *     responses:
+ *       200:
+ *         description: Paginated list of deleted books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       title:
+ *                         type: string
+ *                       deleted_at:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ */
+router.get(
+  '/trash',
+  requirePermission('books:write'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  (req, res) => {
+    const page = Number.isInteger(req.query.page) ? req.query.page : (parseInt(req.query.page, 10) || 1);
+    const limit = Number.isInteger(req.query.limit) ? req.query.limit : (parseInt(req.query.limit, 10) || 20);
+    const offset = (page - 1) * limit;
+
+    const { books, total } = Book.findDeleted(req.app.locals.db, { limit, offset });
+
+    return res.status(200).json({
+      data: books,
+      pagination: { page, limit, total },
+    });
+  }
+);
+
+// Validation chains for the options shared by the import endpoints
+const importOptionRules = [
+  query('dry_run')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('dry_run must be true or false'),
+  query('on_duplicate')
+    .optional()
+    .isIn(['skip', 'upsert'])
+    .withMessage('on_duplicate must be one of: skip, upsert'),
+];
+
+/**
+ * Validation chain for the column mapping of POST /books/import. It arrives
+ * as an object because the app's query parser is 'extended'.
+ */
+const mappingRule = query('mapping')
+    .optional()
+    .custom(value => {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Mapping must be given as mapping[field]=column');
+      }
+      for (const [field, column] of Object.entries(value)) {
+        if (!IMPORT_FIELDS.includes(field)) {
+          throw new Error(`Cannot map "${field}". Importable fields: ${IMPORT_FIELDS.join(', ')}`);
+        }
+        if (typeof column !== 'string' || column.trim() === '') {
+          throw new Error(`mapping[${field}] must name one column`);
+        }
+      }
+      return true;
+    });
+
+// Imported rows get exactly the checks POST /books makes
+const importRowRules = bookFieldRules();
+
+/**
+ * Runs the create route's validation chains against one import row.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} fields - The book fields read from the row.
+ * @returns {Promise<{ fields: Object, errors: Array<{ name: string, reason: string }> }>} The sanitized fields, ready for Book.create, and every failed check.
+ */
+async function validateImportRow(db, fields) {
+  const req = { body: { ...fields }, app: { locals: { db } } };
+  for (const rule of importRowRules) {
+    await rule.run(req);
+  }
+
+  const errors = validationResult(req).array().map(err => ({ name: err.path, reason: err.msg }));
+  // CSV values are all strings, and JSON ones may be numbers
+  return { fields: { ...req.body, isbn: String(req.body.isbn), published_year: Number(req.body.published_year) }, errors };
+}
+
+/**
+ * @openapi
+ * /books/import:
+ *   post:
+ *     tags: [Books]
+ *     summary: Import books from a file
+ *     x-permission: books:write
+ *     description: |
+ *       Adds books in bulk from a CSV file (with a header row), a JSON array of objects or newline-delimited JSON. Send the file itself as the body, with its media type as the Content-Type. The upload is read as it streams in, so files of any size can be imported.
+ *
+ *       Responds 202 straight away with an import job; poll GET /books/import/{id} until its status is `completed` or `failed`. Each row is checked exactly as POST /books checks a new book, and rows that fail are listed by GET /books/import/{id}/errors while the rest are imported. Rows are committed in chunks (IMPORT_CHUNK_SIZE, 500 by default), so if the upload breaks off, the chunks already committed stay in the catalog.
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Check and count every row as usual but change no books
+ *       - in: query
+ *         name: on_duplicate
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [skip, upsert]
+ *           default: skip
+ *         description: What to do with a row whose ISBN is already in the catalog; `upsert` updates that book with the row's fields. Rows that would leave the book unchanged are counted as skipped either way.
+ *       - in: query
+ *         name: mapping
+ *         required: false
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             title:
+ *               type: string
+ *             author:
+ *               type: string
+ *             isbn:
+ *               type: string
+ *             published_year:
+ *               type: string
+ *             item_type:
+ *               type: string
+ *           example:
+ *             title: Book Title
+ *             published_year: Year
+ *         description: The column to read each book field from, e.g. `mapping[title]=Book Title`. Fields not mapped are read from the column with their own name.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: "title,author,isbn,published_year\nDune,Frank Herbert,9780441013593,1965\n"
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       202:
+ *         description: The import has started
+ *         headers:
+ *           Location:
+ *             description: The import job, to poll for progress
+ *             schema:
+ *               type: string
+ *               example: /books/import/3f0c2a8e-7d1b-4f6a-9c2e-5b8d1e4a7c90
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       400:
+ *         description: Invalid import options
+ *       415:
+ *         description: The Content-Type is not text/csv, application/json or application/x-ndjson
+ */
+router.post(
+  '/import',
+  requirePermission('books:write'),
+  ...importOptionRules,
+  mappingRule,
+  validate,
+  (req, res) => {
+    const format = IMPORT_FORMATS[req.is(Object.keys(IMPORT_FORMATS))];
+    if (format === undefined) {
+      throw new UnsupportedMediaTypeError(`Upload the file as one of: ${Object.keys(IMPORT_FORMATS).join(', ')}`);
+    }
+
+    const db = req.app.locals.db;
+    const job = ImportJob.create(db, {
+      format,
+      onDuplicate: req.query.on_duplicate || 'skip',
+      dryRun: req.query.dry_run === 'true',
+      mapping: req.query.mapping || {},
+    });
+
+    // Start reading the body before responding, so it is not discarded
+    // when the response ends
+    runImport(db, job, req, { validateRow: fields => validateImportRow(db, fields), audit: req.audit });
+
+    return res.status(202).location(`/books/import/${job.id}`).json(job);
+  }
+);
+
+/**
+ * @openapi
+ * /books/import/marc:
+ *   post:
+ *     tags: [Books]
+ *     summary: Import books from MARC records
+ *     x-permission: books:write
+ *     description: |
+ *       Adds books in bulk from MARC 21 bibliographic records, as ISO 2709 (MARC21 binary, UTF-8 encoded) or MARCXML. Send the file itself as the body, with its media type as the Content-Type. Each record becomes a row of an import job, exactly as with POST /books/import: poll GET /books/import/{id} for progress and GET /books/import/{id}/errors for the records that could not be imported.
+ *
+ *       The book's ISBN is read from 020 $a, its author from 100 $a, its title from 245 $a and $b, and its publication year from 264 $c (or 260 $c). The whole record is stored with the book, so GET /books/{id}.marc and GET /books/{id}.marcxml give it back with every field it was imported with.
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Check and count every record as usual but change no books
+ *       - in: query
+ *         name: on_duplicate
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [skip, upsert]
+ *           default: skip
+ *         description: What to do with a record whose ISBN is already in the catalog; `upsert` updates that book from the record and stores the record with it.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/marc:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         application/marcxml+xml:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       202:
+ *         description: The import has started
+ *         headers:
+ *           Location:
+ *             description: The import job, to poll for progress
+ *             schema:
+ *               type: string
+ *               example: /books/import/3f0c2a8e-7d1b-4f6a-9c2e-5b8d1e4a7c90
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       400:
+ *         description: Invalid import options
+ *       415:
+ *         description: The Content-Type is not application/marc or application/marcxml+xml
+ */
+router.post(
+  '/import/marc',
+  requirePermission('books:write'),
+  ...importOptionRules,
+  validate,
+  (req, res) => {
+    const format = MARC_IMPORT_FORMATS[req.is(Object.keys(MARC_IMPORT_FORMATS))];
+    if (format === undefined) {
+      throw new UnsupportedMediaTypeError(`Upload the records as one of: ${Object.keys(MARC_IMPORT_FORMATS).join(', ')}`);
+    }
+
+    const db = req.app.locals.db;
+    const job = ImportJob.create(db, {
+      format,
+      onDuplicate: req.query.on_duplicate || 'skip',
+      dryRun: req.query.dry_run === 'true',
+      mapping: {},
+    });
+
+    runImport(db, job, req, { validateRow: fields => validateImportRow(db, fields), audit: req.audit });
+
+    return res.status(202).location(`/books/import/${job.id}`).json(job);
+  }
+);
+
+/**
+ * @openapi
+ * /books/import/{id}:
+ *   get:
+ *     tags: [Books]
+ *     summary: Get an import job
+ *     x-permission: books:write
+ *     description: Returns an import job with how many rows it has processed so far. Poll it until `status` is no longer `processing`.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: UUID v4 of the import job
+ *     responses:
+ *       200:
+ *         description: The import job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: Import job not found
+ */
+router.get(
+  '/import/:id',
+  requirePermission('books:write'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  validate,
+  (req, res) => {
+    const job = ImportJob.findById(req.app.locals.db, req.params.id);
+    if (job === null) {
+      throw new ImportJobNotFoundError();
+    }
+
+    return res.status(200).json(job);
+  }
+);
+
+/**
+ * @openapi
+ * /books/import/{id}/errors:
+ *   get:
+ *     tags: [Books]
+ *     summary: List the rows an import could not import
+ *     x-permission: books:write
+ *     description: Returns a paginated list of the rows that failed, in row order, with every reason each one failed. Rows count from 1, not including a CSV header.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: UUID v4 of the import job
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of rows per page
+ *     responses:
+ *       200:
+ *         description: Paginated list of failed rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         example: 7
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             name:
+ *                               type: string
+ *                               description: The book field, or `row` when the row itself could not be read
+ *                               example: isbn
+ *                             reason:
+ *                               type: string
+ *                               example: ISBN must be a valid ISBN-10 or ISBN-13
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Invalid UUID format or pagination parameters
+ *       404:
+ *         description: Import job not found
+ */
+router.get(
+  '/import/:id/errors',
+  requirePermission('books:write'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  (req, res) => {
+    const db = req.app.locals.db;
+    if (ImportJob.findById(db, req.params.id) === null) {
+      throw new ImportJobNotFoundError();
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const offset = (page - 1) * limit;
+
+    const { errors, total } = ImportJob.findErrors(db, req.params.id, { limit, offset });
+
+    return res.status(200).json({
+      data: errors,
+      pagination: { page, limit, total },
+    });
+  }
+);
+
+const BOOK_EXPORT_COLUMNS = [
+  'id', 'title', 'author', 'isbn', 'published_year', 'item_type', 'status', 'version', 'created_at', 'updated_at',
+];
+const HISTORY_EXPORT_COLUMNS = [
+  'id', 'book_id', 'copy_id', 'patron_id', 'action', 'from_status', 'to_status', 'reason', 'timestamp',
+];
+const HISTORY_ACTIONS = ['checked_out', 'renewed', 'returned', 'status_changed'];
+
+/**
+ * Validation chains for the options both export endpoints take.
+ *
+ * @param {string[]} columns - The columns `fields` may choose from.
+ * @returns {import('express-validator').ValidationChain[]} The validation chains.
+ */
+function exportOptionRules(columns) {
+  return [
+    query('format')
+      .optional()
+      .isIn(Object.keys(EXPORT_FORMATS))
+      .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+    query('fields')
+      .optional()
+      .custom(value => {
+        if (!isSingleValue(value) || value.trim() === '') {
+          throw new Error('Fields must be a comma-separated list of columns');
+        }
+        const fields = value.split(',').map(field => field.trim());
+        const unknown = fields.find(field => !columns.includes(field));
+        if (unknown !== undefined) {
+          throw new Error(`Cannot export "${unknown}". Exportable fields: ${columns.join(', ')}`);
+        }
+        if (new Set(fields).size !== fields.length) {
+          throw new Error('Fields must not repeat');
+        }
+        return true;
+      }),
+    query('bom')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('bom must be true or false'),
+  ];
+}
+
+/**
+ * Streams an export as a download named after `name` and the format, with
+ * the columns picked by `fields` (all of them by default).
+ */
+function sendExport(req, res, { name, columns, open }) {
+  const format = req.query.format || 'csv';
+  const selected = req.query.fields ? req.query.fields.split(',').map(field => field.trim()) : columns;
+
+  res.status(200).set({
+    'Content-Type': EXPORT_FORMATS[format],
+    'Content-Disposition': `attachment; filename="${name}.${format}"`,
+  });
+
+  return writeExport(res, { format, columns: selected, bom: req.query.bom === 'true', open });
+}
+
+/**
+ * @openapi
+ * /books/export:
+ *   get:
+ *     tags: [Books]
+ *     summary: Export the catalog
+ *     x-permission: books:read
+ *     description: Downloads every book matching the same filters as GET /books, in the order they were added, as CSV, newline-delimited JSON or a JSON array. The file is streamed as it is read, however large the catalog. For Excel, ask for CSV with `bom=true`. CSV text that a spreadsheet would take for a formula (starting with `=`, `+`, `-` or `@`) is prefixed with `'`.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, json]
+ *           default: csv
+ *         description: The file format
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: isbn,title,author
+ *         description: 'Comma-separated columns to export, in order. Defaults to all of: id, title, author, isbn, published_year, item_type, status, version, created_at, updated_at.'
+ *       - in: query
+ *         name: bom
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'false'
+ *         description: Start a CSV file with a UTF-8 byte order mark, so Excel reads accented characters correctly
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [available, on_hold_shelf, checked_out, in_transit, in_repair, damaged, lost, withdrawn]
+ *         description: Only books with this status
+ *       - in: query
+ *         name: author
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only books by this author (exact match, case-insensitive)
+ *       - in: query
+ *         name: isbn
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only the book with this ISBN
+ *       - in: query
+ *         name: published_year[gte]
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only books published in or after this year
+ *       - in: query
+ *         name: published_year[lte]
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only books published in or before this year
+ *       - in: query
+ *         name: created_after
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only books added after this ISO-8601 date or timestamp
+ *     responses:
+ *       200:
+ *         description: The export
+ *         headers:
+ *           Content-Disposition:
+ *             description: Names the download, e.g. `attachment; filename="books.csv"`
+ *             schema:
+ *               type: string
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *             example: "id,title,author,isbn,published_year,item_type,status,version,created_at,updated_at\r\n"
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: Invalid format, fields or filters
+ */
+router.get(
+  '/export',
+  requirePermission('books:read'),
+  ...exportOptionRules(BOOK_EXPORT_COLUMNS),
+  ...filterRules,
+  validate,
+  (req, res) => {
+    const db = req.app.locals.db;
+    const filters = listFilters(req);
+
+    return sendExport(req, res, {
+      name: 'books',
+      columns: BOOK_EXPORT_COLUMNS,
+      open: after => Book.iterate(db, { filters, after }),
+    });
+  }
+);
+
+/**
+ * @openapi
+ * /books/export/history:
+ *   get:
+ *     tags: [History]
+ *     summary: Export circulation history
+ *     x-permission: history:read
+ *     description: Downloads checkout, renewal, return and status change events across all books, in the order they happened, as CSV, newline-delimited JSON or a JSON array. The file is streamed as it is read. CSV text that a spreadsheet would take for a formula (starting with `=`, `+`, `-` or `@`) is prefixed with `'`.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, json]
+ *           default: csv
+ *         description: The file format
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: timestamp,action,book_id
+ *         description: 'Comma-separated columns to export, in order. Defaults to all of: id, book_id, copy_id, patron_id, action, from_status, to_status, reason, timestamp.'
+ *       - in: query
+ *         name: bom
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'false'
+ *         description: Start a CSV file with a UTF-8 byte order mark, so Excel reads accented characters correctly
+ *       - in: query
+ *         name: book_id
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only events for this book
+ *       - in: query
+ *         name: action
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [checked_out, renewed, returned, status_changed]
+ *         description: Only events of this kind
+ *       - in: query
+ *         name: since
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events at or after this ISO-8601 date or timestamp
+ *       - in: query
+ *         name: until
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events before this ISO-8601 date or timestamp
+ *     responses:
+ *       200:
+ *         description: The export
+ *         headers:
+ *           Content-Disposition:
+ *             description: Names the download, e.g. `attachment; filename="history.csv"`
+ *             schema:
+ *               type: string
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: Invalid format, fields or filters
+ */
+router.get(
+  '/export/history',
+  requirePermission('history:read'),
+  ...exportOptionRules(HISTORY_EXPORT_COLUMNS),
+  query('book_id')
+    .optional()
+    .isUUID(4)
+    .withMessage('book_id must be a valid UUID v4'),
+  query('action')
+    .optional()
+    .isIn(HISTORY_ACTIONS)
+    .withMessage(`Action must be one of: ${HISTORY_ACTIONS.join(', ')}`),
+  query('since')
+    .optional()
+    .isISO8601()
+    .withMessage('since must be an ISO-8601 date or timestamp'),
+  query('until')
+    .optional()
+    .isISO8601()
+    .withMessage('until must be an ISO-8601 date or timestamp'),
+  validate,
+  (req, res) => {
+    const db = req.app.locals.db;
+    // Timestamps are stored as UTC ISO strings, so compare like with like
+    const instant = value => (value === undefined ? undefined : new Date(value).toISOString());
+    const filters = {
+      bookId: req.query.book_id,
+      action: req.query.action,
+      since: instant(req.query.since),
+      until: instant(req.query.until),
+    };
+
+    return sendExport(req, res, {
+      name: 'history',
+      columns: HISTORY_EXPORT_COLUMNS,
+      open: after => checkoutHistory.iterate(db, { ...filters, after }),
+    });
+  }
+);
+
+// The MARC record for a book: the one it was imported from, brought up to
+// date with its current columns, or a minimal one made from them
+function bookMarc(req) {
+  const db = req.app.locals.db;
+  const book = Book.findById(db, req.params.id);
+  if (book === null) {
+    throw new BookNotFoundError();
+  }
+  return marcFromBook(book, MarcRecord.findByBookId(db, book.id));
+}
+
+/**
+ * @openapi
+ * /books/{id}.marc:
+ *   get:
+ *     tags: [Books]
+ *     summary: Export a book as MARC21
+ *     x-permission: books:read
+ *     description: Downloads the book as a MARC 21 bibliographic record in ISO 2709 (MARC21 binary), UTF-8 encoded. A book imported from MARC gives back the record it was imported with, every field included; only the subfields for the ISBN, author, title and publication year are rewritten, and only if the book has changed since. Other books get a minimal record with the book's ID as its control number (001).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: UUID v4 of the book
+ *     responses:
+ *       200:
+ *         description: The record
+ *         content:
+ *           application/marc:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: Book not found
+ */
+router.get(
+  '/:id.marc',
+  requirePermission('books:read'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  validate,
+  (req, res) => res.status(200).type('application/marc').send(serializeMarc21(bookMarc(req)))
+);
+
+/**
+ * @openapi
+ * /books/{id}.marcxml:
+ *   get:
+ *     tags: [Books]
+ *     summary: Export a book as MARCXML
+ *     x-permission: books:read
+ *     description: Downloads the book as a MARCXML record. The record is the same one GET /books/{id}.marc gives.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: UUID v4 of the book
+ *     responses:
+ *       200:
+ *         description: The record
+ *         content:
+ *           application/marcxml+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: Book not found
+ */
+router.get(
+  '/:id.marcxml',
+  requirePermission('books:read'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  validate,
+  (req, res) => res.status(200).type('application/marcxml+xml; charset=utf-8').send(serializeMarcXml(bookMarc(req)))
+);
+
+/**
+ * @openapi
+ * /books/{id}:
+ *   get:
+ *     tags: [Books]
+ *     summary: Get a book by ID
+ *     x-permission: books:read
+ *     description: Returns a single book record identified by its UUID, with how many of its copies are on the shelf. The ETag changes whenever the book or the status of one of its copies does; send it back in If-None-Match to get 304 while nothing has changed, or in If-Match to write only if nothing has.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: UUID v4 of the book
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: Book found
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   format: uuid
+ *                 title:
+ *                   type: string
+ *                 author:
+ *                   type: string
+ *                 isbn:
+ *                   type: string
+ *                 published_year:
+ *                   type: integer
+ *                 status:
+ *                   type: string
+ *                   description: The status of the copy nearest the shelf, in the order available, on_hold_shelf, checked_out, in_transit, in_repair, damaged, lost, withdrawn
+ *                 item_type:
+ *                   type: string
+ *                 availability:
+ *                   type: object
+ *                   properties:
+ *                     available:
+ *                       type: integer
+ *                       example: 2
+ *                     total:
+ *                       type: integer
+ *                       example: 3
+ *                 version:
+ *                   type: integer
+ *                   description: Bumped by every change to the book or to the status of one of its copies; sent as the ETag
+ *                 created_at:
+ *                   type: string
+ *                   format: date-time
+ *                 updated_at:
+ *                   type: string
+ *                   format: date-time
+ *       304:
+ *         description: The book still has the ETag sent in If-None-Match
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: Book not found
+ */
+router.get(
+  '/:id',
+  requirePermission('books:read'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  validate,
+  (req, res) => {
+    const { id } = req.params;
+    const db = req.app.locals.db;
+    const book = Book.findById(db, id);
+
+    if (book === null) {
+      throw new BookNotFoundError();
+    }
+
+    // res.json answers 304 instead when If-None-Match lists this ETag
+    res.set('ETag', bookEtag(book));
+    return res.status(200).json({ ...book, availability: Copy.availability(db, id) });
+  }
+);
+
+/**
+ * @openapi
+ * /books/{id}:
+ *   put:
+ *     tags: [Books]
+ *     summary: Replace a book
+ *     x-permission: books:write
+ *     description: Replaces the catalog fields of a book. All of title, author, isbn and published_year are required. The circulation fields status, checked_out_at and due_at cannot be set here; check copies out and in through the /copies endpoints instead.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: UUID v4 of the book
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, author, isbn, published_year]
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 255
+ *               author:
+ *                 type: string
+ *                 maxLength: 255
+ *               isbn:
+ *                 type: string
+ *                 description: Valid ISBN-10 or ISBN-13
+ *               published_year:
+ *                 type: integer
+ *                 minimum: 1000
+ *               item_type:
+ *                 type: string
+ *                 description: A configured item type; reset to `book` when omitted, as on create
+ *     responses:
+ *       200:
+ *         description: Book replaced successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   format: uuid
+ *                 title:
+ *                   type: string
+ *                 author:
+ *                   type: string
+ *                 isbn:
+ *                   type: string
+ *                 published_year:
+ *                   type: integer
+ *                 status:
+ *                   type: string
+ *                 item_type:
+ *                   type: string
+ *                 version:
+ *                   type: integer
+ *                   description: Bumped by every change to the book or to the status of one of its copies; sent as the ETag
+ *                 created_at:
+ *                   type: string
+ *                   format: date-time
+ *                 updated_at:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Validation error, invalid UUID, or attempt to set a circulation field
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: Duplicate ISBN conflict
+ *       412:
+ *         description: The book has changed since the ETag in If-Match was read
+ *       428:
+ *         description: If-Match is required and was not sent
+ *   patch:
+ *     tags: [Books]
+ *     summary: Partially update a book
+ *     x-permission: books:write
+ *     description: Applies a JSON Merge Patch (RFC 7396) to the catalog fields of a book. Only the members present in the patch are changed. Fields cannot be removed, so a null member is rejected. The circulation fields status, checked_out_at and due_at cannot be set here.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: UUID v4 of the book
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 255
+ *               author:
+ *                 type: string
+ *                 maxLength: 255
+ *               isbn:
+ *                 type: string
+ *               published_year:
+ *                 type: integer
+ *                 minimum: 1000
+ *               item_type:
+ *                 type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Book updated successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Validation error, invalid UUID, or attempt to set a circulation field
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: Duplicate ISBN conflict
+ *       412:
+ *         description: The book has changed since the ETag in If-Match was read
+ *       428:
+ *         description: If-Match is required and was not sent
+ */
+router.put(
+  '/:id',
+  requirePermission('books:write'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  ...bookFieldRules(),
+  ...protectedFieldRules,
+  validate,
+  preconditions,
+  updateBookHandler
+);
+
+router.patch(
+  '/:id',
+  requirePermission('books:write'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  ...bookFieldRules({ optional: true }),
+  ...protectedFieldRules,
+  validate,
+  preconditions,
+  updateBookHandler
+);
+
+/**
+ * @openapi
+ * /books/{id}:
+ *   delete:
+ *     tags: [Books]
+ *     summary: Delete a book
+ *     x-permission: books:write
+ *     description: Soft-deletes a book by moving it to the trash. The book disappears from listings and lookups but keeps its copies and checkout history until it is purged. A book cannot be deleted while a copy is checked out or on the hold shelf.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: UUID v4 of the book
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       204:
+ *         description: Book moved to the trash
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: A copy is checked out or on the hold shelf
+ *       412:
+ *         description: The book has changed since the ETag in If-Match was read
+ *       428:
+ *         description: If-Match is required and was not sent
+ */
+router.delete(
+  '/:id',
+  requirePermission('books:write'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  validate,
+  preconditions,
+  (req, res) => {
+    const { id } = req.params;
+    const db = req.app.locals.db;
+
+    deleteBook(db, id, { ifMatch: req.ifMatch, audit: req.audit });
+    return res.status(204).end();
+  }
+);
+
+/**
+ * @openapi
+ * /books/{id}/restore:
+ *   post:
+ *     tags: [Books]
+ *     summary: Restore a deleted book
+ *     x-permission: books:write
+ *     description: Moves a soft-deleted book out of the trash so it appears in listings and lookups again.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: UUID v4 of the deleted book
+ *     responses:
+ *       200:
+ *         description: Book restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   format: uuid
+ *                 title:
+ *                   type: string
+ *                 deleted_at:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: No deleted book with this ID
+ */
+router.post(
+  '/:id/restore',
+  requirePermission('books:write'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  validate,
+  (req, res) => {
+    const { id } = req.params;
+    const db = req.app.locals.db;
+
+    const book = restoreBook(db, id, { audit: req.audit });
+    return res.status(200).json(book);
+  }
+);
+
+/**
+ * @openapi
+ * /books/{id}/history:
+ *   get:
+ *     tags: [History]
+ *     summary: Get checkout history for a book
+ *     x-permission: history:read
+ *     description: Returns a paginated list of checkout, renewal, return and status change events across all copies of a book, ordered by timestamp descending (newest first). Each event names the copy involved and the status change it made.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: UUID v4 of the book
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of history entries per page
+ *       - in: query
+ *         name: pagination
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *           default: page
+ *         description: Set to `cursor` to start keyset pagination. Cursor pages are stable while rows are inserted and are not affected by page depth.
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Opaque signed cursor taken from `next_cursor` or `prev_cursor` of a previous response. Implies `pagination=cursor`.
+ *       - in: query
+ *         name: include_total
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'true'
+ *         description: Set to `false` to skip counting matching rows; `total` is then omitted.
+ *     responses:
+ *       200:
+ *         description: Paginated checkout history
+ *         headers:
+ *           Link:
+ *             description: RFC 8288 links to neighbouring pages (first, prev, next and last in page mode; prev and next in cursor mode)
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       book_id:
+ *                         type: string
+ *                         format: uuid
+ *                       copy_id:
+ *                         type: string
+ *                         format: uuid
+ *                         nullable: true
+ *                       action:
+ *                         type: string
+ *                         enum: [checked_out, renewed, returned, status_changed]
+ *                       from_status:
+ *                         type: string
+ *                         nullable: true
+ *                       to_status:
+ *                         type: string
+ *                         nullable: true
+ *                       reason:
+ *                         type: string
+ *                         nullable: true
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     next_cursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor mode only
+ *                     prev_cursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor mode only
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: Book not found
+ */
+router.get(
+  '/:id/history',
+  requirePermission('history:read'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ...cursorRules(req => `history:${req.params.id}`),
+  validate,
+  async (req, res) => {
+    const { id } = req.params;
+    const db = req.app.locals.db;
+
+    const book = Book.findById(db, id);
+    if (book === null) {
+      throw new BookNotFoundError();
+    }
+
+    const page = Number.isInteger(req.query.page) ? req.query.page : (parseInt(req.query.page, 10) || 1);
+    const limit = Number.isInteger(req.query.limit) ? req.query.limit : (parseInt(req.query.limit, 10) || 20);
+    const offset = (page - 1) * limit;
+    const includeTotal = req.query.include_total !== 'false';
+
+    if (isCursorMode(req)) {
+      const scope = `history:${id}`;
+      const cursor = req.query.cursor ? decodeCursor(req.query.cursor, scope) : null;
+      const { entries, total, nextKey, prevKey } = checkoutHistory.findByBookIdByCursor(db, id, {
+        limit, cursor, includeTotal,
+      });
+
+      return sendCursorPage(req, res, { scope, rows: entries, total, nextKey, prevKey, limit });
+    }
+
+    const { entries, total } = checkoutHistory.findByBookId(db, id, { limit, offset, includeTotal });
+
+    return sendOffsetPage(req, res, { rows: entries, total, page, limit });
+  }
+);
+
+/**
+ * @openapi
+ * /books/{id}/copies:
+ *   post:
+ *     tags: [Copies]
+ *     summary: Add a copy
+ *     x-permission: copies:write
+ *     description: Adds a physical copy of the book with its own barcode. If patrons are waiting for the book, the new copy goes straight onto the hold shelf for the head of the queue.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [barcode]
+ *             properties:
+ *               barcode:
+ *                 type: string
+ *                 example: '31234000056786'
+ *                 description: The copy's label, which scanner stations must be able to read — an EAN-13 or a 14-digit Codabar label (start/stop characters allowed, and dropped), with a valid check digit
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor]
+ *                 default: good
+ *               location:
+ *                 type: string
+ *                 maxLength: 100
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Copy added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Copy'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: Barcode already in use
+ *   get:
+ *     tags: [Copies]
+ *     summary: List a book's copies
+ *     x-permission: copies:read
+ *     description: Returns every copy of the book in the order they were added.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The copies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Copy'
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
  *         description: Book not found
+ *
+ * components:
+ *   schemas:
+ *     Copy:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         book_id:
+ *           type: string
+ *           format: uuid
+ *         barcode:
+ *           type: string
+ *         condition:
+ *           type: string
+ *           enum: [new, good, fair, poor]
+ *         location:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [available, checked_out, on_hold_shelf, in_transit, lost, damaged, in_repair, withdrawn]
+ *         patron_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         checked_out_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         due_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         renewal_count:
+ *           type: integer
+ *         max_renewals:
+ *           type: integer
+ *           nullable: true
+ *         overdue:
+ *           type: boolean
+ *           description: True when the copy is checked out past its due date
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+router.post(
+  '/:id/copies',
+  requirePermission('copies:write'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  body('barcode')
+    .isString()
+    .withMessage('barcode is required')
+    .bail()
+    .trim()
+    .custom(value => assertScannable(value, 'Barcode'))
+    .bail()
+    .customSanitizer(value => parseScannedBarcode(value).barcode),
+  body('condition')
+    .optional()
+    .isIn(Copy.CONDITIONS)
+    .withMessage(`Condition must be one of: ${Copy.CONDITIONS.join(', ')}`),
+  body('location')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Location must be a string')
+    .bail()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location must not exceed 100 characters'),
+  validate,
+  (req, res) => {
+    const { barcode, condition, location } = req.body;
+
+    try {
+      const copy = addCopy(req.app.locals.db, req.params.id, { barcode, condition, location }, { audit: req.audit });
+      return res.status(201).json(Copy.withOverdueFlag(copy));
+    } catch (err) {
+      if (err.message === 'A copy with this barcode already exists') {
+        throw new BarcodeConflictError();
+      }
+      throw err;
+    }
+  }
+);
+
+router.get(
+  '/:id/copies',
+  requirePermission('copies:read'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  validate,
+  (req, res) => {
+    const { id } = req.params;
+    const db = req.app.locals.db;
+
+    if (Book.findById(db, id) === null) {
+      throw new BookNotFoundError();
+    }
+
+    return res.status(200).json({ data: Copy.findByBookId(db, id).map(copy => Copy.withOverdueFlag(copy)) });
+  }
+);
+
+/**
+ * Finds the copy a request made on a book acts on: the copy with `barcode`
+ * if one was sent, otherwise the book's only copy.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} bookId - The UUID of the book.
+ * @param {string} [barcode] - The barcode of one of the book's copies.
+ * @returns {Object} The copy row.
+ * @throws {BookNotFoundError} If the book does not exist.
+ * @throws {CopyNotFoundError} If the book has no such copy, or no copies at all.
+ * @throws {ValidationError} If no barcode was sent and the book has several copies.
+ */
+function copyOfBook(db, bookId, barcode) {
+  if (Book.findById(db, bookId) === null) {
+    throw new BookNotFoundError();
+  }
+
+  if (barcode !== undefined) {
+    const copy = Copy.findByBarcode(db, barcode);
+    if (copy === null || copy.book_id !== bookId) {
+      throw new CopyNotFoundError();
+    }
+    return copy;
+  }
+
+  const copies = Copy.findByBookId(db, bookId);
+  if (copies.length === 0) {
+    throw new CopyNotFoundError('The book has no copies');
+  }
+  if (copies.length > 1) {
+    throw new ValidationError([{
+      name: 'barcode',
+      in: 'body',
+      reason: 'barcode is required because the book has more than one copy',
+    }]);
+  }
+  return copies[0];
+}
+
+// The barcode naming one of a book's copies. Any barcode a copy may carry
+// is accepted, as when looking a copy up under /copies.
+const bookCopyBarcodeRule = body('barcode')
+  .optional()
+  .isString()
+  .withMessage('Barcode must be a string')
+  .bail()
+  .trim()
+  .matches(/^[A-Za-z0-9-]{1,32}$/)
+  .withMessage('Barcode must be 1 to 32 letters, digits or hyphens');
+
+/**
+ * @openapi
+ * /books/{id}/transitions:
+ *   post:
+ *     tags: [Copies]
+ *     summary: Change the status of a book's copy
+ *     x-permission: copies:write
+ *     description: Changes the status of one of the book's copies, exactly as `POST /copies/{barcode}/transitions` does. Status belongs to copies, so `barcode` names the copy; it may be left out when the book has only one copy.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [to]
+ *             properties:
+ *               barcode:
+ *                 type: string
+ *                 description: Barcode of the copy; required when the book has more than one copy
+ *               to:
+ *                 type: string
+ *                 enum: [available, checked_out, on_hold_shelf, in_transit, lost, damaged, in_repair, withdrawn]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Water damage
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Copy'
+ *       400:
+ *         description: Validation error, or no barcode for a book with several copies
+ *       403:
+ *         description: The role may not make this change
+ *       404:
+ *         description: Book not found, or it has no such copy
+ *       409:
+ *         description: The copy cannot go from its current status to the requested one
+ */
+router.post(
+  '/:id/transitions',
+  requirePermission('copies:write'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  bookCopyBarcodeRule,
+  body('to')
+    .isIn(STATES)
+    .withMessage(`to must be one of: ${STATES.join(', ')}`),
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Reason must be a string')
+    .bail()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Reason must not exceed 255 characters'),
+  validate,
+  (req, res) => {
+    const db = req.app.locals.db;
+    const { barcode } = copyOfBook(db, req.params.id, req.body.barcode);
+
+    const copy = changeCopyStatus(db, barcode, req.body.to, {
+      role: req.auth.role,
+      reason: req.body.reason || null,
+      audit: req.audit,
+    });
+    return res.status(200).json(Copy.withOverdueFlag(copy));
+  }
+);
+
+// Checkout, renew and return moved to /copies/{barcode} when books gained
+// copies. The book-level routes stay for existing clients: they act on the
+// book's copy as copyOfBook picks it and answer with the copy. Every
+// response says the route is deprecated, and a success links the copy
+// route that replaces it.
+function deprecated(req, res, next) {
+  res.set('Deprecation', 'true');
+  next();
+}
+
+function sendFromCopyRoute(res, action, { status, body: copy, replayed }) {
+  if (status === 200) {
+    res.set('Link', `</copies/${encodeURIComponent(copy.barcode)}/${action}>; rel="successor-version"`);
+  }
+  if (replayed) {
+    res.set('Idempotent-Replayed', 'true');
+  }
+  return res.status(status).json(copy);
+}
+
+/**
+ * @openapi
+ * /books/{id}/checkout:
+ *   post:
+ *     tags: [Copies]
+ *     summary: Check out a book's copy
+ *     deprecated: true
+ *     x-permission: circulation:write
+ *     description: Use `POST /copies/{barcode}/checkout`. Checks out one of the book's copies exactly as that route does and answers with the copy, with `Deprecation` set and a `successor-version` link to the copy route. `barcode` names the copy; it may be left out when the book has only one copy.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [patron_id]
+ *             properties:
+ *               patron_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: UUID v4 of the borrowing patron
+ *               barcode:
+ *                 type: string
+ *                 description: Barcode of the copy; required when the book has more than one copy
+ *     responses:
+ *       200:
+ *         description: Copy checked out
+ *         headers:
+ *           Idempotent-Replayed:
+ *             $ref: '#/components/headers/IdempotentReplayed'
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Book not found
+ *               $ref: '#/components/schemas/Copy'
+ *       400:
+ *         description: Validation error, or no barcode for a book with several copies
+ *       403:
+ *         description: Patron may not borrow
+ *       404:
+ *         description: Book, copy or patron not found
+ *       409:
+ *         description: Copy is checked out, on the hold shelf for another patron, or in a status that cannot be lent
+ *       412:
+ *         description: The book has changed since the ETag in If-Match was read
+ *       422:
+ *         description: The Idempotency-Key was used with a different request
+ *       428:
+ *         description: If-Match is required and was not sent
  */
-router.get(
-  '/:id/history',
+router.post(
+  '/:id/checkout',
+  deprecated,
+  requirePermission('circulation:write'),
   param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
-  query('page').optional().isInt({ min: 1 }).toInt(),
-  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  bookCopyBarcodeRule,
+  body('patron_id')
+    .notEmpty()
+    .withMessage('patron_id is required')
+    .bail()
+    .isUUID(4)
+    .withMessage('patron_id must be a valid UUID v4'),
   validate,
-  async (req, res) => {
-    const { id } = req.params;
+  preconditions,
+  idempotency,
+  (req, res) => {
     const db = req.app.locals.db;
-
-    const book = Book.findById(db, id);
-    if (book === null) {
-      return res.status(404).json({ error: 'Book not found' });
-    }
-
-    const page = Number.isInteger(req.query.page) ? req.query.page : (parseInt(req.query.page, 10) || 1);
-    const limit = Number.isInteger(req.query.limit) ? req.query.limit : (parseInt(req.query.limit, 10) || 20);
-    const offset = (page - 1) * limit;
-
-    const { entries, total } = checkoutHistory.findByBookId(db, id, { limit, offset });
-
-    return res.status(200).json({
-      data: entries,
-      pagination: { page, limit, total },
+    const result = runIdempotent(db, req.idempotency, () => {
+      const { barcode } = copyOfBook(db, req.params.id, req.body.barcode);
+      const copy = checkoutBook(db, barcode, { patronId: req.body.patron_id, ifMatch: req.ifMatch, audit: req.audit });
+      return { status: 200, body: Copy.withOverdueFlag(copy) };
     });
+    return sendFromCopyRoute(res, 'checkout', result);
   }
 );
 
 /**
  * @openapi
- * /books/{id}/checkout:
+ * /books/{id}/renew:
  *   post:
- *     tags: [Books]
- *     summary: Check out a book
- *     description: Transitions a book from available to checked_out status. Records a checkout history entry atomically.
+ *     tags: [Copies]
+ *     summary: Renew a book's loan
+ *     deprecated: true
+ *     x-permission: circulation:write
+ *     description: Use `POST /copies/{barcode}/renew`. Renews the loan on one of the book's copies exactly as that route does and answers with the copy, with `Deprecation` set and a `successor-version` link to the copy route. `barcode` names the copy; it may be left out when the book has only one copy.
  *     parameters:
  *       - in: path
  *         name: id
@@ -454,101 +2521,41 @@ router.get(
  *         schema:
  *           type: string
  *           format: uuid
- *         description: UUID v4 of the book to check out
  *     requestBody:
- *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             properties:
+ *               barcode:
+ *                 type: string
+ *                 description: Barcode of the copy; required when the book has more than one copy
  *     responses:
  *       200:
- *         description: Book checked out successfully
+ *         description: Loan renewed
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: string
- *                   format: uuid
- *                 title:
- *                   type: string
- *                 author:
- *                   type: string
- *                 isbn:
- *                   type: string
- *                 published_year:
- *                   type: integer
- *                 status:
- *                   type: string
- *                   example: checked_out
- *                 checked_out_at:
- *                   type: string
- *                   format: date-time
- *                 created_at:
- *                   type: string
- *                   format: date-time
- *                 updated_at:
- *                   type: string
- *                   format: date-time
+ *               $ref: '#/components/schemas/Copy'
  *       400:
- *         description: Invalid UUID format
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 errors:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       msg:
- *                         type: string
- *                       param:
- *                         type: string
+ *         description: Validation error, or no barcode for a book with several copies
  *       404:
- *         description: Book not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Book not found
+ *         description: Book or copy not found
  *       409:
- *         description: Book is already checked out
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Book is already checked out
+ *         description: Renewal denied. `reason` says why.
  */
 router.post(
-  '/:id/checkout',
+  '/:id/renew',
+  deprecated,
+  requirePermission('circulation:write'),
   param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  bookCopyBarcodeRule,
   validate,
   (req, res) => {
-    const { id } = req.params;
     const db = req.app.locals.db;
-
-    try {
-      const updatedBook = checkoutBook(db, id);
-      res.json(updatedBook);
-    } catch (err) {
-      if (err instanceof BookNotFoundError) {
-        return res.status(404).json({ error: err.message });
-      }
-      if (err instanceof BookUnavailableError) {
-        return res.status(409).json({ error: err.message });
-      }
-      throw err;
-    }
+    const { barcode } = copyOfBook(db, req.params.id, req.body && req.body.barcode);
+    const copy = renewBook(db, barcode, { audit: req.audit });
+    return sendFromCopyRoute(res, 'renew', { status: 200, body: Copy.withOverdueFlag(copy) });
   }
 );
 
@@ -556,9 +2563,11 @@ router.post(
  * @openapi
  * /books/{id}/return:
  *   post:
- *     tags: [Books]
- *     summary: Return a book
- *     description: Transitions a book from checked_out to available status. Records a return history entry atomically.
+ *     tags: [Copies]
+ *     summary: Return a book's copy
+ *     deprecated: true
+ *     x-permission: circulation:write
+ *     description: Use `POST /copies/{barcode}/return`. Returns one of the book's copies exactly as that route does and answers with the copy, with `Deprecation` set and a `successor-version` link to the copy route. `barcode` names the copy; it may be left out when the book has only one copy.
  *     parameters:
  *       - in: path
  *         name: id
@@ -566,101 +2575,247 @@ router.post(
  *         schema:
  *           type: string
  *           format: uuid
- *         description: UUID v4 of the book to return
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
- *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             properties:
+ *               barcode:
+ *                 type: string
+ *                 description: Barcode of the copy; required when the book has more than one copy
  *     responses:
  *       200:
- *         description: Book returned successfully
+ *         description: Copy returned
+ *         headers:
+ *           Idempotent-Replayed:
+ *             $ref: '#/components/headers/IdempotentReplayed'
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: string
- *                   format: uuid
- *                 title:
- *                   type: string
- *                 author:
- *                   type: string
- *                 isbn:
- *                   type: string
- *                 published_year:
- *                   type: integer
- *                 status:
- *                   type: string
- *                   example: available
- *                 checked_out_at:
- *                   type: string
- *                   nullable: true
- *                 created_at:
- *                   type: string
- *                   format: date-time
- *                 updated_at:
- *                   type: string
- *                   format: date-time
+ *               $ref: '#/components/schemas/Copy'
  *       400:
- *         description: Invalid UUID format
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 errors:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       msg:
- *                         type: string
- *                       param:
- *                         type: string
+ *         description: Validation error, or no barcode for a book with several copies
  *       404:
- *         description: Book not found
+ *         description: Book or copy not found
+ *       409:
+ *         description: Copy is not currently checked out
+ *       412:
+ *         description: The book has changed since the ETag in If-Match was read
+ *       422:
+ *         description: The Idempotency-Key was used with a different request
+ *       428:
+ *         description: If-Match is required and was not sent
+ */
+router.post(
+  '/:id/return',
+  deprecated,
+  requirePermission('circulation:write'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  bookCopyBarcodeRule,
+  validate,
+  preconditions,
+  idempotency,
+  (req, res) => {
+    const db = req.app.locals.db;
+    const result = runIdempotent(db, req.idempotency, () => {
+      const { barcode } = copyOfBook(db, req.params.id, req.body && req.body.barcode);
+      const copy = returnBook(db, barcode, { ifMatch: req.ifMatch, audit: req.audit });
+      return { status: 200, body: Copy.withOverdueFlag(copy) };
+    });
+    return sendFromCopyRoute(res, 'return', result);
+  }
+);
+
+/**
+ * @openapi
+ * /books/{id}/holds:
+ *   post:
+ *     tags: [Holds]
+ *     summary: Place a hold
+ *     x-permission: holds:write
+ *     description: Puts the patron with the given library card at the end of the book's FIFO hold queue. Holds are placed on the book rather than a copy, and only while none of its copies is on the shelf. The first copy to come back is shelved for the patron at the head of the queue, who then has a pickup window (HOLD_PICKUP_DAYS, default 7) to check it out.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [card_number]
+ *             properties:
+ *               card_number:
+ *                 type: string
+ *                 description: Library card number of the requesting patron
+ *     responses:
+ *       201:
+ *         description: Hold placed
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Book not found
+ *               $ref: '#/components/schemas/Hold'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Patron account is suspended or expired
+ *       404:
+ *         description: Book or patron not found
  *       409:
- *         description: Book is not currently checked out
+ *         description: A copy is available, the patron already has a copy on loan, or already holds the book
+ *   get:
+ *     tags: [Holds]
+ *     summary: List the hold queue
+ *     x-permission: holds:read
+ *     description: Returns the book's active holds in queue order. Holds that are ready on the hold shelf come first.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The hold queue
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 error:
- *                   type: string
- *                   example: Book is not currently checked out
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Hold'
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: Book not found
+ *
+ * components:
+ *   schemas:
+ *     Hold:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         book_id:
+ *           type: string
+ *           format: uuid
+ *         patron_id:
+ *           type: string
+ *           format: uuid
+ *         patron_name:
+ *           type: string
+ *         card_number:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [waiting, ready]
+ *         copy_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: The copy set aside on the hold shelf once the hold is ready
+ *         position:
+ *           type: integer
+ *           minimum: 1
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         ready_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         pickup_expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When a ready hold lapses and the copy passes to the next patron
  */
 router.post(
-  '/:id/return',
+  '/:id/holds',
+  requirePermission('holds:write'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  body('card_number')
+    .isString()
+    .withMessage('card_number is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('card_number is required'),
+  validate,
+  (req, res) => {
+    const hold = placeHold(req.app.locals.db, req.params.id, { cardNumber: req.body.card_number });
+    return res.status(201).json(hold);
+  }
+);
+
+router.get(
+  '/:id/holds',
+  requirePermission('holds:read'),
   param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
   validate,
   (req, res) => {
     const { id } = req.params;
     const db = req.app.locals.db;
 
-    try {
-      const updatedBook = returnBook(db, id);
-      res.json(updatedBook);
-    } catch (err) {
-      if (err instanceof BookNotFoundError) {
-        return res.status(404).json({ error: err.message });
-      }
-      if (err instanceof BookUnavailableError) {
-        return res.status(409).json({ error: err.message });
-      }
-      throw err;
+    if (Book.findById(db, id) === null) {
+      throw new BookNotFoundError();
     }
+
+    expireHolds(db, { bookId: id });
+
+    return res.status(200).json({ data: Hold.findQueue(db, id) });
+  }
+);
+
+/**
+ * @openapi
+ * /books/{id}/holds/{holdId}:
+ *   delete:
+ *     tags: [Holds]
+ *     summary: Cancel a hold
+ *     x-permission: holds:write
+ *     description: Removes a hold from the queue. If a copy was on the hold shelf for this hold, it passes to the next patron in the queue or becomes available.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Hold cancelled
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: No active hold with this id on the book
+ */
+router.delete(
+  '/:id/holds/:holdId',
+  requirePermission('holds:write'),
+  param('id').isUUID(4).withMessage('ID must be a valid UUID v4'),
+  param('holdId').isUUID(4).withMessage('Hold ID must be a valid UUID v4'),
+  validate,
+  (req, res) => {
+    cancelHold(req.app.locals.db, req.params.id, req.params.holdId);
+    return res.status(204).end();
   }
 );
 
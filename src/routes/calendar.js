@@ -0,0 +1,160 @@
+const { Router } = require('express');
+const { body, query, param } = require('express-validator');
+const validate = require('../middleware/validate');
+const requirePermission = require('../middleware/requirePermission');
+const ClosedDay = require('../models/closedDay');
+const { ClosedDayNotFoundError, ClosedDayConflictError } = require('../errors');
+
+const router = Router();
+
+const isCalendarDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+/**
+ * @openapi
+ * /calendar/closed-days:
+ *   get:
+ *     tags: [Calendar]
+ *     summary: List closed days
+ *     x-permission: policies:read
+ *     description: Returns the days the library is closed, in date order. Due dates never fall on a closed day.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Closed days in the range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       reason:
+ *                         type: string
+ *                         nullable: true
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid date range
+ *   post:
+ *     tags: [Calendar]
+ *     summary: Add a closed day
+ *     x-permission: policies:write
+ *     description: Marks a date (UTC) as closed. Loans checked out afterwards that would fall due on it are due the next open day instead; existing due dates are not changed.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: '2025-12-25'
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Christmas Day
+ *     responses:
+ *       201:
+ *         description: Closed day added
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: The date is already closed
+ */
+router.get(
+  '/closed-days',
+  requirePermission('policies:read'),
+  query('from').optional().custom(isCalendarDate).withMessage('from must be a date in YYYY-MM-DD format'),
+  query('to').optional().custom(isCalendarDate).withMessage('to must be a date in YYYY-MM-DD format'),
+  validate,
+  (req, res) => {
+    const { from, to } = req.query;
+    return res.status(200).json({ data: ClosedDay.findAll(req.app.locals.db, { from, to }) });
+  }
+);
+
+router.post(
+  '/closed-days',
+  requirePermission('policies:write'),
+  body('date').custom(isCalendarDate).withMessage('Date must be a date in YYYY-MM-DD format'),
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Reason must not exceed 255 characters'),
+  validate,
+  (req, res) => {
+    try {
+      const closedDay = ClosedDay.create(req.app.locals.db, { date: req.body.date, reason: req.body.reason });
+      return res.status(201).json(closedDay);
+    } catch (err) {
+      if (err.message === 'This date is already marked as closed') {
+        throw new ClosedDayConflictError(err.message);
+      }
+      throw err;
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /calendar/closed-days/{date}:
+ *   delete:
+ *     tags: [Calendar]
+ *     summary: Remove a closed day
+ *     x-permission: policies:write
+ *     description: Reopens the library on a date. Existing due dates are not changed.
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       204:
+ *         description: Closed day removed
+ *       400:
+ *         description: Invalid date
+ *       404:
+ *         description: The date is not a closed day
+ */
+router.delete(
+  '/closed-days/:date',
+  requirePermission('policies:write'),
+  param('date').custom(isCalendarDate).withMessage('Date must be a date in YYYY-MM-DD format'),
+  validate,
+  (req, res) => {
+    if (!ClosedDay.delete(req.app.locals.db, req.params.date)) {
+      throw new ClosedDayNotFoundError();
+    }
+    return res.status(204).end();
+  }
+);
+
+module.exports = router;
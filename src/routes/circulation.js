@@ -0,0 +1,225 @@
+const { Router } = require('express');
+const { body } = require('express-validator');
+const validate = require('../middleware/validate');
+const requirePermission = require('../middleware/requirePermission');
+const idempotency = require('../middleware/idempotency');
+const { parseScannedBarcode, assertScannable } = require('../barcodes');
+const { scanCheckout, scanCheckin } = require('../services/circulation');
+const { runIdempotent } = require('../services/idempotency');
+
+const router = Router();
+
+// Rejects misreads before they reach the catalogue and strips Codabar
+// start/stop characters so the value matches the barcode stored on the copy.
+const itemBarcodeRule = () => body('item_barcode')
+  .isString()
+  .withMessage('item_barcode is required')
+  .bail()
+  .trim()
+  .custom(value => assertScannable(value, 'item_barcode'))
+  .bail()
+  .customSanitizer(value => parseScannedBarcode(value).barcode);
+
+/**
+ * @openapi
+ * /circulation/checkout:
+ *   post:
+ *     tags: [Circulation]
+ *     summary: Check out a scanned copy
+ *     x-permission: circulation:write
+ *     description: |
+ *       Scanner-station checkout. Looks the copy up by its scanned barcode and the borrower by their library card, checks the copy out exactly as `POST /copies/{barcode}/checkout` does, and returns a receipt for the desk printer. The item barcode must be an EAN-13 or a 14-digit Codabar library label (start/stop characters allowed) with a valid check digit.
+ *
+ *       Barcodes belong to copies, not books: a book may have several copies, each with its own label (see `POST /books/{id}/copies`), so the books table has no barcode column and a scan always names one copy. Copies still carrying a provisional `LEGACY-` barcode must be relabelled first (see `PATCH /copies/{barcode}`).
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [item_barcode, card_number]
+ *             properties:
+ *               item_barcode:
+ *                 type: string
+ *                 example: A31234000056786B
+ *               card_number:
+ *                 type: string
+ *                 example: CARD-0001
+ *     responses:
+ *       200:
+ *         description: Copy checked out
+ *         headers:
+ *           Idempotent-Replayed:
+ *             $ref: '#/components/headers/IdempotentReplayed'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckoutReceipt'
+ *       400:
+ *         description: Missing or unreadable barcode, or missing card number
+ *       403:
+ *         description: Patron may not borrow
+ *       404:
+ *         description: No copy with this barcode, or no patron with this card number
+ *       409:
+ *         description: Copy is checked out, on the hold shelf for another patron, or in a status that cannot be lent
+ *       422:
+ *         description: The Idempotency-Key was used with a different request
+ * components:
+ *   schemas:
+ *     CheckoutReceipt:
+ *       type: object
+ *       properties:
+ *         transaction:
+ *           type: string
+ *           enum: [checkout]
+ *         item_barcode:
+ *           type: string
+ *         title:
+ *           type: string
+ *         author:
+ *           type: string
+ *         patron_name:
+ *           type: string
+ *         card_number:
+ *           type: string
+ *         checked_out_at:
+ *           type: string
+ *           format: date-time
+ *         due_at:
+ *           type: string
+ *           format: date-time
+ *         renewals_allowed:
+ *           type: integer
+ */
+router.post(
+  '/checkout',
+  requirePermission('circulation:write'),
+  itemBarcodeRule(),
+  body('card_number')
+    .isString()
+    .withMessage('card_number is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('card_number is required'),
+  validate,
+  idempotency,
+  (req, res) => {
+    const { status, body, replayed } = runIdempotent(req.app.locals.db, req.idempotency, () => ({
+      status: 200,
+      body: scanCheckout(req.app.locals.db, req.body.item_barcode, {
+        cardNumber: req.body.card_number,
+        audit: req.audit,
+      }),
+    }));
+    if (replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+    return res.status(status).json(body);
+  }
+);
+
+/**
+ * @openapi
+ * /circulation/checkin:
+ *   post:
+ *     tags: [Circulation]
+ *     summary: Check in a scanned copy
+ *     x-permission: circulation:write
+ *     description: Scanner-station return. Checks the copy in exactly as `POST /copies/{barcode}/return` does and returns a receipt that says whether the copy goes back to the shelf or onto the hold shelf (with a slip naming the waiting patron), and any late fine charged. As with checkout, the barcode is a copy's barcode.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [item_barcode]
+ *             properties:
+ *               item_barcode:
+ *                 type: string
+ *                 example: '9780306406157'
+ *     responses:
+ *       200:
+ *         description: Copy checked in
+ *         headers:
+ *           Idempotent-Replayed:
+ *             $ref: '#/components/headers/IdempotentReplayed'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckinReceipt'
+ *       400:
+ *         description: Missing or unreadable barcode
+ *       404:
+ *         description: No copy with this barcode
+ *       409:
+ *         description: Copy is not currently checked out
+ *       422:
+ *         description: The Idempotency-Key was used with a different request
+ * components:
+ *   schemas:
+ *     CheckinReceipt:
+ *       type: object
+ *       properties:
+ *         transaction:
+ *           type: string
+ *           enum: [checkin]
+ *         item_barcode:
+ *           type: string
+ *         title:
+ *           type: string
+ *         author:
+ *           type: string
+ *         patron_name:
+ *           type: string
+ *           nullable: true
+ *           description: The borrower who returned the copy
+ *         card_number:
+ *           type: string
+ *           nullable: true
+ *         returned_at:
+ *           type: string
+ *           format: date-time
+ *         route_to:
+ *           type: string
+ *           enum: [shelf, hold_shelf]
+ *         hold:
+ *           type: object
+ *           nullable: true
+ *           description: Hold slip for a copy routed to the hold shelf
+ *           properties:
+ *             patron_name:
+ *               type: string
+ *             card_number:
+ *               type: string
+ *             pickup_expires_at:
+ *               type: string
+ *               format: date-time
+ *         fine_cents:
+ *           type: integer
+ *           description: Late fine charged to the borrower for this return
+ */
+router.post(
+  '/checkin',
+  requirePermission('circulation:write'),
+  itemBarcodeRule(),
+  validate,
+  idempotency,
+  (req, res) => {
+    const { status, body, replayed } = runIdempotent(req.app.locals.db, req.idempotency, () => ({
+      status: 200,
+      body: scanCheckin(req.app.locals.db, req.body.item_barcode, { audit: req.audit }),
+    }));
+    if (replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+    return res.status(status).json(body);
+  }
+);
+
+module.exports = router;
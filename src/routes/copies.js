@@ -0,0 +1,453 @@
+const { Router } = require('express');
+const { body, param } = require('express-validator');
+const validate = require('../middleware/validate');
+const requirePermission = require('../middleware/requirePermission');
+const idempotency = require('../middleware/idempotency');
+const preconditions = require('../middleware/preconditions');
+const Copy = require('../models/copy');
+const { checkoutBook, renewBook, returnBook } = require('../services/checkout');
+const { removeCopy, changeCopyStatus } = require('../services/copies');
+const { STATES } = require('../services/copyStatus');
+const { runIdempotent } = require('../services/idempotency');
+const { parseScannedBarcode, assertScannable } = require('../barcodes');
+const { CopyNotFoundError, BarcodeConflictError } = require('../errors');
+
+const router = Router();
+
+// Looking a copy up accepts any barcode it may carry, including the
+// provisional LEGACY- labels migration 012 gave existing copies, which stay
+// until staff relabel the item; new barcodes must be scannable (see
+// assertScannable).
+const BARCODE_PATTERN = /^[A-Za-z0-9-]{1,32}$/;
+const BARCODE_MESSAGE = 'Barcode must be 1 to 32 letters, digits or hyphens';
+
+const barcodeRule = param('barcode').matches(BARCODE_PATTERN).withMessage(BARCODE_MESSAGE);
+
+/**
+ * @openapi
+ * /copies/{barcode}:
+ *   get:
+ *     tags: [Copies]
+ *     summary: Look up a copy by barcode
+ *     x-permission: copies:read
+ *     description: Returns the copy with the given barcode, including its current loan.
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The copy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Copy'
+ *       400:
+ *         description: Malformed barcode
+ *       404:
+ *         description: Copy not found
+ *   patch:
+ *     tags: [Copies]
+ *     summary: Update a copy
+ *     x-permission: copies:write
+ *     description: |
+ *       Relabels a copy or records its condition or shelf location. Circulation fields are changed only by checking the copy out and in. A new barcode must be scannable, as when adding a copy.
+ *
+ *       Copies that existed before books had copies carry a provisional `LEGACY-` barcode, which a scanner station cannot read. They are never relabelled automatically, since the stored barcode has to match the label on the item: stick a new label on it and set `barcode` to that label's number here.
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               barcode:
+ *                 type: string
+ *                 example: '31234000056786'
+ *                 description: An EAN-13 or a 14-digit Codabar label with a valid check digit
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor]
+ *               location:
+ *                 type: string
+ *                 maxLength: 100
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Copy updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Copy'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Copy not found
+ *       409:
+ *         description: The new barcode is already in use
+ *   delete:
+ *     tags: [Copies]
+ *     summary: Delete a copy
+ *     x-permission: copies:write
+ *     description: Removes a copy that is on the shelf and has never circulated. Copies with circulation history are kept for the record; withdraw them instead.
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Copy deleted
+ *       400:
+ *         description: Malformed barcode
+ *       404:
+ *         description: Copy not found
+ *       409:
+ *         description: The copy is checked out, on the hold shelf, or has circulation history
+ */
+router.get(
+  '/:barcode',
+  requirePermission('copies:read'),
+  barcodeRule,
+  validate,
+  (req, res) => {
+    const copy = Copy.findByBarcode(req.app.locals.db, req.params.barcode);
+
+    if (copy === null) {
+      throw new CopyNotFoundError();
+    }
+
+    return res.status(200).json(Copy.withOverdueFlag(copy));
+  }
+);
+
+router.patch(
+  '/:barcode',
+  requirePermission('copies:write'),
+  barcodeRule,
+  body('barcode')
+    .optional()
+    .isString()
+    .withMessage('Barcode must be a string')
+    .bail()
+    .trim()
+    .custom(value => assertScannable(value, 'Barcode'))
+    .bail()
+    .customSanitizer(value => parseScannedBarcode(value).barcode),
+  body('condition')
+    .optional()
+    .isIn(Copy.CONDITIONS)
+    .withMessage(`Condition must be one of: ${Copy.CONDITIONS.join(', ')}`),
+  body('location')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Location must be a string')
+    .bail()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location must not exceed 100 characters'),
+  validate,
+  (req, res) => {
+    const db = req.app.locals.db;
+    const copy = Copy.findByBarcode(db, req.params.barcode);
+
+    if (copy === null) {
+      throw new CopyNotFoundError();
+    }
+
+    const fields = {};
+    for (const field of ['barcode', 'condition', 'location']) {
+      if (req.body[field] !== undefined) {
+        fields[field] = req.body[field];
+      }
+    }
+
+    try {
+      return res.status(200).json(Copy.withOverdueFlag(Copy.update(db, copy.id, fields)));
+    } catch (err) {
+      if (err.message === 'A copy with this barcode already exists') {
+        throw new BarcodeConflictError();
+      }
+      throw err;
+    }
+  }
+);
+
+router.delete(
+  '/:barcode',
+  requirePermission('copies:write'),
+  barcodeRule,
+  validate,
+  (req, res) => {
+    removeCopy(req.app.locals.db, req.params.barcode, { audit: req.audit });
+    return res.status(204).end();
+  }
+);
+
+/**
+ * @openapi
+ * /copies/{barcode}/checkout:
+ *   post:
+ *     tags: [Copies]
+ *     summary: Check out a copy
+ *     x-permission: circulation:write
+ *     description: Transitions a copy from available to checked_out status and records who borrowed it. Records a checkout history entry atomically. Suspended or expired patrons, and patrons owing more than the fines threshold, cannot borrow. A copy on the hold shelf can only be checked out by the patron it is set aside for.
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Barcode of the copy to check out
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [patron_id]
+ *             properties:
+ *               patron_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: UUID v4 of the borrowing patron
+ *     responses:
+ *       200:
+ *         description: Copy checked out; `due_at` is the checkout time plus the item type's loan period, moved past closed days
+ *         headers:
+ *           Idempotent-Replayed:
+ *             $ref: '#/components/headers/IdempotentReplayed'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Copy'
+ *       400:
+ *         description: Malformed barcode or patron_id
+ *       403:
+ *         description: Patron may not borrow
+ *       404:
+ *         description: Copy or patron not found
+ *       409:
+ *         description: Copy is checked out, on the hold shelf for another patron, or in a status that cannot be lent (e.g. lost)
+ *       412:
+ *         description: The copy's book has changed since the ETag in If-Match was read
+ *       422:
+ *         description: The Idempotency-Key was used with a different request
+ *       428:
+ *         description: If-Match is required and was not sent
+ */
+router.post(
+  '/:barcode/checkout',
+  requirePermission('circulation:write'),
+  barcodeRule,
+  body('patron_id')
+    .notEmpty()
+    .withMessage('patron_id is required')
+    .bail()
+    .isUUID(4)
+    .withMessage('patron_id must be a valid UUID v4'),
+  validate,
+  preconditions,
+  idempotency,
+  (req, res) => {
+    const { status, body, replayed } = runIdempotent(req.app.locals.db, req.idempotency, () => {
+      const copy = checkoutBook(req.app.locals.db, req.params.barcode, {
+        patronId: req.body.patron_id,
+        ifMatch: req.ifMatch,
+        audit: req.audit,
+      });
+      return { status: 200, body: Copy.withOverdueFlag(copy) };
+    });
+    if (replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+    return res.status(status).json(body);
+  }
+);
+
+/**
+ * @openapi
+ * /copies/{barcode}/renew:
+ *   post:
+ *     tags: [Copies]
+ *     summary: Renew a loan
+ *     x-permission: circulation:write
+ *     description: Extends the due date of a checked-out copy by another loan period of its book's item type, counted from the current due date (or from now if the loan is overdue) and moved past closed days. Each loan may be renewed up to the `max_renewals` copied from its item type at checkout. Records a `renewed` history entry.
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Loan renewed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Copy'
+ *       400:
+ *         description: Malformed barcode
+ *       404:
+ *         description: Copy not found
+ *       409:
+ *         description: Renewal denied. `reason` says why.
+ */
+router.post(
+  '/:barcode/renew',
+  requirePermission('circulation:write'),
+  barcodeRule,
+  validate,
+  (req, res) => {
+    const copy = renewBook(req.app.locals.db, req.params.barcode, { audit: req.audit });
+    return res.status(200).json(Copy.withOverdueFlag(copy));
+  }
+);
+
+/**
+ * @openapi
+ * /copies/{barcode}/return:
+ *   post:
+ *     tags: [Copies]
+ *     summary: Return a copy
+ *     x-permission: circulation:write
+ *     description: Checks a copy back in. It becomes available, or goes onto the hold shelf when a patron is waiting for the book. A late return charges the borrower a late fine. Records a return history entry atomically.
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       200:
+ *         description: Copy returned
+ *         headers:
+ *           Idempotent-Replayed:
+ *             $ref: '#/components/headers/IdempotentReplayed'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Copy'
+ *       400:
+ *         description: Malformed barcode
+ *       404:
+ *         description: Copy not found
+ *       409:
+ *         description: Copy is not currently checked out
+ *       412:
+ *         description: The copy's book has changed since the ETag in If-Match was read
+ *       422:
+ *         description: The Idempotency-Key was used with a different request
+ *       428:
+ *         description: If-Match is required and was not sent
+ */
+router.post(
+  '/:barcode/return',
+  requirePermission('circulation:write'),
+  barcodeRule,
+  validate,
+  preconditions,
+  idempotency,
+  (req, res) => {
+    const { status, body, replayed } = runIdempotent(req.app.locals.db, req.idempotency, () => {
+      const copy = returnBook(req.app.locals.db, req.params.barcode, { ifMatch: req.ifMatch, audit: req.audit });
+      return { status: 200, body: Copy.withOverdueFlag(copy) };
+    });
+    if (replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+    return res.status(status).json(body);
+  }
+);
+
+/**
+ * @openapi
+ * /copies/{barcode}/transitions:
+ *   post:
+ *     tags: [Copies]
+ *     summary: Change the status of a copy
+ *     x-permission: copies:write
+ *     description: |
+ *       Moves a copy to another status, e.g. to send it between branches, mark it lost or damaged, send it for repair or withdraw it. Each status change is allowed only from certain statuses and for certain roles of the signed-in user or API key:
+ *
+ *       - librarian: available ⇄ in_transit; available, checked_out or in_transit → lost or damaged; lost → available; damaged → in_repair or available; in_repair → available
+ *       - admin: everything a librarian can do; available, lost, damaged or in_repair → withdrawn; withdrawn → available
+ *
+ *       Checkout, return and the hold queue make the remaining changes themselves and cannot be requested here. A copy leaving checked_out loses its loan; a copy that becomes available goes to the hold shelf if a patron is waiting for its book. Every change is recorded in the book's history.
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [to]
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 enum: [available, checked_out, on_hold_shelf, in_transit, lost, damaged, in_repair, withdrawn]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Water damage
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Copy'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: The role may not make this change
+ *       404:
+ *         description: Copy not found
+ *       409:
+ *         description: The copy cannot go from its current status to the requested one
+ */
+router.post(
+  '/:barcode/transitions',
+  requirePermission('copies:write'),
+  barcodeRule,
+  body('to')
+    .isIn(STATES)
+    .withMessage(`to must be one of: ${STATES.join(', ')}`),
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Reason must be a string')
+    .bail()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Reason must not exceed 255 characters'),
+  validate,
+  (req, res) => {
+    const copy = changeCopyStatus(req.app.locals.db, req.params.barcode, req.body.to, {
+      role: req.auth.role,
+      reason: req.body.reason || null,
+      audit: req.audit,
+    });
+    return res.status(200).json(Copy.withOverdueFlag(copy));
+  }
+);
+
+module.exports = router;
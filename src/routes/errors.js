@@ -0,0 +1,67 @@
+const { Router } = require('express');
+const { ERROR_CATALOG, errorType, NotFoundError } = require('../errors');
+
+const router = Router();
+
+function catalogEntry(code) {
+  const { status, title, description } = ERROR_CATALOG[code];
+  return { code, type: errorType(code), status, title, description };
+}
+
+/**
+ * @openapi
+ * /errors:
+ *   get:
+ *     tags: [Errors]
+ *     summary: List error codes
+ *     description: Returns every error code the API can respond with. Each error response is an `application/problem+json` document whose `type` is the URL of its code here and whose `code` is the code itself. Codes are stable; clients should switch on `code` rather than on `detail`, which is meant for people.
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: The error catalog
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ErrorCatalogEntry'
+ */
+router.get('/', (req, res) => {
+  return res.status(200).json({ data: Object.keys(ERROR_CATALOG).map(catalogEntry) });
+});
+
+/**
+ * @openapi
+ * /errors/{code}:
+ *   get:
+ *     tags: [Errors]
+ *     summary: Describe an error code
+ *     description: The target of a problem's `type` URL.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ErrorCode'
+ *     responses:
+ *       200:
+ *         description: The error code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorCatalogEntry'
+ *       404:
+ *         description: No such error code
+ */
+router.get('/:code', (req, res) => {
+  if (!Object.prototype.hasOwnProperty.call(ERROR_CATALOG, req.params.code)) {
+    throw new NotFoundError(`Unknown error code: ${req.params.code}`);
+  }
+  return res.status(200).json(catalogEntry(req.params.code));
+});
+
+module.exports = router;
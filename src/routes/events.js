@@ -0,0 +1,347 @@
+const { Router } = require('express');
+const { query, header } = require('express-validator');
+const { validate: isUuid, version: uuidVersion } = require('uuid');
+const { WebSocketServer } = require('ws');
+const validate = require('../middleware/validate');
+const requirePermission = require('../middleware/requirePermission');
+const { StreamLimitError, UpgradeRequiredError } = require('../errors');
+const Outbox = require('../models/outbox');
+
+const router = Router();
+
+// Handshakes are handed to this route by acceptUpgrades (src/websocket.js)
+const sockets = new WebSocketServer({ noServer: true });
+
+// Seconds a client turned away by the connection limit should wait
+const RETRY_AFTER_SECONDS = 10;
+
+// WebSocket close code for a connection the server will not serve (RFC 6455)
+const POLICY_VIOLATION = 1008;
+
+// book_id and type take a comma-separated list, or can be repeated
+const listOf = value => [].concat(value).flatMap(item => String(item).split(',')).filter(Boolean);
+
+const streamRules = [
+  query('book_id')
+    .optional()
+    .custom(value => listOf(value).every(id => isUuid(id) && uuidVersion(id) === 4))
+    .withMessage('book_id must be a comma-separated list of book UUIDs'),
+  query('type')
+    .optional()
+    .custom(value => listOf(value).every(type => Outbox.EVENT_TYPES.includes(type)))
+    .withMessage(`type must be a comma-separated list of: ${Outbox.EVENT_TYPES.join(', ')}`),
+  query('after').optional().isInt({ min: 0 }).withMessage('after must be a non-negative integer'),
+  header('last-event-id').optional().isInt({ min: 0 }).withMessage('Last-Event-ID must be a non-negative integer'),
+];
+
+/**
+ * Reads a stream's filters and resume point. Last-Event-ID, which browsers
+ * send when an SSE stream reconnects, wins over `after`.
+ */
+function subscriptionOf(req) {
+  const resumeFrom = req.get('Last-Event-ID') !== undefined ? req.get('Last-Event-ID') : req.query.after;
+
+  return {
+    bookIds: req.query.book_id === undefined ? [] : listOf(req.query.book_id),
+    types: req.query.type === undefined ? [] : listOf(req.query.type),
+    after: resumeFrom === undefined ? undefined : parseInt(resumeFrom, 10),
+  };
+}
+
+function checkCapacity(req, res) {
+  if (req.app.locals.eventStream.full) {
+    res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+    throw new StreamLimitError();
+  }
+}
+
+/**
+ * @openapi
+ * /events:
+ *   get:
+ *     tags: [Events]
+ *     summary: Read the event feed
+ *     x-permission: events:read
+ *     description: |
+ *       Every change to a book, every checkout, renewal and return, and every change to a hold, in the order they happened. Each event has a `seq` that only ever increases and an `id` that never changes.
+ *
+ *       To follow the feed, start with `after=0` (or leave it out) and pass `pagination.next_after` as `after` on the next request. When `has_more` is false you are up to date; ask again later with the same `after` for new events. Keep the last `seq` you processed to resume where you left off. If you may see an event twice, for example after a crash, skip ids you have already processed.
+ *     parameters:
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         description: Return events with a higher seq than this
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         description: Only events of this type
+ *         schema:
+ *           $ref: '#/components/schemas/WebhookEventType'
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: The next events, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Event'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     after:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     next_after:
+ *                       type: integer
+ *                       description: The seq to pass as after for the next page
+ *                     has_more:
+ *                       type: boolean
+ *       400:
+ *         description: Invalid query parameters
+ * components:
+ *   schemas:
+ *     Event:
+ *       type: object
+ *       properties:
+ *         seq:
+ *           type: integer
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The same id is used for the event in webhook deliveries
+ *         type:
+ *           $ref: '#/components/schemas/WebhookEventType'
+ *         aggregate_type:
+ *           type: string
+ *           enum: [book, copy, hold]
+ *           description: What kind of record changed
+ *         aggregate_id:
+ *           type: string
+ *           format: uuid
+ *         data:
+ *           type: object
+ *           description: For book events the book, and for circulation events the copy too, as they were after the change. For hold events the hold as it was after the change and the book's id, title, author and ISBN.
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+router.get(
+  '/',
+  requirePermission('events:read'),
+  query('after').optional().isInt({ min: 0 }).withMessage('after must be a non-negative integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('type')
+    .optional()
+    .isIn(Outbox.EVENT_TYPES)
+    .withMessage(`type must be one of: ${Outbox.EVENT_TYPES.join(', ')}`),
+  validate,
+  (req, res) => {
+    const after = parseInt(req.query.after, 10) || 0;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { type } = req.query;
+
+    // One extra to tell whether there is more
+    const events = Outbox.findAfter(req.app.locals.db, { after, limit: limit + 1, type });
+    const hasMore = events.length > limit;
+    if (hasMore) {
+      events.pop();
+    }
+
+    return res.status(200).json({
+      data: events,
+      pagination: {
+        after,
+        limit,
+        next_after: events.length > 0 ? events[events.length - 1].seq : after,
+        has_more: hasMore,
+      },
+    });
+  }
+);
+
+/**
+ * @openapi
+ * /events/stream:
+ *   get:
+ *     tags: [Events]
+ *     summary: Follow events live (Server-Sent Events)
+ *     x-permission: events:stream
+ *     description: |
+ *       Keeps the connection open and pushes each event as it happens, as a `text/event-stream`. For kiosk and display screens that show availability. Each message has the event's `seq` as its `id`, its type as its `event` and the event (as in GET /events) as its `data`. Book events cover checkouts, renewals, returns, copy status changes, edits, new titles (`book.created`) and books deleted, restored or purged; hold events cover holds being placed, set aside for pickup (`hold.ready`), cancelled and expiring.
+ *
+ *       A comment line (`: heartbeat`) is sent every 15 seconds so proxies keep the connection open and clients can tell it is alive.
+ *
+ *       To resume after a dropped connection, reconnect with `Last-Event-ID` (browsers do this by themselves) or `after` set to the last `seq` received; the events missed in between are sent first. Without either, the stream starts with the next event.
+ *
+ *       The same stream is available over WebSocket at GET /events/socket, one JSON event per text message, with the same parameters. That socket is sent a ping every 15 seconds and closed if it does not answer.
+ *
+ *       The number of open streams is limited; beyond it the request is refused with 503 and `Retry-After`.
+ *     parameters:
+ *       - in: query
+ *         name: book_id
+ *         required: false
+ *         description: Only events about these books (comma-separated UUIDs)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         description: Only events of these types (comma-separated)
+ *         schema:
+ *           type: string
+ *           example: book.checked_out,book.returned,hold.ready
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         description: Replay the events after this seq first
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: header
+ *         name: Last-Event-ID
+ *         required: false
+ *         description: Replay the events after this seq first; takes precedence over after
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: The event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id: 42
+ *                 event: book.checked_out
+ *                 data: {"seq":42,"type":"book.checked_out","data":{}}
+ *       400:
+ *         description: Invalid filters or resume point
+ *       503:
+ *         description: Too many open streams
+ */
+router.get('/stream', requirePermission('events:stream'), ...streamRules, validate, (req, res) => {
+  checkCapacity(req, res);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stops nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const stream = req.app.locals.eventStream;
+  const connection = stream.open(subscriptionOf(req), event => {
+    res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), stream.heartbeatMs);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    connection.close();
+  });
+});
+
+/**
+ * @openapi
+ * /events/socket:
+ *   get:
+ *     tags: [Events]
+ *     summary: Follow events live (WebSocket)
+ *     x-permission: events:stream
+ *     description: The WebSocket form of GET /events/stream, with the same parameters and limits. Each text message is one event as JSON. Messages from the client are ignored.
+ *     parameters:
+ *       - in: query
+ *         name: book_id
+ *         required: false
+ *         description: Only events about these books (comma-separated UUIDs)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         description: Only events of these types (comma-separated)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         description: Replay the events after this seq first
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *     responses:
+ *       101:
+ *         description: Switched to WebSocket
+ *       400:
+ *         description: Invalid filters or resume point
+ *       426:
+ *         description: Not a WebSocket handshake
+ *       503:
+ *         description: Too many open streams. If the limit is reached while the handshake completes, the socket is opened and closed at once with code 1008.
+ */
+router.get('/socket', requirePermission('events:stream'), ...streamRules, validate, (req, res) => {
+  if (!req.socketUpgrade) {
+    res.set('Upgrade', 'websocket');
+    throw new UpgradeRequiredError();
+  }
+  checkCapacity(req, res);
+
+  const stream = req.app.locals.eventStream;
+  const subscription = subscriptionOf(req);
+  const { socket, head } = req.socketUpgrade;
+
+  sockets.handleUpgrade(req, socket, head, ws => {
+    // The last free slot can be taken while the handshake completes, once
+    // it is too late to answer 503
+    let connection;
+    try {
+      connection = stream.open(subscription, event => ws.send(JSON.stringify(event)));
+    } catch (err) {
+      if (!(err instanceof StreamLimitError)) {
+        throw err;
+      }
+      ws.close(POLICY_VIOLATION, err.message);
+      return;
+    }
+
+    let alive = true;
+    ws.on('pong', () => {
+      alive = true;
+    });
+    const heartbeat = setInterval(() => {
+      if (!alive) {
+        ws.terminate();
+        return;
+      }
+      alive = false;
+      ws.ping();
+    }, stream.heartbeatMs);
+
+    ws.on('close', () => {
+      clearInterval(heartbeat);
+      connection.close();
+    });
+  });
+});
+
+module.exports = router;
@@ -9,6 +9,7 @@ const router = Router();
  *     tags: [Health]
  *     summary: Health check
  *     description: Returns the API health status. Use this endpoint to verify the service is running.
+ *     security: []
  *     responses:
  *       200:
  *         description: API is healthy
@@ -0,0 +1,246 @@
+const { Router } = require('express');
+const { body, query, param } = require('express-validator');
+const validate = require('../middleware/validate');
+const requirePermission = require('../middleware/requirePermission');
+const Copy = require('../models/copy');
+const LoanPeriod = require('../models/loanPeriod');
+const { daysOverdue } = require('../services/dueDates');
+
+const router = Router();
+
+/**
+ * @openapi
+ * /loans/overdue:
+ *   get:
+ *     tags: [Loans]
+ *     summary: Overdue report
+ *     x-permission: loans:read
+ *     description: Lists copies that are checked out past their due date, most overdue first, with the book, the borrower and the number of days overdue. Any part of a day counts as a full day.
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of overdue copies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       book_id:
+ *                         type: string
+ *                         format: uuid
+ *                       barcode:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       author:
+ *                         type: string
+ *                       isbn:
+ *                         type: string
+ *                       checked_out_at:
+ *                         type: string
+ *                         format: date-time
+ *                       due_at:
+ *                         type: string
+ *                         format: date-time
+ *                       days_overdue:
+ *                         type: integer
+ *                         minimum: 1
+ *                       patron_id:
+ *                         type: string
+ *                         format: uuid
+ *                         nullable: true
+ *                       patron_name:
+ *                         type: string
+ *                         nullable: true
+ *                       patron_email:
+ *                         type: string
+ *                         nullable: true
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get(
+  '/overdue',
+  requirePermission('loans:read'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  (req, res) => {
+    const page = Number.isInteger(req.query.page) ? req.query.page : (parseInt(req.query.page, 10) || 1);
+    const limit = Number.isInteger(req.query.limit) ? req.query.limit : (parseInt(req.query.limit, 10) || 20);
+    const offset = (page - 1) * limit;
+    const now = new Date();
+
+    const { copies, total } = Copy.findOverdue(req.app.locals.db, { now, limit, offset });
+
+    return res.status(200).json({
+      data: copies.map(copy => ({
+        ...Copy.withOverdueFlag(copy, now),
+        days_overdue: daysOverdue(copy.due_at, now),
+      })),
+      pagination: { page, limit, total },
+    });
+  }
+);
+
+/**
+ * @openapi
+ * /loans/periods:
+ *   get:
+ *     tags: [Loans]
+ *     summary: List loan periods
+ *     x-permission: policies:read
+ *     description: Returns the loan policy configured for each item type. A book's item type decides how long it may be borrowed, how often the loan may be renewed and the late fine charged when it comes back overdue.
+ *     responses:
+ *       200:
+ *         description: The configured loan periods
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       item_type:
+ *                         type: string
+ *                         example: dvd
+ *                       loan_days:
+ *                         type: integer
+ *                         example: 7
+ *                       max_renewals:
+ *                         type: integer
+ *                         example: 2
+ *                       fine_per_day_cents:
+ *                         type: integer
+ *                         example: 25
+ *                       max_fine_cents:
+ *                         type: integer
+ *                         example: 1000
+ *                       updated_at:
+ *                         type: string
+ *                         format: date-time
+ */
+router.get('/periods', requirePermission('policies:read'), (req, res) => {
+  return res.status(200).json({ data: LoanPeriod.findAll(req.app.locals.db) });
+});
+
+/**
+ * @openapi
+ * /loans/periods/{item_type}:
+ *   put:
+ *     tags: [Loans]
+ *     summary: Set the loan policy for an item type
+ *     x-permission: policies:write
+ *     description: Creates the item type or changes its loan policy. Books already on loan keep their due date and renewal limit; late fines use the policy in force at return. A renewal extends the due date by `loan_days`. Omitted optional settings are left unchanged, or take their defaults for a new item type.
+ *     parameters:
+ *       - in: path
+ *         name: item_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-z][a-z0-9_]{0,31}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [loan_days]
+ *             properties:
+ *               loan_days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *               max_renewals:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 20
+ *                 description: Renewals allowed per loan (default 2)
+ *               fine_per_day_cents:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Late fine for each started day past the due date (default 25)
+ *               max_fine_cents:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Cap on the late fine for one loan (default 1000)
+ *     responses:
+ *       200:
+ *         description: Loan period updated
+ *       201:
+ *         description: Item type created
+ *       400:
+ *         description: Validation error
+ */
+router.put(
+  '/periods/:item_type',
+  requirePermission('policies:write'),
+  param('item_type')
+    .matches(/^[a-z][a-z0-9_]{0,31}$/)
+    .withMessage('Item type must be 1-32 lowercase letters, digits or underscores, starting with a letter'),
+  body('loan_days')
+    .isInt({ min: 1, max: 365 })
+    .withMessage('loan_days must be an integer between 1 and 365')
+    .toInt(),
+  body('max_renewals')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .withMessage('max_renewals must be an integer between 0 and 20')
+    .toInt(),
+  body('fine_per_day_cents')
+    .optional()
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('fine_per_day_cents must be a non-negative integer')
+    .toInt(),
+  body('max_fine_cents')
+    .optional()
+    .isInt({ min: 0, max: 1000000 })
+    .withMessage('max_fine_cents must be a non-negative integer')
+    .toInt(),
+  validate,
+  (req, res) => {
+    const { loanPeriod, created } = LoanPeriod.upsert(req.app.locals.db, req.params.item_type, {
+      loanDays: req.body.loan_days,
+      maxRenewals: req.body.max_renewals,
+      finePerDayCents: req.body.fine_per_day_cents,
+      maxFineCents: req.body.max_fine_cents,
+    });
+    return res.status(created ? 201 : 200).json(loanPeriod);
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,841 @@
+const { Router } = require('express');
+const { body, query, param } = require('express-validator');
+const validate = require('../middleware/validate');
+const requirePermission = require('../middleware/requirePermission');
+const Patron = require('../models/patron');
+const LedgerEntry = require('../models/ledgerEntry');
+const { chargeFee, recordCredit, blockThresholdCents } = require('../services/fines');
+const { PatronNotFoundError, PatronConflictError, PatronHasHistoryError } = require('../errors');
+
+const router = Router();
+
+const UNIQUE_ERRORS = [
+  'A patron with this email already exists',
+  'A patron with this card number already exists',
+];
+
+/**
+ * Builds the express-validator chains for the writable patron fields.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false] - Skip fields that are absent from the body (PATCH).
+ * @returns {import('express-validator').ValidationChain[]} The validation chains.
+ */
+function patronFieldRules({ optional = false } = {}) {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ max: 255 })
+      .withMessage('Name must not exceed 255 characters'),
+    field('email')
+      .trim()
+      .notEmpty()
+      .withMessage('Email is required')
+      .isEmail()
+      .withMessage('Email must be a valid email address'),
+    field('card_number')
+      .trim()
+      .notEmpty()
+      .withMessage('Card number is required')
+      .matches(/^[A-Za-z0-9-]{4,32}$/)
+      .withMessage('Card number must be 4-32 letters, digits or hyphens'),
+    body('status')
+      .optional()
+      .isIn(Patron.STATUSES)
+      .withMessage(`Status must be one of: ${Patron.STATUSES.join(', ')}`),
+    body('expires_at')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('expires_at must be an ISO-8601 date or timestamp'),
+  ];
+}
+
+const idRule = param('id').isUUID(4).withMessage('ID must be a valid UUID v4');
+
+const DELETE_CONFLICTS = [
+  'Patron has loan history and cannot be deleted',
+  'Patron has fines history and cannot be deleted',
+];
+
+const amountRule = body('amount_cents')
+  .isInt({ min: 1, max: 1000000 })
+  .withMessage('amount_cents must be a positive integer')
+  .toInt();
+
+/**
+ * Sends a new ledger entry with the patron's balance after it.
+ */
+function sendLedgerResult(res, record) {
+  const { entry, balance } = record();
+  return res.status(201).json({ ...entry, balance_cents: balance });
+}
+
+/**
+ * @openapi
+ * /patrons:
+ *   post:
+ *     tags: [Patrons]
+ *     summary: Register a patron
+ *     x-permission: patrons:write
+ *     description: Creates a library member who can borrow books. Email and card number must be unique.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, email, card_number]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               card_number:
+ *                 type: string
+ *                 pattern: '^[A-Za-z0-9-]{4,32}$'
+ *               status:
+ *                 type: string
+ *                 enum: [active, suspended, expired]
+ *                 default: active
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Patron created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Patron'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Email or card number already in use
+ *   get:
+ *     tags: [Patrons]
+ *     summary: List patrons
+ *     x-permission: patrons:read
+ *     description: Returns a paginated list of patrons ordered by name.
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, expired]
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of patrons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Patron'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Invalid query parameters
+ *
+ * components:
+ *   schemas:
+ *     Patron:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         card_number:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, suspended, expired]
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     LedgerEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         patron_id:
+ *           type: string
+ *           format: uuid
+ *         book_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         type:
+ *           type: string
+ *           enum: [late_fine, lost, damaged, processing, payment, waiver]
+ *         amount_cents:
+ *           type: integer
+ *           description: Positive for charges, negative for payments and waivers
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+router.post(
+  '/',
+  requirePermission('patrons:write'),
+  ...patronFieldRules(),
+  validate,
+  (req, res) => {
+    const { name, email, card_number, status, expires_at } = req.body;
+
+    try {
+      const patron = Patron.create(req.app.locals.db, { name, email, card_number, status, expires_at });
+      return res.status(201).json(patron);
+    } catch (err) {
+      if (UNIQUE_ERRORS.includes(err.message)) {
+        throw new PatronConflictError(err.message);
+      }
+      throw err;
+    }
+  }
+);
+
+router.get(
+  '/',
+  requirePermission('patrons:read'),
+  query('status')
+    .optional()
+    .isIn(Patron.STATUSES)
+    .withMessage(`Status must be one of: ${Patron.STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  (req, res) => {
+    const page = Number.isInteger(req.query.page) ? req.query.page : (parseInt(req.query.page, 10) || 1);
+    const limit = Number.isInteger(req.query.limit) ? req.query.limit : (parseInt(req.query.limit, 10) || 20);
+    const offset = (page - 1) * limit;
+
+    const { patrons, total } = Patron.findAll(req.app.locals.db, {
+      limit,
+      offset,
+      status: req.query.status,
+    });
+
+    return res.status(200).json({
+      data: patrons,
+      pagination: { page, limit, total },
+    });
+  }
+);
+
+/**
+ * @openapi
+ * /patrons/{id}:
+ *   get:
+ *     tags: [Patrons]
+ *     summary: Get a patron by ID
+ *     x-permission: patrons:read
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Patron found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Patron'
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: Patron not found
+ *   patch:
+ *     tags: [Patrons]
+ *     summary: Update a patron
+ *     x-permission: patrons:write
+ *     description: Updates the members present in the body. Use this to suspend (`status=suspended`) or renew (`expires_at`) a membership.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               card_number:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [active, suspended, expired]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Patron updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Patron'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Patron not found
+ *       409:
+ *         description: Email or card number already in use
+ *   delete:
+ *     tags: [Patrons]
+ *     summary: Delete a patron
+ *     x-permission: patrons:write
+ *     description: Deletes a patron who has never borrowed a book or been charged. Patrons with loan or fines history must be kept for the record; suspend or expire them instead.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Patron deleted
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: Patron not found
+ *       409:
+ *         description: Patron has loan or fines history
+ */
+router.get(
+  '/:id',
+  requirePermission('patrons:read'),
+  idRule,
+  validate,
+  (req, res) => {
+    const patron = Patron.findById(req.app.locals.db, req.params.id);
+
+    if (patron === null) {
+      throw new PatronNotFoundError();
+    }
+
+    return res.status(200).json(patron);
+  }
+);
+
+router.patch(
+  '/:id',
+  requirePermission('patrons:write'),
+  idRule,
+  ...patronFieldRules({ optional: true }),
+  validate,
+  (req, res) => {
+    const fields = {};
+    for (const field of ['name', 'email', 'card_number', 'status', 'expires_at']) {
+      if (Object.prototype.hasOwnProperty.call(req.body || {}, field)) {
+        fields[field] = req.body[field];
+      }
+    }
+
+    try {
+      const patron = Patron.update(req.app.locals.db, req.params.id, fields);
+
+      if (patron === null) {
+        throw new PatronNotFoundError();
+      }
+
+      return res.status(200).json(patron);
+    } catch (err) {
+      if (UNIQUE_ERRORS.includes(err.message)) {
+        throw new PatronConflictError(err.message);
+      }
+      throw err;
+    }
+  }
+);
+
+router.delete(
+  '/:id',
+  requirePermission('patrons:write'),
+  idRule,
+  validate,
+  (req, res) => {
+    try {
+      const deleted = Patron.delete(req.app.locals.db, req.params.id);
+
+      if (!deleted) {
+        throw new PatronNotFoundError();
+      }
+
+      return res.status(204).end();
+    } catch (err) {
+      if (DELETE_CONFLICTS.includes(err.message)) {
+        throw new PatronHasHistoryError(err.message);
+      }
+      throw err;
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /patrons/{id}/loans:
+ *   get:
+ *     tags: [Patrons]
+ *     summary: List a patron's current loans
+ *     x-permission: loans:read
+ *     description: Returns the copies currently checked out to the patron, oldest loan first, with each book's title, author and ISBN. A patron signed in to their own account can list their own loans (`loans:read:own`).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Copies on loan to the patron
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       book_id:
+ *                         type: string
+ *                         format: uuid
+ *                       barcode:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       checked_out_at:
+ *                         type: string
+ *                         format: date-time
+ *                       due_at:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: Patron not found
+ */
+router.get(
+  '/:id/loans',
+  requirePermission('loans:read', { owner: req => req.params.id }),
+  idRule,
+  validate,
+  (req, res) => {
+    const db = req.app.locals.db;
+    const patron = Patron.findById(db, req.params.id);
+
+    if (patron === null) {
+      throw new PatronNotFoundError();
+    }
+
+    return res.status(200).json({ data: Patron.findLoans(db, patron.id) });
+  }
+);
+
+/**
+ * @openapi
+ * /patrons/{id}/balance:
+ *   get:
+ *     tags: [Fines]
+ *     summary: Get a patron's balance
+ *     x-permission: fines:read
+ *     description: Returns what the patron owes, the sum of their ledger. A patron whose balance is over the threshold (FINES_BLOCK_THRESHOLD_CENTS, default 1000) cannot check out books.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The patron's balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 patron_id:
+ *                   type: string
+ *                   format: uuid
+ *                 balance_cents:
+ *                   type: integer
+ *                 threshold_cents:
+ *                   type: integer
+ *                 borrowing_blocked:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid UUID format
+ *       404:
+ *         description: Patron not found
+ */
+router.get(
+  '/:id/balance',
+  requirePermission('fines:read'),
+  idRule,
+  validate,
+  (req, res) => {
+    const db = req.app.locals.db;
+    const patron = Patron.findById(db, req.params.id);
+
+    if (patron === null) {
+      throw new PatronNotFoundError();
+    }
+
+    const balance = LedgerEntry.balance(db, patron.id);
+    const threshold = blockThresholdCents();
+
+    return res.status(200).json({
+      patron_id: patron.id,
+      balance_cents: balance,
+      threshold_cents: threshold,
+      borrowing_blocked: balance > threshold,
+    });
+  }
+);
+
+/**
+ * @openapi
+ * /patrons/{id}/ledger:
+ *   get:
+ *     tags: [Fines]
+ *     summary: List a patron's ledger entries
+ *     x-permission: fines:read
+ *     description: Returns the patron's charges, payments and waivers, newest first. The ledger is append-only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated ledger entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LedgerEntry'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Invalid UUID format or query parameters
+ *       404:
+ *         description: Patron not found
+ */
+router.get(
+  '/:id/ledger',
+  requirePermission('fines:read'),
+  idRule,
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  (req, res) => {
+    const db = req.app.locals.db;
+    const patron = Patron.findById(db, req.params.id);
+
+    if (patron === null) {
+      throw new PatronNotFoundError();
+    }
+
+    const page = Number.isInteger(req.query.page) ? req.query.page : (parseInt(req.query.page, 10) || 1);
+    const limit = Number.isInteger(req.query.limit) ? req.query.limit : (parseInt(req.query.limit, 10) || 20);
+    const offset = (page - 1) * limit;
+
+    const { entries, total } = LedgerEntry.findByPatronId(db, patron.id, { limit, offset });
+
+    return res.status(200).json({
+      data: entries,
+      pagination: { page, limit, total },
+    });
+  }
+);
+
+/**
+ * @openapi
+ * /patrons/{id}/fees:
+ *   post:
+ *     tags: [Fines]
+ *     summary: Charge a fee
+ *     x-permission: fines:write
+ *     description: Adds a manual charge for a lost or damaged item or a processing fee. Late fines are charged automatically when an overdue book is returned.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, amount_cents]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [lost, damaged, processing]
+ *               amount_cents:
+ *                 type: integer
+ *                 minimum: 1
+ *               book_id:
+ *                 type: string
+ *                 format: uuid
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Fee charged. The body is the ledger entry plus the new `balance_cents`.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LedgerEntry'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Patron or book not found
+ */
+router.post(
+  '/:id/fees',
+  requirePermission('fines:write'),
+  idRule,
+  body('type')
+    .isIn(['lost', 'damaged', 'processing'])
+    .withMessage('Type must be one of: lost, damaged, processing'),
+  amountRule,
+  body('book_id').optional().isUUID(4).withMessage('book_id must be a valid UUID v4'),
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+  validate,
+  (req, res) => {
+    const { type, amount_cents, book_id, reason } = req.body;
+
+    return sendLedgerResult(res, () => chargeFee(req.app.locals.db, req.params.id, {
+      type, amountCents: amount_cents, bookId: book_id, reason,
+    }));
+  }
+);
+
+/**
+ * @openapi
+ * /patrons/{id}/payments:
+ *   post:
+ *     tags: [Fines]
+ *     summary: Record a payment
+ *     x-permission: fines:write
+ *     description: Records money received from the patron. A payment may not exceed the outstanding balance.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount_cents]
+ *             properties:
+ *               amount_cents:
+ *                 type: integer
+ *                 minimum: 1
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Cash at front desk
+ *     responses:
+ *       201:
+ *         description: Payment recorded. The body is the ledger entry plus the new `balance_cents`.
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Patron not found
+ *       409:
+ *         description: Payment exceeds the outstanding balance
+ *
+ * /patrons/{id}/waivers:
+ *   post:
+ *     tags: [Fines]
+ *     summary: Waive fines
+ *     x-permission: fines:write
+ *     description: Forgives part or all of the outstanding balance. A reason is required.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount_cents, reason]
+ *             properties:
+ *               amount_cents:
+ *                 type: integer
+ *                 minimum: 1
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Book returned late due to hospital stay
+ *     responses:
+ *       201:
+ *         description: Waiver recorded. The body is the ledger entry plus the new `balance_cents`.
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Patron not found
+ *       409:
+ *         description: Waiver exceeds the outstanding balance
+ */
+router.post(
+  '/:id/payments',
+  requirePermission('fines:write'),
+  idRule,
+  amountRule,
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+  validate,
+  (req, res) => {
+    return sendLedgerResult(res, () => recordCredit(req.app.locals.db, req.params.id, {
+      type: 'payment', amountCents: req.body.amount_cents, reason: req.body.reason,
+    }));
+  }
+);
+
+router.post(
+  '/:id/waivers',
+  requirePermission('fines:write'),
+  idRule,
+  amountRule,
+  body('reason')
+    .isString()
+    .withMessage('A reason is required to waive fines')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to waive fines')
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+  validate,
+  (req, res) => {
+    return sendLedgerResult(res, () => recordCredit(req.app.locals.db, req.params.id, {
+      type: 'waiver', amountCents: req.body.amount_cents, reason: req.body.reason,
+    }));
+  }
+);
+
+module.exports = router;
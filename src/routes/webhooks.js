@@ -0,0 +1,444 @@
+const { Router } = require('express');
+const { body, param, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const requirePermission = require('../middleware/requirePermission');
+const Webhook = require('../models/webhook');
+const { WebhookNotFoundError } = require('../errors');
+const {
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliver,
+} = require('../services/webhooks');
+
+const router = Router();
+
+const idRule = param('id').isUUID(4).withMessage('ID must be a valid UUID v4');
+
+// Local receivers such as http://localhost:4000/hook are allowed
+const urlRule = field => field
+  .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+  .withMessage('url must be an http or https URL');
+
+const eventsRules = field => [
+  body(field)
+    .isArray({ min: 1 })
+    .withMessage('events must be a non-empty list of event types')
+    .bail()
+    .customSanitizer(events => [...new Set(events)]),
+  body(`${field}.*`)
+    .isIn(Webhook.EVENT_TYPES)
+    .withMessage(`Event types must be one of: ${Webhook.EVENT_TYPES.join(', ')}`),
+];
+
+/**
+ * @openapi
+ * /webhooks:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Subscribe to events
+ *     x-permission: webhooks:manage
+ *     description: |
+ *       Events are POSTed to the URL as JSON (`{ id, type, created_at, data }`) shortly after they happen. `book.created`, `book.updated`, `book.deleted` (moved to the trash), `book.restored` (back from the trash) and `book.purged` (removed for good) carry the book; `book.checked_out`, `book.renewed`, `book.returned` and `book.status_changed` (a copy marked lost, damaged, in repair, withdrawn or in transit, or back on the shelf) carry the book and the copy; `hold.placed`, `hold.ready` (set aside for pickup), `hold.cancelled` and `hold.expired` carry the hold and the book's id, title, author and ISBN.
+ *
+ *       Each request is signed. `X-Webhook-Signature` is `sha256=` followed by the hex HMAC-SHA256 of `<X-Webhook-Timestamp>.<body>` keyed with the secret. Receivers should check it and reject old timestamps. `X-Webhook-Id` identifies the delivery and `X-Webhook-Event` the event type.
+ *
+ *       A 2xx response means the event was received. Anything else, or no response within 10 seconds, is retried with exponential backoff (30 seconds, then 1, 2, 4 minutes and so on, 8 attempts in all). A subscription whose attempts fail 20 times in a row is disabled until it is turned back on.
+ *
+ *       The secret is generated if none is given. The response is the only time it is shown.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 example: https://signage.example.org/hooks/library
+ *               events:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   $ref: '#/components/schemas/WebhookEventType'
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *                 maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Subscription created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Webhook'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: The signing secret. Store it now; it cannot be retrieved later.
+ *       400:
+ *         description: Validation error
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: List subscriptions
+ *     x-permission: webhooks:manage
+ *     description: Lists every subscription, disabled ones included, newest first.
+ *     responses:
+ *       200:
+ *         description: The subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ * components:
+ *   schemas:
+ *     WebhookEventType:
+ *       type: string
+ *       enum: [book.created, book.updated, book.deleted, book.restored, book.purged, book.checked_out, book.renewed, book.returned, book.status_changed, hold.placed, hold.ready, hold.cancelled, hold.expired]
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         url:
+ *           type: string
+ *           format: uri
+ *         events:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WebhookEventType'
+ *         consecutive_failures:
+ *           type: integer
+ *           description: Delivery attempts that have failed in a row
+ *         disabled_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the subscription was turned off, by hand or after repeated failures
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+router.post(
+  '/',
+  requirePermission('webhooks:manage'),
+  urlRule(body('url')),
+  ...eventsRules('events'),
+  body('secret')
+    .optional()
+    .isString()
+    .withMessage('secret must be a string')
+    .bail()
+    .isLength({ min: 16, max: 200 })
+    .withMessage('secret must be 16-200 characters'),
+  validate,
+  (req, res) => {
+    const webhook = createWebhook(req.app.locals.db, {
+      url: req.body.url,
+      events: req.body.events,
+      secret: req.body.secret,
+    }, { audit: req.audit });
+    return res.status(201).json(webhook);
+  }
+);
+
+router.get('/', requirePermission('webhooks:manage'), (req, res) => {
+  return res.status(200).json({ data: Webhook.findAll(req.app.locals.db) });
+});
+
+/**
+ * @openapi
+ * /webhooks/{id}:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: Get a subscription
+ *     x-permission: webhooks:manage
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Webhook not found
+ *   patch:
+ *     tags: [Webhooks]
+ *     summary: Change a subscription
+ *     x-permission: webhooks:manage
+ *     description: Changes the URL or events, or turns the subscription off (`enabled=false`) or back on (`enabled=true`). Turning it back on clears its failure count; deliveries still pending are then sent.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               events:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   $ref: '#/components/schemas/WebhookEventType'
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Webhook not found
+ *   delete:
+ *     tags: [Webhooks]
+ *     summary: Unsubscribe
+ *     x-permission: webhooks:manage
+ *     description: Deletes the subscription and its delivery log. Pending deliveries are not sent.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Subscription deleted
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', requirePermission('webhooks:manage'), idRule, validate, (req, res) => {
+  const webhook = Webhook.findById(req.app.locals.db, req.params.id);
+  if (!webhook) {
+    throw new WebhookNotFoundError();
+  }
+  return res.status(200).json(webhook);
+});
+
+router.patch(
+  '/:id',
+  requirePermission('webhooks:manage'),
+  idRule,
+  urlRule(body('url').optional()),
+  ...eventsRules('events').map(rule => rule.optional()),
+  body('enabled').optional().isBoolean({ strict: true }).withMessage('enabled must be true or false'),
+  validate,
+  (req, res) => {
+    const webhook = updateWebhook(req.app.locals.db, req.params.id, {
+      url: req.body.url,
+      events: req.body.events,
+      enabled: req.body.enabled,
+    }, { audit: req.audit });
+    return res.status(200).json(webhook);
+  }
+);
+
+router.delete('/:id', requirePermission('webhooks:manage'), idRule, validate, (req, res) => {
+  deleteWebhook(req.app.locals.db, req.params.id, { audit: req.audit });
+  return res.status(204).end();
+});
+
+/**
+ * @openapi
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: List deliveries
+ *     x-permission: webhooks:manage
+ *     description: The delivery log of a subscription, newest first. A pending delivery is waiting for its next attempt; a failed one ran out of attempts.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Invalid UUID format or query parameters
+ *       404:
+ *         description: Webhook not found
+ * components:
+ *   schemas:
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         webhook_id:
+ *           type: string
+ *           format: uuid
+ *         event_id:
+ *           type: string
+ *           format: uuid
+ *           description: Shared by every delivery of the same event, redeliveries included
+ *         event_type:
+ *           $ref: '#/components/schemas/WebhookEventType'
+ *         payload:
+ *           type: object
+ *           description: The body that is sent
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attempts:
+ *           type: integer
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_attempt_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         response_status:
+ *           type: integer
+ *           nullable: true
+ *           description: The receiver's HTTP status on the last attempt
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+router.get(
+  '/:id/deliveries',
+  requirePermission('webhooks:manage'),
+  idRule,
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  (req, res) => {
+    const page = Number.isInteger(req.query.page) ? req.query.page : (parseInt(req.query.page, 10) || 1);
+    const limit = Number.isInteger(req.query.limit) ? req.query.limit : (parseInt(req.query.limit, 10) || 20);
+    const offset = (page - 1) * limit;
+
+    const { deliveries, total } = listDeliveries(req.app.locals.db, req.params.id, { limit, offset });
+
+    return res.status(200).json({
+      data: deliveries,
+      pagination: { page, limit, total },
+    });
+  }
+);
+
+/**
+ * @openapi
+ * /webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Redeliver an event
+ *     x-permission: webhooks:manage
+ *     description: Queues a new delivery of the same event with the same payload, whatever became of the original. It is sent within a few seconds if the subscription is enabled.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       202:
+ *         description: New delivery queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Webhook or delivery not found
+ */
+router.post(
+  '/:id/deliveries/:deliveryId/redeliver',
+  requirePermission('webhooks:manage'),
+  idRule,
+  param('deliveryId').isUUID(4).withMessage('deliveryId must be a valid UUID v4'),
+  validate,
+  (req, res) => {
+    const delivery = redeliver(req.app.locals.db, req.params.id, req.params.deliveryId, { audit: req.audit });
+    return res.status(202).json(delivery);
+  }
+);
+
+module.exports = router;
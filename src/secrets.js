@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Returns the signing key set in the named environment variable.
+ *
+ * Without one, a random per-process key is used, so everything it signed
+ * stops verifying after a restart and is not accepted by other instances.
+ * That is logged as a warning, and refused outright in production.
+ *
+ * @param {string} name - The environment variable, e.g. "JWT_SECRET".
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env] - The environment to read.
+ * @param {Object} [options.log=logger] - A pino logger.
+ * @returns {string|Buffer} The configured secret, or random bytes.
+ * @throws {Error} If the variable is unset and NODE_ENV is production.
+ */
+function signingSecret(name, { env = process.env, log = logger } = {}) {
+  if (env[name]) {
+    return env[name];
+  }
+  if (env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+  log.warn(`${name} is not set; using a random key that changes on every restart`);
+  return crypto.randomBytes(32);
+}
+
+module.exports = { signingSecret };
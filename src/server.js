@@ -1,8 +1,34 @@
 require('dotenv/config');
 const app = require('./app');
+const { startPurgeJob } = require('./jobs/purgeTrash');
+const { startHoldExpiryJob } = require('./jobs/expireHolds');
+const { startOutboxDispatchJob } = require('./jobs/dispatchOutbox');
+const { startWebhookDeliveryJob } = require('./jobs/deliverWebhooks');
+const { startIdempotencyPurgeJob } = require('./jobs/purgeIdempotencyKeys');
+const { bootstrapAdmin } = require('./services/auth');
+const { acceptUpgrades } = require('./websocket');
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
+// A new installation has no accounts; BOOTSTRAP_ADMIN_USERNAME and
+// BOOTSTRAP_ADMIN_PASSWORD create the first admin, who can then add staff
+// and API keys through /auth.
+if (process.env.BOOTSTRAP_ADMIN_USERNAME && process.env.BOOTSTRAP_ADMIN_PASSWORD) {
+  bootstrapAdmin(app.locals.db, {
+    username: process.env.BOOTSTRAP_ADMIN_USERNAME,
+    password: process.env.BOOTSTRAP_ADMIN_PASSWORD,
+  });
+}
+
+startPurgeJob(app.locals.db);
+startHoldExpiryJob(app.locals.db);
+startOutboxDispatchJob(app.locals.db);
+startWebhookDeliveryJob(app.locals.db);
+startIdempotencyPurgeJob(app.locals.db);
+
+const server = app.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);
 });
+
+// WebSocket handshakes (GET /events/socket) go through the app too
+acceptUpgrades(server, app);
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const {
+  UnauthorizedError,
+  PatronNotFoundError,
+  ApiKeyNotFoundError,
+  ApiKeyRevokedError,
+} = require('../errors');
+const ApiKey = require('../models/apiKey');
+const AuditLog = require('../models/auditLog');
+const Patron = require('../models/patron');
+const RefreshToken = require('../models/refreshToken');
+const User = require('../models/user');
+const { signToken, verifyToken } = require('../tokens');
+
+const DEFAULT_ACCESS_TTL_SECONDS = 15 * 60;
+const DEFAULT_REFRESH_TTL_SECONDS = 7 * 24 * 60 * 60;
+const API_KEY_PREFIX = 'lib_';
+
+function accessTtlSeconds() {
+  return parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || DEFAULT_ACCESS_TTL_SECONDS;
+}
+
+function refreshTtlSeconds() {
+  return parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS, 10) || DEFAULT_REFRESH_TTL_SECONDS;
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt:${salt.toString('base64url')}:${hash.toString('base64url')}`;
+}
+
+function passwordMatches(password, stored) {
+  const [, salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64url'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked against when the username is unknown, so that a failed sign-in
+// takes as long whether or not the account exists.
+const UNKNOWN_USER_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function issueTokens(db, user, now) {
+  const refreshTtl = refreshTtlSeconds();
+  const refresh = RefreshToken.create(db, {
+    userId: user.id,
+    expiresAt: new Date(now.getTime() + refreshTtl * 1000).toISOString(),
+  });
+
+  return {
+    token_type: 'Bearer',
+    access_token: signToken({ sub: user.id, role: user.role, typ: 'access' }, accessTtlSeconds(), now),
+    expires_in: accessTtlSeconds(),
+    refresh_token: signToken({ sub: user.id, typ: 'refresh', jti: refresh.id }, refreshTtl, now),
+  };
+}
+
+/**
+ * Creates an account for a member of staff, or for a patron to see their
+ * own loans.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} fields
+ * @param {string} fields.username - Unique, case-insensitive login name.
+ * @param {string} fields.password - The plain-text password; only its hash is stored.
+ * @param {string} fields.role - One of the roles in src/permissions.js.
+ * @param {string|null} [fields.patronId=null] - The patron, for the patron role.
+ * @returns {Object} The new user.
+ * @throws {PatronNotFoundError} If the patron does not exist.
+ * @throws {Error} If the username is already taken, or the patron already has an account.
+ */
+function createUser(db, { username, password, role, patronId = null }) {
+  if (patronId !== null && !Patron.findById(db, patronId)) {
+    throw new PatronNotFoundError();
+  }
+
+  return User.create(db, { username, passwordHash: hashPassword(password), role, patronId });
+}
+
+/**
+ * Creates the first admin account so someone can sign in to a new
+ * installation. Does nothing once any account exists.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} credentials
+ * @param {string} credentials.username - The admin's login name.
+ * @param {string} credentials.password - The admin's password.
+ * @returns {Object|null} The new admin, or null if there were already accounts.
+ */
+function bootstrapAdmin(db, { username, password }) {
+  const run = db.transaction(() => (
+    User.count(db) === 0 ? createUser(db, { username, password, role: 'admin' }) : null
+  ));
+
+  return run();
+}
+
+/**
+ * Signs a staff member in and issues an access token and a refresh token.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} credentials
+ * @param {string} credentials.username - The login name.
+ * @param {string} credentials.password - The password.
+ * @param {Date} [now=new Date()] - The sign-in time.
+ * @returns {{ token_type: string, access_token: string, expires_in: number, refresh_token: string }} The tokens.
+ * @throws {UnauthorizedError} If the username or password is wrong.
+ */
+function login(db, { username, password }, now = new Date()) {
+  const run = db.transaction(() => {
+    const user = User.findByUsernameWithHash(db, username);
+    const matches = passwordMatches(password, user ? user.password_hash : UNKNOWN_USER_HASH);
+    if (!user || !matches) {
+      throw new UnauthorizedError('Invalid username or password');
+    }
+
+    User.recordLogin(db, user.id, now);
+    return issueTokens(db, user, now);
+  });
+
+  return run();
+}
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token. Each
+ * refresh token can be used once.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} refreshToken - The refresh token from login or an earlier refresh.
+ * @param {Date} [now=new Date()] - The refresh time.
+ * @returns {{ token_type: string, access_token: string, expires_in: number, refresh_token: string }} The tokens.
+ * @throws {UnauthorizedError} If the token is invalid, expired or already used.
+ */
+function refresh(db, refreshToken, now = new Date()) {
+  const run = db.transaction(() => {
+    const claims = verifyToken(refreshToken, now);
+    const stored = claims && claims.typ === 'refresh' && RefreshToken.consume(db, claims.jti, now);
+    const user = stored && User.findById(db, stored.user_id);
+    if (!user) {
+      throw new UnauthorizedError('Invalid or expired refresh token');
+    }
+
+    return issueTokens(db, user, now);
+  });
+
+  return run();
+}
+
+/**
+ * Identifies the staff member an access token was issued to.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} accessToken - The bearer token.
+ * @param {Date} [now=new Date()] - The time to check expiry against.
+ * @returns {{ type: 'user', id: string, name: string, role: string, patronId: string|null }} The caller.
+ * @throws {UnauthorizedError} If the token is invalid or expired, or the user no longer exists.
+ */
+function identifyAccessToken(db, accessToken, now = new Date()) {
+  const claims = verifyToken(accessToken, now);
+  const user = claims && claims.typ === 'access' && User.findById(db, claims.sub);
+  if (!user) {
+    throw new UnauthorizedError('Invalid or expired access token');
+  }
+
+  return { type: 'user', id: user.id, name: user.username, role: user.role, patronId: user.patron_id };
+}
+
+/**
+ * Identifies the integration an API key belongs to and records that the key
+ * was used.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} key - The presented API key.
+ * @param {Date} [now=new Date()] - When the key is used.
+ * @returns {{ type: 'api_key', id: string, name: string, role: string, patronId: null }} The caller.
+ * @throws {UnauthorizedError} If the key is unknown or revoked.
+ */
+function identifyApiKey(db, key, now = new Date()) {
+  const apiKey = ApiKey.findByHash(db, hashApiKey(key));
+  if (!apiKey || apiKey.revoked_at) {
+    throw new UnauthorizedError('Invalid or revoked API key');
+  }
+
+  ApiKey.touch(db, apiKey.id, now);
+  return { type: 'api_key', id: apiKey.id, name: apiKey.name, role: apiKey.role, patronId: null };
+}
+
+/**
+ * Creates an API key. The key itself is returned only here; afterwards only
+ * its prefix can be shown.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} fields
+ * @param {string} fields.name - What the key is for.
+ * @param {string} fields.role - admin, librarian or clerk.
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The stored key plus `key`, the secret to hand to the integration.
+ */
+function createApiKey(db, { name, role }, { audit = {} } = {}) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const create = db.transaction(() => {
+    const apiKey = ApiKey.create(db, {
+      name,
+      role,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+      keyHash: hashApiKey(key),
+    });
+    // Only the stored columns are logged, never the key itself
+    AuditLog.append(db, { action: 'api_key.created', entityType: 'api_key', entityId: apiKey.id, after: apiKey }, audit);
+    return apiKey;
+  });
+
+  return { ...create(), key };
+}
+
+/**
+ * Revokes an API key. Revoking a revoked key changes nothing.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} id - The UUID of the key.
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - When the key is revoked.
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The revoked key.
+ * @throws {ApiKeyNotFoundError} If no key has the id.
+ */
+function revokeApiKey(db, id, { now = new Date(), audit = {} } = {}) {
+  const revoke = db.transaction(() => {
+    const before = ApiKey.findById(db, id);
+    if (!before) {
+      throw new ApiKeyNotFoundError();
+    }
+
+    const apiKey = ApiKey.revoke(db, id, now);
+    if (!before.revoked_at) {
+      AuditLog.append(db, { action: 'api_key.revoked', entityType: 'api_key', entityId: id, ...AuditLog.diff(before, apiKey) }, audit);
+    }
+    return apiKey;
+  });
+
+  return revoke();
+}
+
+/**
+ * Replaces an API key with a new one of the same name and role, revoking the
+ * old key at once.
+ *
+ * All logic is wrapped in a better-sqlite3 transaction to ensure atomic read-then-write.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} id - The UUID of the key to replace.
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - When the old key is revoked.
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The new key plus `key`, as from createApiKey.
+ * @throws {ApiKeyNotFoundError} If no key has the id.
+ * @throws {ApiKeyRevokedError} If the key is already revoked.
+ */
+function rotateApiKey(db, id, { now = new Date(), audit = {} } = {}) {
+  const rotate = db.transaction(() => {
+    const apiKey = ApiKey.findById(db, id);
+    if (!apiKey) {
+      throw new ApiKeyNotFoundError();
+    }
+    if (apiKey.revoked_at) {
+      throw new ApiKeyRevokedError();
+    }
+
+    revokeApiKey(db, id, { now, audit });
+    return createApiKey(db, { name: apiKey.name, role: apiKey.role }, { audit });
+  });
+
+  return rotate();
+}
+
+module.exports = {
+  createUser,
+  bootstrapAdmin,
+  login,
+  refresh,
+  identifyAccessToken,
+  identifyApiKey,
+  createApiKey,
+  revokeApiKey,
+  rotateApiKey,
+};
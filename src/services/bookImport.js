@@ -0,0 +1,154 @@
+const logger = require('../logger');
+const Book = require('../models/book');
+const ImportJob = require('../models/importJob');
+const MarcRecord = require('../models/marcRecord');
+const { readRows, UploadFormatError } = require('../importFormats');
+
+const DEFAULT_CHUNK_SIZE = 500;
+
+// The book fields an import row can set
+const IMPORT_FIELDS = ['title', 'author', 'isbn', 'published_year', 'item_type'];
+
+/**
+ * Picks the book fields out of an upload row. Each field is read from the
+ * column `mapping` names for it, or from the column with its own name.
+ * Empty values are left out, so a required field that is blank is reported
+ * as missing.
+ *
+ * @param {Object} record - The row, keyed by column name.
+ * @param {Object} [mapping={}] - Source column by book field.
+ * @returns {Object} The book fields present in the row.
+ */
+function mapRow(record, mapping = {}) {
+  const fields = {};
+
+  for (const field of IMPORT_FIELDS) {
+    const value = record[mapping[field] || field];
+    if (value !== undefined && value !== null && value !== '') {
+      fields[field] = value;
+    }
+  }
+
+  return fields;
+}
+
+// True when the row would leave the existing book as it is
+function isUnchanged(book, fields) {
+  return Object.keys(fields).every(field => String(book[field]) === String(fields[field]));
+}
+
+/**
+ * Applies one validated row to the catalog, or in a dry run works out what
+ * applying it would do. `planned` holds the ISBNs a dry run would have
+ * created so far, so a repeated ISBN later in the upload is treated as the
+ * duplicate it would be. A row read from MARC stores its whole record with
+ * the book.
+ *
+ * @returns {{ outcome: 'created'|'updated'|'skipped' }|{ errors: Object[] }} What happened to the row.
+ */
+function applyRow(db, fields, marc, { onDuplicate, dryRun, planned, audit }) {
+  const existing = planned.get(fields.isbn) || Book.findByIsbn(db, fields.isbn);
+
+  if (existing && existing.deleted_at) {
+    return { errors: [{ name: 'isbn', reason: 'A book with this ISBN is in the trash' }] };
+  }
+  if (!existing) {
+    if (dryRun) {
+      planned.set(fields.isbn, fields);
+    } else {
+      const book = Book.create(db, fields, audit);
+      if (marc) {
+        MarcRecord.save(db, book.id, marc);
+      }
+    }
+    return { outcome: 'created' };
+  }
+  if (onDuplicate === 'skip' || isUnchanged(existing, fields)) {
+    return { outcome: 'skipped' };
+  }
+
+  if (dryRun) {
+    planned.set(fields.isbn, { ...existing, ...fields });
+  } else {
+    Book.update(db, existing.id, fields, audit);
+    if (marc) {
+      MarcRecord.save(db, existing.id, marc);
+    }
+  }
+  return { outcome: 'updated' };
+}
+
+/**
+ * Reads an upload into the catalog for an import job, updating the job as
+ * it goes. Never rejects: a failure is recorded on the job instead.
+ *
+ * Rows are validated as they stream in and applied in chunks, each chunk in
+ * one transaction together with the job's progress, so the job's counts
+ * always match what has been committed. If the upload breaks off, chunks
+ * already committed are kept and the rows read since are not applied.
+ *
+ * A row whose ISBN is already in the catalog is skipped, or with
+ * `on_duplicate: 'upsert'` updates that book with the row's fields. A dry
+ * run validates and counts every row the same way but changes no books.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} job - The job, as returned by ImportJob.create.
+ * @param {AsyncIterable<Buffer|string>} upload - The uploaded file, e.g. the request.
+ * @param {Object} options
+ * @param {Function} options.validateRow - Checks a row's book fields the way POST /books does; resolves to `{ fields, errors }`.
+ * @param {number} [options.chunkSize] - Rows per transaction; defaults to IMPORT_CHUNK_SIZE or 500.
+ * @param {Object} [options.audit] - Who is importing, for the audit log (see AuditLog.append).
+ * @param {Object} [options.log=logger] - A pino logger.
+ * @returns {Promise<Object>} The finished job.
+ */
+async function runImport(db, job, upload, {
+  validateRow,
+  chunkSize = parseInt(process.env.IMPORT_CHUNK_SIZE, 10) || DEFAULT_CHUNK_SIZE,
+  audit = {},
+  log = logger,
+}) {
+  const options = { onDuplicate: job.on_duplicate, dryRun: job.dry_run, planned: new Map(), audit };
+  let chunk = [];
+
+  const commit = db.transaction(rows => {
+    const results = { created: 0, updated: 0, skipped: 0, failures: [] };
+
+    for (const { row, fields, marc, errors } of rows) {
+      const result = errors ? { errors } : applyRow(db, fields, marc, options);
+      if (result.errors) {
+        results.failures.push({ row, errors: result.errors });
+      } else {
+        results[result.outcome] += 1;
+      }
+    }
+
+    ImportJob.recordProgress(db, job.id, results);
+  });
+
+  try {
+    for await (const { row, record, marc, error } of readRows(upload, job.format)) {
+      if (error) {
+        chunk.push({ row, errors: [{ name: 'row', reason: error }] });
+      } else {
+        const result = await validateRow(mapRow(record, job.mapping));
+        chunk.push(result.errors.length > 0 ? { row, errors: result.errors } : { row, fields: result.fields, marc });
+      }
+
+      if (chunk.length >= chunkSize) {
+        commit(chunk);
+        chunk = [];
+      }
+    }
+    commit(chunk);
+
+    return ImportJob.finish(db, job.id, { status: 'completed' });
+  } catch (err) {
+    if (err instanceof UploadFormatError) {
+      return ImportJob.finish(db, job.id, { status: 'failed', error: err.message });
+    }
+    log.error({ err, importJobId: job.id }, 'Book import failed');
+    return ImportJob.finish(db, job.id, { status: 'failed', error: 'The import stopped unexpectedly' });
+  }
+}
+
+module.exports = { IMPORT_FIELDS, mapRow, runImport };
@@ -0,0 +1,43 @@
+const { BookNotFoundError, IsbnConflictError } = require('../errors');
+const Book = require('../models/book');
+const { assertIfMatch } = require('../etags');
+
+/**
+ * Changes the catalog fields of a book, if it has not changed since the
+ * client read it.
+ *
+ * All logic is wrapped in a better-sqlite3 transaction to ensure atomic read-then-write.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} id - The UUID of the book.
+ * @param {Object} fields - The fields to change; see Book.update.
+ * @param {Object} [options]
+ * @param {'*'|string[]} [options.ifMatch] - The ETags the book must still have; see parseIfMatch.
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The updated book.
+ * @throws {BookNotFoundError} If no live book exists with the given id.
+ * @throws {PreconditionFailedError} If the book no longer matches `ifMatch`.
+ * @throws {IsbnConflictError} If another book already has the new ISBN.
+ */
+function updateBook(db, id, fields, { ifMatch, audit = {} } = {}) {
+  const update = db.transaction(() => {
+    const book = Book.findById(db, id);
+    if (book === null) {
+      throw new BookNotFoundError();
+    }
+    assertIfMatch(book, ifMatch);
+
+    try {
+      return Book.update(db, id, fields, audit);
+    } catch (err) {
+      if (err.message === 'A book with this ISBN already exists') {
+        throw new IsbnConflictError();
+      }
+      throw err;
+    }
+  });
+
+  return update();
+}
+
+module.exports = { updateBook };
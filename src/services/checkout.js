@@ -1,92 +1,305 @@
-const { BookNotFoundError, BookUnavailableError } = require('../errors');
+const {
+  CopyNotFoundError,
+  BookUnavailableError,
+  PatronNotFoundError,
+  PatronIneligibleError,
+  RenewalDeniedError,
+} = require('../errors');
+const AuditLog = require('../models/auditLog');
 const checkoutHistory = require('../models/checkoutHistory');
+const Book = require('../models/book');
+const Copy = require('../models/copy');
+const Patron = require('../models/patron');
+const LoanPeriod = require('../models/loanPeriod');
+const Outbox = require('../models/outbox');
+const Hold = require('../models/hold');
+const { computeDueDate } = require('./dueDates');
+const { expireHolds, shelveForNextHold } = require('./holds');
+const { assessLateFine, finesBlockReason } = require('./fines');
+const { assertTransition } = require('./copyStatus');
+const { assertIfMatch } = require('../etags');
 
 /**
- * Checks out a book by transitioning its status from 'available' to 'checked_out'.
+ * Records a circulation change to a copy in the audit log (`copy.<event>`)
+ * and the outbox (`book.<event>`).
+ */
+function recordCopyChange(db, event, before, after, audit) {
+  AuditLog.append(db, {
+    action: `copy.${event}`, entityType: 'copy', entityId: after.id, ...AuditLog.diff(before, after),
+  }, audit);
+  Outbox.append(db, {
+    type: `book.${event}`,
+    aggregateType: 'copy',
+    aggregateId: after.id,
+    data: { book: Book.findById(db, after.book_id), copy: after },
+  });
+}
+
+/**
+ * Looks up a copy of a live book by barcode, together with the book's item
+ * type, which sets the loan terms.
+ *
+ * @throws {CopyNotFoundError} If no such copy exists.
+ */
+function findCopy(db, barcode) {
+  const copy = Copy.findByBarcode(db, barcode);
+  if (!copy) {
+    throw new CopyNotFoundError();
+  }
+
+  return { ...copy, item_type: Book.findById(db, copy.book_id).item_type };
+}
+
+/**
+ * Looks up the loan policy for an item type. Books can only be given item
+ * types that have one, so a missing policy means the data was changed
+ * behind the API's back; the copy cannot be lent until it is configured.
+ *
+ * @throws {BookUnavailableError} If the item type has no loan period.
+ */
+function findLoanPeriod(db, itemType) {
+  const loanPeriod = LoanPeriod.findByItemType(db, itemType);
+  if (!loanPeriod) {
+    throw new BookUnavailableError(`No loan period is configured for item type ${itemType}`);
+  }
+
+  return loanPeriod;
+}
+
+/**
+ * Checks out a copy by transitioning its status from 'available' to 'checked_out'.
+ *
+ * When a patron is given, they must exist and be in good standing; the
+ * patron is stored on the copy and on the history entry. The HTTP route
+ * always requires a patron.
+ *
+ * The due date comes from the loan period of the book's item type and is
+ * moved past any closed days (see computeDueDate). The item type's renewal
+ * limit is copied onto the loan.
+ *
+ * A copy on the hold shelf can only be checked out by the patron whose hold
+ * it is set aside for, which fulfils that hold.
  *
  * All logic is wrapped in a better-sqlite3 transaction to ensure atomic read-then-write.
  *
  * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
- * @param {string} id - The UUID of the book to check out.
- * @returns {Object} The updated book row after checkout.
- * @throws {BookNotFoundError} If no book exists with the given id.
- * @throws {BookUnavailableError} If the book is not in 'available' status.
+ * @param {string} barcode - The barcode of the copy to check out.
+ * @param {Object} [options]
+ * @param {string} [options.patronId] - The UUID of the borrowing patron.
+ * @param {'*'|string[]} [options.ifMatch] - The ETags the copy's book must still have; see parseIfMatch.
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The updated copy row after checkout.
+ * @throws {CopyNotFoundError} If no copy of a live book has the given barcode.
+ * @throws {PreconditionFailedError} If the copy's book no longer matches `ifMatch`.
+ * @throws {PatronNotFoundError} If no patron exists with the given patronId.
+ * @throws {PatronIneligibleError} If the patron is suspended, expired, or owes more than the fines threshold.
+ * @throws {BookUnavailableError} If the copy is checked out, on the hold shelf for someone else, or its item type has no loan period.
+ * @throws {InvalidTransitionError} If the copy is in any other status that cannot be lent, e.g. lost.
  */
-function checkoutBook(db, id) {
+function checkoutBook(db, barcode, { patronId = null, ifMatch, audit = {} } = {}) {
   const checkout = db.transaction(() => {
-    // 1. SELECT the book by id
-    const book = db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+    // 1. SELECT the copy and check its book is as the client last saw it,
+    //    expire stale hold-shelf entries for the book, then SELECT the copy again
+    const { book_id: bookId } = findCopy(db, barcode);
+    assertIfMatch(Book.findById(db, bookId), ifMatch);
+    expireHolds(db, { bookId });
+    const copy = findCopy(db, barcode);
 
-    // 2. If no book found, throw BookNotFoundError
-    if (!book) {
-      throw new BookNotFoundError();
+    // 2. If a patron is given, they must exist and be allowed to borrow
+    if (patronId !== null) {
+      const patron = Patron.findById(db, patronId);
+      if (!patron) {
+        throw new PatronNotFoundError();
+      }
+      const reason = Patron.ineligibilityReason(patron) || finesBlockReason(db, patronId);
+      if (reason) {
+        throw new PatronIneligibleError(reason);
+      }
     }
 
-    // 3. If book is not available, throw BookUnavailableError
-    if (book.status !== 'available') {
-      throw new BookUnavailableError('Book is already checked out');
+    // 3. A shelved copy goes only to the patron whose hold is ready; otherwise it must be available
+    if (copy.status === 'on_hold_shelf') {
+      const ready = Hold.findReadyForCopy(db, copy.id);
+      if (!ready || ready.patron_id !== patronId) {
+        throw new BookUnavailableError('Copy is on the hold shelf for another patron');
+      }
+      Hold.close(db, ready.id, 'fulfilled', new Date().toISOString());
+    } else if (copy.status === 'checked_out') {
+      throw new BookUnavailableError('Copy is already checked out');
+    } else {
+      assertTransition(copy.status, 'checked_out', 'system');
     }
 
-    // 4. Compute current timestamp
-    const now = new Date().toISOString();
+    // 4. Compute current timestamp and the due date
+    const checkedOutAt = new Date();
+    const now = checkedOutAt.toISOString();
+    const { max_renewals: maxRenewals } = findLoanPeriod(db, copy.item_type);
+    const dueAt = computeDueDate(db, { itemType: copy.item_type, from: checkedOutAt });
 
-    // 5. UPDATE the book to checked_out status
-    db.prepare(
-      'UPDATE books SET status = \'checked_out\', checked_out_at = ?, updated_at = ? WHERE id = ?'
-    ).run(now, now, id);
+    // 5. UPDATE the copy to checked_out status and record the borrower and loan terms
+    db.prepare(`
+      UPDATE copies
+      SET status = 'checked_out', checked_out_at = ?, due_at = ?, patron_id = ?,
+          renewal_count = 0, max_renewals = ?, updated_at = ?
+      WHERE id = ?
+    `).run(now, dueAt, patronId, maxRenewals, now, copy.id);
 
     // 6. Record checkout history entry
-    checkoutHistory.create(db, { bookId: id, action: 'checked_out' });
+    checkoutHistory.create(db, {
+      bookId: copy.book_id,
+      copyId: copy.id,
+      action: 'checked_out',
+      patronId,
+      fromStatus: copy.status,
+      toStatus: 'checked_out',
+    });
 
-    // 7. Re-SELECT and return the updated book row
-    return db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+    // 7. Re-SELECT the updated copy row, record the change and return it
+    const updated = Copy.findById(db, copy.id);
+    recordCopyChange(db, 'checked_out', copy, updated, audit);
+    return updated;
   });
 
   return checkout();
 }
 
 /**
- * Returns a checked-out book by transitioning its status from 'checked_out' to 'available'.
+ * Renews a loan by pushing its due date out by another loan period.
+ *
+ * The new period runs from the current due date, or from now if the loan is
+ * already overdue, and is moved past closed days like any due date. Each
+ * renewal counts against the limit copied onto the loan at checkout. The
+ * borrower must pass the same checks as at checkout: not suspended or
+ * expired, and not owing more than the fines threshold.
  *
  * All logic is wrapped in a better-sqlite3 transaction to ensure atomic read-then-write.
  *
  * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
- * @param {string} id - The UUID of the book to return.
- * @returns {Object} The updated book row after return.
- * @throws {BookNotFoundError} If no book exists with the given id.
- * @throws {BookUnavailableError} If the book is not in 'checked_out' status.
+ * @param {string} barcode - The barcode of the copy to renew.
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The updated copy row after renewal.
+ * @throws {CopyNotFoundError} If no copy of a live book has the given barcode.
+ * @throws {RenewalDeniedError} With reason NOT_CHECKED_OUT, PATRON_INELIGIBLE, HOLDS_PENDING or RENEWAL_LIMIT_REACHED.
+ * @throws {BookUnavailableError} If the copy's item type has no loan period.
  */
-function returnBook(db, id) {
-  const doReturn = db.transaction(() => {
-    // 1. SELECT the book by id
-    const book = db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+function renewBook(db, barcode, { audit = {} } = {}) {
+  const renew = db.transaction(() => {
+    // 1. SELECT the copy by barcode
+    const copy = findCopy(db, barcode);
 
-    // 2. If no book found, throw BookNotFoundError
-    if (!book) {
-      throw new BookNotFoundError();
+    // 2. Only a current loan can be renewed
+    if (copy.status !== 'checked_out') {
+      throw new RenewalDeniedError('Copy is not currently checked out', 'NOT_CHECKED_OUT');
     }
 
-    // 3. If book is not checked_out, throw BookUnavailableError
-    if (book.status !== 'checked_out') {
-      throw new BookUnavailableError('Book is not currently checked out');
+    // 3. The borrower must still be allowed to borrow, as at checkout
+    const patron = copy.patron_id ? Patron.findById(db, copy.patron_id) : null;
+    const reason = patron ? Patron.ineligibilityReason(patron) || finesBlockReason(db, patron.id) : null;
+    if (reason) {
+      throw new RenewalDeniedError(reason, 'PATRON_INELIGIBLE');
     }
 
-    // 4. Compute current timestamp
-    const now = new Date().toISOString();
+    // 4. Other patrons waiting for the book take priority
+    if (Hold.countWaiting(db, copy.book_id) > 0) {
+      throw new RenewalDeniedError('Other patrons are waiting for this book', 'HOLDS_PENDING');
+    }
+
+    // 5. Enforce the renewal limit of this loan
+    if (copy.max_renewals !== null && copy.renewal_count >= copy.max_renewals) {
+      throw new RenewalDeniedError(
+        `Renewal limit of ${copy.max_renewals} reached for this loan`,
+        'RENEWAL_LIMIT_REACHED'
+      );
+    }
+
+    // 6. Extend the loan from the later of the current due date and now
+    const renewedAt = new Date();
+    const from = copy.due_at && new Date(copy.due_at) > renewedAt ? new Date(copy.due_at) : renewedAt;
+    findLoanPeriod(db, copy.item_type);
+    const dueAt = computeDueDate(db, { itemType: copy.item_type, from });
+    const now = renewedAt.toISOString();
 
-    // 5. UPDATE the book to available status, clear checked_out_at
     db.prepare(
-      'UPDATE books SET status = \'available\', checked_out_at = null, updated_at = ? WHERE id = ?'
-    ).run(now, id);
+      'UPDATE copies SET due_at = ?, renewal_count = renewal_count + 1, updated_at = ? WHERE id = ?'
+    ).run(dueAt, now, copy.id);
+
+    // 7. Record renewal history entry against the borrower
+    checkoutHistory.create(db, {
+      bookId: copy.book_id, copyId: copy.id, action: 'renewed', patronId: copy.patron_id,
+    });
+
+    // 8. Re-SELECT the updated copy row, record the change and return it
+    const updated = Copy.findById(db, copy.id);
+    recordCopyChange(db, 'renewed', copy, updated, audit);
+    return updated;
+  });
+
+  return renew();
+}
+
+/**
+ * Returns a checked-out copy by transitioning its status from 'checked_out' to 'available',
+ * or to 'on_hold_shelf' when a patron is waiting for the book. In that case the
+ * oldest waiting hold becomes ready for this copy and its pickup window starts.
+ *
+ * A copy returned after its due date earns the borrower a late fine (see
+ * assessLateFine).
+ *
+ * All logic is wrapped in a better-sqlite3 transaction to ensure atomic read-then-write.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} barcode - The barcode of the copy to return.
+ * @param {Object} [options]
+ * @param {'*'|string[]} [options.ifMatch] - The ETags the copy's book must still have; see parseIfMatch.
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The updated copy row after return.
+ * @throws {CopyNotFoundError} If no copy of a live book has the given barcode.
+ * @throws {PreconditionFailedError} If the copy's book no longer matches `ifMatch`.
+ * @throws {BookUnavailableError} If the copy is not in 'checked_out' status.
+ */
+function returnBook(db, barcode, { ifMatch, audit = {} } = {}) {
+  const doReturn = db.transaction(() => {
+    // 1. SELECT the copy by barcode and check its book is as the client last saw it
+    const copy = findCopy(db, barcode);
+    assertIfMatch(Book.findById(db, copy.book_id), ifMatch);
+
+    // 2. If the copy is not checked_out, throw BookUnavailableError
+    if (copy.status !== 'checked_out') {
+      throw new BookUnavailableError('Copy is not currently checked out');
+    }
+
+    // 3. Compute current timestamp, offer the copy to the head of the hold queue and charge any late fine
+    const returnedAt = new Date();
+    const now = returnedAt.toISOString();
+    const status = shelveForNextHold(db, copy, { now: returnedAt });
+    assessLateFine(db, copy, returnedAt);
+
+    // 4. UPDATE the copy to its new status and clear the loan
+    db.prepare(`
+      UPDATE copies
+      SET status = ?, checked_out_at = null, due_at = null, patron_id = null,
+          renewal_count = 0, max_renewals = null, updated_at = ?
+      WHERE id = ?
+    `).run(status, now, copy.id);
 
-    // 6. Record return history entry
-    checkoutHistory.create(db, { bookId: id, action: 'returned' });
+    // 5. Record return history entry against the borrower who held the copy
+    checkoutHistory.create(db, {
+      bookId: copy.book_id,
+      copyId: copy.id,
+      action: 'returned',
+      patronId: copy.patron_id,
+      fromStatus: 'checked_out',
+      toStatus: status,
+    });
 
-    // 7. Re-SELECT and return the updated book row
-    return db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+    // 6. Re-SELECT the updated copy row, record the change and return it
+    const updated = Copy.findById(db, copy.id);
+    recordCopyChange(db, 'returned', copy, updated, audit);
+    return updated;
   });
 
   return doReturn();
 }
 
-module.exports = { checkoutBook, returnBook };
+module.exports = { checkoutBook, renewBook, returnBook, recordCopyChange };
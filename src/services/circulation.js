@@ -0,0 +1,103 @@
+const { PatronNotFoundError } = require('../errors');
+const Book = require('../models/book');
+const Copy = require('../models/copy');
+const Hold = require('../models/hold');
+const LedgerEntry = require('../models/ledgerEntry');
+const Patron = require('../models/patron');
+const { checkoutBook, returnBook } = require('./checkout');
+
+/**
+ * Checks out the copy with the scanned barcode to the patron with the
+ * scanned library card and returns a receipt for the desk printer.
+ *
+ * All logic is wrapped in a better-sqlite3 transaction to ensure atomic read-then-write.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} itemBarcode - The barcode of the copy.
+ * @param {Object} borrower
+ * @param {string} borrower.cardNumber - The borrowing patron's card number.
+ * @param {Object} [borrower.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The checkout receipt.
+ * @throws {PatronNotFoundError} If no patron has the card number.
+ * @throws {CopyNotFoundError|PatronIneligibleError|BookUnavailableError} See checkoutBook.
+ */
+function scanCheckout(db, itemBarcode, { cardNumber, audit = {} }) {
+  const scan = db.transaction(() => {
+    const patron = Patron.findByCardNumber(db, cardNumber);
+    if (!patron) {
+      throw new PatronNotFoundError('No patron with this card number');
+    }
+
+    const copy = checkoutBook(db, itemBarcode, { patronId: patron.id, audit });
+    const book = Book.findById(db, copy.book_id);
+
+    return {
+      transaction: 'checkout',
+      item_barcode: copy.barcode,
+      title: book.title,
+      author: book.author,
+      patron_name: patron.name,
+      card_number: patron.card_number,
+      checked_out_at: copy.checked_out_at,
+      due_at: copy.due_at,
+      renewals_allowed: copy.max_renewals,
+    };
+  });
+
+  return scan();
+}
+
+/**
+ * Checks in the copy with the scanned barcode and returns a receipt that
+ * tells the desk where the copy goes next and what late fine, if any, the
+ * borrower was charged. A copy routed to the hold shelf carries a slip
+ * naming the patron it is set aside for.
+ *
+ * All logic is wrapped in a better-sqlite3 transaction to ensure atomic read-then-write.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} itemBarcode - The barcode of the copy.
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The check-in receipt.
+ * @throws {CopyNotFoundError|BookUnavailableError} See returnBook.
+ */
+function scanCheckin(db, itemBarcode, { audit = {} } = {}) {
+  const scan = db.transaction(() => {
+    const loan = Copy.findByBarcode(db, itemBarcode);
+    const borrowerId = loan && loan.patron_id;
+    const balanceBefore = borrowerId ? LedgerEntry.balance(db, borrowerId) : 0;
+
+    const copy = returnBook(db, itemBarcode, { audit });
+    const book = Book.findById(db, copy.book_id);
+    const borrower = borrowerId ? Patron.findById(db, borrowerId) : null;
+
+    let holdSlip = null;
+    if (copy.status === 'on_hold_shelf') {
+      const hold = Hold.findReadyForCopy(db, copy.id);
+      const holder = Patron.findById(db, hold.patron_id);
+      holdSlip = {
+        patron_name: holder.name,
+        card_number: holder.card_number,
+        pickup_expires_at: hold.pickup_expires_at,
+      };
+    }
+
+    return {
+      transaction: 'checkin',
+      item_barcode: copy.barcode,
+      title: book.title,
+      author: book.author,
+      patron_name: borrower ? borrower.name : null,
+      card_number: borrower ? borrower.card_number : null,
+      returned_at: copy.updated_at,
+      route_to: holdSlip ? 'hold_shelf' : 'shelf',
+      hold: holdSlip,
+      fine_cents: borrowerId ? LedgerEntry.balance(db, borrowerId) - balanceBefore : 0,
+    };
+  });
+
+  return scan();
+}
+
+module.exports = { scanCheckout, scanCheckin };
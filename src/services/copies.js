@@ -0,0 +1,122 @@
+const { BookNotFoundError, CopyNotFoundError, BookUnavailableError } = require('../errors');
+const AuditLog = require('../models/auditLog');
+const Book = require('../models/book');
+const Copy = require('../models/copy');
+const { shelveForNextHold } = require('./holds');
+const { setCopyStatus } = require('./copyStatus');
+const { recordCopyChange } = require('./checkout');
+
+/**
+ * Adds a physical copy to a book. If patrons are waiting for the book, the
+ * new copy goes straight onto the hold shelf for the head of the queue.
+ *
+ * All logic is wrapped in a better-sqlite3 transaction to ensure atomic read-then-write.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} bookId - The UUID of the book.
+ * @param {Object} fields - The copy fields; see Copy.create.
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The new copy.
+ * @throws {BookNotFoundError} If no live book exists with the given id.
+ * @throws {Error} If the barcode is already in use.
+ */
+function addCopy(db, bookId, fields, { audit = {} } = {}) {
+  const add = db.transaction(() => {
+    if (Book.findById(db, bookId) === null) {
+      throw new BookNotFoundError();
+    }
+
+    const copy = Copy.create(db, bookId, fields);
+    AuditLog.append(db, { action: 'copy.created', entityType: 'copy', entityId: copy.id, after: copy }, audit);
+    if (shelveForNextHold(db, copy) === 'on_hold_shelf') {
+      return setCopyStatus(db, copy, 'on_hold_shelf', { role: 'system' });
+    }
+
+    return copy;
+  });
+
+  return add();
+}
+
+/**
+ * Deletes a copy that is on the shelf and has never circulated. Copies
+ * with circulation history are kept for the record; withdraw them instead.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} barcode - The barcode of the copy.
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @throws {CopyNotFoundError} If no copy of a live book has the given barcode.
+ * @throws {BookUnavailableError} If the copy is checked out, on the hold shelf, or has circulation history.
+ */
+function removeCopy(db, barcode, { audit = {} } = {}) {
+  const remove = db.transaction(() => {
+    const copy = Copy.findByBarcode(db, barcode);
+    if (!copy) {
+      throw new CopyNotFoundError();
+    }
+
+    if (copy.status === 'checked_out') {
+      throw new BookUnavailableError('Cannot delete a copy that is checked out');
+    }
+    if (copy.status === 'on_hold_shelf') {
+      throw new BookUnavailableError('Cannot delete a copy that is on the hold shelf');
+    }
+
+    try {
+      Copy.delete(db, copy.id);
+    } catch (err) {
+      if (err.message === 'Copy has circulation history and cannot be deleted') {
+        throw new BookUnavailableError(err.message);
+      }
+      throw err;
+    }
+    AuditLog.append(db, { action: 'copy.deleted', entityType: 'copy', entityId: copy.id, before: copy }, audit);
+  });
+
+  remove();
+}
+
+/**
+ * Moves a copy to another status at the request of staff, e.g. to mark it
+ * lost or damaged, send it for repair or withdraw it. The transition must
+ * be allowed for the requester's role (see copyStatus.TRANSITIONS). A copy
+ * that becomes available again goes to the hold shelf if a patron is
+ * waiting for its book. The change is recorded in the audit log and the
+ * outbox like any circulation change (`book.status_changed`).
+ *
+ * All logic is wrapped in a better-sqlite3 transaction to ensure atomic read-then-write.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} barcode - The barcode of the copy.
+ * @param {string} to - The requested status.
+ * @param {Object} options
+ * @param {string} options.role - The requester's role.
+ * @param {string|null} [options.reason=null] - Why, for the history entry.
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The updated copy.
+ * @throws {CopyNotFoundError} If no copy of a live book has the given barcode.
+ * @throws {InvalidTransitionError} If the copy cannot go from its status to `to`.
+ * @throws {TransitionForbiddenError} If the role may not make this transition.
+ */
+function changeCopyStatus(db, barcode, to, { role, reason = null, audit = {} }) {
+  const change = db.transaction(() => {
+    const copy = Copy.findByBarcode(db, barcode);
+    if (!copy) {
+      throw new CopyNotFoundError();
+    }
+
+    const changed = setCopyStatus(db, copy, to, { role, reason });
+    recordCopyChange(db, 'status_changed', copy, changed, audit);
+    if (to === 'available' && shelveForNextHold(db, changed) === 'on_hold_shelf') {
+      return setCopyStatus(db, changed, 'on_hold_shelf', { role: 'system' });
+    }
+
+    return changed;
+  });
+
+  return change();
+}
+
+module.exports = { addCopy, removeCopy, changeCopyStatus };
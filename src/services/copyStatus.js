@@ -0,0 +1,116 @@
+const { InvalidTransitionError, TransitionForbiddenError } = require('../errors');
+const CheckoutHistory = require('../models/checkoutHistory');
+const Copy = require('../models/copy');
+
+const STATES = [
+  'available',
+  'checked_out',
+  'on_hold_shelf',
+  'in_transit',
+  'lost',
+  'damaged',
+  'in_repair',
+  'withdrawn',
+];
+
+// The transitions each caller may make. `system` is checkout, return and
+// the hold queue, which move copies on their own; the others are roles from
+// src/permissions.js.
+const GRANTS = {
+  system: ['system'],
+  librarian: ['librarian'],
+  admin: ['librarian', 'admin'],
+};
+
+/**
+ * Every status change a copy may make and the role that may make it.
+ */
+const TRANSITIONS = [
+  { from: 'available', to: 'checked_out', role: 'system' },
+  { from: 'on_hold_shelf', to: 'checked_out', role: 'system' },
+  { from: 'checked_out', to: 'available', role: 'system' },
+  { from: 'checked_out', to: 'on_hold_shelf', role: 'system' },
+  { from: 'available', to: 'on_hold_shelf', role: 'system' },
+  { from: 'on_hold_shelf', to: 'available', role: 'system' },
+
+  { from: 'available', to: 'in_transit', role: 'librarian' },
+  { from: 'in_transit', to: 'available', role: 'librarian' },
+  { from: 'available', to: 'lost', role: 'librarian' },
+  { from: 'checked_out', to: 'lost', role: 'librarian' },
+  { from: 'in_transit', to: 'lost', role: 'librarian' },
+  { from: 'lost', to: 'available', role: 'librarian' },
+  { from: 'available', to: 'damaged', role: 'librarian' },
+  { from: 'checked_out', to: 'damaged', role: 'librarian' },
+  { from: 'in_transit', to: 'damaged', role: 'librarian' },
+  { from: 'damaged', to: 'available', role: 'librarian' },
+  { from: 'damaged', to: 'in_repair', role: 'librarian' },
+  { from: 'in_repair', to: 'available', role: 'librarian' },
+
+  { from: 'available', to: 'withdrawn', role: 'admin' },
+  { from: 'lost', to: 'withdrawn', role: 'admin' },
+  { from: 'damaged', to: 'withdrawn', role: 'admin' },
+  { from: 'in_repair', to: 'withdrawn', role: 'admin' },
+  { from: 'withdrawn', to: 'available', role: 'admin' },
+];
+
+/**
+ * Checks that a copy may go from one status to another at the hands of the
+ * given role.
+ *
+ * @param {string} from - The copy's current status.
+ * @param {string} to - The requested status.
+ * @param {string} role - Who is asking.
+ * @throws {InvalidTransitionError} If no transition leads from `from` to `to`.
+ * @throws {TransitionForbiddenError} If the transition belongs to another role.
+ */
+function assertTransition(from, to, role) {
+  const transition = TRANSITIONS.find(t => t.from === from && t.to === to);
+  if (!transition) {
+    throw new InvalidTransitionError(`A copy cannot go from ${from} to ${to}`);
+  }
+
+  if (!(GRANTS[role] || []).includes(transition.role)) {
+    const who = transition.role === 'system' ? 'circulation' : transition.role;
+    throw new TransitionForbiddenError(`Only ${who} can move a copy from ${from} to ${to}`);
+  }
+}
+
+/**
+ * Moves a copy to a new status and records the change in its book's
+ * history. A copy leaving checked_out loses its loan.
+ *
+ * Must run inside the caller's transaction.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} copy - The copy row.
+ * @param {string} to - The new status.
+ * @param {Object} options
+ * @param {string} options.role - Who is making the change.
+ * @param {string|null} [options.reason=null] - Why, for the history entry.
+ * @param {Date} [options.now=new Date()] - When the change happens.
+ * @returns {Object} The updated copy row.
+ * @throws {InvalidTransitionError|TransitionForbiddenError} See assertTransition.
+ */
+function setCopyStatus(db, copy, to, { role, reason = null, now = new Date() }) {
+  assertTransition(copy.status, to, role);
+
+  const endsLoan = copy.status === 'checked_out'
+    ? ', patron_id = NULL, checked_out_at = NULL, due_at = NULL, renewal_count = 0, max_renewals = NULL'
+    : '';
+  db.prepare(`UPDATE copies SET status = ?, updated_at = ?${endsLoan} WHERE id = ?`)
+    .run(to, now.toISOString(), copy.id);
+
+  CheckoutHistory.create(db, {
+    bookId: copy.book_id,
+    copyId: copy.id,
+    action: 'status_changed',
+    patronId: copy.patron_id,
+    fromStatus: copy.status,
+    toStatus: to,
+    reason,
+  });
+
+  return Copy.findById(db, copy.id);
+}
+
+module.exports = { STATES, TRANSITIONS, assertTransition, setCopyStatus };
@@ -0,0 +1,54 @@
+const LoanPeriod = require('../models/loanPeriod');
+const ClosedDay = require('../models/closedDay');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Guards against a calendar that closes every day for the foreseeable future
+const MAX_CLOSED_RUN_DAYS = 366;
+
+/**
+ * Computes the due date for a loan starting at `from`.
+ *
+ * The loan period comes from the item type. If the resulting day is in the
+ * closed-days calendar, the due date moves forward one day at a time until
+ * it lands on a day the library is open. Dates are compared in UTC.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} options
+ * @param {string} options.itemType - The book's item type.
+ * @param {Date} [options.from=new Date()] - When the loan starts.
+ * @returns {string} The due date as an ISO-8601 timestamp.
+ * @throws {Error} If the item type has no loan period.
+ * @throws {Error} If no open day exists within a year after the nominal due date.
+ */
+function computeDueDate(db, { itemType, from = new Date() }) {
+  const loanPeriod = LoanPeriod.findByItemType(db, itemType);
+  if (loanPeriod === null) {
+    throw new Error(`No loan period configured for item type: ${itemType}`);
+  }
+
+  let due = new Date(from.getTime() + loanPeriod.loan_days * DAY_MS);
+
+  for (let shifted = 0; ClosedDay.isClosed(db, due.toISOString().slice(0, 10)); shifted++) {
+    if (shifted >= MAX_CLOSED_RUN_DAYS) {
+      throw new Error('No open day found within a year of the due date');
+    }
+    due = new Date(due.getTime() + DAY_MS);
+  }
+
+  return due.toISOString();
+}
+
+/**
+ * Whole days a loan is past due, counting any part of a day as a full day.
+ *
+ * @param {string} dueAt - The ISO-8601 due date.
+ * @param {Date} [now=new Date()] - Reference time.
+ * @returns {number} Days overdue, or 0 if the loan is not yet due.
+ */
+function daysOverdue(dueAt, now = new Date()) {
+  const late = now.getTime() - new Date(dueAt).getTime();
+  return late > 0 ? Math.ceil(late / DAY_MS) : 0;
+}
+
+module.exports = { computeDueDate, daysOverdue };
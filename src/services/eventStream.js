@@ -0,0 +1,115 @@
+const { StreamLimitError } = require('../errors');
+const Outbox = require('../models/outbox');
+const { domainEvents } = require('./outbox');
+
+const DEFAULT_MAX_CONNECTIONS = 100;
+const DEFAULT_HEARTBEAT_MS = 15 * 1000;
+const REPLAY_PAGE_SIZE = 100;
+
+// Hold events carry the hold, whose book_id is kept even when the book
+// itself has since been deleted
+function bookIdOf(event) {
+  return event.data.hold ? event.data.hold.book_id : event.data.book.id;
+}
+
+/**
+ * Creates the hub that live event streams (Server-Sent Events and
+ * WebSocket) connect to. It is fed by the outbox's `emitter` sink, so it
+ * sees the same events, in the same order, as GET /events. Every process
+ * emits every event to its own streams: those it committed itself straight
+ * away, those of other processes on the dispatcher's next periodic run.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} [options]
+ * @param {EventEmitter} [options.source=domainEvents] - Where events arrive.
+ * @param {number} [options.maxConnections] - Open streams allowed at once; defaults to EVENT_STREAM_MAX_CONNECTIONS or 100.
+ * @param {number} [options.heartbeatMs] - How often transports should send a heartbeat; defaults to EVENT_STREAM_HEARTBEAT_MS or 15 seconds.
+ * @returns {Object} The hub.
+ */
+function createEventStream(db, {
+  source = domainEvents,
+  maxConnections = parseInt(process.env.EVENT_STREAM_MAX_CONNECTIONS, 10) || DEFAULT_MAX_CONNECTIONS,
+  heartbeatMs = parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS, 10) || DEFAULT_HEARTBEAT_MS,
+} = {}) {
+  const connections = new Set();
+
+  function publish(event) {
+    for (const connection of connections) {
+      connection.push(event);
+    }
+  }
+  source.on('event', publish);
+
+  return {
+    heartbeatMs,
+
+    /** True when no more streams can be opened. */
+    get full() {
+      return connections.size >= maxConnections;
+    },
+
+    /** How many streams are open. */
+    get size() {
+      return connections.size;
+    },
+
+    /**
+     * Opens a stream. Events are passed to `send` oldest first, each at
+     * most once, and only if they match the filters.
+     *
+     * With `after`, the events since then are replayed from the outbox
+     * before live ones, so a client that reconnects misses nothing.
+     * Without it the stream starts with the next event.
+     *
+     * @param {Object} subscription
+     * @param {string[]} [subscription.bookIds] - Only events about these books.
+     * @param {string[]} [subscription.types] - Only events of these types.
+     * @param {number} [subscription.after] - The seq of the last event the client saw.
+     * @param {Function} send - Called with each event.
+     * @returns {{ close: Function }} Handle to close the stream.
+     * @throws {StreamLimitError} If the connection limit has been reached.
+     */
+    open({ bookIds = [], types = [], after }, send) {
+      if (connections.size >= maxConnections) {
+        throw new StreamLimitError();
+      }
+
+      let lastSeq = after === undefined ? Outbox.latestSeq(db) : after;
+      const matches = event => (types.length === 0 || types.includes(event.type))
+        && (bookIds.length === 0 || bookIds.includes(bookIdOf(event)));
+
+      const connection = {
+        push(event) {
+          if (event.seq <= lastSeq) {
+            return;
+          }
+          lastSeq = event.seq;
+          if (matches(event)) {
+            send(event);
+          }
+        },
+        close() {
+          connections.delete(connection);
+        },
+      };
+
+      // Events the dispatcher has not emitted yet are replayed now and
+      // arrive again later; lastSeq drops the second copy
+      connections.add(connection);
+      let page;
+      while ((page = Outbox.findAfter(db, { after: lastSeq, limit: REPLAY_PAGE_SIZE })).length > 0) {
+        page.forEach(connection.push);
+      }
+
+      return { close: connection.close };
+    },
+
+    /** Closes every stream and stops listening for events. */
+    close() {
+      source.off('event', publish);
+      connections.clear();
+    },
+  };
+}
+
+module.exports = { createEventStream };
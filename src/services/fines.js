@@ -0,0 +1,142 @@
+const { BookNotFoundError, PatronNotFoundError, LedgerConflictError } = require('../errors');
+const LedgerEntry = require('../models/ledgerEntry');
+const LoanPeriod = require('../models/loanPeriod');
+const Patron = require('../models/patron');
+const { daysOverdue } = require('./dueDates');
+
+const DEFAULT_BLOCK_THRESHOLD_CENTS = 1000;
+
+/**
+ * The balance above which a patron may not borrow, from
+ * FINES_BLOCK_THRESHOLD_CENTS or 1000.
+ *
+ * @returns {number} The threshold in cents.
+ */
+function blockThresholdCents() {
+  const configured = parseInt(process.env.FINES_BLOCK_THRESHOLD_CENTS, 10);
+  return Number.isNaN(configured) ? DEFAULT_BLOCK_THRESHOLD_CENTS : configured;
+}
+
+/**
+ * Charges the borrower a late fine for a copy returned after its due date.
+ *
+ * The fine is the item type's per-day rate for every started day past the
+ * due date, capped at the item type's maximum. Must run inside the caller's
+ * transaction, before the loan is cleared from the copy.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} loan - The copy row as it was on loan, with its book's `item_type`.
+ * @param {Date} [returnedAt=new Date()] - When the copy came back.
+ * @returns {Object|null} The late_fine ledger entry, or null if nothing is owed.
+ */
+function assessLateFine(db, loan, returnedAt = new Date()) {
+  if (!loan.patron_id || !loan.due_at) {
+    return null;
+  }
+
+  const days = daysOverdue(loan.due_at, returnedAt);
+  const policy = LoanPeriod.findByItemType(db, loan.item_type);
+  if (days === 0 || !policy) {
+    return null;
+  }
+
+  const amountCents = Math.min(days * policy.fine_per_day_cents, policy.max_fine_cents);
+  if (amountCents === 0) {
+    return null;
+  }
+
+  return LedgerEntry.create(db, {
+    patronId: loan.patron_id,
+    bookId: loan.book_id,
+    type: 'late_fine',
+    amountCents,
+    reason: `Returned ${days} day${days === 1 ? '' : 's'} late`,
+  });
+}
+
+/**
+ * Tells why a patron's fines stop them borrowing, or null if they don't.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} patronId - The UUID of the patron.
+ * @returns {string|null} The reason, or null.
+ */
+function finesBlockReason(db, patronId) {
+  if (LedgerEntry.balance(db, patronId) > blockThresholdCents()) {
+    return 'Patron has unpaid fines over the borrowing limit';
+  }
+  return null;
+}
+
+function requirePatron(db, patronId) {
+  if (!Patron.findById(db, patronId)) {
+    throw new PatronNotFoundError();
+  }
+}
+
+/**
+ * Charges a manual fee (lost, damaged or processing).
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} patronId - The UUID of the patron.
+ * @param {Object} fee
+ * @param {'lost'|'damaged'|'processing'} fee.type - The kind of fee.
+ * @param {number} fee.amountCents - The fee in cents (positive).
+ * @param {string|null} [fee.bookId=null] - The book the fee is for.
+ * @param {string|null} [fee.reason=null] - Free-text explanation.
+ * @returns {{ entry: Object, balance: number }} The new entry and the patron's balance.
+ * @throws {PatronNotFoundError} If the patron does not exist.
+ * @throws {BookNotFoundError} If a bookId is given that matches no book.
+ */
+function chargeFee(db, patronId, { type, amountCents, bookId = null, reason = null }) {
+  const charge = db.transaction(() => {
+    requirePatron(db, patronId);
+    if (bookId !== null && !db.prepare('SELECT 1 FROM books WHERE id = ?').get(bookId)) {
+      throw new BookNotFoundError();
+    }
+
+    const entry = LedgerEntry.create(db, { patronId, type, amountCents, bookId, reason });
+    return { entry, balance: LedgerEntry.balance(db, patronId) };
+  });
+
+  return charge();
+}
+
+/**
+ * Records a payment or waiver that reduces what the patron owes. Neither
+ * may exceed the outstanding balance.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} patronId - The UUID of the patron.
+ * @param {Object} credit
+ * @param {'payment'|'waiver'} credit.type - The kind of credit.
+ * @param {number} credit.amountCents - The amount in cents (positive).
+ * @param {string|null} [credit.reason=null] - Why it was paid or waived.
+ * @returns {{ entry: Object, balance: number }} The new entry and the patron's balance.
+ * @throws {PatronNotFoundError} If the patron does not exist.
+ * @throws {LedgerConflictError} If the amount exceeds the outstanding balance.
+ */
+function recordCredit(db, patronId, { type, amountCents, reason = null }) {
+  const credit = db.transaction(() => {
+    requirePatron(db, patronId);
+
+    if (amountCents > LedgerEntry.balance(db, patronId)) {
+      const label = type === 'payment' ? 'Payment' : 'Waiver';
+      throw new LedgerConflictError(`${label} exceeds the outstanding balance`);
+    }
+
+    const entry = LedgerEntry.create(db, { patronId, type, amountCents: -amountCents, reason });
+    return { entry, balance: LedgerEntry.balance(db, patronId) };
+  });
+
+  return credit();
+}
+
+module.exports = {
+  assessLateFine,
+  finesBlockReason,
+  blockThresholdCents,
+  chargeFee,
+  recordCredit,
+  DEFAULT_BLOCK_THRESHOLD_CENTS,
+};
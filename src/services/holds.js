@@ -0,0 +1,204 @@
+const {
+  BookNotFoundError,
+  PatronNotFoundError,
+  PatronIneligibleError,
+  HoldNotFoundError,
+  HoldConflictError,
+} = require('../errors');
+const Book = require('../models/book');
+const Hold = require('../models/hold');
+const Patron = require('../models/patron');
+const Copy = require('../models/copy');
+const Outbox = require('../models/outbox');
+const { setCopyStatus } = require('./copyStatus');
+
+const DEFAULT_PICKUP_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Records a change to a hold in the outbox (`hold.<event>`), with the hold
+ * and which book it is for. Only the book's identifying fields are
+ * included: its status may not have caught up yet when a copy is shelved.
+ * The book is null if it has since been deleted.
+ */
+function recordHoldEvent(db, event, holdId) {
+  const hold = Hold.findById(db, holdId);
+  const book = Book.findById(db, hold.book_id);
+  Outbox.append(db, {
+    type: `hold.${event}`,
+    aggregateType: 'hold',
+    aggregateId: hold.id,
+    data: { book: book && { id: book.id, title: book.title, author: book.author, isbn: book.isbn }, hold },
+  });
+}
+
+/**
+ * Offers a copy that has just become free to the head of its book's hold
+ * queue.
+ *
+ * Must run inside the caller's transaction. The caller writes the returned
+ * status onto the copy.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} copy - The copy row.
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - When the copy became free.
+ * @param {number} [options.pickupDays] - Days the patron has to collect it; defaults to HOLD_PICKUP_DAYS or 7.
+ * @returns {'on_hold_shelf'|'available'} The copy's new status.
+ */
+function shelveForNextHold(db, copy, {
+  now = new Date(),
+  pickupDays = parseInt(process.env.HOLD_PICKUP_DAYS, 10) || DEFAULT_PICKUP_DAYS,
+} = {}) {
+  const next = Hold.findNextWaiting(db, copy.book_id);
+  if (!next) {
+    return 'available';
+  }
+
+  Hold.markReady(db, next.id, {
+    copyId: copy.id,
+    readyAt: now.toISOString(),
+    pickupExpiresAt: new Date(now.getTime() + pickupDays * DAY_MS).toISOString(),
+  });
+  recordHoldEvent(db, 'ready', next.id);
+  return 'on_hold_shelf';
+}
+
+/**
+ * Releases a copy from the hold shelf: offers it to the next waiting
+ * patron, or makes it available if nobody is waiting.
+ */
+function releaseFromHoldShelf(db, copyId, now) {
+  const copy = Copy.findById(db, copyId);
+  if (shelveForNextHold(db, copy, { now }) === 'available') {
+    setCopyStatus(db, copy, 'available', { role: 'system', now });
+  } else {
+    db.prepare('UPDATE copies SET updated_at = ? WHERE id = ?').run(now.toISOString(), copyId);
+  }
+}
+
+/**
+ * Places a hold for the patron with the given library card. Holds are
+ * placed on the book, not on a copy, and only while no copy is on the
+ * shelf; the patron joins the end of the FIFO queue and is served by
+ * whichever copy comes back first.
+ *
+ * All logic is wrapped in a better-sqlite3 transaction to ensure atomic read-then-write.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} bookId - The UUID of the book.
+ * @param {Object} requester
+ * @param {string} requester.cardNumber - The requesting patron's card number.
+ * @returns {Object} The new hold with its queue position.
+ * @throws {BookNotFoundError} If no live book exists with the given id.
+ * @throws {PatronNotFoundError} If no patron has the card number.
+ * @throws {PatronIneligibleError} If the patron is suspended or expired.
+ * @throws {HoldConflictError} If a copy is available, the patron already has a copy on loan, or already holds the book.
+ */
+function placeHold(db, bookId, { cardNumber }) {
+  const place = db.transaction(() => {
+    // Clear stale hold-shelf entries first so the copies' statuses are current
+    expireHolds(db, { bookId });
+
+    const book = db.prepare('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL').get(bookId);
+    if (!book) {
+      throw new BookNotFoundError();
+    }
+
+    const patron = Patron.findByCardNumber(db, cardNumber);
+    if (!patron) {
+      throw new PatronNotFoundError('No patron with this card number');
+    }
+    const reason = Patron.ineligibilityReason(patron);
+    if (reason) {
+      throw new PatronIneligibleError(reason);
+    }
+
+    if (Copy.availability(db, bookId).available > 0) {
+      throw new HoldConflictError('A copy is available; check it out instead');
+    }
+    if (Patron.findLoans(db, patron.id).some(loan => loan.book_id === bookId)) {
+      throw new HoldConflictError('Patron already has this book on loan');
+    }
+
+    let hold;
+    try {
+      hold = Hold.create(db, { bookId, patronId: patron.id });
+    } catch (err) {
+      if (err.message === 'Patron already has a hold on this book') {
+        throw new HoldConflictError(err.message);
+      }
+      throw err;
+    }
+    recordHoldEvent(db, 'placed', hold.id);
+
+    return Hold.findQueue(db, bookId).find(entry => entry.id === hold.id);
+  });
+
+  return place();
+}
+
+/**
+ * Cancels an active hold. Cancelling the hold a copy is shelved for passes
+ * the copy on to the next patron in the queue.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} bookId - The UUID of the book.
+ * @param {string} holdId - The UUID of the hold.
+ * @returns {Object} The cancelled hold.
+ * @throws {HoldNotFoundError} If the book has no active hold with that id.
+ */
+function cancelHold(db, bookId, holdId) {
+  const cancel = db.transaction(() => {
+    const hold = Hold.findById(db, holdId);
+    if (!hold || hold.book_id !== bookId || !Hold.ACTIVE_STATUSES.includes(hold.status)) {
+      throw new HoldNotFoundError();
+    }
+
+    const now = new Date();
+    Hold.close(db, hold.id, 'cancelled', now.toISOString());
+    recordHoldEvent(db, 'cancelled', hold.id);
+
+    if (hold.status === 'ready') {
+      releaseFromHoldShelf(db, hold.copy_id, now);
+    }
+
+    return Hold.findById(db, hold.id);
+  });
+
+  return cancel();
+}
+
+/**
+ * Expires ready holds whose pickup window has passed and passes each
+ * shelved copy on to the next patron in its book's queue.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Reference time, injectable for tests.
+ * @param {string} [options.bookId] - Only expire holds on this book.
+ * @returns {number} The number of holds expired.
+ */
+function expireHolds(db, { now = new Date(), bookId } = {}) {
+  const expire = db.transaction(() => {
+    const stale = Hold.findExpired(db, { now: now.toISOString(), bookId });
+
+    for (const hold of stale) {
+      Hold.close(db, hold.id, 'expired', now.toISOString());
+      recordHoldEvent(db, 'expired', hold.id);
+      releaseFromHoldShelf(db, hold.copy_id, now);
+    }
+
+    return stale.length;
+  });
+
+  return expire();
+}
+
+module.exports = {
+  placeHold,
+  cancelHold,
+  expireHolds,
+  shelveForNextHold,
+  DEFAULT_PICKUP_DAYS,
+};
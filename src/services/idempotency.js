@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { IdempotencyKeyReusedError } = require('../errors');
+const IdempotencyKey = require('../models/idempotencyKey');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Object members are sorted so a retry that serialises the same body in a
+// different order still matches
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonical);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(name => [name, canonical(value[name])]));
+  }
+  return value;
+}
+
+/**
+ * Hashes what makes two requests the same request: the method, the path and
+ * the body.
+ *
+ * @param {Object} request
+ * @param {string} request.method - The HTTP method.
+ * @param {string} request.path - The path, without the query string.
+ * @param {*} [request.body] - The parsed body.
+ * @returns {string} The hex SHA-256 fingerprint.
+ */
+function fingerprint({ method, path, body }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([method.toUpperCase(), path, canonical(body === undefined ? null : body)]))
+    .digest('hex');
+}
+
+/**
+ * Performs a request at most once per Idempotency-Key. The first request
+ * with a key runs `perform` and stores its response; a retry with the same
+ * key and the same request gets that response back without running
+ * `perform` again.
+ *
+ * The lookup, `perform` and storing the response share one IMMEDIATE
+ * transaction, so two processes handling the same key cannot both perform
+ * it, and a response is stored only if the change it reports is kept. A
+ * `perform` that throws stores nothing, so a failed request can be retried
+ * with the same key.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {{ scope: string, key: string, fingerprint: string }|undefined} request - The key, or undefined to just run `perform`.
+ * @param {Function} perform - Makes the change and returns `{ status, body }`.
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - The current time.
+ * @param {number} [options.ttlMs] - How long to replay the response; defaults to IDEMPOTENCY_TTL_MS or 24 hours.
+ * @returns {{ status: number, body: *, replayed: boolean }} The response, and whether it is a replay.
+ * @throws {IdempotencyKeyReusedError} If the key was first used with a different request.
+ */
+function runIdempotent(db, request, perform, {
+  now = new Date(),
+  ttlMs = parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || DEFAULT_TTL_MS,
+} = {}) {
+  if (request === undefined) {
+    return { ...perform(), replayed: false };
+  }
+
+  return db.transaction(() => {
+    const stored = IdempotencyKey.find(db, request.scope, request.key, now);
+    if (stored) {
+      if (stored.fingerprint !== request.fingerprint) {
+        throw new IdempotencyKeyReusedError();
+      }
+      return { status: stored.status_code, body: stored.response_body, replayed: true };
+    }
+
+    const { status, body } = perform();
+    IdempotencyKey.save(db, {
+      ...request,
+      statusCode: status,
+      body,
+      now,
+      expiresAt: new Date(now.getTime() + ttlMs),
+    });
+    return { status, body, replayed: false };
+  }).immediate();
+}
+
+/**
+ * Deletes keys whose responses are no longer replayed.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - The current time.
+ * @returns {number} How many keys were deleted.
+ */
+function purgeExpiredKeys(db, { now = new Date() } = {}) {
+  return IdempotencyKey.purgeExpired(db, now);
+}
+
+module.exports = { fingerprint, runIdempotent, purgeExpiredKeys };
@@ -0,0 +1,188 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const logger = require('../logger');
+const Outbox = require('../models/outbox');
+const WebhookDelivery = require('../models/webhookDelivery');
+
+const DEFAULT_SINKS = 'webhooks,emitter';
+
+/**
+ * In-process listeners for domain events, fed by the `emitter` sink. Each
+ * event is emitted under its type (e.g. `book.checked_out`) and under
+ * `event`.
+ */
+const domainEvents = new EventEmitter();
+
+/*
+ * A sink is `{ name, handle(db, event) }`. handle may return a promise; if
+ * it throws or rejects, the event is handed to it again on the next run.
+ * An event can therefore reach a sink more than once, always with the same
+ * id, and sinks or their consumers must tolerate that.
+ *
+ * A sink's place in the outbox is kept in outbox_cursors under its name,
+ * shared by every process, unless it keeps it itself with
+ * `cursor(db)` and `advance(db, seq)`.
+ */
+
+/**
+ * Queues events for webhook subscribers. Idempotent: an event already
+ * queued for a subscription is not queued again.
+ *
+ * @returns {Object} The sink.
+ */
+function webhookSink() {
+  return {
+    name: 'webhooks',
+    handle(db, event) {
+      WebhookDelivery.enqueue(db, event.type, event.data, { eventId: event.id, createdAt: event.created_at });
+    },
+  };
+}
+
+/**
+ * Writes events to the application log.
+ *
+ * @param {Object} [log=logger] - A pino logger.
+ * @returns {Object} The sink.
+ */
+function logSink(log = logger) {
+  return {
+    name: 'log',
+    handle(db, event) {
+      log.info({ event }, 'Domain event');
+    },
+  };
+}
+
+/**
+ * Emits events on an EventEmitter.
+ *
+ * Its listeners live in this process, so it keeps its place in memory
+ * rather than in outbox_cursors: every process emits every event to its
+ * own listeners. It starts from the newest event when first dispatched to,
+ * since earlier ones had no listeners here.
+ *
+ * @param {EventEmitter} [emitter=domainEvents] - Where to emit them.
+ * @returns {Object} The sink.
+ */
+function emitterSink(emitter = domainEvents) {
+  let lastSeq = null;
+
+  return {
+    name: 'emitter',
+    cursor(db) {
+      if (lastSeq === null) {
+        lastSeq = Outbox.latestSeq(db);
+      }
+      return lastSeq;
+    },
+    advance(db, seq) {
+      lastSeq = seq;
+    },
+    handle(db, event) {
+      emitter.emit(event.type, event);
+      emitter.emit('event', event);
+    },
+  };
+}
+
+/**
+ * Appends events to a file, one JSON object per line.
+ *
+ * @param {string} filePath - The file to append to.
+ * @returns {Object} The sink.
+ */
+function fileSink(filePath) {
+  return {
+    name: 'file',
+    handle(db, event) {
+      return fs.promises.appendFile(filePath, `${JSON.stringify(event)}\n`);
+    },
+  };
+}
+
+/**
+ * Builds the sinks named in the configuration.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.sinks] - Comma-separated sink names (webhooks, log, emitter, file); defaults to OUTBOX_SINKS or `webhooks,emitter`. The live event streams are fed by `emitter`.
+ * @param {string} [options.file] - The file for the file sink; defaults to OUTBOX_FILE.
+ * @returns {Object[]} The sinks.
+ * @throws {Error} If a name is unknown, or the file sink has no file.
+ */
+function configuredSinks({
+  sinks = process.env.OUTBOX_SINKS || DEFAULT_SINKS,
+  file = process.env.OUTBOX_FILE,
+} = {}) {
+  const names = sinks.split(',').map(name => name.trim()).filter(Boolean);
+
+  return names.map(name => {
+    switch (name) {
+      case 'webhooks':
+        return webhookSink();
+      case 'log':
+        return logSink();
+      case 'emitter':
+        return emitterSink();
+      case 'file':
+        if (!file) {
+          throw new Error('OUTBOX_FILE must be set to use the file sink');
+        }
+        return fileSink(file);
+      default:
+        throw new Error(`Unknown outbox sink: ${name}`);
+    }
+  });
+}
+
+async function dispatchTo(db, sink, limit) {
+  const after = sink.cursor ? sink.cursor(db) : Outbox.cursor(db, sink.name);
+  const events = Outbox.findAfter(db, { after, limit });
+  let dispatched = 0;
+
+  for (const event of events) {
+    try {
+      await sink.handle(db, event);
+    } catch (err) {
+      // Later events wait, so each sink sees events in order
+      return { sink: sink.name, dispatched, error: err };
+    }
+    if (sink.advance) {
+      sink.advance(db, event.seq);
+    } else {
+      Outbox.advance(db, sink.name, event.seq);
+    }
+    dispatched += 1;
+  }
+
+  return { sink: sink.name, dispatched };
+}
+
+/**
+ * Hands each sink the events it has not handled yet, in order. Each sink
+ * keeps its own place in the outbox, so one that fails holds up only
+ * itself; it stops at the failed event and resumes from it next time.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object[]} sinks - The sinks.
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Maximum number of events per sink.
+ * @returns {Promise<Array<{ sink: string, dispatched: number, error?: Error }>>} What each sink handled, and why it stopped early if it did.
+ */
+async function dispatch(db, sinks, { limit = 100 } = {}) {
+  const results = [];
+  for (const sink of sinks) {
+    results.push(await dispatchTo(db, sink, limit));
+  }
+  return results;
+}
+
+module.exports = {
+  domainEvents,
+  webhookSink,
+  logSink,
+  emitterSink,
+  fileSink,
+  configuredSinks,
+  dispatch,
+};
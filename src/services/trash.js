@@ -0,0 +1,124 @@
+const { BookNotFoundError, BookUnavailableError } = require('../errors');
+const AuditLog = require('../models/auditLog');
+const Copy = require('../models/copy');
+const Outbox = require('../models/outbox');
+const { assertIfMatch } = require('../etags');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Soft-deletes a book by stamping its `deleted_at` column.
+ *
+ * The row (and its checkout history) stays in the database so the
+ * `checkout_history.book_id` foreign key remains valid until the book is
+ * purged. A book cannot be deleted while one of its copies is checked out
+ * or on the hold shelf.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} id - The UUID of the book to delete.
+ * @param {Object} [options]
+ * @param {'*'|string[]} [options.ifMatch] - The ETags the book must still have; see parseIfMatch.
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The deleted book row.
+ * @throws {BookNotFoundError} If no live book exists with the given id.
+ * @throws {PreconditionFailedError} If the book no longer matches `ifMatch`.
+ * @throws {BookUnavailableError} If a copy is checked out or on the hold shelf.
+ */
+function deleteBook(db, id, { ifMatch, audit = {} } = {}) {
+  const doDelete = db.transaction(() => {
+    // 1. SELECT the live book by id
+    const book = db.prepare('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL').get(id);
+
+    // 2. If no book found, throw BookNotFoundError; if it changed since the client read it, PreconditionFailedError
+    if (!book) {
+      throw new BookNotFoundError();
+    }
+    assertIfMatch(book, ifMatch);
+
+    // 3. Refuse to delete a book with a copy out on loan or set aside for a hold
+    const statuses = Copy.findByBookId(db, id).map(copy => copy.status);
+    if (statuses.includes('checked_out')) {
+      throw new BookUnavailableError('Cannot delete a book while a copy is checked out');
+    }
+    if (statuses.includes('on_hold_shelf')) {
+      throw new BookUnavailableError('Cannot delete a book while a copy is on the hold shelf');
+    }
+
+    // 4. Stamp deleted_at
+    const now = new Date().toISOString();
+    db.prepare('UPDATE books SET deleted_at = ?, updated_at = ? WHERE id = ?').run(now, now, id);
+
+    // 5. Re-SELECT the deleted book row, record the change and return it
+    const deleted = db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+    AuditLog.append(db, { action: 'book.deleted', entityType: 'book', entityId: id, ...AuditLog.diff(book, deleted) }, audit);
+    Outbox.append(db, { type: 'book.deleted', aggregateType: 'book', aggregateId: id, data: { book: deleted } });
+    return deleted;
+  });
+
+  return doDelete();
+}
+
+/**
+ * Restores a soft-deleted book from the trash by clearing `deleted_at`.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} id - The UUID of the book to restore.
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The restored book row.
+ * @throws {BookNotFoundError} If no deleted book exists with the given id.
+ */
+function restoreBook(db, id, { audit = {} } = {}) {
+  const doRestore = db.transaction(() => {
+    const book = db.prepare('SELECT * FROM books WHERE id = ? AND deleted_at IS NOT NULL').get(id);
+
+    if (!book) {
+      throw new BookNotFoundError('Book not found in trash');
+    }
+
+    const now = new Date().toISOString();
+    db.prepare('UPDATE books SET deleted_at = NULL, updated_at = ? WHERE id = ?').run(now, id);
+
+    const restored = db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+    AuditLog.append(db, { action: 'book.restored', entityType: 'book', entityId: id, ...AuditLog.diff(book, restored) }, audit);
+    Outbox.append(db, { type: 'book.restored', aggregateType: 'book', aggregateId: id, data: { book: restored } });
+    return restored;
+  });
+
+  return doRestore();
+}
+
+/**
+ * Permanently removes books that have been in the trash longer than the
+ * retention window, together with their copies and checkout history.
+ * Each purged book is recorded in the audit log against the system, and
+ * announced as a `book.purged` event.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays=30] - Days a deleted book is kept before purging.
+ * @param {Date} [options.now=new Date()] - Reference time, injectable for tests.
+ * @returns {number} The number of books purged.
+ */
+function purgeDeletedBooks(db, { retentionDays = DEFAULT_RETENTION_DAYS, now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const purge = db.transaction(() => {
+    const books = db.prepare('SELECT * FROM books WHERE deleted_at IS NOT NULL AND deleted_at <= ?').all(cutoff);
+
+    db.prepare(
+      'DELETE FROM checkout_history WHERE book_id IN (SELECT id FROM books WHERE deleted_at IS NOT NULL AND deleted_at <= ?)'
+    ).run(cutoff);
+    db.prepare('DELETE FROM books WHERE deleted_at IS NOT NULL AND deleted_at <= ?').run(cutoff);
+
+    for (const book of books) {
+      AuditLog.append(db, { action: 'book.purged', entityType: 'book', entityId: book.id, before: book });
+      Outbox.append(db, { type: 'book.purged', aggregateType: 'book', aggregateId: book.id, data: { book } });
+    }
+    return books.length;
+  });
+
+  return purge();
+}
+
+module.exports = { deleteBook, restoreBook, purgeDeletedBooks, DEFAULT_RETENTION_DAYS };
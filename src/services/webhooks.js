@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const { WebhookNotFoundError, WebhookDeliveryNotFoundError } = require('../errors');
+const AuditLog = require('../models/auditLog');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_MS = 30 * 1000;
+const DEFAULT_DISABLE_AFTER_FAILURES = 20;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+// Responses and errors are stored for the delivery log; long bodies are cut
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Signs a payload for the X-Webhook-Signature header. The timestamp is
+ * signed with the body so a captured delivery cannot be replayed later
+ * under a new timestamp.
+ *
+ * @param {string} secret - The subscription's secret.
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp.
+ * @param {string} body - The request body.
+ * @returns {string} `sha256=` followed by the hex HMAC-SHA256 of `<timestamp>.<body>`.
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * How long to wait before the next attempt after `attempts` failed ones:
+ * the base delay, doubled for every failure after the first.
+ *
+ * @param {number} attempts - Attempts made so far, at least 1.
+ * @param {number} baseMs - Delay after the first failure.
+ * @returns {number} The delay in milliseconds.
+ */
+function retryDelayMs(attempts, baseMs) {
+  return baseMs * 2 ** (attempts - 1);
+}
+
+function findWebhook(db, id) {
+  const webhook = Webhook.findById(db, id);
+  if (!webhook) {
+    throw new WebhookNotFoundError();
+  }
+  return webhook;
+}
+
+/**
+ * Subscribes a URL to events. Without a secret one is generated; either
+ * way the response is the only time it is shown.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} fields
+ * @param {string} fields.url - Where to POST events.
+ * @param {string[]} fields.events - The event types to send.
+ * @param {string} [fields.secret] - Key for signing payloads.
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The subscription, with `secret`.
+ */
+function createWebhook(db, { url, events, secret = `whsec_${crypto.randomBytes(24).toString('base64url')}` }, { audit = {} } = {}) {
+  const create = db.transaction(() => {
+    // The stored subscription without its secret, which is never logged
+    const webhook = Webhook.create(db, { url, events, secret });
+    AuditLog.append(db, { action: 'webhook.created', entityType: 'webhook', entityId: webhook.id, after: webhook }, audit);
+    return webhook;
+  });
+
+  return { ...create(), secret };
+}
+
+/**
+ * Changes a subscription, or turns it on or off (see Webhook.update).
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} id - The UUID of the subscription.
+ * @param {Object} fields - See Webhook.update.
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The updated subscription.
+ * @throws {WebhookNotFoundError} If the subscription does not exist.
+ */
+function updateWebhook(db, id, fields, { audit = {} } = {}) {
+  const update = db.transaction(() => {
+    const before = findWebhook(db, id);
+    const webhook = Webhook.update(db, id, fields);
+    AuditLog.append(db, { action: 'webhook.updated', entityType: 'webhook', entityId: id, ...AuditLog.diff(before, webhook) }, audit);
+    return webhook;
+  });
+
+  return update();
+}
+
+/**
+ * Deletes a subscription and its delivery log.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} id - The UUID of the subscription.
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @throws {WebhookNotFoundError} If the subscription does not exist.
+ */
+function deleteWebhook(db, id, { audit = {} } = {}) {
+  const remove = db.transaction(() => {
+    const webhook = findWebhook(db, id);
+    Webhook.remove(db, id);
+    AuditLog.append(db, { action: 'webhook.deleted', entityType: 'webhook', entityId: id, before: webhook }, audit);
+  });
+
+  remove();
+}
+
+/**
+ * Returns a page of a subscription's delivery log.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} id - The UUID of the subscription.
+ * @param {Object} [options] - Pagination options, see WebhookDelivery.findByWebhookId.
+ * @returns {{ deliveries: Object[], total: number }} Paginated deliveries and total count.
+ * @throws {WebhookNotFoundError} If the subscription does not exist.
+ */
+function listDeliveries(db, id, options) {
+  findWebhook(db, id);
+  return WebhookDelivery.findByWebhookId(db, id, options);
+}
+
+/**
+ * Sends an earlier delivery's event again as a new delivery, which the
+ * delivery job picks up on its next run.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {string} webhookId - The UUID of the subscription.
+ * @param {string} deliveryId - The UUID of the earlier delivery.
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Who is making the change, for the audit log (see AuditLog.append).
+ * @returns {Object} The new delivery.
+ * @throws {WebhookNotFoundError} If the subscription does not exist.
+ * @throws {WebhookDeliveryNotFoundError} If the subscription has no such delivery.
+ */
+function redeliver(db, webhookId, deliveryId, { audit = {} } = {}) {
+  const requeue = db.transaction(() => {
+    findWebhook(db, webhookId);
+
+    const delivery = WebhookDelivery.findById(db, deliveryId);
+    if (!delivery || delivery.webhook_id !== webhookId) {
+      throw new WebhookDeliveryNotFoundError();
+    }
+
+    const copy = WebhookDelivery.requeue(db, deliveryId);
+    AuditLog.append(db, {
+      action: 'webhook.redelivered',
+      entityType: 'webhook',
+      entityId: webhookId,
+      after: { delivery_id: copy.id, event_id: copy.event_id, redelivery_of: deliveryId },
+    }, audit);
+    return copy;
+  });
+
+  return requeue();
+}
+
+async function attempt(delivery, { fetch, now, timeoutMs }) {
+  const timestamp = Math.floor(now.getTime() / 1000);
+
+  try {
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'book-api-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, delivery.payload),
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (res.status >= 200 && res.status < 300) {
+      return { ok: true, responseStatus: res.status };
+    }
+    const text = await res.text().catch(() => '');
+    return { ok: false, responseStatus: res.status, error: `HTTP ${res.status} ${text}`.trim() };
+  } catch (err) {
+    return { ok: false, responseStatus: null, error: err.cause ? `${err.message}: ${err.cause.message}` : err.message };
+  }
+}
+
+/**
+ * Attempts every delivery that is due, one at a time. A 2xx response
+ * succeeds; anything else, or no response within the timeout, is retried
+ * with exponential backoff until the attempts run out. A subscription whose
+ * attempts fail `disableAfter` times in a row is disabled.
+ *
+ * Receivers can take up to the timeout each, so every attempt is signed and
+ * recorded at the time it actually happens rather than when the run began.
+ *
+ * @param {import('better-sqlite3').Database} db - A better-sqlite3 database instance.
+ * @param {Object} [options]
+ * @param {Function} [options.fetch=globalThis.fetch] - The HTTP client.
+ * @param {Date} [options.now] - Fixes the current time for the whole run, e.g. in tests; by default the clock is read at each step.
+ * @param {number} [options.limit=20] - Maximum number of deliveries to attempt.
+ * @param {number} [options.maxAttempts] - Attempts per delivery; defaults to WEBHOOK_MAX_ATTEMPTS or 8.
+ * @param {number} [options.retryBaseMs] - Delay after the first failure; defaults to WEBHOOK_RETRY_BASE_MS or 30 seconds.
+ * @param {number} [options.disableAfter] - Failures in a row that disable a subscription; defaults to WEBHOOK_DISABLE_AFTER_FAILURES or 20.
+ * @param {number} [options.timeoutMs] - How long to wait for the receiver; defaults to WEBHOOK_TIMEOUT_MS or 10 seconds.
+ * @returns {Promise<{ succeeded: number, failed: number }>} How many attempts succeeded and failed.
+ */
+async function deliverDue(db, {
+  fetch = globalThis.fetch,
+  now,
+  limit = 20,
+  maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS,
+  retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || DEFAULT_RETRY_BASE_MS,
+  disableAfter = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || DEFAULT_DISABLE_AFTER_FAILURES,
+  timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+} = {}) {
+  const clock = () => now || new Date();
+  const counts = { succeeded: 0, failed: 0 };
+  const disabled = new Set();
+
+  for (const delivery of WebhookDelivery.findDue(db, { now: clock(), limit })) {
+    // Disabled by an earlier failure in this run
+    if (disabled.has(delivery.webhook_id)) {
+      continue;
+    }
+
+    const result = await attempt(delivery, { fetch, now: clock(), timeoutMs });
+    const attemptedAt = clock();
+    const attempts = delivery.attempts + 1;
+
+    if (result.ok) {
+      db.transaction(() => {
+        WebhookDelivery.recordAttempt(db, delivery.id, {
+          status: 'succeeded',
+          attemptedAt,
+          responseStatus: result.responseStatus,
+        });
+        Webhook.recordSuccess(db, delivery.webhook_id);
+      })();
+      counts.succeeded += 1;
+      continue;
+    }
+
+    const retry = attempts < maxAttempts;
+    db.transaction(() => {
+      WebhookDelivery.recordAttempt(db, delivery.id, {
+        status: retry ? 'pending' : 'failed',
+        attemptedAt,
+        nextAttemptAt: retry ? new Date(attemptedAt.getTime() + retryDelayMs(attempts, retryBaseMs)) : null,
+        responseStatus: result.responseStatus,
+        error: result.error.slice(0, MAX_ERROR_LENGTH),
+      });
+      if (Webhook.recordFailure(db, delivery.webhook_id, { disableAfter, now: attemptedAt })) {
+        disabled.add(delivery.webhook_id);
+      }
+    })();
+    counts.failed += 1;
+  }
+
+  return counts;
+}
+
+module.exports = {
+  signPayload,
+  retryDelayMs,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliver,
+  deliverDue,
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { signingSecret } = require('./secrets');
+
+// Set JWT_SECRET to keep staff signed in across restarts and between instances.
+const signingKey = signingSecret('JWT_SECRET');
+
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+function sign(input) {
+  return crypto.createHmac('sha256', signingKey).update(input).digest('base64url');
+}
+
+/**
+ * Issues an HS256-signed JSON Web Token.
+ *
+ * @param {Object} claims - The claims to sign, e.g. `{ sub, role, typ }`.
+ * @param {number} ttlSeconds - How long the token is valid for.
+ * @param {Date} [now=new Date()] - The issue time.
+ * @returns {string} The token.
+ */
+function signToken(claims, ttlSeconds, now = new Date()) {
+  const iat = Math.floor(now.getTime() / 1000);
+  const payload = Buffer.from(JSON.stringify({ ...claims, iat, exp: iat + ttlSeconds })).toString('base64url');
+  const input = `${HEADER}.${payload}`;
+  return `${input}.${sign(input)}`;
+}
+
+/**
+ * Verifies a token produced by signToken and returns its claims.
+ *
+ * @param {string} token - The token.
+ * @param {Date} [now=new Date()] - The time to check expiry against.
+ * @returns {Object|null} The claims, or null if the token is malformed, tampered with or expired.
+ */
+function verifyToken(token, now = new Date()) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [header, payload, signature, ...rest] = token.split('.');
+  if (header !== HEADER || !payload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    if (typeof claims.exp !== 'number' || claims.exp <= now.getTime() / 1000) {
+      return null;
+    }
+    return claims;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,27 @@
+const http = require('http');
+
+/**
+ * Passes WebSocket handshakes through the app like any other request.
+ *
+ * Node hands requests that ask to upgrade the connection to the server's
+ * `upgrade` event instead of to the app. Routing them through the app means
+ * they are authenticated, rate limited, validated and logged like the rest;
+ * a route that accepts the upgrade finds the raw socket on
+ * `req.socketUpgrade`. A response the app sends instead (401, 404, ...) is
+ * written to the socket, which is then closed.
+ *
+ * @param {http.Server} server - The HTTP server the app listens on.
+ * @param {Function} app - The Express app.
+ */
+function acceptUpgrades(server, app) {
+  server.on('upgrade', (req, socket, head) => {
+    const res = new http.ServerResponse(req);
+    res.assignSocket(socket);
+    res.on('finish', () => socket.destroy());
+
+    req.socketUpgrade = { socket, head };
+    app(req, res);
+  });
+}
+
+module.exports = { acceptUpgrades };
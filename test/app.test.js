@@ -2,6 +2,9 @@ const request = require('supertest');
 const fs = require('fs');
 const path = require('path');
 const app = require('../src/app');
+const { createApiKey } = require('../src/services/auth');
+
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'admin' }).key };
 
 describe('Express app (src/app.js)', () => {
   test('exports an Express application instance', () => {
@@ -30,21 +33,27 @@ describe('Express app (src/app.js)', () => {
   });
 
   describe('404 catch-all', () => {
-    test('GET /nonexistent responds with 404 and { "error": "Not found" }', async () => {
-      const res = await request(app).get('/nonexistent');
+    test('GET /nonexistent responds with a 404 NOT_FOUND problem', async () => {
+      const res = await request(app).get('/nonexistent').set(auth);
       expect(res.status).toBe(404);
-      expect(res.body).toEqual({ error: 'Not found' });
+      expect(res.body).toMatchObject({
+        type: '/errors/NOT_FOUND',
+        status: 404,
+        code: 'NOT_FOUND',
+        detail: 'Not found',
+        instance: '/nonexistent',
+      });
     });
 
-    test('POST /unknown responds with 404 and { "error": "Not found" }', async () => {
-      const res = await request(app).post('/unknown');
+    test('POST /unknown responds with a 404 NOT_FOUND problem', async () => {
+      const res = await request(app).post('/unknown').set(auth);
       expect(res.status).toBe(404);
-      expect(res.body).toEqual({ error: 'Not found' });
+      expect(res.body).toMatchObject({ code: 'NOT_FOUND', detail: 'Not found' });
     });
 
-    test('catch-all returns Content-Type application/json', async () => {
-      const res = await request(app).get('/does-not-exist');
-      expect(res.headers['content-type']).toMatch(/application\/json/);
+    test('catch-all returns Content-Type application/problem+json', async () => {
+      const res = await request(app).get('/does-not-exist').set(auth);
+      expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
     });
   });
 
@@ -54,6 +63,7 @@ describe('Express app (src/app.js)', () => {
       // The 404 handler will still fire, but the body should have been parsed
       const res = await request(app)
         .post('/nonexistent')
+        .set(auth)
         .send({ test: 'data' })
         .set('Content-Type', 'application/json');
       expect(res.status).toBe(404);
@@ -0,0 +1,37 @@
+const { parseScannedBarcode, assertScannable } = require('../src/barcodes');
+
+describe('parseScannedBarcode', () => {
+  test('recognises EAN-13 and checks its check digit', () => {
+    expect(parseScannedBarcode('9780306406157')).toEqual({
+      symbology: 'ean13', barcode: '9780306406157', checkDigitValid: true,
+    });
+    expect(parseScannedBarcode('9780306406158').checkDigitValid).toBe(false);
+  });
+
+  test('recognises 14-digit Codabar with or without start/stop characters', () => {
+    expect(parseScannedBarcode('31234000056786')).toEqual({
+      symbology: 'codabar', barcode: '31234000056786', checkDigitValid: true,
+    });
+    expect(parseScannedBarcode('a31234000056786d')).toMatchObject({ barcode: '31234000056786', checkDigitValid: true });
+    expect(parseScannedBarcode('31234000056780').checkDigitValid).toBe(false);
+  });
+
+  test('returns null for anything else', () => {
+    expect(parseScannedBarcode('C-1')).toBeNull();
+    expect(parseScannedBarcode('978030640615')).toBeNull();
+    expect(parseScannedBarcode('A31234000056786')).toBeNull();
+    expect(parseScannedBarcode(9780306406157)).toBeNull();
+  });
+});
+
+describe('assertScannable', () => {
+  test('passes a barcode with a valid check digit', () => {
+    expect(assertScannable('9780306406157', 'Barcode')).toBe(true);
+    expect(assertScannable('A31234000056786B', 'Barcode')).toBe(true);
+  });
+
+  test('names the barcode in what it rejects', () => {
+    expect(() => assertScannable('LEGACY-00000001', 'Barcode')).toThrow('Barcode must be an EAN-13 or 14-digit Codabar barcode');
+    expect(() => assertScannable('31234000056780', 'item_barcode')).toThrow('item_barcode has an invalid check digit');
+  });
+});
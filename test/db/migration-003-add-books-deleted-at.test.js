@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+const MIGRATION_003_PATH = path.join(MIGRATIONS_DIR, '003_add_books_deleted_at.sql');
+
+describe('003_add_books_deleted_at.sql migration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, '001_create_books.sql'), 'utf-8'));
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, '002_create_checkout_history.sql'), 'utf-8'));
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('migration file exists', () => {
+    expect(fs.existsSync(MIGRATION_003_PATH)).toBe(true);
+  });
+
+  test('adds a nullable deleted_at TEXT column to books', () => {
+    db.exec(fs.readFileSync(MIGRATION_003_PATH, 'utf-8'));
+
+    const column = db.pragma('table_info(books)').find(c => c.name === 'deleted_at');
+    expect(column).toBeDefined();
+    expect(column.type).toBe('TEXT');
+    expect(column.notnull).toBe(0);
+  });
+
+  test('existing rows default to not deleted', () => {
+    db.prepare(
+      'INSERT INTO books (id, title, author, isbn, published_year) VALUES (?, ?, ?, ?, ?)'
+    ).run('book-1', 'Title', 'Author', '978-3-16-148410-0', 2020);
+
+    db.exec(fs.readFileSync(MIGRATION_003_PATH, 'utf-8'));
+
+    expect(db.prepare('SELECT deleted_at FROM books WHERE id = ?').get('book-1').deleted_at).toBeNull();
+  });
+
+  test('creates idx_books_deleted_at', () => {
+    db.exec(fs.readFileSync(MIGRATION_003_PATH, 'utf-8'));
+
+    const indexes = db.pragma('index_list(books)').map(i => i.name);
+    expect(indexes).toContain('idx_books_deleted_at');
+  });
+});
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+const MIGRATION_004_PATH = path.join(MIGRATIONS_DIR, '004_create_books_fts.sql');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f < name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('004_create_books_fts.sql migration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    applyUpTo(db, '004_create_books_fts.sql');
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('creates the books_fts virtual table and sync triggers', () => {
+    db.exec(fs.readFileSync(MIGRATION_004_PATH, 'utf-8'));
+
+    const objects = db.prepare(
+      "SELECT name FROM sqlite_master WHERE name LIKE 'books_fts%' AND type IN ('table', 'trigger')"
+    ).all().map(r => r.name);
+
+    expect(objects).toEqual(expect.arrayContaining([
+      'books_fts',
+      'books_fts_after_insert',
+      'books_fts_after_update',
+      'books_fts_after_delete',
+    ]));
+  });
+
+  test('backfills existing books with a normalized ISBN', () => {
+    db.prepare(
+      'INSERT INTO books (id, title, author, isbn, published_year) VALUES (?, ?, ?, ?, ?)'
+    ).run('book-1', 'Existing Title', 'Author', '978-3-16-148410-0', 2020);
+
+    db.exec(fs.readFileSync(MIGRATION_004_PATH, 'utf-8'));
+
+    const row = db.prepare('SELECT * FROM books_fts WHERE book_id = ?').get('book-1');
+    expect(row.title).toBe('Existing Title');
+    expect(row.isbn).toBe('9783161484100');
+  });
+});
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+const MIGRATION_007_PATH = path.join(MIGRATIONS_DIR, '007_create_patrons.sql');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f < name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('007_create_patrons.sql migration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '007_create_patrons.sql');
+    db.exec(fs.readFileSync(MIGRATION_007_PATH, 'utf-8'));
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('creates the patrons table with unique email and card number', () => {
+    const columns = db.pragma('table_info(patrons)').map(c => c.name);
+    expect(columns).toEqual([
+      'id', 'name', 'email', 'card_number', 'status', 'expires_at', 'created_at', 'updated_at',
+    ]);
+
+    const insert = db.prepare('INSERT INTO patrons (id, name, email, card_number) VALUES (?, ?, ?, ?)');
+    insert.run('p1', 'Ada', 'ada@example.com', 'C1');
+    expect(() => insert.run('p2', 'Ada', 'ADA@example.com', 'C2')).toThrow(/patrons\.email/);
+    expect(() => insert.run('p3', 'Ada', 'x@example.com', 'C1')).toThrow(/patrons\.card_number/);
+  });
+
+  test('adds patron_id foreign keys to books and checkout_history', () => {
+    for (const table of ['books', 'checkout_history']) {
+      const fk = db.pragma(`foreign_key_list(${table})`).find(f => f.from === 'patron_id');
+      expect(fk).toMatchObject({ table: 'patrons', to: 'id' });
+    }
+  });
+});
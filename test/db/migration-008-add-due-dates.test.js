@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+const MIGRATION_008_PATH = path.join(MIGRATIONS_DIR, '008_add_due_dates.sql');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f < name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('008_add_due_dates.sql migration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    applyUpTo(db, '008_add_due_dates.sql');
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('adds item_type and due_at to books and backfills due dates of current loans', () => {
+    const insert = db.prepare(
+      'INSERT INTO books (id, title, author, isbn, published_year, status, checked_out_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    );
+    insert.run('b1', 'On loan', 'A', '111', 2000, 'checked_out', '2025-03-01T10:00:00.000Z');
+    insert.run('b2', 'On shelf', 'A', '222', 2000, 'available', null);
+
+    db.exec(fs.readFileSync(MIGRATION_008_PATH, 'utf-8'));
+
+    const books = db.prepare('SELECT id, item_type, due_at FROM books ORDER BY id').all();
+    expect(books).toEqual([
+      { id: 'b1', item_type: 'book', due_at: '2025-03-22T10:00:00.000Z' },
+      { id: 'b2', item_type: 'book', due_at: null },
+    ]);
+  });
+
+  test('creates the loan_periods and closed_days tables', () => {
+    db.exec(fs.readFileSync(MIGRATION_008_PATH, 'utf-8'));
+
+    expect(db.prepare('SELECT COUNT(*) AS n FROM loan_periods').get().n).toBe(4);
+    expect(db.pragma('table_info(closed_days)').map(c => c.name)).toEqual(['date', 'reason', 'created_at']);
+  });
+});
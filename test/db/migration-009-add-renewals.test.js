@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+const MIGRATION_009_PATH = path.join(MIGRATIONS_DIR, '009_add_renewals.sql');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f < name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('009_add_renewals.sql migration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    applyUpTo(db, '009_add_renewals.sql');
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('gives every item type a renewal limit and current loans a renewal count', () => {
+    const insert = db.prepare(
+      'INSERT INTO books (id, title, author, isbn, published_year, status) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    insert.run('b1', 'On loan', 'A', '111', 2000, 'checked_out');
+    insert.run('b2', 'On shelf', 'A', '222', 2000, 'available');
+
+    db.exec(fs.readFileSync(MIGRATION_009_PATH, 'utf-8'));
+
+    expect(db.prepare('SELECT DISTINCT max_renewals FROM loan_periods').all()).toEqual([{ max_renewals: 2 }]);
+    expect(db.prepare('SELECT id, renewal_count, max_renewals FROM books ORDER BY id').all()).toEqual([
+      { id: 'b1', renewal_count: 0, max_renewals: 2 },
+      { id: 'b2', renewal_count: 0, max_renewals: null },
+    ]);
+  });
+});
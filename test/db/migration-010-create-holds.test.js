@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('010_create_holds.sql migration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '010_create_holds.sql');
+    db.prepare("INSERT INTO books (id, title, author, isbn, published_year) VALUES ('b1', 'T', 'A', '111', 2000)").run();
+    db.prepare("INSERT INTO patrons (id, name, email, card_number) VALUES ('p1', 'P', 'p@example.com', 'C1')").run();
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('allows one active hold per patron and book but any number of closed ones', () => {
+    const insert = db.prepare(
+      "INSERT INTO holds (id, book_id, patron_id, status, created_at) VALUES (?, 'b1', 'p1', ?, datetime('now'))"
+    );
+    insert.run('h1', 'cancelled');
+    insert.run('h2', 'expired');
+    insert.run('h3', 'waiting');
+
+    expect(() => insert.run('h4', 'ready')).toThrow(/UNIQUE constraint failed/);
+  });
+
+  test('cascades hold deletion with the book', () => {
+    db.prepare("INSERT INTO holds (id, book_id, patron_id, created_at) VALUES ('h1', 'b1', 'p1', datetime('now'))").run();
+
+    db.prepare("DELETE FROM books WHERE id = 'b1'").run();
+
+    expect(db.prepare('SELECT COUNT(*) AS n FROM holds').get().n).toBe(0);
+  });
+});
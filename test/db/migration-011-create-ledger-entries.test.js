@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('011_create_ledger_entries.sql migration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    applyUpTo(db, '011_create_ledger_entries.sql');
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('adds late fine settings to every loan period', () => {
+    const rows = db.prepare('SELECT item_type, fine_per_day_cents, max_fine_cents FROM loan_periods').all();
+
+    expect(rows).toContainEqual({ item_type: 'book', fine_per_day_cents: 25, max_fine_cents: 1000 });
+    expect(rows).toContainEqual({ item_type: 'dvd', fine_per_day_cents: 100, max_fine_cents: 2000 });
+  });
+
+  test('creates an append-only ledger_entries table', () => {
+    db.prepare("INSERT INTO patrons (id, name, email, card_number) VALUES ('p1', 'P', 'p@example.com', 'C1')").run();
+    db.prepare(
+      "INSERT INTO ledger_entries (id, patron_id, type, amount_cents, created_at) VALUES ('e1', 'p1', 'lost', 100, 'now')"
+    ).run();
+
+    expect(() => db.prepare("UPDATE ledger_entries SET reason = 'x'").run()).toThrow('ledger_entries is append-only');
+    expect(() => db.prepare('DELETE FROM ledger_entries').run()).toThrow('ledger_entries is append-only');
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+function applyOnly(db, name) {
+  db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf-8'));
+}
+
+describe('012_create_copies.sql migration', () => {
+  let db;
+
+  const insertBook = (id, isbn, status = 'available') => db.prepare(
+    "INSERT INTO books (id, title, author, isbn, published_year, status) VALUES (?, 'T', 'A', ?, 2020, ?)"
+  ).run(id, isbn, status);
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '011_create_ledger_entries.sql');
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('turns every existing book into its only copy, moving the loan onto the copy', () => {
+    db.prepare("INSERT INTO patrons (id, name, email, card_number) VALUES ('p1', 'P', 'p@example.com', 'C1')").run();
+    insertBook('b1', '978-3-16-148410-0', 'checked_out');
+    db.prepare("UPDATE books SET patron_id = 'p1', checked_out_at = '2025-01-01', due_at = '2025-01-22' WHERE id = 'b1'").run();
+    insertBook('b2', '978-0-7432-7356-5');
+    db.prepare(
+      "INSERT INTO checkout_history (id, book_id, action, timestamp, patron_id) VALUES ('h1', 'b1', 'checked_out', 'then', 'p1')"
+    ).run();
+
+    applyOnly(db, '012_create_copies.sql');
+
+    const copies = db.prepare('SELECT * FROM copies ORDER BY book_id').all();
+    expect(copies).toEqual([
+      expect.objectContaining({
+        id: 'b1', book_id: 'b1', barcode: 'LEGACY-00000001', status: 'checked_out',
+        patron_id: 'p1', due_at: '2025-01-22', condition: 'good',
+      }),
+      expect.objectContaining({ id: 'b2', book_id: 'b2', barcode: 'LEGACY-00000002', status: 'available' }),
+    ]);
+    expect(db.prepare("SELECT copy_id FROM checkout_history WHERE id = 'h1'").get().copy_id).toBe('b1');
+
+    const columns = db.prepare('PRAGMA table_info(books)').all().map(c => c.name);
+    for (const column of ['patron_id', 'checked_out_at', 'due_at', 'renewal_count', 'max_renewals']) {
+      expect(columns).not.toContain(column);
+    }
+  });
+
+  test('keeps books.status in step with the best available copy', () => {
+    applyOnly(db, '012_create_copies.sql');
+    insertBook('b1', '978-3-16-148410-0');
+    const status = () => db.prepare("SELECT status FROM books WHERE id = 'b1'").get().status;
+
+    db.prepare("INSERT INTO copies (id, book_id, barcode, status) VALUES ('c1', 'b1', 'C-1', 'checked_out')").run();
+    expect(status()).toBe('checked_out');
+
+    db.prepare("INSERT INTO copies (id, book_id, barcode, status) VALUES ('c2', 'b1', 'C-2', 'on_hold_shelf')").run();
+    expect(status()).toBe('on_hold_shelf');
+
+    db.prepare("UPDATE copies SET status = 'available' WHERE id = 'c1'").run();
+    expect(status()).toBe('available');
+
+    db.prepare("DELETE FROM copies WHERE id = 'c1'").run();
+    expect(status()).toBe('on_hold_shelf');
+
+    db.prepare("DELETE FROM copies WHERE id = 'c2'").run();
+    expect(status()).toBe('available');
+  });
+
+  test('enforces unique barcodes and known conditions', () => {
+    applyOnly(db, '012_create_copies.sql');
+    insertBook('b1', '978-3-16-148410-0');
+    db.prepare("INSERT INTO copies (id, book_id, barcode) VALUES ('c1', 'b1', 'C-1')").run();
+
+    expect(() => db.prepare("INSERT INTO copies (id, book_id, barcode) VALUES ('c2', 'b1', 'C-1')").run())
+      .toThrow('UNIQUE constraint failed: copies.barcode');
+    expect(() => db.prepare("INSERT INTO copies (id, book_id, barcode, condition) VALUES ('c3', 'b1', 'C-3', 'mint')").run())
+      .toThrow('CHECK constraint failed');
+  });
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('013_add_copy_status_transitions.sql migration', () => {
+  let db;
+
+  const insertCopy = (id, barcode, status = 'available') => db.prepare(
+    "INSERT INTO copies (id, book_id, barcode, status, created_at, updated_at) VALUES (?, 'b1', ?, ?, 'now', 'now')"
+  ).run(id, barcode, status);
+  const bookStatus = () => db.prepare("SELECT status FROM books WHERE id = 'b1'").get().status;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '013_add_copy_status_transitions.sql');
+    db.prepare(
+      "INSERT INTO books (id, title, author, isbn, published_year) VALUES ('b1', 'T', 'A', '978-3-16-148410-0', 2020)"
+    ).run();
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('rejects copy statuses outside the state machine', () => {
+    expect(() => insertCopy('c1', 'C-1', 'shredded')).toThrow('CHECK constraint failed: copies.status');
+
+    insertCopy('c1', 'C-1', 'in_repair');
+    expect(() => db.prepare("UPDATE copies SET status = 'gone' WHERE id = 'c1'").run())
+      .toThrow('CHECK constraint failed: copies.status');
+  });
+
+  test('adds status and reason columns to checkout_history', () => {
+    const columns = db.prepare('PRAGMA table_info(checkout_history)').all().map(c => c.name);
+
+    expect(columns).toEqual(expect.arrayContaining(['from_status', 'to_status', 'reason']));
+  });
+
+  test('summarises the copy nearest the shelf on the book', () => {
+    insertCopy('c1', 'C-1', 'withdrawn');
+    expect(bookStatus()).toBe('withdrawn');
+
+    insertCopy('c2', 'C-2', 'lost');
+    expect(bookStatus()).toBe('lost');
+
+    db.prepare("UPDATE copies SET status = 'in_transit' WHERE id = 'c2'").run();
+    expect(bookStatus()).toBe('in_transit');
+
+    db.prepare("DELETE FROM copies WHERE id = 'c2'").run();
+    expect(bookStatus()).toBe('withdrawn');
+
+    db.prepare("DELETE FROM copies WHERE id = 'c1'").run();
+    expect(bookStatus()).toBe('available');
+  });
+});
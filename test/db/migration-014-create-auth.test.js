@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('014_create_auth.sql migration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '014_create_auth.sql');
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('creates users with case-insensitive unique usernames and known roles', () => {
+    const insert = db.prepare(
+      "INSERT INTO users (id, username, password_hash, role, created_at) VALUES (?, ?, 'h', ?, 'now')"
+    );
+    insert.run('u1', 'jsmith', 'staff');
+
+    expect(() => insert.run('u2', 'JSMITH', 'admin')).toThrow('UNIQUE constraint failed: users.username');
+    expect(() => insert.run('u3', 'other', 'patron')).toThrow(/CHECK constraint failed/);
+  });
+
+  test('refresh tokens belong to existing users', () => {
+    expect(() => db.prepare(
+      "INSERT INTO refresh_tokens (id, user_id, expires_at) VALUES ('t1', 'nobody', 'later')"
+    ).run()).toThrow('FOREIGN KEY constraint failed');
+  });
+
+  test('creates api_keys with unique hashes and known roles', () => {
+    const insert = db.prepare(
+      "INSERT INTO api_keys (id, name, prefix, key_hash, role, created_at) VALUES (?, 'K', 'lib_', ?, ?, 'now')"
+    );
+    insert.run('k1', 'h1', 'staff');
+
+    expect(() => insert.run('k2', 'h1', 'staff')).toThrow('UNIQUE constraint failed: api_keys.key_hash');
+    expect(() => insert.run('k3', 'h3', 'system')).toThrow(/CHECK constraint failed/);
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+function applyOne(db, name) {
+  db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf-8'));
+}
+
+describe('015_add_role_permissions.sql migration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '014_create_auth.sql');
+    db.prepare("INSERT INTO patrons (id, name, email, card_number) VALUES ('p1', 'P', 'p@example.com', 'C1')").run();
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('turns staff users and keys into librarians and keeps refresh tokens', () => {
+    db.prepare("INSERT INTO users (id, username, password_hash, role, created_at) VALUES ('u1', 'jsmith', 'h', 'staff', 'now')").run();
+    db.prepare("INSERT INTO users (id, username, password_hash, role, created_at) VALUES ('u2', 'boss', 'h', 'admin', 'now')").run();
+    db.prepare("INSERT INTO refresh_tokens (id, user_id, expires_at) VALUES ('t1', 'u1', 'later')").run();
+    db.prepare(
+      "INSERT INTO api_keys (id, name, prefix, key_hash, role, created_at) VALUES ('k1', 'K', 'lib_', 'h1', 'staff', 'now')"
+    ).run();
+
+    applyOne(db, '015_add_role_permissions.sql');
+
+    expect(db.prepare('SELECT id, role, patron_id FROM users ORDER BY id').all()).toEqual([
+      { id: 'u1', role: 'librarian', patron_id: null },
+      { id: 'u2', role: 'admin', patron_id: null },
+    ]);
+    expect(db.prepare('SELECT role FROM api_keys').get()).toEqual({ role: 'librarian' });
+    expect(db.prepare('SELECT id, user_id FROM refresh_tokens').all()).toEqual([{ id: 't1', user_id: 'u1' }]);
+  });
+
+  test('patron accounts need a patron and staff accounts must not have one', () => {
+    applyOne(db, '015_add_role_permissions.sql');
+    const insert = db.prepare(
+      "INSERT INTO users (id, username, password_hash, role, patron_id, created_at) VALUES (?, ?, 'h', ?, ?, 'now')"
+    );
+
+    insert.run('u1', 'ada', 'patron', 'p1');
+    expect(() => insert.run('u2', 'ada2', 'patron', 'p1')).toThrow('UNIQUE constraint failed: users.patron_id');
+    expect(() => insert.run('u3', 'nobody', 'patron', null)).toThrow(/CHECK constraint failed/);
+    expect(() => insert.run('u4', 'clerk', 'clerk', 'p1')).toThrow(/CHECK constraint failed/);
+    expect(() => insert.run('u5', 'staff', 'staff', null)).toThrow(/CHECK constraint failed/);
+  });
+
+  test('deleting a patron deletes their account and its refresh tokens', () => {
+    applyOne(db, '015_add_role_permissions.sql');
+    db.prepare(
+      "INSERT INTO users (id, username, password_hash, role, patron_id, created_at) VALUES ('u1', 'ada', 'h', 'patron', 'p1', 'now')"
+    ).run();
+    db.prepare("INSERT INTO refresh_tokens (id, user_id, expires_at) VALUES ('t1', 'u1', 'later')").run();
+
+    db.prepare("DELETE FROM patrons WHERE id = 'p1'").run();
+
+    expect(db.prepare('SELECT COUNT(*) AS n FROM users').get().n).toBe(0);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM refresh_tokens').get().n).toBe(0);
+  });
+
+  test('api keys cannot have the patron role', () => {
+    applyOne(db, '015_add_role_permissions.sql');
+
+    expect(() => db.prepare(
+      "INSERT INTO api_keys (id, name, prefix, key_hash, role, created_at) VALUES ('k1', 'K', 'lib_', 'h1', 'patron', 'now')"
+    ).run()).toThrow(/CHECK constraint failed/);
+  });
+});
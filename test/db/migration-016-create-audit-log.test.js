@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('016_create_audit_log.sql migration', () => {
+  let db;
+  let insert;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '016_create_audit_log.sql');
+    insert = db.prepare(`
+      INSERT INTO audit_log (id, seq, actor_type, action, entity_type, entity_id, created_at, prev_hash, hash)
+      VALUES (?, ?, ?, 'book.created', 'book', 'b1', 'now', 'p', 'h')
+    `);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('creates audit_log with unique sequence numbers and known actor types', () => {
+    insert.run('a1', 1, 'system');
+
+    expect(() => insert.run('a2', 1, 'user')).toThrow('UNIQUE constraint failed: audit_log.seq');
+    expect(() => insert.run('a3', 2, 'robot')).toThrow(/CHECK constraint failed/);
+  });
+
+  test('is append-only', () => {
+    insert.run('a1', 1, 'system');
+
+    expect(() => db.prepare("UPDATE audit_log SET hash = 'x'").run()).toThrow('audit_log is append-only');
+    expect(() => db.prepare('DELETE FROM audit_log').run()).toThrow('audit_log is append-only');
+  });
+});
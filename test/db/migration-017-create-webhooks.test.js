@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('017_create_webhooks.sql migration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '017_create_webhooks.sql');
+    db.prepare(`
+      INSERT INTO webhooks (id, url, events, secret, created_at, updated_at)
+      VALUES ('w1', 'https://example.com/hook', '["book.created"]', 's', 'now', 'now')
+    `).run();
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  function insertDelivery(id, status) {
+    db.prepare(`
+      INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, payload, status, next_attempt_at, created_at)
+      VALUES (?, 'w1', 'e1', 'book.created', '{}', ?, 'now', 'now')
+    `).run(id, status);
+  }
+
+  test('new subscriptions start enabled with no failures', () => {
+    expect(db.prepare('SELECT consecutive_failures, disabled_at FROM webhooks').get())
+      .toEqual({ consecutive_failures: 0, disabled_at: null });
+  });
+
+  test('deliveries have a known status and are deleted with their subscription', () => {
+    insertDelivery('d1', 'pending');
+    expect(() => insertDelivery('d2', 'lost')).toThrow(/CHECK constraint failed/);
+
+    db.prepare("DELETE FROM webhooks WHERE id = 'w1'").run();
+
+    expect(db.prepare('SELECT COUNT(*) AS n FROM webhook_deliveries').get().n).toBe(0);
+  });
+});
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('018_create_outbox.sql migration', () => {
+  let db;
+  let insert;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '018_create_outbox.sql');
+    insert = db.prepare(`
+      INSERT INTO outbox (id, type, aggregate_type, aggregate_id, data, created_at)
+      VALUES (?, 'book.created', 'book', 'b1', '{}', 'now')
+    `);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('numbers events in order with unique ids', () => {
+    expect(insert.run('e1').lastInsertRowid).toBe(1);
+    expect(insert.run('e2').lastInsertRowid).toBe(2);
+    expect(() => insert.run('e1')).toThrow('UNIQUE constraint failed: outbox.id');
+  });
+
+  test('is append-only', () => {
+    insert.run('e1');
+
+    expect(() => db.prepare("UPDATE outbox SET type = 'x'").run()).toThrow('outbox is append-only');
+    expect(() => db.prepare('DELETE FROM outbox').run()).toThrow('outbox is append-only');
+  });
+});
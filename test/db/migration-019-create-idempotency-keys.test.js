@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('019_create_idempotency_keys.sql migration', () => {
+  let db;
+  let insert;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '019_create_idempotency_keys.sql');
+    insert = db.prepare(`
+      INSERT INTO idempotency_keys (scope, key, fingerprint, status_code, response_body, created_at, expires_at)
+      VALUES (?, ?, 'f', 201, '{}', 'now', 'later')
+    `);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('keys are unique per scope', () => {
+    insert.run('api_key:a', 'k1');
+    insert.run('api_key:b', 'k1');
+
+    expect(() => insert.run('api_key:a', 'k1'))
+      .toThrow('UNIQUE constraint failed: idempotency_keys.scope, idempotency_keys.key');
+  });
+
+  test('indexes expires_at for purging', () => {
+    const indexes = db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'idempotency_keys'").all();
+
+    expect(indexes.map(index => index.name)).toContain('idx_idempotency_keys_expires_at');
+  });
+});
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('020_add_books_version.sql migration', () => {
+  let db;
+
+  function versionOf(id) {
+    return db.prepare('SELECT version FROM books WHERE id = ?').get(id).version;
+  }
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '019_create_idempotency_keys.sql');
+    db.prepare(
+      'INSERT INTO books (id, title, author, isbn, published_year) VALUES (?, ?, ?, ?, ?)'
+    ).run('book-1', 'Title', 'Author', '978-3-16-148410-0', 2020);
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, '020_add_books_version.sql'), 'utf-8'));
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('existing rows start at version 1', () => {
+    expect(versionOf('book-1')).toBe(1);
+  });
+
+  test('every update bumps the version by one', () => {
+    db.prepare("UPDATE books SET title = 'New' WHERE id = 'book-1'").run();
+    db.prepare("UPDATE books SET title = 'New' WHERE id = 'book-1'").run();
+
+    expect(versionOf('book-1')).toBe(3);
+  });
+
+  test('copy status changes bump the version of their book', () => {
+    db.prepare("INSERT INTO copies (id, book_id, barcode) VALUES ('c1', 'book-1', 'C-1')").run();
+    db.prepare("UPDATE copies SET status = 'checked_out' WHERE id = 'c1'").run();
+
+    expect(versionOf('book-1')).toBe(3);
+  });
+
+  test('an update that sets the version itself is not bumped again', () => {
+    db.prepare("UPDATE books SET version = 10 WHERE id = 'book-1'").run();
+
+    expect(versionOf('book-1')).toBe(10);
+  });
+});
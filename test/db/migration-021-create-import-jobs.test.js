@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+describe('021_create_import_jobs.sql migration', () => {
+  let db;
+
+  const insertJob = (overrides = {}) => {
+    const job = {
+      id: 'job-1', format: 'csv', on_duplicate: 'skip', dry_run: 0,
+      created_at: '2026-01-01T00:00:00.000Z', updated_at: '2026-01-01T00:00:00.000Z', ...overrides,
+    };
+    db.prepare(`
+      INSERT INTO import_jobs (id, format, on_duplicate, dry_run, created_at, updated_at)
+      VALUES (@id, @format, @on_duplicate, @dry_run, @created_at, @updated_at)
+    `).run(job);
+  };
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '021_create_import_jobs.sql');
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('a new job is processing with no rows counted and an empty mapping', () => {
+    insertJob();
+
+    expect(db.prepare('SELECT * FROM import_jobs').get()).toMatchObject({
+      status: 'processing',
+      mapping: '{}',
+      rows_processed: 0,
+      rows_created: 0,
+      rows_updated: 0,
+      rows_skipped: 0,
+      rows_failed: 0,
+      error: null,
+      finished_at: null,
+    });
+  });
+
+  test('rejects an unknown format, duplicate strategy or status', () => {
+    expect(() => insertJob({ format: 'xml' })).toThrow(/CHECK constraint failed/);
+    expect(() => insertJob({ on_duplicate: 'replace' })).toThrow(/CHECK constraint failed/);
+    insertJob();
+    expect(() => db.prepare("UPDATE import_jobs SET status = 'paused'").run()).toThrow(/CHECK constraint failed/);
+  });
+
+  test('keeps one error entry per row of a job and deletes them with the job', () => {
+    insertJob();
+    const insertError = db.prepare('INSERT INTO import_job_errors (job_id, row, errors) VALUES (?, ?, ?)');
+    insertError.run('job-1', 3, '[]');
+
+    expect(() => insertError.run('job-1', 3, '[]')).toThrow(/UNIQUE constraint failed/);
+    expect(() => insertError.run('job-2', 1, '[]')).toThrow(/FOREIGN KEY constraint failed/);
+
+    db.prepare('DELETE FROM import_jobs').run();
+    expect(db.prepare('SELECT COUNT(*) AS n FROM import_job_errors').get().n).toBe(0);
+  });
+});
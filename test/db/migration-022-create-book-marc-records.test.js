@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+function applyOne(db, name) {
+  db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf-8'));
+}
+
+describe('022_create_book_marc_records.sql migration', () => {
+  let db;
+
+  const insertJob = (id, format) => db.prepare(`
+    INSERT INTO import_jobs (id, format, on_duplicate, created_at, updated_at)
+    VALUES (?, ?, 'skip', '2026-01-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z')
+  `).run(id, format);
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '021_create_import_jobs.sql');
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('keeps existing import jobs and their errors', () => {
+    insertJob('job-1', 'csv');
+    db.prepare("UPDATE import_jobs SET rows_failed = 1, status = 'completed'").run();
+    db.prepare("INSERT INTO import_job_errors (job_id, row, errors) VALUES ('job-1', 2, '[]')").run();
+
+    applyOne(db, '022_create_book_marc_records.sql');
+
+    expect(db.prepare('SELECT * FROM import_jobs').get()).toMatchObject({ id: 'job-1', format: 'csv', status: 'completed', rows_failed: 1 });
+    expect(db.prepare('SELECT * FROM import_job_errors').all()).toEqual([{ job_id: 'job-1', row: 2, errors: '[]' }]);
+    expect(db.prepare("SELECT COUNT(*) AS n FROM sqlite_master WHERE name LIKE '%_old' OR name LIKE '%_new'").get().n).toBe(0);
+  });
+
+  test('allows MARC21 and MARCXML import jobs', () => {
+    applyOne(db, '022_create_book_marc_records.sql');
+
+    insertJob('job-1', 'marc21');
+    insertJob('job-2', 'marcxml');
+    expect(() => insertJob('job-3', 'xml')).toThrow(/CHECK constraint failed/);
+  });
+
+  test('still deletes a job\'s errors with the job', () => {
+    applyOne(db, '022_create_book_marc_records.sql');
+    insertJob('job-1', 'marc21');
+    db.prepare("INSERT INTO import_job_errors (job_id, row, errors) VALUES ('job-1', 1, '[]')").run();
+
+    db.prepare('DELETE FROM import_jobs').run();
+
+    expect(db.prepare('SELECT COUNT(*) AS n FROM import_job_errors').get().n).toBe(0);
+  });
+
+  test('keeps one MARC record per book and deletes it with the book', () => {
+    applyOne(db, '022_create_book_marc_records.sql');
+    db.prepare(`
+      INSERT INTO books (id, title, author, isbn, published_year, created_at, updated_at)
+      VALUES ('book-1', 'Dune', 'Frank Herbert', '9780441013593', 1965, '2026-01-01', '2026-01-01')
+    `).run();
+    const insertRecord = db.prepare("INSERT INTO book_marc_records (book_id, record, updated_at) VALUES (?, '{}', '2026-01-01')");
+    insertRecord.run('book-1');
+
+    expect(() => insertRecord.run('book-1')).toThrow(/UNIQUE constraint failed/);
+    expect(() => insertRecord.run('book-2')).toThrow(/FOREIGN KEY constraint failed/);
+
+    db.prepare('DELETE FROM books').run();
+    expect(db.prepare('SELECT COUNT(*) AS n FROM book_marc_records').get().n).toBe(0);
+  });
+});
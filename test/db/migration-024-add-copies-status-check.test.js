@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', '..', 'src', 'db', 'migrations');
+
+function applyUpTo(db, name) {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql') && f <= name).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8'));
+  }
+}
+
+// Like migrate(), in a transaction: the rebuild defers foreign keys to its end
+function applyOne(db, name) {
+  db.transaction(() => db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf-8')))();
+}
+
+describe('024_add_copies_status_check.sql migration', () => {
+  let db;
+
+  const insertCopy = (id, barcode, status = 'available') => db.prepare(
+    "INSERT INTO copies (id, book_id, barcode, status) VALUES (?, 'b1', ?, ?)"
+  ).run(id, barcode, status);
+  const book = () => db.prepare("SELECT status, version FROM books WHERE id = 'b1'").get();
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    applyUpTo(db, '022_create_book_marc_records.sql');
+    db.prepare(
+      "INSERT INTO books (id, title, author, isbn, published_year) VALUES ('b1', 'T', 'A', '978-3-16-148410-0', 2020)"
+    ).run();
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('keeps every copy, the history pointing at it, and the book as it was', () => {
+    insertCopy('c1', '31234000000016', 'lost');
+    db.prepare(
+      "INSERT INTO checkout_history (id, book_id, copy_id, action, timestamp) VALUES ('h1', 'b1', 'c1', 'status_changed', 'then')"
+    ).run();
+    const before = book();
+
+    applyOne(db, '024_add_copies_status_check.sql');
+
+    expect(db.prepare('SELECT id, barcode, status FROM copies').all()).toEqual([{ id: 'c1', barcode: '31234000000016', status: 'lost' }]);
+    expect(book()).toEqual(before);
+    expect(db.pragma('foreign_key_check')).toEqual([]);
+    expect(() => db.prepare('DELETE FROM copies').run()).toThrow(/FOREIGN KEY constraint failed/);
+  });
+
+  test('enforces the status with a CHECK constraint instead of triggers', () => {
+    applyOne(db, '024_add_copies_status_check.sql');
+
+    expect(db.prepare("SELECT sql FROM sqlite_master WHERE name = 'copies'").get().sql).toMatch(/CHECK \(status IN/);
+    expect(db.prepare("SELECT COUNT(*) AS n FROM sqlite_master WHERE name LIKE 'copies_status_check_%'").get().n).toBe(0);
+    expect(() => insertCopy('c1', '31234000000016', 'shredded')).toThrow(/CHECK constraint failed/);
+  });
+
+  test('still keeps books.status up to date', () => {
+    applyOne(db, '024_add_copies_status_check.sql');
+
+    insertCopy('c1', '31234000000016', 'checked_out');
+    expect(book().status).toBe('checked_out');
+    db.prepare("UPDATE copies SET status = 'in_repair'").run();
+    expect(book().status).toBe('in_repair');
+    db.prepare('DELETE FROM copies').run();
+    expect(book().status).toBe('available');
+  });
+});
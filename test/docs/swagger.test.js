@@ -183,7 +183,7 @@ describe('Swagger spec validation (Issue #182)', () => {
 
     for (const route of apiRoutes) {
       // Convert Express-style params (:id) to OpenAPI-style ({id})
-      const openApiPath = route.path.replace(/:([^/]+)/g, '{$1}');
+      const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
       expect(specPaths).toContain(openApiPath);
     }
   });
@@ -193,12 +193,77 @@ describe('Swagger spec validation (Issue #182)', () => {
     // Known map of response codes per route based on handler implementations
     const expectedResponses = {
       'GET /health': ['200'],
-      'POST /books': ['201', '400', '409'],
-      'GET /books': ['200'],
-      'GET /books/{id}': ['200', '400', '404'],
+      'GET /errors': ['200'],
+      'GET /errors/{code}': ['200', '404'],
+      'POST /auth/login': ['200', '400', '401'],
+      'POST /auth/refresh': ['200', '400', '401'],
+      'POST /auth/users': ['201', '400', '401', '403', '404', '409'],
+      'GET /auth/keys': ['200', '401', '403'],
+      'POST /auth/keys': ['201', '400', '401', '403'],
+      'DELETE /auth/keys/{id}': ['204', '400', '401', '403', '404'],
+      'POST /auth/keys/{id}/rotate': ['201', '400', '401', '403', '404', '409'],
+      'POST /books': ['201', '400', '409', '422'],
+      'GET /books': ['200', '400'],
+      'GET /books/{id}': ['200', '304', '400', '404'],
+      'PUT /books/{id}': ['200', '400', '404', '409', '412', '428'],
+      'PATCH /books/{id}': ['200', '400', '404', '409', '412', '428'],
+      'DELETE /books/{id}': ['204', '400', '404', '409', '412', '428'],
+      'GET /books/trash': ['200'],
+      'GET /books/search': ['200', '400'],
+      'POST /books/import': ['202', '400', '415'],
+      'POST /books/import/marc': ['202', '400', '415'],
+      'GET /books/import/{id}': ['200', '400', '404'],
+      'GET /books/import/{id}/errors': ['200', '400', '404'],
+      'GET /books/export': ['200', '400'],
+      'GET /books/export/history': ['200', '400'],
+      'GET /books/{id}.marc': ['200', '400', '404'],
+      'GET /books/{id}.marcxml': ['200', '400', '404'],
+      'POST /books/{id}/restore': ['200', '400', '404'],
+      'POST /books/{id}/transitions': ['200', '400', '403', '404', '409'],
+      'POST /books/{id}/checkout': ['200', '400', '403', '404', '409', '412', '422', '428'],
+      'POST /books/{id}/renew': ['200', '400', '404', '409'],
+      'POST /books/{id}/return': ['200', '400', '404', '409', '412', '422', '428'],
       'GET /books/{id}/history': ['200', '400', '404'],
-      'POST /books/{id}/checkout': ['200', '400', '404', '409'],
-      'POST /books/{id}/return': ['200', '400', '404', '409'],
+      'POST /books/{id}/copies': ['201', '400', '404', '409'],
+      'GET /books/{id}/copies': ['200', '400', '404'],
+      'POST /books/{id}/holds': ['201', '400', '403', '404', '409'],
+      'GET /books/{id}/holds': ['200', '400', '404'],
+      'DELETE /books/{id}/holds/{holdId}': ['204', '400', '404'],
+      'POST /patrons': ['201', '400', '409'],
+      'GET /patrons/{id}': ['200', '400', '404'],
+      'PATCH /patrons/{id}': ['200', '400', '404', '409'],
+      'DELETE /patrons/{id}': ['204', '400', '404', '409'],
+      'GET /patrons/{id}/loans': ['200', '400', '404'],
+      'GET /patrons/{id}/balance': ['200', '400', '404'],
+      'GET /patrons/{id}/ledger': ['200', '400', '404'],
+      'POST /patrons/{id}/fees': ['201', '400', '404'],
+      'POST /patrons/{id}/payments': ['201', '400', '404', '409'],
+      'POST /patrons/{id}/waivers': ['201', '400', '404', '409'],
+      'GET /loans/overdue': ['200', '400'],
+      'PUT /loans/periods/{item_type}': ['200', '201', '400'],
+      'POST /calendar/closed-days': ['201', '400', '409'],
+      'DELETE /calendar/closed-days/{date}': ['204', '400', '404'],
+      'GET /copies/{barcode}': ['200', '400', '404'],
+      'PATCH /copies/{barcode}': ['200', '400', '404', '409'],
+      'DELETE /copies/{barcode}': ['204', '400', '404', '409'],
+      'POST /copies/{barcode}/checkout': ['200', '400', '403', '404', '409', '412', '422', '428'],
+      'POST /copies/{barcode}/renew': ['200', '400', '404', '409'],
+      'POST /copies/{barcode}/return': ['200', '400', '404', '409', '412', '422', '428'],
+      'POST /copies/{barcode}/transitions': ['200', '400', '403', '404', '409'],
+      'POST /circulation/checkout': ['200', '400', '403', '404', '409', '422'],
+      'POST /circulation/checkin': ['200', '400', '404', '409', '422'],
+      'GET /audit': ['200', '400'],
+      'GET /audit/verify': ['200'],
+      'POST /webhooks': ['201', '400'],
+      'GET /webhooks': ['200'],
+      'GET /webhooks/{id}': ['200', '400', '404'],
+      'PATCH /webhooks/{id}': ['200', '400', '404'],
+      'DELETE /webhooks/{id}': ['204', '400', '404'],
+      'GET /webhooks/{id}/deliveries': ['200', '400', '404'],
+      'POST /webhooks/{id}/deliveries/{deliveryId}/redeliver': ['202', '400', '404'],
+      'GET /events': ['200', '400'],
+      'GET /events/stream': ['200', '400', '503'],
+      'GET /events/socket': ['101', '400', '426', '503'],
     };
 
     for (const [key, codes] of Object.entries(expectedResponses)) {
@@ -243,4 +308,69 @@ describe('Swagger spec validation (Issue #182)', () => {
       }
     }
   });
+
+  // Every error response is a problem document generated from the catalog
+  test('Every error response is documented as application/problem+json', () => {
+    const { ERROR_CATALOG } = require('../../src/errors');
+    const httpMethods = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head'];
+    const { schemas, responses } = swaggerSpec.components;
+
+    expect(schemas.ErrorCode.enum).toEqual(Object.keys(ERROR_CATALOG));
+    expect(schemas.Problem.properties.code).toEqual({ $ref: '#/components/schemas/ErrorCode' });
+    expect(responses.Unauthorized.content).toHaveProperty('application/problem+json');
+
+    for (const [pathKey, pathItem] of Object.entries(swaggerSpec.paths)) {
+      for (const method of httpMethods) {
+        const operation = pathItem[method];
+        if (!operation) continue;
+
+        for (const [status, response] of Object.entries(operation.responses)) {
+          if (Number(status) < 400 || response.$ref) continue;
+          const name = `${method.toUpperCase()} ${pathKey} ${status}`;
+          expect({ name, content: Object.keys(response.content) }).toEqual({ name, content: ['application/problem+json'] });
+        }
+      }
+    }
+  });
+
+  // Retry-safe operations share one Idempotency-Key parameter
+  test('Operations that honour Idempotency-Key document the header and the replay marker', () => {
+    const { parameters, headers } = swaggerSpec.components;
+    const operations = [
+      swaggerSpec.paths['/books'].post,
+      swaggerSpec.paths['/copies/{barcode}/checkout'].post,
+      swaggerSpec.paths['/copies/{barcode}/return'].post,
+      swaggerSpec.paths['/circulation/checkout'].post,
+      swaggerSpec.paths['/circulation/checkin'].post,
+    ];
+
+    expect(parameters.IdempotencyKey).toMatchObject({ in: 'header', name: 'Idempotency-Key', required: false });
+    expect(headers.IdempotentReplayed.schema).toEqual({ type: 'string', enum: ['true'] });
+    for (const operation of operations) {
+      const success = operation.responses['200'] || operation.responses['201'];
+      expect(operation.parameters).toContainEqual({ $ref: '#/components/parameters/IdempotencyKey' });
+      expect(success.headers['Idempotent-Replayed']).toEqual({ $ref: '#/components/headers/IdempotentReplayed' });
+    }
+  });
+
+  // Test 6 — Every secured operation names the permission it needs
+  test('Every secured operation documents its x-permission', () => {
+    const { PERMISSIONS } = require('../../src/permissions');
+    const httpMethods = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head'];
+
+    for (const [pathKey, pathItem] of Object.entries(swaggerSpec.paths)) {
+      for (const method of httpMethods) {
+        const operation = pathItem[method];
+        if (!operation) continue;
+
+        const name = `${method.toUpperCase()} ${pathKey}`;
+        const isPublic = Array.isArray(operation.security) && operation.security.length === 0;
+        if (isPublic) {
+          expect({ name, permission: operation['x-permission'] }).toEqual({ name, permission: undefined });
+        } else {
+          expect({ name, known: operation['x-permission'] in PERMISSIONS }).toEqual({ name, known: true });
+        }
+      }
+    }
+  });
 });
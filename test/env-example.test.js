@@ -32,11 +32,22 @@ describe('.env.example template', () => {
       /private_key/i,
       /credential/i,
     ];
-    for (const pattern of secretPatterns) {
-      expect(content).not.toMatch(pattern);
+    const entries = content.split('\n').filter(Boolean).map((line) => line.split('='));
+    for (const [key, value] of entries) {
+      // Token lifetimes are durations, not credentials
+      if (secretPatterns.some((pattern) => pattern.test(key)) && !key.endsWith('_TTL_SECONDS')) {
+        expect({ key, value }).toEqual({ key, value: '' });
+      }
     }
   });
 
+  test('lists the signing secrets and bootstrap admin account without values', () => {
+    expect(content).toMatch(/^JWT_SECRET=$/m);
+    expect(content).toMatch(/^CURSOR_SECRET=$/m);
+    expect(content).toMatch(/^BOOTSTRAP_ADMIN_USERNAME=$/m);
+    expect(content).toMatch(/^BOOTSTRAP_ADMIN_PASSWORD=$/m);
+  });
+
   test('.env.example is not excluded by .gitignore', () => {
     const gitignorePath = path.resolve(__dirname, '..', '.gitignore');
     const gitignoreContent = fs.readFileSync(gitignorePath, 'utf-8');
@@ -1,18 +1,115 @@
-const { AppError, BookNotFoundError, BookUnavailableError } = require('../src/errors');
+const errors = require('../src/errors');
+
+const {
+  ERROR_CATALOG,
+  errorType,
+  AppError,
+  ValidationError,
+  IsbnConflictError,
+  BarcodeConflictError,
+  NotFoundError,
+  BookNotFoundError,
+  BookUnavailableError,
+  CopyNotFoundError,
+  PatronNotFoundError,
+  PatronIneligibleError,
+  RenewalDeniedError,
+  HoldNotFoundError,
+  HoldConflictError,
+  LedgerConflictError,
+  InvalidTransitionError,
+  TransitionForbiddenError,
+  UnauthorizedError,
+  ForbiddenError,
+  ApiKeyNotFoundError,
+  ApiKeyRevokedError,
+  WebhookNotFoundError,
+  WebhookDeliveryNotFoundError,
+  ImportJobNotFoundError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  IdempotencyKeyReusedError,
+  PreconditionRequiredError,
+  StreamLimitError,
+} = require('../src/errors');
+
+describe('ERROR_CATALOG', () => {
+  test('gives every code an error status, a title and a description', () => {
+    for (const [code, entry] of Object.entries(ERROR_CATALOG)) {
+      expect(code).toMatch(/^[A-Z][A-Z0-9_]*$/);
+      expect(entry.status).toBeGreaterThanOrEqual(400);
+      expect(entry.status).toBeLessThan(600);
+      expect(typeof entry.title).toBe('string');
+      expect(typeof entry.description).toBe('string');
+    }
+  });
+
+  test('every error class has a code from the catalog and its status', () => {
+    const classes = Object.values(errors).filter(value => typeof value === 'function' && value.prototype instanceof AppError);
+
+    for (const ErrorClass of classes) {
+      const err = ErrorClass === ValidationError ? new ErrorClass([]) : new ErrorClass('message');
+      expect(ERROR_CATALOG).toHaveProperty(err.code);
+      expect(err.statusCode).toBe(ERROR_CATALOG[err.code].status);
+    }
+  });
+
+  test('errorType() is the code\'s URL in GET /errors', () => {
+    expect(errorType('BOOK_NOT_FOUND')).toBe('/errors/BOOK_NOT_FOUND');
+  });
+});
 
 describe('AppError', () => {
   test('extends Error', () => {
-    const err = new AppError('test', 500);
+    const err = new AppError('test', 'INTERNAL_ERROR');
     expect(err).toBeInstanceOf(Error);
     expect(err).toBeInstanceOf(AppError);
   });
 
-  test('sets name, message, and statusCode correctly', () => {
-    const err = new AppError('test', 500);
+  test('sets name, message, code, and the statusCode of the code', () => {
+    const err = new AppError('test', 'INTERNAL_ERROR');
     expect(err.name).toBe('AppError');
     expect(err.message).toBe('test');
+    expect(err.code).toBe('INTERNAL_ERROR');
     expect(err.statusCode).toBe(500);
   });
+
+  test('rejects a code that is not in the catalog', () => {
+    expect(() => new AppError('test', 'NO_SUCH_CODE')).toThrow('Unknown error code: NO_SUCH_CODE');
+  });
+});
+
+describe('ValidationError', () => {
+  test('has code VALIDATION_FAILED and carries the invalid parameters', () => {
+    const invalidParams = [{ name: 'isbn', in: 'body', reason: 'ISBN is required' }];
+    const err = new ValidationError(invalidParams);
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.code).toBe('VALIDATION_FAILED');
+    expect(err.statusCode).toBe(400);
+    expect(err.message).toBe('The request has invalid parameters');
+    expect(err.invalidParams).toBe(invalidParams);
+  });
+});
+
+describe('IsbnConflictError and BarcodeConflictError', () => {
+  test('are 409s with default messages', () => {
+    expect(new IsbnConflictError()).toMatchObject({
+      code: 'ISBN_CONFLICT',
+      statusCode: 409,
+      message: 'A book with this ISBN already exists',
+    });
+    expect(new BarcodeConflictError()).toMatchObject({
+      code: 'BARCODE_CONFLICT',
+      statusCode: 409,
+      message: 'A copy with this barcode already exists',
+    });
+  });
+});
+
+describe('NotFoundError', () => {
+  test('is a 404 NOT_FOUND with a default message', () => {
+    expect(new NotFoundError()).toMatchObject({ code: 'NOT_FOUND', statusCode: 404, message: 'Not found' });
+  });
 });
 
 describe('BookNotFoundError', () => {
@@ -27,6 +124,7 @@ describe('BookNotFoundError', () => {
     const err = new BookNotFoundError();
     expect(err.name).toBe('BookNotFoundError');
     expect(err.message).toBe('Book not found');
+    expect(err.code).toBe('BOOK_NOT_FOUND');
     expect(err.statusCode).toBe(404);
   });
 
@@ -49,6 +147,208 @@ describe('BookUnavailableError', () => {
     const err = new BookUnavailableError('Book is already checked out');
     expect(err.name).toBe('BookUnavailableError');
     expect(err.message).toBe('Book is already checked out');
+    expect(err.code).toBe('BOOK_UNAVAILABLE');
     expect(err.statusCode).toBe(409);
   });
 });
+
+describe('CopyNotFoundError', () => {
+  test('extends AppError with a 404 default', () => {
+    const err = new CopyNotFoundError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.name).toBe('CopyNotFoundError');
+    expect(err.message).toBe('Copy not found');
+    expect(err.statusCode).toBe(404);
+  });
+});
+
+describe('PatronNotFoundError', () => {
+  test('extends AppError with a 404 default', () => {
+    const err = new PatronNotFoundError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.name).toBe('PatronNotFoundError');
+    expect(err.message).toBe('Patron not found');
+    expect(err.statusCode).toBe(404);
+  });
+});
+
+describe('PatronIneligibleError', () => {
+  test('extends AppError with statusCode 403', () => {
+    const err = new PatronIneligibleError('Patron account is suspended');
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.name).toBe('PatronIneligibleError');
+    expect(err.message).toBe('Patron account is suspended');
+    expect(err.statusCode).toBe(403);
+  });
+});
+
+describe('RenewalDeniedError', () => {
+  test('extends AppError with statusCode 409 and carries a reason code', () => {
+    const err = new RenewalDeniedError('Renewal limit of 2 reached for this loan', 'RENEWAL_LIMIT_REACHED');
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.name).toBe('RenewalDeniedError');
+    expect(err.statusCode).toBe(409);
+    expect(err.reason).toBe('RENEWAL_LIMIT_REACHED');
+  });
+});
+
+describe('HoldNotFoundError', () => {
+  test('extends AppError with statusCode 404 and a default message', () => {
+    const err = new HoldNotFoundError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.message).toBe('Hold not found');
+    expect(err.statusCode).toBe(404);
+  });
+});
+
+describe('HoldConflictError', () => {
+  test('extends AppError with statusCode 409', () => {
+    const err = new HoldConflictError('Patron already has a hold on this book');
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.name).toBe('HoldConflictError');
+    expect(err.statusCode).toBe(409);
+  });
+});
+
+describe('LedgerConflictError', () => {
+  test('extends AppError with statusCode 409', () => {
+    const err = new LedgerConflictError('Payment exceeds the outstanding balance');
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.name).toBe('LedgerConflictError');
+    expect(err.statusCode).toBe(409);
+  });
+});
+
+describe('InvalidTransitionError', () => {
+  test('extends AppError with statusCode 409', () => {
+    const err = new InvalidTransitionError('A copy cannot go from available to in_repair');
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.name).toBe('InvalidTransitionError');
+    expect(err.statusCode).toBe(409);
+  });
+});
+
+describe('TransitionForbiddenError', () => {
+  test('extends AppError with statusCode 403', () => {
+    const err = new TransitionForbiddenError('Only admin can move a copy from available to withdrawn');
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.name).toBe('TransitionForbiddenError');
+    expect(err.statusCode).toBe(403);
+  });
+});
+
+describe('UnauthorizedError', () => {
+  test('extends AppError with statusCode 401 and a default message', () => {
+    const err = new UnauthorizedError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.name).toBe('UnauthorizedError');
+    expect(err.message).toBe('Authentication required');
+    expect(err.statusCode).toBe(401);
+  });
+});
+
+describe('ForbiddenError', () => {
+  test('extends AppError with statusCode 403', () => {
+    const err = new ForbiddenError('This requires the admin role');
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.name).toBe('ForbiddenError');
+    expect(err.statusCode).toBe(403);
+    expect(new ForbiddenError().message).toBe('You do not have permission to do this');
+  });
+});
+
+describe('ApiKeyNotFoundError', () => {
+  test('extends AppError with statusCode 404 and a default message', () => {
+    const err = new ApiKeyNotFoundError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.message).toBe('API key not found');
+    expect(err.statusCode).toBe(404);
+  });
+});
+
+describe('ApiKeyRevokedError', () => {
+  test('extends AppError with statusCode 409 and a default message', () => {
+    const err = new ApiKeyRevokedError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.message).toBe('API key has been revoked');
+    expect(err.statusCode).toBe(409);
+  });
+});
+
+describe('WebhookNotFoundError', () => {
+  test('extends AppError with statusCode 404 and a default message', () => {
+    const err = new WebhookNotFoundError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.message).toBe('Webhook not found');
+    expect(err.statusCode).toBe(404);
+  });
+});
+
+describe('WebhookDeliveryNotFoundError', () => {
+  test('extends AppError with statusCode 404 and a default message', () => {
+    const err = new WebhookDeliveryNotFoundError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.message).toBe('Delivery not found');
+    expect(err.statusCode).toBe(404);
+  });
+});
+
+describe('PreconditionFailedError', () => {
+  test('extends AppError with statusCode 412 and a default message', () => {
+    const err = new PreconditionFailedError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.message).toBe('The book has changed since it was read');
+    expect(err.code).toBe('PRECONDITION_FAILED');
+    expect(err.statusCode).toBe(412);
+  });
+});
+
+describe('PreconditionRequiredError', () => {
+  test('extends AppError with statusCode 428 and a default message', () => {
+    const err = new PreconditionRequiredError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.message).toBe('This request requires an If-Match header');
+    expect(err.code).toBe('PRECONDITION_REQUIRED');
+    expect(err.statusCode).toBe(428);
+  });
+});
+
+describe('IdempotencyKeyReusedError', () => {
+  test('extends AppError with statusCode 422 and a default message', () => {
+    const err = new IdempotencyKeyReusedError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.message).toBe('This Idempotency-Key was already used with a different request');
+    expect(err.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(err.statusCode).toBe(422);
+  });
+});
+
+describe('ImportJobNotFoundError', () => {
+  test('extends AppError with statusCode 404 and a default message', () => {
+    const err = new ImportJobNotFoundError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.message).toBe('Import job not found');
+    expect(err.code).toBe('IMPORT_JOB_NOT_FOUND');
+    expect(err.statusCode).toBe(404);
+  });
+});
+
+describe('UnsupportedMediaTypeError', () => {
+  test('extends AppError with statusCode 415 and a default message', () => {
+    const err = new UnsupportedMediaTypeError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.message).toBe('Unsupported media type');
+    expect(err.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+    expect(err.statusCode).toBe(415);
+  });
+});
+
+describe('StreamLimitError', () => {
+  test('extends AppError with statusCode 503 and a default message', () => {
+    const err = new StreamLimitError();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.message).toBe('Too many open event streams; try again later');
+    expect(err.code).toBe('STREAM_LIMIT_REACHED');
+    expect(err.statusCode).toBe(503);
+  });
+});
@@ -0,0 +1,37 @@
+const { bookEtag, parseIfMatch, assertIfMatch } = require('../src/etags');
+const { PreconditionFailedError } = require('../src/errors');
+
+describe('bookEtag', () => {
+  test('quotes the book\'s version', () => {
+    expect(bookEtag({ version: 3 })).toBe('"3"');
+  });
+});
+
+describe('parseIfMatch', () => {
+  test('returns * for the wildcard', () => {
+    expect(parseIfMatch(' * ')).toBe('*');
+  });
+
+  test('lists the strong ETags and drops weak ones', () => {
+    expect(parseIfMatch('"1", W/"2" ,"3"')).toEqual(['"1"', '"3"']);
+  });
+
+  test('returns an empty list when nothing in the header is an ETag', () => {
+    expect(parseIfMatch('3')).toEqual([]);
+  });
+});
+
+describe('assertIfMatch', () => {
+  const book = { version: 3 };
+
+  test('passes without If-Match, for * and for a list with the book\'s ETag', () => {
+    expect(() => assertIfMatch(book, undefined)).not.toThrow();
+    expect(() => assertIfMatch(book, '*')).not.toThrow();
+    expect(() => assertIfMatch(book, ['"2"', '"3"'])).not.toThrow();
+  });
+
+  test('throws PreconditionFailedError when the book\'s ETag is not listed', () => {
+    expect(() => assertIfMatch(book, ['"2"'])).toThrow(PreconditionFailedError);
+    expect(() => assertIfMatch(book, [])).toThrow(PreconditionFailedError);
+  });
+});
@@ -0,0 +1,129 @@
+const { PassThrough, Writable } = require('stream');
+const { EXPORT_FORMATS, csvField, writeExport } = require('../src/exportFormats');
+
+const ROWS = [
+  { rowid: 1, title: 'Dune', year: 1965 },
+  { rowid: 2, title: 'Say "hi", world', year: null },
+  { rowid: 3, title: 'Line one\nline two', year: 2001 },
+];
+
+// Mimics the models' iterate(): the rows after a rowid, as an iterator
+function opener(rows = ROWS) {
+  const calls = [];
+  const open = after => {
+    calls.push(after);
+    return rows.filter(row => row.rowid > after)[Symbol.iterator]();
+  };
+  return { open, calls };
+}
+
+async function exported(options, stream = new PassThrough()) {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  await writeExport(stream, { columns: ['title', 'year'], ...options });
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+describe('EXPORT_FORMATS', () => {
+  test('maps each format to its media type', () => {
+    expect(EXPORT_FORMATS).toEqual({ csv: 'text/csv; charset=utf-8', ndjson: 'application/x-ndjson', json: 'application/json' });
+  });
+});
+
+describe('csvField(value)', () => {
+  test('leaves plain values as they are and writes null as empty', () => {
+    expect(csvField('Dune')).toBe('Dune');
+    expect(csvField(1965)).toBe('1965');
+    expect(csvField(null)).toBe('');
+    expect(csvField(undefined)).toBe('');
+  });
+
+  test('quotes fields holding commas, quotes or line breaks, doubling the quotes', () => {
+    expect(csvField('a,b')).toBe('"a,b"');
+    expect(csvField('say "hi"')).toBe('"say ""hi"""');
+    expect(csvField('a\r\nb')).toBe('"a\r\nb"');
+  });
+
+  test('prefixes text a spreadsheet would run as a formula with a quote mark', () => {
+    expect(csvField('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"');
+    expect(csvField('+1')).toBe("'+1");
+    expect(csvField('-2+3')).toBe("'-2+3");
+    expect(csvField('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csvField('\tx')).toBe("'\tx");
+    expect(csvField('\rx')).toBe('"\'\rx"');
+    expect(csvField(-5)).toBe('-5');
+    expect(csvField('a=b')).toBe('a=b');
+  });
+});
+
+describe('writeExport(res, options)', () => {
+  test('writes CSV with a header row and CRLF line endings', async () => {
+    const text = await exported({ format: 'csv', open: opener().open });
+
+    expect(text).toBe('title,year\r\nDune,1965\r\n"Say ""hi"", world",\r\n"Line one\nline two",2001\r\n');
+  });
+
+  test('starts CSV with a byte order mark when asked', async () => {
+    const text = await exported({ format: 'csv', bom: true, open: opener([]).open });
+
+    expect(text).toBe('\uFEFFtitle,year\r\n');
+  });
+
+  test('writes the selected columns of each row as NDJSON', async () => {
+    const text = await exported({ format: 'ndjson', columns: ['year'], open: opener().open });
+
+    expect(text).toBe('{"year":1965}\n{"year":null}\n{"year":2001}\n');
+  });
+
+  test('writes a JSON array', async () => {
+    expect(JSON.parse(await exported({ format: 'json', open: opener().open }))).toEqual([
+      { title: 'Dune', year: 1965 },
+      { title: 'Say "hi", world', year: null },
+      { title: 'Line one\nline two', year: 2001 },
+    ]);
+    expect(JSON.parse(await exported({ format: 'json', open: opener([]).open }))).toEqual([]);
+  });
+
+  test('closes the iterator while the client catches up and resumes after the last row sent', async () => {
+    const { open, calls } = opener();
+    const lines = [];
+    const slow = new Writable({
+      highWaterMark: 1,
+      write(chunk, encoding, callback) {
+        lines.push(chunk.toString());
+        setImmediate(callback);
+      },
+    });
+
+    await writeExport(slow, { format: 'ndjson', columns: ['title'], open });
+
+    expect(lines.join('').trim().split('\n')).toHaveLength(3);
+    expect(calls).toEqual([0, 1, 2, 3]);
+  });
+
+  test('stops when the client goes away', async () => {
+    const { open, calls } = opener();
+    const gone = new PassThrough({ highWaterMark: 1 });
+
+    const done = writeExport(gone, { format: 'ndjson', columns: ['title'], open });
+    gone.destroy();
+    await done;
+
+    expect(calls).toEqual([0]);
+  });
+
+  test('logs a failed read and cuts the response off', async () => {
+    const err = new Error('disk I/O error');
+    const log = { error: jest.fn() };
+    const res = new PassThrough();
+    res.on('error', () => {});
+    const open = () => {
+      throw err;
+    };
+
+    await writeExport(res, { format: 'csv', columns: ['title'], open, log });
+
+    expect(log.error).toHaveBeenCalledWith({ err }, 'Export failed');
+    expect(res.destroyed).toBe(true);
+  });
+});
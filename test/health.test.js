@@ -1,5 +1,8 @@
 const request = require('supertest');
 const app = require('../src/app');
+const { createApiKey } = require('../src/services/auth');
+
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'librarian' }).key };
 
 describe('GET /health', () => {
   it('returns 200 with { status: "ok" }', async () => {
@@ -16,8 +19,8 @@ describe('GET /health', () => {
 
 describe('Unknown routes', () => {
   it('returns 404 for unknown routes', async () => {
-    const res = await request(app).get('/nonexistent');
+    const res = await request(app).get('/nonexistent').set(auth);
     expect(res.status).toBe(404);
-    expect(res.body).toEqual({ error: 'Not found' });
+    expect(res.body).toMatchObject({ code: 'NOT_FOUND', detail: 'Not found' });
   });
 });
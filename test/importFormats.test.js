@@ -0,0 +1,229 @@
+const { IMPORT_FORMATS, MARC_IMPORT_FORMATS, UploadFormatError, readRows } = require('../src/importFormats');
+const { parseMarc21, serializeMarc21, serializeMarcXml } = require('../src/marc');
+
+// Feeds the text in small pieces, so tokens are split across chunks
+async function* chunked(text, size = 3) {
+  const bytes = Buffer.from(text, 'utf8');
+  for (let i = 0; i < bytes.length; i += size) {
+    yield bytes.subarray(i, i + size);
+  }
+}
+
+async function collect(text, format, size) {
+  const rows = [];
+  for await (const row of readRows(chunked(text, size), format)) {
+    rows.push(row);
+  }
+  return rows;
+}
+
+describe('IMPORT_FORMATS', () => {
+  test('maps each accepted media type to its format', () => {
+    expect(IMPORT_FORMATS).toEqual({ 'text/csv': 'csv', 'application/json': 'json', 'application/x-ndjson': 'ndjson' });
+    expect(MARC_IMPORT_FORMATS).toEqual({ 'application/marc': 'marc21', 'application/marcxml+xml': 'marcxml' });
+  });
+});
+
+describe('readRows(chunks, "csv")', () => {
+  test('keys each row by the trimmed header and numbers rows from 1', async () => {
+    const rows = await collect('title, isbn\r\nDune,123\r\nEmma,456\r\n', 'csv');
+
+    expect(rows).toEqual([
+      { row: 1, record: { title: 'Dune', isbn: '123' } },
+      { row: 2, record: { title: 'Emma', isbn: '456' } },
+    ]);
+  });
+
+  test('reads quoted fields holding commas, line breaks and doubled quotes', async () => {
+    const rows = await collect('title,author\n"Hello, ""World""","Line one\nline two"\n', 'csv', 1);
+
+    expect(rows).toEqual([{ row: 1, record: { title: 'Hello, "World"', author: 'Line one\nline two' } }]);
+  });
+
+  test('skips blank lines, accepts CR line endings and a missing final newline', async () => {
+    const rows = await collect('title\r\rDune\n\nEmma', 'csv');
+
+    expect(rows.map(row => row.record.title)).toEqual(['Dune', 'Emma']);
+  });
+
+  test('drops a byte order mark and keeps multi-byte characters split across chunks', async () => {
+    const rows = await collect('\uFEFFtitle\nCien años\n', 'csv', 1);
+
+    expect(rows).toEqual([{ row: 1, record: { title: 'Cien años' } }]);
+  });
+
+  test('reports a row with the wrong number of fields and carries on', async () => {
+    const rows = await collect('title,isbn\nDune\nEmma,456\n', 'csv');
+
+    expect(rows).toEqual([
+      { row: 1, error: 'Row has 1 fields but the header has 2' },
+      { row: 2, record: { title: 'Emma', isbn: '456' } },
+    ]);
+  });
+
+  test('fails on a quoted field that is never closed', async () => {
+    await expect(collect('title\nDune\n"Emma\n', 'csv')).rejects.toThrow(
+      new UploadFormatError('The quoted field starting on line 3 is never closed')
+    );
+  });
+
+  test('an empty upload has no rows', async () => {
+    expect(await collect('', 'csv')).toEqual([]);
+  });
+});
+
+describe('readRows(chunks, "ndjson")', () => {
+  test('reads one object per line, skipping blank lines', async () => {
+    const rows = await collect('{"title":"Dune"}\n\n{"title":"Emma"}', 'ndjson');
+
+    expect(rows).toEqual([
+      { row: 1, record: { title: 'Dune' } },
+      { row: 2, record: { title: 'Emma' } },
+    ]);
+  });
+
+  test('reports lines that are not JSON objects', async () => {
+    const rows = await collect('{"title":\n[1]\n{"title":"Emma"}\n', 'ndjson');
+
+    expect(rows).toEqual([
+      { row: 1, error: 'Row is not valid JSON' },
+      { row: 2, error: 'Row is not a JSON object' },
+      { row: 3, record: { title: 'Emma' } },
+    ]);
+  });
+
+  test('reports lines longer than the row limit and carries on with the next line', async () => {
+    const long = `{"title":"${'x'.repeat(1000000)}"}`;
+    const text = `${long}\n{"title":"Dune"}\n${long}\n{"title":"Emma"}\n${long}`;
+
+    const error = { error: 'Row is longer than 1000000 characters' };
+    expect(await collect(text, 'ndjson', 300000)).toEqual([
+      { row: 1, ...error },
+      { row: 2, record: { title: 'Dune' } },
+      { row: 3, ...error },
+      { row: 4, record: { title: 'Emma' } },
+      { row: 5, ...error },
+    ]);
+    expect(await collect(`${long}\n{"title":"Dune"}`, 'ndjson', 2000000)).toEqual([
+      { row: 1, ...error },
+      { row: 2, record: { title: 'Dune' } },
+    ]);
+  });
+});
+
+describe('readRows(chunks, "json")', () => {
+  test('reads the elements of an array one at a time', async () => {
+    const text = ' [{"title":"A, [b]","tags":{"x":[1,2]}},\n{"title":"Say \\"hi\\" }"}] ';
+    const rows = await collect(text, 'json', 2);
+
+    expect(rows).toEqual([
+      { row: 1, record: { title: 'A, [b]', tags: { x: [1, 2] } } },
+      { row: 2, record: { title: 'Say "hi" }' } },
+    ]);
+  });
+
+  test('an empty array has no rows', async () => {
+    expect(await collect('[]', 'json')).toEqual([]);
+  });
+
+  test('reports elements that are not objects, including empty ones', async () => {
+    const rows = await collect('[1, {"title": }, , {"title":"Emma"}]', 'json');
+
+    expect(rows).toEqual([
+      { row: 1, error: 'Row is not a JSON object' },
+      { row: 2, error: 'Row is not valid JSON' },
+      { row: 3, error: 'Row is not valid JSON' },
+      { row: 4, record: { title: 'Emma' } },
+    ]);
+  });
+
+  test('reports elements longer than the row limit and carries on with the next element', async () => {
+    const long = `{"title":"${'],'.repeat(500000)}"}`;
+    const rows = await collect(`[${long}, {"title":"Dune"}, ${long}]`, 'json', 300000);
+
+    expect(rows).toEqual([
+      { row: 1, error: 'Row is longer than 1000000 characters' },
+      { row: 2, record: { title: 'Dune' } },
+      { row: 3, error: 'Row is longer than 1000000 characters' },
+    ]);
+  });
+
+  test('fails unless the upload is a single array', async () => {
+    await expect(collect('{"title":"Dune"}', 'json')).rejects.toThrow('A JSON upload must be an array of objects');
+    await expect(collect('  ', 'json')).rejects.toThrow('The upload is empty');
+    await expect(collect('<books/>', 'json')).rejects.toThrow('The upload is not valid JSON');
+    await expect(collect('title,isbn', 'json', 1)).rejects.toThrow('The upload is not valid JSON');
+    await expect(collect('null', 'json')).rejects.toThrow('A JSON upload must be an array of objects');
+    await expect(collect('[{"title":"Dune"}', 'json')).rejects.toThrow('The JSON array is never closed');
+    await expect(collect('[] []', 'json')).rejects.toThrow('Unexpected content after the JSON array');
+  });
+
+  test('fails with an UploadFormatError', async () => {
+    await expect(collect('nope', 'json')).rejects.toBeInstanceOf(UploadFormatError);
+  });
+});
+
+const marcRecord = (title, isbn) => ({
+  leader: '00000nam a2200000 i 4500',
+  fields: [
+    { tag: '001', value: isbn },
+    { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: isbn }] },
+    { tag: '245', ind1: '0', ind2: '0', subfields: [{ code: 'a', value: `${title} /` }] },
+  ],
+});
+
+describe('readRows(chunks, "marc21")', () => {
+  const dune = serializeMarc21(marcRecord('Dune', '1'));
+  const emma = serializeMarc21(marcRecord('Emma', '2'));
+
+  test('reads each record as its book fields with the whole record alongside', async () => {
+    const rows = await collect(Buffer.concat([dune, Buffer.from('\r\n'), emma]), 'marc21', 7);
+
+    expect(rows).toEqual([
+      { row: 1, record: { isbn: '1', title: 'Dune' }, marc: parseMarc21(dune) },
+      { row: 2, record: { isbn: '2', title: 'Emma' }, marc: parseMarc21(emma) },
+    ]);
+  });
+
+  test('reads a last record without a terminator and reports malformed ones as row errors', async () => {
+    const rows = await collect(Buffer.concat([Buffer.from('garbage\x1D'), emma.subarray(0, emma.length - 1), Buffer.from('\n')]), 'marc21');
+
+    expect(rows).toEqual([
+      { row: 1, error: 'Record is shorter than a MARC leader' },
+      { row: 2, record: { isbn: '2', title: 'Emma' }, marc: parseMarc21(emma) },
+    ]);
+  });
+
+  test('fails on a record longer than ISO 2709 allows', async () => {
+    await expect(collect(Buffer.alloc(100000, 0x20), 'marc21', 50000))
+      .rejects.toThrow(new UploadFormatError('MARC record 1 is longer than 99999 bytes'));
+  });
+});
+
+describe('readRows(chunks, "marcxml")', () => {
+  const collection = records => `<?xml version="1.0"?>\n<collection xmlns="http://www.loc.gov/MARC21/slim">\n${
+    records.map(record => serializeMarcXml(record).replace(/^<\?xml[^>]*>\n/, '')).join('')
+  }</collection>\n`;
+
+  test('reads each record of a collection as its book fields with the whole record alongside', async () => {
+    const rows = await collect(collection([marcRecord('Dune', '1'), marcRecord('Emma', '2')]), 'marcxml', 5);
+
+    expect(rows).toEqual([
+      { row: 1, record: { isbn: '1', title: 'Dune' }, marc: marcRecord('Dune', '1') },
+      { row: 2, record: { isbn: '2', title: 'Emma' }, marc: marcRecord('Emma', '2') },
+    ]);
+  });
+
+  test('reports a malformed record as a row error', async () => {
+    const rows = await collect('<collection><record><leader>short</leader></record></collection>', 'marcxml');
+
+    expect(rows).toEqual([{ row: 1, error: 'Record has no 24-character leader' }]);
+  });
+
+  test('fails on a record that is never closed or is too long', async () => {
+    await expect(collect(`<collection>${serializeMarcXml(marcRecord('Dune', '1')).replace('</record>', '')}`, 'marcxml'))
+      .rejects.toThrow(new UploadFormatError('MARCXML record 1 is never closed'));
+    await expect(collect(`<record>${' '.repeat(1000000)}`, 'marcxml', 500000))
+      .rejects.toThrow('MARCXML record 1 is longer than 1000000 characters');
+  });
+});
@@ -1,5 +1,9 @@
 const request = require('supertest');
 const app = require('../../src/app');
+const Patron = require('../../src/models/patron');
+const { createApiKey } = require('../../src/services/auth');
+
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'admin' }).key };
 
 describe('Edge Cases & Hardening', () => {
   afterAll(() => {
@@ -10,10 +14,11 @@ describe('Edge Cases & Hardening', () => {
   it('should return 400 for malformed JSON body, not 500', async () => {
     const res = await request(app)
       .post('/books')
+      .set(auth)
       .set('Content-Type', 'application/json')
       .send('{ invalid json }');
     expect(res.status).toBe(400);
-    expect(res.body).toEqual({ error: 'Malformed JSON in request body' });
+    expect(res.body).toMatchObject({ code: 'MALFORMED_JSON', detail: 'Malformed JSON in request body' });
   });
 
   // Test 2: Extremely long string fields are rejected
@@ -21,17 +26,18 @@ describe('Edge Cases & Hardening', () => {
     const longTitle = 'a'.repeat(10000);
     const res = await request(app)
       .post('/books')
+      .set(auth)
       .send({ title: longTitle, author: 'Test Author', isbn: '9780743273565', published_year: 2020 });
     expect(res.status).toBe(400);
-    expect(res.body).toHaveProperty('errors');
+    expect(res.body).toHaveProperty('invalid_params');
   });
 
   // Test 3: SQL injection in query params is neutralized
   it('should neutralize SQL injection in query params', async () => {
-    const res = await request(app).get('/books?page=1;DROP TABLE books');
+    const res = await request(app).get('/books?page=1;DROP TABLE books').set(auth);
     expect([200, 400]).toContain(res.status);
     // Verify table still exists
-    const check = await request(app).get('/books');
+    const check = await request(app).get('/books').set(auth);
     expect(check.status).toBe(200);
   });
 
@@ -39,10 +45,11 @@ describe('Edge Cases & Hardening', () => {
   it('should neutralize SQL injection in body fields', async () => {
     const res = await request(app)
       .post('/books')
+      .set(auth)
       .send({ title: "'; DROP TABLE books; --", author: 'Test', isbn: '9780140449136', published_year: 2020 });
     expect([201, 400]).toContain(res.status);
     // Verify table still exists
-    const check = await request(app).get('/books');
+    const check = await request(app).get('/books').set(auth);
     expect(check.status).toBe(200);
   });
 
@@ -50,22 +57,29 @@ describe('Edge Cases & Hardening', () => {
   it('should return 400 or 415 for unexpected Content-Type', async () => {
     const res = await request(app)
       .post('/books')
+      .set(auth)
       .set('Content-Type', 'text/plain')
       .send('some plain text');
     expect([400, 415]).toContain(res.status);
   });
 
-  // Test 6: Concurrent checkout of same book
+  // Test 6: Concurrent checkout of same copy
   it('should handle concurrent checkout with one 200 and one 409', async () => {
-    // Create a book available for checkout
+    // Create a book with one copy available for checkout
     const book = await request(app)
       .post('/books')
+      .set(auth)
       .send({ title: 'Concurrent Test', author: 'Author', isbn: '9780061120084', published_year: 2020 });
-    const bookId = book.body.id;
+    await request(app).post(`/books/${book.body.id}/copies`).set(auth).send({ barcode: '31234000000107' });
+    const patron = Patron.create(app.locals.db, {
+      name: 'Concurrent Patron',
+      email: 'concurrent@example.com',
+      card_number: 'CARD-0001',
+    });
 
     const [res1, res2] = await Promise.all([
-      request(app).post(`/books/${bookId}/checkout`),
-      request(app).post(`/books/${bookId}/checkout`),
+      request(app).post('/copies/31234000000107/checkout').set(auth).send({ patron_id: patron.id }),
+      request(app).post('/copies/31234000000107/checkout').set(auth).send({ patron_id: patron.id }),
     ]);
 
     const statuses = [res1.status, res2.status].sort();
@@ -74,7 +88,7 @@ describe('Edge Cases & Hardening', () => {
 
   // Test 7: Negative page number falls back to default
   it('should fall back to page 1 for negative page number', async () => {
-    const res = await request(app).get('/books?page=-1');
+    const res = await request(app).get('/books?page=-1').set(auth);
     expect(res.status).toBe(200);
   });
 
@@ -82,6 +96,7 @@ describe('Edge Cases & Hardening', () => {
   it('should ignore extra unknown fields on POST /books', async () => {
     const res = await request(app)
       .post('/books')
+      .set(auth)
       .send({ title: 'Valid Book', author: 'Author', isbn: '9780451524935', published_year: 2020, foo: 'bar' });
     expect(res.status).toBe(201);
     expect(res.body).not.toHaveProperty('foo');
@@ -91,20 +106,22 @@ describe('Edge Cases & Hardening', () => {
   it('should return 400 for empty request body', async () => {
     const res = await request(app)
       .post('/books')
+      .set(auth)
       .set('Content-Type', 'application/json')
       .send({});
     expect(res.status).toBe(400);
-    expect(res.body).toHaveProperty('errors');
+    expect(res.body).toHaveProperty('invalid_params');
   });
 
   // Test 10: Content-Length: 0 with empty body returns 400
   it('should return 400 for Content-Length: 0, not 500', async () => {
     const res = await request(app)
       .post('/books')
+      .set(auth)
       .set('Content-Type', 'application/json')
       .set('Content-Length', '0')
       .send('');
     expect(res.status).toBe(400);
-    expect(res.body.error || res.body.errors).toBeTruthy();
+    expect(res.body.error || res.body.invalid_params).toBeTruthy();
   });
 });
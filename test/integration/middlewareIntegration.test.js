@@ -1,5 +1,9 @@
 const request = require('supertest');
 const app = require('../../src/app');
+const Patron = require('../../src/models/patron');
+const { createApiKey, createUser, login } = require('../../src/services/auth');
+
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'admin' }).key };
 
 describe('Middleware integration (src/app.js)', () => {
   describe('helmet security headers', () => {
@@ -12,7 +16,7 @@ describe('Middleware integration (src/app.js)', () => {
     });
 
     test('404 responses include helmet security headers', async () => {
-      const res = await request(app).get('/nonexistent-route');
+      const res = await request(app).get('/nonexistent-route').set(auth);
       expect(res.status).toBe(404);
       expect(res.headers['x-content-type-options']).toBe('nosniff');
       expect(res.headers['x-frame-options']).toBeDefined();
@@ -21,6 +25,7 @@ describe('Middleware integration (src/app.js)', () => {
     test('error responses include helmet security headers', async () => {
       const res = await request(app)
         .post('/books')
+        .set(auth)
         .set('Content-Type', 'application/json')
         .send('{ invalid json }');
       expect(res.status).toBe(400);
@@ -36,7 +41,7 @@ describe('Middleware integration (src/app.js)', () => {
       ];
 
       for (const { method, path } of endpoints) {
-        const res = await request(app)[method](path);
+        const res = await request(app)[method](path).set(auth);
         expect(res.headers['x-content-type-options']).toBe('nosniff');
       }
     });
@@ -46,25 +51,36 @@ describe('Middleware integration (src/app.js)', () => {
     test('malformed JSON body returns 400, not 500', async () => {
       const res = await request(app)
         .post('/books')
+        .set(auth)
         .set('Content-Type', 'application/json')
         .send('{ invalid json }');
       expect(res.status).toBe(400);
-      expect(res.body).toEqual({ error: 'Malformed JSON in request body' });
+      expect(res.body).toMatchObject({ code: 'MALFORMED_JSON', detail: 'Malformed JSON in request body' });
     });
 
-    test('malformed JSON error response has consistent { error: string } shape', async () => {
+    test('malformed JSON error response is an application/problem+json document', async () => {
       const res = await request(app)
         .post('/books')
+        .set(auth)
         .set('Content-Type', 'application/json')
         .send('not valid json at all');
       expect(res.status).toBe(400);
-      expect(Object.keys(res.body)).toEqual(['error']);
-      expect(typeof res.body.error).toBe('string');
+      expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(res.body).toEqual({
+        type: '/errors/MALFORMED_JSON',
+        title: 'Malformed JSON',
+        status: 400,
+        detail: 'Malformed JSON in request body',
+        instance: '/books',
+        code: 'MALFORMED_JSON',
+        request_id: res.headers['x-request-id'],
+      });
     });
 
     test('malformed JSON error response includes security headers', async () => {
       const res = await request(app)
         .post('/books')
+        .set(auth)
         .set('Content-Type', 'application/json')
         .send('{bad}');
       expect(res.status).toBe(400);
@@ -74,27 +90,27 @@ describe('Middleware integration (src/app.js)', () => {
 
   describe('404 catch-all', () => {
     test('unknown GET route returns 404 with JSON error', async () => {
-      const res = await request(app).get('/does-not-exist');
+      const res = await request(app).get('/does-not-exist').set(auth);
       expect(res.status).toBe(404);
-      expect(res.body).toEqual({ error: 'Not found' });
+      expect(res.body).toMatchObject({ code: 'NOT_FOUND', detail: 'Not found' });
     });
 
     test('unknown POST route returns 404 with JSON error', async () => {
-      const res = await request(app).post('/does-not-exist');
+      const res = await request(app).post('/does-not-exist').set(auth);
       expect(res.status).toBe(404);
-      expect(res.body).toEqual({ error: 'Not found' });
+      expect(res.body).toMatchObject({ code: 'NOT_FOUND', detail: 'Not found' });
     });
 
     test('unknown PUT route returns 404 with JSON error', async () => {
-      const res = await request(app).put('/does-not-exist');
+      const res = await request(app).put('/does-not-exist').set(auth);
       expect(res.status).toBe(404);
-      expect(res.body).toEqual({ error: 'Not found' });
+      expect(res.body).toMatchObject({ code: 'NOT_FOUND', detail: 'Not found' });
     });
 
     test('unknown DELETE route returns 404 with JSON error', async () => {
-      const res = await request(app).delete('/does-not-exist');
+      const res = await request(app).delete('/does-not-exist').set(auth);
       expect(res.status).toBe(404);
-      expect(res.body).toEqual({ error: 'Not found' });
+      expect(res.body).toMatchObject({ code: 'NOT_FOUND', detail: 'Not found' });
     });
   });
 
@@ -106,8 +122,79 @@ describe('Middleware integration (src/app.js)', () => {
     });
 
     test('GET /books returns 200', async () => {
+      const res = await request(app).get('/books').set(auth);
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe('authentication', () => {
+    test('routes other than health, docs and sign-in need credentials', async () => {
       const res = await request(app).get('/books');
+      expect(res.status).toBe(401);
+      expect(res.headers['www-authenticate']).toBe('Bearer');
+      expect(res.body).toMatchObject({ code: 'UNAUTHORIZED', detail: 'Authentication required' });
+
+      expect((await request(app).get('/docs/json')).status).toBe(200);
+      expect((await request(app).post('/auth/login').send({})).status).toBe(400);
+    });
+
+    test('unknown routes need credentials too', async () => {
+      expect((await request(app).get('/does-not-exist')).status).toBe(401);
+    });
+  });
+
+  describe('permissions', () => {
+    test('a clerk can read the catalogue but not change it', async () => {
+      const clerk = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Desk', role: 'clerk' }).key };
+
+      expect((await request(app).get('/books').set(clerk)).status).toBe(200);
+
+      const res = await request(app).post('/books').set(clerk).send({ title: 'T', author: 'A', isbn: '9780306406157' });
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({ detail: 'This requires the books:write permission' });
+    });
+
+    test('a patron sees their own loans and nobody else\'s', async () => {
+      const db = app.locals.db;
+      const own = Patron.create(db, { name: 'Ada', email: 'ada.perm@example.com', card_number: 'PERM-0001' });
+      const other = Patron.create(db, { name: 'Bob', email: 'bob.perm@example.com', card_number: 'PERM-0002' });
+      createUser(db, { username: 'ada.perm', password: 'correct horse battery', role: 'patron', patronId: own.id });
+      const { access_token: token } = login(db, { username: 'ada.perm', password: 'correct horse battery' });
+      const patron = { Authorization: `Bearer ${token}` };
+
+      expect((await request(app).get(`/patrons/${own.id}/loans`).set(patron)).status).toBe(200);
+      expect((await request(app).get(`/patrons/${other.id}/loans`).set(patron)).status).toBe(403);
+      expect((await request(app).get('/loans/overdue').set(patron)).status).toBe(403);
+      expect((await request(app).get(`/patrons/${own.id}`).set(patron)).status).toBe(403);
+    });
+  });
+
+  describe('audit log', () => {
+    test('records who changed a book and through which request', async () => {
+      const created = await request(app)
+        .post('/books')
+        .set(auth)
+        .set('X-Request-Id', 'audit-test-1')
+        .send({ title: 'Audited', author: 'A', isbn: '9780000000019', published_year: 2020 });
+      expect(created.status).toBe(201);
+      expect(created.headers['x-request-id']).toBe('audit-test-1');
+
+      const res = await request(app).get(`/audit?entity_type=book&entity_id=${created.body.id}`).set(auth);
+
       expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([expect.objectContaining({
+        action: 'book.created',
+        actor_type: 'api_key',
+        actor_name: 'Tests',
+        request_id: 'audit-test-1',
+        ip: expect.any(String),
+      })]);
+    });
+
+    test('every response carries a request id', async () => {
+      const res = await request(app).get('/health');
+
+      expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
     });
   });
 
@@ -121,6 +208,7 @@ describe('Middleware integration (src/app.js)', () => {
     test('express.json() is registered before routes (body parsing works)', async () => {
       const res = await request(app)
         .post('/books')
+        .set(auth)
         .send({ title: 'Test', author: 'Author', isbn: '1234567890123' })
         .set('Content-Type', 'application/json');
       // Should not be a 500 — body was parsed
@@ -130,11 +218,12 @@ describe('Middleware integration (src/app.js)', () => {
     test('errorHandler is the last middleware (catches malformed JSON errors)', async () => {
       const res = await request(app)
         .post('/books')
+        .set(auth)
         .set('Content-Type', 'application/json')
         .send('{{{{');
       // The centralized errorHandler catches the SyntaxError and returns 400
       expect(res.status).toBe(400);
-      expect(res.body.error).toBe('Malformed JSON in request body');
+      expect(res.body.detail).toBe('Malformed JSON in request body');
     });
   });
 });
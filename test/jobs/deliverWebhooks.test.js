@@ -0,0 +1,68 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Webhook = require('../../src/models/webhook');
+const WebhookDelivery = require('../../src/models/webhookDelivery');
+const { startWebhookDeliveryJob } = require('../../src/jobs/deliverWebhooks');
+
+describe('startWebhookDeliveryJob(db, options)', () => {
+  let db;
+  let job;
+  let fetch;
+  let webhook;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    fetch = jest.fn().mockResolvedValue({ status: 200 });
+    webhook = Webhook.create(db, { url: 'https://example.com/hook', events: ['book.created'], secret: 's' });
+    WebhookDelivery.enqueue(db, 'book.created', {});
+  });
+
+  afterEach(() => {
+    if (job) {
+      job.stop();
+      job = null;
+    }
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('runOnce sends due deliveries', async () => {
+    job = startWebhookDeliveryJob(db, { intervalMs: 60000, delivery: { fetch } });
+
+    expect(await job.runOnce()).toEqual({ succeeded: 1, failed: 0 });
+    expect(fetch).toHaveBeenCalledWith('https://example.com/hook', expect.objectContaining({ method: 'POST' }));
+    expect(WebhookDelivery.findByWebhookId(db, webhook.id).deliveries[0].status).toBe('succeeded');
+  });
+
+  test('a run still in progress is not started again', async () => {
+    job = startWebhookDeliveryJob(db, { intervalMs: 60000, delivery: { fetch } });
+
+    const first = job.runOnce();
+    expect(job.runOnce()).toBe(first);
+    await first;
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs on the configured interval', async () => {
+    jest.useFakeTimers();
+    try {
+      job = startWebhookDeliveryJob(db, { intervalMs: 1000, delivery: { fetch } });
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('runOnce logs and swallows errors', async () => {
+    job = startWebhookDeliveryJob(db, { intervalMs: 60000, delivery: { fetch } });
+    db.close();
+
+    expect(await job.runOnce()).toEqual({ succeeded: 0, failed: 0 });
+  });
+});
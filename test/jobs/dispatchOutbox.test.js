@@ -0,0 +1,146 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Outbox = require('../../src/models/outbox');
+const { startOutboxDispatchJob } = require('../../src/jobs/dispatchOutbox');
+
+describe('startOutboxDispatchJob(db, options)', () => {
+  let db;
+  let job;
+  let sink;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    sink = { name: 'test', handle: jest.fn() };
+    Outbox.append(db, { type: 'book.created', aggregateType: 'book', aggregateId: 'b1', data: {} });
+  });
+
+  afterEach(() => {
+    if (job) {
+      job.stop();
+      job = null;
+    }
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('runOnce hands new events to the sinks', async () => {
+    job = startOutboxDispatchJob(db, { intervalMs: 60000, sinks: [sink] });
+
+    expect(await job.runOnce()).toEqual([{ sink: 'test', dispatched: 1 }]);
+    expect(sink.handle).toHaveBeenCalledWith(db, expect.objectContaining({ seq: 1, type: 'book.created' }));
+  });
+
+  test('a failing sink is reported and retried on the next run', async () => {
+    sink.handle.mockImplementationOnce(() => { throw new Error('nope'); });
+    job = startOutboxDispatchJob(db, { intervalMs: 60000, sinks: [sink] });
+
+    expect((await job.runOnce())[0]).toMatchObject({ sink: 'test', dispatched: 0, error: expect.any(Error) });
+    expect(await job.runOnce()).toEqual([{ sink: 'test', dispatched: 1 }]);
+  });
+
+  test('a run still in progress is not started again', async () => {
+    job = startOutboxDispatchJob(db, { intervalMs: 60000, sinks: [sink] });
+
+    const first = job.runOnce();
+    expect(job.runOnce()).toBe(first);
+    await first;
+
+    expect(sink.handle).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs on the configured interval', async () => {
+    jest.useFakeTimers();
+    try {
+      job = startOutboxDispatchJob(db, { intervalMs: 1000, sinks: [sink] });
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(sink.handle).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('uses the configured sinks by default, the emitter starting from the newest event', async () => {
+    job = startOutboxDispatchJob(db, { intervalMs: 60000 });
+
+    expect(await job.runOnce()).toEqual([{ sink: 'webhooks', dispatched: 1 }, { sink: 'emitter', dispatched: 0 }]);
+  });
+
+  describe('when an event is appended', () => {
+    const nextTick = () => new Promise(resolve => setImmediate(resolve));
+    const appendEvent = (to = db) => Outbox.append(to, { type: 'book.updated', aggregateType: 'book', aggregateId: 'b1', data: {} });
+
+    test('runs once the appending transaction has committed', async () => {
+      job = startOutboxDispatchJob(db, { intervalMs: 60000, sinks: [sink] });
+
+      db.transaction(() => {
+        appendEvent();
+        appendEvent();
+      })();
+      expect(sink.handle).not.toHaveBeenCalled();
+      await nextTick();
+      expect(sink.handle).toHaveBeenCalled();
+      await job.runOnce();
+
+      expect(sink.handle.mock.calls.map(([, event]) => event.seq)).toEqual([1, 2, 3]);
+    });
+
+    test('finds nothing new if the transaction rolled back', async () => {
+      job = startOutboxDispatchJob(db, { intervalMs: 60000, sinks: [sink] });
+      await job.runOnce();
+
+      expect(() => db.transaction(() => {
+        appendEvent();
+        throw new Error('rolled back');
+      })()).toThrow('rolled back');
+      await nextTick();
+      await job.runOnce();
+
+      expect(sink.handle).toHaveBeenCalledTimes(1);
+    });
+
+    test('runs again after a run that was already in progress', async () => {
+      let release;
+      sink.handle.mockImplementationOnce(() => new Promise(resolve => { release = resolve; }));
+      job = startOutboxDispatchJob(db, { intervalMs: 60000, sinks: [sink] });
+
+      const first = job.runOnce();
+      appendEvent();
+      await nextTick();
+      release();
+      await first;
+
+      expect(sink.handle.mock.calls.map(([, event]) => event.seq)).toEqual([1, 2]);
+      await job.runOnce();
+    });
+
+    test('ignores other databases, and stops listening when stopped', async () => {
+      const other = getDatabase(':memory:');
+      try {
+        migrate(other);
+        const listeners = Outbox.appends.listenerCount('append');
+        job = startOutboxDispatchJob(db, { intervalMs: 60000, sinks: [sink] });
+
+        appendEvent(other);
+        await nextTick();
+        expect(sink.handle).not.toHaveBeenCalled();
+
+        job.stop();
+        job = null;
+        expect(Outbox.appends.listenerCount('append')).toBe(listeners);
+      } finally {
+        other.close();
+      }
+    });
+  });
+
+  test('runOnce logs and swallows errors', async () => {
+    job = startOutboxDispatchJob(db, { intervalMs: 60000, sinks: [sink] });
+    db.close();
+
+    expect(await job.runOnce()).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Patron = require('../../src/models/patron');
+const { checkoutBook, returnBook } = require('../../src/services/checkout');
+const { placeHold } = require('../../src/services/holds');
+const { startHoldExpiryJob } = require('../../src/jobs/expireHolds');
+
+describe('startHoldExpiryJob(db, options)', () => {
+  let db;
+  let job;
+  let book;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2023 });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+    Patron.create(db, { name: 'Alice', email: 'alice@example.com', card_number: 'CARD-0001' });
+    checkoutBook(db, 'C-1');
+    placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+    returnBook(db, 'C-1');
+  });
+
+  afterEach(() => {
+    if (job) {
+      job.stop();
+      job = null;
+    }
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('runOnce expires holds past their pickup window', () => {
+    job = startHoldExpiryJob(db, { intervalMs: 60000 });
+    expect(job.runOnce()).toBe(0);
+
+    db.prepare("UPDATE holds SET pickup_expires_at = '2020-01-01T00:00:00.000Z'").run();
+
+    expect(job.runOnce()).toBe(1);
+    expect(Book.findById(db, book.id).status).toBe('available');
+  });
+
+  test('runs on the configured interval', () => {
+    jest.useFakeTimers();
+    try {
+      db.prepare("UPDATE holds SET pickup_expires_at = '2020-01-01T00:00:00.000Z'").run();
+      job = startHoldExpiryJob(db, { intervalMs: 1000 });
+
+      jest.advanceTimersByTime(1000);
+
+      expect(Book.findById(db, book.id).status).toBe('available');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('runOnce logs and swallows errors', () => {
+    job = startHoldExpiryJob(db, { intervalMs: 60000 });
+    db.close();
+
+    expect(job.runOnce()).toBe(0);
+  });
+});
@@ -0,0 +1,64 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const IdempotencyKey = require('../../src/models/idempotencyKey');
+const { startIdempotencyPurgeJob } = require('../../src/jobs/purgeIdempotencyKeys');
+
+describe('startIdempotencyPurgeJob(db, options)', () => {
+  let db;
+  let job;
+
+  function saveExpiredKey() {
+    IdempotencyKey.save(db, {
+      scope: 'api_key:a',
+      key: 'k1',
+      fingerprint: 'f',
+      statusCode: 201,
+      body: {},
+      now: new Date('2020-01-01T00:00:00.000Z'),
+      expiresAt: new Date('2020-01-02T00:00:00.000Z'),
+    });
+  }
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (job) {
+      job.stop();
+      job = null;
+    }
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('runOnce deletes expired keys', () => {
+    saveExpiredKey();
+    job = startIdempotencyPurgeJob(db, { intervalMs: 60000 });
+
+    expect(job.runOnce()).toBe(1);
+    expect(job.runOnce()).toBe(0);
+  });
+
+  test('runs on the configured interval', () => {
+    jest.useFakeTimers();
+    try {
+      saveExpiredKey();
+      job = startIdempotencyPurgeJob(db, { intervalMs: 1000 });
+      jest.advanceTimersByTime(1000);
+
+      expect(db.prepare('SELECT COUNT(*) AS n FROM idempotency_keys').get().n).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('swallows database errors so the timer keeps running', () => {
+    job = startIdempotencyPurgeJob(db, { intervalMs: 60000 });
+    db.close();
+
+    expect(job.runOnce()).toBe(0);
+  });
+});
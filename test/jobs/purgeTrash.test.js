@@ -0,0 +1,59 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const { deleteBook } = require('../../src/services/trash');
+const { startPurgeJob } = require('../../src/jobs/purgeTrash');
+
+describe('startPurgeJob(db, options)', () => {
+  let db;
+  let job;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (job) {
+      job.stop();
+      job = null;
+    }
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('runOnce purges books past the retention window', () => {
+    const book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2023 });
+    deleteBook(db, book.id);
+    db.prepare("UPDATE books SET deleted_at = '2020-01-01T00:00:00.000Z' WHERE id = ?").run(book.id);
+
+    job = startPurgeJob(db, { intervalMs: 60000, retentionDays: 7 });
+
+    expect(job.runOnce()).toBe(1);
+    expect(job.runOnce()).toBe(0);
+  });
+
+  test('runs on the configured interval', () => {
+    jest.useFakeTimers();
+    try {
+      const book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2023 });
+      deleteBook(db, book.id);
+      db.prepare("UPDATE books SET deleted_at = '2020-01-01T00:00:00.000Z' WHERE id = ?").run(book.id);
+
+      job = startPurgeJob(db, { intervalMs: 1000, retentionDays: 7 });
+      jest.advanceTimersByTime(1000);
+
+      expect(db.prepare('SELECT COUNT(*) AS n FROM books').get().n).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('swallows database errors so the timer keeps running', () => {
+    job = startPurgeJob(db, { intervalMs: 60000, retentionDays: 7 });
+    db.close();
+
+    expect(job.runOnce()).toBe(0);
+  });
+});
@@ -0,0 +1,187 @@
+const {
+  MARCXML_NAMESPACE,
+  MarcFormatError,
+  parseMarc21,
+  serializeMarc21,
+  parseMarcXml,
+  serializeMarcXml,
+  bookFieldsFromMarc,
+  marcFromBook,
+} = require('../src/marc');
+
+const DUNE = {
+  leader: '01234cam a2200289 i 4500',
+  fields: [
+    { tag: '001', value: 'ocm00123456' },
+    { tag: '008', value: '650101s1965    nyu           000 1 eng d' },
+    { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: '0441013597 (pbk.)' }] },
+    { tag: '100', ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: 'Herbert, Frank,' }, { code: 'e', value: 'author.' }] },
+    {
+      tag: '245',
+      ind1: '1',
+      ind2: '0',
+      subfields: [{ code: 'a', value: 'Dune :' }, { code: 'b', value: 'a novel /' }, { code: 'c', value: 'Frank Herbert.' }],
+    },
+    { tag: '264', ind1: ' ', ind2: '4', subfields: [{ code: 'c', value: '©1964' }] },
+    { tag: '264', ind1: ' ', ind2: '1', subfields: [{ code: 'a', value: 'New York :' }, { code: 'b', value: 'Ace,' }, { code: 'c', value: '[1965]' }] },
+    { tag: '650', ind1: ' ', ind2: '0', subfields: [{ code: 'a', value: 'Science fiction & fantasy <classic>.' }] },
+  ],
+};
+
+const DUNE_BOOK = {
+  id: '3f0c2a8e-7d1b-4f6a-9c2e-5b8d1e4a7c90',
+  title: 'Dune : a novel',
+  author: 'Herbert, Frank',
+  isbn: '0441013597',
+  published_year: 1965,
+};
+
+describe('MARC21 binary', () => {
+  test('a serialized record reads back unchanged, with its length and base address filled in', () => {
+    const bytes = serializeMarc21(DUNE);
+    const record = parseMarc21(bytes);
+
+    expect(record.fields).toEqual(DUNE.fields);
+    expect(Number(record.leader.slice(0, 5))).toBe(bytes.length);
+    expect(bytes.indexOf(0x1E)).toBe(Number(record.leader.slice(12, 17)) - 1);
+    expect(record.leader.slice(5, 12)).toBe('cam a22');
+    expect(bytes[bytes.length - 1]).toBe(0x1D);
+    expect(serializeMarc21(record)).toEqual(bytes);
+  });
+
+  test('counts field lengths in bytes, not characters', () => {
+    const bytes = serializeMarc21(DUNE);
+
+    // The first 264 is " 4", $c, "©1964" and the field terminator
+    expect(bytes.toString('latin1', 24 + 5 * 12, 24 + 5 * 12 + 7)).toBe('2640011');
+    expect(parseMarc21(bytes).fields[5].subfields[0].value).toBe('©1964');
+  });
+
+  test('marks the record as Unicode', () => {
+    const bytes = serializeMarc21({ ...DUNE, leader: '00000cam  2200000 i 4500' });
+
+    expect(bytes.toString('latin1', 9, 10)).toBe('a');
+  });
+
+  test('rejects records it cannot read', () => {
+    const bytes = serializeMarc21(DUNE);
+    const tamper = (at, text) => Buffer.concat([bytes.subarray(0, at), Buffer.from(text, 'latin1'), bytes.subarray(at + text.length)]);
+
+    expect(() => parseMarc21(Buffer.from('00026'))).toThrow(new MarcFormatError('Record is shorter than a MARC leader'));
+    expect(() => parseMarc21(tamper(12, '9999x'))).toThrow('Record has an invalid base address of data');
+    expect(() => parseMarc21(tamper(24, '!!!'))).toThrow('Record has an invalid directory entry');
+    expect(() => parseMarc21(tamper(27, '9999'))).toThrow('Field 001 runs past the end of the record');
+    expect(() => parseMarc21(tamper(9, ' '))).toThrow('Only Unicode (UTF-8) MARC records are supported');
+  });
+
+  test('reads a plain ASCII MARC-8 record', () => {
+    const ascii = { leader: DUNE.leader, fields: DUNE.fields.slice(0, 5) };
+    const bytes = serializeMarc21(ascii);
+    bytes.write(' ', 9, 'latin1');
+
+    expect(parseMarc21(bytes).fields).toEqual(ascii.fields);
+  });
+});
+
+describe('MARCXML', () => {
+  test('a serialized record reads back unchanged, escaping markup', () => {
+    const xml = serializeMarcXml(DUNE);
+
+    expect(xml).toContain(`<record xmlns="${MARCXML_NAMESPACE}">`);
+    expect(xml).toContain('<subfield code="a">Science fiction &amp; fantasy &lt;classic&gt;.</subfield>');
+    expect(parseMarcXml(xml)).toEqual(DUNE);
+  });
+
+  test('reads prefixed elements, single-quoted attributes and character references', () => {
+    const xml = `<marc:collection xmlns:marc="${MARCXML_NAMESPACE}"><marc:record>
+      <marc:leader>${DUNE.leader}</marc:leader>
+      <marc:controlfield tag='001'>ocm&#x31;23</marc:controlfield>
+      <marc:datafield tag="245" ind1="0" ind2="0"><marc:subfield code="a">Emma&#46;</marc:subfield><marc:subfield code="b"/></marc:datafield>
+      <marc:datafield tag="500" ind1=" " ind2=" "/>
+    </marc:record></marc:collection>`;
+
+    expect(parseMarcXml(xml)).toEqual({
+      leader: DUNE.leader,
+      fields: [
+        { tag: '001', value: 'ocm123' },
+        { tag: '245', ind1: '0', ind2: '0', subfields: [{ code: 'a', value: 'Emma.' }, { code: 'b', value: '' }] },
+        { tag: '500', ind1: ' ', ind2: ' ', subfields: [] },
+      ],
+    });
+  });
+
+  test('rejects a record without a leader or with an untagged field', () => {
+    expect(() => parseMarcXml('<record><controlfield tag="001">1</controlfield></record>'))
+      .toThrow(new MarcFormatError('Record has no 24-character leader'));
+    expect(() => parseMarcXml(`<record><leader>${DUNE.leader}</leader><datafield ind1=" "></datafield></record>`))
+      .toThrow('Record has a field without a valid tag');
+  });
+});
+
+describe('bookFieldsFromMarc(record)', () => {
+  test('reads the ISBN, author, title and publication year, dropping ISBD punctuation', () => {
+    expect(bookFieldsFromMarc(DUNE)).toEqual({
+      isbn: '0441013597',
+      author: 'Herbert, Frank',
+      title: 'Dune : a novel',
+      published_year: 1965,
+    });
+  });
+
+  test('falls back to 260 and then to any 264 for the year', () => {
+    const fields = DUNE.fields.filter(field => !(field.tag === '264' && field.ind2 === '1'));
+
+    expect(bookFieldsFromMarc({ fields }).published_year).toBe(1964);
+    expect(bookFieldsFromMarc({
+      fields: [...fields, { tag: '260', ind1: ' ', ind2: ' ', subfields: [{ code: 'c', value: 'c1970.' }] }],
+    }).published_year).toBe(1970);
+  });
+
+  test('leaves out what the record does not give', () => {
+    expect(bookFieldsFromMarc({
+      fields: [
+        { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'z', value: '0441013597' }] },
+        { tag: '260', ind1: ' ', ind2: ' ', subfields: [{ code: 'c', value: 'n.d.' }] },
+      ],
+    })).toEqual({});
+  });
+});
+
+describe('marcFromBook(book, record)', () => {
+  test('gives back the imported record as it was when the book is unchanged', () => {
+    expect(marcFromBook(DUNE_BOOK, DUNE)).toEqual(DUNE);
+  });
+
+  test('rewrites only the subfields of changed columns, keeping qualifiers and the text around the year', () => {
+    const record = marcFromBook({ ...DUNE_BOOK, isbn: '9780441013593', title: 'Dune', published_year: 1990 }, DUNE);
+
+    expect(record.fields.find(field => field.tag === '020').subfields).toEqual([{ code: 'a', value: '9780441013593 (pbk.)' }]);
+    expect(record.fields.find(field => field.tag === '245').subfields).toEqual([
+      { code: 'a', value: 'Dune' },
+      { code: 'c', value: 'Frank Herbert.' },
+    ]);
+    expect(record.fields[6].subfields[2]).toEqual({ code: 'c', value: '[1990]' });
+    expect(record.fields[5]).toEqual(DUNE.fields[5]);
+    expect(DUNE.fields[4].subfields).toHaveLength(3);
+  });
+
+  test('adds fields for columns the record lacks, in tag order', () => {
+    const record = marcFromBook(DUNE_BOOK, { leader: DUNE.leader, fields: [DUNE.fields[0], DUNE.fields[7]] });
+
+    expect(record.fields.map(field => field.tag)).toEqual(['001', '020', '100', '245', '264', '650']);
+    expect(bookFieldsFromMarc(record)).toEqual(bookFieldsFromMarc(DUNE));
+  });
+
+  test('makes a minimal record for a book that was not imported from MARC', () => {
+    const record = marcFromBook({ ...DUNE_BOOK, isbn: null });
+
+    expect(record.leader).toBe('00000nam a2200000 i 4500');
+    expect(record.fields).toEqual([
+      { tag: '001', value: DUNE_BOOK.id },
+      { tag: '100', ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: 'Herbert, Frank' }] },
+      { tag: '245', ind1: '1', ind2: '0', subfields: [{ code: 'a', value: 'Dune : a novel' }] },
+      { tag: '264', ind1: ' ', ind2: '1', subfields: [{ code: 'c', value: '1965' }] },
+    ]);
+    expect(parseMarc21(serializeMarc21(record)).fields).toEqual(record.fields);
+  });
+});
@@ -0,0 +1,71 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const authenticate = require('../../src/middleware/authenticate');
+const { createUser, login, createApiKey } = require('../../src/services/auth');
+const { UnauthorizedError } = require('../../src/errors');
+
+describe('authenticate middleware (src/middleware/authenticate.js)', () => {
+  let db;
+  let next;
+
+  const requestWith = headers => ({
+    app: { locals: { db } },
+    get: name => headers[name.toLowerCase()],
+  });
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('identifies an integration by its X-API-Key header', () => {
+    const apiKey = createApiKey(db, { name: 'Signage', role: 'librarian' });
+    const req = requestWith({ 'x-api-key': apiKey.key });
+
+    authenticate(req, {}, next);
+
+    expect(req.auth).toEqual({ type: 'api_key', id: apiKey.id, name: 'Signage', role: 'librarian', patronId: null });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('identifies a staff member by a bearer access token', () => {
+    const user = createUser(db, { username: 'jsmith', password: 'correct horse battery', role: 'admin' });
+    const { access_token: token } = login(db, { username: 'jsmith', password: 'correct horse battery' });
+    const req = requestWith({ authorization: `bearer ${token}` });
+
+    authenticate(req, {}, next);
+
+    expect(req.auth).toEqual({ type: 'user', id: user.id, name: 'jsmith', role: 'admin', patronId: null });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('sets the audit context for the models that write the audit log', () => {
+    const apiKey = createApiKey(db, { name: 'Signage', role: 'clerk' });
+    const req = { ...requestWith({ 'x-api-key': apiKey.key }), id: 'r1', ip: '10.0.0.1' };
+
+    authenticate(req, {}, next);
+
+    expect(req.audit).toEqual({ actor: req.auth, requestId: 'r1', ip: '10.0.0.1' });
+  });
+
+  test('rejects requests without credentials or with another scheme', () => {
+    expect(() => authenticate(requestWith({}), {}, next)).toThrow(new UnauthorizedError('Authentication required'));
+    expect(() => authenticate(requestWith({ authorization: 'Basic dXNlcjpwYXNz' }), {}, next))
+      .toThrow(UnauthorizedError);
+    expect(() => authenticate(requestWith({ authorization: 'Bearer' }), {}, next)).toThrow(UnauthorizedError);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('rejects bad credentials', () => {
+    expect(() => authenticate(requestWith({ 'x-api-key': 'lib_guess' }), {}, next)).toThrow(UnauthorizedError);
+    expect(() => authenticate(requestWith({ authorization: 'Bearer abc.def.ghi' }), {}, next))
+      .toThrow(UnauthorizedError);
+  });
+});
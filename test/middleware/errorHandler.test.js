@@ -1,5 +1,12 @@
 const errorHandler = require('../../src/middleware/errorHandler');
-const { AppError, BookNotFoundError, BookUnavailableError } = require('../../src/errors');
+const {
+  AppError,
+  BookNotFoundError,
+  BookUnavailableError,
+  RenewalDeniedError,
+  UnauthorizedError,
+  ValidationError,
+} = require('../../src/errors');
 const logger = require('../../src/logger');
 
 // Mock the logger to verify logging calls
@@ -14,9 +21,11 @@ describe('errorHandler middleware (src/middleware/errorHandler.js)', () => {
   let next;
 
   beforeEach(() => {
-    req = {};
+    req = { originalUrl: '/books/123', id: 'req-1' };
     res = {
       status: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
       json: jest.fn().mockReturnThis(),
     };
     next = jest.fn();
@@ -31,23 +40,37 @@ describe('errorHandler middleware (src/middleware/errorHandler.js)', () => {
     expect(errorHandler.length).toBe(4);
   });
 
+  test('responds with Content-Type application/problem+json', () => {
+    errorHandler(new BookNotFoundError(), req, res, next);
+
+    expect(res.type).toHaveBeenCalledWith('application/problem+json');
+  });
+
   describe('AppError instances', () => {
-    test('responds with the correct statusCode and error message', () => {
-      const err = new AppError('Something went wrong', 422);
+    test('responds with the status and a problem built from the catalog entry for its code', () => {
+      const err = new AppError('Something went wrong', 'BOOK_UNAVAILABLE');
 
       errorHandler(err, req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(422);
-      expect(res.json).toHaveBeenCalledWith({ error: 'Something went wrong' });
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        type: '/errors/BOOK_UNAVAILABLE',
+        title: 'Book unavailable',
+        status: 409,
+        detail: 'Something went wrong',
+        instance: '/books/123',
+        code: 'BOOK_UNAVAILABLE',
+        request_id: 'req-1',
+      });
     });
 
-    test('logs at warn level with err and statusCode', () => {
-      const err = new AppError('Bad input', 400);
+    test('logs at warn level with err, statusCode and code', () => {
+      const err = new AppError('Bad input', 'VALIDATION_FAILED');
 
       errorHandler(err, req, res, next);
 
       expect(logger.warn).toHaveBeenCalledWith(
-        { err, statusCode: 400 },
+        { err, statusCode: 400, code: 'VALIDATION_FAILED' },
         'Bad input'
       );
     });
@@ -58,9 +81,9 @@ describe('errorHandler middleware (src/middleware/errorHandler.js)', () => {
       errorHandler(err, req, res, next);
 
       expect(res.status).toHaveBeenCalledWith(404);
-      expect(res.json).toHaveBeenCalledWith({ error: 'Book not found' });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'BOOK_NOT_FOUND', detail: 'Book not found' }));
       expect(logger.warn).toHaveBeenCalledWith(
-        { err, statusCode: 404 },
+        { err, statusCode: 404, code: 'BOOK_NOT_FOUND' },
         'Book not found'
       );
     });
@@ -71,31 +94,63 @@ describe('errorHandler middleware (src/middleware/errorHandler.js)', () => {
       errorHandler(err, req, res, next);
 
       expect(res.status).toHaveBeenCalledWith(409);
-      expect(res.json).toHaveBeenCalledWith({ error: 'Book is already checked out' });
-      expect(logger.warn).toHaveBeenCalledWith(
-        { err, statusCode: 409 },
-        'Book is already checked out'
-      );
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'BOOK_UNAVAILABLE',
+        detail: 'Book is already checked out',
+      }));
+    });
+
+    test('adds invalid_params for a ValidationError', () => {
+      const invalidParams = [{ name: 'isbn', in: 'body', reason: 'ISBN is required' }];
+
+      errorHandler(new ValidationError(invalidParams), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'VALIDATION_FAILED',
+        invalid_params: invalidParams,
+      }));
+    });
+
+    test('adds reason for a RenewalDeniedError', () => {
+      errorHandler(new RenewalDeniedError('Other patrons are waiting for this book', 'HOLDS_PENDING'), req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'RENEWAL_DENIED', reason: 'HOLDS_PENDING' }));
     });
 
     test('does not log at error level for AppError instances', () => {
-      const err = new AppError('Known error', 400);
+      const err = new AppError('Known error', 'VALIDATION_FAILED');
 
       errorHandler(err, req, res, next);
 
       expect(logger.error).not.toHaveBeenCalled();
     });
+
+    test('UnauthorizedError responds 401 with a WWW-Authenticate challenge', () => {
+      errorHandler(new UnauthorizedError(), req, res, next);
+
+      expect(res.set).toHaveBeenCalledWith('WWW-Authenticate', 'Bearer');
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'UNAUTHORIZED',
+        detail: 'Authentication required',
+      }));
+    });
   });
 
   describe('JSON parse errors (entity.parse.failed)', () => {
-    test('responds with 400 and "Malformed JSON in request body"', () => {
+    test('responds with a 400 MALFORMED_JSON problem', () => {
       const err = new SyntaxError('Unexpected token');
       err.type = 'entity.parse.failed';
 
       errorHandler(err, req, res, next);
 
       expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({ error: 'Malformed JSON in request body' });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        type: '/errors/MALFORMED_JSON',
+        code: 'MALFORMED_JSON',
+        detail: 'Malformed JSON in request body',
+      }));
     });
 
     test('does not log at error level for JSON parse errors', () => {
@@ -118,13 +173,21 @@ describe('errorHandler middleware (src/middleware/errorHandler.js)', () => {
   });
 
   describe('unknown/unexpected errors', () => {
-    test('responds with 500 and generic "Internal server error"', () => {
+    test('responds with a 500 INTERNAL_ERROR problem', () => {
       const err = new Error('Something broke internally');
 
       errorHandler(err, req, res, next);
 
       expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith({ error: 'Internal server error' });
+      expect(res.json).toHaveBeenCalledWith({
+        type: '/errors/INTERNAL_ERROR',
+        title: 'Internal server error',
+        status: 500,
+        detail: 'Internal server error',
+        instance: '/books/123',
+        code: 'INTERNAL_ERROR',
+        request_id: 'req-1',
+      });
     });
 
     test('does not leak the original error message to the client', () => {
@@ -133,8 +196,8 @@ describe('errorHandler middleware (src/middleware/errorHandler.js)', () => {
       errorHandler(err, req, res, next);
 
       const responseBody = res.json.mock.calls[0][0];
-      expect(responseBody.error).toBe('Internal server error');
-      expect(responseBody.error).not.toContain('secret');
+      expect(responseBody.detail).toBe('Internal server error');
+      expect(JSON.stringify(responseBody)).not.toContain('secret');
     });
 
     test('does not leak stack traces to the client', () => {
@@ -168,29 +231,23 @@ describe('errorHandler middleware (src/middleware/errorHandler.js)', () => {
   });
 
   describe('consistent response shape', () => {
-    test('AppError response has only "error" key', () => {
-      const err = new AppError('Test', 400);
-      errorHandler(err, req, res, next);
-      const body = res.json.mock.calls[0][0];
-      expect(Object.keys(body)).toEqual(['error']);
-      expect(typeof body.error).toBe('string');
+    const PROBLEM_KEYS = ['type', 'title', 'status', 'detail', 'instance', 'code', 'request_id'];
+
+    test('AppError response has only the problem members', () => {
+      errorHandler(new BookNotFoundError(), req, res, next);
+      expect(Object.keys(res.json.mock.calls[0][0])).toEqual(PROBLEM_KEYS);
     });
 
-    test('JSON parse error response has only "error" key', () => {
+    test('JSON parse error response has only the problem members', () => {
       const err = new SyntaxError('bad json');
       err.type = 'entity.parse.failed';
       errorHandler(err, req, res, next);
-      const body = res.json.mock.calls[0][0];
-      expect(Object.keys(body)).toEqual(['error']);
-      expect(typeof body.error).toBe('string');
+      expect(Object.keys(res.json.mock.calls[0][0])).toEqual(PROBLEM_KEYS);
     });
 
-    test('unknown error response has only "error" key', () => {
-      const err = new Error('boom');
-      errorHandler(err, req, res, next);
-      const body = res.json.mock.calls[0][0];
-      expect(Object.keys(body)).toEqual(['error']);
-      expect(typeof body.error).toBe('string');
+    test('unknown error response has only the problem members', () => {
+      errorHandler(new Error('boom'), req, res, next);
+      expect(Object.keys(res.json.mock.calls[0][0])).toEqual(PROBLEM_KEYS);
     });
   });
 });
@@ -0,0 +1,54 @@
+const express = require('express');
+const request = require('supertest');
+const idempotency = require('../../src/middleware/idempotency');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { fingerprint } = require('../../src/services/idempotency');
+
+function createApp(auth = { type: 'api_key', id: 'k-1' }) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.auth = auth;
+    next();
+  });
+  const router = express.Router();
+  router.post('/:id', idempotency, (req, res) => res.json({ idempotency: req.idempotency || null }));
+  app.use('/things', router);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('idempotency middleware (src/middleware/idempotency.js)', () => {
+  test('leaves req.idempotency unset without an Idempotency-Key header', async () => {
+    const res = await request(createApp()).post('/things/1').send({ a: 1 });
+
+    expect(res.body).toEqual({ idempotency: null });
+  });
+
+  test('scopes the key to the caller and fingerprints the full path and body', async () => {
+    const res = await request(createApp({ type: 'user', id: 'u-1' }))
+      .post('/things/1?ignored=1')
+      .set('Idempotency-Key', 'abc-123')
+      .send({ a: 1 });
+
+    expect(res.body.idempotency).toEqual({
+      scope: 'user:u-1',
+      key: 'abc-123',
+      fingerprint: fingerprint({ method: 'POST', path: '/things/1', body: { a: 1 } }),
+    });
+  });
+
+  test.each([
+    ['has a space', 'abc 123'],
+    ['is too long', 'k'.repeat(256)],
+    ['is empty', ''],
+  ])('responds 400 when the key %s', async (_, key) => {
+    const res = await request(createApp()).post('/things/1').set('Idempotency-Key', key).send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({
+      code: 'VALIDATION_FAILED',
+      invalid_params: [expect.objectContaining({ name: 'idempotency-key', in: 'headers' })],
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const express = require('express');
+const request = require('supertest');
+const preconditions = require('../../src/middleware/preconditions');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+function createApp() {
+  const app = express();
+  app.put('/things/1', preconditions, (req, res) => res.json({ ifMatch: req.ifMatch || null }));
+  app.use(errorHandler);
+  return app;
+}
+
+describe('preconditions middleware (src/middleware/preconditions.js)', () => {
+  afterEach(() => {
+    delete process.env.REQUIRE_IF_MATCH;
+  });
+
+  test('parses If-Match into req.ifMatch', async () => {
+    const res = await request(createApp()).put('/things/1').set('If-Match', '"1", "2"');
+
+    expect(res.body).toEqual({ ifMatch: ['"1"', '"2"'] });
+  });
+
+  test('leaves req.ifMatch unset without If-Match by default', async () => {
+    const res = await request(createApp()).put('/things/1');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ ifMatch: null });
+  });
+
+  test('responds 428 without If-Match when REQUIRE_IF_MATCH is true', async () => {
+    process.env.REQUIRE_IF_MATCH = 'true';
+
+    const res = await request(createApp()).put('/things/1');
+
+    expect(res.status).toBe(428);
+    expect(res.body).toMatchObject({ code: 'PRECONDITION_REQUIRED', detail: 'This request requires an If-Match header' });
+  });
+});
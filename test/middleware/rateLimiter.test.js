@@ -50,6 +50,7 @@ describe('rateLimiter middleware (src/middleware/rateLimiter.js)', () => {
     app.get('/test', (req, res) => {
       res.status(200).json({ ok: true });
     });
+    app.use(require('../../src/middleware/errorHandler'));
 
     // Send requests up to the limit
     for (let i = 0; i < 3; i++) {
@@ -60,10 +61,10 @@ describe('rateLimiter middleware (src/middleware/rateLimiter.js)', () => {
     // The next request should be rate limited
     const res = await request(app).get('/test');
     expect(res.status).toBe(429);
-    expect(res.body).toEqual({ error: 'Too many requests, please try again later' });
+    expect(res.body).toMatchObject({ code: 'RATE_LIMITED', detail: 'Too many requests, please try again later' });
   });
 
-  test('429 response body follows consistent { error: "string" } shape', async () => {
+  test('429 response is a RATE_LIMITED problem with Retry-After', async () => {
     process.env.RATE_LIMIT_WINDOW_MS = '60000';
     process.env.RATE_LIMIT_MAX = '1';
     const rateLimiter = require('../../src/middleware/rateLimiter');
@@ -73,6 +74,7 @@ describe('rateLimiter middleware (src/middleware/rateLimiter.js)', () => {
     app.get('/test', (req, res) => {
       res.status(200).json({ ok: true });
     });
+    app.use(require('../../src/middleware/errorHandler'));
 
     // Exhaust the limit
     await request(app).get('/test');
@@ -80,8 +82,9 @@ describe('rateLimiter middleware (src/middleware/rateLimiter.js)', () => {
     // Verify 429 response shape
     const res = await request(app).get('/test');
     expect(res.status).toBe(429);
-    expect(Object.keys(res.body)).toEqual(['error']);
-    expect(typeof res.body.error).toBe('string');
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.headers['retry-after']).toBeDefined();
+    expect(res.body).toMatchObject({ type: '/errors/RATE_LIMITED', status: 429, code: 'RATE_LIMITED' });
   });
 
   test('returns RateLimit-* standard headers when standardHeaders is true', async () => {
@@ -0,0 +1,41 @@
+const requestId = require('../../src/middleware/requestId');
+
+describe('requestId middleware (src/middleware/requestId.js)', () => {
+  let res;
+  let next;
+
+  const requestWith = headers => ({ get: name => headers[name.toLowerCase()] });
+
+  beforeEach(() => {
+    res = { set: jest.fn() };
+    next = jest.fn();
+  });
+
+  test('keeps the caller\'s X-Request-Id and echoes it back', () => {
+    const req = requestWith({ 'x-request-id': 'scanner-7:000123' });
+
+    requestId(req, res, next);
+
+    expect(req.id).toBe('scanner-7:000123');
+    expect(res.set).toHaveBeenCalledWith('X-Request-Id', 'scanner-7:000123');
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('generates an id when none is given', () => {
+    const req = requestWith({});
+
+    requestId(req, res, next);
+
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.set).toHaveBeenCalledWith('X-Request-Id', req.id);
+  });
+
+  test('replaces an id that could forge log lines', () => {
+    const req = requestWith({ 'x-request-id': 'abc\nlevel=error' });
+
+    requestId(req, res, next);
+
+    expect(req.id).not.toContain('\n');
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
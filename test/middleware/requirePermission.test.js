@@ -0,0 +1,55 @@
+const requirePermission = require('../../src/middleware/requirePermission');
+const { ForbiddenError } = require('../../src/errors');
+
+describe('requirePermission middleware (src/middleware/requirePermission.js)', () => {
+  const PATRON_ID = '11111111-1111-4111-8111-111111111111';
+  const OTHER_ID = '22222222-2222-4222-8222-222222222222';
+  let next;
+
+  const requestAs = (role, { patronId = null, params = {} } = {}) => ({ auth: { role, patronId }, params });
+
+  beforeEach(() => {
+    next = jest.fn();
+  });
+
+  test('lets through a role that grants the permission', () => {
+    requirePermission('books:write')(requestAs('librarian'), {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('rejects a role that does not', () => {
+    const check = requirePermission('books:write');
+
+    expect(() => check(requestAs('clerk'), {}, next)).toThrow(ForbiddenError);
+    expect(() => check(requestAs('clerk'), {}, next)).toThrow('This requires the books:write permission');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  describe('with an owner', () => {
+    const check = requirePermission('loans:read', { owner: req => req.params.id });
+
+    test('lets a patron through for their own record', () => {
+      check(requestAs('patron', { patronId: PATRON_ID, params: { id: PATRON_ID } }), {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('rejects a patron asking about someone else', () => {
+      expect(() => check(requestAs('patron', { patronId: PATRON_ID, params: { id: OTHER_ID } }), {}, next))
+        .toThrow(ForbiddenError);
+    });
+
+    test('still lets staff through for anyone', () => {
+      check(requestAs('clerk', { params: { id: OTHER_ID } }), {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+
+  test(':own permissions do nothing on routes without an owner', () => {
+    const check = requirePermission('loans:read');
+
+    expect(() => check(requestAs('patron', { patronId: PATRON_ID }), {}, next)).toThrow(ForbiddenError);
+  });
+});
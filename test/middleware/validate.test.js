@@ -1,7 +1,8 @@
 const express = require('express');
 const request = require('supertest');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const validate = require('../../src/middleware/validate');
+const errorHandler = require('../../src/middleware/errorHandler');
 
 describe('validate middleware (src/middleware/validate.js)', () => {
   test('exports a function', () => {
@@ -27,6 +28,7 @@ describe('validate middleware (src/middleware/validate.js)', () => {
           res.status(200).json({ success: true });
         }
       );
+      app.use(errorHandler);
     });
 
     test('responds with 400 Bad Request', async () => {
@@ -37,37 +39,30 @@ describe('validate middleware (src/middleware/validate.js)', () => {
       expect(res.status).toBe(400);
     });
 
-    test('returns JSON body with errors array', async () => {
+    test('returns an application/problem+json VALIDATION_FAILED problem', async () => {
       const res = await request(app)
         .post('/test')
         .send({})
         .set('Content-Type', 'application/json');
-      expect(res.body).toHaveProperty('errors');
-      expect(Array.isArray(res.body.errors)).toBe(true);
+      expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(res.body).toMatchObject({
+        type: '/errors/VALIDATION_FAILED',
+        title: 'Validation failed',
+        status: 400,
+        code: 'VALIDATION_FAILED',
+        instance: '/test',
+      });
     });
 
-    test('each error object has field and message properties', async () => {
+    test('lists each invalid parameter in invalid_params with its name, location and reason', async () => {
       const res = await request(app)
         .post('/test')
         .send({})
         .set('Content-Type', 'application/json');
-      for (const err of res.body.errors) {
-        expect(err).toHaveProperty('field');
-        expect(err).toHaveProperty('message');
-      }
-    });
-
-    test('maps err.path to field and err.msg to message', async () => {
-      const res = await request(app)
-        .post('/test')
-        .send({})
-        .set('Content-Type', 'application/json');
-      const titleError = res.body.errors.find(e => e.field === 'title');
-      const authorError = res.body.errors.find(e => e.field === 'author');
-      expect(titleError).toBeDefined();
-      expect(titleError.message).toBe('Title is required');
-      expect(authorError).toBeDefined();
-      expect(authorError.message).toBe('Author is required');
+      expect(res.body.invalid_params).toEqual([
+        { name: 'title', in: 'body', reason: 'Title is required' },
+        { name: 'author', in: 'body', reason: 'Author is required' },
+      ]);
     });
 
     test('does not call next — route handler is never reached', async () => {
@@ -85,9 +80,18 @@ describe('validate middleware (src/middleware/validate.js)', () => {
         .send({ title: 'Valid Title' })
         .set('Content-Type', 'application/json');
       expect(res.status).toBe(400);
-      expect(res.body.errors).toHaveLength(1);
-      expect(res.body.errors[0].field).toBe('author');
-      expect(res.body.errors[0].message).toBe('Author is required');
+      expect(res.body.invalid_params).toEqual([{ name: 'author', in: 'body', reason: 'Author is required' }]);
+    });
+
+    test('reports query parameters with in: query', async () => {
+      const queryApp = express();
+      queryApp.get('/test', query('page').isInt().withMessage('page must be an integer'), validate, (req, res) => {
+        res.status(200).json({ success: true });
+      });
+      queryApp.use(errorHandler);
+
+      const res = await request(queryApp).get('/test?page=x');
+      expect(res.body.invalid_params).toEqual([{ name: 'page', in: 'query', reason: 'page must be an integer' }]);
     });
   });
 
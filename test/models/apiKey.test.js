@@ -0,0 +1,57 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const ApiKey = require('../../src/models/apiKey');
+
+describe('ApiKey model', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('create stores the key and never returns its hash', () => {
+    const key = ApiKey.create(db, { name: 'Signage', prefix: 'lib_abcdefgh', keyHash: 'h1', role: 'librarian' });
+
+    expect(key).toEqual({
+      id: expect.any(String),
+      name: 'Signage',
+      prefix: 'lib_abcdefgh',
+      role: 'librarian',
+      created_at: expect.any(String),
+      last_used_at: null,
+      revoked_at: null,
+    });
+    expect(ApiKey.findByHash(db, 'h1')).toEqual(key);
+    expect(ApiKey.findByHash(db, 'h2')).toBeUndefined();
+  });
+
+  test('findAll lists keys newest first', () => {
+    const first = ApiKey.create(db, { name: 'A', prefix: 'p', keyHash: 'h1', role: 'librarian' });
+    const second = ApiKey.create(db, { name: 'B', prefix: 'p', keyHash: 'h2', role: 'admin' });
+
+    expect(ApiKey.findAll(db).map(k => k.id)).toEqual([second.id, first.id]);
+  });
+
+  test('touch records the last use', () => {
+    const key = ApiKey.create(db, { name: 'A', prefix: 'p', keyHash: 'h1', role: 'librarian' });
+
+    ApiKey.touch(db, key.id, new Date('2025-01-01T09:00:00Z'));
+
+    expect(ApiKey.findById(db, key.id).last_used_at).toBe('2025-01-01T09:00:00.000Z');
+  });
+
+  test('revoke keeps the first revocation time and returns undefined for an unknown key', () => {
+    const key = ApiKey.create(db, { name: 'A', prefix: 'p', keyHash: 'h1', role: 'librarian' });
+
+    expect(ApiKey.revoke(db, key.id, new Date('2025-01-01T09:00:00Z')).revoked_at).toBe('2025-01-01T09:00:00.000Z');
+    expect(ApiKey.revoke(db, key.id, new Date('2025-02-01T09:00:00Z')).revoked_at).toBe('2025-01-01T09:00:00.000Z');
+    expect(ApiKey.revoke(db, 'missing')).toBeUndefined();
+  });
+});
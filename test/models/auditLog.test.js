@@ -0,0 +1,144 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const AuditLog = require('../../src/models/auditLog');
+
+describe('AuditLog model', () => {
+  let db;
+
+  const actor = { type: 'api_key', id: 'k1', name: 'Desk', role: 'clerk', patronId: null };
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('diff', () => {
+    test('keeps only the fields that changed, leaving out updated_at and version', () => {
+      const before = { id: 'b1', title: 'Old', author: 'A', updated_at: '1', version: 1 };
+      const after = { id: 'b1', title: 'New', author: 'A', updated_at: '2', version: 2 };
+
+      expect(AuditLog.diff(before, after)).toEqual({ before: { title: 'Old' }, after: { title: 'New' } });
+    });
+
+    test('passes a new record through whole', () => {
+      expect(AuditLog.diff(null, { id: 'b1' })).toEqual({ before: null, after: { id: 'b1' } });
+    });
+  });
+
+  describe('append', () => {
+    test('records the actor, request and change', () => {
+      const entry = AuditLog.append(
+        db,
+        { action: 'book.updated', entityType: 'book', entityId: 'b1', before: { title: 'Old' }, after: { title: 'New' } },
+        { actor, requestId: 'req-1', ip: '10.0.0.1' }
+      );
+
+      expect(entry).toEqual({
+        id: expect.any(String),
+        seq: 1,
+        actor_type: 'api_key',
+        actor_id: 'k1',
+        actor_name: 'Desk',
+        action: 'book.updated',
+        entity_type: 'book',
+        entity_id: 'b1',
+        before: { title: 'Old' },
+        after: { title: 'New' },
+        request_id: 'req-1',
+        ip: '10.0.0.1',
+        created_at: expect.any(String),
+        prev_hash: AuditLog.GENESIS_HASH,
+        hash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      });
+    });
+
+    test('records changes made outside a request against the system', () => {
+      const entry = AuditLog.append(db, { action: 'book.created', entityType: 'book', entityId: 'b1' });
+
+      expect(entry).toMatchObject({ actor_type: 'system', actor_id: null, request_id: null, ip: null, before: null });
+    });
+
+    test('chains each entry to the one before it', () => {
+      const first = AuditLog.append(db, { action: 'book.created', entityType: 'book', entityId: 'b1' });
+      const second = AuditLog.append(db, { action: 'book.created', entityType: 'book', entityId: 'b2' });
+
+      expect(second.seq).toBe(2);
+      expect(second.prev_hash).toBe(first.hash);
+    });
+
+    test('entries cannot be changed or removed', () => {
+      AuditLog.append(db, { action: 'book.created', entityType: 'book', entityId: 'b1' });
+
+      expect(() => db.prepare("UPDATE audit_log SET actor_name = 'x'").run()).toThrow('audit_log is append-only');
+      expect(() => db.prepare('DELETE FROM audit_log').run()).toThrow('audit_log is append-only');
+    });
+  });
+
+  describe('findAll', () => {
+    beforeEach(() => {
+      AuditLog.append(db, { action: 'book.created', entityType: 'book', entityId: 'b1' }, { actor });
+      AuditLog.append(db, { action: 'copy.checked_out', entityType: 'copy', entityId: 'c1' }, { actor });
+      AuditLog.append(db, { action: 'book.updated', entityType: 'book', entityId: 'b1' });
+    });
+
+    test('returns entries newest first with the total', () => {
+      const { entries, total } = AuditLog.findAll(db, { limit: 2 });
+
+      expect(total).toBe(3);
+      expect(entries.map(e => e.seq)).toEqual([3, 2]);
+    });
+
+    test('filters by entity and actor', () => {
+      expect(AuditLog.findAll(db, { entityType: 'book', entityId: 'b1' }).entries.map(e => e.action))
+        .toEqual(['book.updated', 'book.created']);
+      expect(AuditLog.findAll(db, { actorId: 'k1' }).total).toBe(2);
+    });
+
+    test('filters by time range, from inclusive and to exclusive', () => {
+      const { entries } = AuditLog.findAll(db);
+      const middle = entries[1].created_at;
+
+      expect(AuditLog.findAll(db, { from: '2000-01-01T00:00:00.000Z', to: '2000-01-02T00:00:00.000Z' }).total).toBe(0);
+      expect(AuditLog.findAll(db, { from: middle }).entries.every(e => e.created_at >= middle)).toBe(true);
+      expect(AuditLog.findAll(db, { to: middle }).entries.every(e => e.created_at < middle)).toBe(true);
+    });
+  });
+
+  describe('verify', () => {
+    beforeEach(() => {
+      for (const id of ['b1', 'b2', 'b3']) {
+        AuditLog.append(db, { action: 'book.created', entityType: 'book', entityId: id, after: { id } }, { actor });
+      }
+      // Someone with direct access to the database file could do this
+      db.exec('DROP TRIGGER audit_log_no_update; DROP TRIGGER audit_log_no_delete;');
+    });
+
+    test('accepts an intact chain', () => {
+      expect(AuditLog.verify(db)).toEqual({ valid: true, checked: 3, broken_at: null });
+    });
+
+    test('accepts an empty log', () => {
+      db.prepare('DELETE FROM audit_log').run();
+
+      expect(AuditLog.verify(db)).toEqual({ valid: true, checked: 0, broken_at: null });
+    });
+
+    test('detects an edited entry', () => {
+      db.prepare("UPDATE audit_log SET after = '{\"id\":\"forged\"}' WHERE seq = 2").run();
+
+      expect(AuditLog.verify(db)).toEqual({ valid: false, checked: 1, broken_at: 2 });
+    });
+
+    test('detects a removed entry', () => {
+      db.prepare('DELETE FROM audit_log WHERE seq = 2').run();
+
+      expect(AuditLog.verify(db)).toEqual({ valid: false, checked: 1, broken_at: 3 });
+    });
+  });
+});
@@ -1,5 +1,7 @@
 const { getDatabase } = require('../../src/db/connection');
 const { migrate } = require('../../src/db/migrate');
+const AuditLog = require('../../src/models/auditLog');
+const Outbox = require('../../src/models/outbox');
 const Book = require('../../src/models/book');
 
 const uuidV4Regex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
@@ -39,7 +41,6 @@ describe('Book.create(db, fields)', () => {
     expect(book.isbn).toBe(input.isbn);
     expect(book.published_year).toBe(input.published_year);
     expect(book.status).toBe('available');
-    expect(book.checked_out_at).toBeNull();
     expect(book.created_at).toBeDefined();
     expect(book.created_at).not.toBeNull();
     expect(book.updated_at).toBeDefined();
@@ -66,6 +67,46 @@ describe('Book.create(db, fields)', () => {
       Book.create(db, { author: 'A', isbn: '000', published_year: 2023 });
     }).toThrow(/title/);
   });
+
+  test('create records the new book in the audit log', () => {
+    const actor = { type: 'user', id: 'u1', name: 'jsmith' };
+    const book = Book.create(db, makeBook(), { actor, requestId: 'r1', ip: '127.0.0.1' });
+
+    expect(AuditLog.findAll(db).entries).toEqual([expect.objectContaining({
+      action: 'book.created',
+      entity_type: 'book',
+      entity_id: book.id,
+      actor_id: 'u1',
+      request_id: 'r1',
+      before: null,
+      after: book,
+    })]);
+  });
+
+  test('a rejected create leaves no audit entry', () => {
+    Book.create(db, makeBook());
+
+    expect(() => Book.create(db, makeBook())).toThrow('A book with this ISBN already exists');
+    expect(AuditLog.findAll(db).total).toBe(1);
+  });
+
+  test('create records a book.created event in the outbox', () => {
+    const book = Book.create(db, makeBook());
+
+    expect(Outbox.findAfter(db)).toEqual([expect.objectContaining({
+      type: 'book.created',
+      aggregate_type: 'book',
+      aggregate_id: book.id,
+      data: { book },
+    })]);
+  });
+
+  test('a rejected create records no event', () => {
+    Book.create(db, makeBook());
+
+    expect(() => Book.create(db, makeBook())).toThrow('A book with this ISBN already exists');
+    expect(Outbox.findAfter(db)).toHaveLength(1);
+  });
 });
 
 describe('Book.findAll(db, options)', () => {
@@ -170,12 +211,72 @@ describe('Book.findById(db, id)', () => {
     expect(found.isbn).toBe(input.isbn);
     expect(found.published_year).toBe(input.published_year);
     expect(found.status).toBe('available');
-    expect(found.checked_out_at).toBeNull();
     expect(found.created_at).toBeDefined();
     expect(found.updated_at).toBeDefined();
   });
 });
 
+describe('Book.findByIsbn(db, isbn)', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('returns null when no book has the ISBN', () => {
+    expect(Book.findByIsbn(db, '978-3-16-148410-0')).toBeNull();
+  });
+
+  test('returns the book with the ISBN, including one in the trash', () => {
+    const created = Book.create(db, makeBook());
+    expect(Book.findByIsbn(db, created.isbn).id).toBe(created.id);
+
+    db.prepare('UPDATE books SET deleted_at = ? WHERE id = ?').run(new Date().toISOString(), created.id);
+    expect(Book.findByIsbn(db, created.isbn).deleted_at).toEqual(expect.any(String));
+  });
+});
+
+describe('Book.iterate(db, options)', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('yields the live books matching the filters in the order they were added', () => {
+    const first = Book.create(db, makeBook({ isbn: '978-0-306-40615-7', published_year: 1990 }));
+    const deleted = Book.create(db, makeBook({ isbn: '978-3-16-148410-0' }));
+    const last = Book.create(db, makeBook({ isbn: '978-0-13-110362-7' }));
+    db.prepare('UPDATE books SET deleted_at = ? WHERE id = ?').run(new Date().toISOString(), deleted.id);
+
+    expect([...Book.iterate(db)].map(book => book.id)).toEqual([first.id, last.id]);
+    expect([...Book.iterate(db, { filters: { published_year_gte: 2000 } })].map(book => book.id)).toEqual([last.id]);
+  });
+
+  test('resumes after the rowid of the last book read', () => {
+    Book.create(db, makeBook({ isbn: '978-0-306-40615-7' }));
+    const second = Book.create(db, makeBook());
+
+    const [firstRow] = Book.iterate(db);
+
+    expect([...Book.iterate(db, { after: firstRow.rowid })].map(book => book.id)).toEqual([second.id]);
+  });
+});
+
 describe('Book.update(db, id, fields)', () => {
   let db;
 
@@ -226,17 +327,12 @@ describe('Book.update(db, id, fields)', () => {
     expect(updated.status).toBe(created.status);
   });
 
-  test('updates status and checked_out_at fields', () => {
+  test('ignores status, which is summarised from the copies', () => {
     const created = Book.create(db, makeBook());
-    const checkoutTime = new Date().toISOString();
-    const updated = Book.update(db, created.id, {
-      status: 'checked_out',
-      checked_out_at: checkoutTime,
-    });
+    const updated = Book.update(db, created.id, { status: 'checked_out', title: 'Still Available' });
 
-    expect(updated).not.toBeNull();
-    expect(updated.status).toBe('checked_out');
-    expect(updated.checked_out_at).toBe(checkoutTime);
+    expect(updated.title).toBe('Still Available');
+    expect(updated.status).toBe('available');
   });
 
   test('always sets updated_at to a current ISO-8601 timestamp', () => {
@@ -287,7 +383,6 @@ describe('Book.update(db, id, fields)', () => {
     expect(updated.isbn).toBe(created.isbn);
     expect(updated.published_year).toBe(created.published_year);
     expect(updated.status).toBe(created.status);
-    expect(updated.checked_out_at).toBe(created.checked_out_at);
     expect(updated.created_at).toBe(created.created_at);
   });
 
@@ -301,8 +396,130 @@ describe('Book.update(db, id, fields)', () => {
     expect(updated).toHaveProperty('isbn');
     expect(updated).toHaveProperty('published_year');
     expect(updated).toHaveProperty('status');
-    expect(updated).toHaveProperty('checked_out_at');
     expect(updated).toHaveProperty('created_at');
     expect(updated).toHaveProperty('updated_at');
   });
+
+  test('records the changed fields in the audit log', () => {
+    const created = Book.create(db, makeBook());
+    Book.update(db, created.id, { title: 'New Title', author: created.author }, { actor: { type: 'api_key', id: 'k1' } });
+
+    const [entry] = AuditLog.findAll(db, { entityId: created.id }).entries;
+    expect(entry).toMatchObject({
+      action: 'book.updated',
+      actor_type: 'api_key',
+      actor_id: 'k1',
+      before: { title: 'Test Book' },
+      after: { title: 'New Title' },
+    });
+  });
+
+  test('records nothing when the book is missing', () => {
+    Book.update(db, 'non-existent-id', { title: 'New Title' });
+
+    expect(AuditLog.findAll(db).total).toBe(0);
+  });
+
+  test('records a book.updated event in the outbox', () => {
+    const created = Book.create(db, makeBook());
+    const updated = Book.update(db, created.id, { title: 'New Title' });
+
+    const events = Outbox.findAfter(db, { type: 'book.updated' });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ aggregate_id: created.id, data: { book: updated } });
+  });
+});
+
+describe('Book.search(db, q, options)', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    Book.create(db, makeBook({ title: 'The Hobbit', author: 'J.R.R. Tolkien', isbn: '978-0-261-10221-7' }));
+    Book.create(db, makeBook({ title: 'Tolkien: A Biography', author: 'Humphrey Carpenter', isbn: '978-0-261-10222-4' }));
+    Book.create(db, makeBook({ title: 'Dune', author: 'Frank Herbert', isbn: '978-0-441-17271-9' }));
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('matches word prefixes across title and author', () => {
+    const { books, total } = Book.search(db, 'tolk');
+
+    expect(total).toBe(2);
+    expect(books.map(b => b.title).sort()).toEqual(['The Hobbit', 'Tolkien: A Biography']);
+  });
+
+  test('ranks title matches above author matches', () => {
+    const { books } = Book.search(db, 'tolkien');
+
+    expect(books[0].title).toBe('Tolkien: A Biography');
+    expect(books[0].rank).toBeLessThan(books[1].rank);
+  });
+
+  test('requires every word to match', () => {
+    const { books } = Book.search(db, 'tolkien hobbit');
+
+    expect(books).toHaveLength(1);
+    expect(books[0].title).toBe('The Hobbit');
+  });
+
+  test('returns highlighted snippets for title and author', () => {
+    const { books } = Book.search(db, 'hobb');
+
+    expect(books[0].highlights).toEqual({
+      title: 'The <mark>Hobbit</mark>',
+      author: 'J.R.R. Tolkien',
+    });
+  });
+
+  test('escapes HTML in the stored text of highlighted snippets', () => {
+    Book.create(db, {
+      title: '<img src=x onerror=alert(1)> Hobbit & "Co"', author: 'A <b>Writer</b>', isbn: '978-0-00-000000-2', published_year: 2001,
+    });
+
+    const { books } = Book.search(db, 'onerror');
+
+    expect(books[0].highlights).toEqual({
+      title: '&lt;img src=x <mark>onerror</mark>=alert(1)&gt; Hobbit &amp; &quot;Co&quot;',
+      author: 'A &lt;b&gt;Writer&lt;/b&gt;',
+    });
+  });
+
+  test('matches an ISBN with or without hyphens', () => {
+    expect(Book.search(db, '978-0-441-17271-9').books[0].title).toBe('Dune');
+    expect(Book.search(db, '9780441').books[0].title).toBe('Dune');
+  });
+
+  test('neutralizes FTS5 syntax in user input', () => {
+    expect(() => Book.search(db, '"dune" OR title:* NEAR(')).not.toThrow();
+    expect(Book.search(db, '* ( )')).toEqual({ books: [], total: 0 });
+  });
+
+  test('stays in sync with updates and excludes deleted books', () => {
+    const { books: [dune] } = Book.search(db, 'dune');
+
+    Book.update(db, dune.id, { title: 'Children of Dune' });
+    expect(Book.search(db, 'children').total).toBe(1);
+
+    db.prepare("UPDATE books SET deleted_at = datetime('now') WHERE id = ?").run(dune.id);
+    expect(Book.search(db, 'children').total).toBe(0);
+
+    db.prepare('DELETE FROM books WHERE id = ?').run(dune.id);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM books_fts').get().n).toBe(2);
+  });
+
+  test('respects limit and offset', () => {
+    const first = Book.search(db, 'tolkien', { limit: 1, offset: 0 });
+    const second = Book.search(db, 'tolkien', { limit: 1, offset: 1 });
+
+    expect(first.books).toHaveLength(1);
+    expect(second.books).toHaveLength(1);
+    expect(first.books[0].id).not.toBe(second.books[0].id);
+    expect(first.total).toBe(2);
+  });
 });
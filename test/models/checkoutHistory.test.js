@@ -1,6 +1,7 @@
 const { getDatabase } = require('../../src/db/connection');
 const { migrate } = require('../../src/db/migrate');
 const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
 const CheckoutHistory = require('../../src/models/checkoutHistory');
 const { checkoutBook, returnBook } = require('../../src/services/checkout');
 
@@ -19,34 +20,37 @@ describe('CheckoutHistory model', () => {
   });
 
   function seedBook(overrides = {}) {
-    return Book.create(db, {
+    const book = Book.create(db, {
       title: 'Test Book',
       author: 'Test Author',
       isbn: '978-3-16-148410-0',
       published_year: 2023,
       ...overrides,
     });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+    return book;
   }
 
   test('history entry is created on checkout', () => {
     const book = seedBook();
-    checkoutBook(db, book.id);
+    checkoutBook(db, 'C-1');
 
     const rows = db.prepare('SELECT * FROM checkout_history WHERE book_id = ?').all(book.id);
     expect(rows).toHaveLength(1);
     expect(rows[0].action).toBe('checked_out');
+    expect(rows[0].copy_id).toBe(Copy.findByBarcode(db, 'C-1').id);
   });
 
   test('history entry is created on return', () => {
     const book = seedBook();
-    checkoutBook(db, book.id);
+    checkoutBook(db, 'C-1');
 
     // Back-date the checkout entry so the return entry is definitively newer
     db.prepare(
       "UPDATE checkout_history SET timestamp = '2020-01-01T00:00:00.000Z' WHERE book_id = ? AND action = 'checked_out'"
     ).run(book.id);
 
-    returnBook(db, book.id);
+    returnBook(db, 'C-1');
 
     const rows = db.prepare('SELECT * FROM checkout_history WHERE book_id = ? ORDER BY timestamp DESC').all(book.id);
     expect(rows).toHaveLength(2);
@@ -55,14 +59,14 @@ describe('CheckoutHistory model', () => {
 
   test('findByBookId returns entries in reverse chronological order', () => {
     const book = seedBook();
-    checkoutBook(db, book.id);
+    checkoutBook(db, 'C-1');
 
     // Ensure the checkout entry has a definitively older timestamp so ordering is deterministic
     db.prepare(
       "UPDATE checkout_history SET timestamp = '2020-01-01T00:00:00.000Z' WHERE book_id = ? AND action = 'checked_out'"
     ).run(book.id);
 
-    returnBook(db, book.id);
+    returnBook(db, 'C-1');
 
     const result = CheckoutHistory.findByBookId(db, book.id, {});
     expect(result.entries).toHaveLength(2);
@@ -74,13 +78,13 @@ describe('CheckoutHistory model', () => {
     const book = seedBook();
 
     for (let i = 0; i < 5; i++) {
-      checkoutBook(db, book.id);
+      checkoutBook(db, 'C-1');
       // Assign a unique, ascending timestamp to ensure deterministic ordering
       db.prepare(
         'UPDATE checkout_history SET timestamp = ? WHERE rowid = (SELECT MAX(rowid) FROM checkout_history)'
       ).run(new Date(2020, 0, 1 + i * 2, 0, 0, 0).toISOString());
 
-      returnBook(db, book.id);
+      returnBook(db, 'C-1');
       db.prepare(
         'UPDATE checkout_history SET timestamp = ? WHERE rowid = (SELECT MAX(rowid) FROM checkout_history)'
       ).run(new Date(2020, 0, 2 + i * 2, 0, 0, 0).toISOString());
@@ -97,4 +101,33 @@ describe('CheckoutHistory model', () => {
     const result = CheckoutHistory.findByBookId(db, book.id, {});
     expect(result).toEqual({ entries: [], total: 0 });
   });
+
+  test('iterate yields entries in the order they were recorded, resuming after a rowid', () => {
+    const book = seedBook();
+    checkoutBook(db, 'C-1');
+    returnBook(db, 'C-1');
+
+    const entries = [...CheckoutHistory.iterate(db)];
+    expect(entries.map(entry => entry.action)).toEqual(['checked_out', 'returned']);
+    expect(entries[0]).toMatchObject({ rowid: expect.any(Number), book_id: book.id });
+
+    expect([...CheckoutHistory.iterate(db, { after: entries[0].rowid })].map(entry => entry.action)).toEqual(['returned']);
+  });
+
+  test('iterate filters by book, action and time', () => {
+    const book = seedBook();
+    const other = Book.create(db, { title: 'Other', author: 'A', isbn: '978-0-306-40615-7', published_year: 2000 });
+    Copy.create(db, other.id, { barcode: 'C-2' });
+    checkoutBook(db, 'C-1');
+    checkoutBook(db, 'C-2');
+    returnBook(db, 'C-1');
+    db.prepare("UPDATE checkout_history SET timestamp = '2020-01-01T00:00:00.000Z' WHERE action = 'returned'").run();
+
+    const actions = options => [...CheckoutHistory.iterate(db, options)].map(entry => `${entry.book_id === book.id ? 'C-1' : 'C-2'} ${entry.action}`);
+
+    expect(actions({ bookId: book.id })).toEqual(['C-1 checked_out', 'C-1 returned']);
+    expect(actions({ action: 'checked_out' })).toEqual(['C-1 checked_out', 'C-2 checked_out']);
+    expect(actions({ until: '2021-01-01T00:00:00.000Z' })).toEqual(['C-1 returned']);
+    expect(actions({ since: '2021-01-01T00:00:00.000Z', bookId: book.id })).toEqual(['C-1 checked_out']);
+  });
 });
@@ -0,0 +1,49 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const ClosedDay = require('../../src/models/closedDay');
+
+describe('ClosedDay model', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('create stores the date and reason', () => {
+    const day = ClosedDay.create(db, { date: '2025-12-25', reason: 'Christmas Day' });
+
+    expect(day).toMatchObject({ date: '2025-12-25', reason: 'Christmas Day' });
+    expect(ClosedDay.isClosed(db, '2025-12-25')).toBe(true);
+    expect(ClosedDay.isClosed(db, '2025-12-26')).toBe(false);
+  });
+
+  test('create rejects a date that is already closed', () => {
+    ClosedDay.create(db, { date: '2025-12-25' });
+
+    expect(() => ClosedDay.create(db, { date: '2025-12-25' })).toThrow('This date is already marked as closed');
+  });
+
+  test('findAll returns days in order within an inclusive range', () => {
+    for (const date of ['2025-12-31', '2025-01-01', '2025-12-25']) {
+      ClosedDay.create(db, { date });
+    }
+
+    expect(ClosedDay.findAll(db).map(d => d.date)).toEqual(['2025-01-01', '2025-12-25', '2025-12-31']);
+    expect(ClosedDay.findAll(db, { from: '2025-12-25' }).map(d => d.date)).toEqual(['2025-12-25', '2025-12-31']);
+    expect(ClosedDay.findAll(db, { to: '2025-12-25' }).map(d => d.date)).toEqual(['2025-01-01', '2025-12-25']);
+  });
+
+  test('delete reports whether the date was closed', () => {
+    ClosedDay.create(db, { date: '2025-12-25' });
+
+    expect(ClosedDay.delete(db, '2025-12-25')).toBe(true);
+    expect(ClosedDay.delete(db, '2025-12-25')).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Patron = require('../../src/models/patron');
+const { checkoutBook } = require('../../src/services/checkout');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Copy model', () => {
+  let db;
+  let book;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('create adds an available copy and refuses a duplicate barcode', () => {
+    const copy = Copy.create(db, book.id, { barcode: 'C-1', location: 'Stacks 3' });
+
+    expect(copy).toMatchObject({
+      book_id: book.id, barcode: 'C-1', condition: 'good', location: 'Stacks 3', status: 'available', patron_id: null,
+    });
+    expect(() => Copy.create(db, book.id, { barcode: 'C-1' })).toThrow('A copy with this barcode already exists');
+  });
+
+  test('findByBarcode ignores copies of soft-deleted books', () => {
+    const copy = Copy.create(db, book.id, { barcode: 'C-1' });
+
+    expect(Copy.findByBarcode(db, 'C-1').id).toBe(copy.id);
+    expect(Copy.findByBarcode(db, 'C-2')).toBeNull();
+
+    db.prepare('UPDATE books SET deleted_at = ? WHERE id = ?').run(new Date().toISOString(), book.id);
+    expect(Copy.findByBarcode(db, 'C-1')).toBeNull();
+  });
+
+  test('availability counts the copies on the shelf', () => {
+    expect(Copy.availability(db, book.id)).toEqual({ available: 0, total: 0 });
+
+    Copy.create(db, book.id, { barcode: 'C-1' });
+    Copy.create(db, book.id, { barcode: 'C-2' });
+    checkoutBook(db, 'C-1');
+
+    expect(Copy.availability(db, book.id)).toEqual({ available: 1, total: 2 });
+    expect(Copy.findByBookId(db, book.id).map(c => c.barcode)).toEqual(['C-1', 'C-2']);
+  });
+
+  test('update relabels a copy and returns null for a missing copy', () => {
+    const copy = Copy.create(db, book.id, { barcode: 'C-1' });
+    Copy.create(db, book.id, { barcode: 'C-2' });
+
+    expect(Copy.update(db, copy.id, { barcode: 'C-9', condition: 'fair' })).toMatchObject({
+      barcode: 'C-9', condition: 'fair',
+    });
+    expect(() => Copy.update(db, copy.id, { barcode: 'C-2' })).toThrow('A copy with this barcode already exists');
+    expect(Copy.update(db, 'missing', { location: 'x' })).toBeNull();
+  });
+
+  test('delete removes copies without circulation history only', () => {
+    const fresh = Copy.create(db, book.id, { barcode: 'C-1' });
+    const lent = Copy.create(db, book.id, { barcode: 'C-2' });
+    checkoutBook(db, 'C-2');
+
+    expect(Copy.delete(db, fresh.id)).toBe(true);
+    expect(Copy.delete(db, fresh.id)).toBe(false);
+    expect(() => Copy.delete(db, lent.id)).toThrow('Copy has circulation history and cannot be deleted');
+  });
+
+  test('findOverdue lists late copies with their book and borrower', () => {
+    const patron = Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+    const copy = Copy.create(db, book.id, { barcode: 'C-1' });
+    Copy.create(db, book.id, { barcode: 'C-2' });
+    checkoutBook(db, 'C-1', { patronId: patron.id });
+    checkoutBook(db, 'C-2');
+    db.prepare("UPDATE copies SET due_at = ? WHERE barcode = 'C-1'").run(new Date(Date.now() - DAY_MS).toISOString());
+
+    const { copies, total } = Copy.findOverdue(db);
+
+    expect(total).toBe(1);
+    expect(copies).toEqual([
+      expect.objectContaining({ id: copy.id, barcode: 'C-1', title: 'T', patron_name: 'Ada', patron_email: 'ada@example.com' }),
+    ]);
+  });
+
+  test('withOverdueFlag is true only for checked-out copies past their due date', () => {
+    const now = new Date('2025-03-10T00:00:00.000Z');
+    const loan = { status: 'checked_out', due_at: '2025-03-09T00:00:00.000Z' };
+
+    expect(Copy.withOverdueFlag(loan, now)).toEqual({ ...loan, overdue: true });
+    expect(Copy.withOverdueFlag({ ...loan, due_at: '2025-03-11T00:00:00.000Z' }, now).overdue).toBe(false);
+    expect(Copy.withOverdueFlag({ ...loan, due_at: null }, now).overdue).toBe(false);
+    expect(Copy.withOverdueFlag({ status: 'available', due_at: null }, now).overdue).toBe(false);
+  });
+});
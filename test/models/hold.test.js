@@ -0,0 +1,66 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Patron = require('../../src/models/patron');
+const Hold = require('../../src/models/hold');
+
+describe('Hold model', () => {
+  let db;
+  let book;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+    alice = Patron.create(db, { name: 'Alice', email: 'alice@example.com', card_number: 'CARD-0001' });
+    bob = Patron.create(db, { name: 'Bob', email: 'bob@example.com', card_number: 'CARD-0002' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('create adds a waiting hold and refuses a second active hold by the same patron', () => {
+    const hold = Hold.create(db, { bookId: book.id, patronId: alice.id });
+
+    expect(hold).toMatchObject({ book_id: book.id, patron_id: alice.id, status: 'waiting' });
+    expect(() => Hold.create(db, { bookId: book.id, patronId: alice.id }))
+      .toThrow('Patron already has a hold on this book');
+
+    Hold.close(db, hold.id, 'cancelled', new Date().toISOString());
+    expect(() => Hold.create(db, { bookId: book.id, patronId: alice.id })).not.toThrow();
+  });
+
+  test('findQueue lists ready holds first, then waiting holds oldest first', () => {
+    const copy = Copy.create(db, book.id, { barcode: 'C-1' });
+    const first = Hold.create(db, { bookId: book.id, patronId: alice.id });
+    const second = Hold.create(db, { bookId: book.id, patronId: bob.id });
+    Hold.markReady(db, second.id, {
+      copyId: copy.id, readyAt: '2025-01-01T00:00:00.000Z', pickupExpiresAt: '2025-01-08T00:00:00.000Z',
+    });
+
+    const queue = Hold.findQueue(db, book.id);
+
+    expect(queue.map(h => [h.id, h.position])).toEqual([[second.id, 1], [first.id, 2]]);
+    expect(queue[0]).toMatchObject({ patron_name: 'Bob', card_number: 'CARD-0002' });
+    expect(queue[0].copy_id).toBe(copy.id);
+    expect(Hold.findReadyForCopy(db, copy.id).id).toBe(second.id);
+    expect(Hold.findReadyForCopy(db, 'other')).toBeNull();
+    expect(Hold.findNextWaiting(db, book.id).id).toBe(first.id);
+    expect(Hold.countWaiting(db, book.id)).toBe(1);
+  });
+
+  test('findExpired returns ready holds past their pickup deadline', () => {
+    const hold = Hold.create(db, { bookId: book.id, patronId: alice.id });
+    Hold.markReady(db, hold.id, { readyAt: '2025-01-01T00:00:00.000Z', pickupExpiresAt: '2025-01-08T00:00:00.000Z' });
+
+    expect(Hold.findExpired(db, { now: '2025-01-07T00:00:00.000Z' })).toEqual([]);
+    expect(Hold.findExpired(db, { now: '2025-01-08T00:00:00.000Z' }).map(h => h.id)).toEqual([hold.id]);
+    expect(Hold.findExpired(db, { now: '2025-01-09T00:00:00.000Z', bookId: 'other' })).toEqual([]);
+  });
+});
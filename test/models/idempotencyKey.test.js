@@ -0,0 +1,67 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const IdempotencyKey = require('../../src/models/idempotencyKey');
+
+const NOW = new Date('2026-03-02T10:00:00.000Z');
+const LATER = new Date('2026-03-03T10:00:00.000Z');
+
+describe('IdempotencyKey model', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    IdempotencyKey.save(db, {
+      scope: 'api_key:a',
+      key: 'k1',
+      fingerprint: 'f1',
+      statusCode: 201,
+      body: { id: 'b1', title: 'T' },
+      now: NOW,
+      expiresAt: LATER,
+    });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('find returns the stored response with its body parsed', () => {
+    expect(IdempotencyKey.find(db, 'api_key:a', 'k1', NOW)).toEqual({
+      scope: 'api_key:a',
+      key: 'k1',
+      fingerprint: 'f1',
+      status_code: 201,
+      response_body: { id: 'b1', title: 'T' },
+      created_at: NOW.toISOString(),
+      expires_at: LATER.toISOString(),
+    });
+  });
+
+  test('find ignores other scopes and expired keys', () => {
+    expect(IdempotencyKey.find(db, 'api_key:b', 'k1', NOW)).toBeUndefined();
+    expect(IdempotencyKey.find(db, 'api_key:a', 'k1', LATER)).toBeUndefined();
+  });
+
+  test('save replaces an existing key', () => {
+    IdempotencyKey.save(db, {
+      scope: 'api_key:a',
+      key: 'k1',
+      fingerprint: 'f2',
+      statusCode: 200,
+      body: [],
+      now: LATER,
+      expiresAt: new Date('2026-03-04T10:00:00.000Z'),
+    });
+
+    expect(IdempotencyKey.find(db, 'api_key:a', 'k1', LATER)).toMatchObject({ fingerprint: 'f2', response_body: [] });
+  });
+
+  test('purgeExpired deletes only expired keys and returns how many', () => {
+    expect(IdempotencyKey.purgeExpired(db, NOW)).toBe(0);
+    expect(IdempotencyKey.purgeExpired(db, LATER)).toBe(1);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM idempotency_keys').get().n).toBe(0);
+  });
+});
@@ -0,0 +1,75 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const ImportJob = require('../../src/models/importJob');
+
+describe('ImportJob model', () => {
+  let db;
+  let job;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    job = ImportJob.create(db, { format: 'csv', onDuplicate: 'upsert', dryRun: true, mapping: { title: 'Name' } });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('create starts a processing job with its options parsed', () => {
+    expect(job).toMatchObject({
+      status: 'processing',
+      format: 'csv',
+      on_duplicate: 'upsert',
+      dry_run: true,
+      mapping: { title: 'Name' },
+      rows_processed: 0,
+      error: null,
+      finished_at: null,
+    });
+    expect(job.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('findById returns null for an unknown id', () => {
+    expect(ImportJob.findById(db, '00000000-0000-4000-a000-000000000000')).toBeNull();
+  });
+
+  test('recordProgress adds to the counters and stores the failed rows', () => {
+    ImportJob.recordProgress(db, job.id, {
+      created: 2, updated: 1, skipped: 0, failures: [{ row: 2, errors: [{ name: 'isbn', reason: 'ISBN is required' }] }],
+    });
+    ImportJob.recordProgress(db, job.id, { created: 1, updated: 0, skipped: 3, failures: [] });
+
+    expect(ImportJob.findById(db, job.id)).toMatchObject({
+      rows_processed: 8,
+      rows_created: 3,
+      rows_updated: 1,
+      rows_skipped: 3,
+      rows_failed: 1,
+    });
+    expect(ImportJob.findErrors(db, job.id)).toEqual({
+      errors: [{ row: 2, errors: [{ name: 'isbn', reason: 'ISBN is required' }] }],
+      total: 1,
+    });
+  });
+
+  test('findErrors pages through the failed rows in row order', () => {
+    const failures = [5, 1, 3].map(row => ({ row, errors: [{ name: 'row', reason: `bad ${row}` }] }));
+    ImportJob.recordProgress(db, job.id, { created: 0, updated: 0, skipped: 0, failures });
+
+    const { errors, total } = ImportJob.findErrors(db, job.id, { limit: 2, offset: 1 });
+
+    expect(total).toBe(3);
+    expect(errors.map(error => error.row)).toEqual([3, 5]);
+  });
+
+  test('finish records the outcome and when the job ended', () => {
+    const finished = ImportJob.finish(db, job.id, { status: 'failed', error: 'The JSON array is never closed' });
+
+    expect(finished).toMatchObject({ status: 'failed', error: 'The JSON array is never closed' });
+    expect(finished.finished_at).toEqual(expect.any(String));
+    expect(ImportJob.finish(db, job.id, { status: 'completed' }).error).toBeNull();
+  });
+});
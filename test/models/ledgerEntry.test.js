@@ -0,0 +1,65 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Patron = require('../../src/models/patron');
+const LedgerEntry = require('../../src/models/ledgerEntry');
+
+describe('LedgerEntry model', () => {
+  let db;
+  let patron;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    patron = Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('balance sums charges and credits', () => {
+    expect(LedgerEntry.balance(db, patron.id)).toBe(0);
+
+    LedgerEntry.create(db, { patronId: patron.id, type: 'lost', amountCents: 2500 });
+    LedgerEntry.create(db, { patronId: patron.id, type: 'payment', amountCents: -1000 });
+
+    expect(LedgerEntry.balance(db, patron.id)).toBe(1500);
+  });
+
+  test('enforces the sign of the amount for each type', () => {
+    expect(() => LedgerEntry.create(db, { patronId: patron.id, type: 'damaged', amountCents: -5 }))
+      .toThrow(/CHECK constraint failed/);
+    expect(() => LedgerEntry.create(db, { patronId: patron.id, type: 'waiver', amountCents: 5 }))
+      .toThrow(/CHECK constraint failed/);
+    expect(() => LedgerEntry.create(db, { patronId: patron.id, type: 'bribe', amountCents: 5 }))
+      .toThrow(/CHECK constraint failed/);
+  });
+
+  test('entries can be neither updated nor deleted', () => {
+    const entry = LedgerEntry.create(db, { patronId: patron.id, type: 'processing', amountCents: 300 });
+
+    expect(() => db.prepare('UPDATE ledger_entries SET amount_cents = 1 WHERE id = ?').run(entry.id))
+      .toThrow('ledger_entries is append-only');
+    expect(() => db.prepare('DELETE FROM ledger_entries WHERE id = ?').run(entry.id))
+      .toThrow('ledger_entries is append-only');
+  });
+
+  test('findByPatronId pages through entries newest first', () => {
+    const first = LedgerEntry.create(db, { patronId: patron.id, type: 'lost', amountCents: 100 });
+    const second = LedgerEntry.create(db, { patronId: patron.id, type: 'damaged', amountCents: 200 });
+
+    const { entries, total } = LedgerEntry.findByPatronId(db, patron.id, { limit: 1 });
+
+    expect(total).toBe(2);
+    expect(entries.map(e => e.id)).toEqual([second.id]);
+    expect(LedgerEntry.findByPatronId(db, patron.id, { limit: 1, offset: 1 }).entries[0].id).toBe(first.id);
+  });
+
+  test('a patron with ledger entries cannot be deleted', () => {
+    LedgerEntry.create(db, { patronId: patron.id, type: 'processing', amountCents: 300 });
+
+    expect(() => Patron.delete(db, patron.id)).toThrow('Patron has fines history and cannot be deleted');
+  });
+});
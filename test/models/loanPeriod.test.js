@@ -0,0 +1,52 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const LoanPeriod = require('../../src/models/loanPeriod');
+
+describe('LoanPeriod model', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('ships default loan periods for the standard item types', () => {
+    const periods = Object.fromEntries(LoanPeriod.findAll(db).map(p => [p.item_type, p.loan_days]));
+
+    expect(periods).toEqual({ audiobook: 14, book: 21, dvd: 7, magazine: 7 });
+  });
+
+  test('findByItemType returns null for an unknown type', () => {
+    expect(LoanPeriod.findByItemType(db, 'book').loan_days).toBe(21);
+    expect(LoanPeriod.findByItemType(db, 'scroll')).toBeNull();
+  });
+
+  test('upsert creates new item types and updates existing ones', () => {
+    expect(LoanPeriod.upsert(db, 'board_game', { loanDays: 10 })).toMatchObject({
+      created: true,
+      loanPeriod: { item_type: 'board_game', loan_days: 10, max_renewals: 2 },
+    });
+    expect(LoanPeriod.upsert(db, 'book', { loanDays: 28, maxRenewals: 5 })).toMatchObject({
+      created: false,
+      loanPeriod: { item_type: 'book', loan_days: 28, max_renewals: 5 },
+    });
+  });
+
+  test('upsert leaves max_renewals unchanged when it is omitted', () => {
+    LoanPeriod.upsert(db, 'dvd', { loanDays: 7, maxRenewals: 0 });
+
+    expect(LoanPeriod.upsert(db, 'dvd', { loanDays: 5 }).loanPeriod.max_renewals).toBe(0);
+  });
+
+  test('rejects non-positive loan periods and negative renewal limits', () => {
+    expect(() => LoanPeriod.upsert(db, 'dvd', { loanDays: 0 })).toThrow(/CHECK constraint failed/);
+    expect(() => LoanPeriod.upsert(db, 'scroll', { loanDays: 0 })).toThrow(/CHECK constraint failed/);
+    expect(() => LoanPeriod.upsert(db, 'dvd', { loanDays: 7, maxRenewals: -1 })).toThrow(/CHECK constraint failed/);
+  });
+});
@@ -0,0 +1,44 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const MarcRecord = require('../../src/models/marcRecord');
+
+const RECORD = {
+  leader: '00000nam a2200000 i 4500',
+  fields: [
+    { tag: '001', value: 'ocm1' },
+    { tag: '245', ind1: '0', ind2: '0', subfields: [{ code: 'a', value: 'Dune' }] },
+  ],
+};
+
+describe('MarcRecord model', () => {
+  let db;
+  let book;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    book = Book.create(db, { title: 'Dune', author: 'Frank Herbert', isbn: '9780441013593', published_year: 1965 });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('findByBookId returns null for a book without a record', () => {
+    expect(MarcRecord.findByBookId(db, book.id)).toBeNull();
+  });
+
+  test('save stores the record and replaces it on a later save', () => {
+    MarcRecord.save(db, book.id, RECORD);
+    expect(MarcRecord.findByBookId(db, book.id)).toEqual(RECORD);
+
+    const replaced = { ...RECORD, fields: [RECORD.fields[0]] };
+    MarcRecord.save(db, book.id, replaced);
+
+    expect(MarcRecord.findByBookId(db, book.id)).toEqual(replaced);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM book_marc_records').get().n).toBe(1);
+  });
+});
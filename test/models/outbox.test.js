@@ -0,0 +1,62 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Outbox = require('../../src/models/outbox');
+
+describe('Outbox model', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  function append(type = 'book.created', data = {}) {
+    return Outbox.append(db, { type, aggregateType: 'book', aggregateId: 'b1', data });
+  }
+
+  test('append stores the event with the next sequence number', () => {
+    const first = append('book.created', { book: { id: 'b1' } });
+    const second = append('book.updated');
+
+    expect(first).toEqual({
+      seq: 1,
+      id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+      type: 'book.created',
+      aggregate_type: 'book',
+      aggregate_id: 'b1',
+      data: { book: { id: 'b1' } },
+      created_at: expect.any(String),
+    });
+    expect(second.seq).toBe(2);
+    expect(second.id).not.toBe(first.id);
+  });
+
+  test('findAfter returns later events in order, optionally of one type', () => {
+    append('book.created');
+    append('book.updated');
+    append('book.created');
+    append('book.updated');
+
+    expect(Outbox.findAfter(db).map(e => e.seq)).toEqual([1, 2, 3, 4]);
+    expect(Outbox.findAfter(db, { after: 1, limit: 2 }).map(e => e.seq)).toEqual([2, 3]);
+    expect(Outbox.findAfter(db, { type: 'book.updated' }).map(e => e.seq)).toEqual([2, 4]);
+    expect(Outbox.findAfter(db, { after: 4 })).toEqual([]);
+  });
+
+  test('a sink starts at 0 and advances', () => {
+    expect(Outbox.cursor(db, 'log')).toBe(0);
+
+    Outbox.advance(db, 'log', 3);
+    Outbox.advance(db, 'log', 5);
+    Outbox.advance(db, 'file', 1);
+
+    expect(Outbox.cursor(db, 'log')).toBe(5);
+    expect(Outbox.cursor(db, 'file')).toBe(1);
+  });
+});
@@ -0,0 +1,86 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Patron = require('../../src/models/patron');
+const { checkoutBook } = require('../../src/services/checkout');
+
+function makePatron(overrides = {}) {
+  return {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    card_number: 'CARD-0001',
+    ...overrides,
+  };
+}
+
+describe('Patron model', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('create returns the patron with defaults', () => {
+    const patron = Patron.create(db, makePatron());
+
+    expect(patron.status).toBe('active');
+    expect(patron.expires_at).toBeNull();
+    expect(Patron.findById(db, patron.id)).toEqual(patron);
+  });
+
+  test('create rejects missing fields and duplicate email or card number', () => {
+    expect(() => Patron.create(db, makePatron({ name: '' }))).toThrow('Missing required field: name');
+
+    Patron.create(db, makePatron());
+    expect(() => Patron.create(db, makePatron({ card_number: 'CARD-0002', email: 'ADA@example.com' })))
+      .toThrow('A patron with this email already exists');
+    expect(() => Patron.create(db, makePatron({ email: 'other@example.com' })))
+      .toThrow('A patron with this card number already exists');
+  });
+
+  test('findAll orders by name and filters by status', () => {
+    Patron.create(db, makePatron({ name: 'Zed', email: 'z@example.com', card_number: 'CARD-Z' }));
+    Patron.create(db, makePatron({ status: 'suspended' }));
+
+    expect(Patron.findAll(db).patrons.map(p => p.name)).toEqual(['Ada Lovelace', 'Zed']);
+    expect(Patron.findAll(db, { status: 'suspended' })).toMatchObject({ total: 1 });
+  });
+
+  test('update changes fields and returns null for a missing patron', () => {
+    const patron = Patron.create(db, makePatron());
+
+    expect(Patron.update(db, patron.id, { status: 'suspended' }).status).toBe('suspended');
+    expect(Patron.update(db, 'missing', { name: 'x' })).toBeNull();
+  });
+
+  test('delete refuses patrons with loan history', () => {
+    const patron = Patron.create(db, makePatron());
+    const book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+    const copy = Copy.create(db, book.id, { barcode: 'C-1' });
+    checkoutBook(db, 'C-1', { patronId: patron.id });
+
+    expect(() => Patron.delete(db, patron.id)).toThrow('Patron has loan history and cannot be deleted');
+    expect(Patron.findLoans(db, patron.id)).toEqual([
+      expect.objectContaining({ id: copy.id, book_id: book.id, barcode: 'C-1', title: 'T' }),
+    ]);
+  });
+
+  test('ineligibilityReason reports suspension and expiry', () => {
+    const now = new Date('2025-06-01T00:00:00Z');
+
+    expect(Patron.ineligibilityReason({ status: 'active', expires_at: null }, now)).toBeNull();
+    expect(Patron.ineligibilityReason({ status: 'active', expires_at: '2026-01-01' }, now)).toBeNull();
+    expect(Patron.ineligibilityReason({ status: 'suspended' }, now)).toBe('Patron account is suspended');
+    expect(Patron.ineligibilityReason({ status: 'expired' }, now)).toBe('Patron account has expired');
+    expect(Patron.ineligibilityReason({ status: 'active', expires_at: '2025-01-01' }, now))
+      .toBe('Patron account has expired');
+  });
+});
@@ -0,0 +1,36 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const RefreshToken = require('../../src/models/refreshToken');
+const User = require('../../src/models/user');
+
+describe('RefreshToken model', () => {
+  let db;
+  let user;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    user = User.create(db, { username: 'jsmith', passwordHash: 'h', role: 'librarian' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('a token can be consumed once', () => {
+    const token = RefreshToken.create(db, { userId: user.id, expiresAt: '2025-01-08T00:00:00.000Z' });
+    const now = new Date('2025-01-01T00:00:00Z');
+
+    expect(RefreshToken.consume(db, token.id, now)).toMatchObject({ user_id: user.id, used_at: now.toISOString() });
+    expect(RefreshToken.consume(db, token.id, now)).toBeUndefined();
+  });
+
+  test('an expired or unknown token cannot be consumed', () => {
+    const token = RefreshToken.create(db, { userId: user.id, expiresAt: '2025-01-08T00:00:00.000Z' });
+
+    expect(RefreshToken.consume(db, token.id, new Date('2025-01-08T00:00:00Z'))).toBeUndefined();
+    expect(RefreshToken.consume(db, 'missing')).toBeUndefined();
+  });
+});
@@ -0,0 +1,63 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Patron = require('../../src/models/patron');
+const User = require('../../src/models/user');
+
+describe('User model', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('create stores the account and returns it without the password hash', () => {
+    const user = User.create(db, { username: 'jsmith', passwordHash: 'scrypt:a:b', role: 'librarian' });
+
+    expect(user).toEqual({
+      id: expect.any(String),
+      username: 'jsmith',
+      role: 'librarian',
+      patron_id: null,
+      created_at: expect.any(String),
+      last_login_at: null,
+    });
+    expect(User.findById(db, user.id)).toEqual(user);
+    expect(User.count(db)).toBe(1);
+  });
+
+  test('usernames are unique regardless of case', () => {
+    User.create(db, { username: 'jsmith', passwordHash: 'h', role: 'librarian' });
+
+    expect(() => User.create(db, { username: 'JSmith', passwordHash: 'h', role: 'admin' }))
+      .toThrow('A user with this username already exists');
+    expect(User.findByUsernameWithHash(db, 'JSMITH')).toMatchObject({ username: 'jsmith', password_hash: 'h' });
+  });
+
+  test('rejects unknown roles', () => {
+    expect(() => User.create(db, { username: 'x', passwordHash: 'h', role: 'staff' })).toThrow(/CHECK constraint/);
+  });
+
+  test('a patron has at most one account', () => {
+    const patron = Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+    User.create(db, { username: 'ada', passwordHash: 'h', role: 'patron', patronId: patron.id });
+
+    expect(() => User.create(db, { username: 'ada2', passwordHash: 'h', role: 'patron', patronId: patron.id }))
+      .toThrow('This patron already has an account');
+    expect(() => User.create(db, { username: 'x', passwordHash: 'h', role: 'patron' })).toThrow(/CHECK constraint/);
+  });
+
+  test('recordLogin sets last_login_at', () => {
+    const user = User.create(db, { username: 'jsmith', passwordHash: 'h', role: 'librarian' });
+
+    User.recordLogin(db, user.id, new Date('2025-01-01T09:00:00Z'));
+
+    expect(User.findById(db, user.id).last_login_at).toBe('2025-01-01T09:00:00.000Z');
+  });
+});
@@ -0,0 +1,104 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Webhook = require('../../src/models/webhook');
+
+describe('Webhook model', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  function create(events = ['book.created']) {
+    return Webhook.create(db, { url: 'https://example.com/hook', events, secret: 'whsec_test' });
+  }
+
+  test('create stores the subscription and never returns the secret', () => {
+    const webhook = create(['book.created', 'book.returned']);
+
+    expect(webhook).toMatchObject({
+      url: 'https://example.com/hook',
+      events: ['book.created', 'book.returned'],
+      consecutive_failures: 0,
+      disabled_at: null,
+    });
+    expect(webhook).not.toHaveProperty('secret');
+    expect(Webhook.findById(db, webhook.id)).toEqual(webhook);
+    expect(Webhook.findAll(db)).toEqual([webhook]);
+  });
+
+  test('findById returns undefined for an unknown id', () => {
+    expect(Webhook.findById(db, 'nope')).toBeUndefined();
+  });
+
+  test('findSubscribers returns enabled subscriptions to the event type', () => {
+    const created = create(['book.created']);
+    const both = create(['book.created', 'book.updated']);
+    const disabled = create(['book.created']);
+    Webhook.update(db, disabled.id, { enabled: false });
+
+    expect(Webhook.findSubscribers(db, 'book.created').map(w => w.id).sort()).toEqual([created.id, both.id].sort());
+    expect(Webhook.findSubscribers(db, 'book.updated').map(w => w.id)).toEqual([both.id]);
+    expect(Webhook.findSubscribers(db, 'book.returned')).toEqual([]);
+  });
+
+  test('update changes only the fields given', () => {
+    const webhook = create();
+
+    const updated = Webhook.update(db, webhook.id, { events: ['book.updated'] });
+
+    expect(updated.url).toBe('https://example.com/hook');
+    expect(updated.events).toEqual(['book.updated']);
+    expect(Webhook.update(db, webhook.id, { url: 'https://example.org/new' }).url).toBe('https://example.org/new');
+  });
+
+  test('turning a subscription back on clears its failures', () => {
+    const webhook = create();
+    Webhook.recordFailure(db, webhook.id, { disableAfter: 1 });
+
+    const enabled = Webhook.update(db, webhook.id, { enabled: true });
+
+    expect(enabled.disabled_at).toBeNull();
+    expect(enabled.consecutive_failures).toBe(0);
+  });
+
+  test('turning a disabled subscription off keeps when it was disabled', () => {
+    const webhook = create();
+    Webhook.recordFailure(db, webhook.id, { disableAfter: 1, now: new Date('2024-01-01T00:00:00.000Z') });
+
+    expect(Webhook.update(db, webhook.id, { enabled: false }).disabled_at).toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  test('remove deletes the subscription', () => {
+    const webhook = create();
+
+    expect(Webhook.remove(db, webhook.id)).toBe(true);
+    expect(Webhook.remove(db, webhook.id)).toBe(false);
+    expect(Webhook.findById(db, webhook.id)).toBeUndefined();
+  });
+
+  test('recordFailure disables the subscription after enough failures in a row', () => {
+    const webhook = create();
+
+    expect(Webhook.recordFailure(db, webhook.id, { disableAfter: 2 })).toBe(false);
+    Webhook.recordSuccess(db, webhook.id);
+    expect(Webhook.recordFailure(db, webhook.id, { disableAfter: 2 })).toBe(false);
+    expect(Webhook.recordFailure(db, webhook.id, { disableAfter: 2 })).toBe(true);
+    expect(Webhook.findById(db, webhook.id).disabled_at).not.toBeNull();
+
+    // Already disabled: counted, but not disabled again
+    expect(Webhook.recordFailure(db, webhook.id, { disableAfter: 2 })).toBe(false);
+    expect(Webhook.findById(db, webhook.id).consecutive_failures).toBe(3);
+  });
+
+  test('recordFailure ignores an unknown subscription', () => {
+    expect(Webhook.recordFailure(db, 'nope', { disableAfter: 1 })).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Webhook = require('../../src/models/webhook');
+const WebhookDelivery = require('../../src/models/webhookDelivery');
+
+describe('WebhookDelivery model', () => {
+  let db;
+  let webhook;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    webhook = Webhook.create(db, { url: 'https://example.com/hook', events: ['book.created'], secret: 'whsec_test' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('enqueue queues one delivery per subscriber, sharing the event', () => {
+    const other = Webhook.create(db, { url: 'https://example.org/hook', events: ['book.created'], secret: 's' });
+
+    expect(WebhookDelivery.enqueue(db, 'book.created', { book: { id: 'b1' } })).toBe(2);
+
+    const [first] = WebhookDelivery.findByWebhookId(db, webhook.id).deliveries;
+    const [second] = WebhookDelivery.findByWebhookId(db, other.id).deliveries;
+    expect(first).toMatchObject({ event_type: 'book.created', status: 'pending', attempts: 0 });
+    expect(first.payload).toEqual({
+      id: first.event_id,
+      type: 'book.created',
+      created_at: expect.any(String),
+      data: { book: { id: 'b1' } },
+    });
+    expect(second.event_id).toBe(first.event_id);
+  });
+
+  test('enqueue keeps a given event id and skips subscriptions that already have the event', () => {
+    const options = { eventId: 'e1', createdAt: '2024-01-01T00:00:00.000Z' };
+
+    expect(WebhookDelivery.enqueue(db, 'book.created', { n: 1 }, options)).toBe(1);
+    const other = Webhook.create(db, { url: 'https://example.org/hook', events: ['book.created'], secret: 's' });
+    expect(WebhookDelivery.enqueue(db, 'book.created', { n: 1 }, options)).toBe(1);
+    expect(WebhookDelivery.enqueue(db, 'book.created', { n: 1 }, options)).toBe(0);
+
+    const [delivery] = WebhookDelivery.findByWebhookId(db, webhook.id).deliveries;
+    expect(delivery.payload).toEqual({ id: 'e1', type: 'book.created', created_at: '2024-01-01T00:00:00.000Z', data: { n: 1 } });
+    expect(WebhookDelivery.findByWebhookId(db, webhook.id).total).toBe(1);
+    expect(WebhookDelivery.findByWebhookId(db, other.id).total).toBe(1);
+  });
+
+  test('enqueue does nothing without subscribers', () => {
+    expect(WebhookDelivery.enqueue(db, 'book.updated', {})).toBe(0);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM webhook_deliveries').get().n).toBe(0);
+  });
+
+  test('requeue queues the same event again', () => {
+    WebhookDelivery.enqueue(db, 'book.created', { book: { id: 'b1' } });
+    const [original] = WebhookDelivery.findByWebhookId(db, webhook.id).deliveries;
+    WebhookDelivery.recordAttempt(db, original.id, { status: 'failed', attemptedAt: new Date(), error: 'HTTP 500' });
+
+    const copy = WebhookDelivery.requeue(db, original.id);
+
+    expect(copy.id).not.toBe(original.id);
+    expect(copy).toMatchObject({ event_id: original.event_id, payload: original.payload, status: 'pending', attempts: 0 });
+    expect(WebhookDelivery.requeue(db, 'nope')).toBeUndefined();
+  });
+
+  test('findByWebhookId pages newest first', () => {
+    WebhookDelivery.enqueue(db, 'book.created', { n: 1 });
+    WebhookDelivery.enqueue(db, 'book.created', { n: 2 });
+    WebhookDelivery.enqueue(db, 'book.created', { n: 3 });
+
+    const { deliveries, total } = WebhookDelivery.findByWebhookId(db, webhook.id, { limit: 2, offset: 1 });
+
+    expect(total).toBe(3);
+    expect(deliveries.map(d => d.payload.data.n)).toEqual([2, 1]);
+  });
+
+  test('findDue returns pending deliveries that are due for enabled subscriptions', () => {
+    WebhookDelivery.enqueue(db, 'book.created', { n: 1 });
+    WebhookDelivery.enqueue(db, 'book.created', { n: 2 });
+    const [later, sooner] = WebhookDelivery.findByWebhookId(db, webhook.id).deliveries;
+    const now = new Date();
+
+    WebhookDelivery.recordAttempt(db, later.id, {
+      status: 'pending',
+      attemptedAt: now,
+      nextAttemptAt: new Date(now.getTime() + 60000),
+      responseStatus: 503,
+      error: 'HTTP 503',
+    });
+
+    const due = WebhookDelivery.findDue(db, { now });
+    expect(due).toHaveLength(1);
+    expect(due[0]).toMatchObject({ id: sooner.id, url: 'https://example.com/hook', secret: 'whsec_test', attempts: 0 });
+    expect(JSON.parse(due[0].payload).data).toEqual({ n: 1 });
+
+    expect(WebhookDelivery.findDue(db, { now: new Date(now.getTime() + 60000) })).toHaveLength(2);
+
+    Webhook.update(db, webhook.id, { enabled: false });
+    expect(WebhookDelivery.findDue(db, { now })).toEqual([]);
+  });
+
+  test('recordAttempt records the outcome', () => {
+    WebhookDelivery.enqueue(db, 'book.created', {});
+    const [delivery] = WebhookDelivery.findByWebhookId(db, webhook.id).deliveries;
+    const attemptedAt = new Date('2024-01-01T00:00:00.000Z');
+
+    WebhookDelivery.recordAttempt(db, delivery.id, { status: 'succeeded', attemptedAt, responseStatus: 204 });
+
+    expect(WebhookDelivery.findById(db, delivery.id)).toMatchObject({
+      status: 'succeeded',
+      attempts: 1,
+      last_attempt_at: '2024-01-01T00:00:00.000Z',
+      next_attempt_at: null,
+      response_status: 204,
+      last_error: null,
+    });
+  });
+});
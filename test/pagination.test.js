@@ -0,0 +1,57 @@
+const { encodeCursor, decodeCursor, buildLinkHeader } = require('../src/pagination');
+
+describe('encodeCursor / decodeCursor', () => {
+  test('round-trips a keyset position', () => {
+    const token = encodeCursor('books', ['2024-01-01 00:00:00', 'abc'], 'next');
+
+    expect(decodeCursor(token, 'books')).toEqual({ key: ['2024-01-01 00:00:00', 'abc'], direction: 'next' });
+  });
+
+  test('produces an opaque token without the raw key', () => {
+    const token = encodeCursor('books', ['2024-01-01 00:00:00', 'abc'], 'next');
+
+    expect(token).not.toContain('2024');
+    expect(token).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+  });
+
+  test('rejects a tampered payload', () => {
+    const token = encodeCursor('books', ['2024-01-01 00:00:00', 'abc'], 'next');
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ s: 'books', k: ['9999', 'z'], d: 'next' })).toString('base64url');
+
+    expect(decodeCursor(`${forged}.${signature}`, 'books')).toBeNull();
+  });
+
+  test('rejects a cursor issued for another scope', () => {
+    const token = encodeCursor('history:a', ['t', 'id'], 'prev');
+
+    expect(decodeCursor(token, 'history:b')).toBeNull();
+  });
+
+  test('rejects malformed tokens', () => {
+    expect(decodeCursor('garbage', 'books')).toBeNull();
+    expect(decodeCursor('a.b.c', 'books')).toBeNull();
+    expect(decodeCursor(undefined, 'books')).toBeNull();
+  });
+});
+
+describe('buildLinkHeader', () => {
+  test('rewrites query parameters of the current URL per relation', () => {
+    const req = { originalUrl: '/books?limit=2&published_year[gte]=1900&page=3' };
+
+    const header = buildLinkHeader(req, {
+      next: { page: 4 },
+      prev: null,
+      first: { page: undefined, cursor: 'abc' },
+    });
+
+    expect(header).toBe(
+      '</books?limit=2&published_year%5Bgte%5D=1900&page=4>; rel="next", '
+      + '</books?limit=2&published_year%5Bgte%5D=1900&cursor=abc>; rel="first"'
+    );
+  });
+
+  test('returns an empty string when there are no links', () => {
+    expect(buildLinkHeader({ originalUrl: '/books' }, { next: null })).toBe('');
+  });
+});
@@ -0,0 +1,50 @@
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  hasPermission,
+  permissionMatrix,
+} = require('../src/permissions');
+
+describe('permissions (src/permissions.js)', () => {
+  test('defines the four roles', () => {
+    expect(ROLES).toEqual(['admin', 'librarian', 'clerk', 'patron']);
+  });
+
+  test('roles only grant known permissions', () => {
+    for (const permissions of Object.values(ROLE_PERMISSIONS)) {
+      for (const permission of permissions) {
+        expect(Object.keys(PERMISSIONS)).toContain(permission);
+      }
+    }
+  });
+
+  test('admins can do everything except the patron-only :own permissions', () => {
+    expect(hasPermission('admin', 'auth:manage')).toBe(true);
+    expect(hasPermission('admin', 'loans:read')).toBe(true);
+    expect(hasPermission('admin', 'loans:read:own')).toBe(false);
+  });
+
+  test('each role grants less than the one above it', () => {
+    expect(hasPermission('librarian', 'books:write')).toBe(true);
+    expect(hasPermission('librarian', 'auth:manage')).toBe(false);
+    expect(hasPermission('clerk', 'circulation:write')).toBe(true);
+    expect(hasPermission('clerk', 'books:write')).toBe(false);
+    expect(hasPermission('patron', 'books:read')).toBe(true);
+    expect(hasPermission('patron', 'loans:read')).toBe(false);
+    expect(hasPermission('patron', 'loans:read:own')).toBe(true);
+  });
+
+  test('unknown roles have no permissions', () => {
+    expect(hasPermission('system', 'books:read')).toBe(false);
+    expect(hasPermission(undefined, 'books:read')).toBe(false);
+  });
+
+  test('renders a Markdown table with a row per permission', () => {
+    const lines = permissionMatrix().split('\n');
+
+    expect(lines[0]).toBe('| Permission | Allows | admin | librarian | clerk | patron |');
+    expect(lines).toHaveLength(Object.keys(PERMISSIONS).length + 2);
+    expect(lines).toContain('| `auth:manage` | Create accounts and manage API keys | ✓ |  |  |  |');
+  });
+});
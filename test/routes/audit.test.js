@@ -0,0 +1,101 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const auditRouter = require('../../src/routes/audit');
+const errorHandler = require('../../src/middleware/errorHandler');
+const AuditLog = require('../../src/models/auditLog');
+
+function createApp(db, role = 'admin') {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role, patronId: null };
+    next();
+  });
+  app.use('/audit', auditRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('/audit', () => {
+  let db;
+  let app;
+
+  const desk = { actor: { type: 'api_key', id: 'k1', name: 'Desk' }, requestId: 'r1', ip: '10.0.0.1' };
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    AuditLog.append(db, { action: 'book.created', entityType: 'book', entityId: 'b1', after: { title: 'T' } }, desk);
+    AuditLog.append(db, { action: 'copy.checked_out', entityType: 'copy', entityId: 'c1' }, desk);
+    AuditLog.append(db, { action: 'book.updated', entityType: 'book', entityId: 'b1' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('GET /audit', () => {
+    test('lists entries newest first with pagination', async () => {
+      const res = await request(app).get('/audit?limit=2');
+
+      expect(res.status).toBe(200);
+      expect(res.body.pagination).toEqual({ page: 1, limit: 2, total: 3 });
+      expect(res.body.data.map(e => e.action)).toEqual(['book.updated', 'copy.checked_out']);
+    });
+
+    test('filters by entity and actor', async () => {
+      const byEntity = await request(app).get('/audit?entity_type=book&entity_id=b1');
+      expect(byEntity.body.data.map(e => e.seq)).toEqual([3, 1]);
+      expect(byEntity.body.data[1]).toMatchObject({ actor_name: 'Desk', request_id: 'r1', after: { title: 'T' } });
+
+      const byActor = await request(app).get('/audit?actor_id=k1');
+      expect(byActor.body.pagination.total).toBe(2);
+    });
+
+    test('filters by time range', async () => {
+      const past = await request(app).get('/audit?from=2000-01-01&to=2000-01-02');
+      expect(past.body.pagination.total).toBe(0);
+
+      const recent = await request(app).get(`/audit?from=${encodeURIComponent(new Date(Date.now() - 60000).toISOString())}`);
+      expect(recent.body.pagination.total).toBe(3);
+    });
+
+    test('rejects malformed filters', async () => {
+      const res = await request(app).get('/audit?from=yesterday&entity_id=a&entity_id=b&limit=0');
+
+      expect(res.status).toBe(400);
+      expect(res.body.invalid_params.map(e => e.name).sort()).toEqual(['entity_id', 'from', 'limit']);
+    });
+
+    test('needs the audit:read permission', async () => {
+      const res = await request(createApp(db, 'librarian')).get('/audit');
+
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({ detail: 'This requires the audit:read permission' });
+    });
+  });
+
+  describe('GET /audit/verify', () => {
+    test('reports an intact chain', async () => {
+      const res = await request(app).get('/audit/verify');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ valid: true, checked: 3, broken_at: null });
+    });
+
+    test('reports where the chain was broken', async () => {
+      db.exec('DROP TRIGGER audit_log_no_update');
+      db.prepare("UPDATE audit_log SET entity_id = 'c2' WHERE seq = 2").run();
+
+      const res = await request(app).get('/audit/verify');
+
+      expect(res.body).toEqual({ valid: false, checked: 1, broken_at: 2 });
+    });
+  });
+});
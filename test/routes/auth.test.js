@@ -0,0 +1,224 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const authRouter = require('../../src/routes/auth');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Patron = require('../../src/models/patron');
+const { createUser, createApiKey } = require('../../src/services/auth');
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use('/auth', authRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('/auth', () => {
+  let db;
+  let app;
+  let admin;
+  let staff;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    createUser(db, { username: 'jsmith', password: 'correct horse battery', role: 'librarian' });
+    admin = { 'X-API-Key': createApiKey(db, { name: 'Admin', role: 'admin' }).key };
+    staff = { 'X-API-Key': createApiKey(db, { name: 'Desk', role: 'librarian' }).key };
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('POST /auth/login and /auth/refresh', () => {
+    test('signing in returns tokens that can be refreshed once', async () => {
+      const res = await request(app).post('/auth/login').send({ username: 'jsmith', password: 'correct horse battery' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ token_type: 'Bearer', expires_in: 900 });
+
+      const refreshed = await request(app).post('/auth/refresh').send({ refresh_token: res.body.refresh_token });
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body.access_token).toEqual(expect.any(String));
+
+      const reused = await request(app).post('/auth/refresh').send({ refresh_token: res.body.refresh_token });
+      expect(reused.status).toBe(401);
+      expect(reused.body).toMatchObject({ detail: 'Invalid or expired refresh token' });
+    });
+
+    test('wrong credentials give 401 and missing fields give 400', async () => {
+      const wrong = await request(app).post('/auth/login').send({ username: 'jsmith', password: 'nope' });
+      expect(wrong.status).toBe(401);
+      expect(wrong.headers['www-authenticate']).toBe('Bearer');
+      expect(wrong.body).toMatchObject({ detail: 'Invalid username or password' });
+
+      const missing = await request(app).post('/auth/login').send({ username: 'jsmith' });
+      expect(missing.status).toBe(400);
+      expect(missing.body.invalid_params).toEqual([expect.objectContaining({ name: 'password', reason: 'Password is required' })]);
+
+      expect((await request(app).post('/auth/refresh').send({})).status).toBe(400);
+    });
+
+    test('an access token carries the account\'s role', async () => {
+      const { body: tokens } = await request(app).post('/auth/login').send({ username: 'jsmith', password: 'correct horse battery' });
+
+      const res = await request(app).get('/auth/keys').set('Authorization', `Bearer ${tokens.access_token}`);
+
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({ detail: 'This requires the auth:manage permission' });
+    });
+  });
+
+  describe('POST /auth/users', () => {
+    test('admins create staff accounts that can sign in', async () => {
+      const res = await request(app).post('/auth/users').set(admin).send({
+        username: ' mjones ',
+        password: 'another long secret',
+        role: 'clerk',
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ username: 'mjones', role: 'clerk', patron_id: null, last_login_at: null });
+      expect(res.body).not.toHaveProperty('password_hash');
+      expect((await request(app).post('/auth/login').send({ username: 'mjones', password: 'another long secret' })).status)
+        .toBe(200);
+    });
+
+    test('validates fields and returns 409 for a taken username', async () => {
+      const invalid = await request(app).post('/auth/users').set(admin).send({ username: '', password: 'short', role: 'staff' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.invalid_params.map(e => e.name).sort()).toEqual(['password', 'role', 'username']);
+
+      const taken = await request(app).post('/auth/users').set(admin).send({
+        username: 'JSMITH',
+        password: 'another long secret',
+        role: 'librarian',
+      });
+      expect(taken.status).toBe(409);
+      expect(taken.body).toMatchObject({ detail: 'A user with this username already exists' });
+    });
+
+    test('patron accounts are tied to one patron', async () => {
+      const patronId = Patron.create(db, { name: 'Ada Lovelace', email: 'ada@example.com', card_number: 'CARD-0001' }).id;
+      const account = { password: 'another long secret', role: 'patron' };
+
+      const created = await request(app).post('/auth/users').set(admin).send({ ...account, username: 'ada', patron_id: patronId });
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ username: 'ada', role: 'patron', patron_id: patronId });
+
+      const second = await request(app).post('/auth/users').set(admin).send({ ...account, username: 'ada2', patron_id: patronId });
+      expect(second.status).toBe(409);
+      expect(second.body).toMatchObject({ detail: 'This patron already has an account' });
+
+      const unknown = await request(app).post('/auth/users').set(admin).send({
+        ...account,
+        username: 'ghost',
+        patron_id: '00000000-0000-4000-8000-000000000000',
+      });
+      expect(unknown.status).toBe(404);
+    });
+
+    test('requires patron_id for patron accounts and forbids it for staff', async () => {
+      const patron = await request(app).post('/auth/users').set(admin).send({
+        username: 'ada',
+        password: 'another long secret',
+        role: 'patron',
+      });
+      expect(patron.status).toBe(400);
+      expect(patron.body.invalid_params).toEqual([
+        expect.objectContaining({ name: 'patron_id', reason: 'patron_id must be a valid UUID v4 for a patron account' }),
+      ]);
+
+      const staffAccount = await request(app).post('/auth/users').set(admin).send({
+        username: 'mjones',
+        password: 'another long secret',
+        role: 'clerk',
+        patron_id: '00000000-0000-4000-8000-000000000000',
+      });
+      expect(staffAccount.status).toBe(400);
+      expect(staffAccount.body.invalid_params).toEqual([
+        expect.objectContaining({ name: 'patron_id', reason: 'patron_id is only allowed for a patron account' }),
+      ]);
+    });
+
+    test('needs an admin', async () => {
+      expect((await request(app).post('/auth/users').send({})).status).toBe(401);
+      expect((await request(app).post('/auth/users').set(staff).send({})).status).toBe(403);
+    });
+  });
+
+  describe('/auth/keys', () => {
+    test('creates a key that is shown once and then listed by prefix', async () => {
+      const created = await request(app).post('/auth/keys').set(admin).send({ name: 'Signage' });
+
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ name: 'Signage', role: 'clerk', revoked_at: null });
+      expect(created.body.key).toMatch(/^lib_/);
+
+      const list = await request(app).get('/auth/keys').set(admin);
+      expect(list.status).toBe(200);
+      expect(list.body.data[0]).toEqual({
+        id: created.body.id,
+        name: 'Signage',
+        prefix: created.body.prefix,
+        role: 'clerk',
+        created_at: expect.any(String),
+        last_used_at: null,
+        revoked_at: null,
+      });
+      expect(list.body.data.find(k => k.name === 'Admin').last_used_at).not.toBeNull();
+    });
+
+    test('validates the name and role', async () => {
+      const res = await request(app).post('/auth/keys').set(admin).send({ name: ' ', role: 'system' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.invalid_params).toEqual([
+        expect.objectContaining({ name: 'name', reason: 'Name is required' }),
+        expect.objectContaining({ name: 'role', reason: 'Role must be one of: admin, librarian, clerk' }),
+      ]);
+    });
+
+    test('revoking a key stops it working', async () => {
+      const { body: key } = await request(app).post('/auth/keys').set(admin).send({ name: 'Signage', role: 'admin' });
+
+      expect((await request(app).delete(`/auth/keys/${key.id}`).set(admin)).status).toBe(204);
+      expect((await request(app).delete(`/auth/keys/${key.id}`).set(admin)).status).toBe(204);
+
+      const res = await request(app).get('/auth/keys').set('X-API-Key', key.key);
+      expect(res.status).toBe(401);
+      expect(res.body).toMatchObject({ detail: 'Invalid or revoked API key' });
+    });
+
+    test('rotating a key replaces it', async () => {
+      const { body: key } = await request(app).post('/auth/keys').set(admin).send({ name: 'Signage', role: 'admin' });
+
+      const rotated = await request(app).post(`/auth/keys/${key.id}/rotate`).set(admin);
+      expect(rotated.status).toBe(201);
+      expect(rotated.body).toMatchObject({ name: 'Signage', role: 'admin' });
+      expect(rotated.body.id).not.toBe(key.id);
+
+      expect((await request(app).get('/auth/keys').set('X-API-Key', rotated.body.key)).status).toBe(200);
+      expect((await request(app).get('/auth/keys').set('X-API-Key', key.key)).status).toBe(401);
+
+      const again = await request(app).post(`/auth/keys/${key.id}/rotate`).set(admin);
+      expect(again.status).toBe(409);
+      expect(again.body).toMatchObject({ code: 'API_KEY_REVOKED', detail: 'API key has been revoked' });
+    });
+
+    test('returns 404 for an unknown key and 400 for a malformed id', async () => {
+      const missing = '00000000-0000-4000-8000-000000000000';
+
+      expect((await request(app).delete(`/auth/keys/${missing}`).set(admin)).body).toMatchObject({ code: 'API_KEY_NOT_FOUND', detail: 'API key not found' });
+      expect((await request(app).post(`/auth/keys/${missing}/rotate`).set(admin)).status).toBe(404);
+      expect((await request(app).delete('/auth/keys/nope').set(admin)).status).toBe(400);
+    });
+  });
+});
@@ -1,17 +1,28 @@
 const request = require('supertest');
 const app = require('../../src/app');
+const Patron = require('../../src/models/patron');
+const { createApiKey } = require('../../src/services/auth');
 
-const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'admin' }).key };
 
-describe('POST /books/:id/checkout', () => {
+describe('deprecated POST /books/:id/checkout and /renew', () => {
   let seededBook;
+  let patron;
 
   beforeEach(async () => {
     app.locals.db.exec('DELETE FROM checkout_history');
     app.locals.db.exec('DELETE FROM books');
+    app.locals.db.exec('DELETE FROM patrons');
+
+    patron = Patron.create(app.locals.db, {
+      name: 'Test Patron',
+      email: 'patron@example.com',
+      card_number: 'CARD-0001',
+    });
 
     const res = await request(app)
       .post('/books')
+      .set(auth)
       .send({
         title: 'Test Book',
         author: 'Test Author',
@@ -19,57 +30,60 @@ describe('POST /books/:id/checkout', () => {
         published_year: 2023,
       });
     seededBook = res.body;
+    await request(app).post(`/books/${seededBook.id}/copies`).set(auth).send({ barcode: '31234000000016' });
   });
 
-  test('returns 200 with checked_out status on successful checkout', async () => {
-    const res = await request(app).post(`/books/${seededBook.id}/checkout`);
-
-    expect(res.status).toBe(200);
-    expect(res.body.id).toBe(seededBook.id);
-    expect(res.body.status).toBe('checked_out');
+  test('lend and renew the book\'s only copy, pointing at the copy routes', async () => {
+    const checkout = await request(app).post(`/books/${seededBook.id}/checkout`).set(auth).send({ patron_id: patron.id });
+    const renew = await request(app).post(`/books/${seededBook.id}/renew`).set(auth);
+
+    expect(checkout.status).toBe(200);
+    expect(checkout.body).toMatchObject({ barcode: '31234000000016', status: 'checked_out', patron_id: patron.id });
+    expect(renew.body.renewal_count).toBe(1);
+    for (const [res, action] of [[checkout, 'checkout'], [renew, 'renew']]) {
+      expect(res.headers.deprecation).toBe('true');
+      expect(res.headers.link).toBe(`</copies/31234000000016/${action}>; rel="successor-version"`);
+    }
   });
 
-  test('returns 404 with error message for non-existent book UUID', async () => {
-    const res = await request(app).post(`/books/${NON_EXISTENT_UUID}/checkout`);
-
-    expect(res.status).toBe(404);
-    expect(res.body).toEqual({ error: 'Book not found' });
+  test('need the barcode once the book has several copies', async () => {
+    await request(app).post(`/books/${seededBook.id}/copies`).set(auth).send({ barcode: '31234000000024' });
+
+    const ambiguous = await request(app).post(`/books/${seededBook.id}/checkout`).set(auth).send({ patron_id: patron.id });
+    const named = await request(app)
+      .post(`/books/${seededBook.id}/checkout`)
+      .set(auth)
+      .send({ patron_id: patron.id, barcode: '31234000000024' });
+
+    expect(ambiguous.status).toBe(400);
+    expect(ambiguous.headers.deprecation).toBe('true');
+    expect(ambiguous.body.invalid_params).toEqual([
+      { name: 'barcode', in: 'body', reason: 'barcode is required because the book has more than one copy' },
+    ]);
+    expect(named.body).toMatchObject({ barcode: '31234000000024', status: 'checked_out' });
   });
 
-  test('returns 409 with error message when book is already checked out', async () => {
-    // First checkout succeeds
-    await request(app).post(`/books/${seededBook.id}/checkout`);
+  test('answer as the copy routes do when circulation refuses', async () => {
+    const notOut = await request(app).post(`/books/${seededBook.id}/renew`).set(auth);
+    const invalid = await request(app).post('/books/not-a-uuid/checkout').set(auth).send({});
 
-    // Second checkout should fail with 409
-    const res = await request(app).post(`/books/${seededBook.id}/checkout`);
-
-    expect(res.status).toBe(409);
-    expect(res.body).toEqual({ error: 'Book is already checked out' });
+    expect(notOut.status).toBe(409);
+    expect(invalid.body.invalid_params.map(e => e.name).sort()).toEqual(['id', 'patron_id']);
   });
 
-  test('returns 400 with structured validation error for malformed UUID', async () => {
-    const res = await request(app).post('/books/not-a-uuid/checkout');
-
-    expect(res.status).toBe(400);
-    expect(res.body.errors).toBeDefined();
-    expect(Array.isArray(res.body.errors)).toBe(true);
-    const idError = res.body.errors.find(e => e.field === 'id');
-    expect(idError).toBeDefined();
-  });
-
-  test('response status field equals checked_out after successful checkout', async () => {
-    const res = await request(app).post(`/books/${seededBook.id}/checkout`);
-
-    expect(res.status).toBe(200);
-    expect(res.body.status).toBe('checked_out');
-  });
+  test('replay a checkout sent again with the same Idempotency-Key', async () => {
+    const send = () => request(app)
+      .post(`/books/${seededBook.id}/checkout`)
+      .set(auth)
+      .set('Idempotency-Key', 'legacy-checkout-1')
+      .send({ patron_id: patron.id });
 
-  test('response checked_out_at is a valid parseable timestamp after successful checkout', async () => {
-    const res = await request(app).post(`/books/${seededBook.id}/checkout`);
+    const first = await send();
+    const again = await send();
 
-    expect(res.status).toBe(200);
-    expect(res.body.checked_out_at).not.toBeNull();
-    const parsed = new Date(res.body.checked_out_at);
-    expect(isNaN(parsed.getTime())).toBe(false);
+    expect(again.status).toBe(200);
+    expect(again.headers['idempotent-replayed']).toBe('true');
+    expect(again.headers.link).toBe(first.headers.link);
+    expect(again.body).toEqual(first.body);
   });
 });
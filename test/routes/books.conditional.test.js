@@ -0,0 +1,183 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const booksRouter = require('../../src/routes/books');
+const copiesRouter = require('../../src/routes/copies');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Patron = require('../../src/models/patron');
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/books', booksRouter);
+  app.use('/copies', copiesRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const validBook = {
+  title: 'The Great Gatsby',
+  author: 'F. Scott Fitzgerald',
+  isbn: '978-0-7432-7356-5',
+  published_year: 1925,
+};
+
+describe('ETags and conditional requests on books', () => {
+  let db;
+  let app;
+  let book;
+  let patron;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    book = Book.create(db, validBook);
+    Copy.create(db, book.id, { barcode: 'C-1' });
+    patron = Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_IF_MATCH;
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  async function etagOf(id = book.id) {
+    return (await request(app).get(`/books/${id}`)).headers.etag;
+  }
+
+  describe('GET /books/:id', () => {
+    test('sends the version as a strong ETag', async () => {
+      const res = await request(app).get(`/books/${book.id}`);
+
+      expect(res.headers.etag).toBe(`"${res.body.version}"`);
+    });
+
+    test('answers 304 with no body while If-None-Match is current, and 200 once the book changes', async () => {
+      const etag = await etagOf();
+
+      const notModified = await request(app).get(`/books/${book.id}`).set('If-None-Match', etag);
+      expect(notModified.status).toBe(304);
+      expect(notModified.text).toBe('');
+
+      await request(app).patch(`/books/${book.id}`).send({ title: 'New' });
+      const modified = await request(app).get(`/books/${book.id}`).set('If-None-Match', etag);
+      expect(modified.status).toBe(200);
+      expect(modified.body.title).toBe('New');
+    });
+
+    test('changes the ETag when a copy is checked out, since availability changes', async () => {
+      const before = await etagOf();
+
+      await request(app).post('/copies/C-1/checkout').send({ patron_id: patron.id });
+
+      expect(await etagOf()).not.toBe(before);
+    });
+  });
+
+  describe('PUT and PATCH /books/:id', () => {
+    test('applies the write when If-Match is current and returns the new ETag', async () => {
+      const etag = await etagOf();
+
+      const res = await request(app).patch(`/books/${book.id}`).set('If-Match', etag).send({ title: 'New' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.version).toBe(Number(JSON.parse(etag)) + 1);
+      expect(res.headers.etag).toBe(`"${res.body.version}"`);
+    });
+
+    test('returns 412 and leaves the book alone when someone else wrote first', async () => {
+      const etag = await etagOf();
+      await request(app).patch(`/books/${book.id}`).set('If-Match', etag).send({ title: 'First' });
+
+      const res = await request(app).put(`/books/${book.id}`).set('If-Match', etag).send({ ...validBook, title: 'Second' });
+
+      expect(res.status).toBe(412);
+      expect(res.body).toMatchObject({ code: 'PRECONDITION_FAILED', type: '/errors/PRECONDITION_FAILED' });
+      expect(Book.findById(db, book.id).title).toBe('First');
+    });
+
+    test('accepts * and any listed ETag, but never a weak one', async () => {
+      const etag = await etagOf();
+
+      expect((await request(app).patch(`/books/${book.id}`).set('If-Match', `W/${etag}`).send({ title: 'A' })).status)
+        .toBe(412);
+      expect((await request(app).patch(`/books/${book.id}`).set('If-Match', `"0", ${etag}`).send({ title: 'B' })).status)
+        .toBe(200);
+      expect((await request(app).patch(`/books/${book.id}`).set('If-Match', '*').send({ title: 'C' })).status)
+        .toBe(200);
+    });
+
+    test('returns 404 rather than 412 for a book that does not exist', async () => {
+      const res = await request(app)
+        .patch('/books/00000000-0000-4000-a000-000000000000')
+        .set('If-Match', '"1"')
+        .send({ title: 'New' });
+
+      expect(res.status).toBe(404);
+    });
+
+    test('returns 428 without If-Match when REQUIRE_IF_MATCH is set', async () => {
+      process.env.REQUIRE_IF_MATCH = 'true';
+
+      const res = await request(app).patch(`/books/${book.id}`).send({ title: 'New' });
+
+      expect(res.status).toBe(428);
+      expect(res.body.code).toBe('PRECONDITION_REQUIRED');
+      expect((await request(app).patch(`/books/${book.id}`).set('If-Match', await etagOf()).send({ title: 'New' })).status)
+        .toBe(200);
+    });
+  });
+
+  describe('DELETE /books/:id', () => {
+    test('returns 412 for a stale ETag and 204 for the current one', async () => {
+      const stale = await etagOf();
+      await request(app).patch(`/books/${book.id}`).send({ title: 'New' });
+
+      expect((await request(app).delete(`/books/${book.id}`).set('If-Match', stale)).status).toBe(412);
+      expect((await request(app).delete(`/books/${book.id}`).set('If-Match', await etagOf())).status).toBe(204);
+    });
+  });
+
+  describe('checkout and return', () => {
+    test('check If-Match against the copy\'s book', async () => {
+      const etag = await etagOf();
+
+      const checkout = await request(app).post('/copies/C-1/checkout').set('If-Match', etag).send({ patron_id: patron.id });
+      expect(checkout.status).toBe(200);
+
+      const staleReturn = await request(app).post('/copies/C-1/return').set('If-Match', etag);
+      expect(staleReturn.status).toBe(412);
+      expect(Copy.findByBarcode(db, 'C-1').status).toBe('checked_out');
+
+      expect((await request(app).post('/copies/C-1/return').set('If-Match', await etagOf())).status).toBe(200);
+    });
+
+    test('return 412 for a stale checkout before anything else is checked', async () => {
+      const etag = await etagOf();
+      Copy.create(db, book.id, { barcode: 'C-2' });
+
+      const res = await request(app).post('/copies/C-1/checkout').set('If-Match', etag).send({ patron_id: patron.id });
+
+      expect(res.status).toBe(412);
+      expect(Copy.findByBarcode(db, 'C-1').status).toBe('available');
+    });
+
+    test('return 428 without If-Match when REQUIRE_IF_MATCH is set', async () => {
+      process.env.REQUIRE_IF_MATCH = 'true';
+
+      expect((await request(app).post('/copies/C-1/checkout').send({ patron_id: patron.id })).status).toBe(428);
+      expect((await request(app).post('/copies/C-1/return')).status).toBe(428);
+    });
+  });
+});
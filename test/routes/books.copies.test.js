@@ -0,0 +1,94 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const booksRouter = require('../../src/routes/books');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Book = require('../../src/models/book');
+const { checkoutBook } = require('../../src/services/checkout');
+
+const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/books', booksRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('/books/:id/copies', () => {
+  let db;
+  let app;
+  let book;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('POST adds a copy and GET lists the copies with their loans', async () => {
+    const res = await request(app)
+      .post(`/books/${book.id}/copies`)
+      .send({ barcode: ' A31234000000016B ', condition: 'new', location: 'Stacks 3' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      book_id: book.id, barcode: '31234000000016', condition: 'new', location: 'Stacks 3', status: 'available', overdue: false,
+    });
+
+    await request(app).post(`/books/${book.id}/copies`).send({ barcode: '31234000000024' });
+    checkoutBook(db, '31234000000024');
+    const list = await request(app).get(`/books/${book.id}/copies`);
+
+    expect(list.status).toBe(200);
+    expect(list.body.data.map(c => [c.barcode, c.status])).toEqual([['31234000000016', 'available'], ['31234000000024', 'checked_out']]);
+  });
+
+  test('POST validates the barcode, condition and location', async () => {
+    const res = await request(app)
+      .post(`/books/${book.id}/copies`)
+      .send({ barcode: 'not a barcode', condition: 'mint', location: 'x'.repeat(101) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params.map(e => e.name).sort()).toEqual(['barcode', 'condition', 'location']);
+    expect((await request(app).post(`/books/${book.id}/copies`).send({})).status).toBe(400);
+  });
+
+  test('POST accepts only barcodes a scanner station can read', async () => {
+    const freeForm = await request(app).post(`/books/${book.id}/copies`).send({ barcode: 'C-1' });
+    const misprinted = await request(app).post(`/books/${book.id}/copies`).send({ barcode: '31234000000017' });
+
+    expect(freeForm.body.invalid_params).toMatchObject([{ name: 'barcode', reason: 'Barcode must be an EAN-13 or 14-digit Codabar barcode' }]);
+    expect(misprinted.body.invalid_params).toMatchObject([{ name: 'barcode', reason: 'Barcode has an invalid check digit' }]);
+    expect((await request(app).post(`/books/${book.id}/copies`).send({ barcode: '9780306406157' })).status).toBe(201);
+  });
+
+  test('POST returns 409 for a barcode already in use', async () => {
+    await request(app).post(`/books/${book.id}/copies`).send({ barcode: '31234000000016' });
+
+    const res = await request(app).post(`/books/${book.id}/copies`).send({ barcode: '31234000000016' });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ code: 'BARCODE_CONFLICT', detail: 'A copy with this barcode already exists' });
+  });
+
+  test('returns 404 for an unknown book and 400 for a malformed id', async () => {
+    expect((await request(app).post(`/books/${NON_EXISTENT_UUID}/copies`).send({ barcode: '31234000000016' })).status).toBe(404);
+    expect((await request(app).get(`/books/${NON_EXISTENT_UUID}/copies`)).status).toBe(404);
+    expect((await request(app).get('/books/not-a-uuid/copies')).status).toBe(400);
+  });
+});
@@ -3,6 +3,7 @@ const request = require('supertest');
 const { getDatabase } = require('../../src/db/connection');
 const { migrate } = require('../../src/db/migrate');
 const booksRouter = require('../../src/routes/books');
+const errorHandler = require('../../src/middleware/errorHandler');
 const Book = require('../../src/models/book');
 
 const uuidV4Regex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
@@ -11,7 +12,12 @@ function createApp(db) {
   const app = express();
   app.use(express.json());
   app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
   app.use('/books', booksRouter);
+  app.use(errorHandler);
   return app;
 }
 
@@ -63,10 +69,10 @@ describe('POST /books', () => {
       .set('Content-Type', 'application/json');
 
     expect(res.status).toBe(400);
-    expect(res.body.errors).toBeDefined();
-    const titleError = res.body.errors.find(e => e.field === 'title');
+    expect(res.body.invalid_params).toBeDefined();
+    const titleError = res.body.invalid_params.find(e => e.name === 'title');
     expect(titleError).toBeDefined();
-    expect(titleError.message).toBe('Title is required');
+    expect(titleError.reason).toBe('Title is required');
   });
 
   test('missing author returns 400 with error referencing author', async () => {
@@ -77,10 +83,10 @@ describe('POST /books', () => {
       .set('Content-Type', 'application/json');
 
     expect(res.status).toBe(400);
-    expect(res.body.errors).toBeDefined();
-    const authorError = res.body.errors.find(e => e.field === 'author');
+    expect(res.body.invalid_params).toBeDefined();
+    const authorError = res.body.invalid_params.find(e => e.name === 'author');
     expect(authorError).toBeDefined();
-    expect(authorError.message).toBe('Author is required');
+    expect(authorError.reason).toBe('Author is required');
   });
 
   test('invalid ISBN format returns 400 with error referencing isbn', async () => {
@@ -90,10 +96,10 @@ describe('POST /books', () => {
       .set('Content-Type', 'application/json');
 
     expect(res.status).toBe(400);
-    expect(res.body.errors).toBeDefined();
-    const isbnError = res.body.errors.find(e => e.field === 'isbn');
+    expect(res.body.invalid_params).toBeDefined();
+    const isbnError = res.body.invalid_params.find(e => e.name === 'isbn');
     expect(isbnError).toBeDefined();
-    expect(isbnError.message).toBe('ISBN must be a valid ISBN-10 or ISBN-13');
+    expect(isbnError.reason).toBe('ISBN must be a valid ISBN-10 or ISBN-13');
   });
 
   test('published_year below 1000 returns 400', async () => {
@@ -103,8 +109,8 @@ describe('POST /books', () => {
       .set('Content-Type', 'application/json');
 
     expect(res.status).toBe(400);
-    expect(res.body.errors).toBeDefined();
-    const yearError = res.body.errors.find(e => e.field === 'published_year');
+    expect(res.body.invalid_params).toBeDefined();
+    const yearError = res.body.invalid_params.find(e => e.name === 'published_year');
     expect(yearError).toBeDefined();
   });
 
@@ -115,8 +121,8 @@ describe('POST /books', () => {
       .set('Content-Type', 'application/json');
 
     expect(res.status).toBe(400);
-    expect(res.body.errors).toBeDefined();
-    const yearError = res.body.errors.find(e => e.field === 'published_year');
+    expect(res.body.invalid_params).toBeDefined();
+    const yearError = res.body.invalid_params.find(e => e.name === 'published_year');
     expect(yearError).toBeDefined();
   });
 
@@ -127,8 +133,8 @@ describe('POST /books', () => {
       .set('Content-Type', 'application/json');
 
     expect(res.status).toBe(400);
-    expect(res.body.errors).toBeDefined();
-    const fields = res.body.errors.map(e => e.field);
+    expect(res.body.invalid_params).toBeDefined();
+    const fields = res.body.invalid_params.map(e => e.name);
     expect(fields).toContain('title');
     expect(fields).toContain('author');
     expect(fields).toContain('isbn');
@@ -147,10 +153,10 @@ describe('POST /books', () => {
       .set('Content-Type', 'application/json');
 
     expect(res.status).toBe(409);
-    expect(res.body.error).toBe('A book with this ISBN already exists');
+    expect(res.body.detail).toBe('A book with this ISBN already exists');
   });
 
-  test('response includes expected default fields (id, created_at, updated_at, status: available, checked_out_at: null)', async () => {
+  test('response includes expected default fields (id, created_at, updated_at, status: available)', async () => {
     const res = await request(app)
       .post('/books')
       .send(validBook)
@@ -161,6 +167,84 @@ describe('POST /books', () => {
     expect(res.body).toHaveProperty('created_at');
     expect(res.body).toHaveProperty('updated_at');
     expect(res.body.status).toBe('available');
-    expect(res.body.checked_out_at).toBeNull();
+  });
+
+  test('defaults item_type to book', async () => {
+    const res = await request(app).post('/books').send(validBook);
+
+    expect(res.body.item_type).toBe('book');
+  });
+
+  test('accepts a configured item_type and rejects an unknown one', async () => {
+    const dvd = await request(app).post('/books').send({ ...validBook, item_type: 'dvd' });
+    expect(dvd.status).toBe(201);
+    expect(dvd.body.item_type).toBe('dvd');
+
+    const res = await request(app)
+      .post('/books')
+      .send({ ...validBook, isbn: '978-0-684-80154-4', item_type: 'scroll' });
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params).toEqual([
+      expect.objectContaining({ name: 'item_type', reason: 'Item type must be one of the configured loan period item types' }),
+    ]);
+  });
+
+  describe('with an Idempotency-Key', () => {
+    test('a retry replays the first response without creating a second book', async () => {
+      const first = await request(app).post('/books').set('Idempotency-Key', 'create-1').send(validBook);
+      const retry = await request(app).post('/books').set('Idempotency-Key', 'create-1')
+        .send({ published_year: validBook.published_year, isbn: validBook.isbn, author: validBook.author, title: validBook.title });
+
+      expect(first.status).toBe(201);
+      expect(first.headers['idempotent-replayed']).toBeUndefined();
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+      expect(db.prepare('SELECT COUNT(*) AS n FROM books').get().n).toBe(1);
+    });
+
+    test('a replay carries the book\'s current ETag, or no strong one once it is deleted', async () => {
+      const first = await request(app).post('/books').set('Idempotency-Key', 'create-1').send(validBook);
+      Book.update(db, first.body.id, { title: 'Renamed' });
+
+      const afterUpdate = await request(app).post('/books').set('Idempotency-Key', 'create-1').send(validBook);
+      db.prepare('UPDATE books SET deleted_at = ? WHERE id = ?').run(new Date().toISOString(), first.body.id);
+      const afterDelete = await request(app).post('/books').set('Idempotency-Key', 'create-1').send(validBook);
+
+      expect(first.headers.etag).toBe('"1"');
+      expect(afterUpdate.body.title).toBe(validBook.title);
+      expect(afterUpdate.headers.etag).toBe('"2"');
+      // Only Express's weak body hash, which If-Match never matches
+      expect(afterDelete.headers.etag).toMatch(/^W\//);
+    });
+
+    test('returns 422 when the key is reused with a different body', async () => {
+      await request(app).post('/books').set('Idempotency-Key', 'create-1').send(validBook);
+
+      const res = await request(app).post('/books').set('Idempotency-Key', 'create-1').send({ ...validBook, title: 'Other' });
+
+      expect(res.status).toBe(422);
+      expect(res.headers['content-type']).toMatch(/application\/problem\+json/);
+      expect(res.body).toMatchObject({ code: 'IDEMPOTENCY_KEY_REUSED', type: '/errors/IDEMPOTENCY_KEY_REUSED' });
+    });
+
+    test('does not store a failed request, so fixing it and retrying with the same key works', async () => {
+      Book.create(db, validBook);
+
+      const conflict = await request(app).post('/books').set('Idempotency-Key', 'create-1').send(validBook);
+      expect(conflict.status).toBe(409);
+
+      db.prepare('DELETE FROM books').run();
+      const retry = await request(app).post('/books').set('Idempotency-Key', 'create-1').send(validBook);
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    test('validates the body before the key, and rejects a malformed key', async () => {
+      expect((await request(app).post('/books').set('Idempotency-Key', 'create-1').send({})).body.code)
+        .toBe('VALIDATION_FAILED');
+      expect((await request(app).post('/books').set('Idempotency-Key', 'has space').send(validBook)).status).toBe(400);
+      expect(db.prepare('SELECT COUNT(*) AS n FROM idempotency_keys').get().n).toBe(0);
+    });
   });
 });
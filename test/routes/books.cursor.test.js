@@ -0,0 +1,192 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const booksRouter = require('../../src/routes/books');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const { checkoutBook, returnBook } = require('../../src/services/checkout');
+
+const ISBNS = [
+  '978-0-441-17271-9',
+  '978-0-261-10221-7',
+  '978-0-7432-7356-5',
+  '978-0-593-09823-5',
+  '978-3-16-148410-0',
+];
+
+function createApp(db) {
+  const app = express();
+  app.set('query parser', 'extended');
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/books', booksRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+function cursorFromLink(res, rel) {
+  const match = (res.headers.link || '').match(new RegExp(`<([^>]+)>; rel="${rel}"`));
+  return match ? new URL(match[1], 'http://localhost').searchParams.get('cursor') : null;
+}
+
+describe('Cursor pagination', () => {
+  let db;
+  let app;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  // All rows share one created_at second so the id tiebreaker is exercised
+  function seedBooks(count) {
+    const created = [];
+    for (let i = 0; i < count; i++) {
+      created.push(Book.create(db, {
+        title: `Book ${i}`, author: 'Author', isbn: ISBNS[i], published_year: 2000 + i,
+      }));
+    }
+    db.exec("UPDATE books SET created_at = '2024-01-01 00:00:00'");
+    return created;
+  }
+
+  describe('GET /books', () => {
+    test('walks forward and backward without duplicates or skips', async () => {
+      seedBooks(5);
+
+      const first = await request(app).get('/books?pagination=cursor&limit=2');
+      expect(first.status).toBe(200);
+      expect(first.body.pagination.prev_cursor).toBeNull();
+      expect(first.body.pagination.total).toBe(5);
+
+      const second = await request(app).get(`/books?limit=2&cursor=${first.body.pagination.next_cursor}`);
+      const third = await request(app).get(`/books?limit=2&cursor=${second.body.pagination.next_cursor}`);
+      expect(third.body.data).toHaveLength(1);
+      expect(third.body.pagination.next_cursor).toBeNull();
+
+      const ids = [...first.body.data, ...second.body.data, ...third.body.data].map(b => b.id);
+      expect(new Set(ids).size).toBe(5);
+      expect(ids).toEqual([...ids].sort().reverse());
+
+      const back = await request(app).get(`/books?limit=2&cursor=${third.body.pagination.prev_cursor}`);
+      expect(back.body.data.map(b => b.id)).toEqual(second.body.data.map(b => b.id));
+      const start = await request(app).get(`/books?limit=2&cursor=${back.body.pagination.prev_cursor}`);
+      expect(start.body.data.map(b => b.id)).toEqual(first.body.data.map(b => b.id));
+      expect(start.body.pagination.prev_cursor).toBeNull();
+    });
+
+    test('is not disturbed by rows inserted between requests', async () => {
+      seedBooks(4);
+
+      const first = await request(app).get('/books?pagination=cursor&limit=2');
+      const newer = Book.create(db, { title: 'New', author: 'A', isbn: ISBNS[4], published_year: 2020 });
+      const second = await request(app).get(`/books?limit=2&cursor=${first.body.pagination.next_cursor}`);
+
+      const ids = [...first.body.data, ...second.body.data].map(b => b.id);
+      expect(new Set(ids).size).toBe(4);
+      expect(ids).not.toContain(newer.id);
+    });
+
+    test('advertises next and prev cursors in an RFC 8288 Link header', async () => {
+      seedBooks(5);
+
+      const first = await request(app).get('/books?pagination=cursor&limit=2&status=available');
+      expect(cursorFromLink(first, 'next')).toBe(first.body.pagination.next_cursor);
+      expect(first.headers.link).toContain('status=available');
+      expect(first.headers.link).not.toContain('pagination=cursor');
+
+      const second = await request(app).get(`/books?limit=2&cursor=${first.body.pagination.next_cursor}`);
+      expect(cursorFromLink(second, 'prev')).toBe(second.body.pagination.prev_cursor);
+    });
+
+    test('omits the total when include_total=false', async () => {
+      seedBooks(2);
+
+      const res = await request(app).get('/books?pagination=cursor&include_total=false');
+
+      expect(res.body.pagination).not.toHaveProperty('total');
+      expect(res.body.data).toHaveLength(2);
+    });
+
+    test('returns 400 for a tampered cursor', async () => {
+      seedBooks(3);
+      const first = await request(app).get('/books?pagination=cursor&limit=1');
+      const tampered = `${first.body.pagination.next_cursor}x`;
+
+      const res = await request(app).get(`/books?cursor=${tampered}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.invalid_params).toEqual([
+        expect.objectContaining({ name: 'cursor', reason: 'Cursor is invalid or was issued for a different list' }),
+      ]);
+    });
+
+    test('returns 400 when cursor mode is combined with sort', async () => {
+      const res = await request(app).get('/books?pagination=cursor&sort=title');
+
+      expect(res.status).toBe(400);
+      expect(res.body.invalid_params[0].name).toBe('cursor');
+    });
+  });
+
+  describe('page mode', () => {
+    test('keeps page/limit responses and adds first/prev/next/last links', async () => {
+      seedBooks(5);
+
+      const res = await request(app).get('/books?page=2&limit=2');
+
+      expect(res.body.pagination).toEqual({ page: 2, limit: 2, total: 5 });
+      expect(res.headers.link).toBe(
+        '</books?page=1&limit=2>; rel="first", </books?page=1&limit=2>; rel="prev", '
+        + '</books?page=3&limit=2>; rel="next", </books?page=3&limit=2>; rel="last"'
+      );
+    });
+
+    test('skips the count and last link when include_total=false', async () => {
+      seedBooks(3);
+
+      const res = await request(app).get('/books?limit=2&include_total=false');
+
+      expect(res.body.pagination).toEqual({ page: 1, limit: 2 });
+      expect(res.headers.link).toContain('rel="next"');
+      expect(res.headers.link).not.toContain('rel="last"');
+    });
+  });
+
+  describe('GET /books/:id/history', () => {
+    test('pages history by (timestamp, id) with cursors scoped to the book', async () => {
+      const [book, other] = seedBooks(2);
+      Copy.create(db, book.id, { barcode: 'C-1' });
+      for (let i = 0; i < 3; i++) {
+        checkoutBook(db, 'C-1');
+        returnBook(db, 'C-1');
+      }
+
+      const first = await request(app).get(`/books/${book.id}/history?pagination=cursor&limit=4`);
+      expect(first.status).toBe(200);
+      expect(first.body.data).toHaveLength(4);
+      expect(first.body.pagination.total).toBe(6);
+
+      const second = await request(app).get(`/books/${book.id}/history?limit=4&cursor=${first.body.pagination.next_cursor}`);
+      expect(second.body.data).toHaveLength(2);
+      const ids = [...first.body.data, ...second.body.data].map(e => e.id);
+      expect(new Set(ids).size).toBe(6);
+
+      const replayed = await request(app).get(`/books/${other.id}/history?cursor=${first.body.pagination.next_cursor}`);
+      expect(replayed.status).toBe(400);
+    });
+  });
+});
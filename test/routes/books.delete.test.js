@@ -0,0 +1,175 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const booksRouter = require('../../src/routes/books');
+const errorHandler = require('../../src/middleware/errorHandler');
+const AuditLog = require('../../src/models/auditLog');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const { checkoutBook, returnBook } = require('../../src/services/checkout');
+
+const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    req.audit = { actor: req.auth };
+    next();
+  });
+  app.use('/books', booksRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('Soft-delete, trash and restore routes', () => {
+  let db;
+  let app;
+  let seededBook;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    seededBook = Book.create(db, {
+      title: 'Test Book',
+      author: 'Test Author',
+      isbn: '978-3-16-148410-0',
+      published_year: 2023,
+    });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('DELETE /books/:id', () => {
+    test('returns 204 and hides the book from lookups and listings', async () => {
+      const res = await request(app).delete(`/books/${seededBook.id}`);
+
+      expect(res.status).toBe(204);
+      expect((await request(app).get(`/books/${seededBook.id}`)).status).toBe(404);
+
+      const list = await request(app).get('/books');
+      expect(list.body.data).toHaveLength(0);
+      expect(list.body.pagination.total).toBe(0);
+    });
+
+    test('keeps the row and its history in the database', async () => {
+      Copy.create(db, seededBook.id, { barcode: 'C-1' });
+      checkoutBook(db, 'C-1');
+      returnBook(db, 'C-1');
+
+      await request(app).delete(`/books/${seededBook.id}`);
+
+      const row = db.prepare('SELECT * FROM books WHERE id = ?').get(seededBook.id);
+      expect(row.deleted_at).not.toBeNull();
+      const history = db.prepare('SELECT * FROM checkout_history WHERE book_id = ?').all(seededBook.id);
+      expect(history).toHaveLength(2);
+    });
+
+    test('returns 409 when a copy is checked out', async () => {
+      Copy.create(db, seededBook.id, { barcode: 'C-1' });
+      Copy.create(db, seededBook.id, { barcode: 'C-2' });
+      checkoutBook(db, 'C-2');
+
+      const res = await request(app).delete(`/books/${seededBook.id}`);
+
+      expect(res.status).toBe(409);
+      expect(res.body).toMatchObject({ detail: 'Cannot delete a book while a copy is checked out' });
+    });
+
+    test('returns 404 for a non-existent or already deleted book', async () => {
+      expect((await request(app).delete(`/books/${NON_EXISTENT_UUID}`)).status).toBe(404);
+
+      await request(app).delete(`/books/${seededBook.id}`);
+      const res = await request(app).delete(`/books/${seededBook.id}`);
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({ code: 'BOOK_NOT_FOUND', detail: 'Book not found' });
+    });
+
+    test('returns 400 for a malformed UUID', async () => {
+      const res = await request(app).delete('/books/not-a-uuid');
+
+      expect(res.status).toBe(400);
+      expect(res.body.invalid_params).toEqual([expect.objectContaining({ name: 'id', reason: 'ID must be a valid UUID v4' })]);
+    });
+
+    test('copies of deleted books cannot be checked out, and deleted books cannot be updated', async () => {
+      Copy.create(db, seededBook.id, { barcode: 'C-1' });
+      await request(app).delete(`/books/${seededBook.id}`);
+
+      expect(() => checkoutBook(db, 'C-1')).toThrow('Copy not found');
+      expect((await request(app).patch(`/books/${seededBook.id}`).send({ title: 'x' })).status).toBe(404);
+    });
+  });
+
+  describe('GET /books/trash', () => {
+    test('lists only deleted books with pagination metadata', async () => {
+      Book.create(db, { title: 'Kept', author: 'A', isbn: '978-0-7432-7356-5', published_year: 2000 });
+      await request(app).delete(`/books/${seededBook.id}`);
+
+      const res = await request(app).get('/books/trash');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].id).toBe(seededBook.id);
+      expect(res.body.pagination).toEqual({ page: 1, limit: 20, total: 1 });
+    });
+
+    test('honours page and limit query parameters', async () => {
+      const other = Book.create(db, { title: 'Second', author: 'A', isbn: '978-0-7432-7356-5', published_year: 2000 });
+      await request(app).delete(`/books/${seededBook.id}`);
+      await request(app).delete(`/books/${other.id}`);
+
+      const res = await request(app).get('/books/trash?page=2&limit=1');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.pagination).toEqual({ page: 2, limit: 1, total: 2 });
+    });
+
+    test('returns 400 for an invalid limit', async () => {
+      const res = await request(app).get('/books/trash?limit=0');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /books/:id/restore', () => {
+    test('restores a deleted book', async () => {
+      await request(app).delete(`/books/${seededBook.id}`);
+
+      const res = await request(app).post(`/books/${seededBook.id}/restore`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.id).toBe(seededBook.id);
+      expect(res.body.deleted_at).toBeNull();
+      expect((await request(app).get(`/books/${seededBook.id}`)).status).toBe(200);
+    });
+
+    test('the delete and the restore join the book\'s audit trail', async () => {
+      await request(app).delete(`/books/${seededBook.id}`);
+      await request(app).post(`/books/${seededBook.id}/restore`);
+
+      const { entries } = AuditLog.findAll(db, { entityType: 'book', entityId: seededBook.id });
+      expect(entries.map(e => [e.action, e.actor_name])).toEqual([
+        ['book.restored', 'Tests'],
+        ['book.deleted', 'Tests'],
+        ['book.created', null],
+      ]);
+    });
+
+    test('returns 404 when the book is not in the trash', async () => {
+      const res = await request(app).post(`/books/${seededBook.id}/restore`);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({ code: 'BOOK_NOT_FOUND', detail: 'Book not found in trash' });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const { checkoutBook, returnBook } = require('../../src/services/checkout');
+const { createApiKey } = require('../../src/services/auth');
+
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'admin' }).key };
+const clerk = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Clerk', role: 'clerk' }).key };
+
+// supertest only buffers text bodies for known text types
+const asText = (res, callback) => {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => {
+    text += chunk;
+  });
+  res.on('end', () => callback(null, text));
+};
+
+describe('GET /books/export', () => {
+  let dune;
+  let emma;
+
+  beforeEach(() => {
+    const db = app.locals.db;
+    db.exec('DELETE FROM checkout_history');
+    db.exec('DELETE FROM books');
+
+    dune = Book.create(db, { title: 'Dune, Part "One"', author: 'Frank Herbert', isbn: '9780441013593', published_year: 1965 });
+    emma = Book.create(db, { title: 'Emma', author: 'Jane Austen', isbn: '9780141439587', published_year: 1815 });
+  });
+
+  test('streams every book as CSV by default, as a download', async () => {
+    const res = await request(app).get('/books/export').set(auth).buffer(true).parse(asText);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="books.csv"');
+
+    const lines = res.body.split('\r\n');
+    expect(lines[0]).toBe('id,title,author,isbn,published_year,item_type,status,version,created_at,updated_at');
+    expect(lines[1]).toBe(`${dune.id},"Dune, Part ""One""",Frank Herbert,9780441013593,1965,book,available,1,${dune.created_at},${dune.updated_at}`);
+    expect(lines).toHaveLength(4);
+  });
+
+  test('selects fields and adds a byte order mark for Excel', async () => {
+    const res = await request(app).get('/books/export?fields=isbn,title&bom=true').set(auth).buffer(true).parse(asText);
+
+    expect(res.body).toBe('\uFEFFisbn,title\r\n9780441013593,"Dune, Part ""One"""\r\n9780141439587,Emma\r\n');
+  });
+
+  test('honours the list filters', async () => {
+    const res = await request(app).get('/books/export?format=json&published_year[lte]=1900&fields=id').set(auth);
+
+    expect(res.headers['content-disposition']).toBe('attachment; filename="books.json"');
+    expect(res.body).toEqual([{ id: emma.id }]);
+  });
+
+  test('streams NDJSON', async () => {
+    const res = await request(app).get('/books/export?format=ndjson&fields=title').set(auth).buffer(true).parse(asText);
+
+    expect(res.headers['content-type']).toBe('application/x-ndjson');
+    expect(res.body).toBe('{"title":"Dune, Part \\"One\\""}\n{"title":"Emma"}\n');
+  });
+
+  test('returns 400 for an unknown format, field or filter value', async () => {
+    const res = await request(app).get('/books/export?format=xlsx&fields=title,secret&bom=yes&status=gone').set(auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params.map(param => param.reason)).toEqual([
+      'Format must be one of: csv, ndjson, json',
+      'Cannot export "secret". Exportable fields: id, title, author, isbn, published_year, item_type, status, version, created_at, updated_at',
+      'bom must be true or false',
+      expect.stringMatching(/^Status must be one of/),
+    ]);
+  });
+
+  test('returns 400 for empty or repeated fields', async () => {
+    const empty = await request(app).get('/books/export?fields=').set(auth);
+    const repeated = await request(app).get('/books/export?fields=title,title').set(auth);
+
+    expect(empty.body.invalid_params[0].reason).toBe('Fields must be a comma-separated list of columns');
+    expect(repeated.body.invalid_params[0].reason).toBe('Fields must not repeat');
+  });
+});
+
+describe('GET /books/export/history', () => {
+  let book;
+
+  beforeEach(() => {
+    const db = app.locals.db;
+    db.exec('DELETE FROM checkout_history');
+    db.exec('DELETE FROM books');
+
+    book = Book.create(db, { title: 'Dune', author: 'Frank Herbert', isbn: '9780441013593', published_year: 1965 });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+    checkoutBook(db, 'C-1');
+    returnBook(db, 'C-1');
+  });
+
+  test('streams the circulation history in the order it happened', async () => {
+    const res = await request(app).get('/books/export/history?fields=book_id,action').set(auth).buffer(true).parse(asText);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="history.csv"');
+    expect(res.body).toBe(`book_id,action\r\n${book.id},checked_out\r\n${book.id},returned\r\n`);
+  });
+
+  test('filters by book, action and time', async () => {
+    const returned = await request(app)
+      .get(`/books/export/history?format=json&book_id=${book.id}&action=returned&since=2000-01-01&fields=action`)
+      .set(auth);
+    const none = await request(app).get('/books/export/history?format=json&until=2000-01-01').set(auth);
+
+    expect(returned.body).toEqual([{ action: 'returned' }]);
+    expect(none.body).toEqual([]);
+  });
+
+  test('returns 400 for invalid filters', async () => {
+    const res = await request(app).get('/books/export/history?book_id=nope&action=lost&since=soon&until=later').set(auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params.map(param => param.name)).toEqual(['book_id', 'action', 'since', 'until']);
+  });
+
+  test('returns 403 without history:read', async () => {
+    const res = await request(app).get('/books/export/history').set(clerk);
+
+    expect(res.status).toBe(403);
+  });
+});
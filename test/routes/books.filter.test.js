@@ -0,0 +1,167 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const booksRouter = require('../../src/routes/books');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const { checkoutBook } = require('../../src/services/checkout');
+
+function createApp(db) {
+  const app = express();
+  app.set('query parser', 'extended');
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/books', booksRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('GET /books filtering and sorting', () => {
+  let db;
+  let app;
+  let books;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+
+    books = {
+      dune: Book.create(db, { title: 'Dune', author: 'Frank Herbert', isbn: '978-0-441-17271-9', published_year: 1965 }),
+      messiah: Book.create(db, { title: 'Dune Messiah', author: 'Frank Herbert', isbn: '978-0-593-09823-5', published_year: 1969 }),
+      hobbit: Book.create(db, { title: 'The Hobbit', author: 'J.R.R. Tolkien', isbn: '978-0-261-10221-7', published_year: 1937 }),
+      gatsby: Book.create(db, { title: 'The Great Gatsby', author: 'F. Scott Fitzgerald', isbn: '978-0-7432-7356-5', published_year: 1925 }),
+    };
+    db.prepare("UPDATE books SET created_at = '2020-01-01 00:00:00' WHERE id IN (?, ?)").run(books.hobbit.id, books.gatsby.id);
+    Copy.create(db, books.messiah.id, { barcode: 'MESSIAH-1' });
+    checkoutBook(db, 'MESSIAH-1');
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  const titles = res => res.body.data.map(b => b.title);
+
+  test('filters by status', async () => {
+    const res = await request(app).get('/books?status=checked_out');
+
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(['Dune Messiah']);
+    expect(res.body.pagination.total).toBe(1);
+  });
+
+  test('filters by author case-insensitively', async () => {
+    const res = await request(app).get('/books?author=frank%20herbert&sort=title');
+
+    expect(titles(res)).toEqual(['Dune', 'Dune Messiah']);
+  });
+
+  test('filters by ISBN', async () => {
+    const res = await request(app).get('/books?isbn=978-0-261-10221-7');
+
+    expect(titles(res)).toEqual(['The Hobbit']);
+  });
+
+  test('filters by a published_year range', async () => {
+    const res = await request(app).get('/books?published_year[gte]=1930&published_year[lte]=1966&sort=published_year');
+
+    expect(titles(res)).toEqual(['The Hobbit', 'Dune']);
+  });
+
+  test('filters by created_after', async () => {
+    const res = await request(app).get('/books?created_after=2021-01-01T00:00:00Z&sort=title');
+
+    expect(titles(res)).toEqual(['Dune', 'Dune Messiah']);
+  });
+
+  test('sorts by several fields with mixed directions', async () => {
+    const res = await request(app).get('/books?sort=-author,published_year');
+
+    expect(titles(res)).toEqual(['The Hobbit', 'Dune', 'Dune Messiah', 'The Great Gatsby']);
+  });
+
+  test('combines filters with full-text search', async () => {
+    const res = await request(app).get('/books?q=dune&status=available');
+
+    expect(titles(res)).toEqual(['Dune']);
+  });
+
+  test('returns 400 for an unknown status', async () => {
+    const res = await request(app).get('/books?status=shredded');
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params).toEqual([
+      expect.objectContaining({ name: 'status', reason: 'Status must be one of: available, checked_out, on_hold_shelf, in_transit, lost, damaged, in_repair, withdrawn' }),
+    ]);
+  });
+
+  test('returns 400 for a sort field outside the whitelist', async () => {
+    const res = await request(app).get('/books?sort=-id;DROP TABLE books');
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params[0].name).toBe('sort');
+    expect(res.body.invalid_params[0].reason).toMatch(/^Cannot sort by/);
+  });
+
+  test('returns 400 for repeated sort fields', async () => {
+    const res = await request(app).get('/books?sort=title,-title');
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params).toEqual([expect.objectContaining({ name: 'sort', reason: 'Sort fields must not repeat' })]);
+  });
+
+  test('returns 400 for a non-integer year bound and for a bare published_year', async () => {
+    const bound = await request(app).get('/books?published_year[gte]=nineteen');
+    expect(bound.status).toBe(400);
+    expect(bound.body.invalid_params[0].name).toBe('published_year.gte');
+
+    const bare = await request(app).get('/books?published_year=1965');
+    expect(bare.status).toBe(400);
+    expect(bare.body.invalid_params[0].name).toBe('published_year');
+  });
+
+  test('returns 400 for an invalid created_after and a repeated author', async () => {
+    expect((await request(app).get('/books?created_after=yesterday')).status).toBe(400);
+    expect((await request(app).get('/books?author=a&author=b')).status).toBe(400);
+  });
+});
+
+describe('Book.findAll(db, { filters, sort })', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('throws for a sort field that is not sortable', () => {
+    expect(() => Book.findAll(db, { sort: [{ field: 'id; DROP TABLE books', direction: 'asc' }] }))
+      .toThrow('Cannot sort by field: id; DROP TABLE books');
+  });
+
+  test('migration 005 adds indexes used by the filters', () => {
+    const indexes = db.pragma('index_list(books)').map(i => i.name);
+
+    expect(indexes).toEqual(expect.arrayContaining([
+      'idx_books_status',
+      'idx_books_author',
+      'idx_books_published_year',
+      'idx_books_created_at',
+    ]));
+  });
+});
@@ -1,17 +1,30 @@
 const request = require('supertest');
 const app = require('../../src/app');
+const Patron = require('../../src/models/patron');
+const { createApiKey } = require('../../src/services/auth');
+
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'admin' }).key };
 
 const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
 
 describe('GET /books/:id/history', () => {
   let seededBook;
+  let patron;
 
   beforeEach(async () => {
     app.locals.db.exec('DELETE FROM checkout_history');
     app.locals.db.exec('DELETE FROM books');
+    app.locals.db.exec('DELETE FROM patrons');
+
+    patron = Patron.create(app.locals.db, {
+      name: 'Test Patron',
+      email: 'patron@example.com',
+      card_number: 'CARD-0001',
+    });
 
     const res = await request(app)
       .post('/books')
+      .set(auth)
       .send({
         title: 'Test Book',
         author: 'Test Author',
@@ -19,37 +32,38 @@ describe('GET /books/:id/history', () => {
         published_year: 2023,
       });
     seededBook = res.body;
+    await request(app).post(`/books/${seededBook.id}/copies`).set(auth).send({ barcode: '31234000000016' });
   });
 
   test('returns 400 with structured validation error for malformed UUID', async () => {
-    const res = await request(app).get('/books/not-a-uuid/history');
+    const res = await request(app).get('/books/not-a-uuid/history').set(auth);
 
     expect(res.status).toBe(400);
-    expect(res.body.errors).toBeDefined();
-    expect(res.body.errors).toEqual([
-      { field: 'id', message: 'ID must be a valid UUID v4' },
+    expect(res.body.invalid_params).toBeDefined();
+    expect(res.body.invalid_params).toEqual([
+      expect.objectContaining({ name: 'id', reason: 'ID must be a valid UUID v4' }),
     ]);
   });
 
   test('returns 400 with structured validation error for numeric ID', async () => {
-    const res = await request(app).get('/books/12345/history');
+    const res = await request(app).get('/books/12345/history').set(auth);
 
     expect(res.status).toBe(400);
-    expect(res.body.errors).toBeDefined();
-    expect(res.body.errors).toEqual([
-      { field: 'id', message: 'ID must be a valid UUID v4' },
+    expect(res.body.invalid_params).toBeDefined();
+    expect(res.body.invalid_params).toEqual([
+      expect.objectContaining({ name: 'id', reason: 'ID must be a valid UUID v4' }),
     ]);
   });
 
   test('returns 404 with error message for non-existent book UUID', async () => {
-    const res = await request(app).get(`/books/${NON_EXISTENT_UUID}/history`);
+    const res = await request(app).get(`/books/${NON_EXISTENT_UUID}/history`).set(auth);
 
     expect(res.status).toBe(404);
-    expect(res.body).toEqual({ error: 'Book not found' });
+    expect(res.body).toMatchObject({ code: 'BOOK_NOT_FOUND', detail: 'Book not found' });
   });
 
   test('returns 200 with empty data array and total 0 for book with no history', async () => {
-    const res = await request(app).get(`/books/${seededBook.id}/history`);
+    const res = await request(app).get(`/books/${seededBook.id}/history`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body.data).toEqual([]);
@@ -57,7 +71,7 @@ describe('GET /books/:id/history', () => {
   });
 
   test('defaults page to 1 and limit to 20 when not provided', async () => {
-    const res = await request(app).get(`/books/${seededBook.id}/history`);
+    const res = await request(app).get(`/books/${seededBook.id}/history`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body.pagination.page).toBe(1);
@@ -66,10 +80,10 @@ describe('GET /books/:id/history', () => {
 
   test('returns history entries after checkout and return', async () => {
     // Checkout then return the book to create history entries
-    await request(app).post(`/books/${seededBook.id}/checkout`);
-    await request(app).post(`/books/${seededBook.id}/return`);
+    await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+    await request(app).post('/copies/31234000000016/return').set(auth);
 
-    const res = await request(app).get(`/books/${seededBook.id}/history`);
+    const res = await request(app).get(`/books/${seededBook.id}/history`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body.data).toHaveLength(2);
@@ -77,10 +91,10 @@ describe('GET /books/:id/history', () => {
   });
 
   test('returns entries in reverse chronological order (newest first)', async () => {
-    await request(app).post(`/books/${seededBook.id}/checkout`);
-    await request(app).post(`/books/${seededBook.id}/return`);
+    await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+    await request(app).post('/copies/31234000000016/return').set(auth);
 
-    const res = await request(app).get(`/books/${seededBook.id}/history`);
+    const res = await request(app).get(`/books/${seededBook.id}/history`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body.data).toHaveLength(2);
@@ -90,27 +104,28 @@ describe('GET /books/:id/history', () => {
   });
 
   test('history entries contain expected fields', async () => {
-    await request(app).post(`/books/${seededBook.id}/checkout`);
+    await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
 
-    const res = await request(app).get(`/books/${seededBook.id}/history`);
+    const res = await request(app).get(`/books/${seededBook.id}/history`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body.data).toHaveLength(1);
     const entry = res.body.data[0];
     expect(entry).toHaveProperty('id');
     expect(entry).toHaveProperty('book_id', seededBook.id);
+    expect(entry).toHaveProperty('copy_id');
     expect(entry).toHaveProperty('action', 'checked_out');
     expect(entry).toHaveProperty('timestamp');
   });
 
   test('respects custom page and limit query parameters', async () => {
     // Create multiple history entries: checkout, return, checkout, return
-    await request(app).post(`/books/${seededBook.id}/checkout`);
-    await request(app).post(`/books/${seededBook.id}/return`);
-    await request(app).post(`/books/${seededBook.id}/checkout`);
-    await request(app).post(`/books/${seededBook.id}/return`);
+    await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+    await request(app).post('/copies/31234000000016/return').set(auth);
+    await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+    await request(app).post('/copies/31234000000016/return').set(auth);
 
-    const res = await request(app).get(`/books/${seededBook.id}/history?page=2&limit=2`);
+    const res = await request(app).get(`/books/${seededBook.id}/history?page=2&limit=2`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body.data).toHaveLength(2);
@@ -118,10 +133,10 @@ describe('GET /books/:id/history', () => {
   });
 
   test('returns correct pagination with custom limit', async () => {
-    await request(app).post(`/books/${seededBook.id}/checkout`);
-    await request(app).post(`/books/${seededBook.id}/return`);
+    await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+    await request(app).post('/copies/31234000000016/return').set(auth);
 
-    const res = await request(app).get(`/books/${seededBook.id}/history?limit=1`);
+    const res = await request(app).get(`/books/${seededBook.id}/history?limit=1`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body.data).toHaveLength(1);
@@ -129,7 +144,7 @@ describe('GET /books/:id/history', () => {
   });
 
   test('response shape matches expected format', async () => {
-    const res = await request(app).get(`/books/${seededBook.id}/history`);
+    const res = await request(app).get(`/books/${seededBook.id}/history`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body).toHaveProperty('data');
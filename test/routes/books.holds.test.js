@@ -0,0 +1,117 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const booksRouter = require('../../src/routes/books');
+const errorHandler = require('../../src/middleware/errorHandler');
+const copiesRouter = require('../../src/routes/copies');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Patron = require('../../src/models/patron');
+const { checkoutBook } = require('../../src/services/checkout');
+
+const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/books', booksRouter);
+  app.use('/copies', copiesRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('/books/:id/holds', () => {
+  let db;
+  let app;
+  let book;
+  let alice;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+    const borrower = Patron.create(db, { name: 'Borrower', email: 'b@example.com', card_number: 'CARD-0000' });
+    alice = Patron.create(db, { name: 'Alice', email: 'alice@example.com', card_number: 'CARD-0001' });
+    Patron.create(db, { name: 'Bob', email: 'bob@example.com', card_number: 'CARD-0002' });
+    checkoutBook(db, 'C-1', { patronId: borrower.id });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('POST places a hold and GET lists the queue in order', async () => {
+    const res = await request(app).post(`/books/${book.id}/holds`).send({ card_number: 'CARD-0001' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ patron_id: alice.id, patron_name: 'Alice', status: 'waiting', position: 1 });
+
+    await request(app).post(`/books/${book.id}/holds`).send({ card_number: 'CARD-0002' });
+    const queue = await request(app).get(`/books/${book.id}/holds`);
+
+    expect(queue.status).toBe(200);
+    expect(queue.body.data.map(h => [h.card_number, h.position])).toEqual([['CARD-0001', 1], ['CARD-0002', 2]]);
+  });
+
+  test('POST validates the card number and reports unknown cards and books', async () => {
+    expect((await request(app).post(`/books/${book.id}/holds`).send({})).status).toBe(400);
+
+    const unknownCard = await request(app).post(`/books/${book.id}/holds`).send({ card_number: 'CARD-9999' });
+    expect(unknownCard.status).toBe(404);
+    expect(unknownCard.body).toMatchObject({ detail: 'No patron with this card number' });
+
+    const unknownBook = await request(app).post(`/books/${NON_EXISTENT_UUID}/holds`).send({ card_number: 'CARD-0001' });
+    expect(unknownBook.status).toBe(404);
+  });
+
+  test('POST returns 403 for a suspended patron and 409 for a duplicate hold', async () => {
+    Patron.update(db, alice.id, { status: 'suspended' });
+    expect((await request(app).post(`/books/${book.id}/holds`).send({ card_number: 'CARD-0001' })).status).toBe(403);
+
+    await request(app).post(`/books/${book.id}/holds`).send({ card_number: 'CARD-0002' });
+    const dup = await request(app).post(`/books/${book.id}/holds`).send({ card_number: 'CARD-0002' });
+    expect(dup.status).toBe(409);
+    expect(dup.body).toMatchObject({ detail: 'Patron already has a hold on this book' });
+  });
+
+  test('returning the copy shelves it for the first patron, who alone may check it out', async () => {
+    await request(app).post(`/books/${book.id}/holds`).send({ card_number: 'CARD-0001' });
+    const returned = await request(app).post('/copies/C-1/return');
+    expect(returned.body.status).toBe('on_hold_shelf');
+
+    const queue = await request(app).get(`/books/${book.id}/holds`);
+    expect(queue.body.data[0]).toMatchObject({
+      status: 'ready', copy_id: returned.body.id, pickup_expires_at: expect.any(String),
+    });
+
+    const shelf = await request(app).get('/books?status=on_hold_shelf');
+    expect(shelf.body.data.map(b => b.id)).toEqual([book.id]);
+
+    const checkout = await request(app).post('/copies/C-1/checkout').send({ patron_id: alice.id });
+    expect(checkout.status).toBe(200);
+    expect(checkout.body.patron_id).toBe(alice.id);
+  });
+
+  test('DELETE cancels a hold and 404s for unknown holds', async () => {
+    const hold = await request(app).post(`/books/${book.id}/holds`).send({ card_number: 'CARD-0001' });
+
+    expect((await request(app).delete(`/books/${book.id}/holds/${hold.body.id}`)).status).toBe(204);
+    expect((await request(app).delete(`/books/${book.id}/holds/${hold.body.id}`)).status).toBe(404);
+    expect((await request(app).get(`/books/${book.id}/holds`)).body.data).toEqual([]);
+    expect((await request(app).delete(`/books/${book.id}/holds/not-a-uuid`)).status).toBe(400);
+  });
+
+  test('GET returns 404 for an unknown book', async () => {
+    expect((await request(app).get(`/books/${NON_EXISTENT_UUID}/holds`)).status).toBe(404);
+  });
+});
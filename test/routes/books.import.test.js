@@ -0,0 +1,177 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Book = require('../../src/models/book');
+const { createApiKey } = require('../../src/services/auth');
+
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'admin' }).key };
+const clerk = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Clerk', role: 'clerk' }).key };
+
+const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
+
+const CSV = [
+  'Book Title,author,isbn,published_year',
+  'Dune,Frank Herbert,9780441013593,1965',
+  'Emma,Jane Austen,not-an-isbn,1815',
+  ',Nobody,9780131103627,3000',
+].join('\n');
+
+// Polls the job until the import has finished
+async function finished(id) {
+  for (;;) {
+    const res = await request(app).get(`/books/import/${id}`).set(auth);
+    if (res.body.status !== 'processing') {
+      return res;
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+describe('POST /books/import', () => {
+  beforeEach(() => {
+    app.locals.db.exec('DELETE FROM import_jobs');
+    app.locals.db.exec('DELETE FROM books');
+  });
+
+  test('responds 202 with the job and its Location, then imports the valid CSV rows', async () => {
+    const res = await request(app)
+      .post('/books/import?mapping[title]=Book Title')
+      .set(auth)
+      .set('Content-Type', 'text/csv')
+      .send(CSV);
+
+    expect(res.status).toBe(202);
+    expect(res.headers.location).toBe(`/books/import/${res.body.id}`);
+    expect(res.body).toMatchObject({ format: 'csv', on_duplicate: 'skip', dry_run: false, mapping: { title: 'Book Title' } });
+
+    const job = await finished(res.body.id);
+    expect(job.body).toMatchObject({ status: 'completed', rows_processed: 3, rows_created: 1, rows_failed: 2 });
+    expect(Book.findByIsbn(app.locals.db, '9780441013593')).toMatchObject({ title: 'Dune', published_year: 1965 });
+  });
+
+  test('reports every reason each failed row was rejected', async () => {
+    const res = await request(app).post('/books/import?mapping[title]=Book Title').set(auth).type('text/csv').send(CSV);
+    await finished(res.body.id);
+
+    const errors = await request(app).get(`/books/import/${res.body.id}/errors?limit=1&page=2`).set(auth);
+
+    expect(errors.status).toBe(200);
+    expect(errors.body.pagination).toEqual({ page: 2, limit: 1, total: 2 });
+    expect(errors.body.data).toEqual([{
+      row: 3,
+      errors: [
+        { name: 'title', reason: 'Title is required' },
+        { name: 'published_year', reason: 'Published year must be an integer between 1000 and the current year' },
+      ],
+    }]);
+  });
+
+  test('streams a JSON array without parsing it as the request body', async () => {
+    const rows = [
+      { title: 'Dune', author: 'Frank Herbert', isbn: '9780441013593', published_year: 1965 },
+      { title: 'Dune (revised)', author: 'Frank Herbert', isbn: '9780441013593', published_year: 1965, item_type: 'book' },
+    ];
+
+    const res = await request(app).post('/books/import?on_duplicate=upsert').set(auth).send(rows);
+    const job = await finished(res.body.id);
+
+    expect(job.body).toMatchObject({ format: 'json', status: 'completed', rows_created: 1, rows_updated: 1 });
+    expect(Book.findByIsbn(app.locals.db, '9780441013593').title).toBe('Dune (revised)');
+  });
+
+  test('a dry run over NDJSON changes nothing', async () => {
+    const body = '{"title":"Dune","author":"Frank Herbert","isbn":"9780441013593","published_year":"1965"}\n{"title":"x"';
+
+    const res = await request(app).post('/books/import?dry_run=true').set(auth).type('application/x-ndjson').send(body);
+    const job = await finished(res.body.id);
+
+    expect(job.body).toMatchObject({ dry_run: true, rows_created: 1, rows_failed: 1 });
+    expect(Book.findByIsbn(app.locals.db, '9780441013593')).toBeNull();
+  });
+
+  test('streams the upload however the path is cased or slashed', async () => {
+    const rows = [{ title: 'Dune', author: 'Frank Herbert', isbn: '9780441013593', published_year: 1965 }];
+
+    const slashed = await request(app).post('/books/import/').set(auth).send(rows);
+    const cased = await request(app).post('/Books/Import').set(auth).type('application/json').send('[');
+
+    expect((await finished(slashed.body.id)).body).toMatchObject({ status: 'completed', rows_created: 1 });
+    expect((await finished(cased.body.id)).body).toMatchObject({ status: 'failed', error: 'The JSON array is never closed' });
+  });
+
+  test('reports an upload that is not JSON at all as such', async () => {
+    const res = await request(app).post('/books/import').set(auth).type('application/json').send('title,isbn');
+    const job = await finished(res.body.id);
+
+    expect(job.body).toMatchObject({ status: 'failed', error: 'The upload is not valid JSON' });
+  });
+
+  test('fails the job when the upload cannot be read', async () => {
+    const res = await request(app).post('/books/import').set(auth).type('application/json').send('{"title":"Dune"}');
+    const job = await finished(res.body.id);
+
+    expect(job.body).toMatchObject({ status: 'failed', error: 'A JSON upload must be an array of objects' });
+  });
+
+  test('returns 415 for a Content-Type it cannot import', async () => {
+    const res = await request(app).post('/books/import').set(auth).type('text/plain').send('Dune');
+
+    expect(res.status).toBe(415);
+    expect(res.body).toMatchObject({
+      code: 'UNSUPPORTED_MEDIA_TYPE',
+      detail: 'Upload the file as one of: text/csv, application/json, application/x-ndjson',
+    });
+  });
+
+  test('returns 400 for invalid options', async () => {
+    const res = await request(app)
+      .post('/books/import?dry_run=maybe&on_duplicate=replace&mapping[colour]=Colour')
+      .set(auth)
+      .type('text/csv')
+      .send(CSV);
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params.map(param => param.reason)).toEqual([
+      'dry_run must be true or false',
+      'on_duplicate must be one of: skip, upsert',
+      'Cannot map "colour". Importable fields: title, author, isbn, published_year, item_type',
+    ]);
+  });
+
+  test('returns 400 for a mapping that does not name one column', async () => {
+    const bare = await request(app).post('/books/import?mapping=title').set(auth).type('text/csv').send(CSV);
+    const twice = await request(app).post('/books/import?mapping[title]=A&mapping[title]=B').set(auth).type('text/csv').send(CSV);
+
+    expect(bare.body.invalid_params[0].reason).toBe('Mapping must be given as mapping[field]=column');
+    expect(twice.body.invalid_params[0].reason).toBe('mapping[title] must name one column');
+  });
+
+  test('returns 403 without books:write', async () => {
+    const res = await request(app).post('/books/import').set(clerk).type('text/csv').send(CSV);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /books/import/:id', () => {
+  test('returns 404 for an unknown job', async () => {
+    const res = await request(app).get(`/books/import/${NON_EXISTENT_UUID}`).set(auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('IMPORT_JOB_NOT_FOUND');
+  });
+
+  test('returns 400 for an invalid id', async () => {
+    const res = await request(app).get('/books/import/nope').set(auth);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /books/import/:id/errors', () => {
+  test('returns 404 for an unknown job', async () => {
+    const res = await request(app).get(`/books/import/${NON_EXISTENT_UUID}/errors`).set(auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('IMPORT_JOB_NOT_FOUND');
+  });
+});
@@ -3,13 +3,19 @@ const request = require('supertest');
 const { getDatabase } = require('../../src/db/connection');
 const { migrate } = require('../../src/db/migrate');
 const booksRouter = require('../../src/routes/books');
+const errorHandler = require('../../src/middleware/errorHandler');
 const Book = require('../../src/models/book');
 
 function createApp(db) {
   const app = express();
   app.use(express.json());
   app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
   app.use('/books', booksRouter);
+  app.use(errorHandler);
   return app;
 }
 
@@ -0,0 +1,168 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Book = require('../../src/models/book');
+const { parseMarc21, serializeMarc21, parseMarcXml, serializeMarcXml } = require('../../src/marc');
+const { createApiKey } = require('../../src/services/auth');
+
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'admin' }).key };
+const clerk = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Clerk', role: 'clerk' }).key };
+
+const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
+
+const DUNE = {
+  leader: '00000cam a2200000 i 4500',
+  fields: [
+    { tag: '001', value: 'ocm00123456' },
+    { tag: '008', value: '650101s1965    nyu           000 1 eng d' },
+    { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: '0441013597 (pbk.)' }] },
+    { tag: '100', ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: 'Herbert, Frank,' }, { code: 'e', value: 'author.' }] },
+    { tag: '245', ind1: '1', ind2: '0', subfields: [{ code: 'a', value: 'Dune :' }, { code: 'b', value: 'a novel /' }] },
+    { tag: '264', ind1: ' ', ind2: '1', subfields: [{ code: 'b', value: 'Ace,' }, { code: 'c', value: '[1965]' }] },
+    { tag: '650', ind1: ' ', ind2: '0', subfields: [{ code: 'a', value: 'Science fiction.' }] },
+  ],
+};
+
+const EMMA = {
+  leader: '00000nam a2200000 i 4500',
+  fields: [
+    { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: '9780141439587' }] },
+    { tag: '100', ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: 'Austen, Jane.' }] },
+    { tag: '245', ind1: '1', ind2: '0', subfields: [{ code: 'a', value: 'Emma.' }] },
+    { tag: '260', ind1: ' ', ind2: ' ', subfields: [{ code: 'c', value: '1815.' }] },
+  ],
+};
+
+// supertest does not buffer MARC bodies by itself
+const asBuffer = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+// Polls the job until the import has finished
+async function finished(id) {
+  for (;;) {
+    const res = await request(app).get(`/books/import/${id}`).set(auth);
+    if (res.body.status !== 'processing') {
+      return res;
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+beforeEach(() => {
+  app.locals.db.exec('DELETE FROM import_jobs');
+  app.locals.db.exec('DELETE FROM books');
+});
+
+describe('POST /books/import/marc', () => {
+  test('imports MARC21 records into books, reporting the ones it cannot read', async () => {
+    const upload = Buffer.concat([serializeMarc21(DUNE), Buffer.from('not a record\x1D'), serializeMarc21(EMMA)]);
+
+    const res = await request(app).post('/books/import/marc').set(auth).type('application/marc').send(upload);
+
+    expect(res.status).toBe(202);
+    expect(res.headers.location).toBe(`/books/import/${res.body.id}`);
+    expect(res.body).toMatchObject({ format: 'marc21', on_duplicate: 'skip', dry_run: false, mapping: {} });
+
+    const job = await finished(res.body.id);
+    expect(job.body).toMatchObject({ status: 'completed', rows_processed: 3, rows_created: 2, rows_failed: 1 });
+    expect(Book.findByIsbn(app.locals.db, '0441013597')).toMatchObject({
+      title: 'Dune : a novel',
+      author: 'Herbert, Frank',
+      published_year: 1965,
+    });
+    expect(Book.findByIsbn(app.locals.db, '9780141439587')).toMatchObject({ title: 'Emma', author: 'Austen, Jane', published_year: 1815 });
+
+    const errors = await request(app).get(`/books/import/${res.body.id}/errors`).set(auth);
+    expect(errors.body.data).toEqual([{ row: 2, errors: [{ name: 'row', reason: 'Record is shorter than a MARC leader' }] }]);
+  });
+
+  test('imports a MARCXML collection as a dry run', async () => {
+    const xml = `<collection xmlns="http://www.loc.gov/MARC21/slim">${
+      [DUNE, EMMA].map(record => serializeMarcXml(record).replace(/^<\?xml[^>]*>/, '')).join('')
+    }</collection>`;
+
+    const res = await request(app).post('/books/import/marc?dry_run=true').set(auth).type('application/marcxml+xml').send(xml);
+    const job = await finished(res.body.id);
+
+    expect(job.body).toMatchObject({ format: 'marcxml', dry_run: true, status: 'completed', rows_created: 2 });
+    expect(app.locals.db.prepare('SELECT COUNT(*) AS n FROM books').get().n).toBe(0);
+  });
+
+  test('rejects a record whose book fields fail validation', async () => {
+    const noTitle = { ...EMMA, fields: EMMA.fields.filter(field => field.tag !== '245') };
+
+    const res = await request(app).post('/books/import/marc').set(auth).type('application/marc').send(serializeMarc21(noTitle));
+    await finished(res.body.id);
+    const errors = await request(app).get(`/books/import/${res.body.id}/errors`).set(auth);
+
+    expect(errors.body.data).toEqual([{ row: 1, errors: [{ name: 'title', reason: 'Title is required' }] }]);
+  });
+
+  test('returns 415 for a Content-Type it cannot import', async () => {
+    const res = await request(app).post('/books/import/marc').set(auth).type('text/csv').send('title\nDune\n');
+
+    expect(res.status).toBe(415);
+    expect(res.body).toMatchObject({ code: 'UNSUPPORTED_MEDIA_TYPE', detail: 'Upload the records as one of: application/marc, application/marcxml+xml' });
+  });
+
+  test('returns 400 for invalid options and 403 without books:write', async () => {
+    const invalid = await request(app).post('/books/import/marc?on_duplicate=replace').set(auth).type('application/marc').send('');
+    const forbidden = await request(app).post('/books/import/marc').set(clerk).type('application/marc').send('');
+
+    expect(invalid.status).toBe(400);
+    expect(forbidden.status).toBe(403);
+  });
+});
+
+describe('GET /books/:id.marc and /books/:id.marcxml', () => {
+  async function importDune() {
+    const res = await request(app).post('/books/import/marc').set(auth).type('application/marc').send(serializeMarc21(DUNE));
+    await finished(res.body.id);
+    return Book.findByIsbn(app.locals.db, '0441013597');
+  }
+
+  test('gives back an imported record with every field it was imported with', async () => {
+    const book = await importDune();
+
+    const marc = await request(app).get(`/books/${book.id}.marc`).set(auth).buffer(true).parse(asBuffer);
+    const xml = await request(app).get(`/books/${book.id}.marcxml`).set(auth);
+
+    expect(marc.status).toBe(200);
+    expect(marc.headers['content-type']).toBe('application/marc');
+    expect(marc.body).toEqual(serializeMarc21(DUNE));
+    expect(xml.status).toBe(200);
+    expect(xml.headers['content-type']).toBe('application/marcxml+xml; charset=utf-8');
+    expect(parseMarcXml(xml.text)).toEqual(parseMarc21(serializeMarc21(DUNE)));
+  });
+
+  test('reflects later edits to the book in the exported record', async () => {
+    const book = await importDune();
+    await request(app).patch(`/books/${book.id}`).set(auth).send({ published_year: 1966 });
+
+    const marc = await request(app).get(`/books/${book.id}.marc`).set(auth).buffer(true).parse(asBuffer);
+    const record = parseMarc21(marc.body);
+
+    expect(record.fields[5].subfields).toEqual([{ code: 'b', value: 'Ace,' }, { code: 'c', value: '[1966]' }]);
+    expect(record.fields[6]).toEqual(DUNE.fields[6]);
+  });
+
+  test('makes a minimal record for a book that was not imported from MARC', async () => {
+    const book = Book.create(app.locals.db, { title: 'Emma', author: 'Jane Austen', isbn: '9780141439587', published_year: 1815 });
+
+    const xml = await request(app).get(`/books/${book.id}.marcxml`).set(auth);
+
+    expect(parseMarcXml(xml.text).fields.map(field => field.tag)).toEqual(['001', '020', '100', '245', '264']);
+    expect(parseMarcXml(xml.text).fields[0]).toEqual({ tag: '001', value: book.id });
+  });
+
+  test('returns 404 for an unknown book and 400 for an invalid id', async () => {
+    const missing = await request(app).get(`/books/${NON_EXISTENT_UUID}.marc`).set(auth);
+    const invalid = await request(app).get('/books/not-a-uuid.marcxml').set(auth);
+
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe('BOOK_NOT_FOUND');
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -1,17 +1,30 @@
 const request = require('supertest');
 const app = require('../../src/app');
+const Patron = require('../../src/models/patron');
+const { createApiKey } = require('../../src/services/auth');
+
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'admin' }).key };
 
 const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
 
 describe('POST /books/:id/return', () => {
   let seededBook;
+  let patron;
 
   beforeEach(async () => {
     app.locals.db.exec('DELETE FROM checkout_history');
     app.locals.db.exec('DELETE FROM books');
+    app.locals.db.exec('DELETE FROM patrons');
+
+    patron = Patron.create(app.locals.db, {
+      name: 'Test Patron',
+      email: 'patron@example.com',
+      card_number: 'CARD-0001',
+    });
 
     const res = await request(app)
       .post('/books')
+      .set(auth)
       .send({
         title: 'Test Book',
         author: 'Test Author',
@@ -19,57 +32,60 @@ describe('POST /books/:id/return', () => {
         published_year: 2023,
       });
     seededBook = res.body;
+    await request(app).post(`/books/${seededBook.id}/copies`).set(auth).send({ barcode: '31234000000016' });
   });
 
   test('returns 200 with available status on successful return', async () => {
     // Check out the book first
-    await request(app).post(`/books/${seededBook.id}/checkout`);
+    await request(app).post(`/books/${seededBook.id}/checkout`).set(auth).send({ patron_id: patron.id });
 
-    const res = await request(app).post(`/books/${seededBook.id}/return`);
+    const res = await request(app).post(`/books/${seededBook.id}/return`).set(auth);
 
     expect(res.status).toBe(200);
-    expect(res.body.id).toBe(seededBook.id);
+    expect(res.body.book_id).toBe(seededBook.id);
     expect(res.body.status).toBe('available');
+    expect(res.headers.deprecation).toBe('true');
+    expect(res.headers.link).toBe('</copies/31234000000016/return>; rel="successor-version"');
   });
 
   test('returns 404 with error message for non-existent book UUID', async () => {
-    const res = await request(app).post(`/books/${NON_EXISTENT_UUID}/return`);
+    const res = await request(app).post(`/books/${NON_EXISTENT_UUID}/return`).set(auth);
 
     expect(res.status).toBe(404);
-    expect(res.body).toEqual({ error: 'Book not found' });
+    expect(res.body).toMatchObject({ code: 'BOOK_NOT_FOUND', detail: 'Book not found' });
   });
 
   test('returns 409 with error message when book is not currently checked out', async () => {
     // seededBook defaults to available, so returning without checkout should fail
-    const res = await request(app).post(`/books/${seededBook.id}/return`);
+    const res = await request(app).post(`/books/${seededBook.id}/return`).set(auth);
 
     expect(res.status).toBe(409);
-    expect(res.body).toEqual({ error: 'Book is not currently checked out' });
+    expect(res.body).toMatchObject({ code: 'BOOK_UNAVAILABLE', detail: 'Copy is not currently checked out' });
   });
 
   test('returns 400 with structured validation error for malformed UUID', async () => {
-    const res = await request(app).post('/books/not-a-uuid/return');
+    const res = await request(app).post('/books/not-a-uuid/return').set(auth);
 
     expect(res.status).toBe(400);
-    expect(res.body.errors).toBeDefined();
-    expect(Array.isArray(res.body.errors)).toBe(true);
-    const idError = res.body.errors.find(e => e.field === 'id');
+    expect(res.body.invalid_params).toBeDefined();
+    expect(Array.isArray(res.body.invalid_params)).toBe(true);
+    const idError = res.body.invalid_params.find(e => e.name === 'id');
     expect(idError).toBeDefined();
   });
 
   test('response status field equals available after successful return', async () => {
-    await request(app).post(`/books/${seededBook.id}/checkout`);
+    await request(app).post(`/books/${seededBook.id}/checkout`).set(auth).send({ patron_id: patron.id });
 
-    const res = await request(app).post(`/books/${seededBook.id}/return`);
+    const res = await request(app).post(`/books/${seededBook.id}/return`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body.status).toBe('available');
   });
 
   test('response checked_out_at is null after successful return', async () => {
-    await request(app).post(`/books/${seededBook.id}/checkout`);
+    await request(app).post(`/books/${seededBook.id}/checkout`).set(auth).send({ patron_id: patron.id });
 
-    const res = await request(app).post(`/books/${seededBook.id}/return`);
+    const res = await request(app).post(`/books/${seededBook.id}/return`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body.checked_out_at).toBeNull();
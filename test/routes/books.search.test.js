@@ -0,0 +1,91 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const booksRouter = require('../../src/routes/books');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Book = require('../../src/models/book');
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/books', booksRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('Catalog search', () => {
+  let db;
+  let app;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    Book.create(db, { title: 'The Hobbit', author: 'J.R.R. Tolkien', isbn: '978-0-261-10221-7', published_year: 1937 });
+    Book.create(db, { title: 'Dune', author: 'Frank Herbert', isbn: '978-0-441-17271-9', published_year: 1965 });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('GET /books/search', () => {
+    test('returns ranked matches with highlights and pagination', async () => {
+      const res = await request(app).get('/books/search?q=hobb');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].title).toBe('The Hobbit');
+      expect(res.body.data[0].highlights.title).toBe('The <mark>Hobbit</mark>');
+      expect(typeof res.body.data[0].rank).toBe('number');
+      expect(res.body.pagination).toEqual({ page: 1, limit: 20, total: 1 });
+    });
+
+    test('returns an empty page when nothing matches', async () => {
+      const res = await request(app).get('/books/search?q=zzz');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([]);
+      expect(res.body.pagination.total).toBe(0);
+    });
+
+    test('returns 400 when q is missing or blank', async () => {
+      for (const url of ['/books/search', '/books/search?q=%20%20']) {
+        const res = await request(app).get(url);
+        expect(res.status).toBe(400);
+        expect(res.body.invalid_params).toContainEqual(expect.objectContaining({ name: 'q', reason: 'Search query is required' }));
+      }
+    });
+
+    test('returns 400 when q is too long', async () => {
+      const res = await request(app).get(`/books/search?q=${'a'.repeat(201)}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /books?q=', () => {
+    test('switches the list endpoint to search mode', async () => {
+      const res = await request(app).get('/books?q=herbert');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(b => b.title)).toEqual(['Dune']);
+      expect(res.body.pagination.total).toBe(1);
+    });
+
+    test('lists everything when q is blank', async () => {
+      const res = await request(app).get('/books?q=');
+
+      expect(res.status).toBe(200);
+      expect(res.body.pagination.total).toBe(2);
+    });
+  });
+});
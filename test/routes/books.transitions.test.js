@@ -0,0 +1,90 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const booksRouter = require('../../src/routes/books');
+const authenticate = require('../../src/middleware/authenticate');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const AuditLog = require('../../src/models/auditLog');
+const { createApiKey } = require('../../src/services/auth');
+
+const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use(authenticate);
+  app.use('/books', booksRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('POST /books/:id/transitions', () => {
+  let db;
+  let app;
+  let book;
+  let staff;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    staff = { 'X-API-Key': createApiKey(db, { name: 'Desk', role: 'librarian' }).key };
+    book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('moves the book\'s only copy without a barcode', async () => {
+    const res = await request(app).post(`/books/${book.id}/transitions`).set(staff).send({ to: 'lost', reason: 'Missing' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ barcode: 'C-1', status: 'lost' });
+    expect(Book.findById(db, book.id).status).toBe('lost');
+    const [entry] = AuditLog.findAll(db, { entityType: 'copy' }).entries;
+    expect(entry).toMatchObject({ action: 'copy.status_changed', actor_name: 'Desk' });
+  });
+
+  test('needs the barcode once the book has several copies', async () => {
+    Copy.create(db, book.id, { barcode: 'C-2' });
+
+    const ambiguous = await request(app).post(`/books/${book.id}/transitions`).set(staff).send({ to: 'in_transit' });
+    const named = await request(app).post(`/books/${book.id}/transitions`).set(staff).send({ barcode: 'C-2', to: 'in_transit' });
+
+    expect(ambiguous.status).toBe(400);
+    expect(ambiguous.body.invalid_params).toEqual([
+      { name: 'barcode', in: 'body', reason: 'barcode is required because the book has more than one copy' },
+    ]);
+    expect(named.status).toBe(200);
+    expect(Copy.findByBarcode(db, 'C-2').status).toBe('in_transit');
+    expect(Copy.findByBarcode(db, 'C-1').status).toBe('available');
+  });
+
+  test('returns 404 for an unknown book, another book\'s copy, or a book without copies', async () => {
+    const other = Book.create(db, { title: 'U', author: 'B', isbn: '978-0-7432-7356-5', published_year: 2021 });
+
+    const unknown = await request(app).post(`/books/${NON_EXISTENT_UUID}/transitions`).set(staff).send({ to: 'lost' });
+    const foreign = await request(app).post(`/books/${other.id}/transitions`).set(staff).send({ barcode: 'C-1', to: 'lost' });
+    const empty = await request(app).post(`/books/${other.id}/transitions`).set(staff).send({ to: 'lost' });
+
+    expect(unknown.body.code).toBe('BOOK_NOT_FOUND');
+    expect(foreign.body).toMatchObject({ code: 'COPY_NOT_FOUND', detail: 'Copy not found' });
+    expect(empty.body).toMatchObject({ code: 'COPY_NOT_FOUND', detail: 'The book has no copies' });
+  });
+
+  test('validates the request and applies the same transition rules as the copy endpoint', async () => {
+    const invalid = await request(app).post('/books/not-a-uuid/transitions').set(staff).send({ barcode: 5, to: 'gone' });
+    const forbidden = await request(app).post(`/books/${book.id}/transitions`).set(staff).send({ to: 'withdrawn' });
+
+    expect(invalid.body.invalid_params.map(e => e.name).sort()).toEqual(['barcode', 'id', 'to']);
+    expect(forbidden.status).toBe(403);
+  });
+});
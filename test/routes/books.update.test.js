@@ -0,0 +1,234 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const booksRouter = require('../../src/routes/books');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const { checkoutBook } = require('../../src/services/checkout');
+
+const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/books', booksRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const validBook = {
+  title: 'The Great Gatsby',
+  author: 'F. Scott Fitzgerald',
+  isbn: '978-0-7432-7356-5',
+  published_year: 1925,
+};
+
+describe('PUT /books/:id', () => {
+  let db;
+  let app;
+  let seededBook;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    seededBook = Book.create(db, validBook);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('replaces all catalog fields and returns 200 with the updated book', async () => {
+    const replacement = {
+      title: 'Tender Is the Night',
+      author: 'F. Scott Fitzgerald',
+      isbn: '978-0-684-80154-4',
+      published_year: 1934,
+    };
+
+    const res = await request(app).put(`/books/${seededBook.id}`).send(replacement);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject(replacement);
+    expect(res.body.id).toBe(seededBook.id);
+    expect(res.body.status).toBe('available');
+  });
+
+  test('resets an omitted item_type to book, as on create', async () => {
+    const dvd = Book.create(db, { ...validBook, isbn: '978-0-684-80154-4', item_type: 'dvd' });
+
+    const kept = await request(app).put(`/books/${dvd.id}`).send({ ...validBook, isbn: dvd.isbn, item_type: 'dvd' });
+    const reset = await request(app).put(`/books/${dvd.id}`).send({ ...validBook, isbn: dvd.isbn });
+
+    expect(kept.body.item_type).toBe('dvd');
+    expect(reset.status).toBe(200);
+    expect(reset.body.item_type).toBe('book');
+  });
+
+  test('returns 400 listing every missing field', async () => {
+    const res = await request(app).put(`/books/${seededBook.id}`).send({ title: 'Only a title' });
+
+    expect(res.status).toBe(400);
+    const fields = res.body.invalid_params.map(e => e.name);
+    expect(fields).toEqual(expect.arrayContaining(['author', 'isbn', 'published_year']));
+    expect(fields).not.toContain('title');
+  });
+
+  test('returns 400 when the body tries to set status', async () => {
+    const res = await request(app)
+      .put(`/books/${seededBook.id}`)
+      .send({ ...validBook, status: 'checked_out' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params).toContainEqual({
+      name: 'status',
+      in: 'body',
+      reason: 'status can only be changed by checking out or returning the book',
+    });
+    expect(Book.findById(db, seededBook.id).status).toBe('available');
+  });
+
+  test('returns 404 for a non-existent book', async () => {
+    const res = await request(app).put(`/books/${NON_EXISTENT_UUID}`).send(validBook);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ code: 'BOOK_NOT_FOUND', detail: 'Book not found' });
+  });
+
+  test('returns 409 when the new ISBN belongs to another book', async () => {
+    const other = Book.create(db, { ...validBook, isbn: '978-0-684-80154-4' });
+
+    const res = await request(app).put(`/books/${other.id}`).send(validBook);
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ code: 'ISBN_CONFLICT', detail: 'A book with this ISBN already exists' });
+  });
+
+  test('returns 400 for a malformed UUID', async () => {
+    const res = await request(app).put('/books/not-a-uuid').send(validBook);
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params).toContainEqual(expect.objectContaining({ name: 'id', reason: 'ID must be a valid UUID v4' }));
+  });
+});
+
+describe('PATCH /books/:id', () => {
+  let db;
+  let app;
+  let seededBook;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    seededBook = Book.create(db, validBook);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('applies a merge patch with the application/merge-patch+json content type', async () => {
+    const res = await request(app)
+      .patch(`/books/${seededBook.id}`)
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ title: 'The Great Gatsby (Annotated)' }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('The Great Gatsby (Annotated)');
+    expect(res.body.author).toBe(validBook.author);
+    expect(res.body.isbn).toBe(validBook.isbn);
+  });
+
+  test('accepts a plain application/json patch', async () => {
+    const res = await request(app)
+      .patch(`/books/${seededBook.id}`)
+      .send({ published_year: 1926 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.published_year).toBe(1926);
+  });
+
+  test('leaves an item_type missing from the patch as it was', async () => {
+    Book.update(db, seededBook.id, { item_type: 'dvd' });
+
+    const res = await request(app).patch(`/books/${seededBook.id}`).send({ title: 'Gatsby' });
+
+    expect(res.body.item_type).toBe('dvd');
+  });
+
+  test('validates only the members present in the patch', async () => {
+    const res = await request(app)
+      .patch(`/books/${seededBook.id}`)
+      .send({ isbn: 'not-an-isbn' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params).toEqual([
+      expect.objectContaining({ name: 'isbn', reason: 'ISBN must be a valid ISBN-10 or ISBN-13' }),
+    ]);
+  });
+
+  test('rejects null members because catalog fields cannot be removed', async () => {
+    const res = await request(app)
+      .patch(`/books/${seededBook.id}`)
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ author: null }));
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params.map(e => e.name)).toContain('author');
+  });
+
+  test('returns 400 when the patch tries to forge checked_out_at', async () => {
+    const res = await request(app)
+      .patch(`/books/${seededBook.id}`)
+      .send({ checked_out_at: new Date().toISOString() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params.map(e => e.name)).toEqual(['checked_out_at']);
+    expect(Book.findById(db, seededBook.id)).toEqual(seededBook);
+  });
+
+  test('leaves circulation state untouched on a checked-out book', async () => {
+    Copy.create(db, seededBook.id, { barcode: 'C-1' });
+    checkoutBook(db, 'C-1');
+
+    const res = await request(app)
+      .patch(`/books/${seededBook.id}`)
+      .send({ title: 'Renamed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('checked_out');
+    expect(Copy.findByBarcode(db, 'C-1').checked_out_at).not.toBeNull();
+  });
+
+  test('returns 404 for a non-existent book', async () => {
+    const res = await request(app)
+      .patch(`/books/${NON_EXISTENT_UUID}`)
+      .send({ title: 'Nothing here' });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('returns 409 on an ISBN collision', async () => {
+    const other = Book.create(db, { ...validBook, isbn: '978-0-684-80154-4' });
+
+    const res = await request(app)
+      .patch(`/books/${other.id}`)
+      .send({ isbn: validBook.isbn });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ code: 'ISBN_CONFLICT', detail: 'A book with this ISBN already exists' });
+  });
+});
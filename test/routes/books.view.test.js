@@ -1,5 +1,10 @@
 const request = require('supertest');
 const app = require('../../src/app');
+const Copy = require('../../src/models/copy');
+const { checkoutBook } = require('../../src/services/checkout');
+const { createApiKey } = require('../../src/services/auth');
+
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'admin' }).key };
 
 const NON_EXISTENT_UUID = '00000000-0000-4000-8000-000000000000';
 
@@ -12,6 +17,7 @@ describe('GET /books/:id', () => {
 
     const res = await request(app)
       .post('/books')
+      .set(auth)
       .send({
         title: 'Test Book',
         author: 'Test Author',
@@ -22,28 +28,28 @@ describe('GET /books/:id', () => {
   });
 
   test('returns 400 with structured validation error for non-UUID string "not-a-uuid"', async () => {
-    const res = await request(app).get('/books/not-a-uuid');
+    const res = await request(app).get('/books/not-a-uuid').set(auth);
 
     expect(res.status).toBe(400);
-    expect(res.body.errors).toBeDefined();
-    expect(res.body.errors).toEqual([
-      { field: 'id', message: 'ID must be a valid UUID v4' },
+    expect(res.body.invalid_params).toBeDefined();
+    expect(res.body.invalid_params).toEqual([
+      expect.objectContaining({ name: 'id', reason: 'ID must be a valid UUID v4' }),
     ]);
   });
 
   test('returns 400 with structured validation error for numeric ID "12345"', async () => {
-    const res = await request(app).get('/books/12345');
+    const res = await request(app).get('/books/12345').set(auth);
 
     expect(res.status).toBe(400);
-    expect(res.body.errors).toBeDefined();
-    expect(res.body.errors).toEqual([
-      { field: 'id', message: 'ID must be a valid UUID v4' },
+    expect(res.body.invalid_params).toBeDefined();
+    expect(res.body.invalid_params).toEqual([
+      expect.objectContaining({ name: 'id', reason: 'ID must be a valid UUID v4' }),
     ]);
   });
 
   test('does not return 400 for a valid UUID v4', async () => {
     const validUuid = '550e8400-e29b-41d4-a716-446655440000';
-    const res = await request(app).get(`/books/${validUuid}`);
+    const res = await request(app).get(`/books/${validUuid}`).set(auth);
 
     // Should not be a 400 validation error — it passes validation
     expect(res.status).not.toBe(400);
@@ -51,16 +57,16 @@ describe('GET /books/:id', () => {
 
   test('GET /:id route exists after the GET / list route', async () => {
     // The list route should still work fine
-    const listRes = await request(app).get('/books');
+    const listRes = await request(app).get('/books').set(auth);
     expect(listRes.status).toBe(200);
 
     // And the :id route with invalid ID should return 400 (not 404)
-    const idRes = await request(app).get('/books/invalid-id');
+    const idRes = await request(app).get('/books/invalid-id').set(auth);
     expect(idRes.status).toBe(400);
   });
 
   test('returns 200 with the correct book for a valid existing ID', async () => {
-    const res = await request(app).get(`/books/${seededBook.id}`);
+    const res = await request(app).get(`/books/${seededBook.id}`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body.id).toBe(seededBook.id);
@@ -71,14 +77,14 @@ describe('GET /books/:id', () => {
   });
 
   test('returns 404 with { error: "Book not found" } for a valid UUID that does not exist', async () => {
-    const res = await request(app).get(`/books/${NON_EXISTENT_UUID}`);
+    const res = await request(app).get(`/books/${NON_EXISTENT_UUID}`).set(auth);
 
     expect(res.status).toBe(404);
-    expect(res.body).toEqual({ error: 'Book not found' });
+    expect(res.body).toMatchObject({ code: 'BOOK_NOT_FOUND', detail: 'Book not found' });
   });
 
   test('response body contains all book schema fields', async () => {
-    const res = await request(app).get(`/books/${seededBook.id}`);
+    const res = await request(app).get(`/books/${seededBook.id}`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body).toHaveProperty('id');
@@ -87,22 +93,27 @@ describe('GET /books/:id', () => {
     expect(res.body).toHaveProperty('isbn');
     expect(res.body).toHaveProperty('published_year');
     expect(res.body).toHaveProperty('status');
-    expect(res.body).toHaveProperty('checked_out_at');
+    expect(res.body).toHaveProperty('availability');
     expect(res.body).toHaveProperty('created_at');
     expect(res.body).toHaveProperty('updated_at');
   });
 
   test('status field reflects "available" for a newly created book', async () => {
-    const res = await request(app).get(`/books/${seededBook.id}`);
+    const res = await request(app).get(`/books/${seededBook.id}`).set(auth);
 
     expect(res.status).toBe(200);
     expect(res.body.status).toBe('available');
   });
 
-  test('checked_out_at is null for an available book', async () => {
-    const res = await request(app).get(`/books/${seededBook.id}`);
+  test('reports how many of the book\'s copies are available', async () => {
+    const db = app.locals.db;
+    ['C-1', 'C-2', 'C-3'].forEach(barcode => Copy.create(db, seededBook.id, { barcode }));
+    checkoutBook(db, 'C-2');
+
+    const res = await request(app).get(`/books/${seededBook.id}`).set(auth);
 
     expect(res.status).toBe(200);
-    expect(res.body.checked_out_at).toBeNull();
+    expect(res.body.availability).toEqual({ available: 2, total: 3 });
+    expect(res.body.status).toBe('available');
   });
 });
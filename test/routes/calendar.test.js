@@ -0,0 +1,74 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const calendarRouter = require('../../src/routes/calendar');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/calendar', calendarRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('/calendar/closed-days', () => {
+  let db;
+  let app;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('POST adds a closed day and rejects duplicates with 409', async () => {
+    const res = await request(app).post('/calendar/closed-days').send({ date: '2025-12-25', reason: 'Christmas Day' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ date: '2025-12-25', reason: 'Christmas Day' });
+
+    const again = await request(app).post('/calendar/closed-days').send({ date: '2025-12-25' });
+    expect(again.status).toBe(409);
+    expect(again.body).toMatchObject({ code: 'CLOSED_DAY_CONFLICT', detail: 'This date is already marked as closed' });
+  });
+
+  test('POST rejects dates that are not real calendar days', async () => {
+    for (const date of ['2025-02-30', '2025-13-01', '25-12-25', 'tomorrow']) {
+      const res = await request(app).post('/calendar/closed-days').send({ date });
+      expect(res.status).toBe(400);
+    }
+  });
+
+  test('GET lists closed days within a range', async () => {
+    for (const date of ['2025-01-01', '2025-12-25', '2026-01-01']) {
+      await request(app).post('/calendar/closed-days').send({ date });
+    }
+
+    const res = await request(app).get('/calendar/closed-days?from=2025-06-01&to=2025-12-31');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(d => d.date)).toEqual(['2025-12-25']);
+    expect((await request(app).get('/calendar/closed-days?from=June')).status).toBe(400);
+  });
+
+  test('DELETE reopens a day and returns 404 when it was not closed', async () => {
+    await request(app).post('/calendar/closed-days').send({ date: '2025-12-25' });
+
+    expect((await request(app).delete('/calendar/closed-days/2025-12-25')).status).toBe(204);
+    expect((await request(app).delete('/calendar/closed-days/2025-12-25')).status).toBe(404);
+    expect((await request(app).delete('/calendar/closed-days/christmas')).status).toBe(400);
+  });
+});
@@ -0,0 +1,127 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const circulationRouter = require('../../src/routes/circulation');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Patron = require('../../src/models/patron');
+
+const CODABAR = '31234000056786';
+const EAN13 = '9780306406157';
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/circulation', circulationRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('/circulation', () => {
+  let db;
+  let app;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    const book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+    Copy.create(db, book.id, { barcode: CODABAR });
+    Copy.create(db, book.id, { barcode: EAN13 });
+    Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('POST /checkout accepts a Codabar scan with start/stop characters', async () => {
+    const res = await request(app)
+      .post('/circulation/checkout')
+      .send({ item_barcode: `A${CODABAR}B`, card_number: 'CARD-0001' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ transaction: 'checkout', item_barcode: CODABAR, patron_name: 'Ada' });
+  });
+
+  test('POST /checkout and /checkin round-trip an EAN-13 scan', async () => {
+    await request(app).post('/circulation/checkout').send({ item_barcode: EAN13, card_number: 'CARD-0001' });
+
+    const res = await request(app).post('/circulation/checkin').send({ item_barcode: EAN13 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ transaction: 'checkin', item_barcode: EAN13, route_to: 'shelf', fine_cents: 0 });
+  });
+
+  test('rejects unreadable scans and bad check digits', async () => {
+    const unreadable = await request(app).post('/circulation/checkin').send({ item_barcode: 'C-1' });
+    expect(unreadable.status).toBe(400);
+    expect(unreadable.body.invalid_params).toEqual([
+      expect.objectContaining({ name: 'item_barcode', reason: 'item_barcode must be an EAN-13 or 14-digit Codabar barcode' }),
+    ]);
+
+    const misread = await request(app)
+      .post('/circulation/checkout')
+      .send({ item_barcode: '9780306406158', card_number: 'CARD-0001' });
+    expect(misread.status).toBe(400);
+    expect(misread.body.invalid_params).toEqual([expect.objectContaining({ name: 'item_barcode', reason: 'item_barcode has an invalid check digit' })]);
+
+    const missing = await request(app).post('/circulation/checkout').send({});
+    expect(missing.body.invalid_params.map(e => e.name).sort()).toEqual(['card_number', 'item_barcode']);
+  });
+
+  test('POST /checkout maps errors to 404, 403 and 409', async () => {
+    const unknownCard = await request(app)
+      .post('/circulation/checkout')
+      .send({ item_barcode: CODABAR, card_number: 'CARD-9999' });
+    expect(unknownCard.status).toBe(404);
+    expect(unknownCard.body).toMatchObject({ detail: 'No patron with this card number' });
+
+    const unknownItem = await request(app)
+      .post('/circulation/checkout')
+      .send({ item_barcode: '9780441172719', card_number: 'CARD-0001' });
+    expect(unknownItem.body).toMatchObject({ code: 'COPY_NOT_FOUND', detail: 'Copy not found' });
+
+    await request(app).post('/circulation/checkout').send({ item_barcode: CODABAR, card_number: 'CARD-0001' });
+    const again = await request(app).post('/circulation/checkout').send({ item_barcode: CODABAR, card_number: 'CARD-0001' });
+    expect(again.status).toBe(409);
+
+    Patron.update(db, Patron.findByCardNumber(db, 'CARD-0001').id, { status: 'suspended' });
+    const suspended = await request(app).post('/circulation/checkout').send({ item_barcode: EAN13, card_number: 'CARD-0001' });
+    expect(suspended.status).toBe(403);
+  });
+
+  test('POST /checkin returns 404 for an unknown copy and 409 for one on the shelf', async () => {
+    expect((await request(app).post('/circulation/checkin').send({ item_barcode: '9780441172719' })).status).toBe(404);
+
+    const res = await request(app).post('/circulation/checkin').send({ item_barcode: CODABAR });
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ detail: 'Copy is not currently checked out' });
+  });
+
+  test('replays scans retried with the same Idempotency-Key, however the barcode was scanned', async () => {
+    const checkout = await request(app).post('/circulation/checkout').set('Idempotency-Key', 'scan-1')
+      .send({ item_barcode: `A${CODABAR}B`, card_number: 'CARD-0001' });
+    const retry = await request(app).post('/circulation/checkout').set('Idempotency-Key', 'scan-1')
+      .send({ item_barcode: CODABAR, card_number: 'CARD-0001' });
+
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(checkout.body);
+
+    const checkin = await request(app).post('/circulation/checkin').set('Idempotency-Key', 'scan-2').send({ item_barcode: CODABAR });
+    const checkinRetry = await request(app).post('/circulation/checkin').set('Idempotency-Key', 'scan-2').send({ item_barcode: CODABAR });
+
+    expect(checkinRetry.status).toBe(200);
+    expect(checkinRetry.body).toEqual(checkin.body);
+  });
+});
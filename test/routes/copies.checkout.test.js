@@ -0,0 +1,168 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Patron = require('../../src/models/patron');
+const { createApiKey } = require('../../src/services/auth');
+
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'admin' }).key };
+
+const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
+
+describe('POST /copies/:barcode/checkout', () => {
+  let seededBook;
+  let patron;
+
+  beforeEach(async () => {
+    app.locals.db.exec('DELETE FROM checkout_history');
+    app.locals.db.exec('DELETE FROM books');
+    app.locals.db.exec('DELETE FROM patrons');
+
+    patron = Patron.create(app.locals.db, {
+      name: 'Test Patron',
+      email: 'patron@example.com',
+      card_number: 'CARD-0001',
+    });
+
+    const res = await request(app)
+      .post('/books')
+      .set(auth)
+      .send({
+        title: 'Test Book',
+        author: 'Test Author',
+        isbn: '978-3-16-148410-0',
+        published_year: 2023,
+      });
+    seededBook = res.body;
+    await request(app).post(`/books/${seededBook.id}/copies`).set(auth).send({ barcode: '31234000000016' });
+  });
+
+  test('returns 200 with checked_out status on successful checkout', async () => {
+    const res = await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body.barcode).toBe('31234000000016');
+    expect(res.body.book_id).toBe(seededBook.id);
+    expect(res.body.status).toBe('checked_out');
+  });
+
+  test('returns 404 with error message for an unknown barcode', async () => {
+    const res = await request(app).post('/copies/NOPE/checkout').set(auth).send({ patron_id: patron.id });
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ code: 'COPY_NOT_FOUND', detail: 'Copy not found' });
+  });
+
+  test('returns 409 with error message when the copy is already checked out', async () => {
+    // First checkout succeeds
+    await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+
+    // Second checkout should fail with 409
+    const res = await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ detail: 'Copy is already checked out' });
+  });
+
+  test('returns 400 with structured validation error for a malformed barcode', async () => {
+    const res = await request(app).post('/copies/not%20a%20barcode/checkout').set(auth).send({ patron_id: patron.id });
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params).toEqual([
+      expect.objectContaining({ name: 'barcode', reason: 'Barcode must be 1 to 32 letters, digits or hyphens' }),
+    ]);
+  });
+
+  test('response checked_out_at is a valid parseable timestamp after successful checkout', async () => {
+    const res = await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body.checked_out_at).not.toBeNull();
+    const parsed = new Date(res.body.checked_out_at);
+    expect(isNaN(parsed.getTime())).toBe(false);
+  });
+
+  test('returns 400 when patron_id is missing or malformed', async () => {
+    const missing = await request(app).post('/copies/31234000000016/checkout').set(auth);
+    expect(missing.status).toBe(400);
+    expect(missing.body.invalid_params).toEqual([expect.objectContaining({ name: 'patron_id', reason: 'patron_id is required' })]);
+
+    const malformed = await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: 'abc' });
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.invalid_params).toEqual([expect.objectContaining({ name: 'patron_id', reason: 'patron_id must be a valid UUID v4' })]);
+  });
+
+  test('returns 404 for an unknown patron', async () => {
+    const res = await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: NON_EXISTENT_UUID });
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ code: 'PATRON_NOT_FOUND', detail: 'Patron not found' });
+  });
+
+  test('returns 403 for a suspended or expired patron and leaves the copy available', async () => {
+    Patron.update(app.locals.db, patron.id, { status: 'suspended' });
+    const suspended = await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+    expect(suspended.status).toBe(403);
+    expect(suspended.body).toMatchObject({ detail: 'Patron account is suspended' });
+
+    Patron.update(app.locals.db, patron.id, { status: 'active', expires_at: '2000-01-01T00:00:00.000Z' });
+    const expired = await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+    expect(expired.status).toBe(403);
+    expect(expired.body).toMatchObject({ detail: 'Patron account has expired' });
+
+    const copy = await request(app).get('/copies/31234000000016').set(auth);
+    expect(copy.body.status).toBe('available');
+  });
+
+  test('records the borrower on the copy and in checkout_history', async () => {
+    const res = await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+
+    expect(res.body.patron_id).toBe(patron.id);
+    const entry = app.locals.db.prepare('SELECT * FROM checkout_history WHERE book_id = ?').get(seededBook.id);
+    expect(entry.patron_id).toBe(patron.id);
+    expect(entry.copy_id).toBe(res.body.id);
+  });
+
+  test('marks the book checked out once no copy is left on the shelf', async () => {
+    await request(app).post(`/books/${seededBook.id}/copies`).set(auth).send({ barcode: '31234000000024' });
+
+    await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+    const oneLeft = await request(app).get(`/books/${seededBook.id}`).set(auth);
+    expect(oneLeft.body).toMatchObject({ status: 'available', availability: { available: 1, total: 2 } });
+
+    await request(app).post('/copies/31234000000024/checkout').set(auth).send({ patron_id: patron.id });
+    const noneLeft = await request(app).get(`/books/${seededBook.id}`).set(auth);
+    expect(noneLeft.body).toMatchObject({ status: 'checked_out', availability: { available: 0, total: 2 } });
+  });
+
+  test('returns a due date and flags the copy as overdue once it passes', async () => {
+    const res = await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+
+    expect(res.body.due_at).toEqual(expect.any(String));
+    expect(new Date(res.body.due_at).getTime()).toBeGreaterThan(new Date(res.body.checked_out_at).getTime());
+    expect(res.body.overdue).toBe(false);
+
+    app.locals.db.prepare('UPDATE copies SET due_at = ? WHERE id = ?')
+      .run(new Date(Date.now() - 60 * 1000).toISOString(), res.body.id);
+
+    const copy = await request(app).get('/copies/31234000000016').set(auth);
+    expect(copy.body.overdue).toBe(true);
+  });
+
+  test('replays a retried checkout with the same Idempotency-Key and rejects it with a different patron', async () => {
+    const key = `checkout-${Date.now()}`;
+    const other = Patron.create(app.locals.db, { name: 'Other', email: 'other@example.com', card_number: 'CARD-0002' });
+
+    const first = await request(app).post('/copies/31234000000016/checkout').set(auth).set('Idempotency-Key', key)
+      .send({ patron_id: patron.id });
+    const retry = await request(app).post('/copies/31234000000016/checkout').set(auth).set('Idempotency-Key', key)
+      .send({ patron_id: patron.id });
+    const reused = await request(app).post('/copies/31234000000016/checkout').set(auth).set('Idempotency-Key', key)
+      .send({ patron_id: other.id });
+
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(reused.status).toBe(422);
+    expect(app.locals.db.prepare('SELECT COUNT(*) AS n FROM checkout_history').get().n).toBe(1);
+  });
+});
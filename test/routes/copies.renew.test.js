@@ -0,0 +1,92 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const booksRouter = require('../../src/routes/books');
+const errorHandler = require('../../src/middleware/errorHandler');
+const copiesRouter = require('../../src/routes/copies');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const LoanPeriod = require('../../src/models/loanPeriod');
+const { checkoutBook } = require('../../src/services/checkout');
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/books', booksRouter);
+  app.use('/copies', copiesRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('POST /copies/:barcode/renew', () => {
+  let db;
+  let app;
+  let book;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    book = Book.create(db, {
+      title: 'Test Book', author: 'Test Author', isbn: '978-3-16-148410-0', published_year: 2023,
+    });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('returns 200 with the extended due date', async () => {
+    const loan = checkoutBook(db, 'C-1');
+
+    const res = await request(app).post('/copies/C-1/renew');
+
+    expect(res.status).toBe(200);
+    expect(new Date(res.body.due_at).getTime()).toBeGreaterThan(new Date(loan.due_at).getTime());
+    expect(res.body).toMatchObject({ status: 'checked_out', renewal_count: 1, max_renewals: 2, overdue: false });
+  });
+
+  test('returns 409 RENEWAL_LIMIT_REACHED once the limit is used up', async () => {
+    LoanPeriod.upsert(db, 'book', { loanDays: 21, maxRenewals: 0 });
+    checkoutBook(db, 'C-1');
+
+    const res = await request(app).post('/copies/C-1/renew');
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({
+      code: 'RENEWAL_DENIED',
+      detail: 'Renewal limit of 0 reached for this loan',
+      reason: 'RENEWAL_LIMIT_REACHED',
+    });
+  });
+
+  test('returns 409 NOT_CHECKED_OUT for a copy on the shelf', async () => {
+    const res = await request(app).post('/copies/C-1/renew');
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ code: 'RENEWAL_DENIED', detail: 'Copy is not currently checked out', reason: 'NOT_CHECKED_OUT' });
+  });
+
+  test('shows the renewal in the book history', async () => {
+    checkoutBook(db, 'C-1');
+    await request(app).post('/copies/C-1/renew');
+
+    const res = await request(app).get(`/books/${book.id}/history`);
+
+    expect(res.body.data.map(e => e.action)).toContain('renewed');
+  });
+
+  test('returns 404 for an unknown barcode and 400 for a malformed one', async () => {
+    expect((await request(app).post('/copies/NOPE/renew')).status).toBe(404);
+    expect((await request(app).post(`/copies/${'9'.repeat(33)}/renew`)).status).toBe(400);
+  });
+});
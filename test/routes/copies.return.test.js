@@ -0,0 +1,92 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Patron = require('../../src/models/patron');
+const { createApiKey } = require('../../src/services/auth');
+
+const auth = { 'X-API-Key': createApiKey(app.locals.db, { name: 'Tests', role: 'admin' }).key };
+
+describe('POST /copies/:barcode/return', () => {
+  let seededBook;
+  let patron;
+
+  beforeEach(async () => {
+    app.locals.db.exec('DELETE FROM checkout_history');
+    app.locals.db.exec('DELETE FROM books');
+    app.locals.db.exec('DELETE FROM patrons');
+
+    patron = Patron.create(app.locals.db, {
+      name: 'Test Patron',
+      email: 'patron@example.com',
+      card_number: 'CARD-0001',
+    });
+
+    const res = await request(app)
+      .post('/books')
+      .set(auth)
+      .send({
+        title: 'Test Book',
+        author: 'Test Author',
+        isbn: '978-3-16-148410-0',
+        published_year: 2023,
+      });
+    seededBook = res.body;
+    await request(app).post(`/books/${seededBook.id}/copies`).set(auth).send({ barcode: '31234000000016' });
+  });
+
+  test('returns 200 with available status on successful return', async () => {
+    // Check out the copy first
+    await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+
+    const res = await request(app).post('/copies/31234000000016/return').set(auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.barcode).toBe('31234000000016');
+    expect(res.body.status).toBe('available');
+    expect((await request(app).get(`/books/${seededBook.id}`).set(auth)).body.status).toBe('available');
+  });
+
+  test('returns 404 with error message for an unknown barcode', async () => {
+    const res = await request(app).post('/copies/NOPE/return').set(auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ code: 'COPY_NOT_FOUND', detail: 'Copy not found' });
+  });
+
+  test('returns 409 with error message when the copy is not currently checked out', async () => {
+    // The copy starts out available, so returning without checkout should fail
+    const res = await request(app).post('/copies/31234000000016/return').set(auth);
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ detail: 'Copy is not currently checked out' });
+  });
+
+  test('returns 400 with structured validation error for a malformed barcode', async () => {
+    const res = await request(app).post('/copies/C_1/return').set(auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params.map(e => e.name)).toEqual(['barcode']);
+  });
+
+  test('response clears the loan after successful return', async () => {
+    await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+
+    const res = await request(app).post('/copies/31234000000016/return').set(auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ checked_out_at: null, due_at: null, patron_id: null, overdue: false });
+  });
+
+  test('replays a retried return with the same Idempotency-Key instead of answering 409', async () => {
+    const key = `return-${Date.now()}`;
+    await request(app).post('/copies/31234000000016/checkout').set(auth).send({ patron_id: patron.id });
+
+    const first = await request(app).post('/copies/31234000000016/return').set(auth).set('Idempotency-Key', key);
+    const retry = await request(app).post('/copies/31234000000016/return').set(auth).set('Idempotency-Key', key);
+
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect((await request(app).post('/copies/31234000000016/return').set(auth)).status).toBe(409);
+  });
+});
@@ -0,0 +1,88 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const copiesRouter = require('../../src/routes/copies');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const { checkoutBook } = require('../../src/services/checkout');
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/copies', copiesRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('/copies/:barcode', () => {
+  let db;
+  let app;
+  let book;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('GET returns the copy, 404 for an unknown barcode and 400 for a malformed one', async () => {
+    const res = await request(app).get('/copies/C-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ book_id: book.id, barcode: 'C-1', status: 'available', overdue: false });
+    expect((await request(app).get('/copies/C-2')).body).toMatchObject({ code: 'COPY_NOT_FOUND', detail: 'Copy not found' });
+    expect((await request(app).get('/copies/C_1')).status).toBe(400);
+  });
+
+  test('PATCH relabels a copy and records its condition and location', async () => {
+    const res = await request(app).patch('/copies/C-1').send({ barcode: 'A31234000000099B', condition: 'poor', location: null });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ barcode: '31234000000099', condition: 'poor', location: null });
+    expect((await request(app).get('/copies/C-1')).status).toBe(404);
+  });
+
+  test('PATCH validates fields and returns 404 and 409', async () => {
+    Copy.create(db, book.id, { barcode: '31234000000024' });
+
+    const invalid = await request(app).patch('/copies/C-1').send({ barcode: 12, condition: 'mint', location: 5 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.invalid_params.map(e => e.name).sort()).toEqual(['barcode', 'condition', 'location']);
+
+    const unscannable = await request(app).patch('/copies/C-1').send({ barcode: 'C-9' });
+    expect(unscannable.body.invalid_params).toMatchObject([{ name: 'barcode', reason: 'Barcode must be an EAN-13 or 14-digit Codabar barcode' }]);
+
+    expect((await request(app).patch('/copies/C-3').send({ condition: 'fair' })).status).toBe(404);
+
+    const taken = await request(app).patch('/copies/C-1').send({ barcode: '31234000000024' });
+    expect(taken.status).toBe(409);
+    expect(taken.body).toMatchObject({ code: 'BARCODE_CONFLICT', detail: 'A copy with this barcode already exists' });
+  });
+
+  test('DELETE removes a copy that never circulated and refuses one on loan', async () => {
+    Copy.create(db, book.id, { barcode: 'C-2' });
+    checkoutBook(db, 'C-2');
+
+    expect((await request(app).delete('/copies/C-1')).status).toBe(204);
+    expect((await request(app).delete('/copies/C-1')).status).toBe(404);
+
+    const res = await request(app).delete('/copies/C-2');
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ detail: 'Cannot delete a copy that is checked out' });
+  });
+});
@@ -0,0 +1,108 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const copiesRouter = require('../../src/routes/copies');
+const authenticate = require('../../src/middleware/authenticate');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Patron = require('../../src/models/patron');
+const CheckoutHistory = require('../../src/models/checkoutHistory');
+const { checkoutBook } = require('../../src/services/checkout');
+const { createApiKey } = require('../../src/services/auth');
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use(authenticate);
+  app.use('/copies', copiesRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('POST /copies/:barcode/transitions', () => {
+  let db;
+  let app;
+  let book;
+  let staff;
+  let admin;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    staff = { 'X-API-Key': createApiKey(db, { name: 'Desk', role: 'librarian' }).key };
+    admin = { 'X-API-Key': createApiKey(db, { name: 'Office', role: 'admin' }).key };
+    book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('moves the copy, records the change and updates the book summary', async () => {
+    const res = await request(app).post('/copies/C-1/transitions').set(staff).send({ to: 'damaged', reason: ' Water damage ' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ barcode: 'C-1', status: 'damaged', overdue: false });
+    expect(Book.findById(db, book.id).status).toBe('damaged');
+    expect(CheckoutHistory.findByBookId(db, book.id).entries).toEqual([
+      expect.objectContaining({
+        action: 'status_changed',
+        from_status: 'available',
+        to_status: 'damaged',
+        reason: 'Water damage',
+      }),
+    ]);
+  });
+
+  test('marking a borrowed copy lost ends the loan', async () => {
+    const patron = Patron.create(db, { name: 'P', email: 'p@example.com', card_number: 'CARD-1' });
+    checkoutBook(db, 'C-1', { patronId: patron.id });
+
+    const res = await request(app).post('/copies/C-1/transitions').set(staff).send({ to: 'lost' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'lost', patron_id: null, due_at: null });
+    expect((await request(app).post('/copies/C-1/checkout').set(staff).send({ patron_id: patron.id })).status).toBe(409);
+  });
+
+  test('only admin may withdraw a copy', async () => {
+    expect((await request(app).post('/copies/C-1/transitions').send({ to: 'withdrawn' })).status).toBe(401);
+
+    const forbidden = await request(app).post('/copies/C-1/transitions').set(staff).send({ to: 'withdrawn' });
+    expect(forbidden.status).toBe(403);
+    expect(forbidden.body).toMatchObject({ detail: 'Only admin can move a copy from available to withdrawn' });
+
+    const res = await request(app).post('/copies/C-1/transitions').set(admin).send({ to: 'withdrawn' });
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('withdrawn');
+  });
+
+  test('returns 409 for a change no transition allows and 404 for an unknown copy', async () => {
+    const invalid = await request(app).post('/copies/C-1/transitions').set(staff).send({ to: 'in_repair' });
+    expect(invalid.status).toBe(409);
+    expect(invalid.body).toMatchObject({ detail: 'A copy cannot go from available to in_repair' });
+
+    const missing = await request(app).post('/copies/C-2/transitions').set(staff).send({ to: 'lost' });
+    expect(missing.status).toBe(404);
+    expect(missing.body).toMatchObject({ code: 'COPY_NOT_FOUND', detail: 'Copy not found' });
+  });
+
+  test('validates the target status and reason', async () => {
+    const res = await request(app).post('/copies/C-1/transitions').set(staff).send({ to: 'shredded', reason: 5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'to', reason: 'to must be one of: available, checked_out, on_hold_shelf, in_transit, lost, damaged, in_repair, withdrawn' }),
+      expect.objectContaining({ name: 'reason', reason: 'Reason must be a string' }),
+    ]));
+    expect((await request(app).post('/copies/C-1/transitions').set(staff).send({ to: 'lost', reason: 'x'.repeat(256) })).status)
+      .toBe(400);
+  });
+});
@@ -0,0 +1,35 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { ERROR_CATALOG } = require('../../src/errors');
+
+describe('/errors', () => {
+  test('GET lists every code in the catalog without credentials', async () => {
+    const res = await request(app).get('/errors');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(entry => entry.code)).toEqual(Object.keys(ERROR_CATALOG));
+    expect(res.body.data).toContainEqual({
+      code: 'BOOK_NOT_FOUND',
+      type: '/errors/BOOK_NOT_FOUND',
+      status: 404,
+      title: 'Book not found',
+      description: ERROR_CATALOG.BOOK_NOT_FOUND.description,
+    });
+  });
+
+  test('GET /:code describes one code, the target of a problem type', async () => {
+    const problem = await request(app).get('/nowhere');
+    const res = await request(app).get(problem.body.type);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ code: problem.body.code, status: problem.body.status, title: problem.body.title });
+  });
+
+  test('GET /:code returns a NOT_FOUND problem for an unknown code', async () => {
+    const res = await request(app).get('/errors/NO_SUCH_CODE');
+
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toMatchObject({ code: 'NOT_FOUND', detail: 'Unknown error code: NO_SUCH_CODE' });
+  });
+});
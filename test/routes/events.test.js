@@ -0,0 +1,363 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const express = require('express');
+const request = require('supertest');
+const WebSocket = require('ws');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const eventsRouter = require('../../src/routes/events');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { StreamLimitError } = require('../../src/errors');
+const Outbox = require('../../src/models/outbox');
+const { createEventStream } = require('../../src/services/eventStream');
+const { acceptUpgrades } = require('../../src/websocket');
+
+const BOOK_A = '11111111-1111-4111-8111-111111111111';
+const BOOK_B = '22222222-2222-4222-8222-222222222222';
+
+function createApp(db, role = 'admin') {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role, patronId: null };
+    next();
+  });
+  app.use('/events', eventsRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('GET /events', () => {
+  let db;
+  let app;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    for (const type of ['book.created', 'book.checked_out', 'book.returned']) {
+      Outbox.append(db, { type, aggregateType: 'book', aggregateId: 'b1', data: { type } });
+    }
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('returns events oldest first from the start of the feed', async () => {
+    const res = await request(app).get('/events');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(e => e.seq)).toEqual([1, 2, 3]);
+    expect(res.body.data[0]).toMatchObject({ type: 'book.created', aggregate_type: 'book', data: { type: 'book.created' } });
+    expect(res.body.pagination).toEqual({ after: 0, limit: 20, next_after: 3, has_more: false });
+  });
+
+  test('pages through the feed by sequence number', async () => {
+    const first = await request(app).get('/events?limit=2');
+    expect(first.body.data.map(e => e.seq)).toEqual([1, 2]);
+    expect(first.body.pagination).toEqual({ after: 0, limit: 2, next_after: 2, has_more: true });
+
+    const second = await request(app).get(`/events?limit=2&after=${first.body.pagination.next_after}`);
+    expect(second.body.data.map(e => e.seq)).toEqual([3]);
+    expect(second.body.pagination).toMatchObject({ next_after: 3, has_more: false });
+
+    const caughtUp = await request(app).get('/events?after=3');
+    expect(caughtUp.body.data).toEqual([]);
+    expect(caughtUp.body.pagination).toMatchObject({ after: 3, next_after: 3, has_more: false });
+  });
+
+  test('filters by type', async () => {
+    const res = await request(app).get('/events?type=book.returned');
+
+    expect(res.body.data.map(e => e.seq)).toEqual([3]);
+  });
+
+  test.each([
+    ['after=-1', 'after', 'after must be a non-negative integer'],
+    ['limit=0', 'limit', 'Invalid value'],
+    ['type=book.archived', 'type', expect.stringMatching(/^type must be one of: book\.created/)],
+  ])('rejects %s', async (qs, field, message) => {
+    const res = await request(app).get(`/events?${qs}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params).toContainEqual(expect.objectContaining({ name: field, reason: message }));
+  });
+
+  test('needs the events:read permission', async () => {
+    const res = await request(createApp(db, 'librarian')).get('/events');
+
+    expect(res.status).toBe(403);
+    expect(res.body.detail).toBe('This requires the events:read permission');
+  });
+});
+
+describe('live event streams', () => {
+  let db;
+  let source;
+  let app;
+  let server;
+  let baseUrl;
+  const open = [];
+
+  beforeEach(async () => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    source = new EventEmitter();
+    app = createApp(db);
+    app.locals.eventStream = createEventStream(db, { source, maxConnections: 2, heartbeatMs: 50 });
+
+    server = http.createServer(app);
+    acceptUpgrades(server, app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    open.splice(0).forEach(close => close());
+    app.locals.eventStream.close();
+    await new Promise(resolve => server.close(resolve));
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  // Records an event and emits it, as the outbox dispatcher would
+  function happen(type, bookId = BOOK_A) {
+    const event = Outbox.append(db, { type, aggregateType: 'book', aggregateId: bookId, data: { book: { id: bookId } } });
+    source.emit('event', event);
+    return event;
+  }
+
+  // Resolves once `condition` holds for the connection, checking on every change
+  function waitFor(connection, condition) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        if (condition(connection)) {
+          resolve(connection);
+        }
+      };
+      connection.onChange = check;
+      connection.onError = reject;
+      check();
+    });
+  }
+
+  function sse(path, headers = {}) {
+    const connection = { status: null, headers: null, body: '', onChange: () => {} };
+    const req = http.get(`http://${baseUrl}${path}`, { headers }, res => {
+      connection.status = res.statusCode;
+      connection.headers = res.headers;
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        connection.body += chunk;
+        connection.onChange();
+      });
+      connection.onChange();
+    });
+    req.on('error', err => connection.onError && connection.onError(err));
+    open.push(() => req.destroy());
+    return connection;
+  }
+
+  function messagesOf(body) {
+    return body.split('\n\n').filter(block => block.startsWith('id: ')).map(block => {
+      const [id, event, data] = block.split('\n');
+      return { id: id.slice(4), event: event.slice(7), data: JSON.parse(data.slice(6)) };
+    });
+  }
+
+  function socket(path, options) {
+    const connection = { messages: [], status: null, opened: false, onChange: () => {} };
+    const ws = new WebSocket(`ws://${baseUrl}${path}`, options);
+    ws.on('open', () => {
+      connection.opened = true;
+      connection.onChange();
+    });
+    ws.on('message', data => {
+      connection.messages.push(JSON.parse(data));
+      connection.onChange();
+    });
+    ws.on('ping', () => {
+      connection.pinged = true;
+      connection.onChange();
+    });
+    ws.on('unexpected-response', (req, res) => {
+      connection.status = res.statusCode;
+      connection.headers = res.headers;
+      connection.onChange();
+    });
+    ws.on('error', () => {});
+    connection.ws = ws;
+    open.push(() => ws.terminate());
+    return connection;
+  }
+
+  describe('GET /events/stream', () => {
+    test('pushes matching events as Server-Sent Events', async () => {
+      const connection = sse(`/events/stream?book_id=${BOOK_A}&type=book.checked_out,book.returned`);
+      await waitFor(connection, c => c.status !== null);
+
+      expect(connection.status).toBe(200);
+      expect(connection.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(connection.headers['cache-control']).toBe('no-cache');
+
+      happen('book.checked_out', BOOK_B);
+      happen('book.updated', BOOK_A);
+      const event = happen('book.checked_out', BOOK_A);
+
+      await waitFor(connection, c => messagesOf(c.body).length === 1);
+      expect(messagesOf(connection.body)).toEqual([{ id: String(event.seq), event: 'book.checked_out', data: event }]);
+    });
+
+    test('resumes after Last-Event-ID', async () => {
+      happen('book.created');
+      happen('book.checked_out');
+      happen('book.returned');
+
+      const connection = sse('/events/stream?after=0', { 'Last-Event-ID': '1' });
+
+      await waitFor(connection, c => messagesOf(c.body).length === 2);
+      expect(messagesOf(connection.body).map(m => m.id)).toEqual(['2', '3']);
+    });
+
+    test('sends heartbeats', async () => {
+      const connection = sse('/events/stream');
+
+      await waitFor(connection, c => c.body.includes(': heartbeat\n\n'));
+    });
+
+    test('frees the connection when the client goes away', async () => {
+      const connection = sse('/events/stream');
+      await waitFor(connection, c => c.status === 200);
+      expect(app.locals.eventStream.size).toBe(1);
+
+      open.pop()();
+
+      await new Promise(resolve => {
+        const poll = setInterval(() => {
+          if (app.locals.eventStream.size === 0) {
+            clearInterval(poll);
+            resolve();
+          }
+        }, 10);
+      });
+    });
+
+    test('refuses connections beyond the limit with 503 and Retry-After', async () => {
+      await waitFor(sse('/events/stream'), c => c.status === 200);
+      await waitFor(sse('/events/stream'), c => c.status === 200);
+
+      const res = await request(app).get('/events/stream');
+
+      expect(res.status).toBe(503);
+      expect(res.headers['retry-after']).toBe('10');
+      expect(res.body.detail).toBe('Too many open event streams; try again later');
+    });
+
+    test.each([
+      ['book_id=nope', 'book_id', 'book_id must be a comma-separated list of book UUIDs'],
+      ['type=book.checked_out,book.archived', 'type', expect.stringMatching(/^type must be a comma-separated list of: /)],
+      ['after=x', 'after', 'after must be a non-negative integer'],
+    ])('rejects %s', async (qs, field, message) => {
+      const res = await request(app).get(`/events/stream?${qs}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.invalid_params).toContainEqual(expect.objectContaining({ name: field, reason: message }));
+    });
+
+    test('rejects a malformed Last-Event-ID', async () => {
+      const res = await request(app).get('/events/stream').set('Last-Event-ID', 'abc');
+
+      expect(res.status).toBe(400);
+      expect(res.body.invalid_params).toContainEqual(expect.objectContaining({ name: 'last-event-id', reason: 'Last-Event-ID must be a non-negative integer' }));
+    });
+
+    test('needs the events:stream permission', async () => {
+      const res = await request(createApp(db, 'patron')).get('/events/stream');
+
+      expect(res.status).toBe(403);
+      expect(res.body.detail).toBe('This requires the events:stream permission');
+    });
+  });
+
+  describe('GET /events/socket', () => {
+    test('pushes matching events as WebSocket messages', async () => {
+      happen('book.created');
+      const connection = socket(`/events/socket?type=book.returned&book_id=${BOOK_A},${BOOK_B}&after=0`);
+      await waitFor(connection, c => c.opened);
+
+      happen('book.checked_out');
+      const returned = happen('book.returned', BOOK_B);
+
+      await waitFor(connection, c => c.messages.length === 1);
+      expect(connection.messages).toEqual([returned]);
+    });
+
+    test('pings the client and frees the connection when it closes', async () => {
+      const connection = socket('/events/socket');
+      await waitFor(connection, c => c.pinged);
+      expect(app.locals.eventStream.size).toBe(1);
+
+      connection.ws.close();
+
+      await new Promise(resolve => connection.ws.on('close', resolve));
+      await new Promise(resolve => {
+        const poll = setInterval(() => {
+          if (app.locals.eventStream.size === 0) {
+            clearInterval(poll);
+            resolve();
+          }
+        }, 10);
+      });
+    });
+
+    test('drops a client that stops answering pings', async () => {
+      const connection = socket('/events/socket', { autoPong: false });
+
+      await new Promise(resolve => connection.ws.on('close', resolve));
+    });
+
+    test('refuses an invalid subscription before switching protocols', async () => {
+      const connection = socket('/events/socket?type=nope');
+
+      await waitFor(connection, c => c.status !== null);
+      expect(connection.status).toBe(400);
+    });
+
+    test('refuses connections beyond the limit', async () => {
+      await waitFor(socket('/events/socket'), c => c.opened);
+      await waitFor(socket('/events/socket'), c => c.opened);
+
+      const connection = socket('/events/socket');
+
+      await waitFor(connection, c => c.status !== null);
+      expect(connection.status).toBe(503);
+      expect(connection.headers['retry-after']).toBe('10');
+    });
+
+    test('closes with 1008 when the limit is reached during the handshake', async () => {
+      jest.spyOn(app.locals.eventStream, 'open').mockImplementationOnce(() => {
+        throw new StreamLimitError();
+      });
+
+      const connection = socket('/events/socket');
+      const [code, reason] = await new Promise(resolve => connection.ws.on('close', (...args) => resolve(args)));
+
+      expect(connection.opened).toBe(true);
+      expect(code).toBe(1008);
+      expect(reason.toString()).toBe('Too many open event streams; try again later');
+      expect(app.locals.eventStream.size).toBe(0);
+    });
+
+    test('answers a plain GET with 426', async () => {
+      const res = await request(app).get('/events/socket');
+
+      expect(res.status).toBe(426);
+      expect(res.headers.upgrade).toBe('websocket');
+    });
+  });
+});
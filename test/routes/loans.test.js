@@ -0,0 +1,150 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const loansRouter = require('../../src/routes/loans');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Patron = require('../../src/models/patron');
+const { checkoutBook } = require('../../src/services/checkout');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/loans', loansRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('GET /loans/overdue', () => {
+  let db;
+  let app;
+  let patron;
+
+  function lendCopy(isbn, dueAt) {
+    const book = Book.create(db, { title: `Book ${isbn}`, author: 'A', isbn, published_year: 2020 });
+    const copy = Copy.create(db, book.id, { barcode: isbn });
+    checkoutBook(db, isbn, { patronId: patron.id });
+    db.prepare('UPDATE copies SET due_at = ? WHERE id = ?').run(dueAt, copy.id);
+    return copy;
+  }
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    patron = Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('lists overdue copies most overdue first with days overdue and borrower', async () => {
+    const late = lendCopy('978-3-16-148410-0', new Date(Date.now() - 1.5 * DAY_MS).toISOString());
+    const later = lendCopy('978-0-7432-7356-5', new Date(Date.now() - 4.5 * DAY_MS).toISOString());
+    lendCopy('978-0-684-80154-4', new Date(Date.now() + DAY_MS).toISOString());
+
+    const res = await request(app).get('/loans/overdue');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(b => b.id)).toEqual([later.id, late.id]);
+    expect(res.body.data[0]).toMatchObject({
+      book_id: later.book_id,
+      barcode: '978-0-7432-7356-5',
+      title: 'Book 978-0-7432-7356-5',
+      days_overdue: 5,
+      overdue: true,
+      patron_id: patron.id,
+      patron_name: 'Ada',
+      patron_email: 'ada@example.com',
+    });
+    expect(res.body.data[1].days_overdue).toBe(2);
+    expect(res.body.pagination).toEqual({ page: 1, limit: 20, total: 2 });
+  });
+
+  test('paginates the report', async () => {
+    lendCopy('978-3-16-148410-0', new Date(Date.now() - 0.5 * DAY_MS).toISOString());
+    lendCopy('978-0-7432-7356-5', new Date(Date.now() - 1.5 * DAY_MS).toISOString());
+
+    const res = await request(app).get('/loans/overdue?page=2&limit=1');
+
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].days_overdue).toBe(1);
+    expect(res.body.pagination).toEqual({ page: 2, limit: 1, total: 2 });
+  });
+
+  test('leaves out copies of deleted books', async () => {
+    const copy = lendCopy('978-3-16-148410-0', new Date(Date.now() - DAY_MS).toISOString());
+    db.prepare('UPDATE books SET deleted_at = ? WHERE id = ?').run(new Date().toISOString(), copy.book_id);
+
+    const res = await request(app).get('/loans/overdue');
+
+    expect(res.body.data).toEqual([]);
+  });
+
+  test('returns 400 for an invalid limit', async () => {
+    const res = await request(app).get('/loans/overdue?limit=0');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('/loans/periods', () => {
+  let db;
+  let app;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('GET lists the configured loan periods', async () => {
+    const res = await request(app).get('/loans/periods');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(p => p.item_type)).toEqual(['audiobook', 'book', 'dvd', 'magazine']);
+  });
+
+  test('PUT creates an item type with 201 and updates it with 200', async () => {
+    const created = await request(app).put('/loans/periods/board_game').send({ loan_days: 10 });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ item_type: 'board_game', loan_days: 10 });
+
+    const updated = await request(app).put('/loans/periods/board_game').send({ loan_days: 14, max_renewals: 0 });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ loan_days: 14, max_renewals: 0 });
+  });
+
+  test('PUT sets late fine settings', async () => {
+    const res = await request(app)
+      .put('/loans/periods/dvd')
+      .send({ loan_days: 7, fine_per_day_cents: 50, max_fine_cents: 500 });
+
+    expect(res.body).toMatchObject({ loan_days: 7, max_renewals: 2, fine_per_day_cents: 50, max_fine_cents: 500 });
+  });
+
+  test('PUT validates the item type and loan length', async () => {
+    const res = await request(app).put('/loans/periods/Board%20Game').send({ loan_days: 0, max_renewals: -1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params.map(e => e.name).sort()).toEqual(['item_type', 'loan_days', 'max_renewals']);
+  });
+});
@@ -0,0 +1,123 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const patronsRouter = require('../../src/routes/patrons');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Patron = require('../../src/models/patron');
+
+const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/patrons', patronsRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('patron fines endpoints', () => {
+  let db;
+  let app;
+  let patron;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+    patron = Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('POST /fees charges a fee and GET /balance reports the block', async () => {
+    const fee = await request(app)
+      .post(`/patrons/${patron.id}/fees`)
+      .send({ type: 'lost', amount_cents: 1500, reason: 'Lost in move' });
+
+    expect(fee.status).toBe(201);
+    expect(fee.body).toMatchObject({ type: 'lost', amount_cents: 1500, balance_cents: 1500 });
+
+    const balance = await request(app).get(`/patrons/${patron.id}/balance`);
+    expect(balance.body).toEqual({
+      patron_id: patron.id,
+      balance_cents: 1500,
+      threshold_cents: 1000,
+      borrowing_blocked: true,
+    });
+  });
+
+  test('POST /fees validates the fee type, amount and book', async () => {
+    const res = await request(app)
+      .post(`/patrons/${patron.id}/fees`)
+      .send({ type: 'late_fine', amount_cents: 0, book_id: 'x' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params.map(e => e.name).sort()).toEqual(['amount_cents', 'book_id', 'type']);
+
+    const unknownBook = await request(app)
+      .post(`/patrons/${patron.id}/fees`)
+      .send({ type: 'damaged', amount_cents: 100, book_id: NON_EXISTENT_UUID });
+    expect(unknownBook.status).toBe(404);
+  });
+
+  test('POST /payments and /waivers reduce the balance but not below zero', async () => {
+    await request(app).post(`/patrons/${patron.id}/fees`).send({ type: 'processing', amount_cents: 500 });
+
+    const payment = await request(app).post(`/patrons/${patron.id}/payments`).send({ amount_cents: 200 });
+    expect(payment.status).toBe(201);
+    expect(payment.body).toMatchObject({ type: 'payment', amount_cents: -200, balance_cents: 300 });
+
+    const over = await request(app).post(`/patrons/${patron.id}/payments`).send({ amount_cents: 301 });
+    expect(over.status).toBe(409);
+    expect(over.body).toMatchObject({ detail: 'Payment exceeds the outstanding balance' });
+
+    const waiver = await request(app)
+      .post(`/patrons/${patron.id}/waivers`)
+      .send({ amount_cents: 300, reason: 'First offence' });
+    expect(waiver.body.balance_cents).toBe(0);
+  });
+
+  test('POST /waivers requires a reason', async () => {
+    const res = await request(app).post(`/patrons/${patron.id}/waivers`).send({ amount_cents: 100 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params).toEqual([expect.objectContaining({ name: 'reason', reason: 'A reason is required to waive fines' })]);
+  });
+
+  test('GET /ledger lists entries newest first with pagination', async () => {
+    await request(app).post(`/patrons/${patron.id}/fees`).send({ type: 'lost', amount_cents: 900 });
+    await request(app).post(`/patrons/${patron.id}/payments`).send({ amount_cents: 900 });
+
+    const res = await request(app).get(`/patrons/${patron.id}/ledger?limit=1`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(e => e.type)).toEqual(['payment']);
+    expect(res.body.pagination).toEqual({ page: 1, limit: 1, total: 2 });
+  });
+
+  test('returns 404 for an unknown patron', async () => {
+    expect((await request(app).get(`/patrons/${NON_EXISTENT_UUID}/balance`)).status).toBe(404);
+    expect((await request(app).get(`/patrons/${NON_EXISTENT_UUID}/ledger`)).status).toBe(404);
+    expect((await request(app).post(`/patrons/${NON_EXISTENT_UUID}/payments`).send({ amount_cents: 1 })).status)
+      .toBe(404);
+  });
+
+  test('DELETE /patrons/:id returns 409 for a patron with fines history', async () => {
+    await request(app).post(`/patrons/${patron.id}/fees`).send({ type: 'processing', amount_cents: 100 });
+
+    const res = await request(app).delete(`/patrons/${patron.id}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ detail: 'Patron has fines history and cannot be deleted' });
+  });
+});
@@ -0,0 +1,141 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const patronsRouter = require('../../src/routes/patrons');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const { checkoutBook } = require('../../src/services/checkout');
+
+const NON_EXISTENT_UUID = '00000000-0000-4000-a000-000000000000';
+
+function createApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role: 'admin', patronId: null };
+    next();
+  });
+  app.use('/patrons', patronsRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const validPatron = {
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  card_number: 'CARD-0001',
+};
+
+describe('/patrons routes', () => {
+  let db;
+  let app;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('POST /patrons creates a patron', async () => {
+    const res = await request(app).post('/patrons').send(validPatron);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ ...validPatron, status: 'active', expires_at: null });
+  });
+
+  test('POST /patrons validates fields', async () => {
+    const res = await request(app).post('/patrons').send({ email: 'nope', card_number: '!', status: 'vip' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid_params.map(e => e.name).sort()).toEqual(['card_number', 'email', 'name', 'status']);
+  });
+
+  test('POST /patrons returns 409 for a duplicate card number', async () => {
+    await request(app).post('/patrons').send(validPatron);
+
+    const res = await request(app).post('/patrons').send({ ...validPatron, email: 'other@example.com' });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ detail: 'A patron with this card number already exists' });
+  });
+
+  test('GET /patrons lists patrons with pagination and a status filter', async () => {
+    await request(app).post('/patrons').send(validPatron);
+    await request(app).post('/patrons').send({ name: 'Bob', email: 'bob@example.com', card_number: 'CARD-0002', status: 'suspended' });
+
+    const all = await request(app).get('/patrons?limit=1');
+    expect(all.body.data).toHaveLength(1);
+    expect(all.body.pagination).toEqual({ page: 1, limit: 1, total: 2 });
+
+    const suspended = await request(app).get('/patrons?status=suspended');
+    expect(suspended.body.data.map(p => p.name)).toEqual(['Bob']);
+  });
+
+  test('GET /patrons/:id returns the patron or 404', async () => {
+    const created = await request(app).post('/patrons').send(validPatron);
+
+    expect((await request(app).get(`/patrons/${created.body.id}`)).body.id).toBe(created.body.id);
+    expect((await request(app).get(`/patrons/${NON_EXISTENT_UUID}`)).status).toBe(404);
+    expect((await request(app).get('/patrons/not-a-uuid')).status).toBe(400);
+  });
+
+  test('PATCH /patrons/:id suspends a patron and can clear expires_at', async () => {
+    const created = await request(app).post('/patrons').send({ ...validPatron, expires_at: '2030-01-01' });
+
+    const res = await request(app)
+      .patch(`/patrons/${created.body.id}`)
+      .send({ status: 'suspended', expires_at: null });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('suspended');
+    expect(res.body.expires_at).toBeNull();
+    expect((await request(app).patch(`/patrons/${NON_EXISTENT_UUID}`).send({ name: 'x' })).status).toBe(404);
+  });
+
+  test('PATCH /patrons/:id returns 409 on an email collision', async () => {
+    await request(app).post('/patrons').send(validPatron);
+    const other = await request(app).post('/patrons').send({ name: 'Bob', email: 'bob@example.com', card_number: 'CARD-0002' });
+
+    const res = await request(app).patch(`/patrons/${other.body.id}`).send({ email: validPatron.email });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('DELETE /patrons/:id deletes patrons without history and refuses the rest', async () => {
+    const fresh = await request(app).post('/patrons').send(validPatron);
+    expect((await request(app).delete(`/patrons/${fresh.body.id}`)).status).toBe(204);
+    expect((await request(app).delete(`/patrons/${fresh.body.id}`)).status).toBe(404);
+
+    const borrower = await request(app).post('/patrons').send(validPatron);
+    const book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+    checkoutBook(db, 'C-1', { patronId: borrower.body.id });
+
+    const res = await request(app).delete(`/patrons/${borrower.body.id}`);
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ detail: 'Patron has loan history and cannot be deleted' });
+  });
+
+  test('GET /patrons/:id/loans lists the copies checked out to the patron', async () => {
+    const patron = await request(app).post('/patrons').send(validPatron);
+    const book = Book.create(db, { title: 'Borrowed', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+    Copy.create(db, book.id, { barcode: 'C-2' });
+    checkoutBook(db, 'C-1', { patronId: patron.body.id });
+
+    const res = await request(app).get(`/patrons/${patron.body.id}/loans`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(b => [b.title, b.barcode, b.book_id])).toEqual([['Borrowed', 'C-1', book.id]]);
+    expect((await request(app).get(`/patrons/${NON_EXISTENT_UUID}/loans`)).status).toBe(404);
+  });
+});
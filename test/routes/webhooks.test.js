@@ -0,0 +1,196 @@
+const express = require('express');
+const request = require('supertest');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const webhooksRouter = require('../../src/routes/webhooks');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Webhook = require('../../src/models/webhook');
+const WebhookDelivery = require('../../src/models/webhookDelivery');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+function createApp(db, role = 'admin') {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  app.use((req, res, next) => {
+    req.auth = { type: 'api_key', id: 'test', name: 'Tests', role, patronId: null };
+    next();
+  });
+  app.use('/webhooks', webhooksRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('/webhooks', () => {
+  let db;
+  let app;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    app = createApp(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  function subscribe(body = { url: 'https://example.com/hook', events: ['book.created'] }) {
+    return request(app).post('/webhooks').send(body);
+  }
+
+  describe('POST /webhooks', () => {
+    test('creates a subscription and shows its secret once', async () => {
+      const res = await subscribe({ url: 'http://localhost:4000/hook', events: ['book.created', 'book.created', 'book.returned'] });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({
+        url: 'http://localhost:4000/hook',
+        events: ['book.created', 'book.returned'],
+        secret: expect.stringMatching(/^whsec_/),
+        disabled_at: null,
+      });
+
+      const list = await request(app).get('/webhooks');
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0]).not.toHaveProperty('secret');
+    });
+
+    test('accepts a secret of its own', async () => {
+      const res = await subscribe({ url: 'https://example.com/hook', events: ['book.updated'], secret: 'a-long-enough-secret' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.secret).toBe('a-long-enough-secret');
+    });
+
+    test.each([
+      [{ events: ['book.created'] }, 'url', 'url must be an http or https URL'],
+      [{ url: 'ftp://example.com/hook', events: ['book.created'] }, 'url', 'url must be an http or https URL'],
+      [{ url: 'example.com/hook', events: ['book.created'] }, 'url', 'url must be an http or https URL'],
+      [{ url: 'https://example.com/hook', events: [] }, 'events', 'events must be a non-empty list of event types'],
+      [{ url: 'https://example.com/hook', events: 'book.created' }, 'events', 'events must be a non-empty list of event types'],
+      [{ url: 'https://example.com/hook', events: ['book.archived'] }, 'events[0]', expect.stringMatching(/^Event types must be one of: book\.created/)],
+      [{ url: 'https://example.com/hook', events: ['book.created'], secret: 'short' }, 'secret', 'secret must be 16-200 characters'],
+      [{ url: 'https://example.com/hook', events: ['book.created'], secret: 42 }, 'secret', 'secret must be a string'],
+    ])('rejects %j', async (body, field, message) => {
+      const res = await subscribe(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.invalid_params).toContainEqual(expect.objectContaining({ name: field, reason: message }));
+    });
+
+    test('is limited to admins', async () => {
+      const res = await request(createApp(db, 'librarian')).post('/webhooks')
+        .send({ url: 'https://example.com/hook', events: ['book.created'] });
+
+      expect(res.status).toBe(403);
+      expect(res.body.detail).toBe('This requires the webhooks:manage permission');
+    });
+  });
+
+  describe('GET /webhooks/:id', () => {
+    test('returns the subscription', async () => {
+      const { body: created } = await subscribe();
+
+      const res = await request(app).get(`/webhooks/${created.id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(Webhook.findById(db, created.id));
+    });
+
+    test('returns 404 or 400 for unknown or malformed ids', async () => {
+      expect((await request(app).get(`/webhooks/${MISSING_ID}`)).status).toBe(404);
+      expect((await request(app).get('/webhooks/nope')).status).toBe(400);
+    });
+  });
+
+  describe('PATCH /webhooks/:id', () => {
+    test('changes the URL and events and turns the subscription off and on', async () => {
+      const { body: created } = await subscribe();
+
+      const changed = await request(app).patch(`/webhooks/${created.id}`)
+        .send({ url: 'https://example.org/new', events: ['book.updated'] });
+      expect(changed.status).toBe(200);
+      expect(changed.body).toMatchObject({ url: 'https://example.org/new', events: ['book.updated'] });
+
+      const off = await request(app).patch(`/webhooks/${created.id}`).send({ enabled: false });
+      expect(off.body.disabled_at).not.toBeNull();
+
+      const on = await request(app).patch(`/webhooks/${created.id}`).send({ enabled: true });
+      expect(on.body.disabled_at).toBeNull();
+    });
+
+    test('validates the changes', async () => {
+      const { body: created } = await subscribe();
+
+      const res = await request(app).patch(`/webhooks/${created.id}`)
+        .send({ url: 'nope', events: [], enabled: 'yes' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.invalid_params.map(e => e.name)).toEqual(['url', 'events', 'enabled']);
+    });
+
+    test('returns 404 for an unknown subscription', async () => {
+      const res = await request(app).patch(`/webhooks/${MISSING_ID}`).send({ enabled: false });
+
+      expect(res.status).toBe(404);
+      expect(res.body.detail).toBe('Webhook not found');
+    });
+  });
+
+  describe('DELETE /webhooks/:id', () => {
+    test('deletes the subscription', async () => {
+      const { body: created } = await subscribe();
+
+      expect((await request(app).delete(`/webhooks/${created.id}`)).status).toBe(204);
+      expect((await request(app).delete(`/webhooks/${created.id}`)).status).toBe(404);
+    });
+  });
+
+  describe('deliveries', () => {
+    let webhook;
+
+    beforeEach(async () => {
+      ({ body: webhook } = await subscribe());
+      WebhookDelivery.enqueue(db, 'book.created', { n: 1 });
+      WebhookDelivery.enqueue(db, 'book.created', { n: 2 });
+    });
+
+    test('GET /webhooks/:id/deliveries pages the delivery log', async () => {
+      const res = await request(app).get(`/webhooks/${webhook.id}/deliveries?limit=1&page=2`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.pagination).toEqual({ page: 2, limit: 1, total: 2 });
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0]).toMatchObject({ webhook_id: webhook.id, status: 'pending', payload: { data: { n: 1 } } });
+    });
+
+    test('GET /webhooks/:id/deliveries validates paging and the subscription', async () => {
+      expect((await request(app).get(`/webhooks/${webhook.id}/deliveries?limit=500`)).status).toBe(400);
+      expect((await request(app).get(`/webhooks/${MISSING_ID}/deliveries`)).status).toBe(404);
+    });
+
+    test('POST .../redeliver queues the event again', async () => {
+      const [delivery] = WebhookDelivery.findByWebhookId(db, webhook.id).deliveries;
+
+      const res = await request(app).post(`/webhooks/${webhook.id}/deliveries/${delivery.id}/redeliver`);
+
+      expect(res.status).toBe(202);
+      expect(res.body).toMatchObject({ event_id: delivery.event_id, status: 'pending', attempts: 0 });
+      expect(res.body.id).not.toBe(delivery.id);
+    });
+
+    test('POST .../redeliver returns 404 for an unknown delivery and 400 for a malformed id', async () => {
+      const missing = await request(app).post(`/webhooks/${webhook.id}/deliveries/${MISSING_ID}/redeliver`);
+      expect(missing.status).toBe(404);
+      expect(missing.body.detail).toBe('Delivery not found');
+
+      const malformed = await request(app).post(`/webhooks/${webhook.id}/deliveries/nope/redeliver`);
+      expect(malformed.status).toBe(400);
+      expect(malformed.body.invalid_params).toContainEqual(expect.objectContaining({ name: 'deliveryId', reason: 'deliveryId must be a valid UUID v4' }));
+    });
+  });
+});
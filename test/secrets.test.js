@@ -0,0 +1,27 @@
+const { signingSecret } = require('../src/secrets');
+
+describe('signingSecret', () => {
+  const log = { warn: jest.fn() };
+
+  beforeEach(() => {
+    log.warn.mockClear();
+  });
+
+  test('returns the configured secret', () => {
+    expect(signingSecret('JWT_SECRET', { env: { JWT_SECRET: 'shh' }, log })).toBe('shh');
+    expect(log.warn).not.toHaveBeenCalled();
+  });
+
+  test('falls back to a random key with a warning when unset', () => {
+    const key = signingSecret('JWT_SECRET', { env: { NODE_ENV: 'development' }, log });
+
+    expect(key).toHaveLength(32);
+    expect(signingSecret('JWT_SECRET', { env: {}, log })).not.toEqual(key);
+    expect(log.warn).toHaveBeenCalledWith(expect.stringMatching(/^JWT_SECRET is not set/));
+  });
+
+  test('refuses to run in production without one', () => {
+    expect(() => signingSecret('JWT_SECRET', { env: { NODE_ENV: 'production', JWT_SECRET: '' }, log }))
+      .toThrow('JWT_SECRET must be set in production');
+  });
+});
@@ -0,0 +1,196 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const ApiKey = require('../../src/models/apiKey');
+const AuditLog = require('../../src/models/auditLog');
+const Patron = require('../../src/models/patron');
+const User = require('../../src/models/user');
+const { signToken } = require('../../src/tokens');
+const {
+  createUser,
+  bootstrapAdmin,
+  login,
+  refresh,
+  identifyAccessToken,
+  identifyApiKey,
+  createApiKey,
+  revokeApiKey,
+  rotateApiKey,
+} = require('../../src/services/auth');
+const {
+  UnauthorizedError,
+  ApiKeyNotFoundError,
+  ApiKeyRevokedError,
+  PatronNotFoundError,
+} = require('../../src/errors');
+
+describe('auth service', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('patron accounts', () => {
+    test('identify the patron they belong to', () => {
+      const patron = Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+      const user = createUser(db, { username: 'ada', password: 'correct horse battery', role: 'patron', patronId: patron.id });
+
+      const { access_token: token } = login(db, { username: 'ada', password: 'correct horse battery' });
+
+      expect(user.patron_id).toBe(patron.id);
+      expect(identifyAccessToken(db, token)).toMatchObject({ role: 'patron', patronId: patron.id });
+    });
+
+    test('need an existing patron', () => {
+      expect(() => createUser(db, {
+        username: 'ghost',
+        password: 'correct horse battery',
+        role: 'patron',
+        patronId: '00000000-0000-4000-8000-000000000000',
+      })).toThrow(PatronNotFoundError);
+    });
+  });
+
+  describe('staff sign-in', () => {
+    let user;
+
+    beforeEach(() => {
+      user = createUser(db, { username: 'jsmith', password: 'correct horse battery', role: 'librarian' });
+    });
+
+    test('stores a salted hash rather than the password', () => {
+      const { password_hash: hash } = User.findByUsernameWithHash(db, 'jsmith');
+
+      expect(hash).toMatch(/^scrypt:[\w-]+:[\w-]+$/);
+      expect(hash).not.toContain('correct horse');
+    });
+
+    test('login issues an access token that identifies the user', () => {
+      const now = new Date();
+      const tokens = login(db, { username: 'JSmith', password: 'correct horse battery' }, now);
+
+      expect(tokens).toEqual({
+        token_type: 'Bearer',
+        access_token: expect.any(String),
+        expires_in: 900,
+        refresh_token: expect.any(String),
+      });
+      expect(identifyAccessToken(db, tokens.access_token)).toEqual({
+        type: 'user',
+        id: user.id,
+        name: 'jsmith',
+        role: 'librarian',
+        patronId: null,
+      });
+      expect(User.findById(db, user.id).last_login_at).toBe(now.toISOString());
+    });
+
+    test('login rejects a wrong password and an unknown username alike', () => {
+      expect(() => login(db, { username: 'jsmith', password: 'wrong' }))
+        .toThrow(new UnauthorizedError('Invalid username or password'));
+      expect(() => login(db, { username: 'nobody', password: 'correct horse battery' }))
+        .toThrow(new UnauthorizedError('Invalid username or password'));
+    });
+
+    test('a refresh token works once and cannot be used as an access token', () => {
+      const tokens = login(db, { username: 'jsmith', password: 'correct horse battery' });
+
+      expect(() => identifyAccessToken(db, tokens.refresh_token)).toThrow(UnauthorizedError);
+
+      const refreshed = refresh(db, tokens.refresh_token);
+      expect(identifyAccessToken(db, refreshed.access_token).id).toBe(user.id);
+      expect(() => refresh(db, tokens.refresh_token)).toThrow('Invalid or expired refresh token');
+      expect(() => refresh(db, refreshed.access_token)).toThrow('Invalid or expired refresh token');
+      expect(refresh(db, refreshed.refresh_token).token_type).toBe('Bearer');
+    });
+
+    test('rejects expired access tokens and tokens for unknown users', () => {
+      const tokens = login(db, { username: 'jsmith', password: 'correct horse battery' }, new Date('2025-01-01T00:00:00Z'));
+
+      expect(() => identifyAccessToken(db, tokens.access_token))
+        .toThrow(new UnauthorizedError('Invalid or expired access token'));
+      expect(() => identifyAccessToken(db, signToken({ sub: 'gone', typ: 'access' }, 60)))
+        .toThrow(UnauthorizedError);
+    });
+
+    test('token lifetimes come from ACCESS_TOKEN_TTL_SECONDS and REFRESH_TOKEN_TTL_SECONDS', () => {
+      process.env.ACCESS_TOKEN_TTL_SECONDS = '60';
+      process.env.REFRESH_TOKEN_TTL_SECONDS = '120';
+      try {
+        const issuedAt = new Date();
+        const tokens = login(db, { username: 'jsmith', password: 'correct horse battery' }, issuedAt);
+
+        expect(tokens.expires_in).toBe(60);
+        expect(() => refresh(db, tokens.refresh_token, new Date(issuedAt.getTime() + 120 * 1000))).toThrow(UnauthorizedError);
+      } finally {
+        delete process.env.ACCESS_TOKEN_TTL_SECONDS;
+        delete process.env.REFRESH_TOKEN_TTL_SECONDS;
+      }
+    });
+  });
+
+  test('bootstrapAdmin creates an admin only while there are no accounts', () => {
+    expect(bootstrapAdmin(db, { username: 'root', password: 'a long enough secret' })).toMatchObject({ role: 'admin' });
+    expect(bootstrapAdmin(db, { username: 'other', password: 'a long enough secret' })).toBeNull();
+    expect(User.count(db)).toBe(1);
+  });
+
+  describe('API keys', () => {
+    test('a new key identifies its integration and records its use', () => {
+      const created = createApiKey(db, { name: 'Signage', role: 'librarian' });
+
+      expect(created.key).toMatch(/^lib_[\w-]{43}$/);
+      expect(created.prefix).toBe(created.key.slice(0, 12));
+
+      const now = new Date('2025-01-01T09:00:00Z');
+      expect(identifyApiKey(db, created.key, now)).toEqual({ type: 'api_key', id: created.id, name: 'Signage', role: 'librarian', patronId: null });
+      expect(ApiKey.findById(db, created.id).last_used_at).toBe(now.toISOString());
+    });
+
+    test('unknown and revoked keys are rejected', () => {
+      const created = createApiKey(db, { name: 'Signage', role: 'librarian' });
+      revokeApiKey(db, created.id);
+
+      expect(() => identifyApiKey(db, created.key)).toThrow(new UnauthorizedError('Invalid or revoked API key'));
+      expect(() => identifyApiKey(db, 'lib_guess')).toThrow(UnauthorizedError);
+      expect(() => revokeApiKey(db, 'missing')).toThrow(ApiKeyNotFoundError);
+    });
+
+    test('rotating replaces the key with one of the same name and role', () => {
+      const old = createApiKey(db, { name: 'Discovery', role: 'admin' });
+
+      const replacement = rotateApiKey(db, old.id);
+
+      expect(replacement).toMatchObject({ name: 'Discovery', role: 'admin', revoked_at: null });
+      expect(replacement.key).not.toBe(old.key);
+      expect(identifyApiKey(db, replacement.key).id).toBe(replacement.id);
+      expect(() => identifyApiKey(db, old.key)).toThrow(UnauthorizedError);
+      expect(() => rotateApiKey(db, old.id)).toThrow(ApiKeyRevokedError);
+      expect(() => rotateApiKey(db, 'missing')).toThrow(ApiKeyNotFoundError);
+    });
+
+    test('creating, revoking and rotating keys are recorded in the audit log without the key', () => {
+      const audit = { actor: { type: 'user', id: 'u1', name: 'admin' } };
+      const old = createApiKey(db, { name: 'Discovery', role: 'admin' }, { audit });
+      const replacement = rotateApiKey(db, old.id, { audit });
+      revokeApiKey(db, old.id, { audit });
+
+      const { entries } = AuditLog.findAll(db, { entityType: 'api_key' });
+      expect(entries.map(e => [e.action, e.entity_id, e.actor_id])).toEqual([
+        ['api_key.created', replacement.id, 'u1'],
+        ['api_key.revoked', old.id, 'u1'],
+        ['api_key.created', old.id, 'u1'],
+      ]);
+      expect(entries[1]).toMatchObject({ before: { revoked_at: null }, after: { revoked_at: expect.any(String) } });
+      expect(entries[2].after).toMatchObject({ id: old.id, name: 'Discovery', role: 'admin', prefix: old.prefix, revoked_at: null });
+      expect(JSON.stringify(entries)).not.toContain(old.key);
+    });
+  });
+});
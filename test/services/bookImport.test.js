@@ -0,0 +1,181 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const ImportJob = require('../../src/models/importJob');
+const MarcRecord = require('../../src/models/marcRecord');
+const { serializeMarc21, parseMarc21 } = require('../../src/marc');
+const { mapRow, runImport } = require('../../src/services/bookImport');
+
+// Stands in for the create route's rules: every row needs a title
+async function validateRow(fields) {
+  const errors = fields.title ? [] : [{ name: 'title', reason: 'Title is required' }];
+  return { fields: { author: 'Author', published_year: 2000, ...fields }, errors };
+}
+
+async function* upload(text) {
+  yield Buffer.from(text);
+}
+
+describe('bookImport service', () => {
+  let db;
+
+  const startJob = (options = {}) => ImportJob.create(db, {
+    format: 'csv', onDuplicate: 'skip', dryRun: false, mapping: {}, ...options,
+  });
+  const bookCount = () => db.prepare('SELECT COUNT(*) AS n FROM books').get().n;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('mapRow(record, mapping)', () => {
+    test('reads mapped fields from their column and the rest from their own name', () => {
+      expect(mapRow({ Name: 'Dune', isbn: '1', title: 'ignored', extra: 'x' }, { title: 'Name' }))
+        .toEqual({ title: 'Dune', isbn: '1' });
+    });
+
+    test('leaves out empty and null values', () => {
+      expect(mapRow({ title: '', author: null, published_year: 1965 })).toEqual({ published_year: 1965 });
+    });
+  });
+
+  describe('runImport(db, job, upload, options)', () => {
+    test('creates a book for each valid row and records the failed ones', async () => {
+      const job = startJob();
+
+      const finished = await runImport(db, job, upload('title,isbn\nDune,1\n,2\nEmma,3\nToo,many,fields\n'), { validateRow });
+
+      expect(finished).toMatchObject({
+        status: 'completed',
+        rows_processed: 4,
+        rows_created: 2,
+        rows_failed: 2,
+        finished_at: expect.any(String),
+      });
+      expect(Book.findByIsbn(db, '3')).toMatchObject({ title: 'Emma', author: 'Author' });
+      expect(ImportJob.findErrors(db, job.id).errors).toEqual([
+        { row: 2, errors: [{ name: 'title', reason: 'Title is required' }] },
+        { row: 4, errors: [{ name: 'row', reason: 'Row has 3 fields but the header has 2' }] },
+      ]);
+    });
+
+    test('skips rows whose ISBN is already in the catalog by default', async () => {
+      Book.create(db, { title: 'Old', author: 'A', isbn: '1', published_year: 1990 });
+
+      const finished = await runImport(db, startJob(), upload('title,isbn\nNew,1\nDune,2\nDune again,2\n'), { validateRow });
+
+      expect(finished).toMatchObject({ rows_created: 1, rows_skipped: 2 });
+      expect(Book.findByIsbn(db, '1').title).toBe('Old');
+    });
+
+    test('updates the existing book on upsert, and skips rows that change nothing', async () => {
+      const book = Book.create(db, { title: 'Old', author: 'Author', isbn: '1', published_year: 2000 });
+      Book.create(db, { title: 'Same', author: 'Author', isbn: '2', published_year: 2000 });
+
+      const finished = await runImport(db, startJob({ onDuplicate: 'upsert' }), upload('title,isbn\nNew,1\nSame,2\n'), { validateRow });
+
+      expect(finished).toMatchObject({ rows_updated: 1, rows_skipped: 1 });
+      expect(Book.findById(db, book.id)).toMatchObject({ title: 'New', version: 2 });
+    });
+
+    test('rejects a row whose ISBN belongs to a book in the trash', async () => {
+      const book = Book.create(db, { title: 'Gone', author: 'A', isbn: '1', published_year: 1990 });
+      db.prepare('UPDATE books SET deleted_at = ? WHERE id = ?').run(new Date().toISOString(), book.id);
+
+      const job = startJob({ onDuplicate: 'upsert' });
+      const finished = await runImport(db, job, upload('title,isbn\nBack,1\n'), { validateRow });
+
+      expect(finished).toMatchObject({ rows_failed: 1 });
+      expect(ImportJob.findErrors(db, job.id).errors[0].errors).toEqual([
+        { name: 'isbn', reason: 'A book with this ISBN is in the trash' },
+      ]);
+    });
+
+    test('a dry run counts what would happen without changing any book', async () => {
+      Book.create(db, { title: 'Old', author: 'Author', isbn: '1', published_year: 2000 });
+      const job = startJob({ onDuplicate: 'upsert', dryRun: true });
+
+      const finished = await runImport(db, job, upload('title,isbn\nNew,1\nDune,2\nDune,2\nDune II,2\n'), { validateRow });
+
+      expect(finished).toMatchObject({ rows_created: 1, rows_updated: 2, rows_skipped: 1 });
+      expect(bookCount()).toBe(1);
+      expect(Book.findByIsbn(db, '1').title).toBe('Old');
+    });
+
+    test('commits progress a chunk at a time', async () => {
+      const job = startJob();
+      const seen = [];
+      const watch = async fields => {
+        seen.push(ImportJob.findById(db, job.id).rows_processed);
+        return validateRow(fields);
+      };
+
+      await runImport(db, job, upload('title,isbn\nA,1\nB,2\nC,3\nD,4\nE,5\n'), { validateRow: watch, chunkSize: 2 });
+
+      expect(seen).toEqual([0, 0, 2, 2, 4]);
+    });
+
+    test('fails the job on an unreadable upload, keeping the chunks already committed', async () => {
+      const job = startJob({ format: 'ndjson' });
+
+      const finished = await runImport(
+        db, job, upload('{"title":"A","isbn":"1"}\n{"title":"B","isbn":"2"}\n{"title":"C","isbn":"3"}\n'),
+        { validateRow, chunkSize: 2 }
+      );
+      expect(finished.status).toBe('completed');
+
+      const broken = startJob({ format: 'json' });
+      const failed = await runImport(db, broken, upload('[{"title":"D","isbn":"4"},{"title":"E","isbn":"5"},{"title":"F"'), {
+        validateRow,
+        chunkSize: 2,
+      });
+
+      expect(failed).toMatchObject({ status: 'failed', error: 'The JSON array is never closed', rows_created: 2 });
+      expect(bookCount()).toBe(5);
+    });
+
+    test('stores the whole MARC record with the book it creates or updates, except in a dry run', async () => {
+      const marc = title => serializeMarc21({
+        leader: '00000nam a2200000 i 4500',
+        fields: [
+          { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: '1' }] },
+          { tag: '245', ind1: '0', ind2: '0', subfields: [{ code: 'a', value: title }] },
+          { tag: '650', ind1: ' ', ind2: '0', subfields: [{ code: 'a', value: 'Science fiction.' }] },
+        ],
+      });
+
+      await runImport(db, startJob({ format: 'marc21', dryRun: true }), upload(marc('Dune')), { validateRow });
+      expect(bookCount()).toBe(0);
+
+      await runImport(db, startJob({ format: 'marc21' }), upload(marc('Dune')), { validateRow });
+      const book = Book.findByIsbn(db, '1');
+      expect(MarcRecord.findByBookId(db, book.id)).toEqual(parseMarc21(marc('Dune')));
+
+      const finished = await runImport(db, startJob({ format: 'marc21', onDuplicate: 'upsert' }), upload(marc('Dune Messiah')), { validateRow });
+      expect(finished).toMatchObject({ rows_updated: 1 });
+      expect(MarcRecord.findByBookId(db, book.id)).toEqual(parseMarc21(marc('Dune Messiah')));
+    });
+
+    test('fails the job with a generic error and logs it when the upload breaks off', async () => {
+      const log = { error: jest.fn() };
+      const err = new Error('aborted');
+      async function* interrupted() {
+        yield Buffer.from('title,isbn\nA,1\n');
+        throw err;
+      }
+      const job = startJob();
+
+      const finished = await runImport(db, job, interrupted(), { validateRow, log });
+
+      expect(finished).toMatchObject({ status: 'failed', error: 'The import stopped unexpectedly', rows_processed: 0 });
+      expect(log.error).toHaveBeenCalledWith({ err, importJobId: job.id }, 'Book import failed');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const { updateBook } = require('../../src/services/books');
+const { BookNotFoundError, IsbnConflictError, PreconditionFailedError } = require('../../src/errors');
+
+describe('books service', () => {
+  let db;
+  let book;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2023 });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('updateBook(db, id, fields, options)', () => {
+    test('updates the book and bumps its version', () => {
+      const updated = updateBook(db, book.id, { title: 'New' });
+
+      expect(updated).toMatchObject({ title: 'New', version: 2 });
+    });
+
+    test('updates the book when If-Match lists its current ETag', () => {
+      expect(updateBook(db, book.id, { title: 'New' }, { ifMatch: ['"1"'] }).title).toBe('New');
+    });
+
+    test('throws PreconditionFailedError and changes nothing for a stale ETag', () => {
+      updateBook(db, book.id, { title: 'First' });
+
+      expect(() => updateBook(db, book.id, { title: 'Second' }, { ifMatch: ['"1"'] })).toThrow(PreconditionFailedError);
+      expect(Book.findById(db, book.id)).toMatchObject({ title: 'First', version: 2 });
+    });
+
+    test('throws BookNotFoundError for a missing book', () => {
+      expect(() => updateBook(db, '00000000-0000-4000-a000-000000000000', { title: 'New' }))
+        .toThrow(BookNotFoundError);
+    });
+
+    test('throws IsbnConflictError when another book has the ISBN', () => {
+      const other = Book.create(db, { title: 'O', author: 'A', isbn: '978-0-7432-7356-5', published_year: 2023 });
+
+      expect(() => updateBook(db, other.id, { isbn: book.isbn })).toThrow(IsbnConflictError);
+    });
+  });
+});
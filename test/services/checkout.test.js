@@ -1,10 +1,23 @@
 const { getDatabase } = require('../../src/db/connection');
 const { migrate } = require('../../src/db/migrate');
+const AuditLog = require('../../src/models/auditLog');
+const Outbox = require('../../src/models/outbox');
 const Book = require('../../src/models/book');
-const { checkoutBook, returnBook } = require('../../src/services/checkout');
-const { BookNotFoundError, BookUnavailableError } = require('../../src/errors');
+const Copy = require('../../src/models/copy');
+const { checkoutBook, renewBook, returnBook } = require('../../src/services/checkout');
+const Patron = require('../../src/models/patron');
+const ClosedDay = require('../../src/models/closedDay');
+const LoanPeriod = require('../../src/models/loanPeriod');
+const {
+  CopyNotFoundError,
+  BookUnavailableError,
+  PatronNotFoundError,
+  PatronIneligibleError,
+  RenewalDeniedError,
+  PreconditionFailedError,
+} = require('../../src/errors');
 
-describe('checkoutBook(db, id)', () => {
+describe('checkoutBook(db, barcode)', () => {
   let db;
   let seededBook;
 
@@ -17,6 +30,7 @@ describe('checkoutBook(db, id)', () => {
       isbn: '978-3-16-148410-0',
       published_year: 2023,
     });
+    Copy.create(db, seededBook.id, { barcode: 'C-1' });
   });
 
   afterEach(() => {
@@ -26,39 +40,59 @@ describe('checkoutBook(db, id)', () => {
   });
 
   test('transitions available → checked_out', () => {
-    const result = checkoutBook(db, seededBook.id);
+    const result = checkoutBook(db, 'C-1');
     expect(result.status).toBe('checked_out');
   });
 
   test('sets checked_out_at to a valid ISO-8601 string (not null)', () => {
-    const result = checkoutBook(db, seededBook.id);
+    const result = checkoutBook(db, 'C-1');
     expect(result.checked_out_at).not.toBeNull();
     expect(new Date(result.checked_out_at).toString()).not.toBe('Invalid Date');
   });
 
-  test('throws BookNotFoundError for a non-existent UUID', () => {
+  test('throws CopyNotFoundError for an unknown barcode', () => {
     expect(() => {
-      checkoutBook(db, 'non-existent-uuid');
-    }).toThrow(BookNotFoundError);
+      checkoutBook(db, 'NOPE');
+    }).toThrow(CopyNotFoundError);
   });
 
   test('throws BookUnavailableError with correct message when already checked out', () => {
-    checkoutBook(db, seededBook.id);
+    checkoutBook(db, 'C-1');
 
     expect(() => {
-      checkoutBook(db, seededBook.id);
+      checkoutBook(db, 'C-1');
     }).toThrow(BookUnavailableError);
 
     try {
-      checkoutBook(db, seededBook.id);
+      checkoutBook(db, 'C-1');
     } catch (err) {
       expect(err).toBeInstanceOf(BookUnavailableError);
-      expect(err.message).toBe('Book is already checked out');
+      expect(err.message).toBe('Copy is already checked out');
     }
   });
+
+  test('checks If-Match against the copy\'s book before checking out', () => {
+    const { version } = Book.findById(db, seededBook.id);
+
+    expect(() => checkoutBook(db, 'C-1', { ifMatch: [`"${version - 1}"`] })).toThrow(PreconditionFailedError);
+    expect(Copy.findByBarcode(db, 'C-1').status).toBe('available');
+    expect(checkoutBook(db, 'C-1', { ifMatch: [`"${version}"`] }).status).toBe('checked_out');
+  });
+
+  test('refuses to lend or renew a copy whose item type has no loan period', () => {
+    const unconfigured = new BookUnavailableError('No loan period is configured for item type book');
+    Copy.create(db, seededBook.id, { barcode: 'C-2' });
+    checkoutBook(db, 'C-2');
+    db.prepare("DELETE FROM loan_periods WHERE item_type = 'book'").run();
+
+    expect(() => checkoutBook(db, 'C-1')).toThrow(unconfigured);
+    expect(() => renewBook(db, 'C-2')).toThrow(unconfigured);
+    expect(Copy.findByBarcode(db, 'C-1').status).toBe('available');
+    expect(Copy.findByBarcode(db, 'C-2').renewal_count).toBe(0);
+  });
 });
 
-describe('returnBook(db, id)', () => {
+describe('returnBook(db, barcode)', () => {
   let db;
   let seededBook;
 
@@ -71,6 +105,7 @@ describe('returnBook(db, id)', () => {
       isbn: '978-3-16-148410-0',
       published_year: 2023,
     });
+    Copy.create(db, seededBook.id, { barcode: 'C-1' });
   });
 
   afterEach(() => {
@@ -80,35 +115,43 @@ describe('returnBook(db, id)', () => {
   });
 
   test('transitions checked_out → available', () => {
-    checkoutBook(db, seededBook.id);
-    const result = returnBook(db, seededBook.id);
+    checkoutBook(db, 'C-1');
+    const result = returnBook(db, 'C-1');
     expect(result.status).toBe('available');
   });
 
   test('clears checked_out_at to null', () => {
-    checkoutBook(db, seededBook.id);
-    const result = returnBook(db, seededBook.id);
+    checkoutBook(db, 'C-1');
+    const result = returnBook(db, 'C-1');
     expect(result.checked_out_at).toBeNull();
   });
 
-  test('throws BookNotFoundError for a non-existent UUID', () => {
+  test('throws CopyNotFoundError for an unknown barcode', () => {
     expect(() => {
-      returnBook(db, 'non-existent-uuid');
-    }).toThrow(BookNotFoundError);
+      returnBook(db, 'NOPE');
+    }).toThrow(CopyNotFoundError);
   });
 
-  test('throws BookUnavailableError with correct message when book is available', () => {
+  test('throws BookUnavailableError with correct message when the copy is available', () => {
     expect(() => {
-      returnBook(db, seededBook.id);
+      returnBook(db, 'C-1');
     }).toThrow(BookUnavailableError);
 
     try {
-      returnBook(db, seededBook.id);
+      returnBook(db, 'C-1');
     } catch (err) {
       expect(err).toBeInstanceOf(BookUnavailableError);
-      expect(err.message).toBe('Book is not currently checked out');
+      expect(err.message).toBe('Copy is not currently checked out');
     }
   });
+
+  test('checks If-Match against the copy\'s book before returning', () => {
+    checkoutBook(db, 'C-1');
+    const { version } = Book.findById(db, seededBook.id);
+
+    expect(() => returnBook(db, 'C-1', { ifMatch: [`"${version - 1}"`] })).toThrow(PreconditionFailedError);
+    expect(returnBook(db, 'C-1', { ifMatch: '*' }).status).toBe('available');
+  });
 });
 
 describe('Full lifecycle: checkout → return → checkout', () => {
@@ -124,6 +167,7 @@ describe('Full lifecycle: checkout → return → checkout', () => {
       isbn: '978-0-00-000000-0',
       published_year: 2024,
     });
+    Copy.create(db, seededBook.id, { barcode: 'C-1' });
   });
 
   afterEach(() => {
@@ -134,15 +178,246 @@ describe('Full lifecycle: checkout → return → checkout', () => {
 
   test('create → checkout → return → checkout again all succeed, final status is checked_out', () => {
     // First checkout
-    const checkedOut = checkoutBook(db, seededBook.id);
+    const checkedOut = checkoutBook(db, 'C-1');
     expect(checkedOut.status).toBe('checked_out');
 
     // Return
-    const returned = returnBook(db, seededBook.id);
+    const returned = returnBook(db, 'C-1');
     expect(returned.status).toBe('available');
 
     // Checkout again
-    const checkedOutAgain = checkoutBook(db, seededBook.id);
+    const checkedOutAgain = checkoutBook(db, 'C-1');
     expect(checkedOutAgain.status).toBe('checked_out');
   });
+
+  test('each step is recorded in the audit log against the caller', () => {
+    const audit = { actor: { type: 'user', id: 'u1', name: 'jsmith' }, requestId: 'r1', ip: '127.0.0.1' };
+
+    const copy = checkoutBook(db, 'C-1', { audit });
+    renewBook(db, 'C-1', { audit });
+    returnBook(db, 'C-1', { audit });
+
+    const { entries } = AuditLog.findAll(db, { entityType: 'copy', entityId: copy.id });
+    expect(entries.map(e => e.action)).toEqual(['copy.returned', 'copy.renewed', 'copy.checked_out']);
+    expect(entries.every(e => e.actor_id === 'u1' && e.request_id === 'r1')).toBe(true);
+    expect(entries[2].before).toMatchObject({ status: 'available', due_at: null });
+    expect(entries[2].after).toMatchObject({ status: 'checked_out', due_at: copy.due_at });
+    expect(entries[1].after).toEqual({ due_at: expect.any(String), renewal_count: 1 });
+    expect(entries[0].after).toMatchObject({ status: 'available', due_at: null });
+  });
+
+  test('a refused checkout is not recorded', () => {
+    checkoutBook(db, 'C-1');
+
+    expect(() => checkoutBook(db, 'C-1')).toThrow(BookUnavailableError);
+    expect(AuditLog.findAll(db, { entityType: 'copy' }).total).toBe(1);
+  });
+
+  test('each step records an event with the book and copy in the outbox', () => {
+    checkoutBook(db, 'C-1');
+    renewBook(db, 'C-1');
+    const returned = returnBook(db, 'C-1');
+
+    const events = Outbox.findAfter(db).filter(e => e.aggregate_type === 'copy');
+    expect(events.map(e => e.type)).toEqual(['book.checked_out', 'book.renewed', 'book.returned']);
+    expect(events.every(e => e.aggregate_id === returned.id)).toBe(true);
+    expect(events[2].data).toEqual({ book: Book.findById(db, seededBook.id), copy: returned });
+  });
+
+  test('a refused checkout records no event', () => {
+    checkoutBook(db, 'C-1');
+
+    expect(() => checkoutBook(db, 'C-1')).toThrow(BookUnavailableError);
+    expect(Outbox.findAfter(db, { type: 'book.checked_out' })).toHaveLength(1);
+  });
+});
+
+describe('checkoutBook / returnBook with a patron', () => {
+  let db;
+  let seededBook;
+  let patron;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    seededBook = Book.create(db, {
+      title: 'Test Book',
+      author: 'Test Author',
+      isbn: '978-3-16-148410-0',
+      published_year: 2023,
+    });
+    Copy.create(db, seededBook.id, { barcode: 'C-1' });
+    patron = Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('stores the patron on checkout and clears it on return', () => {
+    expect(checkoutBook(db, 'C-1', { patronId: patron.id }).patron_id).toBe(patron.id);
+    expect(returnBook(db, 'C-1').patron_id).toBeNull();
+
+    const actions = db.prepare('SELECT action, patron_id FROM checkout_history ORDER BY rowid').all();
+    expect(actions).toEqual([
+      { action: 'checked_out', patron_id: patron.id },
+      { action: 'returned', patron_id: patron.id },
+    ]);
+  });
+
+  test('throws PatronNotFoundError for an unknown patron', () => {
+    expect(() => checkoutBook(db, 'C-1', { patronId: 'missing' })).toThrow(PatronNotFoundError);
+  });
+
+  test('throws PatronIneligibleError for suspended and expired patrons', () => {
+    Patron.update(db, patron.id, { status: 'suspended' });
+    expect(() => checkoutBook(db, 'C-1', { patronId: patron.id })).toThrow('Patron account is suspended');
+
+    Patron.update(db, patron.id, { status: 'expired' });
+    expect(() => checkoutBook(db, 'C-1', { patronId: patron.id })).toThrow(PatronIneligibleError);
+    expect(Book.findById(db, seededBook.id).status).toBe('available');
+  });
+});
+
+describe('checkoutBook / returnBook due dates', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('sets due_at from the loan period of the item type', () => {
+    jest.useFakeTimers({ now: new Date('2025-03-01T10:00:00.000Z') });
+    const dvd = Book.create(db, {
+      title: 'A Film', author: 'A Director', isbn: '978-3-16-148410-0', published_year: 2020, item_type: 'dvd',
+    });
+    Copy.create(db, dvd.id, { barcode: 'C-1' });
+
+    expect(checkoutBook(db, 'C-1').due_at).toBe('2025-03-08T10:00:00.000Z');
+  });
+
+  test('never makes a book due on a closed day', () => {
+    jest.useFakeTimers({ now: new Date('2025-12-04T10:00:00.000Z') });
+    ClosedDay.create(db, { date: '2025-12-25', reason: 'Christmas Day' });
+    ClosedDay.create(db, { date: '2025-12-26', reason: 'Boxing Day' });
+    const book = Book.create(db, {
+      title: 'Test Book', author: 'Test Author', isbn: '978-3-16-148410-0', published_year: 2023,
+    });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+
+    expect(checkoutBook(db, 'C-1').due_at).toBe('2025-12-27T10:00:00.000Z');
+  });
+
+  test('clears due_at on return', () => {
+    const book = Book.create(db, {
+      title: 'Test Book', author: 'Test Author', isbn: '978-3-16-148410-0', published_year: 2023,
+    });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+    checkoutBook(db, 'C-1');
+
+    expect(returnBook(db, 'C-1').due_at).toBeNull();
+  });
+});
+
+describe('renewBook(db, barcode)', () => {
+  let db;
+  let book;
+
+  const reasonOf = fn => {
+    try {
+      fn();
+    } catch (err) {
+      expect(err).toBeInstanceOf(RenewalDeniedError);
+      return err.reason;
+    }
+    throw new Error('expected a RenewalDeniedError');
+  };
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    book = Book.create(db, {
+      title: 'Test Book', author: 'Test Author', isbn: '978-3-16-148410-0', published_year: 2023,
+    });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('extends the due date by another loan period and counts the renewal', () => {
+    jest.useFakeTimers({ now: new Date('2025-03-01T10:00:00.000Z') });
+    const loan = checkoutBook(db, 'C-1');
+    expect(loan).toMatchObject({ renewal_count: 0, max_renewals: 2 });
+
+    const renewed = renewBook(db, 'C-1');
+
+    expect(renewed.due_at).toBe('2025-04-12T10:00:00.000Z');
+    expect(renewed.renewal_count).toBe(1);
+  });
+
+  test('extends an overdue loan from now rather than from the old due date', () => {
+    jest.useFakeTimers({ now: new Date('2025-03-01T10:00:00.000Z') });
+    checkoutBook(db, 'C-1');
+    jest.setSystemTime(new Date('2025-04-01T10:00:00.000Z'));
+
+    expect(renewBook(db, 'C-1').due_at).toBe('2025-04-22T10:00:00.000Z');
+  });
+
+  test('records a renewed history entry for the borrower', () => {
+    const patron = Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+    checkoutBook(db, 'C-1', { patronId: patron.id });
+
+    renewBook(db, 'C-1');
+
+    const entry = db.prepare("SELECT * FROM checkout_history WHERE action = 'renewed'").get();
+    expect(entry).toMatchObject({ book_id: book.id, patron_id: patron.id });
+  });
+
+  test('denies renewals past the limit copied onto the loan at checkout', () => {
+    LoanPeriod.upsert(db, 'book', { loanDays: 21, maxRenewals: 1 });
+    checkoutBook(db, 'C-1');
+    LoanPeriod.upsert(db, 'book', { loanDays: 21, maxRenewals: 5 });
+
+    renewBook(db, 'C-1');
+
+    expect(reasonOf(() => renewBook(db, 'C-1'))).toBe('RENEWAL_LIMIT_REACHED');
+  });
+
+  test('resets the renewal count on return', () => {
+    checkoutBook(db, 'C-1');
+    renewBook(db, 'C-1');
+
+    expect(returnBook(db, 'C-1')).toMatchObject({ renewal_count: 0, max_renewals: null });
+  });
+
+  test('denies renewing a copy that is not checked out', () => {
+    expect(reasonOf(() => renewBook(db, 'C-1'))).toBe('NOT_CHECKED_OUT');
+  });
+
+  test('denies renewing for a patron who has since been suspended', () => {
+    const patron = Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+    checkoutBook(db, 'C-1', { patronId: patron.id });
+    Patron.update(db, patron.id, { status: 'suspended' });
+
+    expect(reasonOf(() => renewBook(db, 'C-1'))).toBe('PATRON_INELIGIBLE');
+  });
+
+  test('throws CopyNotFoundError for an unknown barcode', () => {
+    expect(() => renewBook(db, 'NOPE')).toThrow(CopyNotFoundError);
+  });
 });
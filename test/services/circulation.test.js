@@ -0,0 +1,90 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Patron = require('../../src/models/patron');
+const { checkoutBook } = require('../../src/services/checkout');
+const { placeHold } = require('../../src/services/holds');
+const { scanCheckout, scanCheckin } = require('../../src/services/circulation');
+const { PatronNotFoundError, CopyNotFoundError } = require('../../src/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ITEM = '31234000056786';
+
+describe('circulation service', () => {
+  let db;
+  let ada;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    const book = Book.create(db, { title: 'Dune', author: 'Frank Herbert', isbn: '978-0-441-17271-9', published_year: 1965 });
+    Copy.create(db, book.id, { barcode: ITEM });
+    ada = Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+    Patron.create(db, { name: 'Bob', email: 'bob@example.com', card_number: 'CARD-0002' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('scanCheckout lends the copy to the card holder and returns a receipt', () => {
+    const receipt = scanCheckout(db, ITEM, { cardNumber: 'CARD-0001' });
+
+    expect(receipt).toEqual({
+      transaction: 'checkout',
+      item_barcode: ITEM,
+      title: 'Dune',
+      author: 'Frank Herbert',
+      patron_name: 'Ada',
+      card_number: 'CARD-0001',
+      checked_out_at: expect.any(String),
+      due_at: expect.any(String),
+      renewals_allowed: 2,
+    });
+    expect(Copy.findByBarcode(db, ITEM).patron_id).toBe(ada.id);
+  });
+
+  test('scanCheckout throws for an unknown card or copy', () => {
+    expect(() => scanCheckout(db, ITEM, { cardNumber: 'CARD-9999' }))
+      .toThrow(new PatronNotFoundError('No patron with this card number'));
+    expect(() => scanCheckout(db, '9780306406157', { cardNumber: 'CARD-0001' })).toThrow(CopyNotFoundError);
+  });
+
+  test('scanCheckin routes the copy to the shelf and reports the late fine', () => {
+    checkoutBook(db, ITEM, { patronId: ada.id });
+    db.prepare('UPDATE copies SET due_at = ? WHERE barcode = ?').run(new Date(Date.now() - 2.5 * DAY_MS).toISOString(), ITEM);
+
+    const receipt = scanCheckin(db, ITEM);
+
+    expect(receipt).toMatchObject({
+      transaction: 'checkin',
+      item_barcode: ITEM,
+      title: 'Dune',
+      patron_name: 'Ada',
+      card_number: 'CARD-0001',
+      returned_at: expect.any(String),
+      route_to: 'shelf',
+      hold: null,
+      fine_cents: 75,
+    });
+  });
+
+  test('scanCheckin prints a hold slip for a copy going to the hold shelf', () => {
+    checkoutBook(db, ITEM);
+    const book = Copy.findByBarcode(db, ITEM).book_id;
+    placeHold(db, book, { cardNumber: 'CARD-0002' });
+
+    const receipt = scanCheckin(db, ITEM);
+
+    expect(receipt).toMatchObject({
+      patron_name: null,
+      card_number: null,
+      route_to: 'hold_shelf',
+      hold: { patron_name: 'Bob', card_number: 'CARD-0002', pickup_expires_at: expect.any(String) },
+      fine_cents: 0,
+    });
+  });
+});
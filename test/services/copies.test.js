@@ -0,0 +1,181 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Hold = require('../../src/models/hold');
+const Patron = require('../../src/models/patron');
+const AuditLog = require('../../src/models/auditLog');
+const Outbox = require('../../src/models/outbox');
+const { checkoutBook, returnBook } = require('../../src/services/checkout');
+const { placeHold, expireHolds } = require('../../src/services/holds');
+const { addCopy, removeCopy, changeCopyStatus } = require('../../src/services/copies');
+const {
+  BookNotFoundError,
+  BookUnavailableError,
+  CopyNotFoundError,
+  InvalidTransitionError,
+  TransitionForbiddenError,
+} = require('../../src/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('copies service', () => {
+  let db;
+  let book;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+    Patron.create(db, { name: 'Alice', email: 'alice@example.com', card_number: 'CARD-0001' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('addCopy', () => {
+    test('adds an available copy to a live book', () => {
+      expect(addCopy(db, book.id, { barcode: 'C-1', condition: 'new' })).toMatchObject({
+        book_id: book.id, barcode: 'C-1', condition: 'new', status: 'available',
+      });
+    });
+
+    test('throws BookNotFoundError for a missing or deleted book', () => {
+      expect(() => addCopy(db, 'missing', { barcode: 'C-1' })).toThrow(BookNotFoundError);
+
+      db.prepare('UPDATE books SET deleted_at = ? WHERE id = ?').run(new Date().toISOString(), book.id);
+      expect(() => addCopy(db, book.id, { barcode: 'C-1' })).toThrow(BookNotFoundError);
+    });
+  });
+
+  test('adding and removing a copy are recorded in the audit log against the caller', () => {
+    const audit = { actor: { type: 'user', id: 'u1', name: 'jsmith' }, requestId: 'r1' };
+
+    const copy = addCopy(db, book.id, { barcode: 'C-1' }, { audit });
+    removeCopy(db, 'C-1', { audit });
+
+    const { entries } = AuditLog.findAll(db, { entityType: 'copy', entityId: copy.id });
+    expect(entries.map(e => [e.action, e.actor_id])).toEqual([['copy.deleted', 'u1'], ['copy.created', 'u1']]);
+    expect(entries[1]).toMatchObject({ before: null, after: copy });
+    expect(entries[0]).toMatchObject({ before: copy, after: null });
+  });
+
+  describe('removeCopy', () => {
+    test('deletes a copy that never circulated', () => {
+      addCopy(db, book.id, { barcode: 'C-1' });
+
+      removeCopy(db, 'C-1');
+
+      expect(Copy.findByBarcode(db, 'C-1')).toBeNull();
+      expect(() => removeCopy(db, 'C-1')).toThrow(CopyNotFoundError);
+    });
+
+    test('refuses copies that are out, on the hold shelf or have circulation history', () => {
+      addCopy(db, book.id, { barcode: 'C-1' });
+      checkoutBook(db, 'C-1');
+      expect(() => removeCopy(db, 'C-1'))
+        .toThrow(new BookUnavailableError('Cannot delete a copy that is checked out'));
+
+      placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+      returnBook(db, 'C-1');
+      expect(() => removeCopy(db, 'C-1'))
+        .toThrow(new BookUnavailableError('Cannot delete a copy that is on the hold shelf'));
+
+      expireHolds(db, { now: new Date(Date.now() + 8 * DAY_MS) });
+      expect(() => removeCopy(db, 'C-1'))
+        .toThrow(new BookUnavailableError('Copy has circulation history and cannot be deleted'));
+    });
+
+    test('keeps a copy that was set aside for a hold, even if never lent', () => {
+      placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+      addCopy(db, book.id, { barcode: 'C-1' });
+      expireHolds(db, { now: new Date(Date.now() + 8 * DAY_MS) });
+
+      expect(() => removeCopy(db, 'C-1'))
+        .toThrow(new BookUnavailableError('Copy has circulation history and cannot be deleted'));
+    });
+  });
+
+  describe('changeCopyStatus', () => {
+    test('marks a lent copy lost, ending the loan and logging the change', () => {
+      const patron = Patron.findByCardNumber(db, 'CARD-0001');
+      addCopy(db, book.id, { barcode: 'C-1' });
+      checkoutBook(db, 'C-1', { patronId: patron.id });
+
+      const lost = changeCopyStatus(db, 'C-1', 'lost', { role: 'librarian', reason: 'Reported lost by borrower' });
+
+      expect(lost).toMatchObject({ status: 'lost', patron_id: null, due_at: null });
+      expect(Book.findById(db, book.id).status).toBe('lost');
+      const entry = db.prepare("SELECT * FROM checkout_history WHERE action = 'status_changed'").get();
+      expect(entry).toMatchObject({
+        copy_id: lost.id,
+        patron_id: patron.id,
+        from_status: 'checked_out',
+        to_status: 'lost',
+        reason: 'Reported lost by borrower',
+      });
+    });
+
+    test('offers a copy back in circulation to the next waiting patron', () => {
+      addCopy(db, book.id, { barcode: 'C-1' });
+      changeCopyStatus(db, 'C-1', 'damaged', { role: 'librarian' });
+      changeCopyStatus(db, 'C-1', 'in_repair', { role: 'librarian' });
+      const hold = placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+
+      const repaired = changeCopyStatus(db, 'C-1', 'available', { role: 'librarian' });
+
+      expect(repaired.status).toBe('on_hold_shelf');
+      expect(Hold.findById(db, hold.id)).toMatchObject({ status: 'ready', copy_id: repaired.id });
+      const steps = db.prepare('SELECT from_status, to_status FROM checkout_history ORDER BY rowid').all();
+      expect(steps.map(e => `${e.from_status}>${e.to_status}`)).toEqual([
+        'available>damaged', 'damaged>in_repair', 'in_repair>available', 'available>on_hold_shelf',
+      ]);
+    });
+
+    test('records each change in the audit log and the outbox', () => {
+      addCopy(db, book.id, { barcode: 'C-1' });
+      const audit = { actor: { type: 'api_key', id: 'k1', name: 'Desk' }, requestId: 'r1' };
+
+      changeCopyStatus(db, 'C-1', 'damaged', { role: 'librarian', audit });
+      const repair = changeCopyStatus(db, 'C-1', 'in_repair', { role: 'librarian', audit });
+
+      const { entries } = AuditLog.findAll(db, { entityType: 'copy' });
+      expect(entries.map(e => e.action)).toEqual(['copy.status_changed', 'copy.status_changed', 'copy.created']);
+      expect(entries.slice(0, 2).every(e => e.actor_id === 'k1' && e.request_id === 'r1')).toBe(true);
+      expect(entries[0].before).toMatchObject({ status: 'damaged' });
+      expect(entries[0].after).toMatchObject({ status: 'in_repair' });
+
+      const events = Outbox.findAfter(db, { type: 'book.status_changed' });
+      expect(events.map(e => e.data.copy.status)).toEqual(['damaged', 'in_repair']);
+      expect(events[1]).toMatchObject({ aggregate_type: 'copy', aggregate_id: repair.id });
+      expect(events[1].data).toEqual({ book: Book.findById(db, book.id), copy: repair });
+    });
+
+    test('a refused change is not recorded', () => {
+      addCopy(db, book.id, { barcode: 'C-1' });
+
+      expect(() => changeCopyStatus(db, 'C-1', 'in_repair', { role: 'librarian' })).toThrow(InvalidTransitionError);
+      expect(AuditLog.findAll(db, { entityType: 'copy' }).entries.map(e => e.action)).toEqual(['copy.created']);
+      expect(Outbox.findAfter(db, { type: 'book.status_changed' })).toEqual([]);
+    });
+
+    test('enforces the transition table and the role that may use it', () => {
+      addCopy(db, book.id, { barcode: 'C-1' });
+
+      expect(() => changeCopyStatus(db, 'C-1', 'withdrawn', { role: 'librarian' }))
+        .toThrow(new TransitionForbiddenError('Only admin can move a copy from available to withdrawn'));
+      expect(() => changeCopyStatus(db, 'C-1', 'checked_out', { role: 'admin' }))
+        .toThrow(new TransitionForbiddenError('Only circulation can move a copy from available to checked_out'));
+      expect(() => changeCopyStatus(db, 'C-1', 'in_repair', { role: 'librarian' }))
+        .toThrow(new InvalidTransitionError('A copy cannot go from available to in_repair'));
+      expect(() => changeCopyStatus(db, 'C-2', 'lost', { role: 'librarian' })).toThrow(CopyNotFoundError);
+
+      expect(changeCopyStatus(db, 'C-1', 'withdrawn', { role: 'admin' }).status).toBe('withdrawn');
+      expect(() => checkoutBook(db, 'C-1'))
+        .toThrow(new InvalidTransitionError('A copy cannot go from withdrawn to checked_out'));
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const { STATES, TRANSITIONS, assertTransition } = require('../../src/services/copyStatus');
+const { ROLES } = require('../../src/permissions');
+const { InvalidTransitionError, TransitionForbiddenError } = require('../../src/errors');
+
+describe('copy status transitions', () => {
+  test('every transition is between known states and belongs to a known role', () => {
+    for (const { from, to, role } of TRANSITIONS) {
+      expect(STATES).toContain(from);
+      expect(STATES).toContain(to);
+      expect(['system', ...ROLES]).toContain(role);
+    }
+  });
+
+  test('allows a transition to its own role and to roles above it', () => {
+    expect(() => assertTransition('available', 'checked_out', 'system')).not.toThrow();
+    expect(() => assertTransition('available', 'lost', 'librarian')).not.toThrow();
+    expect(() => assertTransition('available', 'lost', 'admin')).not.toThrow();
+    expect(() => assertTransition('lost', 'withdrawn', 'admin')).not.toThrow();
+  });
+
+  test('rejects a change no transition allows', () => {
+    expect(() => assertTransition('available', 'in_repair', 'admin')).toThrow(InvalidTransitionError);
+    expect(() => assertTransition('withdrawn', 'checked_out', 'system'))
+      .toThrow('A copy cannot go from withdrawn to checked_out');
+  });
+
+  test('rejects a transition that belongs to another role', () => {
+    expect(() => assertTransition('available', 'withdrawn', 'librarian'))
+      .toThrow(new TransitionForbiddenError('Only admin can move a copy from available to withdrawn'));
+    expect(() => assertTransition('checked_out', 'available', 'admin'))
+      .toThrow('Only circulation can move a copy from checked_out to available');
+    expect(() => assertTransition('available', 'lost', 'system')).toThrow(TransitionForbiddenError);
+    expect(() => assertTransition('available', 'lost', 'patron')).toThrow(TransitionForbiddenError);
+  });
+});
@@ -0,0 +1,69 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const ClosedDay = require('../../src/models/closedDay');
+const LoanPeriod = require('../../src/models/loanPeriod');
+const { computeDueDate, daysOverdue } = require('../../src/services/dueDates');
+
+describe('computeDueDate', () => {
+  let db;
+  const from = new Date('2025-03-01T10:00:00.000Z');
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  test('adds the loan period of the item type', () => {
+    expect(computeDueDate(db, { itemType: 'book', from })).toBe('2025-03-22T10:00:00.000Z');
+    expect(computeDueDate(db, { itemType: 'dvd', from })).toBe('2025-03-08T10:00:00.000Z');
+  });
+
+  test('uses a reconfigured loan period', () => {
+    LoanPeriod.upsert(db, 'dvd', { loanDays: 3 });
+
+    expect(computeDueDate(db, { itemType: 'dvd', from })).toBe('2025-03-04T10:00:00.000Z');
+  });
+
+  test('moves the due date past consecutive closed days', () => {
+    ClosedDay.create(db, { date: '2025-03-22', reason: 'Inventory' });
+    ClosedDay.create(db, { date: '2025-03-23' });
+
+    expect(computeDueDate(db, { itemType: 'book', from })).toBe('2025-03-24T10:00:00.000Z');
+  });
+
+  test('throws for an item type without a loan period', () => {
+    expect(() => computeDueDate(db, { itemType: 'scroll', from }))
+      .toThrow('No loan period configured for item type: scroll');
+  });
+
+  test('gives up when the library is closed for over a year', () => {
+    const insert = db.prepare('INSERT INTO closed_days (date) VALUES (?)');
+    for (let day = 0; day < 400; day++) {
+      insert.run(new Date(Date.UTC(2025, 2, 22 + day)).toISOString().slice(0, 10));
+    }
+
+    expect(() => computeDueDate(db, { itemType: 'book', from }))
+      .toThrow('No open day found within a year of the due date');
+  });
+});
+
+describe('daysOverdue', () => {
+  const dueAt = '2025-03-22T10:00:00.000Z';
+
+  test('is 0 before or at the due date', () => {
+    expect(daysOverdue(dueAt, new Date('2025-03-21T10:00:00.000Z'))).toBe(0);
+    expect(daysOverdue(dueAt, new Date(dueAt))).toBe(0);
+  });
+
+  test('counts any part of a day as a full day', () => {
+    expect(daysOverdue(dueAt, new Date('2025-03-22T11:00:00.000Z'))).toBe(1);
+    expect(daysOverdue(dueAt, new Date('2025-03-24T10:00:00.000Z'))).toBe(2);
+    expect(daysOverdue(dueAt, new Date('2025-03-24T10:00:01.000Z'))).toBe(3);
+  });
+});
@@ -0,0 +1,139 @@
+const { EventEmitter } = require('events');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Outbox = require('../../src/models/outbox');
+const { StreamLimitError } = require('../../src/errors');
+const { createEventStream } = require('../../src/services/eventStream');
+
+const BOOK_A = '11111111-1111-4111-8111-111111111111';
+const BOOK_B = '22222222-2222-4222-8222-222222222222';
+
+describe('createEventStream(db, options)', () => {
+  let db;
+  let source;
+  let stream;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    source = new EventEmitter();
+    stream = createEventStream(db, { source, maxConnections: 2, heartbeatMs: 1000 });
+  });
+
+  afterEach(() => {
+    stream.close();
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  // Records an event and emits it, as the outbox dispatcher would
+  function happen(type, bookId = BOOK_A, { emit = true } = {}) {
+    const data = type.startsWith('hold.')
+      ? { book: null, hold: { id: 'h1', book_id: bookId } }
+      : { book: { id: bookId } };
+    const event = Outbox.append(db, { type, aggregateType: 'book', aggregateId: bookId, data });
+    if (emit) {
+      source.emit('event', event);
+    }
+    return event;
+  }
+
+  function open(subscription = {}) {
+    const received = [];
+    const connection = stream.open(subscription, event => received.push(event));
+    return { received, connection };
+  }
+
+  test('sends new events, starting with the next one', () => {
+    happen('book.created');
+    const { received } = open();
+
+    happen('book.checked_out');
+    happen('book.returned');
+
+    expect(received.map(e => e.type)).toEqual(['book.checked_out', 'book.returned']);
+  });
+
+  test('filters by book and type', () => {
+    const byBook = open({ bookIds: [BOOK_B] });
+    const byType = open({ types: ['book.returned', 'hold.ready'] });
+
+    happen('book.checked_out', BOOK_A);
+    happen('book.checked_out', BOOK_B);
+    happen('book.returned', BOOK_A);
+    happen('hold.ready', BOOK_B);
+
+    expect(byBook.received.map(e => e.seq)).toEqual([2, 4]);
+    expect(byType.received.map(e => e.seq)).toEqual([3, 4]);
+  });
+
+  test('replays the events after `after` first, then live ones, each once', () => {
+    happen('book.created');
+    happen('book.checked_out');
+    // Committed but not dispatched yet
+    const pending = happen('book.returned', BOOK_A, { emit: false });
+
+    const { received } = open({ after: 1 });
+    source.emit('event', pending);
+    happen('book.checked_out');
+
+    expect(received.map(e => e.seq)).toEqual([2, 3, 4]);
+  });
+
+  test('replays across pages', () => {
+    for (let i = 0; i < 150; i += 1) {
+      happen('book.updated', BOOK_A, { emit: false });
+    }
+
+    expect(open({ after: 0 }).received).toHaveLength(150);
+  });
+
+  test('limits the number of open streams', () => {
+    const first = open();
+    open();
+
+    expect(stream.full).toBe(true);
+    expect(stream.size).toBe(2);
+    expect(() => open()).toThrow(StreamLimitError);
+
+    first.connection.close();
+    expect(stream.full).toBe(false);
+    expect(() => open()).not.toThrow();
+  });
+
+  test('a closed stream is sent nothing more', () => {
+    const { received, connection } = open();
+    connection.close();
+
+    happen('book.checked_out');
+
+    expect(received).toEqual([]);
+  });
+
+  test('close stops listening for events', () => {
+    const { received } = open();
+    stream.close();
+
+    happen('book.checked_out');
+
+    expect(received).toEqual([]);
+    expect(source.listenerCount('event')).toBe(0);
+  });
+
+  test('reads its limits from the environment', () => {
+    const originalEnv = { ...process.env };
+    process.env.EVENT_STREAM_MAX_CONNECTIONS = '1';
+    process.env.EVENT_STREAM_HEARTBEAT_MS = '500';
+    try {
+      const configured = createEventStream(db, { source });
+      configured.open({}, () => {});
+
+      expect(configured.heartbeatMs).toBe(500);
+      expect(configured.full).toBe(true);
+      configured.close();
+    } finally {
+      process.env = originalEnv;
+    }
+  });
+});
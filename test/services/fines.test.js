@@ -0,0 +1,150 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Patron = require('../../src/models/patron');
+const LedgerEntry = require('../../src/models/ledgerEntry');
+const LoanPeriod = require('../../src/models/loanPeriod');
+const { checkoutBook, renewBook, returnBook } = require('../../src/services/checkout');
+const { chargeFee, recordCredit, finesBlockReason } = require('../../src/services/fines');
+const {
+  BookNotFoundError,
+  PatronNotFoundError,
+  PatronIneligibleError,
+  RenewalDeniedError,
+  LedgerConflictError,
+} = require('../../src/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('fines service', () => {
+  let db;
+  let book;
+  let patron;
+
+  const dueDaysAgo = days => db.prepare('UPDATE copies SET due_at = ? WHERE barcode = ?')
+    .run(new Date(Date.now() - days * DAY_MS).toISOString(), 'C-1');
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+    Copy.create(db, book.id, { barcode: 'C-1' });
+    patron = Patron.create(db, { name: 'Ada', email: 'ada@example.com', card_number: 'CARD-0001' });
+  });
+
+  afterEach(() => {
+    delete process.env.FINES_BLOCK_THRESHOLD_CENTS;
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('late fines on return', () => {
+    test('charges the per-day rate for every started day past the due date', () => {
+      checkoutBook(db, 'C-1', { patronId: patron.id });
+      dueDaysAgo(2.5);
+
+      returnBook(db, 'C-1');
+
+      const [entry] = LedgerEntry.findByPatronId(db, patron.id).entries;
+      expect(entry).toMatchObject({
+        type: 'late_fine', amount_cents: 75, book_id: book.id, reason: 'Returned 3 days late',
+      });
+    });
+
+    test('caps the fine at the item type maximum', () => {
+      LoanPeriod.upsert(db, 'book', { loanDays: 21, finePerDayCents: 50, maxFineCents: 200 });
+      checkoutBook(db, 'C-1', { patronId: patron.id });
+      dueDaysAgo(30);
+
+      returnBook(db, 'C-1');
+
+      expect(LedgerEntry.balance(db, patron.id)).toBe(200);
+    });
+
+    test('charges nothing for on-time returns, fine-free item types or anonymous loans', () => {
+      checkoutBook(db, 'C-1', { patronId: patron.id });
+      returnBook(db, 'C-1');
+
+      LoanPeriod.upsert(db, 'book', { loanDays: 21, finePerDayCents: 0 });
+      checkoutBook(db, 'C-1', { patronId: patron.id });
+      dueDaysAgo(3);
+      returnBook(db, 'C-1');
+
+      checkoutBook(db, 'C-1');
+      dueDaysAgo(3);
+      returnBook(db, 'C-1');
+
+      expect(LedgerEntry.findByPatronId(db, patron.id).total).toBe(0);
+    });
+  });
+
+  describe('borrowing block', () => {
+    test('blocks checkout once the balance is over the threshold', () => {
+      chargeFee(db, patron.id, { type: 'lost', amountCents: 1001 });
+
+      expect(finesBlockReason(db, patron.id)).toBe('Patron has unpaid fines over the borrowing limit');
+      expect(() => checkoutBook(db, 'C-1', { patronId: patron.id }))
+        .toThrow(new PatronIneligibleError('Patron has unpaid fines over the borrowing limit'));
+    });
+
+    test('blocks renewing a loan once the balance is over the threshold', () => {
+      checkoutBook(db, 'C-1', { patronId: patron.id });
+      chargeFee(db, patron.id, { type: 'damaged', amountCents: 1001 });
+
+      expect(() => renewBook(db, 'C-1'))
+        .toThrow(new RenewalDeniedError('Patron has unpaid fines over the borrowing limit', 'PATRON_INELIGIBLE'));
+      expect(Copy.findByBarcode(db, 'C-1').renewal_count).toBe(0);
+    });
+
+    test('allows a balance equal to the threshold and honours FINES_BLOCK_THRESHOLD_CENTS', () => {
+      chargeFee(db, patron.id, { type: 'lost', amountCents: 1000 });
+      expect(finesBlockReason(db, patron.id)).toBeNull();
+
+      process.env.FINES_BLOCK_THRESHOLD_CENTS = '0';
+      expect(finesBlockReason(db, patron.id)).not.toBeNull();
+    });
+  });
+
+  describe('chargeFee', () => {
+    test('records the fee against an optional book', () => {
+      const { entry, balance } = chargeFee(db, patron.id, {
+        type: 'damaged', amountCents: 450, bookId: book.id, reason: 'Water damage',
+      });
+
+      expect(entry).toMatchObject({ type: 'damaged', amount_cents: 450, book_id: book.id, reason: 'Water damage' });
+      expect(balance).toBe(450);
+    });
+
+    test('rejects unknown patrons and books', () => {
+      expect(() => chargeFee(db, 'missing', { type: 'lost', amountCents: 1 })).toThrow(PatronNotFoundError);
+      expect(() => chargeFee(db, patron.id, { type: 'lost', amountCents: 1, bookId: 'missing' }))
+        .toThrow(BookNotFoundError);
+    });
+  });
+
+  describe('recordCredit', () => {
+    test('stores payments and waivers as negative amounts', () => {
+      chargeFee(db, patron.id, { type: 'lost', amountCents: 1000 });
+
+      const payment = recordCredit(db, patron.id, { type: 'payment', amountCents: 600 });
+      const waiver = recordCredit(db, patron.id, { type: 'waiver', amountCents: 400, reason: 'Goodwill' });
+
+      expect(payment.entry.amount_cents).toBe(-600);
+      expect(payment.balance).toBe(400);
+      expect(waiver.entry).toMatchObject({ type: 'waiver', amount_cents: -400, reason: 'Goodwill' });
+      expect(waiver.balance).toBe(0);
+    });
+
+    test('refuses credits larger than the balance', () => {
+      chargeFee(db, patron.id, { type: 'processing', amountCents: 100 });
+
+      expect(() => recordCredit(db, patron.id, { type: 'payment', amountCents: 101 }))
+        .toThrow(new LedgerConflictError('Payment exceeds the outstanding balance'));
+      expect(() => recordCredit(db, patron.id, { type: 'waiver', amountCents: 101, reason: 'x' }))
+        .toThrow(new LedgerConflictError('Waiver exceeds the outstanding balance'));
+      expect(() => recordCredit(db, 'missing', { type: 'payment', amountCents: 1 })).toThrow(PatronNotFoundError);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Patron = require('../../src/models/patron');
+const Hold = require('../../src/models/hold');
+const Outbox = require('../../src/models/outbox');
+const { checkoutBook, renewBook, returnBook } = require('../../src/services/checkout');
+const { placeHold, cancelHold, expireHolds } = require('../../src/services/holds');
+const { addCopy } = require('../../src/services/copies');
+const {
+  BookNotFoundError,
+  BookUnavailableError,
+  PatronNotFoundError,
+  PatronIneligibleError,
+  HoldNotFoundError,
+  HoldConflictError,
+  RenewalDeniedError,
+} = require('../../src/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('holds service', () => {
+  let db;
+  let book;
+  let copy;
+  let borrower;
+  let alice;
+  let bob;
+
+  const makePatron = (name, card) => Patron.create(db, { name, email: `${card}@example.com`, card_number: card });
+  const bookStatus = () => Book.findById(db, book.id).status;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+    copy = Copy.create(db, book.id, { barcode: 'C-1' });
+    borrower = makePatron('Borrower', 'CARD-0000');
+    alice = makePatron('Alice', 'CARD-0001');
+    bob = makePatron('Bob', 'CARD-0002');
+    checkoutBook(db, 'C-1', { patronId: borrower.id });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('placeHold', () => {
+    test('queues patrons in FIFO order', () => {
+      const first = placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+      const second = placeHold(db, book.id, { cardNumber: 'CARD-0002' });
+
+      expect(first).toMatchObject({ patron_id: alice.id, status: 'waiting', position: 1 });
+      expect(second).toMatchObject({ patron_id: bob.id, status: 'waiting', position: 2 });
+    });
+
+    test('rejects holds on books with a copy on the shelf, by the borrower, and duplicates', () => {
+      placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+
+      expect(() => placeHold(db, book.id, { cardNumber: 'CARD-0001' }))
+        .toThrow(new HoldConflictError('Patron already has a hold on this book'));
+      expect(() => placeHold(db, book.id, { cardNumber: 'CARD-0000' }))
+        .toThrow(new HoldConflictError('Patron already has this book on loan'));
+
+      const other = Book.create(db, { title: 'U', author: 'A', isbn: '978-0-7432-7356-5', published_year: 2020 });
+      Copy.create(db, other.id, { barcode: 'C-2' });
+      expect(() => placeHold(db, other.id, { cardNumber: 'CARD-0001' }))
+        .toThrow(new HoldConflictError('A copy is available; check it out instead'));
+    });
+
+    test('rejects unknown books, unknown cards and ineligible patrons', () => {
+      Patron.update(db, bob.id, { status: 'suspended' });
+
+      expect(() => placeHold(db, 'missing', { cardNumber: 'CARD-0001' })).toThrow(BookNotFoundError);
+      expect(() => placeHold(db, book.id, { cardNumber: 'CARD-9999' })).toThrow(PatronNotFoundError);
+      expect(() => placeHold(db, book.id, { cardNumber: 'CARD-0002' })).toThrow(PatronIneligibleError);
+    });
+  });
+
+  describe('returnBook with holds', () => {
+    test('shelves the copy for the head of the queue with a pickup window', () => {
+      const hold = placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+      placeHold(db, book.id, { cardNumber: 'CARD-0002' });
+
+      const returned = returnBook(db, 'C-1');
+
+      expect(returned.status).toBe('on_hold_shelf');
+      const ready = Hold.findById(db, hold.id);
+      expect(ready).toMatchObject({ status: 'ready', copy_id: copy.id });
+      expect(new Date(ready.pickup_expires_at) - new Date(ready.ready_at)).toBe(7 * DAY_MS);
+    });
+
+    test('honours HOLD_PICKUP_DAYS', () => {
+      process.env.HOLD_PICKUP_DAYS = '3';
+      try {
+        const hold = placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+        returnBook(db, 'C-1');
+
+        const ready = Hold.findById(db, hold.id);
+        expect(new Date(ready.pickup_expires_at) - new Date(ready.ready_at)).toBe(3 * DAY_MS);
+      } finally {
+        delete process.env.HOLD_PICKUP_DAYS;
+      }
+    });
+  });
+
+  describe('checkoutBook with holds', () => {
+    test('only the patron at the head of the queue can check out a shelved copy', () => {
+      const hold = placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+      placeHold(db, book.id, { cardNumber: 'CARD-0002' });
+      returnBook(db, 'C-1');
+
+      expect(() => checkoutBook(db, 'C-1', { patronId: bob.id }))
+        .toThrow(new BookUnavailableError('Copy is on the hold shelf for another patron'));
+      expect(() => checkoutBook(db, 'C-1')).toThrow(BookUnavailableError);
+
+      const loan = checkoutBook(db, 'C-1', { patronId: alice.id });
+      expect(loan).toMatchObject({ status: 'checked_out', patron_id: alice.id });
+      expect(Hold.findById(db, hold.id).status).toBe('fulfilled');
+      expect(Hold.findQueue(db, book.id).map(h => h.patron_id)).toEqual([bob.id]);
+    });
+  });
+
+  describe('addCopy with holds', () => {
+    test('a new copy of a book with waiting holds goes straight to the hold shelf', () => {
+      const hold = placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+
+      const added = addCopy(db, book.id, { barcode: 'C-2' });
+
+      expect(added.status).toBe('on_hold_shelf');
+      expect(Hold.findById(db, hold.id)).toMatchObject({ status: 'ready', copy_id: added.id });
+      expect(() => checkoutBook(db, 'C-2', { patronId: bob.id })).toThrow(BookUnavailableError);
+      expect(checkoutBook(db, 'C-2', { patronId: alice.id }).patron_id).toBe(alice.id);
+    });
+  });
+
+  describe('renewBook with holds', () => {
+    test('denies renewal while patrons are waiting', () => {
+      placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+
+      expect(() => renewBook(db, 'C-1')).toThrow(RenewalDeniedError);
+      try {
+        renewBook(db, 'C-1');
+      } catch (err) {
+        expect(err.reason).toBe('HOLDS_PENDING');
+      }
+    });
+  });
+
+  describe('cancelHold', () => {
+    test('cancelling a waiting hold moves the rest of the queue up', () => {
+      const first = placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+      placeHold(db, book.id, { cardNumber: 'CARD-0002' });
+
+      expect(cancelHold(db, book.id, first.id).status).toBe('cancelled');
+      expect(Hold.findQueue(db, book.id)).toEqual([expect.objectContaining({ patron_id: bob.id, position: 1 })]);
+      expect(bookStatus()).toBe('checked_out');
+    });
+
+    test('cancelling the ready hold passes the book to the next patron', () => {
+      const first = placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+      const second = placeHold(db, book.id, { cardNumber: 'CARD-0002' });
+      returnBook(db, 'C-1');
+
+      cancelHold(db, book.id, first.id);
+
+      expect(Hold.findById(db, second.id).status).toBe('ready');
+      expect(bookStatus()).toBe('on_hold_shelf');
+
+      cancelHold(db, book.id, second.id);
+      expect(bookStatus()).toBe('available');
+    });
+
+    test('throws HoldNotFoundError for unknown, closed or mismatched holds', () => {
+      const hold = placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+      cancelHold(db, book.id, hold.id);
+
+      expect(() => cancelHold(db, book.id, hold.id)).toThrow(HoldNotFoundError);
+      expect(() => cancelHold(db, book.id, 'missing')).toThrow(HoldNotFoundError);
+      const other = placeHold(db, book.id, { cardNumber: 'CARD-0002' });
+      expect(() => cancelHold(db, 'another-book', other.id)).toThrow(HoldNotFoundError);
+    });
+  });
+
+  describe('expireHolds', () => {
+    test('expires uncollected holds and shelves the book for the next patron', () => {
+      const first = placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+      const second = placeHold(db, book.id, { cardNumber: 'CARD-0002' });
+      returnBook(db, 'C-1');
+
+      expect(expireHolds(db, { now: new Date(Date.now() + 6 * DAY_MS) })).toBe(0);
+      expect(expireHolds(db, { now: new Date(Date.now() + 8 * DAY_MS) })).toBe(1);
+
+      expect(Hold.findById(db, first.id).status).toBe('expired');
+      expect(Hold.findById(db, second.id).status).toBe('ready');
+      expect(bookStatus()).toBe('on_hold_shelf');
+    });
+
+    test('makes the book available when the last hold expires', () => {
+      placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+      returnBook(db, 'C-1');
+
+      expireHolds(db, { now: new Date(Date.now() + 8 * DAY_MS), bookId: book.id });
+
+      expect(bookStatus()).toBe('available');
+    });
+  });
+
+  describe('hold events', () => {
+    const holdEvents = () => Outbox.findAfter(db).filter(event => event.aggregate_type === 'hold');
+
+    test('placing, shelving, cancelling and expiring holds are recorded in the outbox', () => {
+      const first = placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+      const second = placeHold(db, book.id, { cardNumber: 'CARD-0002' });
+      returnBook(db, 'C-1');
+      cancelHold(db, book.id, first.id);
+      expireHolds(db, { now: new Date(Date.now() + 30 * DAY_MS) });
+
+      expect(holdEvents().map(event => [event.type, event.aggregate_id])).toEqual([
+        ['hold.placed', first.id],
+        ['hold.placed', second.id],
+        ['hold.ready', first.id],
+        ['hold.cancelled', first.id],
+        ['hold.ready', second.id],
+        ['hold.expired', second.id],
+      ]);
+      expect(holdEvents()[2].data).toEqual({
+        book: { id: book.id, title: 'T', author: 'A', isbn: '978-3-16-148410-0' },
+        hold: expect.objectContaining({ id: first.id, status: 'ready', copy_id: copy.id }),
+      });
+    });
+
+    test('an event for a deleted book has no book', () => {
+      const hold = placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+      db.prepare("UPDATE books SET deleted_at = '2024-01-01T00:00:00.000Z' WHERE id = ?").run(book.id);
+
+      cancelHold(db, book.id, hold.id);
+
+      expect(holdEvents()[1].data.book).toBeNull();
+    });
+
+    test('a refused hold records no event', () => {
+      placeHold(db, book.id, { cardNumber: 'CARD-0001' });
+
+      expect(() => placeHold(db, book.id, { cardNumber: 'CARD-0001' })).toThrow(HoldConflictError);
+      expect(holdEvents()).toHaveLength(1);
+    });
+  });
+});
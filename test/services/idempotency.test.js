@@ -0,0 +1,142 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const { fingerprint, runIdempotent, purgeExpiredKeys } = require('../../src/services/idempotency');
+const { IdempotencyKeyReusedError, IsbnConflictError } = require('../../src/errors');
+
+const NOW = new Date('2026-03-02T10:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+const newBook = { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2023 };
+
+function keyFor(body, key = 'k1') {
+  return { scope: 'api_key:a', key, fingerprint: fingerprint({ method: 'POST', path: '/books', body }) };
+}
+
+describe('idempotency service', () => {
+  let db;
+  let perform;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    perform = jest.fn(() => ({ status: 201, body: Book.create(db, newBook) }));
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  function countBooks() {
+    return db.prepare('SELECT COUNT(*) AS n FROM books').get().n;
+  }
+
+  describe('fingerprint(request)', () => {
+    test('ignores the order of object members', () => {
+      expect(fingerprint({ method: 'post', path: '/books', body: { a: 1, b: { c: [1, { d: 2, e: 3 }] } } }))
+        .toBe(fingerprint({ method: 'POST', path: '/books', body: { b: { c: [1, { e: 3, d: 2 }] }, a: 1 } }));
+    });
+
+    test('differs by method, path and body', () => {
+      const base = fingerprint({ method: 'POST', path: '/books', body: { a: 1 } });
+
+      expect(fingerprint({ method: 'PUT', path: '/books', body: { a: 1 } })).not.toBe(base);
+      expect(fingerprint({ method: 'POST', path: '/copies', body: { a: 1 } })).not.toBe(base);
+      expect(fingerprint({ method: 'POST', path: '/books', body: { a: 2 } })).not.toBe(base);
+      expect(fingerprint({ method: 'POST', path: '/books' })).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('runIdempotent(db, request, perform, options)', () => {
+    test('just performs the request when there is no key', () => {
+      const count = jest.fn(() => ({ status: 200, body: { n: count.mock.calls.length } }));
+
+      runIdempotent(db, undefined, count);
+      const result = runIdempotent(db, undefined, count);
+
+      expect(result).toEqual({ status: 200, body: { n: 2 }, replayed: false });
+      expect(db.prepare('SELECT COUNT(*) AS n FROM idempotency_keys').get().n).toBe(0);
+    });
+
+    test('replays the stored response to a retry without performing it again', () => {
+      const first = runIdempotent(db, keyFor(newBook), perform, { now: NOW });
+      const retry = runIdempotent(db, keyFor(newBook), perform, { now: new Date(NOW.getTime() + HOUR_MS) });
+
+      expect(first).toMatchObject({ status: 201, replayed: false });
+      expect(retry).toEqual({ status: 201, body: first.body, replayed: true });
+      expect(perform).toHaveBeenCalledTimes(1);
+      expect(countBooks()).toBe(1);
+    });
+
+    test('throws IdempotencyKeyReusedError for the same key with a different request', () => {
+      runIdempotent(db, keyFor(newBook), perform, { now: NOW });
+
+      expect(() => runIdempotent(db, keyFor({ ...newBook, title: 'Other' }), perform, { now: NOW }))
+        .toThrow(IdempotencyKeyReusedError);
+      expect(perform).toHaveBeenCalledTimes(1);
+    });
+
+    test('performs the request again once the key has expired', () => {
+      runIdempotent(db, keyFor(newBook), perform, { now: NOW, ttlMs: HOUR_MS });
+      db.prepare('DELETE FROM books').run();
+
+      const result = runIdempotent(db, keyFor(newBook), perform, { now: new Date(NOW.getTime() + HOUR_MS), ttlMs: HOUR_MS });
+
+      expect(result.replayed).toBe(false);
+      expect(perform).toHaveBeenCalledTimes(2);
+    });
+
+    test('defaults the time to live to IDEMPOTENCY_TTL_MS', () => {
+      process.env.IDEMPOTENCY_TTL_MS = String(HOUR_MS);
+      try {
+        runIdempotent(db, keyFor(newBook), perform, { now: NOW });
+      } finally {
+        delete process.env.IDEMPOTENCY_TTL_MS;
+      }
+
+      expect(db.prepare('SELECT expires_at FROM idempotency_keys').get().expires_at)
+        .toBe(new Date(NOW.getTime() + HOUR_MS).toISOString());
+    });
+
+    test('stores nothing when the request fails, so it can be retried with the same key', () => {
+      Book.create(db, newBook);
+      const create = () => {
+        try {
+          return { status: 201, body: Book.create(db, newBook) };
+        } catch {
+          throw new IsbnConflictError();
+        }
+      };
+
+      expect(() => runIdempotent(db, keyFor(newBook), create, { now: NOW })).toThrow(IsbnConflictError);
+      expect(db.prepare('SELECT COUNT(*) AS n FROM idempotency_keys').get().n).toBe(0);
+
+      db.prepare('DELETE FROM books').run();
+      expect(runIdempotent(db, keyFor(newBook), create, { now: NOW }).status).toBe(201);
+    });
+
+    test('rolls back the change when the response cannot be stored', () => {
+      const circular = () => {
+        const body = {};
+        body.self = body;
+        Book.create(db, newBook);
+        return { status: 201, body };
+      };
+
+      expect(() => runIdempotent(db, keyFor(newBook), circular, { now: NOW })).toThrow(TypeError);
+      expect(countBooks()).toBe(0);
+    });
+  });
+
+  describe('purgeExpiredKeys(db, options)', () => {
+    test('deletes keys past their expiry', () => {
+      runIdempotent(db, keyFor(newBook), perform, { now: NOW, ttlMs: HOUR_MS });
+
+      expect(purgeExpiredKeys(db, { now: NOW })).toBe(0);
+      expect(purgeExpiredKeys(db, { now: new Date(NOW.getTime() + HOUR_MS) })).toBe(1);
+      expect(purgeExpiredKeys(db)).toBe(0);
+    });
+  });
+});
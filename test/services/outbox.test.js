@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const Book = require('../../src/models/book');
+const Outbox = require('../../src/models/outbox');
+const Webhook = require('../../src/models/webhook');
+const WebhookDelivery = require('../../src/models/webhookDelivery');
+const {
+  domainEvents,
+  webhookSink,
+  logSink,
+  emitterSink,
+  fileSink,
+  configuredSinks,
+  dispatch,
+} = require('../../src/services/outbox');
+const { deleteBook, restoreBook, purgeDeletedBooks } = require('../../src/services/trash');
+
+describe('Outbox service', () => {
+  let db;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  function append(type = 'book.created', data = {}) {
+    return Outbox.append(db, { type, aggregateType: 'book', aggregateId: 'b1', data });
+  }
+
+  function recordingSink(name = 'recorder') {
+    const seen = [];
+    return { name, seen, handle: (sinkDb, event) => { seen.push(event.seq); } };
+  }
+
+  describe('dispatch', () => {
+    test('hands each sink the events it has not handled, in order', async () => {
+      const sink = recordingSink();
+      append();
+      append();
+
+      expect(await dispatch(db, [sink])).toEqual([{ sink: 'recorder', dispatched: 2 }]);
+      append();
+      expect(await dispatch(db, [sink])).toEqual([{ sink: 'recorder', dispatched: 1 }]);
+
+      expect(sink.seen).toEqual([1, 2, 3]);
+      expect(Outbox.cursor(db, 'recorder')).toBe(3);
+    });
+
+    test('respects the limit', async () => {
+      const sink = recordingSink();
+      append();
+      append();
+      append();
+
+      await dispatch(db, [sink], { limit: 2 });
+
+      expect(sink.seen).toEqual([1, 2]);
+    });
+
+    test('a failing sink stops at the failed event, retries it next time and does not hold up the others', async () => {
+      const healthy = recordingSink('healthy');
+      const error = new Error('disk full');
+      const flaky = {
+        name: 'flaky',
+        seen: [],
+        handle: jest.fn(async (sinkDb, event) => {
+          if (event.seq === 2 && flaky.handle.mock.calls.length === 2) {
+            throw error;
+          }
+          flaky.seen.push(event.seq);
+        }),
+      };
+      append();
+      append();
+      append();
+
+      expect(await dispatch(db, [flaky, healthy])).toEqual([
+        { sink: 'flaky', dispatched: 1, error },
+        { sink: 'healthy', dispatched: 3 },
+      ]);
+      expect(Outbox.cursor(db, 'flaky')).toBe(1);
+
+      expect(await dispatch(db, [flaky, healthy])).toEqual([
+        { sink: 'flaky', dispatched: 2 },
+        { sink: 'healthy', dispatched: 0 },
+      ]);
+      expect(flaky.seen).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('sinks', () => {
+    test('webhooks queues each event once per subscriber under its outbox id', async () => {
+      const webhook = Webhook.create(db, { url: 'https://example.com/hook', events: ['book.created'], secret: 's' });
+      const event = append('book.created', { book: { id: 'b1' } });
+      const sink = webhookSink();
+
+      await sink.handle(db, event);
+      await sink.handle(db, event);
+
+      const { deliveries, total } = WebhookDelivery.findByWebhookId(db, webhook.id);
+      expect(total).toBe(1);
+      expect(deliveries[0].payload).toEqual({
+        id: event.id,
+        type: 'book.created',
+        created_at: event.created_at,
+        data: { book: { id: 'b1' } },
+      });
+    });
+
+    test('webhooks tells subscribers when a book is deleted, restored or purged', async () => {
+      const webhook = Webhook.create(db, {
+        url: 'https://example.com/hook', events: ['book.deleted', 'book.restored', 'book.purged'], secret: 's',
+      });
+      const book = Book.create(db, { title: 'T', author: 'A', isbn: '978-3-16-148410-0', published_year: 2020 });
+      deleteBook(db, book.id);
+      restoreBook(db, book.id);
+      deleteBook(db, book.id);
+      purgeDeletedBooks(db, { retentionDays: 0, now: new Date(Date.now() + 1000) });
+
+      await dispatch(db, [webhookSink()]);
+
+      const { deliveries } = WebhookDelivery.findByWebhookId(db, webhook.id);
+      expect(deliveries.map(d => d.event_type).sort()).toEqual(['book.deleted', 'book.deleted', 'book.purged', 'book.restored']);
+      expect(deliveries.every(d => d.payload.data.book.id === book.id)).toBe(true);
+    });
+
+    test('log writes the event to the logger', () => {
+      const log = { info: jest.fn() };
+      const event = append();
+
+      logSink(log).handle(db, event);
+
+      expect(log.info).toHaveBeenCalledWith({ event }, 'Domain event');
+    });
+
+    test('emitter emits the event under its type and as `event`', () => {
+      const emitter = new EventEmitter();
+      const byType = jest.fn();
+      const all = jest.fn();
+      emitter.on('book.created', byType);
+      emitter.on('event', all);
+      const event = append();
+
+      emitterSink(emitter).handle(db, event);
+
+      expect(byType).toHaveBeenCalledWith(event);
+      expect(all).toHaveBeenCalledWith(event);
+    });
+
+    test('emitter keeps its place in memory, so every process emits every event', async () => {
+      append();
+      const one = { emitter: new EventEmitter(), seen: [] };
+      const other = { emitter: new EventEmitter(), seen: [] };
+      for (const process of [one, other]) {
+        process.emitter.on('event', event => process.seen.push(event.seq));
+        process.sink = emitterSink(process.emitter);
+      }
+      await dispatch(db, [one.sink]);
+      append();
+      append();
+
+      await dispatch(db, [one.sink]);
+      await dispatch(db, [other.sink]);
+
+      expect(one.seen).toEqual([2, 3]);
+      expect(other.seen).toEqual([]);
+      append();
+      await dispatch(db, [other.sink, one.sink]);
+      expect(one.seen).toEqual([2, 3, 4]);
+      expect(other.seen).toEqual([4]);
+      expect(Outbox.cursor(db, 'emitter')).toBe(0);
+    });
+
+    test('emitter uses the shared domainEvents emitter by default', () => {
+      const listener = jest.fn();
+      domainEvents.on('event', listener);
+      try {
+        emitterSink().handle(db, append());
+        expect(listener).toHaveBeenCalledTimes(1);
+      } finally {
+        domainEvents.off('event', listener);
+      }
+    });
+
+    test('file appends one JSON line per event', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+      const file = path.join(dir, 'events.ndjson');
+      try {
+        const sink = fileSink(file);
+        const first = append();
+        const second = append('book.updated');
+
+        await sink.handle(db, first);
+        await sink.handle(db, second);
+
+        const lines = fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+        expect(lines).toEqual([first, second]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('configuredSinks', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    test('defaults to the webhooks and emitter sinks', () => {
+      delete process.env.OUTBOX_SINKS;
+
+      expect(configuredSinks().map(sink => sink.name)).toEqual(['webhooks', 'emitter']);
+    });
+
+    test('reads a comma-separated list from OUTBOX_SINKS', () => {
+      process.env.OUTBOX_SINKS = 'webhooks, log,emitter,file';
+      process.env.OUTBOX_FILE = '/tmp/events.ndjson';
+
+      expect(configuredSinks().map(sink => sink.name)).toEqual(['webhooks', 'log', 'emitter', 'file']);
+    });
+
+    test('rejects unknown sinks and a file sink without a file', () => {
+      expect(() => configuredSinks({ sinks: 'kafka' })).toThrow('Unknown outbox sink: kafka');
+      expect(() => configuredSinks({ sinks: 'file', file: '' })).toThrow('OUTBOX_FILE must be set to use the file sink');
+    });
+  });
+});
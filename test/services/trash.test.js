@@ -0,0 +1,162 @@
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const AuditLog = require('../../src/models/auditLog');
+const Book = require('../../src/models/book');
+const Copy = require('../../src/models/copy');
+const Outbox = require('../../src/models/outbox');
+const { checkoutBook, returnBook } = require('../../src/services/checkout');
+const { deleteBook, restoreBook, purgeDeletedBooks } = require('../../src/services/trash');
+const { BookNotFoundError, BookUnavailableError, PreconditionFailedError } = require('../../src/errors');
+
+describe('trash service', () => {
+  let db;
+  let seededBook;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+    seededBook = Book.create(db, {
+      title: 'Test Book',
+      author: 'Test Author',
+      isbn: '978-3-16-148410-0',
+      published_year: 2023,
+    });
+    Copy.create(db, seededBook.id, { barcode: 'C-1' });
+  });
+
+  afterEach(() => {
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('deleteBook(db, id)', () => {
+    test('sets deleted_at and hides the book from Book.findById', () => {
+      const deleted = deleteBook(db, seededBook.id);
+
+      expect(deleted.deleted_at).not.toBeNull();
+      expect(Book.findById(db, seededBook.id)).toBeNull();
+    });
+
+    test('throws BookUnavailableError for a book with a checked-out copy', () => {
+      checkoutBook(db, 'C-1');
+
+      expect(() => deleteBook(db, seededBook.id)).toThrow(BookUnavailableError);
+    });
+
+    test('throws BookUnavailableError for a book with a copy on the hold shelf', () => {
+      Copy.create(db, seededBook.id, { barcode: 'C-2' });
+      db.prepare("UPDATE copies SET status = 'on_hold_shelf' WHERE barcode = 'C-2'").run();
+
+      expect(() => deleteBook(db, seededBook.id))
+        .toThrow(new BookUnavailableError('Cannot delete a book while a copy is on the hold shelf'));
+    });
+
+    test('throws BookNotFoundError for a missing book', () => {
+      expect(() => deleteBook(db, 'non-existent-uuid')).toThrow(BookNotFoundError);
+    });
+
+    test('throws PreconditionFailedError and keeps the book when If-Match is stale', () => {
+      const { version } = Book.findById(db, seededBook.id);
+
+      expect(() => deleteBook(db, seededBook.id, { ifMatch: [`"${version - 1}"`] })).toThrow(PreconditionFailedError);
+      expect(Book.findById(db, seededBook.id)).not.toBeNull();
+      expect(deleteBook(db, seededBook.id, { ifMatch: [`"${version}"`] }).deleted_at).not.toBeNull();
+    });
+  });
+
+  describe('restoreBook(db, id)', () => {
+    test('clears deleted_at', () => {
+      deleteBook(db, seededBook.id);
+
+      const restored = restoreBook(db, seededBook.id);
+
+      expect(restored.deleted_at).toBeNull();
+      expect(Book.findById(db, seededBook.id)).not.toBeNull();
+    });
+
+    test('throws BookNotFoundError when the book is not deleted', () => {
+      expect(() => restoreBook(db, seededBook.id)).toThrow('Book not found in trash');
+    });
+  });
+
+  describe('purgeDeletedBooks(db, options)', () => {
+    test('hard-deletes books past the retention window together with their history', () => {
+      checkoutBook(db, 'C-1');
+      returnBook(db, 'C-1');
+      deleteBook(db, seededBook.id);
+      db.prepare("UPDATE books SET deleted_at = '2020-01-01T00:00:00.000Z' WHERE id = ?").run(seededBook.id);
+
+      const purged = purgeDeletedBooks(db, { retentionDays: 30 });
+
+      expect(purged).toBe(1);
+      expect(db.prepare('SELECT * FROM books WHERE id = ?').get(seededBook.id)).toBeUndefined();
+      expect(db.prepare('SELECT * FROM checkout_history WHERE book_id = ?').all(seededBook.id)).toHaveLength(0);
+      expect(Copy.findByBookId(db, seededBook.id)).toEqual([]);
+    });
+
+    test('keeps recently deleted and live books', () => {
+      const live = Book.create(db, { title: 'Live', author: 'A', isbn: '978-0-7432-7356-5', published_year: 2000 });
+      deleteBook(db, seededBook.id);
+
+      const purged = purgeDeletedBooks(db, { retentionDays: 30 });
+
+      expect(purged).toBe(0);
+      expect(db.prepare('SELECT COUNT(*) AS n FROM books').get().n).toBe(2);
+      expect(Book.findById(db, live.id)).not.toBeNull();
+    });
+
+    test('honours the injected reference time', () => {
+      deleteBook(db, seededBook.id);
+      const future = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+
+      expect(purgeDeletedBooks(db, { retentionDays: 30, now: future })).toBe(1);
+    });
+  });
+
+  test('deleting, restoring and purging are recorded in the audit log', () => {
+    const audit = { actor: { type: 'user', id: 'u1', name: 'jsmith' }, requestId: 'r1' };
+
+    const deleted = deleteBook(db, seededBook.id, { audit });
+    restoreBook(db, seededBook.id, { audit });
+    const deletedAgain = deleteBook(db, seededBook.id);
+    purgeDeletedBooks(db, { retentionDays: 0, now: new Date(Date.now() + 1000) });
+
+    const { entries } = AuditLog.findAll(db, { entityType: 'book', entityId: seededBook.id });
+    expect(entries.map(e => [e.action, e.actor_type])).toEqual([
+      ['book.purged', 'system'],
+      ['book.deleted', 'system'],
+      ['book.restored', 'user'],
+      ['book.deleted', 'user'],
+      ['book.created', 'system'],
+    ]);
+    expect(entries[3]).toMatchObject({ before: { deleted_at: null }, after: { deleted_at: deleted.deleted_at }, request_id: 'r1' });
+    expect(entries[2]).toMatchObject({ before: { deleted_at: deleted.deleted_at }, after: { deleted_at: null } });
+    expect(entries[0]).toMatchObject({ before: deletedAgain, after: null });
+    expect(AuditLog.verify(db).valid).toBe(true);
+  });
+
+  test('deleting, restoring and purging each record an event with the book in the outbox', () => {
+    const deleted = deleteBook(db, seededBook.id);
+    const restored = restoreBook(db, seededBook.id);
+    deleteBook(db, seededBook.id);
+    const purgedBook = db.prepare('SELECT * FROM books WHERE id = ?').get(seededBook.id);
+    purgeDeletedBooks(db, { retentionDays: 0, now: new Date(Date.now() + 1000) });
+
+    const events = Outbox.findAfter(db).filter(e => e.type !== 'book.created');
+    expect(events.map(e => e.type)).toEqual(['book.deleted', 'book.restored', 'book.deleted', 'book.purged']);
+    expect(events.every(e => e.aggregate_type === 'book' && e.aggregate_id === seededBook.id)).toBe(true);
+    expect(events[0].data).toEqual({ book: deleted });
+    expect(events[1].data).toEqual({ book: restored });
+    expect(events[3].data).toEqual({ book: purgedBook });
+  });
+
+  test('a refused delete is not recorded', () => {
+    checkoutBook(db, 'C-1');
+
+    expect(() => deleteBook(db, seededBook.id)).toThrow(BookUnavailableError);
+    expect(Outbox.findAfter(db, { type: 'book.deleted' })).toEqual([]);
+    const { entries } = AuditLog.findAll(db, { entityType: 'book', entityId: seededBook.id });
+    expect(entries.map(e => e.action)).toEqual(['book.created']);
+  });
+});
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const http = require('http');
+const { getDatabase } = require('../../src/db/connection');
+const { migrate } = require('../../src/db/migrate');
+const AuditLog = require('../../src/models/auditLog');
+const Webhook = require('../../src/models/webhook');
+const WebhookDelivery = require('../../src/models/webhookDelivery');
+const { WebhookNotFoundError, WebhookDeliveryNotFoundError } = require('../../src/errors');
+const {
+  signPayload,
+  retryDelayMs,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliver,
+  deliverDue,
+} = require('../../src/services/webhooks');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+// A receiver on a local port that answers each request with the next status
+// in `statuses` (the last one repeats) and keeps what it was sent.
+function startReceiver(statuses) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(received.length, statuses.length) - 1];
+      res.end(res.statusCode >= 300 ? 'receiver says no' : '');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+describe('Webhooks service', () => {
+  let db;
+  let receiver;
+
+  beforeEach(() => {
+    db = getDatabase(':memory:');
+    migrate(db);
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    if (receiver) {
+      await receiver.close();
+      receiver = null;
+    }
+    if (db && db.open) {
+      db.close();
+    }
+  });
+
+  describe('signPayload', () => {
+    test('is the HMAC-SHA256 of the timestamp and body', () => {
+      const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+
+      expect(signPayload('secret', 1700000000, '{"a":1}')).toBe(`sha256=${expected}`);
+    });
+  });
+
+  describe('retryDelayMs', () => {
+    test('doubles the base delay after every failure', () => {
+      expect([1, 2, 3, 4].map(attempts => retryDelayMs(attempts, 1000))).toEqual([1000, 2000, 4000, 8000]);
+    });
+  });
+
+  describe('createWebhook', () => {
+    test('generates a secret when none is given and returns it once', () => {
+      const webhook = createWebhook(db, { url: 'https://example.com/hook', events: ['book.created'] });
+
+      expect(webhook.secret).toMatch(/^whsec_[\w-]{32}$/);
+      expect(Webhook.findById(db, webhook.id)).not.toHaveProperty('secret');
+    });
+
+    test('keeps a secret that is given', () => {
+      const webhook = createWebhook(db, { url: 'https://example.com/hook', events: ['book.created'], secret: 'my-own-secret-value' });
+
+      expect(webhook.secret).toBe('my-own-secret-value');
+    });
+  });
+
+  describe('managing subscriptions', () => {
+    test('update, delete and list deliveries throw WebhookNotFoundError for unknown subscriptions', () => {
+      expect(() => updateWebhook(db, MISSING_ID, { enabled: false })).toThrow(WebhookNotFoundError);
+      expect(() => deleteWebhook(db, MISSING_ID)).toThrow(WebhookNotFoundError);
+      expect(() => listDeliveries(db, MISSING_ID)).toThrow(WebhookNotFoundError);
+      expect(() => redeliver(db, MISSING_ID, MISSING_ID)).toThrow(WebhookNotFoundError);
+    });
+
+    test('updateWebhook and deleteWebhook change existing subscriptions', () => {
+      const webhook = createWebhook(db, { url: 'https://example.com/hook', events: ['book.created'] });
+
+      expect(updateWebhook(db, webhook.id, { enabled: false }).disabled_at).not.toBeNull();
+      deleteWebhook(db, webhook.id);
+      expect(Webhook.findById(db, webhook.id)).toBeUndefined();
+    });
+
+    test('redeliver only accepts deliveries of the subscription', () => {
+      const webhook = createWebhook(db, { url: 'https://example.com/hook', events: ['book.created'] });
+      const other = createWebhook(db, { url: 'https://example.org/hook', events: ['book.created'] });
+      WebhookDelivery.enqueue(db, 'book.created', {});
+      const [delivery] = listDeliveries(db, webhook.id).deliveries;
+
+      expect(() => redeliver(db, other.id, delivery.id)).toThrow(WebhookDeliveryNotFoundError);
+      expect(() => redeliver(db, webhook.id, MISSING_ID)).toThrow(WebhookDeliveryNotFoundError);
+
+      const copy = redeliver(db, webhook.id, delivery.id);
+      expect(copy.event_id).toBe(delivery.event_id);
+      expect(listDeliveries(db, webhook.id).total).toBe(2);
+    });
+  });
+
+  test('subscription changes and redeliveries are recorded in the audit log without the secret', () => {
+    const audit = { actor: { type: 'user', id: 'u1', name: 'admin' } };
+    const webhook = createWebhook(db, { url: 'https://example.com/hook', events: ['book.created'] }, { audit });
+    WebhookDelivery.enqueue(db, 'book.created', {});
+    const [delivery] = listDeliveries(db, webhook.id).deliveries;
+    const copy = redeliver(db, webhook.id, delivery.id, { audit });
+    updateWebhook(db, webhook.id, { events: ['book.created'], enabled: false }, { audit });
+    deleteWebhook(db, webhook.id, { audit });
+
+    const { entries } = AuditLog.findAll(db, { entityType: 'webhook', entityId: webhook.id });
+    expect(entries.map(e => e.action)).toEqual(['webhook.deleted', 'webhook.updated', 'webhook.redelivered', 'webhook.created']);
+    expect(entries.every(e => e.actor_id === 'u1')).toBe(true);
+    expect(entries[1]).toEqual(expect.objectContaining({ before: { disabled_at: null }, after: { disabled_at: expect.any(String) } }));
+    expect(entries[2].after).toEqual({ delivery_id: copy.id, event_id: delivery.event_id, redelivery_of: delivery.id });
+    expect(entries[0].before).toMatchObject({ id: webhook.id, url: 'https://example.com/hook' });
+    expect(JSON.stringify(entries)).not.toContain(webhook.secret);
+  });
+
+  describe('deliverDue', () => {
+    async function subscribe(statuses) {
+      receiver = await startReceiver(statuses);
+      return createWebhook(db, { url: receiver.url, events: ['book.created'], secret: 'whsec_test' });
+    }
+
+    test('POSTs the signed payload and marks the delivery succeeded', async () => {
+      const webhook = await subscribe([204]);
+      WebhookDelivery.enqueue(db, 'book.created', { book: { id: 'b1' } });
+      const now = new Date();
+
+      expect(await deliverDue(db, { now })).toEqual({ succeeded: 1, failed: 0 });
+
+      const [delivery] = listDeliveries(db, webhook.id).deliveries;
+      const [{ headers, body }] = receiver.received;
+      expect(JSON.parse(body)).toEqual(delivery.payload);
+      expect(headers['content-type']).toBe('application/json');
+      expect(headers['x-webhook-id']).toBe(delivery.id);
+      expect(headers['x-webhook-event']).toBe('book.created');
+      expect(headers['x-webhook-timestamp']).toBe(String(Math.floor(now.getTime() / 1000)));
+      expect(headers['x-webhook-signature']).toBe(signPayload('whsec_test', headers['x-webhook-timestamp'], body));
+      expect(delivery).toMatchObject({ status: 'succeeded', attempts: 1, response_status: 204 });
+
+      // Nothing left to send
+      expect(await deliverDue(db)).toEqual({ succeeded: 0, failed: 0 });
+    });
+
+    test('retries a failed delivery with exponential backoff until it succeeds', async () => {
+      const webhook = await subscribe([500, 503, 200]);
+      WebhookDelivery.enqueue(db, 'book.created', {});
+      const start = new Date('2030-01-01T00:00:00.000Z');
+      const options = { retryBaseMs: 1000, maxAttempts: 5 };
+
+      expect(await deliverDue(db, { ...options, now: start })).toEqual({ succeeded: 0, failed: 1 });
+      let [delivery] = listDeliveries(db, webhook.id).deliveries;
+      expect(delivery).toMatchObject({
+        status: 'pending',
+        attempts: 1,
+        response_status: 500,
+        last_error: 'HTTP 500 receiver says no',
+        next_attempt_at: '2030-01-01T00:00:01.000Z',
+      });
+
+      // Not due yet
+      expect(await deliverDue(db, { ...options, now: new Date('2030-01-01T00:00:00.500Z') }))
+        .toEqual({ succeeded: 0, failed: 0 });
+
+      await deliverDue(db, { ...options, now: new Date('2030-01-01T00:00:01.000Z') });
+      [delivery] = listDeliveries(db, webhook.id).deliveries;
+      expect(delivery.next_attempt_at).toBe('2030-01-01T00:00:03.000Z');
+      expect(Webhook.findById(db, webhook.id).consecutive_failures).toBe(2);
+
+      expect(await deliverDue(db, { ...options, now: new Date('2030-01-01T00:00:03.000Z') }))
+        .toEqual({ succeeded: 1, failed: 0 });
+      [delivery] = listDeliveries(db, webhook.id).deliveries;
+      expect(delivery).toMatchObject({ status: 'succeeded', attempts: 3 });
+      expect(Webhook.findById(db, webhook.id).consecutive_failures).toBe(0);
+    });
+
+    test('times each attempt when it happens, not when the run began', async () => {
+      jest.useFakeTimers({ now: new Date('2030-01-01T00:00:00.000Z') });
+      const webhook = createWebhook(db, { url: 'https://example.com/hook', events: ['book.created'] });
+      WebhookDelivery.enqueue(db, 'book.created', { n: 1 });
+      WebhookDelivery.enqueue(db, 'book.created', { n: 2 });
+      // Each receiver takes 9 seconds to answer
+      const fetch = jest.fn(async () => {
+        jest.advanceTimersByTime(9000);
+        return { status: 500, text: async () => '' };
+      });
+
+      await deliverDue(db, { fetch, retryBaseMs: 1000, disableAfter: 2 });
+
+      expect(fetch.mock.calls.map(([, { headers }]) => headers['X-Webhook-Timestamp'])).toEqual(['1893456000', '1893456009']);
+      const deliveries = listDeliveries(db, webhook.id).deliveries.sort((a, b) => a.payload.data.n - b.payload.data.n);
+      expect(deliveries.map(d => [d.last_attempt_at, d.next_attempt_at])).toEqual([
+        ['2030-01-01T00:00:09.000Z', '2030-01-01T00:00:10.000Z'],
+        ['2030-01-01T00:00:18.000Z', '2030-01-01T00:00:19.000Z'],
+      ]);
+      expect(Webhook.findById(db, webhook.id).disabled_at).toBe('2030-01-01T00:00:18.000Z');
+    });
+
+    test('gives up after the last attempt', async () => {
+      const webhook = await subscribe([500]);
+      WebhookDelivery.enqueue(db, 'book.created', {});
+      const now = new Date('2030-01-01T00:00:00.000Z');
+
+      await deliverDue(db, { now, maxAttempts: 2, retryBaseMs: 1000 });
+      await deliverDue(db, { now: new Date('2030-01-01T00:00:01.000Z'), maxAttempts: 2, retryBaseMs: 1000 });
+
+      const [delivery] = listDeliveries(db, webhook.id).deliveries;
+      expect(delivery).toMatchObject({ status: 'failed', attempts: 2, next_attempt_at: null });
+    });
+
+    test('does not follow redirects', async () => {
+      const webhook = await subscribe([302]);
+      WebhookDelivery.enqueue(db, 'book.created', {});
+
+      await deliverDue(db);
+
+      const [delivery] = listDeliveries(db, webhook.id).deliveries;
+      expect(delivery).toMatchObject({ status: 'pending', response_status: 302 });
+    });
+
+    test('records network errors', async () => {
+      const webhook = await subscribe([200]);
+      await receiver.close();
+      receiver = null;
+      WebhookDelivery.enqueue(db, 'book.created', {});
+
+      expect(await deliverDue(db)).toEqual({ succeeded: 0, failed: 1 });
+
+      const [delivery] = listDeliveries(db, webhook.id).deliveries;
+      expect(delivery.response_status).toBeNull();
+      expect(delivery.last_error).toMatch(/fetch failed: .*ECONNREFUSED/);
+    });
+
+    test('records errors that have no cause', async () => {
+      const webhook = createWebhook(db, { url: 'https://example.com/hook', events: ['book.created'] });
+      WebhookDelivery.enqueue(db, 'book.created', {});
+      const fetch = jest.fn().mockRejectedValue(new Error('The operation was aborted due to timeout'));
+
+      await deliverDue(db, { fetch });
+
+      expect(listDeliveries(db, webhook.id).deliveries[0].last_error).toBe('The operation was aborted due to timeout');
+    });
+
+    test('disables a subscription after enough failures in a row and skips its other deliveries', async () => {
+      const webhook = await subscribe([500]);
+      WebhookDelivery.enqueue(db, 'book.created', { n: 1 });
+      WebhookDelivery.enqueue(db, 'book.created', { n: 2 });
+      WebhookDelivery.enqueue(db, 'book.created', { n: 3 });
+
+      expect(await deliverDue(db, { disableAfter: 2 })).toEqual({ succeeded: 0, failed: 2 });
+
+      expect(receiver.received).toHaveLength(2);
+      expect(Webhook.findById(db, webhook.id).disabled_at).not.toBeNull();
+      expect(listDeliveries(db, webhook.id).deliveries.map(d => d.status)).toEqual(['pending', 'pending', 'pending']);
+
+      // Turning it back on sends what is still pending
+      updateWebhook(db, webhook.id, { enabled: true });
+      expect(await deliverDue(db, { now: new Date(Date.now() + 3600000), disableAfter: 10 }))
+        .toEqual({ succeeded: 0, failed: 3 });
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const { signToken, verifyToken } = require('../src/tokens');
+
+describe('signToken / verifyToken', () => {
+  const now = new Date('2025-01-01T00:00:00Z');
+
+  test('round-trips the claims with issue and expiry times', () => {
+    const token = signToken({ sub: 'u1', typ: 'access' }, 60, now);
+
+    expect(token.split('.')).toHaveLength(3);
+    expect(verifyToken(token, now)).toEqual({ sub: 'u1', typ: 'access', iat: 1735689600, exp: 1735689660 });
+  });
+
+  test('rejects an expired token', () => {
+    const token = signToken({ sub: 'u1' }, 60, now);
+
+    expect(verifyToken(token, new Date('2025-01-01T00:00:59Z'))).not.toBeNull();
+    expect(verifyToken(token, new Date('2025-01-01T00:01:00Z'))).toBeNull();
+  });
+
+  test('rejects a tampered payload', () => {
+    const [header, , signature] = signToken({ sub: 'u1', role: 'librarian' }, 60, now).split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'u1', role: 'admin', exp: 9999999999 })).toString('base64url');
+
+    expect(verifyToken(`${header}.${forged}.${signature}`, now)).toBeNull();
+  });
+
+  test('rejects malformed tokens', () => {
+    expect(verifyToken(undefined)).toBeNull();
+    expect(verifyToken('not-a-token')).toBeNull();
+    expect(verifyToken(`${signToken({}, 60)}.extra`)).toBeNull();
+    expect(verifyToken(`e30.${signToken({}, 60).split('.')[1]}.sig`)).toBeNull();
+  });
+});
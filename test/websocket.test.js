@@ -0,0 +1,63 @@
+const http = require('http');
+const express = require('express');
+const WebSocket = require('ws');
+const { acceptUpgrades } = require('../src/websocket');
+
+describe('acceptUpgrades(server, app)', () => {
+  let server;
+  let url;
+
+  beforeEach(async () => {
+    const app = express();
+    const sockets = new WebSocket.WebSocketServer({ noServer: true });
+    app.use((req, res, next) => {
+      if (req.get('X-API-Key') !== 'letmein') {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      next();
+    });
+    app.get('/echo', (req, res) => {
+      const { socket, head } = req.socketUpgrade;
+      sockets.handleUpgrade(req, socket, head, ws => ws.on('message', data => ws.send(`echo ${data}`)));
+    });
+    app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+
+    server = http.createServer(app);
+    acceptUpgrades(server, app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function connect(path, headers = {}) {
+    const ws = new WebSocket(`${url}${path}`, { headers });
+    return new Promise(resolve => {
+      ws.on('open', () => resolve({ ws }));
+      ws.on('unexpected-response', (req, res) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+      });
+      ws.on('error', () => {});
+    });
+  }
+
+  test('hands handshakes to the route through the app', async () => {
+    const { ws } = await connect('/echo', { 'X-API-Key': 'letmein' });
+
+    ws.send('hello');
+    const reply = await new Promise(resolve => ws.on('message', data => resolve(String(data))));
+
+    expect(reply).toBe('echo hello');
+    ws.close();
+  });
+
+  test('writes the response of a refused handshake to the socket', async () => {
+    expect(await connect('/echo')).toEqual({ status: 401, body: { error: 'Authentication required' } });
+    expect(await connect('/nowhere', { 'X-API-Key': 'letmein' })).toEqual({ status: 404, body: { error: 'Not found' } });
+  });
+});